@@ -0,0 +1,189 @@
+// FILE: scripts/backup.js
+// Backup / restore CLI — archive format src/backup/backup.js me.
+//
+//   node scripts/backup.js full [--keep 14] [--keep-days 30]    poora database, phir retention
+//   node scripts/backup.js schedule --cron "0 2 * * *" [--keep 14] [--keep-days 30]
+//                                                               process chalta rehta hai, har slot pe full
+//   node scripts/backup.js org <organizationId>                 ek organization ka archive
+//   node scripts/backup.js verify <archive.tar.gz>              checksums milao, manifest dikhao
+//   node scripts/backup.js restore <archive.tar.gz> --yes [--remap]
+//                                                               full: khaali database me
+//                                                               org: wahi IDs, ya --remap se naya tenant
+//   node scripts/backup.js list                                 full backups
+//   node scripts/backup.js prune [--keep 14] [--keep-days 30]
+//
+// Archives BACKUP_DIR (default ./backups) ke andar full/ aur organizations/ me; --dir se badlo.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import {
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  listBackups,
+  pruneBackups,
+} from '../src/backup/backup.js';
+import { isValidCron, getNextRunDate } from '../src/utils/cron.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/backup.js full [--keep N] [--keep-days D] [--dir PATH]
+  node scripts/backup.js schedule --cron "<expr>" [--keep N] [--keep-days D] [--dir PATH]
+  node scripts/backup.js org <organizationId> [--dir PATH]
+  node scripts/backup.js verify <archive>
+  node scripts/backup.js restore <archive> --yes [--remap]
+  node scripts/backup.js list [--dir PATH]
+  node scripts/backup.js prune [--keep N] [--keep-days D] [--dir PATH]`;
+
+const parseArgs = argv => {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (['--remap', '--yes'].includes(arg)) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = argv[++i];
+    }
+  }
+
+  return { command: positional[0], target: positional[1], flags };
+};
+
+const retention = flags => ({
+  keep: flags.keep ? parseInt(flags.keep) : undefined,
+  keepDays: flags['keep-days'] ? parseFloat(flags['keep-days']) : undefined,
+});
+
+const formatSize = bytes =>
+  bytes > 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(` Connected to MongoDB (${mongoose.connection.name})`);
+  } catch (error) {
+    console.error(' MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+async function runFullBackup(flags) {
+  const backup = await createBackup({ dir: flags.dir });
+  console.log(`  Full backup: ${backup.filePath}`);
+  console.log(
+    `  ${backup.manifest.collections.length} collections, ${backup.manifest.documents} documents, ${formatSize(backup.size)}`
+  );
+  console.log(`  sha256: ${backup.sha256}`);
+
+  const { keep, keepDays } = retention(flags);
+  if (keep || keepDays) {
+    const removed = await pruneBackups({ keep, keepDays, dir: flags.dir });
+    removed.forEach(item => console.log(`  Removed old backup: ${item.name}`));
+  }
+}
+
+async function runSchedule(flags) {
+  if (!flags.cron || !isValidCron(flags.cron)) {
+    throw new Error('A valid --cron expression is required, e.g. --cron "0 2 * * *"');
+  }
+  console.log(`  Scheduled full backups: ${flags.cron}`);
+
+  for (;;) {
+    const next = getNextRunDate(flags.cron, new Date());
+    if (!next) throw new Error(`Cron "${flags.cron}" never fires`);
+    console.log(`  Next backup at ${next.toLocaleString()}`);
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, next - Date.now())));
+
+    try {
+      await runFullBackup(flags);
+    } catch (error) {
+      // Ek slot fail hua to agla chalega — process band nahi karte
+      console.error('  Backup failed:', error.message);
+    }
+  }
+}
+
+async function main() {
+  const { command, target, flags } = parseArgs(process.argv.slice(2));
+
+  if (command === 'list') {
+    const backups = await listBackups(flags.dir);
+    if (!backups.length) console.log('  No full backups found');
+    backups.forEach(item =>
+      console.log(`  ${item.name}  ${item.createdAt.toISOString()}  ${formatSize(item.size)}`)
+    );
+    return;
+  }
+
+  if (command === 'prune') {
+    const { keep, keepDays } = retention(flags);
+    if (!keep && !keepDays) throw new Error('Give --keep and/or --keep-days');
+    const removed = await pruneBackups({ keep, keepDays, dir: flags.dir });
+    console.log(`  Removed ${removed.length} backup(s)`);
+    removed.forEach(item => console.log(`    ${item.name}`));
+    return;
+  }
+
+  if (command === 'verify') {
+    if (!target) throw new Error('Archive path is required');
+    const manifest = await verifyBackup(target);
+    console.log(`  OK — ${manifest.kind} backup from ${manifest.createdAt}`);
+    if (manifest.organizationName) {
+      console.log(`  Organization: ${manifest.organizationName} (${manifest.organizationId})`);
+    }
+    manifest.collections.forEach(entry =>
+      console.log(`    ${entry.name.padEnd(28)} ${String(entry.documents).padStart(8)}`)
+    );
+    return;
+  }
+
+  if (!['full', 'schedule', 'org', 'restore'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  await connectDB();
+
+  if (command === 'full') {
+    await runFullBackup(flags);
+  } else if (command === 'schedule') {
+    await runSchedule(flags);
+  } else if (command === 'org') {
+    if (!target) throw new Error('Organization ID is required');
+    const backup = await createBackup({ organizationId: target, dir: flags.dir });
+    console.log(`  Organization backup: ${backup.filePath}`);
+    console.log(`  ${backup.manifest.documents} documents, ${formatSize(backup.size)}`);
+    console.log(`  sha256: ${backup.sha256}`);
+  } else if (command === 'restore') {
+    if (!target) throw new Error('Archive path is required');
+    if (!flags.yes) {
+      throw new Error(
+        `This writes into database "${mongoose.connection.name}". Re-run with --yes to continue.`
+      );
+    }
+
+    const result = await restoreBackup(target, { remap: flags.remap });
+    console.log(`  Restored ${result.documents} documents (${result.kind})`);
+    if (result.organizationId) {
+      console.log(`  Organization: ${result.organizationId}${result.remapped ? ' (new IDs)' : ''}`);
+    }
+  }
+}
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async error => {
+    console.error('  Error:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,152 @@
+// FILE: scripts/migrate.js
+// Data migrations ka CLI — migrations src/migrations/ me, runner src/migrations/runner.js me.
+//
+//   node scripts/migrate.js status                          kaun si applied, kab, kaun si pending
+//   node scripts/migrate.js up [--to N] [--dry-run]         pending chalao (N tak)
+//   node scripts/migrate.js down [--to N] --yes [--dry-run] aakhri applied ulti, ya N se upar ki saari
+//   node scripts/migrate.js unlock                          crash ke baad atka hua lock chhodo
+//
+// up/down lock ke liye --wait seconds tak rukte hain (default 300) — deploy pe har PM2
+// instance `up` chala sakta hai, migrations ek hi baar chalengi.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  forceUnlock,
+  migrationLabel,
+} from '../src/migrations/runner.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/migrate.js status
+  node scripts/migrate.js up [--to N] [--dry-run] [--wait SECONDS]
+  node scripts/migrate.js down [--to N] --yes [--dry-run] [--wait SECONDS]
+  node scripts/migrate.js unlock`;
+
+const DEFAULT_WAIT_SECONDS = 300;
+
+const parseArgs = argv => {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (['--dry-run', '--yes'].includes(arg)) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = argv[++i];
+    }
+  }
+
+  return { command: positional[0], flags };
+};
+
+const parseVersion = value => {
+  if (value === undefined) return null;
+  const version = parseInt(value);
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid --to version "${value}"`);
+  return version;
+};
+
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(` Connected to MongoDB (${mongoose.connection.name})`);
+  } catch (error) {
+    console.error(' MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+async function printStatus() {
+  const { migrations, lock } = await getMigrationStatus();
+
+  if (!migrations.length) console.log('  No migrations defined');
+  migrations.forEach(row => {
+    const applied = row.appliedAt ? `${row.appliedAt.toISOString()}  ${row.appliedBy}` : '';
+    console.log(
+      `  ${row.status.padEnd(9)} ${migrationLabel(row).padEnd(36)} ${row.reversible ? '   ' : '[x]'} ${applied}`
+    );
+  });
+  console.log('  [x] = cannot be reverted');
+
+  const pending = migrations.filter(row => row.status === 'pending').length;
+  console.log(`\n  ${pending} pending`);
+  if (lock) {
+    console.log(`  Locked by ${lock.lockedBy} since ${lock.lockedAt.toISOString()}`);
+  }
+}
+
+const printResults = (results, { dryRun, direction }) => {
+  const verb = direction === 'up' ? 'applied' : 'reverted';
+  if (!results.length) {
+    console.log(`  Nothing to ${direction === 'up' ? 'apply' : 'revert'}`);
+    return;
+  }
+  results.forEach(result =>
+    console.log(
+      `  ${dryRun ? 'would be ' : ''}${verb}: ${migrationLabel(result)} (${result.durationMs} ms)`
+    )
+  );
+};
+
+async function main() {
+  const { command, flags } = parseArgs(process.argv.slice(2));
+
+  if (!['status', 'up', 'down', 'unlock'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  await connectDB();
+
+  if (command === 'status') {
+    await printStatus();
+    return;
+  }
+
+  if (command === 'unlock') {
+    const previous = await forceUnlock();
+    console.log(
+      previous?.lockedBy
+        ? `  Released lock held by ${previous.lockedBy}`
+        : '  Migrations were not locked'
+    );
+    return;
+  }
+
+  const options = {
+    to: parseVersion(flags.to),
+    dryRun: Boolean(flags['dry-run']),
+    waitMs: (flags.wait ? parseFloat(flags.wait) : DEFAULT_WAIT_SECONDS) * 1000,
+    log: message => console.log(`  ${message}`),
+  };
+
+  if (command === 'up') {
+    printResults(await migrateUp(options), { dryRun: options.dryRun, direction: 'up' });
+  } else {
+    if (!flags.yes && !options.dryRun) {
+      throw new Error(
+        `This reverts data in database "${mongoose.connection.name}". Re-run with --yes to continue.`
+      );
+    }
+    printResults(await migrateDown(options), { dryRun: options.dryRun, direction: 'down' });
+  }
+}
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async error => {
+    console.error('  Error:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
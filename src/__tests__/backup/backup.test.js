@@ -0,0 +1,301 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import {
+  MANIFEST_FILE,
+  sha256File,
+  writeArchive,
+  extractArchive,
+  verifyExtracted,
+} from '../../backup/archive.js';
+import { remapIds, remapIdStrings, expiredBackups, createBackup } from '../../backup/backup.js';
+import {
+  TENANT_COLLECTIONS,
+  EXCLUDED_COLLECTIONS,
+  tenantFilter,
+} from '../../backup/tenantCollections.js';
+import User from '../../models/User.js';
+
+const { ObjectId } = mongoose.Types;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Backup', () => {
+  let tmp;
+
+  beforeAll(async () => {
+    tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'backup-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(tmp, { recursive: true, force: true });
+  });
+
+  describe('archive', () => {
+    const source = name => path.join(tmp, 'src', name);
+
+    const packSample = async archivePath => {
+      await fs.promises.mkdir(path.join(tmp, 'src'), { recursive: true });
+      // 512 ki boundary ke aar-paar wale sizes, aur ek khaali file
+      await fs.promises.writeFile(source('sales.jsonl'), `${'{"a":1}\n'.repeat(700)}`);
+      await fs.promises.writeFile(source('empty.jsonl'), '');
+      await fs.promises.writeFile(source('exact.jsonl'), 'x'.repeat(1024));
+
+      const collections = [];
+      for (const name of ['sales.jsonl', 'empty.jsonl', 'exact.jsonl']) {
+        const { size } = await fs.promises.stat(source(name));
+        collections.push({
+          name,
+          file: `collections/${name}`,
+          bytes: size,
+          sha256: await sha256File(source(name)),
+        });
+      }
+      await fs.promises.writeFile(source(MANIFEST_FILE), JSON.stringify({ collections }));
+
+      await writeArchive(archivePath, [
+        ...collections.map(entry => ({ name: entry.file, path: source(entry.name) })),
+        { name: MANIFEST_FILE, path: source(MANIFEST_FILE) },
+      ]);
+    };
+
+    it('round-trips files and verifies their checksums', async () => {
+      const archivePath = path.join(tmp, 'roundtrip.tar.gz');
+      await packSample(archivePath);
+
+      const out = path.join(tmp, 'out');
+      const files = await extractArchive(archivePath, out);
+
+      expect(files.map(file => file.name)).toEqual([
+        'collections/sales.jsonl',
+        'collections/empty.jsonl',
+        'collections/exact.jsonl',
+        MANIFEST_FILE,
+      ]);
+      expect(await fs.promises.readFile(path.join(out, 'collections/sales.jsonl'), 'utf8')).toBe(
+        '{"a":1}\n'.repeat(700)
+      );
+      await expect(verifyExtracted(files)).resolves.toHaveProperty('collections');
+    });
+
+    it('rejects an extracted file whose contents changed', async () => {
+      const archivePath = path.join(tmp, 'tampered.tar.gz');
+      await packSample(archivePath);
+
+      const out = path.join(tmp, 'tampered');
+      const files = await extractArchive(archivePath, out);
+      await fs.promises.writeFile(path.join(out, 'collections/exact.jsonl'), 'y'.repeat(1024));
+
+      await expect(verifyExtracted(files)).rejects.toThrow(
+        'Checksum mismatch for collections/exact.jsonl'
+      );
+    });
+
+    it('rejects a truncated or non-gzip archive', async () => {
+      const archivePath = path.join(tmp, 'full.tar.gz');
+      await packSample(archivePath);
+      const bytes = await fs.promises.readFile(archivePath);
+
+      const cut = path.join(tmp, 'cut.tar.gz');
+      await fs.promises.writeFile(cut, bytes.subarray(0, Math.floor(bytes.length / 2)));
+      await expect(extractArchive(cut, path.join(tmp, 'cut'))).rejects.toThrow();
+
+      const junk = path.join(tmp, 'junk.tar.gz');
+      await fs.promises.writeFile(junk, 'not an archive');
+      await expect(extractArchive(junk, path.join(tmp, 'junk'))).rejects.toThrow(
+        'not a valid .tar.gz'
+      );
+    });
+
+    it('refuses entry names that escape the target folder', async () => {
+      await expect(
+        writeArchive(path.join(tmp, 'bad.tar.gz'), [
+          { name: '../etc/passwd', path: source('empty.jsonl') },
+        ])
+      ).rejects.toThrow('Invalid archive entry name');
+    });
+  });
+
+  describe('remapIds', () => {
+    it('replaces known ids anywhere in the document and leaves the rest', () => {
+      const [org, shop, customer, category] = [0, 1, 2, 3].map(() => new ObjectId());
+      const fresh = { org: new ObjectId(), shop: new ObjectId(), customer: new ObjectId() };
+      const idMap = new Map([
+        [org.toHexString(), fresh.org],
+        [shop.toHexString(), fresh.shop],
+        [customer.toHexString(), fresh.customer],
+      ]);
+      const saleDate = new Date('2026-05-03T10:00:00Z');
+
+      const doc = remapIds(
+        {
+          _id: customer,
+          organizationId: org,
+          saleDate,
+          items: [{ categoryId: category, shopIds: [shop, org] }],
+          meta: { note: 'free text', count: 2, empty: null },
+        },
+        idMap
+      );
+
+      expect(doc._id).toBe(fresh.customer);
+      expect(doc.organizationId).toBe(fresh.org);
+      expect(doc.items[0].categoryId).toBe(category);
+      expect(doc.items[0].shopIds).toEqual([fresh.shop, fresh.org]);
+      expect(doc.saleDate).toBe(saleDate);
+      expect(doc.meta).toEqual({ note: 'free text', count: 2, empty: null });
+    });
+
+    it('rewrites ids embedded in counter names', () => {
+      const shop = new ObjectId();
+      const fresh = new ObjectId();
+      const idMap = new Map([[shop.toHexString(), fresh]]);
+
+      expect(remapIdStrings(`invoice_${shop}`, idMap)).toBe(`invoice_${fresh}`);
+      expect(remapIdStrings(`invoice_${new ObjectId()}`, idMap)).not.toContain(String(fresh));
+    });
+  });
+
+  describe('tenant collections', () => {
+    it('covers every organization-scoped model', () => {
+      const dir = path.resolve('src/models');
+      const pluralize = mongoose.pluralize();
+
+      const known = new Set([
+        ...TENANT_COLLECTIONS.map(entry => entry.collection),
+        ...Object.keys(EXCLUDED_COLLECTIONS),
+      ]);
+      const missing = fs
+        .readdirSync(dir)
+        .map(file => fs.readFileSync(path.join(dir, file), 'utf8'))
+        .filter(source => /organizationId\s*:/.test(source))
+        .map(source => source.match(/mongoose\.model\(\s*'(\w+)'\s*,/)?.[1])
+        .filter(Boolean)
+        .map(name => pluralize(name))
+        .filter(collection => !known.has(collection));
+
+      expect(missing).toEqual([]);
+    });
+
+    it('selects counters by the trailing shop or organization id', () => {
+      const organizationId = new ObjectId();
+      const shopIds = [new ObjectId(), new ObjectId()];
+      const { name } = tenantFilter({ scope: 'counter' }, { organizationId, shopIds });
+      const pattern = new RegExp(name.$regex);
+
+      expect(pattern.test(`invoice_${shopIds[1]}`)).toBe(true);
+      expect(pattern.test(`stock_transfer_${organizationId}`)).toBe(true);
+      expect(pattern.test(`invoice_${new ObjectId()}`)).toBe(false);
+    });
+  });
+
+  describe('organization export', () => {
+    const SECRETS = [
+      'password',
+      'refreshToken',
+      'emailVerificationToken',
+      'passwordResetToken',
+      'twoFactorSecret',
+      'backupCodes',
+      'backupCodesUsed',
+    ];
+    let originalDb;
+
+    // Driver jaisa chhota db — find() exclusion projection lagata hai
+    const fakeDb = collections => ({
+      databaseName: 'test',
+      collection: name => ({
+        findOne: async () => collections[name]?.[0] || null,
+        distinct: async () => [],
+        find: (filter, { projection = {} } = {}) =>
+          (collections[name] || []).map(doc =>
+            Object.keys(doc)
+              .filter(key => projection[key] !== 0)
+              .reduce((result, key) => ({ ...result, [key]: doc[key] }), {})
+          ),
+      }),
+    });
+
+    beforeAll(() => {
+      originalDb = mongoose.connection.db;
+    });
+
+    afterAll(() => {
+      mongoose.connection.db = originalDb;
+    });
+
+    it('hides every select:false field of User', () => {
+      const users = TENANT_COLLECTIONS.find(entry => entry.collection === 'users');
+      const hidden = Object.entries(User.schema.paths)
+        .filter(([, schemaType]) => schemaType.options.select === false)
+        .map(([name]) => name);
+
+      expect(hidden.length).toBeGreaterThan(0);
+      expect(users.omit).toEqual(expect.arrayContaining([...hidden, ...SECRETS]));
+    });
+
+    it('leaves login secrets out of the users file', async () => {
+      const organizationId = new ObjectId();
+      mongoose.connection.db = fakeDb({
+        organizations: [{ _id: organizationId, name: 'Test Jewellers' }],
+        users: [
+          {
+            _id: new ObjectId(),
+            organizationId,
+            email: 'owner@test.com',
+            password: '$2a$10$hash',
+            refreshToken: 'refresh',
+            emailVerificationToken: 'verify',
+            passwordResetToken: 'reset',
+            twoFactorSecret: 'TOTPSECRET',
+            backupCodes: ['code-1'],
+            backupCodesUsed: ['code-2'],
+          },
+        ],
+      });
+
+      const backup = await createBackup({ organizationId, dir: path.join(tmp, 'exports') });
+      const out = path.join(tmp, 'export-extracted');
+      await extractArchive(backup.filePath, out);
+      const [user] = (await fs.promises.readFile(path.join(out, 'collections/users.jsonl'), 'utf8'))
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+
+      expect(user.email).toBe('owner@test.com');
+      SECRETS.forEach(field => expect(user).not.toHaveProperty(field));
+      expect(backup.manifest.collections.find(entry => entry.name === 'users').omitted).toEqual(
+        expect.arrayContaining(SECRETS)
+      );
+    });
+  });
+
+  describe('expiredBackups', () => {
+    const now = new Date('2026-10-19T03:00:00Z');
+    const backups = [0, 1, 2, 3, 10, 40].map(days => ({
+      name: `day-${days}`,
+      createdAt: new Date(now.getTime() - days * DAY_MS),
+    }));
+
+    it('keeps the newest N', () => {
+      expect(expiredBackups(backups, { keep: 3, now }).map(b => b.name)).toEqual([
+        'day-3',
+        'day-10',
+        'day-40',
+      ]);
+    });
+
+    it('drops backups older than the age limit', () => {
+      expect(expiredBackups(backups, { keepDays: 7, now }).map(b => b.name)).toEqual([
+        'day-10',
+        'day-40',
+      ]);
+    });
+
+    it('never removes the newest backup', () => {
+      const old = [{ name: 'only', createdAt: new Date(now.getTime() - 90 * DAY_MS) }];
+      expect(expiredBackups(old, { keep: 1, keepDays: 7, now })).toEqual([]);
+    });
+  });
+});
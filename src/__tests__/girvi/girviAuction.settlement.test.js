@@ -0,0 +1,136 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import {
+  calculateAuctionSettlement,
+  getEffectiveDueDate,
+  isEligibleForNotice,
+  recordAuction,
+} from '../../api/auction/girviAuction.service.js';
+import Girvi from '../../models/Girvi.js';
+import GirviAuction from '../../models/GirviAuction.js';
+
+describe('Girvi Auction Settlement', () => {
+  // ─── PROCEEDS ORDER ────────────────────────────────────────────
+  describe('calculateAuctionSettlement', () => {
+    it('should recover charges, then interest, then principal and refund surplus', () => {
+      const result = calculateAuctionSettlement({
+        outstandingPrincipal: 50000,
+        interestDue: 6000,
+        totalSaleValue: 60000,
+        noticeCharges: 200,
+        auctionExpenses: 800,
+      });
+
+      expect(result.totalDeductions).toBe(1000);
+      expect(result.netProceeds).toBe(59000);
+      expect(result.interestRecovered).toBe(6000);
+      expect(result.principalRecovered).toBe(50000);
+      expect(result.shortfall).toBe(0);
+      expect(result.surplusAmount).toBe(3000);
+    });
+
+    it('should apply proceeds to interest before principal on a shortfall', () => {
+      const result = calculateAuctionSettlement({
+        outstandingPrincipal: 50000,
+        interestDue: 6000,
+        totalSaleValue: 40000,
+      });
+
+      expect(result.interestRecovered).toBe(6000);
+      expect(result.principalRecovered).toBe(34000);
+      expect(result.shortfall).toBe(16000);
+      expect(result.surplusAmount).toBe(0);
+    });
+
+    it('should never produce negative net proceeds', () => {
+      const result = calculateAuctionSettlement({
+        outstandingPrincipal: 1000,
+        interestDue: 100,
+        totalSaleValue: 300,
+        auctionExpenses: 500,
+      });
+
+      expect(result.netProceeds).toBe(0);
+      expect(result.interestRecovered).toBe(0);
+      expect(result.shortfall).toBe(1100);
+    });
+  });
+
+  // ─── NOTICE ELIGIBILITY ────────────────────────────────────────
+  describe('isEligibleForNotice', () => {
+    const girvi = {
+      status: 'active',
+      dueDate: new Date('2026-01-01'),
+      gracePeriodDays: 10,
+      isTransferred: false,
+    };
+
+    it('should add grace period to due date', () => {
+      expect(getEffectiveDueDate(girvi)).toEqual(new Date('2026-01-11'));
+    });
+
+    it('should not be eligible within grace period', () => {
+      expect(isEligibleForNotice(girvi, new Date('2026-01-05'))).toBe(false);
+    });
+
+    it('should be eligible after grace period', () => {
+      expect(isEligibleForNotice(girvi, new Date('2026-01-12'))).toBe(true);
+    });
+
+    it('should not be eligible once released or transferred', () => {
+      const asOf = new Date('2026-02-01');
+      expect(isEligibleForNotice({ ...girvi, status: 'released' }, asOf)).toBe(false);
+      expect(isEligibleForNotice({ ...girvi, isTransferred: true }, asOf)).toBe(false);
+    });
+
+    it('should not be eligible without a due date', () => {
+      expect(isEligibleForNotice({ ...girvi, dueDate: null }, new Date())).toBe(false);
+    });
+  });
+
+  // ─── STALE NOTICE ──────────────────────────────────────────────
+  describe('auction after renewal or payoff', () => {
+    const session = {
+      startTransaction: () => {},
+      abortTransaction: async () => {},
+      endSession: () => {},
+    };
+    // Query jaisa — .session() chain, await pe doc
+    const query = doc => ({ session: () => query(doc), then: resolve => resolve(doc) });
+
+    const auction = {
+      status: 'notice_sent',
+      notice: { noticeExpiryDate: new Date('2026-02-01') },
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const attempt = girvi => {
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(Girvi, 'findOne').mockReturnValue(query(girvi));
+      jest.spyOn(GirviAuction, 'findOpenByGirvi').mockReturnValue(query(auction));
+
+      return recordAuction('girvi-1', 'shop-1', { auctionDate: '2026-02-05', lots: [] }, 'user-1');
+    };
+
+    it('should refuse to sell a girvi renewed to a later due date', async () => {
+      const renewed = { status: 'active', dueDate: new Date('2026-06-01'), gracePeriodDays: 0 };
+      await expect(attempt(renewed)).rejects.toThrow('no longer overdue');
+    });
+
+    it('should refuse to sell a girvi that was paid off', async () => {
+      const paidOff = { status: 'released', dueDate: new Date('2026-01-01'), gracePeriodDays: 0 };
+      await expect(attempt(paidOff)).rejects.toThrow('no longer overdue');
+    });
+
+    it('should withdraw pending notices only', async () => {
+      const updateMany = jest.spyOn(GirviAuction, 'updateMany').mockResolvedValue({});
+
+      await GirviAuction.cancelNotices('girvi-1', { userId: 'user-1', reason: 'Girvi renewed' });
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter).toEqual({ girviId: 'girvi-1', status: 'notice_sent', deletedAt: null });
+      expect(update).toMatchObject({ status: 'cancelled', cancellationReason: 'Girvi renewed' });
+    });
+  });
+});
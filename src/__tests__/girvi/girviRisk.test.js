@@ -0,0 +1,139 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  fineRateOf,
+  valueGirviItems,
+  riskBand,
+  assessGirvi,
+  summarizeRisk,
+} from '../../api/girvi-risk/girviRisk.service.js';
+
+const metalRate = {
+  gold: { gold24K: { buyingRate: 7000, sellingRate: 7200 } },
+  silver: { pure: { buyingRate: 80, sellingRate: 85 } },
+  platinum: { buyingRate: 0, sellingRate: 0 },
+};
+
+const items = [
+  // pledged at 7500/g
+  {
+    itemName: 'Chain',
+    itemType: 'gold',
+    quantity: 1,
+    netWeight: 20,
+    tunch: 91.6,
+    finalValue: 137400,
+  },
+  // one of two payals already released
+  {
+    itemName: 'Payal',
+    itemType: 'silver',
+    quantity: 2,
+    releasedQuantity: 1,
+    itemStatus: 'partial_released',
+    netWeight: 100,
+    purity: '80',
+    finalValue: 7200,
+  },
+  { itemName: 'Diamond Ring', itemType: 'diamond', quantity: 1, netWeight: 3, finalValue: 5000 },
+  {
+    itemName: 'Bangle',
+    itemType: 'gold',
+    itemStatus: 'released',
+    netWeight: 15,
+    tunch: 91.6,
+    finalValue: 99000,
+  },
+];
+
+const girvi = {
+  girviNumber: 'GRV00001',
+  status: 'active',
+  items,
+  principalAmount: 100000,
+  outstandingPrincipal: 100000,
+  accruedInterest: 500,
+  interestRate: 2,
+  interestType: 'simple',
+  calculationBasis: 'monthly',
+  girviDate: new Date('2026-06-19'),
+  lastInterestCalcDate: new Date('2026-09-19'),
+  loanToValueRatio: 65,
+};
+
+describe('Girvi Risk', () => {
+  describe('valueGirviItems', () => {
+    it('revalues metal at the current buying rate and keeps pledge value for stones', () => {
+      const result = valueGirviItems(items, metalRate);
+
+      expect(result.items.map(i => i.currentValue)).toEqual([128240, 3200, 5000]);
+      expect(result.items.map(i => i.valuedAt)).toEqual(['market', 'market', 'pledge']);
+      expect(result.pledgeValue).toBe(146000);
+      expect(result.collateralValue).toBe(136440);
+    });
+
+    it('has no market rate for metals the shop has not priced', () => {
+      expect(fineRateOf(metalRate, 'platinum')).toBeNull();
+      expect(fineRateOf(metalRate, 'other')).toBeNull();
+      expect(fineRateOf(null, 'gold')).toBeNull();
+    });
+  });
+
+  describe('riskBand', () => {
+    const thresholds = { watchLtv: 75, marginCallLtv: 85, criticalLtv: 100 };
+
+    it('places LTV in the configured bands', () => {
+      expect(riskBand(60, thresholds)).toBe('safe');
+      expect(riskBand(75, thresholds)).toBe('watch');
+      expect(riskBand(90, thresholds)).toBe('margin_call');
+      expect(riskBand(104, thresholds)).toBe('critical');
+    });
+
+    it('treats a loan with no collateral value as critical', () => {
+      expect(riskBand(null, thresholds)).toBe('critical');
+    });
+  });
+
+  describe('assessGirvi', () => {
+    it('adds carried and fresh interest to principal for the current LTV', () => {
+      const result = assessGirvi(girvi, metalRate, undefined, new Date('2026-10-19'));
+
+      expect(result.interestDue).toBe(2500);
+      expect(result.amountDue).toBe(102500);
+      expect(result.collateralValue).toBe(136440);
+      expect(result.valueChange).toBe(-9560);
+      expect(result.currentLtv).toBe(75.12);
+      expect(result.pledgeLtv).toBe(65);
+      expect(result.band).toBe('watch');
+      // 102500 - 75% of 136440
+      expect(result.requiredPayment).toBe(170);
+    });
+
+    it('moves to margin call when the rate falls', () => {
+      const lower = { ...metalRate, gold: { gold24K: { buyingRate: 6000 } } };
+      const result = assessGirvi(girvi, lower, undefined, new Date('2026-10-19'));
+
+      expect(result.collateralValue).toBe(118120);
+      expect(result.band).toBe('margin_call');
+    });
+  });
+
+  describe('summarizeRisk', () => {
+    it('totals by band and for the portfolio', () => {
+      const summary = summarizeRisk([
+        { band: 'safe', amountDue: 50000, collateralValue: 100000, pledgeValue: 100000 },
+        { band: 'margin_call', amountDue: 90000, collateralValue: 100000, pledgeValue: 110000 },
+        { band: 'critical', amountDue: 60000, collateralValue: 50000, pledgeValue: 70000 },
+      ]);
+
+      expect(summary.totalGirvis).toBe(3);
+      expect(summary.portfolioLtv).toBe(80);
+      expect(summary.marginCallCount).toBe(2);
+      expect(summary.byBand.watch.count).toBe(0);
+      expect(summary.byBand.critical).toEqual({
+        count: 1,
+        amountDue: 60000,
+        collateralValue: 50000,
+      });
+    });
+  });
+});
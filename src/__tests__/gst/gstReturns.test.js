@@ -0,0 +1,286 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parsePeriod,
+  collectGstr1,
+  toGstr1Json,
+  toGstr1Csv,
+  buildGstr3b,
+  toGstr3bCsv,
+} from '../../api/reports/gstReport.service.js';
+
+const meta = { gstin: '27ABCDE1234F1Z5', fp: '042025' };
+
+// 10g @ 6000/g, 3% GST → taxable 60000, tax 1800
+const item = (overrides = {}) => ({
+  hsnCode: '7113',
+  category: 'Ring',
+  netWeight: 10,
+  quantity: 1,
+  taxableAmount: 60000,
+  gstPercentage: 3,
+  totalGst: 1800,
+  ...overrides,
+});
+
+const sale = (invoiceNumber, overrides = {}) => ({
+  invoiceNumber,
+  saleDate: new Date(2025, 3, 10),
+  status: 'confirmed',
+  customerDetails: { customerName: 'Walk-in' },
+  placeOfSupply: { stateCode: '27' },
+  isInterState: false,
+  items: [item()],
+  financials: { grandTotal: 61800 },
+  ...overrides,
+});
+
+const data = {
+  shopStateCode: '27',
+  sales: [
+    sale('INV-25-00001', {
+      customerDetails: { customerName: 'Gold Mart', gstNumber: '29ABCDE1234F1Z5' },
+      placeOfSupply: { stateCode: '29' },
+      isInterState: true,
+    }),
+    sale('INV-25-00002', {
+      placeOfSupply: { stateCode: '24' },
+      isInterState: true,
+      items: [item({ netWeight: 20, taxableAmount: 120000, totalGst: 3600 })],
+      financials: { grandTotal: 123600 },
+    }),
+    // 2 × 5g pieces, one comes back on CN-25-00001
+    sale('INV-25-00003', {
+      items: [item({ quantity: 2, netWeight: 5, taxableAmount: 30000, totalGst: 900 })],
+    }),
+    sale('INV-25-00004', { status: 'cancelled' }),
+  ],
+  creditNotes: [
+    {
+      creditNoteNumber: 'CN-25-00001',
+      noteDate: new Date(2025, 3, 20),
+      customerDetails: { customerName: 'Walk-in' },
+      placeOfSupply: { stateCode: '27' },
+      isInterState: false,
+      items: [item({ netWeight: 5, taxableAmount: 30000, totalGst: 900 })],
+      financials: { grandTotal: 30900 },
+      invoiceValue: 61800,
+    },
+  ],
+  purchases: [
+    {
+      supplierDetails: { gstNumber: '27XYZAB1234C1Z5' },
+      isInterState: false,
+      items: [{ taxableAmount: 100000, gstPercentage: 3, gstAmount: 3000, quantity: 1 }],
+    },
+    {
+      supplierDetails: { gstNumber: '' },
+      isInterState: false,
+      items: [{ taxableAmount: 50000, gstPercentage: 3, gstAmount: 1500, quantity: 1 }],
+    },
+  ],
+};
+
+describe('GST Returns', () => {
+  describe('parsePeriod', () => {
+    it('should return month boundaries and portal period', () => {
+      const { start, end, fp } = parsePeriod('2025-04');
+      expect(start).toEqual(new Date(2025, 3, 1));
+      expect(end).toEqual(new Date(2025, 4, 1));
+      expect(fp).toBe('042025');
+    });
+
+    it('should reject malformed periods', () => {
+      expect(() => parsePeriod('2025-4')).toThrow();
+      expect(() => parsePeriod('2025-13')).toThrow();
+    });
+  });
+
+  // ─── GSTR-1 ────────────────────────────────────────────────────
+  describe('GSTR-1', () => {
+    const sections = collectGstr1(data);
+    const json = toGstr1Json(sections, meta);
+
+    it('should put registered buyers in B2B with IGST for inter-state', () => {
+      expect(json.b2b).toHaveLength(1);
+      expect(json.b2b[0].ctin).toBe('29ABCDE1234F1Z5');
+      expect(json.b2b[0].inv[0]).toMatchObject({
+        inum: 'INV-25-00001',
+        idt: '10-04-2025',
+        pos: '29',
+      });
+      expect(json.b2b[0].inv[0].itms[0].itm_det).toMatchObject({
+        txval: 60000,
+        rt: 3,
+        iamt: 1800,
+        camt: 0,
+      });
+    });
+
+    it('should split unregistered sales into B2CL and B2CS', () => {
+      expect(json.b2cl).toHaveLength(1);
+      expect(json.b2cl[0].pos).toBe('24');
+
+      // INV-3 (60000 intra) minus one piece on the credit note (30000)
+      expect(json.b2cs).toEqual([
+        {
+          sply_ty: 'INTRA',
+          pos: '27',
+          typ: 'OE',
+          txval: 30000,
+          rt: 3,
+          iamt: 0,
+          camt: 450,
+          samt: 450,
+          csamt: 0,
+        },
+      ]);
+    });
+
+    it('should summarise HSN by code and rate, net of credit notes and ignoring cancelled invoices', () => {
+      // 40g sold, one 5g piece (30000 + 450/450) back on CN-25-00001
+      expect(json.hsn.data).toHaveLength(1);
+      expect(json.hsn.data[0]).toMatchObject({
+        hsn_sc: '7113',
+        qty: 35,
+        txval: 210000,
+        iamt: 5400,
+        camt: 450,
+        samt: 450,
+      });
+    });
+
+    it('should count cancelled invoices in the document series', () => {
+      const [invoices, notes] = json.doc_issue.doc_det;
+      expect(invoices.doc_num).toBe(1);
+      expect(invoices.docs[0]).toMatchObject({
+        from: 'INV-25-00001',
+        to: 'INV-25-00004',
+        totnum: 4,
+        cancel: 1,
+        net_issue: 3,
+      });
+      expect(notes.doc_num).toBe(5);
+      expect(notes.docs[0]).toMatchObject({ from: 'CN-25-00001', totnum: 1 });
+    });
+
+    it('should order a series numerically and report each prefix on its own', () => {
+      const result = toGstr1Json(
+        collectGstr1({
+          shopStateCode: '27',
+          sales: [
+            sale('INV-10'),
+            sale('INV-9', { status: 'cancelled' }),
+            sale('INV-11'),
+            sale('EST-2'),
+            sale('EST-1'),
+          ],
+          creditNotes: [],
+        }),
+        meta
+      );
+
+      expect(result.doc_issue.doc_det).toHaveLength(1);
+      expect(result.doc_issue.doc_det[0].docs).toEqual([
+        { num: 1, from: 'EST-1', to: 'EST-2', totnum: 2, cancel: 0, net_issue: 2 },
+        { num: 2, from: 'INV-9', to: 'INV-11', totnum: 3, cancel: 1, net_issue: 2 },
+      ]);
+    });
+
+    it('should keep a cancelled invoice reported when a credit note reverses it', () => {
+      const cancelled = sale('INV-25-00005', {
+        status: 'cancelled',
+        hasCreditNote: true,
+        customerDetails: { customerName: 'Gold Mart', gstNumber: '27ABCDE1234F1Z6' },
+      });
+      const creditNote = {
+        creditNoteNumber: 'CN-25-00002',
+        noteDate: new Date(2025, 3, 12),
+        customerDetails: cancelled.customerDetails,
+        placeOfSupply: { stateCode: '27' },
+        isInterState: false,
+        items: [item()],
+        financials: { grandTotal: 61800 },
+        invoiceValue: 61800,
+      };
+      const result = toGstr1Json(
+        collectGstr1({ shopStateCode: '27', sales: [cancelled], creditNotes: [creditNote] }),
+        meta
+      );
+
+      expect(result.b2b[0].inv[0].inum).toBe('INV-25-00005');
+      expect(result.cdnr[0].nt[0]).toMatchObject({ nt_num: 'CN-25-00002', val: 61800 });
+      expect(result.doc_issue.doc_det[0].docs[0].cancel).toBe(0);
+    });
+
+    it('should export a section as CSV in offline-tool layout', () => {
+      const csv = toGstr1Csv(sections, 'b2b').split('\r\n');
+      expect(csv[0]).toMatch(/^GSTIN\/UIN of Recipient,Receiver Name,Invoice Number/);
+      expect(csv[1]).toBe(
+        '29ABCDE1234F1Z5,Gold Mart,INV-25-00001,10-Apr-2025,61800,29-Karnataka,N,,Regular B2B,,3,60000,0'
+      );
+    });
+  });
+
+  // ─── GSTR-3B ───────────────────────────────────────────────────
+  describe('GSTR-3B', () => {
+    const gstr3b = buildGstr3b(data, meta);
+
+    it('should report outward liability net of credit notes', () => {
+      expect(gstr3b.sup_details.osup_det).toEqual({
+        txval: 210000,
+        iamt: 5400,
+        camt: 450,
+        samt: 450,
+        csamt: 0,
+      });
+    });
+
+    it('should list inter-state supplies to unregistered persons by state', () => {
+      expect(gstr3b.inter_sup.unreg_details).toEqual([{ pos: '24', txval: 120000, iamt: 3600 }]);
+    });
+
+    it('should claim ITC only from registered suppliers', () => {
+      expect(gstr3b.itc_elg.itc_net).toEqual({ iamt: 0, camt: 1500, samt: 1500, csamt: 0 });
+      expect(gstr3b.itc_elg.itc_avl.find(row => row.ty === 'OTH').camt).toBe(1500);
+    });
+
+    it('should export a CSV summary', () => {
+      const csv = toGstr3bCsv(gstr3b);
+      expect(csv).toContain('3.1(a),Outward taxable supplies,210000,5400,450,450,0');
+    });
+
+    it('should reverse ITC for purchase-return debit notes of the period', () => {
+      const withReturns = buildGstr3b(
+        {
+          ...data,
+          debitNotes: [
+            {
+              supplierDetails: { gstNumber: '27XYZAB1234C1Z5' },
+              isInterState: false,
+              items: [{ taxableAmount: 20000, gstPercentage: 3, totalGst: 600, quantity: 1 }],
+            },
+            // Unregistered supplier — ITC liya hi nahi tha
+            {
+              supplierDetails: { gstNumber: '' },
+              isInterState: false,
+              items: [{ taxableAmount: 10000, gstPercentage: 3, totalGst: 300, quantity: 1 }],
+            },
+          ],
+        },
+        meta
+      );
+      const { itc_avl, itc_rev, itc_net } = withReturns.itc_elg;
+
+      expect(itc_avl.find(row => row.ty === 'OTH').camt).toBe(1500);
+      expect(itc_rev.find(row => row.ty === 'OTH')).toEqual({
+        ty: 'OTH',
+        iamt: 0,
+        camt: 300,
+        samt: 300,
+        csamt: 0,
+      });
+      expect(itc_net).toEqual({ iamt: 0, camt: 1200, samt: 1200, csamt: 0 });
+      expect(toGstr3bCsv(withReturns)).toContain('4(B)(2),ITC reversed - others,,0,300,300,0');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from '@jest/globals';
+import { validationResult } from 'express-validator';
+import { updateSale } from '../../api/sales/sales.validation.js';
+import { updatePurchase } from '../../api/purchase/purchase.validation.js';
+import {
+  getStateCodeFromGstin,
+  resolveStateCode,
+  resolvePartyStateCode,
+  determinePlaceOfSupply,
+  splitGst,
+} from '../../utils/gst.js';
+
+describe('GST Place of Supply', () => {
+  // ─── STATE RESOLUTION ──────────────────────────────────────────
+  describe('state codes', () => {
+    it('should read the state code from a GSTIN', () => {
+      expect(getStateCodeFromGstin('27ABCDE1234F1Z5')).toBe('27');
+      expect(getStateCodeFromGstin('07ABCDE1234F1Z5')).toBe('07');
+      expect(getStateCodeFromGstin('99ABCDE1234F1Z5')).toBeNull();
+      expect(getStateCodeFromGstin('')).toBeNull();
+    });
+
+    it('should resolve codes, names and common aliases', () => {
+      expect(resolveStateCode('Maharashtra')).toBe('27');
+      expect(resolveStateCode('  tamil   nadu ')).toBe('33');
+      expect(resolveStateCode('New Delhi')).toBe('07');
+      expect(resolveStateCode(7)).toBe('07');
+      expect(resolveStateCode('24')).toBe('24');
+      expect(resolveStateCode('Atlantis')).toBeNull();
+      expect(resolveStateCode('28')).toBeNull();
+    });
+
+    it('should prefer GSTIN over the typed address state', () => {
+      expect(resolvePartyStateCode({ gstNumber: '29ABCDE1234F1Z5', state: 'Maharashtra' })).toBe(
+        '29'
+      );
+      expect(resolvePartyStateCode({ state: 'Gujarat' })).toBe('24');
+      expect(resolvePartyStateCode({})).toBeNull();
+    });
+  });
+
+  // ─── SUPPLY TYPE ───────────────────────────────────────────────
+  describe('determinePlaceOfSupply', () => {
+    it('should mark different states as inter-state', () => {
+      expect(determinePlaceOfSupply({ supplierStateCode: '27', recipientStateCode: '29' })).toEqual(
+        { stateCode: '29', stateName: 'Karnataka', isInterState: true }
+      );
+    });
+
+    it('should treat same state or unknown recipient as intra-state', () => {
+      expect(
+        determinePlaceOfSupply({ supplierStateCode: '27', recipientStateCode: '27' }).isInterState
+      ).toBe(false);
+
+      const unknown = determinePlaceOfSupply({ supplierStateCode: '27', recipientStateCode: null });
+      expect(unknown.isInterState).toBe(false);
+      expect(unknown.stateCode).toBe('27');
+    });
+
+    it('should let an explicit place of supply override the customer state', () => {
+      const result = determinePlaceOfSupply({
+        supplierStateCode: '27',
+        recipientStateCode: '27',
+        override: 'Goa',
+      });
+      expect(result).toEqual({ stateCode: '30', stateName: 'Goa', isInterState: true });
+    });
+  });
+
+  describe('splitGst', () => {
+    it('should split intra-state tax into CGST + SGST', () => {
+      expect(splitGst(300)).toEqual({ cgst: 150, sgst: 150, igst: 0 });
+    });
+
+    it('should put inter-state tax fully into IGST', () => {
+      expect(splitGst(300, true)).toEqual({ cgst: 0, sgst: 0, igst: 300 });
+    });
+  });
+
+  // ─── REQUEST VALIDATION ────────────────────────────────────────
+  describe('placeOfSupply validation', () => {
+    // Service { stateCode } bhi leta hai — validator ko bhi wahi maanna chahiye
+    const placeOfSupplyErrors = async (chain, placeOfSupply) => {
+      const req = { body: { placeOfSupply }, params: {}, query: {} };
+      await Promise.all(
+        chain.filter(step => typeof step.run === 'function').map(step => step.run(req))
+      );
+      return validationResult(req)
+        .array()
+        .filter(error => error.path === 'placeOfSupply');
+    };
+
+    it('should accept a state code, a state name or { stateCode } on sales and purchases', async () => {
+      for (const chain of [updateSale, updatePurchase]) {
+        expect(await placeOfSupplyErrors(chain, '27')).toHaveLength(0);
+        expect(await placeOfSupplyErrors(chain, 'Goa')).toHaveLength(0);
+        expect(await placeOfSupplyErrors(chain, { stateCode: '27' })).toHaveLength(0);
+      }
+    });
+
+    it('should reject an unknown state in either form', async () => {
+      for (const chain of [updateSale, updatePurchase]) {
+        expect(await placeOfSupplyErrors(chain, '99')).toHaveLength(1);
+        expect(await placeOfSupplyErrors(chain, { stateCode: '99' })).toHaveLength(1);
+      }
+    });
+  });
+});
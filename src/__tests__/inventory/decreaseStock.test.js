@@ -0,0 +1,57 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Product from '../../models/Product.js';
+import SerialNumber from '../../models/SerialNumber.js';
+import { decreaseStock } from '../../api/inventory/inventory.service.js';
+
+const query = value => ({ session: () => Promise.resolve(value) });
+
+const fakeSession = () => ({
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+});
+
+describe('decreaseStock', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('leaves the stock count alone when the serial numbers cannot be consumed', async () => {
+    const session = fakeSession();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Product, 'findById').mockReturnValue(
+      query({
+        _id: 'p1',
+        name: 'Solitaire Ring',
+        inventoryTracking: 'serial',
+        stock: { quantity: 3 },
+      })
+    );
+    jest.spyOn(SerialNumber, 'find').mockReturnValue(query([]));
+    const decrement = jest.spyOn(Product, 'findOneAndUpdate');
+
+    // once() retry isi call ko dobara chalata hai — pehli baar stock ghatna nahi chahiye tha
+    await expect(
+      decreaseStock({ productId: 'p1', quantity: 1, serialNumbers: ['SR-1'] })
+    ).rejects.toThrow('Serial numbers not in stock for Solitaire Ring: SR-1');
+
+    expect(decrement).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses before touching tracking when stock is short', async () => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(fakeSession());
+    jest
+      .spyOn(Product, 'findById')
+      .mockReturnValue(
+        query({ _id: 'p1', name: 'Chain', inventoryTracking: 'batch', stock: { quantity: 1 } })
+      );
+    const decrement = jest.spyOn(Product, 'findOneAndUpdate');
+
+    await expect(decreaseStock({ productId: 'p1', quantity: 2 })).rejects.toThrow(
+      'Insufficient stock for Chain. Available: 1'
+    );
+    expect(decrement).not.toHaveBeenCalled();
+  });
+});
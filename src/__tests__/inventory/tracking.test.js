@@ -0,0 +1,139 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveTrackingMode,
+  planFifo,
+  planRestore,
+  buildValuation,
+} from '../../api/inventory/tracking.service.js';
+
+const batch = (id, remainingQuantity, extra = {}) => ({
+  _id: id,
+  batchNumber: `BT-26-0000${id}`,
+  receivedQuantity: remainingQuantity,
+  remainingQuantity,
+  remainingGrossWeight: remainingQuantity * 2,
+  remainingNetWeight: remainingQuantity * 1.8,
+  costPerUnit: 100,
+  consumptions: [],
+  ...extra,
+});
+
+describe('Inventory Tracking', () => {
+  describe('resolveTrackingMode', () => {
+    const both = { enableBatchTracking: true, enableSerialNumberTracking: true };
+
+    it('stays untracked when the shop has both settings off', () => {
+      expect(resolveTrackingMode('batch', {}, 10)).toBe('none');
+      expect(resolveTrackingMode(undefined, undefined, 1)).toBe('none');
+    });
+
+    it('picks batch for bulk lines and serial for single pieces', () => {
+      expect(resolveTrackingMode(null, both, 25)).toBe('batch');
+      expect(resolveTrackingMode(null, both, 1)).toBe('serial');
+      expect(resolveTrackingMode(null, { enableSerialNumberTracking: true }, 5)).toBe('serial');
+    });
+
+    it('honours an explicit mode only when the shop has it on', () => {
+      expect(resolveTrackingMode('serial', both, 25)).toBe('serial');
+      expect(resolveTrackingMode('none', both, 25)).toBe('none');
+      expect(resolveTrackingMode('serial', { enableBatchTracking: true }, 25)).toBe('batch');
+    });
+  });
+
+  describe('planFifo', () => {
+    it('consumes the oldest batch first and spills into the next', () => {
+      const { allocations, untracked } = planFifo([batch(1, 3), batch(2, 5)], 4);
+
+      expect(allocations.map(a => [a.batch._id, a.quantity])).toEqual([
+        [1, 3],
+        [2, 1],
+      ]);
+      expect(untracked).toBe(0);
+    });
+
+    it('takes the preferred source batch first on a purchase reversal', () => {
+      const batches = [batch(1, 3), batch(2, 5, { source: { referenceId: 'p2' } })];
+      const { allocations } = planFifo(batches, 4, 'p2');
+
+      expect(allocations.map(a => [a.batch._id, a.quantity])).toEqual([[2, 4]]);
+    });
+
+    it('reports stock older than tracking as untracked', () => {
+      const { allocations, untracked } = planFifo([batch(1, 2)], 5);
+
+      expect(allocations).toHaveLength(1);
+      expect(untracked).toBe(3);
+    });
+  });
+
+  describe('planRestore', () => {
+    it('returns stock to the batches the reference consumed, latest first', () => {
+      const older = batch(1, 0, {
+        consumptions: [{ referenceId: 's1', quantity: 2, consumedAt: new Date('2026-01-01') }],
+      });
+      const newer = batch(2, 1, {
+        consumptions: [
+          { referenceId: 's1', quantity: 1, consumedAt: new Date('2026-02-01') },
+          { referenceId: 's9', quantity: 4, consumedAt: new Date('2026-02-02') },
+        ],
+      });
+
+      const { restores, unmatched } = planRestore([older, newer], 's1', 2);
+
+      expect(restores.map(r => [r.batch._id, r.quantity])).toEqual([
+        [2, 1],
+        [1, 1],
+      ]);
+      expect(unmatched).toBe(0);
+    });
+
+    it('skips already restored quantity and reports the rest as unmatched', () => {
+      const b = batch(1, 0, {
+        consumptions: [
+          { referenceId: 's1', quantity: 2, restoredQuantity: 2, consumedAt: new Date() },
+        ],
+      });
+
+      const { restores, unmatched } = planRestore([b], 's1', 1);
+
+      expect(restores).toHaveLength(0);
+      expect(unmatched).toBe(1);
+    });
+  });
+
+  describe('buildValuation', () => {
+    it('values batch products batch-wise and the rest at cost price', () => {
+      const products = [
+        {
+          _id: 'a',
+          productCode: 'CH001',
+          name: 'Silver Chain',
+          inventoryTracking: 'batch',
+          stock: { quantity: 12 },
+          pricing: { costPrice: 90 },
+          weight: { grossWeight: 2, netWeight: 1.8 },
+        },
+        {
+          _id: 'b',
+          productCode: 'RG001',
+          name: 'Gold Ring',
+          inventoryTracking: 'serial',
+          stock: { quantity: 2 },
+          pricing: { costPrice: 25000 },
+          weight: { grossWeight: 4, netWeight: 3.5 },
+        },
+      ];
+      const batches = new Map([['a', [batch(1, 4), batch(2, 6, { costPerUnit: 110 })]]]);
+
+      const { products: rows, totals } = buildValuation(products, batches);
+
+      expect(rows[0].batches).toHaveLength(2);
+      expect(rows[0].untrackedQuantity).toBe(2);
+      expect(rows[0].value).toBe(4 * 100 + 6 * 110 + 2 * 90);
+      expect(rows[0].grossWeight).toBe(8 + 12 + 4);
+      expect(rows[1].value).toBe(50000);
+      expect(rows[1].batches).toEqual([]);
+      expect(totals).toMatchObject({ products: 2, quantity: 14, value: 1240 + 50000 });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../models/Payment.js';
+import JewelryShop from '../../models/Shop.js';
+import { generateReceiptPdf } from '../../api/payment/payment.service.js';
+
+const shopId = new mongoose.Types.ObjectId();
+
+const populated = value => {
+  const query = {
+    populate: () => query,
+    then: resolve => resolve(value),
+  };
+  return query;
+};
+
+const paymentOf = overrides => ({
+  _id: new mongoose.Types.ObjectId(),
+  paymentNumber: 'PAY-0001',
+  amount: 5000,
+  receipt: { receiptGenerated: true },
+  party: { partyType: 'customer', partyName: 'Asha Patil' },
+  ...overrides,
+});
+
+describe('Payment receipt PDF', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('builds a receipt for scheme, order and on-account money received', async () => {
+    const enrollment = { _id: new mongoose.Types.ObjectId(), enrollmentNumber: 'ENR-0001' };
+    const shopLookup = jest.spyOn(JewelryShop, 'findById').mockResolvedValue(null);
+
+    for (const reference of [
+      { referenceType: 'scheme_enrollment', referenceId: enrollment },
+      { referenceType: 'order', referenceId: null },
+      { referenceType: 'none', referenceId: null },
+    ]) {
+      jest
+        .spyOn(Payment, 'findOne')
+        .mockReturnValue(populated(paymentOf({ transactionType: 'receipt', reference })));
+
+      // Shop lookup tak pahunchna = 400 wala check paar ho gaya
+      await expect(generateReceiptPdf('pid', shopId)).rejects.toThrow('Shop not found');
+    }
+
+    expect(shopLookup).toHaveBeenCalledTimes(3);
+  });
+
+  it('refuses a receipt for money paid out that is not against a purchase', async () => {
+    jest.spyOn(Payment, 'findOne').mockReturnValue(
+      populated(
+        paymentOf({
+          transactionType: 'payment',
+          paymentType: 'refund',
+          reference: { referenceType: 'sale', referenceId: null },
+        })
+      )
+    );
+
+    await expect(generateReceiptPdf('pid', shopId)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
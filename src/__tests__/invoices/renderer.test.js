@@ -0,0 +1,130 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  TEMPLATES,
+  fillTemplate,
+  buildShopData,
+  buildSaleInvoiceData,
+  buildGoodsReceiptData,
+} from '../../invoices/renderer.js';
+
+const shop = {
+  name: 'Test Jewellers',
+  phone: '9876543210',
+  gstNumber: '27ABCDE1234F1Z5',
+  address: { street: 'MG Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+  bankDetails: [
+    { bankName: 'HDFC', accountNumber: '111', isPrimary: false },
+    { bankName: 'SBI', accountNumber: '222', ifscCode: 'SBIN0001', isPrimary: true },
+  ],
+  upiDetails: [{ upiId: 'shop@upi', isPrimary: true }],
+  settings: { printSettings: { termsConditions: 'Goods once sold </script> not returned' } },
+};
+
+const extractData = html => {
+  const match = html.match(/const DATA = (.*);\n/);
+  return JSON.parse(match[1]);
+};
+
+describe('Invoice Renderer', () => {
+  // ─── DATA BUILDERS ─────────────────────────────────────────────
+  describe('buildShopData', () => {
+    it('should pick primary bank / UPI and build the address', () => {
+      const data = buildShopData(shop);
+      expect(data.bank.name).toBe('SBI');
+      expect(data.bank.ifsc).toBe('SBIN0001');
+      expect(data.upi.id).toBe('shop@upi');
+      expect(data.address).toBe('MG Road, Pune, Maharashtra - 411001');
+    });
+
+    it('should hide bank details and terms when disabled in print settings', () => {
+      const data = buildShopData({
+        ...shop,
+        settings: {
+          printSettings: {
+            showBankDetails: false,
+            showTermsConditions: false,
+            termsConditions: 'x',
+          },
+        },
+      });
+      expect(data.bank).toEqual({});
+      expect(data.terms).toBeNull();
+    });
+  });
+
+  describe('buildSaleInvoiceData', () => {
+    it('should prefer the customer snapshot and map payment references', () => {
+      const data = buildSaleInvoiceData({
+        shop,
+        sale: {
+          invoiceNumber: 'INV-1',
+          customerId: { firstName: 'Old', lastName: 'Name', phone: '1111111111' },
+          customerDetails: { customerName: 'Ravi Kumar' },
+          salesPerson: { firstName: 'Amit', lastName: 'Shah' },
+          items: [{ productName: 'Ring', discount: { amount: 100, type: 'flat' } }],
+          financials: { grandTotal: 1000, netPayable: 1000 },
+          payment: { paymentStatus: 'partial' },
+        },
+        payments: [
+          {
+            paymentNumber: 'PAY-1',
+            amount: 500,
+            paymentMode: 'upi',
+            paymentDetails: { upiDetails: { transactionId: 'UTR123' } },
+          },
+        ],
+      });
+
+      expect(data.customer.fullName).toBe('Ravi Kumar');
+      expect(data.customer.phone).toBe('1111111111');
+      expect(data.sale.salesPerson).toBe('Amit Shah');
+      expect(data.sale.items[0].discount).toEqual({ amount: 100 });
+      expect(data.payments[0].transactionId).toBe('UTR123');
+    });
+  });
+
+  describe('buildGoodsReceiptData', () => {
+    it('should fall back to the supplier snapshot when supplier is not populated', () => {
+      const data = buildGoodsReceiptData({
+        shop,
+        purchase: {
+          purchaseNumber: 'PUR-1',
+          supplierId: '507f1f77bcf86cd799439011',
+          supplierDetails: { supplierName: 'Gold Traders', gstNumber: '27XYZ' },
+          delivery: { transportDetails: { vehicleNumber: 'MH12AB1234' } },
+        },
+      });
+
+      expect(data.supplier.businessName).toBe('Gold Traders');
+      expect(data.supplier.gstNumber).toBe('27XYZ');
+      expect(data.purchase.delivery.vehicleNumber).toBe('MH12AB1234');
+    });
+  });
+
+  // ─── TEMPLATE FILL ─────────────────────────────────────────────
+  describe('fillTemplate', () => {
+    it('should replace the sample DATA block in every template', async () => {
+      for (const template of Object.values(TEMPLATES)) {
+        const html = await fillTemplate(template, { shop: { name: 'X' } });
+        expect(extractData(html)).toEqual({ shop: { name: 'X' } });
+        expect(html).not.toMatch(/const DATA = \{\s*\n/);
+      }
+    });
+
+    it('should escape markup so data cannot close the script tag', async () => {
+      const data = buildSaleInvoiceData({ shop, sale: {} });
+      const html = await fillTemplate(TEMPLATES.SALE_TAX_INVOICE, data);
+
+      expect(html).not.toContain('</script> not returned');
+      expect(extractData(html).shop.terms).toBe('Goods once sold </script> not returned');
+    });
+
+    it('should add thermal styles only for roll paper', async () => {
+      const thermal = await fillTemplate(TEMPLATES.SALE_TAX_INVOICE, {}, 'thermal_80mm');
+      const a4 = await fillTemplate(TEMPLATES.SALE_TAX_INVOICE, {}, 'A4');
+
+      expect(thermal).toContain('.qr-box, .inv-footer');
+      expect(a4).not.toContain('.qr-box, .inv-footer');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseCron, isValidCron, matchesCron, getNextRunDate } from '../../utils/cron.js';
+
+describe('Cron Utility', () => {
+  // ─── PARSING ───────────────────────────────────────────────────
+  describe('parseCron', () => {
+    it('should expand ranges, lists and steps', () => {
+      const parsed = parseCron('*/15 1-3 1,15 * 1-5');
+      expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+      expect([...parsed.hour]).toEqual([1, 2, 3]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect(parsed.month.size).toBe(12);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(isValidCron('0 0 * *')).toBe(false);
+      expect(isValidCron('60 0 * * *')).toBe(false);
+      expect(isValidCron('*/0 * * * *')).toBe(false);
+      expect(isValidCron('5-1 * * * *')).toBe(false);
+      expect(isValidCron('5 0 * * *')).toBe(true);
+    });
+  });
+
+  // ─── MATCHING ──────────────────────────────────────────────────
+  describe('matchesCron', () => {
+    it('should match a nightly schedule only at that minute', () => {
+      expect(matchesCron('5 0 * * *', new Date(2026, 0, 10, 0, 5))).toBe(true);
+      expect(matchesCron('5 0 * * *', new Date(2026, 0, 10, 0, 6))).toBe(false);
+    });
+
+    it('should OR day-of-month and day-of-week when both are restricted', () => {
+      // 2026-01-05 is a Monday
+      expect(matchesCron('0 9 1 * 1', new Date(2026, 0, 5, 9, 0))).toBe(true);
+      expect(matchesCron('0 9 1 * 1', new Date(2026, 0, 1, 9, 0))).toBe(true);
+      expect(matchesCron('0 9 1 * 1', new Date(2026, 0, 6, 9, 0))).toBe(false);
+    });
+  });
+
+  // ─── NEXT RUN ──────────────────────────────────────────────────
+  describe('getNextRunDate', () => {
+    it('should return the next matching minute after the given date', () => {
+      const next = getNextRunDate('0 8 * * *', new Date(2026, 0, 10, 8, 0, 30));
+      expect(next).toEqual(new Date(2026, 0, 11, 8, 0));
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from '@jest/globals';
+import { resolvePaymentStatus } from '../../models/Sale.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const yesterday = new Date(Date.now() - DAY);
+const tomorrow = new Date(Date.now() + DAY);
+
+describe('Sale overdue status', () => {
+  it('leaves the overdue transition to the nightly job', () => {
+    // Job sirf unpaid / partial uthata hai — save pe hi overdue ho gaya to reminder kabhi nahi jaata
+    expect(resolvePaymentStatus(0, 5000, yesterday)).toBe('unpaid');
+    expect(resolvePaymentStatus(2000, 5000, yesterday, 'partial')).toBe('partial');
+  });
+
+  it('keeps a sale the job marked overdue while a balance is left', () => {
+    expect(resolvePaymentStatus(2000, 5000, yesterday, 'overdue')).toBe('overdue');
+    expect(resolvePaymentStatus(5000, 5000, yesterday, 'overdue')).toBe('paid');
+  });
+
+  it('drops overdue when the due date is moved ahead', () => {
+    expect(resolvePaymentStatus(2000, 5000, tomorrow, 'overdue')).toBe('partial');
+  });
+});
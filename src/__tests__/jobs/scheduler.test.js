@@ -0,0 +1,34 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ScheduledJob from '../../models/ScheduledJob.js';
+import JobRun from '../../models/JobRun.js';
+import { registerJob, runJob } from '../../jobs/scheduler.js';
+
+describe('runJob lock handling', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('releases the lock when the run record cannot be created', async () => {
+    const handler = jest.fn();
+    registerJob({ name: 'lockReleaseCheck', schedule: '0 1 * * *', handler });
+
+    jest.spyOn(ScheduledJob, 'acquireLock').mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      schedule: '0 1 * * *',
+    });
+    jest.spyOn(JobRun, 'create').mockRejectedValue(new Error('write concern timeout'));
+    const release = jest.spyOn(ScheduledJob, 'releaseLock').mockResolvedValue(null);
+
+    await expect(runJob('lockReleaseCheck')).rejects.toThrow('write concern timeout');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(release).toHaveBeenCalledTimes(1);
+    const [name, , fields, counters] = release.mock.calls[0];
+    expect(name).toBe('lockReleaseCheck');
+    expect(fields).toMatchObject({
+      lastRunStatus: 'failed',
+      lastError: 'write concern timeout',
+      lastRunId: null,
+    });
+    expect(counters).toEqual({ runCount: 1, failureCount: 1 });
+  });
+});
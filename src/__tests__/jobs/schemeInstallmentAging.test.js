@@ -0,0 +1,62 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import SchemeEnrollment from '../../models/SchemeEnrollment.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildEnrollment = () => {
+  const start = Date.now() - 20 * DAY;
+  const enrollment = new SchemeEnrollment({
+    installmentAmount: 1000,
+    totalInstallments: 2,
+    paidInstallments: 0,
+    totalPaidAmount: 0,
+    status: 'active',
+    schedule: [1, 2].map(n => ({
+      installmentNumber: n,
+      dueDate: new Date(start + (n - 1) * 30 * DAY),
+      amount: 1000,
+      status: 'pending',
+    })),
+  });
+  jest.spyOn(enrollment, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  return enrollment;
+};
+
+describe('Scheme installment aging and late payment', () => {
+  it('settles a missed installment when the customer pays late', async () => {
+    const enrollment = buildEnrollment();
+    enrollment.ageInstallments(new Date(), { gracePeriodDays: 5, missedInstallmentPenalty: 50 });
+
+    expect(enrollment.schedule[0].status).toBe('missed');
+    expect(enrollment.missedInstallments).toBe(1);
+
+    await enrollment.recordPayment({ amount: 1000 });
+
+    expect(enrollment.schedule[0].status).toBe('paid');
+    expect(enrollment.schedule[0].penaltyAmount).toBe(50);
+    expect(enrollment.missedInstallments).toBe(0);
+    expect(enrollment.totalPenalty).toBe(50);
+  });
+
+  it('matures once every installment is paid, including late ones', async () => {
+    const enrollment = buildEnrollment();
+    enrollment.ageInstallments(new Date(), { gracePeriodDays: 5 });
+
+    await enrollment.recordPayment({ amount: 1000 });
+    await enrollment.recordPayment({ amount: 1000 });
+
+    expect(enrollment.paidInstallments).toBe(2);
+    expect(enrollment.status).toBe('matured');
+  });
+
+  it('refuses a payment against an installment that is already paid', async () => {
+    const enrollment = buildEnrollment();
+    await enrollment.recordPayment({ amount: 1000 });
+
+    expect(() => enrollment.recordPayment({ amount: 1000, installmentIndex: 0 })).toThrow(
+      'No pending installment found'
+    );
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeMetalLines,
+  computeLabour,
+  computeReceiptItem,
+  computeEffect,
+  computeOrderWastage,
+  applyEffect,
+} from '../../api/karigar/karigar.service.js';
+
+const karigar = { defaultWastagePercentage: 2, labourRate: { rateType: 'per_gram', amount: 300 } };
+
+describe('Karigar job work', () => {
+  describe('computeLabour', () => {
+    it('charges per gram, per piece or fixed', () => {
+      expect(computeLabour({ rateType: 'per_gram', rate: 300, netWeight: 9.5 })).toBe(2850);
+      expect(computeLabour({ rateType: 'per_piece', rate: 500, quantity: 3 })).toBe(1500);
+      expect(computeLabour({ rateType: 'fixed', rate: 1200, netWeight: 20 })).toBe(1200);
+    });
+  });
+
+  describe('computeReceiptItem', () => {
+    it('falls back to karigar defaults for wastage and labour', () => {
+      const item = computeReceiptItem(
+        {
+          description: 'Ring',
+          metalType: 'gold',
+          grossWeight: 10.5,
+          stoneWeight: 0.5,
+          purity: 91.6,
+        },
+        karigar
+      );
+
+      expect(item.netWeight).toBe(10);
+      expect(item.fineWeight).toBe(9.16);
+      expect(item.wastagePercentage).toBe(2);
+      expect(item.wastageAllowed).toBe(0.183);
+      expect(item.labourCharges).toBe(3000);
+    });
+
+    it('uses line level overrides', () => {
+      const item = computeReceiptItem(
+        {
+          description: 'Chain',
+          metalType: 'gold',
+          grossWeight: 20,
+          purity: 75,
+          wastagePercentage: 0,
+          labourRateType: 'fixed',
+          labourRate: 800,
+        },
+        karigar
+      );
+
+      expect(item.wastageAllowed).toBe(0);
+      expect(item.labourCharges).toBe(800);
+    });
+  });
+
+  describe('computeEffect', () => {
+    it('issue puts fine metal with the karigar', () => {
+      const metals = computeMetalLines([{ metalType: 'gold', purity: 99.5, grossWeight: 10 }]);
+      expect(metals[0].fineWeight).toBe(9.95);
+      expect(metals[0].source).toBe('metal_stock');
+
+      expect(computeEffect({ voucherType: 'issue', metals })).toEqual({
+        gold: 9.95,
+        silver: 0,
+        platinum: 0,
+        cash: 0,
+      });
+    });
+
+    it('receipt credits finished fine, allowance and returned metal; labour goes to cash', () => {
+      const items = [
+        computeReceiptItem(
+          { description: 'Ring', metalType: 'gold', grossWeight: 10, purity: 91.6 },
+          karigar
+        ),
+      ];
+      const metals = computeMetalLines([{ metalType: 'gold', purity: 99.5, grossWeight: 0.5 }]);
+
+      const effect = computeEffect({ voucherType: 'receipt', items, metals });
+      // 9.16 finished + 0.183 allowance + 0.498 wapas
+      expect(effect.gold).toBe(-9.841);
+      expect(effect.cash).toBe(3000);
+    });
+
+    it('payment reduces what we owe the karigar', () => {
+      expect(computeEffect({ voucherType: 'payment', payment: { amount: 2500 } }).cash).toBe(-2500);
+    });
+  });
+
+  describe('computeOrderWastage', () => {
+    it('compares actual loss with the allowance across the order vouchers', () => {
+      const issue = {
+        voucherType: 'issue',
+        metals: computeMetalLines([{ metalType: 'gold', purity: 99.5, grossWeight: 10 }]),
+        items: [],
+      };
+      const receipt = {
+        voucherType: 'receipt',
+        items: [
+          computeReceiptItem(
+            { description: 'Ring', metalType: 'gold', grossWeight: 10.5, purity: 91.6 },
+            karigar
+          ),
+        ],
+        metals: [],
+      };
+
+      const [gold] = computeOrderWastage([issue, receipt]);
+      expect(gold.issuedFine).toBe(9.95);
+      expect(gold.finishedFine).toBe(9.618);
+      expect(gold.actual).toBe(0.332);
+      expect(gold.allowed).toBe(0.192);
+      // Allowance se 0.14g zyada gaya — karigar pe baaki
+      expect(gold.excess).toBe(0.14);
+    });
+  });
+
+  describe('applyEffect', () => {
+    it('applies and reverses a voucher', () => {
+      const effect = { gold: -9.841, silver: 0, platinum: 0, cash: 3000 };
+      const after = applyEffect({ gold: 9.95, silver: 0, platinum: 0, cash: -500 }, effect);
+      expect(after).toEqual({ gold: 0.109, silver: 0, platinum: 0, cash: 2500 });
+
+      expect(applyEffect(after, effect, -1)).toEqual({
+        gold: 9.95,
+        silver: 0,
+        platinum: 0,
+        cash: -500,
+      });
+    });
+  });
+});
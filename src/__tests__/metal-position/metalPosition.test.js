@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  girviItemFine,
+  sumPosition,
+  rollBack,
+  buildDayReport,
+  emptyMetals,
+  SOURCES,
+} from '../../api/metal-position/metalPosition.service.js';
+
+const sourcesWith = values =>
+  SOURCES.reduce((result, source) => {
+    result[source] = { ...emptyMetals(), ...values[source] };
+    return result;
+  }, {});
+
+const movementsWith = values =>
+  SOURCES.reduce((result, source) => {
+    result[source] = {
+      in: { ...emptyMetals(), ...values[source]?.in },
+      out: { ...emptyMetals(), ...values[source]?.out },
+    };
+    return result;
+  }, {});
+
+describe('Metal Position', () => {
+  describe('girviItemFine', () => {
+    it('counts only the quantity still pledged', () => {
+      const item = { netWeight: 20, tunch: 91.6, quantity: 4, releasedQuantity: 1 };
+
+      expect(girviItemFine(item)).toBe(13.74);
+      expect(girviItemFine(item, 1)).toBe(4.58);
+    });
+
+    it('falls back to declared purity when tunch is missing', () => {
+      expect(girviItemFine({ netWeight: 10, purity: '22K', quantity: 1 })).toBe(9.16);
+    });
+  });
+
+  describe('sumPosition', () => {
+    it('leaves girvi out of the net position', () => {
+      const net = sumPosition(
+        sourcesWith({
+          finished_goods: { gold: 100.5 },
+          old_gold: { gold: 20 },
+          karigar: { gold: 9.95 },
+          party: { gold: -15, silver: 250 },
+          girvi: { gold: 500 },
+        })
+      );
+
+      expect(net).toEqual({ gold: 115.45, silver: 250, platinum: 0 });
+    });
+  });
+
+  describe('buildDayReport', () => {
+    it('reconciles opening + in - out with closing', () => {
+      const closing = sourcesWith({ fine_stock: { gold: 40 }, karigar: { gold: 10 } });
+      const movements = movementsWith({
+        fine_stock: { in: { gold: 50 }, out: { gold: 10 } },
+        karigar: { in: { gold: 10 } },
+      });
+
+      const opening = rollBack(closing, movements);
+      expect(opening.fine_stock.gold).toBe(0);
+      expect(opening.karigar.gold).toBe(0);
+
+      const report = buildDayReport({ opening, closing, movements });
+      expect(report.sources.fine_stock.gold).toEqual({
+        opening: 0,
+        in: 50,
+        out: 10,
+        closing: 40,
+        unexplained: 0,
+      });
+      expect(report.net.gold.closing).toBe(50);
+      expect(report.net.gold.unexplained).toBe(0);
+    });
+
+    it('surfaces what the movements do not explain', () => {
+      const opening = sourcesWith({ old_gold: { gold: 20 } });
+      // Re-test me fine 0.4g kam nikla — koi movement nahi
+      const closing = sourcesWith({ old_gold: { gold: 19.6 } });
+
+      const report = buildDayReport({ opening, closing, movements: movementsWith({}) });
+      expect(report.sources.old_gold.gold.unexplained).toBe(-0.4);
+      expect(report.net.gold.unexplained).toBe(-0.4);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { describe, it, expect } from '@jest/globals';
+import registry from '../../migrations/index.js';
+import {
+  validateMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrationsToRevert,
+} from '../../migrations/runner.js';
+import { girviPermissionsFor } from '../../migrations/002-add-girvi-permissions.js';
+
+const noop = async () => null;
+const migration = (version, name, { down = noop } = {}) => ({ version, name, up: noop, down });
+const record = (version, name) => ({
+  version,
+  name,
+  appliedAt: new Date('2026-10-19T03:00:00Z'),
+  appliedBy: 'host:0',
+});
+
+const MIGRATIONS = [
+  migration(1, 'first'),
+  migration(2, 'second', { down: null }),
+  migration(3, 'third'),
+  migration(4, 'fourth'),
+];
+
+describe('Migrations', () => {
+  describe('registry', () => {
+    it('registers every numbered file under its own version', () => {
+      const files = fs
+        .readdirSync(path.resolve('src/migrations'))
+        .filter(file => /^\d{3}-[\w-]+\.js$/.test(file));
+
+      expect(registry.map(m => `${String(m.version).padStart(3, '0')}-${m.name}.js`)).toEqual(
+        files.sort()
+      );
+      expect(() => validateMigrations(registry)).not.toThrow();
+    });
+
+    it('rejects duplicate or out of order versions', () => {
+      expect(() => validateMigrations([migration(2, 'b'), migration(2, 'c')])).toThrow(
+        'unique and ascending'
+      );
+      expect(() => validateMigrations([migration(3, 'b'), migration(1, 'a')])).toThrow(
+        'unique and ascending'
+      );
+      expect(() => validateMigrations([{ ...migration(1, 'a'), down: undefined }])).toThrow(
+        'down must be a function'
+      );
+    });
+  });
+
+  describe('pendingMigrations', () => {
+    it('returns unapplied migrations in order, including gaps', () => {
+      const applied = [record(1, 'first'), record(3, 'third')];
+      expect(pendingMigrations(MIGRATIONS, applied).map(m => m.version)).toEqual([2, 4]);
+      expect(pendingMigrations(MIGRATIONS, applied, { to: 3 }).map(m => m.version)).toEqual([2]);
+    });
+
+    it('refuses to run when an applied version belongs to another migration', () => {
+      expect(() => pendingMigrations(MIGRATIONS, [record(2, 'from-other-branch')])).toThrow(
+        '002-second'
+      );
+    });
+  });
+
+  describe('migrationsToRevert', () => {
+    const applied = [record(1, 'first'), record(3, 'third'), record(4, 'fourth')];
+
+    it('reverts only the latest by default', () => {
+      expect(migrationsToRevert(MIGRATIONS, applied).map(m => m.version)).toEqual([4]);
+    });
+
+    it('reverts newest first down to the target version', () => {
+      expect(migrationsToRevert(MIGRATIONS, applied, { to: 0 }).map(m => m.version)).toEqual([
+        4, 3, 1,
+      ]);
+    });
+
+    it('stops before running anything when one cannot be reverted', () => {
+      expect(() =>
+        migrationsToRevert(MIGRATIONS, [...applied, record(2, 'second')], { to: 1 })
+      ).toThrow('002-second cannot be reverted');
+    });
+  });
+
+  describe('migrationStatus', () => {
+    it('marks applied, pending and records missing from the code', () => {
+      const rows = migrationStatus(MIGRATIONS.slice(0, 2), [record(1, 'first'), record(7, 'gone')]);
+
+      expect(rows.map(row => [row.version, row.status, row.reversible])).toEqual([
+        [1, 'applied', true],
+        [2, 'pending', false],
+        [7, 'missing', false],
+      ]);
+      expect(rows[0].appliedBy).toBe('host:0');
+    });
+  });
+
+  describe('002-add-girvi-permissions', () => {
+    it('grants girvi permissions by role and nothing to unknown roles', () => {
+      expect(Object.values(girviPermissionsFor('shop_admin')).every(Boolean)).toBe(true);
+      expect(girviPermissionsFor('staff')).toMatchObject({
+        canCreateGirvi: true,
+        canAddGirviPayment: true,
+        canReleaseGirvi: false,
+      });
+      expect(Object.values(girviPermissionsFor('someone_else')).some(Boolean)).toBe(false);
+      expect(Object.keys(girviPermissionsFor('viewer'))).toHaveLength(14);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from '@jest/globals';
+import { normalizeRecipient, nextRetryAt } from '../../notifications/dispatcher.js';
+import { getProvider } from '../../notifications/providers/index.js';
+import {
+  saleInvoiceText,
+  paymentReminderText,
+  schemeReminderText,
+} from '../../notifications/messages.js';
+
+const shop = { name: 'Shree Jewellers', phone: '9822012345' };
+
+const sale = {
+  invoiceNumber: 'INV-2425-0042',
+  saleDate: new Date('2025-01-10'),
+  customerDetails: { customerName: 'Ramesh Patil' },
+  financials: { netPayable: 125000 },
+  payment: { dueAmount: 25000, dueDate: new Date('2025-01-20') },
+};
+
+describe('Notification dispatch', () => {
+  describe('normalizeRecipient', () => {
+    it('lowercases and validates email', () => {
+      expect(normalizeRecipient('email', ' Ramesh@Example.COM ')).toBe('ramesh@example.com');
+      expect(normalizeRecipient('email', 'not-an-email')).toBeNull();
+    });
+
+    it('adds 91 to 10-digit mobiles and strips formatting', () => {
+      expect(normalizeRecipient('whatsapp', '98220 12345')).toBe('919822012345');
+      expect(normalizeRecipient('sms', '09822012345')).toBe('919822012345');
+      expect(normalizeRecipient('sms', '+91-98220-12345')).toBe('919822012345');
+    });
+
+    it('rejects short or missing numbers', () => {
+      expect(normalizeRecipient('sms', '12345')).toBeNull();
+      expect(normalizeRecipient('whatsapp', null)).toBeNull();
+    });
+  });
+
+  describe('nextRetryAt', () => {
+    it('backs off exponentially from 2 minutes', () => {
+      const now = new Date('2025-01-01T10:00:00Z');
+      expect(nextRetryAt(1, now) - now).toBe(2 * 60 * 1000);
+      expect(nextRetryAt(2, now) - now).toBe(4 * 60 * 1000);
+      expect(nextRetryAt(3, now) - now).toBe(8 * 60 * 1000);
+    });
+  });
+
+  describe('providers', () => {
+    it('defaults WhatsApp and SMS to the file stub, email to SMTP', () => {
+      expect(getProvider('whatsapp').name).toBe('file');
+      expect(getProvider('sms').name).toBe('file');
+      expect(getProvider('email').name).toBe('smtp');
+    });
+  });
+
+  describe('message text', () => {
+    it('invoice text carries number, amount and balance', () => {
+      const text = saleInvoiceText(sale, shop);
+      expect(text).toContain('Ramesh Patil');
+      expect(text).toContain('INV-2425-0042');
+      expect(text).toContain('Rs.1,25,000');
+      expect(text).toContain('Balance due: Rs.25,000');
+    });
+
+    it('reminder text says overdue once due date has passed', () => {
+      expect(paymentReminderText(sale, shop)).toContain('It was due on');
+    });
+
+    it('scheme reminder falls back when scheme is not populated', () => {
+      const text = schemeReminderText(
+        {
+          enrollmentNumber: 'ENR-0007',
+          installmentAmount: 5000,
+          customerDetails: { customerName: 'Sunita' },
+        },
+        shop
+      );
+      expect(text).toContain('your gold scheme (ENR-0007)');
+      expect(text).toContain('Rs.5,000');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import SchemeEnrollment from '../../models/SchemeEnrollment.js';
+import { resolveChannel } from '../../notifications/preferences.js';
+import { SCHEME_NOTIFICATIONS } from '../../notifications/notify.js';
+
+const contact = { email: 'sunita@example.com', phone: '9822012345' };
+
+describe('Scheme notifications', () => {
+  describe('resolveChannel', () => {
+    it('uses the customer preference when that contact exists', () => {
+      expect(resolveChannel('whatsapp', contact, 'email')).toEqual({
+        channel: 'whatsapp',
+        to: '9822012345',
+        reason: null,
+      });
+      expect(resolveChannel('email', contact).channel).toBe('email');
+    });
+
+    it('falls back to the requested method, then SMS, when preferred contact is missing', () => {
+      expect(resolveChannel('email', { phone: '9822012345' }, 'whatsapp').channel).toBe('whatsapp');
+      expect(resolveChannel('email', { phone: '9822012345' }).channel).toBe('sms');
+    });
+
+    it('never sends automated messages to opted-out or call-only customers', () => {
+      expect(resolveChannel('none', contact, 'sms')).toMatchObject({
+        channel: null,
+        reason: 'Customer has opted out of communication',
+      });
+      expect(resolveChannel('call', contact).reason).toBe('Customer prefers a phone call');
+    });
+
+    it('skips when there is no contact at all', () => {
+      expect(resolveChannel('sms', {}).channel).toBeNull();
+    });
+  });
+
+  describe('enrollment.wasContacted', () => {
+    const build = contactHistory =>
+      new SchemeEnrollment({
+        organizationId: new mongoose.Types.ObjectId(),
+        shopId: new mongoose.Types.ObjectId(),
+        schemeId: new mongoose.Types.ObjectId(),
+        customerId: new mongoose.Types.ObjectId(),
+        enrollmentNumber: 'ENR-SCH25-00001',
+        installmentAmount: 5000,
+        totalInstallments: 11,
+        contactHistory,
+      });
+
+    it('matches auto notices per installment', () => {
+      const enrollment = build([
+        { type: 'installment_due', installmentNumber: 3, status: 'sent', trigger: 'auto' },
+      ]);
+      expect(enrollment.wasContacted('installment_due', 3)).toBe(true);
+      expect(enrollment.wasContacted('installment_due', 4)).toBe(false);
+    });
+
+    it('ignores manual reminders so the scheduled one still goes out', () => {
+      const enrollment = build([
+        { type: 'installment_due', installmentNumber: 3, status: 'sent', trigger: 'manual' },
+      ]);
+      expect(enrollment.wasContacted('installment_due', 3)).toBe(false);
+    });
+
+    it('counts skipped notices so opted-out customers are not re-logged daily', () => {
+      const enrollment = build([
+        { type: 'maturity_approaching', channel: 'none', status: 'skipped', trigger: 'auto' },
+      ]);
+      expect(enrollment.wasContacted('maturity_approaching')).toBe(true);
+    });
+  });
+
+  it('has a log type and templates for every contact-history type', () => {
+    const types = SchemeEnrollment.schema.path('contactHistory').schema.path('type').enumValues;
+    types.forEach(type => {
+      expect(SCHEME_NOTIFICATIONS[type]).toBeDefined();
+      expect(typeof SCHEME_NOTIFICATIONS[type].email).toBe('function');
+      expect(typeof SCHEME_NOTIFICATIONS[type].text).toBe('function');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  purityPercentOf,
+  computeLot,
+  computeRefiningReturn,
+  allocateRefinedFine,
+} from '../../api/old-gold/oldGold.service.js';
+
+describe('Old Gold', () => {
+  describe('purityPercentOf', () => {
+    it('reads karat, percentage and fineness', () => {
+      expect(purityPercentOf('22K')).toBe(91.6);
+      expect(purityPercentOf('91.6')).toBe(91.6);
+      expect(purityPercentOf('750')).toBe(75);
+      expect(purityPercentOf('old')).toBeNull();
+      expect(purityPercentOf('')).toBeNull();
+    });
+  });
+
+  describe('computeLot', () => {
+    it('applies deduction to the payable weight only', () => {
+      const lot = computeLot({
+        grossWeight: 12,
+        stoneWeight: 2,
+        purity: '22K',
+        deductionPercentage: 5,
+        ratePerGram: 6000,
+      });
+
+      expect(lot.netWeight).toBe(10);
+      expect(lot.deductionWeight).toBe(0.5);
+      expect(lot.payableWeight).toBe(9.5);
+      expect(lot.value).toBe(57000);
+      // Fine lot me asli metal — deduction ke bina
+      expect(lot.fineWeight).toBe(9.16);
+    });
+
+    it('prefers tested purity over the declared one', () => {
+      const lot = computeLot({ grossWeight: 10, purity: '22K', testedPurity: 84 });
+
+      expect(lot.testedPurity).toBe(84);
+      expect(lot.fineWeight).toBe(8.4);
+    });
+
+    it('rejects a purity it cannot read without a test', () => {
+      expect(() => computeLot({ grossWeight: 10, purity: 'mixed' })).toThrow(/testedPurity/);
+    });
+  });
+
+  describe('computeRefiningReturn', () => {
+    it('measures loss against the expected fine', () => {
+      const result = computeRefiningReturn({ expectedFineWeight: 50, weight: 49.5, purity: 99.5 });
+
+      expect(result.fineWeight).toBe(49.253);
+      expect(result.lossWeight).toBe(0.747);
+      expect(result.lossPercentage).toBe(1.49);
+    });
+  });
+
+  describe('allocateRefinedFine', () => {
+    it('splits returned fine by expected fine and keeps the total exact', () => {
+      const lots = [{ fineWeight: 10 }, { fineWeight: 20 }, { fineWeight: 0.001 }];
+      const shares = allocateRefinedFine(lots, 29.5);
+
+      expect(shares[0]).toBe(9.833);
+      expect(shares[1]).toBe(19.666);
+      expect(Math.round(shares.reduce((a, b) => a + b, 0) * 1000) / 1000).toBe(29.5);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import {
+  nextAttemptAt,
+  toPayload,
+  scopeOf,
+  pendingHandlers,
+  processEvent,
+} from '../../outbox/outbox.js';
+import OutboxEvent from '../../models/OutboxEvent.js';
+import { subscribe, getHandlers } from '../../eventBus.js';
+
+const now = new Date('2025-01-10T10:00:00Z');
+const delayMs = attempts => nextAttemptAt(attempts, now).getTime() - now.getTime();
+
+describe('Event outbox', () => {
+  describe('nextAttemptAt', () => {
+    it('doubles the delay per attempt starting at 30 seconds', () => {
+      expect(delayMs(1)).toBe(30 * 1000);
+      expect(delayMs(2)).toBe(60 * 1000);
+      expect(delayMs(4)).toBe(4 * 60 * 1000);
+    });
+
+    it('caps the delay at one hour', () => {
+      expect(delayMs(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('toPayload', () => {
+    it('flattens documents and drops the session', () => {
+      const sale = {
+        _id: 'sale-1',
+        toObject: options => ({ _id: 'sale-1', virtuals: options.virtuals }),
+      };
+
+      const payload = toPayload({ sale, userId: 'user-1', session: {}, reason: undefined });
+
+      expect(payload).toEqual({ sale: { _id: 'sale-1', virtuals: true }, userId: 'user-1' });
+    });
+
+    it('keeps plain values and nulls as they are', () => {
+      expect(toPayload({ refundAmount: 500, creditNote: null })).toEqual({
+        refundAmount: 500,
+        creditNote: null,
+      });
+    });
+  });
+
+  describe('scopeOf', () => {
+    it('prefers top-level ids', () => {
+      expect(
+        scopeOf({ organizationId: 'org-1', shopId: 'shop-1', sale: { shopId: 'shop-2' } })
+      ).toEqual({ organizationId: 'org-1', shopId: 'shop-1' });
+    });
+
+    it('falls back to the first document that has them', () => {
+      expect(
+        scopeOf({ userId: 'user-1', payment: { organizationId: 'org-1', shopId: 'shop-1' } })
+      ).toEqual({ organizationId: 'org-1', shopId: 'shop-1' });
+    });
+
+    it('returns nulls when nothing is scoped', () => {
+      expect(scopeOf({ reason: 'test' })).toEqual({ organizationId: null, shopId: null });
+    });
+  });
+
+  describe('pendingHandlers', () => {
+    const handlers = [{ name: 'inventory' }, { name: 'ledger' }, { name: 'customer' }];
+
+    it('runs every handler on the first attempt', () => {
+      expect(pendingHandlers({ handlers: [] }, handlers)).toEqual(handlers);
+    });
+
+    it('skips handlers that already completed', () => {
+      const event = {
+        handlers: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'ledger', status: 'failed' },
+        ],
+      };
+
+      expect(pendingHandlers(event, handlers).map(h => h.name)).toEqual(['ledger', 'customer']);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('registers named handlers per event and rejects duplicates', () => {
+      const handler = async () => {};
+      subscribe('TEST_OUTBOX_EVENT', 'test', handler);
+
+      expect(getHandlers('TEST_OUTBOX_EVENT')).toEqual([{ name: 'test', handler }]);
+      expect(() => subscribe('TEST_OUTBOX_EVENT', 'test', handler)).toThrow(/already subscribed/);
+      expect(getHandlers('UNKNOWN_EVENT')).toEqual([]);
+    });
+  });
+
+  describe('processEvent retry', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('does not repeat side effects that already ran before a failure', async () => {
+      const writes = { stock: 0, ledgerDebit: 0, ledgerMetal: 0 };
+      let ledgerRuns = 0;
+
+      subscribe('TEST_RETRY_EVENT', 'inventory', async (data, { once }) => {
+        await once('stock:0', async () => {
+          writes.stock += 1;
+        });
+      });
+      subscribe('TEST_RETRY_EVENT', 'ledger', async (data, { once }) => {
+        ledgerRuns += 1;
+        await once('debit', async () => {
+          writes.ledgerDebit += 1;
+        });
+        await once('metal:0', async () => {
+          // Pehli baar debit ke baad fail — jaise beech me DB error aaya ho
+          if (ledgerRuns === 1) throw new Error('metal entry failed');
+          writes.ledgerMetal += 1;
+        });
+      });
+
+      const event = new OutboxEvent({
+        eventName: 'TEST_RETRY_EVENT',
+        idempotencyKey: 'TEST_RETRY_EVENT:1',
+        payload: {},
+      });
+      jest.spyOn(event, 'save').mockResolvedValue(event);
+      jest.spyOn(OutboxEvent, 'findOneAndUpdate').mockResolvedValue(event);
+
+      await processEvent(event._id, now);
+      expect(event.status).toBe('failed');
+      expect(writes).toEqual({ stock: 1, ledgerDebit: 1, ledgerMetal: 0 });
+
+      await processEvent(event._id, now);
+      expect(event.status).toBe('completed');
+      expect(ledgerRuns).toBe(2);
+      expect(writes).toEqual({ stock: 1, ledgerDebit: 1, ledgerMetal: 1 });
+      expect(event.handlers.find(h => h.name === 'ledger').steps).toEqual(['debit', 'metal:0']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseCsv, toCsv } from '../../utils/csv.js';
+import { readXlsx, toXlsx } from '../../utils/xlsx.js';
+import { parseFile, rowToProduct } from '../../api/products/importExport.service.js';
+
+const SHEET = [
+  [
+    'Product Name',
+    'Category',
+    'Metal',
+    'Karat',
+    'Gross Wt',
+    'Selling Price',
+    'Qty',
+    'HUID',
+    'Remarks',
+  ],
+  [
+    'Temple Jhumka, Meena',
+    'EARRINGS',
+    'Gold',
+    '22K',
+    '12.5',
+    '87,646.76',
+    '2',
+    'ab12cd',
+    'old tag',
+  ],
+  ['Plain Payal', 'ANKLETS', 'silver', '925', '40', '5400', '', '', ''],
+];
+
+describe('Product Import / Export', () => {
+  describe('csv', () => {
+    it('reads back what toCsv writes, quotes and all', () => {
+      const rows = [
+        ['name', 'note'],
+        ['Ring "Solitaire"', 'line one\nline two'],
+        ['Chain, 20 inch', ''],
+      ];
+
+      expect(parseCsv(`\uFEFF${toCsv(rows[0], rows.slice(1))}\r\n\r\n`)).toEqual(rows);
+    });
+  });
+
+  describe('xlsx', () => {
+    it('round trips a sheet, numbers included', () => {
+      const buffer = toXlsx(SHEET[0], [[...SHEET[1].slice(0, 4), 12.5]], 'Products');
+
+      expect(readXlsx(buffer)).toEqual([SHEET[0], [...SHEET[1].slice(0, 4), '12.5']]);
+    });
+
+    it('refuses a workbook that expands past the size limit', () => {
+      // 2 MB ki cell ~2 KB me compress hoti hai — zip bomb jaisa
+      const buffer = toXlsx(['name'], [['x'.repeat(2 * 1024 * 1024)]]);
+      expect(buffer.length).toBeLessThan(64 * 1024);
+
+      expect(() => readXlsx(buffer, { maxBytes: 1024 * 1024 })).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringMatching(/more than 1 MB/),
+        })
+      );
+    });
+  });
+
+  describe('parseFile', () => {
+    it('maps header aliases and keeps sheet row numbers', () => {
+      const csv = Buffer.from(toCsv(SHEET[0], SHEET.slice(1)));
+      const xlsx = toXlsx(SHEET[0], SHEET.slice(1));
+
+      [csv, xlsx].forEach(buffer => {
+        const { rows, ignoredColumns } = parseFile(buffer);
+
+        expect(ignoredColumns).toEqual(['remarks']);
+        expect(rows.map(row => row.rowNumber)).toEqual([2, 3]);
+        expect(rows[0].values).toMatchObject({
+          name: 'Temple Jhumka, Meena',
+          metal_type: 'Gold',
+          purity: '22K',
+          gross_weight: '12.5',
+          quantity: '2',
+        });
+      });
+    });
+
+    it('rejects a sheet without the required columns', () => {
+      const buffer = Buffer.from(toCsv(['name', 'category'], [['Ring', 'RINGS']]));
+
+      expect(() => parseFile(buffer)).toThrow(
+        'Missing required columns: metal_type, purity, gross_weight, selling_price'
+      );
+    });
+  });
+
+  describe('rowToProduct', () => {
+    it('builds a create-product body from sheet values', () => {
+      const { rows } = parseFile(Buffer.from(toCsv(SHEET[0], SHEET.slice(1))));
+
+      expect(rowToProduct(rows[0].values)).toEqual({
+        name: 'Temple Jhumka, Meena',
+        categoryId: 'EARRINGS',
+        metal: { type: 'gold', purity: '22K' },
+        weight: { grossWeight: 12.5 },
+        pricing: { sellingPrice: 87646.76 },
+        stock: { quantity: 2 },
+        huid: 'AB12CD',
+        hallmarking: { isHallmarked: true, huid: 'AB12CD' },
+      });
+
+      // Khaali cells body me aate hi nahi — defaults model / shop settings se
+      expect(rowToProduct(rows[1].values).stock).toBeUndefined();
+    });
+
+    it('leaves unparseable numbers for the validator to report', () => {
+      expect(rowToProduct({ gross_weight: '12g' }).weight.grossWeight).toBe('12g');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  code128Values,
+  code128Widths,
+  ean13CheckDigit,
+  ean13Bits,
+  barcodeSvg,
+} from '../../labels/barcode.js';
+import { buildTagData } from '../../labels/tag.js';
+import { toZpl, toTspl } from '../../labels/printer.js';
+import { buildLabelSheetHtml } from '../../labels/sheet.js';
+import { formatBarcode, toSaleItem } from '../../api/products/label.service.js';
+
+const product = {
+  _id: '65f000000000000000000001',
+  name: 'Temple Jhumka Pair With Meena Work',
+  productCode: 'PRD000042',
+  barcode: 'MJ000042',
+  hallmarking: { isHallmarked: true, huid: 'AB12CD' },
+  metal: { type: 'gold', purity: '22K' },
+  weight: { grossWeight: 12.5, stoneWeight: 0.5, netWeight: 12, wastage: { percentage: 2 } },
+  makingCharges: { type: 'per_gram', value: 450 },
+  pricing: {
+    metalRate: 6641,
+    metalValue: 79692,
+    makingCharges: 5400,
+    gst: { enabled: true, percentage: 3 },
+    sellingPrice: 87646.76,
+  },
+};
+
+const shop = { name: 'Mehta Jewellers', code: 'MJ', settings: {} };
+
+describe('Labels', () => {
+  describe('barcode encoders', () => {
+    it('encodes Code128 set B with a mod-103 checksum', () => {
+      // Start B, P J J 1 2 3 C, checksum, Stop
+      expect(code128Values('PJJ123C')).toEqual([104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+      // 11 modules per symbol, 13 for stop
+      expect(code128Widths('PJJ123C').reduce((a, b) => a + b, 0)).toBe(9 * 11 + 13);
+    });
+
+    it('packs even-length digit codes two per symbol in set C', () => {
+      expect(code128Values('123456')).toEqual([105, 12, 34, 56, 44, 106]);
+    });
+
+    it('computes EAN-13 check digits and 95-module symbols', () => {
+      expect(ean13CheckDigit('400638133393')).toBe(1);
+      const bits = ean13Bits('4006381333931');
+      expect(bits).toHaveLength(95);
+      expect(bits.slice(0, 10)).toBe('1010001101');
+      expect(() => ean13Bits('4006381333932')).toThrow('Invalid EAN-13');
+    });
+
+    it('renders QR and bar codes as standalone SVG', async () => {
+      expect(await barcodeSvg('QR', 'MJ000042')).toContain('<svg');
+      expect(await barcodeSvg('CODE128', 'MJ000042')).toContain('<rect x="10"');
+    });
+  });
+
+  describe('formatBarcode', () => {
+    it('uses the shop prefix for Code128 / QR', () => {
+      expect(formatBarcode(42, { barcodeType: 'CODE128', prefix: 'MJ' })).toBe('MJ000042');
+    });
+
+    it('builds in-store EAN-13 codes with a valid check digit', () => {
+      const code = formatBarcode(42, { barcodeType: 'EAN13' });
+      expect(code).toMatch(/^200000000042\d$/);
+      expect(ean13Bits(code)).toHaveLength(95);
+    });
+  });
+
+  describe('tag data and printer output', () => {
+    const tag = buildTagData(product, shop);
+
+    it('carries weight, purity, HUID and price for the tag', () => {
+      expect(tag).toMatchObject({
+        code: 'MJ000042',
+        name: 'Temple Jhumka Pair With…',
+        purity: '22K',
+        grossWeight: '12.500',
+        netWeight: '12.000',
+        huid: 'AB12CD',
+        price: 87647,
+      });
+      expect(buildTagData(product, shop, { showPrice: false }).price).toBeNull();
+    });
+
+    it('emits one ZPL label per tag with the configured symbology', () => {
+      const zpl = toZpl([tag, tag], { size: 'label_50x25', barcodeType: 'QR', copies: 2 });
+
+      expect(zpl.match(/\^XA/g)).toHaveLength(2);
+      expect(zpl).toContain('^PW400');
+      expect(zpl).toContain('^BQN,2,2^FDMA,MJ000042^FS');
+      expect(zpl).toContain('^FDHUID AB12CD^FS');
+      expect(zpl).toContain('^PQ2');
+    });
+
+    it('emits TSPL with a Code128 barcode', () => {
+      const tspl = toTspl([tag]);
+
+      expect(tspl.startsWith('SIZE 95 mm,12 mm')).toBe(true);
+      expect(tspl).toContain('"128"');
+      expect(tspl).toContain('"MJ000042"');
+      expect(tspl.trim().endsWith('PRINT 1,1')).toBe(true);
+    });
+
+    it('escapes product text in the PDF sheet', async () => {
+      const html = await buildLabelSheetHtml([{ ...tag, name: '<b>Ring</b>' }]);
+
+      expect(html).toContain('&lt;b&gt;Ring&lt;/b&gt;');
+      expect(html).toContain('width: 95mm');
+    });
+  });
+
+  describe('toSaleItem', () => {
+    it('maps a scanned product to a sale line', () => {
+      expect(toSaleItem(product)).toMatchObject({
+        productName: product.name,
+        productCode: 'PRD000042',
+        metalType: 'gold',
+        purity: '22K',
+        grossWeight: 12.5,
+        netWeight: 12,
+        wastagePercentage: 2,
+        ratePerGram: 6641,
+        makingChargesType: 'per_gram',
+        gstPercentage: 3,
+        itemTotal: 87646.76,
+        quantity: 1,
+        huid: 'AB12CD',
+        isHallmarked: true,
+      });
+    });
+  });
+});
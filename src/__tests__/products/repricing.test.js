@@ -0,0 +1,115 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  changedMetalTypes,
+  diffLine,
+  summarizeDiff,
+} from '../../api/products/repricing.service.js';
+import { calculateProductPrice } from '../../api/products/product.service.js';
+
+const rate = ({ gold22K = 6000, silver = 80, platinum = 3000 } = {}) => ({
+  gold: {
+    gold24K: { sellingRate: 6500 },
+    gold22K: { sellingRate: gold22K },
+    gold18K: { sellingRate: 4900 },
+    gold14K: { sellingRate: 3800 },
+  },
+  silver: { pure: { sellingRate: silver }, sterling925: { sellingRate: 74 } },
+  platinum: { sellingRate: platinum },
+  customPurities: [],
+});
+
+const product = (pricing = {}) => ({
+  _id: 'p1',
+  productCode: 'PRD000001',
+  name: 'Bangle',
+  metal: { type: 'gold', purity: '22K' },
+  weight: { grossWeight: 10, stoneWeight: 0, netWeight: 10 },
+  makingCharges: { type: 'per_gram', value: 500 },
+  stones: [],
+  stock: { quantity: 2 },
+  pricing: {
+    metalRate: 6000,
+    sellingPrice: 67980,
+    gst: { enabled: true, percentage: 3 },
+    discount: { type: 'none', value: 0 },
+    ...pricing,
+  },
+});
+
+describe('Repricing', () => {
+  describe('changedMetalTypes', () => {
+    it('lists only metals whose rate moved', () => {
+      expect(changedMetalTypes(rate(), rate({ gold22K: 6100 }))).toEqual(['gold']);
+      expect(changedMetalTypes(rate(), rate({ silver: 82, platinum: 3100 }))).toEqual([
+        'silver',
+        'platinum',
+      ]);
+    });
+
+    it('is empty when nothing changed', () => {
+      expect(changedMetalTypes(rate(), rate())).toEqual([]);
+    });
+
+    it('treats the first rate of a shop as a change for every metal', () => {
+      expect(changedMetalTypes(null, rate())).toEqual(['gold', 'silver', 'platinum']);
+    });
+
+    it('notices custom purity rates', () => {
+      const before = rate();
+      const after = {
+        ...rate(),
+        customPurities: [
+          { metalType: 'gold', purityName: '21K', sellingRate: 5700, isActive: true },
+        ],
+      };
+      expect(changedMetalTypes(before, after)).toEqual(['gold']);
+    });
+  });
+
+  describe('diffLine', () => {
+    it('prices the product at the new rate', async () => {
+      const item = product();
+      const line = diffLine(item, await calculateProductPrice(item, rate({ gold22K: 6100 })));
+
+      // (10g × 6100 + 10g × 500 making) × 1.03 GST
+      expect(line.newPrice).toBe(67980);
+      expect(line.oldPrice).toBe(67980);
+      expect(line.changed).toBe(false);
+
+      const cheaper = diffLine(item, await calculateProductPrice(item, rate({ gold22K: 5900 })));
+      expect(cheaper.newPrice).toBe(65920);
+      expect(cheaper.difference).toBe(-2060);
+      expect(cheaper.differencePercentage).toBe(-3.03);
+      expect(cheaper.changed).toBe(true);
+    });
+
+    it('keeps a locked price whatever the rate', async () => {
+      const item = product({ priceLock: { isLocked: true, lockedPrice: 67980 } });
+      const line = diffLine(item, await calculateProductPrice(item, rate({ gold22K: 7000 })));
+
+      expect(line.locked).toBe(true);
+      expect(line.changed).toBe(false);
+      expect(line.newPrice).toBe(67980);
+    });
+  });
+
+  describe('summarizeDiff', () => {
+    it('counts lines and values the stock at old and new prices', () => {
+      const summary = summarizeDiff([
+        { oldPrice: 100, newPrice: 110, quantity: 2, changed: true, locked: false },
+        { oldPrice: 50, newPrice: 50, quantity: 1, changed: false, locked: false },
+        { oldPrice: 80, newPrice: 80, quantity: 1, changed: false, locked: true },
+      ]);
+
+      expect(summary).toMatchObject({
+        considered: 3,
+        repriced: 1,
+        unchanged: 1,
+        locked: 1,
+        oldStockValue: 330,
+        newStockValue: 350,
+        difference: 20,
+      });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCsvFeed, parseJsonFeed } from '../../rate-feed/parse.js';
+import { finenessOf, perGram, buildRateData } from '../../rate-feed/convert.js';
+import { getRateProvider } from '../../rate-feed/providers/index.js';
+import { sameRates } from '../../api/metal-rates/rateFeed.service.js';
+
+const IBJA_CSV = [
+  '# IBJA rates, GST extra',
+  'date,metal,purity,rate,unit',
+  '2026-10-19,gold,999,"72,500",10gram',
+  '2026-10-19,gold,916,66410,10gram',
+  '2026-10-19,silver,999,86000,kg',
+].join('\n');
+
+describe('Rate Feed', () => {
+  describe('parse', () => {
+    it('reads an IBJA-style CSV with quoted thousands', () => {
+      const feed = parseCsvFeed(IBJA_CSV);
+
+      expect(feed.asOf).toEqual(new Date('2026-10-19'));
+      expect(feed.quotes).toEqual([
+        { metal: 'gold', purity: '999', rate: 72500, unit: '10gram' },
+        { metal: 'gold', purity: '916', rate: 66410, unit: '10gram' },
+        { metal: 'silver', purity: '999', rate: 86000, unit: 'kg' },
+      ]);
+    });
+
+    it('reads the JSON shape with a source', () => {
+      const feed = parseJsonFeed(
+        JSON.stringify({
+          date: '2026-10-19',
+          source: 'IBJA',
+          rates: [{ metal: 'Gold', purity: '24K', rate: 7250 }],
+        })
+      );
+
+      expect(feed.source).toBe('IBJA');
+      expect(feed.quotes[0]).toEqual({ metal: 'gold', purity: '24K', rate: 7250, unit: 'gram' });
+    });
+
+    it('rejects rows without a usable rate', () => {
+      expect(() => parseCsvFeed('metal,purity,rate\ngold,999,abc')).toThrow('line 2');
+      expect(() => parseCsvFeed('metal,rate\ngold,7000')).toThrow('"purity"');
+    });
+  });
+
+  describe('convert', () => {
+    it('understands karat, fineness and percentage purities', () => {
+      expect(finenessOf('22K')).toBe(916);
+      expect(finenessOf('750')).toBe(750);
+      expect(finenessOf('91.6')).toBe(916);
+      expect(finenessOf('sterling')).toBe(925);
+    });
+
+    it('brings every unit to per-gram', () => {
+      expect(perGram({ rate: 72500, unit: '10gram' })).toBe(7250);
+      expect(perGram({ rate: 86000, unit: 'kg' })).toBe(86);
+      expect(() => perGram({ rate: 1, unit: 'bigha' })).toThrow('Unknown');
+    });
+
+    it('uses quoted purities, derives the rest and applies margins', () => {
+      const rates = buildRateData(parseCsvFeed(IBJA_CSV).quotes, {
+        gold: { buyPercent: 1, sellPercent: 2 },
+      });
+
+      expect(rates.market.gold).toEqual({
+        gold24K: 7250,
+        gold22K: 6641,
+        gold18K: 5442.94,
+        gold14K: 4245.5,
+      });
+      expect(rates.gold.gold22K).toEqual({ buyingRate: 6574.59, sellingRate: 6773.82 });
+      expect(rates.silver.sterling925).toEqual({ buyingRate: 79.63, sellingRate: 79.63 });
+      // Feed me platinum nahi — shop ka purana rate chhedna nahi
+      expect(rates).not.toHaveProperty('platinum');
+      expect(rates.market).not.toHaveProperty('platinum');
+    });
+
+    it('sets platinum when the feed quotes it', () => {
+      const rates = buildRateData([
+        { metal: 'gold', purity: '999', rate: 7250 },
+        { metal: 'silver', purity: '999', rate: 86 },
+        { metal: 'platinum', purity: '950', rate: 3150 },
+      ]);
+
+      expect(rates.platinum).toEqual({ buyingRate: 3150, sellingRate: 3150 });
+    });
+
+    it('needs at least gold and silver', () => {
+      expect(() => buildRateData([{ metal: 'gold', purity: '999', rate: 7250 }])).toThrow(
+        'no silver rate'
+      );
+    });
+  });
+
+  describe('sameRates', () => {
+    const rates = buildRateData(parseCsvFeed(IBJA_CSV).quotes);
+
+    it('is true when the current rate already has the feed values', () => {
+      const { gold, silver, platinum } = rates;
+      expect(sameRates(rates, { gold, silver, platinum })).toBe(true);
+    });
+
+    it('is false when any purity differs or there is no current rate', () => {
+      const current = {
+        ...rates,
+        gold: { ...rates.gold, gold18K: { buyingRate: 1, sellingRate: 1 } },
+      };
+      expect(sameRates(rates, current)).toBe(false);
+      expect(sameRates(rates, null)).toBe(false);
+    });
+
+    it('ignores the platinum rate when the feed has no platinum quote', () => {
+      const { gold, silver } = rates;
+      const current = { gold, silver, platinum: { buyingRate: 3100, sellingRate: 3200 } };
+      expect(sameRates(rates, current)).toBe(true);
+    });
+  });
+
+  describe('file provider', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rate-feed-'));
+      process.env.RATE_FEED_DIR = dir;
+    });
+
+    afterAll(async () => {
+      delete process.env.RATE_FEED_DIR;
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('fails clearly on an empty folder', async () => {
+      await expect(getRateProvider('file').fetch()).rejects.toThrow('No rate file');
+    });
+
+    it('picks the newest csv / json file', async () => {
+      await fs.writeFile(path.join(dir, 'old.csv'), IBJA_CSV);
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'ignore me');
+      await fs.writeFile(path.join(dir, 'today.json'), '[]');
+      const later = new Date(Date.now() + 60 * 1000);
+      await fs.utimes(path.join(dir, 'today.json'), later, later);
+
+      const fetched = await getRateProvider('file').fetch();
+
+      expect(fetched.reference).toBe('today.json');
+      expect(fetched.format).toBe('json');
+    });
+  });
+});
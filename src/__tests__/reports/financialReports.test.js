@@ -0,0 +1,251 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolvePeriod,
+  financialYearStart,
+  withRunningBalance,
+  ageingBucket,
+  buildAgeing,
+  rollStock,
+  buildProfitAndLoss,
+  balanceTrialBalance,
+  reportToCsv,
+  reportFileName,
+  summaryLines,
+} from '../../api/reports/financialReport.service.js';
+import { nextRunAfter, reportPeriodFor } from '../../api/reports/reportSchedule.service.js';
+
+describe('Financial Reports', () => {
+  describe('resolvePeriod', () => {
+    it('defaults to the current month up to today', () => {
+      const { from, to } = resolvePeriod({}, new Date(2026, 4, 17, 15, 30));
+
+      expect(from).toEqual(new Date(2026, 4, 1));
+      expect(to).toEqual(new Date(2026, 4, 17, 23, 59, 59, 999));
+    });
+
+    it('rejects a reversed or over-long range', () => {
+      expect(() => resolvePeriod({ startDate: '2026-05-10', endDate: '2026-05-01' })).toThrow(
+        'Start date must be on or before end date'
+      );
+      expect(() => resolvePeriod({ startDate: '2024-01-01', endDate: '2026-01-01' })).toThrow(
+        'Date range cannot exceed'
+      );
+    });
+  });
+
+  describe('financialYearStart', () => {
+    it('starts the year on 1 April', () => {
+      expect(financialYearStart(new Date(2026, 4, 10))).toEqual(new Date(2026, 3, 1));
+      expect(financialYearStart(new Date(2026, 1, 10))).toEqual(new Date(2025, 3, 1));
+    });
+  });
+
+  describe('withRunningBalance', () => {
+    it('carries the balance from the opening through receipts and payments', () => {
+      const rows = withRunningBalance(
+        [{ receipt: 5000 }, { payment: 1200.5 }, { receipt: 100, payment: 50 }],
+        1000
+      );
+
+      expect(rows.map(row => row.balance)).toEqual([6000, 4799.5, 4849.5]);
+    });
+  });
+
+  describe('buildAgeing', () => {
+    it('buckets by days since the document date', () => {
+      expect(ageingBucket(0)).toBe('current');
+      expect(ageingBucket(30)).toBe('current');
+      expect(ageingBucket(31)).toBe('days31to60');
+      expect(ageingBucket(90)).toBe('days61to90');
+      expect(ageingBucket(400)).toBe('over90');
+    });
+
+    it('groups documents per party and sorts by the largest outstanding', () => {
+      const asOf = new Date(2026, 5, 30);
+      const { rows, totals } = buildAgeing(
+        [
+          { partyId: 'a', partyName: 'Asha', date: new Date(2026, 5, 20), due: 1000 },
+          { partyId: 'a', partyName: 'Asha', date: new Date(2026, 2, 1), due: 500 },
+          { partyId: 'b', partyName: 'Bharat', date: new Date(2026, 4, 15), due: 4000 },
+        ],
+        asOf
+      );
+
+      expect(rows.map(row => row.party)).toEqual(['Bharat', 'Asha']);
+      expect(rows[1]).toMatchObject({ documents: 2, current: 1000, over90: 500, total: 1500 });
+      expect(rows[0]).toMatchObject({ days31to60: 4000, oldestDays: 46 });
+      expect(totals).toMatchObject({ current: 1000, days31to60: 4000, over90: 500, total: 5500 });
+    });
+  });
+
+  describe('rollStock', () => {
+    it('rolls today’s quantity back to the period opening', () => {
+      // Aaj 12 pade hain, period ke baad 2 bike — period me 5 aaye, 3 gaye
+      expect(rollStock(12, { in: 5, out: 3, after: -2 })).toEqual({
+        opening: 12,
+        in: 5,
+        out: 3,
+        closing: 14,
+      });
+      expect(rollStock(10, { in: 4, out: 1, after: 3 })).toEqual({
+        opening: 4,
+        in: 4,
+        out: 1,
+        closing: 7,
+      });
+    });
+  });
+
+  describe('buildProfitAndLoss', () => {
+    it('derives gross and net profit', () => {
+      const { rows, summary } = buildProfitAndLoss({
+        sales: 100000,
+        salesReturns: 10000,
+        costOfGoodsSold: 72000,
+        girviInterest: 3000,
+        karigarLabour: 1500,
+        auctionExpenses: 500,
+      });
+
+      expect(summary).toEqual({
+        netSales: 90000,
+        costOfGoodsSold: 72000,
+        grossProfit: 18000,
+        grossMarginPercent: 20,
+        otherIncome: 3000,
+        expenses: 2000,
+        netProfit: 19000,
+      });
+      expect(rows[rows.length - 1]).toEqual({
+        section: 'Net profit',
+        particulars: 'Net profit',
+        amount: 19000,
+      });
+    });
+
+    it('takes the cost of returned items back out of COGS', () => {
+      const { rows, summary } = buildProfitAndLoss({
+        sales: 100000,
+        salesReturns: 10000,
+        costOfGoodsSold: 72000,
+        costOfReturns: 7200,
+      });
+
+      expect(summary).toMatchObject({
+        netSales: 90000,
+        costOfGoodsSold: 64800,
+        grossProfit: 25200,
+      });
+      expect(rows).toContainEqual({
+        section: 'Cost of sales',
+        particulars: 'Less: Cost of returned items',
+        amount: 7200,
+      });
+    });
+
+    it('labels a loss', () => {
+      const { rows } = buildProfitAndLoss({ sales: 1000, costOfGoodsSold: 1500 });
+
+      expect(rows[rows.length - 1]).toMatchObject({ particulars: 'Net loss', amount: -500 });
+    });
+  });
+
+  describe('balanceTrialBalance', () => {
+    it('splits balances into debit and credit and plugs the difference', () => {
+      const { rows, totals, difference } = balanceTrialBalance([
+        { account: 'Cash', group: 'Assets', balance: 25000 },
+        { account: 'Sundry debtors', group: 'Assets', balance: 15000 },
+        { account: 'Sundry creditors', group: 'Liabilities', balance: -30000 },
+        { account: 'Bank', group: 'Assets', balance: 0 },
+      ]);
+
+      expect(rows).toHaveLength(4);
+      expect(difference).toBe(10000);
+      expect(rows[3]).toMatchObject({ group: 'Capital', debit: 0, credit: 10000 });
+      expect(totals).toEqual({ debit: 40000, credit: 40000 });
+    });
+
+    it('adds no balancing line when already balanced', () => {
+      const { rows, difference } = balanceTrialBalance([
+        { account: 'Cash', group: 'Assets', balance: 500 },
+        { account: 'Sales', group: 'Income', balance: -500 },
+      ]);
+
+      expect(difference).toBe(0);
+      expect(rows).toHaveLength(2);
+    });
+  });
+
+  describe('export', () => {
+    const report = {
+      type: 'cash-book',
+      title: 'Cash Book',
+      scope: { name: 'Shree Jewellers, Pune' },
+      period: { from: new Date(2026, 4, 1), to: new Date(2026, 4, 31, 23, 59, 59, 999) },
+      columns: [
+        { key: 'date', label: 'Date', type: 'date' },
+        { key: 'particulars', label: 'Particulars', type: 'text' },
+        { key: 'receipt', label: 'Receipt', type: 'amount' },
+      ],
+      rows: [{ date: new Date(2026, 4, 3), particulars: 'Sale, INV-1', receipt: 1500 }],
+      totals: { receipt: 1500 },
+      summary: { openingBalance: 200, closingBalance: 1700, vouchers: 1, note: 'skip' },
+    };
+
+    it('writes rows, a total line and the summary to CSV', () => {
+      const lines = reportToCsv(report).trim().split('\r\n');
+
+      expect(lines).toEqual([
+        'Date,Particulars,Receipt',
+        '2026-05-03,"Sale, INV-1",1500.00',
+        'Total,,1500.00',
+        '',
+        'Opening balance,200.00',
+        'Closing balance,1700.00',
+        'Vouchers,1',
+      ]);
+    });
+
+    it('types summary figures as amounts or counts', () => {
+      expect(summaryLines(report).map(line => line.type)).toEqual(['amount', 'amount', 'number']);
+    });
+
+    it('names the file after report, scope and period', () => {
+      expect(reportFileName(report, 'pdf')).toBe(
+        'cash-book_Shree-Jewellers-Pune_2026-05-01_2026-05-31.pdf'
+      );
+    });
+  });
+
+  describe('schedules', () => {
+    it('runs daily at 7 the next morning', () => {
+      expect(nextRunAfter('daily', new Date(2026, 4, 12, 6, 0))).toEqual(new Date(2026, 4, 12, 7));
+      expect(nextRunAfter('daily', new Date(2026, 4, 12, 7, 0))).toEqual(new Date(2026, 4, 13, 7));
+    });
+
+    it('runs weekly on Monday and monthly on the 1st', () => {
+      // 13 May 2026 is a Wednesday
+      expect(nextRunAfter('weekly', new Date(2026, 4, 13, 10))).toEqual(new Date(2026, 4, 18, 7));
+      expect(nextRunAfter('weekly', new Date(2026, 4, 18, 7))).toEqual(new Date(2026, 4, 25, 7));
+      expect(nextRunAfter('monthly', new Date(2026, 0, 31, 10))).toEqual(new Date(2026, 1, 1, 7));
+      expect(nextRunAfter('monthly', new Date(2026, 1, 1, 6))).toEqual(new Date(2026, 1, 1, 7));
+    });
+
+    it('reports on the last completed period before the run', () => {
+      const endOfSunday = new Date(2026, 4, 17, 23, 59, 59, 999);
+
+      expect(reportPeriodFor('daily', new Date(2026, 4, 18, 7))).toEqual({
+        from: new Date(2026, 4, 17),
+        to: endOfSunday,
+      });
+      expect(reportPeriodFor('weekly', new Date(2026, 4, 18, 7))).toEqual({
+        from: new Date(2026, 4, 11),
+        to: endOfSunday,
+      });
+      expect(reportPeriodFor('monthly', new Date(2026, 5, 1, 7))).toEqual({
+        from: new Date(2026, 4, 1),
+        to: new Date(2026, 4, 31, 23, 59, 59, 999),
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import JewelryShop from '../../models/Shop.js';
+import {
+  permissionsAbove,
+  permissionOverrides,
+  applyPermissionChanges,
+  isRoleAtOrAbove,
+  inviteUser,
+  PERMISSION_KEYS,
+} from '../../api/shop-users/shopUser.service.js';
+import { getPermissionsByRole } from '../../config/permissions.config.js';
+
+describe('Shop Users', () => {
+  describe('permissionsAbove', () => {
+    it('lists requested permissions the actor does not hold', () => {
+      const actor = { canViewUsers: true, canCreateUsers: true, canDeleteUsers: false };
+      const requested = { canViewUsers: true, canDeleteUsers: true, canCreateUsers: false };
+
+      expect(permissionsAbove(actor, requested)).toEqual(['canDeleteUsers']);
+    });
+
+    it('does not restrict org level admins', () => {
+      expect(permissionsAbove(null, { canDeleteUsers: true })).toEqual([]);
+    });
+
+    it('keeps a manager from handing out shop admin defaults', () => {
+      const above = permissionsAbove(
+        getPermissionsByRole('manager'),
+        getPermissionsByRole('shop_admin')
+      );
+
+      expect(above.length).toBeGreaterThan(0);
+      expect(
+        permissionsAbove(getPermissionsByRole('manager'), getPermissionsByRole('staff'))
+      ).toEqual([]);
+    });
+  });
+
+  describe('permission overrides', () => {
+    it('reports nothing for untouched role defaults', () => {
+      expect(permissionOverrides('staff', getPermissionsByRole('staff'))).toEqual({
+        granted: [],
+        revoked: [],
+      });
+    });
+
+    it('tracks grants and revokes against the role defaults', () => {
+      const defaults = getPermissionsByRole('staff');
+      const granted = PERMISSION_KEYS.find(key => !defaults[key]);
+      const revoked = PERMISSION_KEYS.find(key => defaults[key]);
+
+      // Dono me same key ho to revoke jeetta hai
+      const permissions = applyPermissionChanges(defaults, {
+        grant: [granted, revoked],
+        revoke: [revoked],
+      });
+
+      expect(permissions[granted]).toBe(true);
+      expect(permissions[revoked]).toBe(false);
+      expect(permissionOverrides('staff', permissions)).toEqual({
+        granted: [granted],
+        revoked: [revoked],
+      });
+    });
+  });
+
+  describe('role rank', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('treats the same and higher shop roles as off limits', () => {
+      expect(isRoleAtOrAbove('shop_admin', 'shop_admin')).toBe(true);
+      expect(isRoleAtOrAbove('manager', 'shop_admin')).toBe(true);
+      expect(isRoleAtOrAbove('manager', 'accountant')).toBe(false);
+      expect(isRoleAtOrAbove(null, 'shop_admin')).toBe(false);
+    });
+
+    it('keeps a shop admin from inviting another shop admin', async () => {
+      jest.spyOn(JewelryShop, 'findOne').mockReturnValue({
+        select: () => ({ lean: () => Promise.resolve({ name: 'Main Branch' }) }),
+      });
+      const actor = {
+        userId: 'u1',
+        shopRole: 'shop_admin',
+        permissions: getPermissionsByRole('shop_admin'),
+      };
+
+      await expect(
+        inviteUser('shop', 'org', { email: 'new@shop.in', role: 'shop_admin' }, actor)
+      ).rejects.toThrow('only roles below your own (shop_admin)');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect } from '@jest/globals';
+import { itemResult, reconcileAudit } from '../../api/stock-audit/stockAudit.service.js';
+import { TEMPLATES, fillTemplate, buildStockAuditReportData } from '../../invoices/renderer.js';
+
+const item = (id, expectedQuantity, extra = {}) => ({
+  _id: id,
+  productCode: `P${id}`,
+  productName: `Item ${id}`,
+  expectedQuantity,
+  expectedGrossWeight: 10,
+  unitValue: 1000,
+  ...extra,
+});
+
+const count = (itemId, quantity = 1, grossWeight = null) => ({ itemId, quantity, grossWeight });
+
+describe('Stock Audit', () => {
+  describe('itemResult', () => {
+    it('classifies by counted quantity first', () => {
+      expect(itemResult({ expectedQuantity: 2, countedQuantity: 0 })).toBe('missing');
+      expect(itemResult({ expectedQuantity: 2, countedQuantity: 1 })).toBe('short');
+      expect(itemResult({ expectedQuantity: 2, countedQuantity: 3 })).toBe('excess');
+      expect(itemResult({ expectedQuantity: 2, countedQuantity: 2 })).toBe('matched');
+    });
+
+    it('flags weight only beyond the tolerance', () => {
+      const base = { expectedQuantity: 1, countedQuantity: 1, weighedQuantity: 1 };
+      expect(itemResult({ ...base, weightDifference: 0.01 }, 0.01)).toBe('matched');
+      expect(itemResult({ ...base, weightDifference: -0.05 }, 0.01)).toBe('weight_mismatch');
+    });
+  });
+
+  describe('reconcileAudit', () => {
+    it('tallies counts per item and values the shortage / excess', () => {
+      const items = [item('a', 1), item('b', 3), item('c', 1), item('d', 2)];
+      const { summary } = reconcileAudit({
+        items,
+        counts: [count('a'), count('b'), count('b'), count('d', 3)],
+      });
+
+      expect(items.map(i => i.result)).toEqual(['matched', 'short', 'missing', 'excess']);
+      expect(items[1].countedQuantity).toBe(2);
+      expect(summary).toMatchObject({
+        totalItems: 4,
+        expectedQuantity: 7,
+        countedQuantity: 6,
+        matched: 1,
+        short: 1,
+        missing: 1,
+        excess: 1,
+        shortageValue: 2000,
+        excessValue: 1000,
+      });
+    });
+
+    it('compares the per-piece average of weighed pieces with the tag weight', () => {
+      const items = [item('a', 2), item('b', 1)];
+      reconcileAudit({
+        items,
+        counts: [count('a', 1, 10.004), count('a', 1), count('b', 1, 9.8)],
+        weightTolerance: 0.01,
+      });
+
+      expect(items[0].result).toBe('matched');
+      expect(items[0].weighedQuantity).toBe(1);
+      expect(items[1].result).toBe('weight_mismatch');
+      expect(items[1].weightDifference).toBeCloseTo(-0.2, 3);
+    });
+
+    it('groups scans outside the snapshot into extras', () => {
+      const { extras, summary } = reconcileAudit({
+        items: [item('a', 1)],
+        counts: [
+          { code: 'XYZ', quantity: 1 },
+          { code: 'XYZ', quantity: 1 },
+          { code: 'R9', productId: 'p9', productCode: 'R9', quantity: 1, grossWeight: 4.5 },
+        ],
+      });
+
+      expect(summary.extra).toBe(2);
+      expect(summary.missing).toBe(1);
+      expect(extras).toEqual([
+        expect.objectContaining({ code: 'XYZ', productId: null, quantity: 2 }),
+        expect.objectContaining({ productCode: 'R9', quantity: 1, grossWeight: 4.5 }),
+      ]);
+    });
+
+    it('recomputes from scratch when a count is removed', () => {
+      const items = [item('a', 1)];
+      reconcileAudit({ items, counts: [count('a'), count('a')] });
+      expect(items[0].result).toBe('excess');
+
+      reconcileAudit({ items, counts: [count('a')] });
+      expect(items[0].result).toBe('matched');
+    });
+  });
+
+  describe('buildStockAuditReportData', () => {
+    const audit = {
+      auditNumber: 'AUD-26-0001',
+      auditType: 'year_end',
+      status: 'approved',
+      weightTolerance: 0.01,
+      items: [
+        { ...item('a', 1), categoryName: 'Rings', countedQuantity: 1, result: 'matched' },
+        {
+          ...item('b', 2),
+          categoryName: 'Chains',
+          countedQuantity: 1,
+          weighedQuantity: 1,
+          countedGrossWeight: 9.9,
+          result: 'short',
+          adjusted: true,
+        },
+      ],
+      extras: [{ code: 'XYZ', quantity: 1 }],
+      summary: { matched: 1, short: 1, shortageValue: 1000 },
+      startedBy: { firstName: 'Ravi', lastName: 'Kumar' },
+      approval: { signedOffBy: 'S. Mehta', designation: 'Auditor' },
+    };
+
+    it('lists only discrepancies with signed value', () => {
+      const data = buildStockAuditReportData({ audit, shop: { name: 'Test Jewellers' } });
+
+      expect(data.audit.discrepancies).toHaveLength(1);
+      expect(data.audit.discrepancies[0]).toMatchObject({
+        productCode: 'Pb',
+        value: -1000,
+        countedGrossWeight: 9.9,
+        adjusted: true,
+      });
+      expect(data.audit.scope.categories).toEqual(['Rings', 'Chains']);
+      expect(data.audit.startedBy).toBe('Ravi Kumar');
+      expect(data.audit.signedOffBy).toBe('S. Mehta');
+    });
+
+    it('fills the audit report template', async () => {
+      const data = buildStockAuditReportData({ audit, shop: { name: 'Test Jewellers' } });
+      const html = await fillTemplate(TEMPLATES.STOCK_AUDIT_REPORT, data);
+
+      expect(html).toContain('STOCK AUDIT REPORT');
+      expect(html).toContain('"auditNumber":"AUD-26-0001"');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import StockTransfer from '../../models/StockTransfer.js';
+import {
+  outstandingOf,
+  deriveTransferStatus,
+  hasDiscrepancy,
+  getTransfers,
+} from '../../api/stock-transfer/stockTransfer.service.js';
+import { buildDeliveryChallanData } from '../../invoices/renderer.js';
+
+const item = (quantity, counts = {}) => ({
+  quantity,
+  receivedQuantity: 0,
+  damagedQuantity: 0,
+  returnedQuantity: 0,
+  lostQuantity: 0,
+  ...counts,
+});
+
+describe('Stock Transfer', () => {
+  describe('outstandingOf', () => {
+    it('is the full quantity before anything arrives', () => {
+      expect(outstandingOf(item(5))).toBe(5);
+    });
+
+    it('subtracts received, damaged, returned and lost units', () => {
+      expect(
+        outstandingOf(
+          item(10, {
+            receivedQuantity: 4,
+            damagedQuantity: 1,
+            returnedQuantity: 2,
+            lostQuantity: 1,
+          })
+        )
+      ).toBe(2);
+    });
+
+    it('never goes below zero', () => {
+      expect(outstandingOf(item(2, { receivedQuantity: 3 }))).toBe(0);
+    });
+  });
+
+  describe('deriveTransferStatus', () => {
+    it('stays in_transit while nothing is received', () => {
+      expect(deriveTransferStatus([item(2), item(1)])).toBe('in_transit');
+    });
+
+    it('is partially_received when one line is short', () => {
+      expect(deriveTransferStatus([item(2, { receivedQuantity: 2 }), item(1)])).toBe(
+        'partially_received'
+      );
+    });
+
+    it('is received once every unit is accounted for, damaged included', () => {
+      expect(
+        deriveTransferStatus([
+          item(2, { receivedQuantity: 1, damagedQuantity: 1 }),
+          item(1, { receivedQuantity: 1 }),
+        ])
+      ).toBe('received');
+    });
+
+    it('counts closure returns and write-offs as settled', () => {
+      expect(
+        deriveTransferStatus([
+          item(3, { receivedQuantity: 1, returnedQuantity: 1, lostQuantity: 1 }),
+        ])
+      ).toBe('received');
+    });
+  });
+
+  describe('hasDiscrepancy', () => {
+    it('is false when everything arrived in good condition', () => {
+      expect(hasDiscrepancy([item(2, { receivedQuantity: 2 })])).toBe(false);
+    });
+
+    it('flags damaged, returned or lost units', () => {
+      expect(hasDiscrepancy([item(2, { receivedQuantity: 1, damagedQuantity: 1 })])).toBe(true);
+      expect(hasDiscrepancy([item(2, { receivedQuantity: 1, lostQuantity: 1 })])).toBe(true);
+    });
+  });
+
+  describe('buildDeliveryChallanData', () => {
+    const transfer = {
+      transferNumber: 'TRF-26-00001',
+      transferDate: new Date('2026-03-02'),
+      status: 'in_transit',
+      toShopDetails: { name: 'Branch 2', code: 'BR2', gstNumber: '27ABCDE1234F1Z5' },
+      transport: { mode: 'courier', trackingNumber: 'AWB123' },
+      items: [
+        item(2, { productName: 'Ring', productCode: 'PRD000001', netWeight: 4, unitValue: 25000 }),
+        item(1, {
+          productName: 'Chain',
+          productCode: 'PRD000002',
+          netWeight: 10,
+          unitValue: 60000,
+        }),
+      ],
+      dispatchedBy: { firstName: 'Suresh', lastName: 'Soni' },
+    };
+
+    it('values each line at cost and totals the challan', () => {
+      const data = buildDeliveryChallanData({ transfer, shop: { name: 'Main Shop' } });
+
+      expect(data.shop.name).toBe('Main Shop');
+      expect(data.transfer.toShop.name).toBe('Branch 2');
+      expect(data.transfer.items.map(i => i.value)).toEqual([50000, 60000]);
+      expect(data.transfer.totalQuantity).toBe(3);
+      expect(data.transfer.totalValue).toBe(110000);
+      expect(data.transfer.dispatchedBy).toBe('Suresh Soni');
+    });
+  });
+
+  describe('getTransfers', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('matches the search text literally', async () => {
+      const cursor = {
+        select: () => cursor,
+        sort: () => cursor,
+        skip: () => cursor,
+        limit: () => cursor,
+        lean: () => Promise.resolve([]),
+      };
+      const find = jest.spyOn(StockTransfer, 'find').mockReturnValue(cursor);
+      jest.spyOn(StockTransfer, 'countDocuments').mockResolvedValue(0);
+
+      await getTransfers('shop', 'org', { search: 'ST-(12' });
+
+      const searchRegex = find.mock.calls[0][0].$and[0].$or[0].transferNumber;
+      expect(searchRegex.test('ST-(12)')).toBe(true);
+      expect(searchRegex.test('ST-12')).toBe(false);
+    });
+  });
+});
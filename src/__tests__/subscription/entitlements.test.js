@@ -0,0 +1,206 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import {
+  GRACE_DAYS,
+  accessModeOf,
+  accessMessage,
+  featureAccess,
+  isFeatureEnabled,
+  usageLine,
+} from '../../subscription/entitlements.js';
+import { requireFeature } from '../../api/middlewares/auth.js';
+import schemeRouter from '../../api/scheme/scheme.routes.js';
+import { receivePurchase } from '../../api/purchase/purchase.service.js';
+import Purchase from '../../models/Purchase.js';
+import Product from '../../models/Product.js';
+import Organization from '../../models/Organization.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-15T10:00:00Z');
+const daysFromNow = days => new Date(now.getTime() + days * DAY);
+
+const org = subscription => ({ isActive: true, subscription });
+
+describe('Subscription Entitlements', () => {
+  describe('accessModeOf', () => {
+    it('gives full access during a running trial', () => {
+      expect(accessModeOf(org({ status: 'trial', trialEndsAt: daysFromNow(3) }), now).mode).toBe(
+        'full'
+      );
+    });
+
+    it('turns read-only right after the trial ends, blocked after the grace period', () => {
+      const justEnded = accessModeOf(org({ status: 'trial', trialEndsAt: daysFromNow(-1) }), now);
+      expect(justEnded.mode).toBe('read_only');
+      expect(justEnded.reason).toBe('trial_expired');
+      expect(justEnded.graceEndsAt).toEqual(daysFromNow(GRACE_DAYS - 1));
+
+      const longGone = accessModeOf(
+        org({ status: 'trial', trialEndsAt: daysFromNow(-GRACE_DAYS - 1) }),
+        now
+      );
+      expect(longGone.mode).toBe('blocked');
+    });
+
+    it('treats an active plan without end date as open-ended', () => {
+      expect(accessModeOf(org({ status: 'active' }), now).mode).toBe('full');
+    });
+
+    it('counts payment_pending grace from the payment due date', () => {
+      const pending = accessModeOf(
+        org({ status: 'payment_pending', nextPaymentDate: daysFromNow(-2) }),
+        now
+      );
+      expect(pending.mode).toBe('read_only');
+      expect(pending.reason).toBe('payment_pending');
+    });
+
+    it('blocks suspended / cancelled plans and inactive organizations', () => {
+      expect(accessModeOf(org({ status: 'suspended' }), now).mode).toBe('blocked');
+      expect(accessModeOf(org({ status: 'cancelled' }), now).mode).toBe('blocked');
+      expect(accessModeOf({ isActive: false, subscription: { status: 'active' } }, now).mode).toBe(
+        'blocked'
+      );
+    });
+  });
+
+  describe('accessMessage', () => {
+    it('is null with full access', () => {
+      expect(accessMessage({ mode: 'full', reason: 'active', graceEndsAt: null })).toBeNull();
+    });
+
+    it('tells read-only users until when', () => {
+      const message = accessMessage({
+        mode: 'read_only',
+        reason: 'payment_pending',
+        graceEndsAt: new Date('2026-06-20T00:00:00Z'),
+      });
+      expect(message).toContain('payment is pending');
+      expect(message).toContain('read-only until 2026-06-20');
+    });
+  });
+
+  describe('featureAccess', () => {
+    const organization = org({ features: { schemeManagement: true, multiShop: false } });
+
+    it('needs both the plan and the shop to allow it', () => {
+      expect(
+        isFeatureEnabled('schemeManagement', {
+          organization,
+          shop: { features: { schemeManagement: true } },
+        })
+      ).toBe(true);
+      expect(
+        featureAccess('schemeManagement', {
+          organization,
+          shop: { features: { schemeManagement: false } },
+        })
+      ).toEqual({ enabled: false, blockedBy: 'shop' });
+    });
+
+    it('reports the plan when the plan has it off', () => {
+      expect(featureAccess('multiShop', { organization })).toEqual({
+        enabled: false,
+        blockedBy: 'plan',
+      });
+    });
+
+    it('uses the shop toggle alone for shop-only flags', () => {
+      expect(
+        isFeatureEnabled('customerManagement', {
+          organization,
+          shop: { features: { customerManagement: true } },
+        })
+      ).toBe(true);
+    });
+
+    it('denies flags nobody defines', () => {
+      expect(featureAccess('teleportation', { organization }).blockedBy).toBe('unknown');
+    });
+
+    it('allows shop-only flags on org-wide routes with no shop in scope', () => {
+      expect(featureAccess('reports', { organization })).toEqual({
+        enabled: true,
+        blockedBy: null,
+      });
+      expect(
+        featureAccess('reports', { organization, shop: { features: { reports: false } } })
+      ).toEqual({ enabled: false, blockedBy: 'shop' });
+    });
+
+    it('lets an org admin through the org-wide reports gate', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+
+      await requireFeature('reports')(
+        { user: { role: 'org_admin' }, organization, params: {} },
+        res,
+        next
+      );
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('gates only scheme routes, not every /shops API mounted after them', () => {
+      const routerWide = schemeRouter.stack.filter(layer => !layer.route).map(layer => layer.name);
+      expect(routerWide).toEqual(['authenticate']);
+    });
+  });
+
+  describe('usageLine', () => {
+    it('reports remaining and percent used', () => {
+      expect(usageLine(3, 5)).toEqual({
+        used: 3,
+        limit: 5,
+        remaining: 2,
+        percentUsed: 60,
+        exceeded: false,
+      });
+    });
+
+    it('flags usage above a lowered limit', () => {
+      expect(usageLine(4, 2)).toMatchObject({ remaining: 0, exceeded: true });
+    });
+  });
+
+  describe('product limit on purchase receive', () => {
+    // Query jaisa — .session() / .lean() chain, await pe value
+    const query = value => ({
+      session: () => query(value),
+      lean: () => query(value),
+      then: resolve => resolve(value),
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('refuses the receive before commit when new products would cross the limit', async () => {
+      const purchase = {
+        status: 'pending',
+        purchaseType: 'new_stock',
+        delivery: {},
+        // Do nayi lines, ek existing product ka restock
+        items: [{ productId: null }, { productId: null }, { productId: 'product-1' }],
+        save: jest.fn(),
+      };
+      const session = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+      };
+      jest.spyOn(Purchase, 'findOne').mockReturnValue(query(purchase));
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest
+        .spyOn(Organization, 'findById')
+        .mockReturnValue(query({ _id: 'org-1', subscription: { plan: 'basic', maxProducts: 10 } }));
+      jest.spyOn(Product, 'countDocuments').mockReturnValue(query(9));
+
+      await expect(receivePurchase('purchase-1', 'shop-1', 'org-1', {}, 'user-1')).rejects.toThrow(
+        'Plan limit reached: 9/10 products'
+      );
+      expect(purchase.save).not.toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import CreditNote from '../../models/CreditNote.js';
+import {
+  buildNoteItems,
+  isInvoicedSale,
+  getCreditNotes,
+} from '../../api/tax-notes/taxNote.service.js';
+
+// 2 rings @ 30000 taxable + 900 GST each, 1 chain @ 50000 + 1500
+const saleItems = [
+  {
+    _id: '65f000000000000000000001',
+    productId: '65f0000000000000000000a1',
+    productName: 'Ring',
+    hsnCode: '7113',
+    quantity: 2,
+    netWeight: 5,
+    taxableAmount: 30000,
+    gstPercentage: 3,
+    totalGst: 900,
+  },
+  {
+    _id: '65f000000000000000000002',
+    productId: '65f0000000000000000000a2',
+    productName: 'Chain',
+    hsnCode: '7113',
+    quantity: 1,
+    netWeight: 8,
+    taxableAmount: 50000,
+    gstPercentage: 3,
+    totalGst: 1500,
+  },
+];
+
+describe('Credit / Debit Notes', () => {
+  describe('buildNoteItems', () => {
+    it('should copy every item when nothing is selected', () => {
+      const items = buildNoteItems(saleItems, null, { refField: 'saleItemId' });
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toMatchObject({
+        saleItemId: '65f000000000000000000001',
+        quantity: 2,
+        taxableAmount: 30000,
+        cgst: 450,
+        sgst: 450,
+        igst: 0,
+        totalGst: 900,
+      });
+    });
+
+    it('should reverse inter-state tax as IGST', () => {
+      const [chain] = buildNoteItems(saleItems, [{ productId: '65f0000000000000000000a2' }], {
+        isInterState: true,
+        refField: 'saleItemId',
+      });
+
+      expect(chain).toMatchObject({ productName: 'Chain', quantity: 1, igst: 1500, cgst: 0 });
+    });
+
+    it('should take a partial quantity by sale item id', () => {
+      const [ring] = buildNoteItems(
+        saleItems,
+        [{ itemId: '65f000000000000000000001', quantity: 1 }],
+        { refField: 'saleItemId' }
+      );
+
+      expect(ring.quantity).toBe(1);
+    });
+
+    it('should read purchase gstAmount as the item tax', () => {
+      const [item] = buildNoteItems(
+        [{ _id: 'p1', productName: 'Bangle', quantity: 1, taxableAmount: 100000, gstAmount: 3000 }],
+        null,
+        { refField: 'purchaseItemId' }
+      );
+
+      expect(item).toMatchObject({ purchaseItemId: 'p1', totalGst: 3000, cgst: 1500 });
+    });
+
+    it('should reject items that are not on the bill or too many pieces', () => {
+      expect(() =>
+        buildNoteItems(saleItems, [{ productId: '65f0000000000000000000ff' }], {
+          refField: 'saleItemId',
+        })
+      ).toThrow('not on the original bill');
+
+      expect(() =>
+        buildNoteItems(saleItems, [{ itemId: '65f000000000000000000002', quantity: 2 }], {
+          refField: 'saleItemId',
+        })
+      ).toThrow('between 1 and 1');
+    });
+  });
+
+  describe('isInvoicedSale', () => {
+    it('should skip drafts, pending sales and estimates', () => {
+      expect(isInvoicedSale({ status: 'confirmed', saleType: 'retail' })).toBe(true);
+      expect(isInvoicedSale({ status: 'draft', saleType: 'retail' })).toBe(false);
+      expect(isInvoicedSale({ status: 'pending', saleType: 'retail' })).toBe(false);
+      expect(isInvoicedSale({ status: 'completed', saleType: 'estimate' })).toBe(false);
+    });
+  });
+
+  describe('getCreditNotes', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should search the typed text literally and page through the shared paginator', async () => {
+      const cursor = {
+        sort: () => cursor,
+        skip: () => cursor,
+        limit: () => cursor,
+        then: resolve => resolve([{ creditNoteNumber: 'CN-(1)' }]),
+      };
+      jest.spyOn(CreditNote, 'countDocuments').mockResolvedValue(21);
+      const find = jest.spyOn(CreditNote, 'find').mockReturnValue(cursor);
+
+      const result = await getCreditNotes('shop', 'org', { search: 'CN-(1', page: '3' });
+
+      const [query] = find.mock.calls[0];
+      expect(query.$or[0].creditNoteNumber.test('CN-(1)')).toBe(true);
+      expect(query.$or[0].creditNoteNumber.test('CN-1')).toBe(false);
+      expect(result.data).toHaveLength(1);
+      expect(result.pagination).toMatchObject({ totalDocs: 21, currentPage: 3, totalPages: 3 });
+    });
+  });
+});
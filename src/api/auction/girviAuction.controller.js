@@ -0,0 +1,325 @@
+import { validationResult } from 'express-validator';
+import * as girviAuctionService from './girviAuction.service.js';
+import {
+  sendSuccess,
+  sendCreated,
+  sendBadRequest,
+  sendNotFound,
+  sendConflict,
+  sendInternalError,
+} from '../../utils/sendResponse.js';
+import logger from '../../utils/logger.js';
+import eventLogger from '../../utils/eventLogger.js';
+
+// ─── Send Legal Notice ─────────────────────────────────────────────────────────
+export const sendAuctionNotice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+
+    const { auction } = await girviAuctionService.sendAuctionNotice(
+      girviId,
+      shopId,
+      req.body,
+      req.user._id
+    );
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'auction_notice',
+      module: 'girvi_auction',
+      description: `Auction notice sent: ${auction.auctionNumber} for ${auction.girviNumber}`,
+      level: 'info',
+      status: 'success',
+      metadata: {
+        auctionId: auction._id,
+        auctionNumber: auction.auctionNumber,
+        girviId,
+        noticeExpiryDate: auction.notice.noticeExpiryDate,
+        amountDueAtNotice: auction.notice.amountDueAtNotice,
+      },
+      ipAddress: req.ip,
+    });
+
+    return sendCreated(res, 'Auction notice recorded successfully', { auction });
+  } catch (error) {
+    logger.error('Error sending auction notice', {
+      error: error.message,
+      girviId: req.params.girviId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+    if (error.name === 'ConflictError') return sendConflict(res, error.message);
+
+    return sendInternalError(res, 'Failed to send auction notice', error);
+  }
+};
+
+// ─── Get Auction ───────────────────────────────────────────────────────────────
+export const getAuction = async (req, res) => {
+  try {
+    const { shopId, girviId } = req.params;
+
+    const result = await girviAuctionService.getAuctionByGirvi(girviId, shopId);
+
+    return sendSuccess(res, 200, 'Auction fetched successfully', {
+      auction: result.current,
+      history: result.history,
+    });
+  } catch (error) {
+    logger.error('Error fetching auction', { error: error.message, girviId: req.params.girviId });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+
+    return sendInternalError(res, 'Failed to fetch auction', error);
+  }
+};
+
+// ─── Settlement Preview ────────────────────────────────────────────────────────
+export const getSettlementPreview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+    const { auctionDate, totalSaleValue, auctionExpenses, interestType } = req.query;
+
+    const preview = await girviAuctionService.getSettlementPreview(girviId, shopId, {
+      auctionDate,
+      totalSaleValue,
+      auctionExpenses,
+      interestType,
+    });
+
+    return sendSuccess(res, 200, 'Settlement preview calculated successfully', { preview });
+  } catch (error) {
+    logger.error('Error calculating auction settlement', {
+      error: error.message,
+      girviId: req.params.girviId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+
+    return sendInternalError(res, 'Failed to calculate settlement', error);
+  }
+};
+
+// ─── Record Auction ────────────────────────────────────────────────────────────
+export const recordAuction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+
+    const result = await girviAuctionService.recordAuction(girviId, shopId, req.body, req.user._id);
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'auction_record',
+      module: 'girvi_auction',
+      description: `Girvi auctioned: ${result.girvi.girviNumber} for ₹${result.auction.totalSaleValue}`,
+      level: 'info',
+      status: 'success',
+      metadata: {
+        auctionId: result.auction._id,
+        auctionNumber: result.auction.auctionNumber,
+        girviId,
+        totalSaleValue: result.auction.totalSaleValue,
+        interestRecovered: result.settlement.interestRecovered,
+        principalRecovered: result.settlement.principalRecovered,
+        shortfall: result.settlement.shortfall,
+        surplusAmount: result.settlement.surplusAmount,
+      },
+      ipAddress: req.ip,
+    });
+
+    logger.info('Girvi auctioned', {
+      auctionId: result.auction._id,
+      girviId,
+      shopId,
+      userId: req.user._id,
+    });
+
+    return sendSuccess(res, 200, 'Auction recorded successfully', {
+      auction: result.auction,
+      girvi: result.girvi,
+      payment: result.payment,
+      settlement: result.settlement,
+    });
+  } catch (error) {
+    logger.error('Error recording auction', { error: error.message, girviId: req.params.girviId });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to record auction', error);
+  }
+};
+
+// ─── Refund Surplus ────────────────────────────────────────────────────────────
+export const refundSurplus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+
+    const auction = await girviAuctionService.refundSurplus(
+      girviId,
+      shopId,
+      req.body,
+      req.user._id
+    );
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'auction_surplus_refund',
+      module: 'girvi_auction',
+      description: `Auction surplus ₹${auction.surplusRefund.amount} refunded: ${auction.auctionNumber}`,
+      level: 'info',
+      status: 'success',
+      metadata: {
+        auctionId: auction._id,
+        girviId,
+        amount: auction.surplusRefund.amount,
+        paymentMode: auction.surplusRefund.paymentMode,
+      },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Surplus refunded successfully', { auction });
+  } catch (error) {
+    logger.error('Error refunding auction surplus', {
+      error: error.message,
+      girviId: req.params.girviId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to refund surplus', error);
+  }
+};
+
+// ─── Cancel Notice ─────────────────────────────────────────────────────────────
+export const cancelAuction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+
+    const auction = await girviAuctionService.cancelAuction(
+      girviId,
+      shopId,
+      req.body.reason,
+      req.user._id
+    );
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'auction_cancel',
+      module: 'girvi_auction',
+      description: `Auction notice cancelled: ${auction.auctionNumber}`,
+      level: 'warn',
+      status: 'success',
+      metadata: { auctionId: auction._id, girviId, reason: req.body.reason },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Auction notice cancelled successfully', { auction });
+  } catch (error) {
+    logger.error('Error cancelling auction', { error: error.message, girviId: req.params.girviId });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+
+    return sendInternalError(res, 'Failed to cancel auction', error);
+  }
+};
+
+// ─── Shop Auctions ─────────────────────────────────────────────────────────────
+export const getShopAuctions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId } = req.params;
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      surplusStatus,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const result = await girviAuctionService.getShopAuctions(
+      shopId,
+      { status, surplusStatus, startDate, endDate },
+      { page: parseInt(page), limit: parseInt(limit), sort }
+    );
+
+    return sendSuccess(
+      res,
+      200,
+      'Auctions fetched successfully',
+      { auctions: result.data },
+      { pagination: result.pagination }
+    );
+  } catch (error) {
+    logger.error('Error fetching shop auctions', {
+      error: error.message,
+      shopId: req.params.shopId,
+    });
+    return sendInternalError(res, 'Failed to fetch auctions', error);
+  }
+};
+
+// ─── Eligible for Notice ───────────────────────────────────────────────────────
+export const getEligibleGirvis = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId } = req.params;
+    const asOfDate = req.query.asOfDate ? new Date(req.query.asOfDate) : new Date();
+
+    const girvis = await girviAuctionService.getEligibleGirvis(shopId, asOfDate);
+
+    return sendSuccess(res, 200, 'Eligible girvis fetched successfully', {
+      girvis,
+      count: girvis.length,
+      asOfDate,
+    });
+  } catch (error) {
+    logger.error('Error fetching auction-eligible girvis', {
+      error: error.message,
+      shopId: req.params.shopId,
+    });
+    return sendInternalError(res, 'Failed to fetch eligible girvis', error);
+  }
+};
+
+export default {
+  sendAuctionNotice,
+  getAuction,
+  getSettlementPreview,
+  recordAuction,
+  refundSurplus,
+  cancelAuction,
+  getShopAuctions,
+  getEligibleGirvis,
+};
@@ -0,0 +1,171 @@
+import express from 'express';
+import {
+  sendAuctionNotice,
+  getAuction,
+  getSettlementPreview,
+  recordAuction,
+  refundSurplus,
+  cancelAuction,
+  getShopAuctions,
+  getEligibleGirvis,
+} from './girviAuction.controller.js';
+import {
+  shopIdValidation,
+  girviIdValidation,
+  sendNoticeValidation,
+  settlementPreviewValidation,
+  recordAuctionValidation,
+  surplusRefundValidation,
+  cancelAuctionValidation,
+  getShopAuctionsValidation,
+  getEligibleValidation,
+} from './girviAuction.validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { rateLimiter } from '../middlewares/rateLimiter.js';
+
+// ─── Girvi-level Auction Router
+// Mounted at: /api/v1/shops/:shopId/girvi/:girviId/auction
+export const girviAuctionRouter = express.Router({ mergeParams: true });
+
+girviAuctionRouter.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi/:girviId/auction
+ * @desc    Get current auction and auction history for a girvi
+ * @access  Private (All staff)
+ */
+girviAuctionRouter.get(
+  '/',
+  shopIdValidation,
+  girviIdValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 100, windowMs: 60000 }),
+  getAuction
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/girvi/:girviId/auction/notice
+ * @desc    Record legal notice for a loan past due date + grace period
+ * @access  Private (Admin, Manager)
+ */
+girviAuctionRouter.post(
+  '/notice',
+  shopIdValidation,
+  girviIdValidation,
+  sendNoticeValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  sendAuctionNotice
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi/:girviId/auction/settlement-preview
+ * @desc    Preview how auction proceeds will settle principal + interest
+ * @access  Private (Admin, Manager, Accountant)
+ */
+girviAuctionRouter.get(
+  '/settlement-preview',
+  shopIdValidation,
+  girviIdValidation,
+  settlementPreviewValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 50, windowMs: 60000 }),
+  getSettlementPreview
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/girvi/:girviId/auction/record
+ * @desc    Record auction bids, buyers and sale values, then settle the loan
+ * @access  Private (Admin, Manager)
+ */
+girviAuctionRouter.post(
+  '/record',
+  shopIdValidation,
+  girviIdValidation,
+  recordAuctionValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  recordAuction
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/girvi/:girviId/auction/surplus-refund
+ * @desc    Pay auction surplus back to the customer
+ * @access  Private (Admin, Manager)
+ */
+girviAuctionRouter.patch(
+  '/surplus-refund',
+  shopIdValidation,
+  girviIdValidation,
+  surplusRefundValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  refundSurplus
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/girvi/:girviId/auction/cancel
+ * @desc    Withdraw a pending auction notice
+ * @access  Private (Admin only)
+ */
+girviAuctionRouter.patch(
+  '/cancel',
+  shopIdValidation,
+  girviIdValidation,
+  cancelAuctionValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  cancelAuction
+);
+
+// ─── Shop-level Auction Router
+// Mounted at: /api/v1/shops/:shopId/girvi-auctions
+export const shopAuctionRouter = express.Router({ mergeParams: true });
+
+shopAuctionRouter.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi-auctions/eligible
+ * @desc    Loans past due date + grace period with no open auction
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopAuctionRouter.get(
+  '/eligible',
+  getEligibleValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getEligibleGirvis
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi-auctions
+ * @desc    Get all girvi auctions for shop
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopAuctionRouter.get(
+  '/',
+  getShopAuctionsValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 50, windowMs: 60000 }),
+  getShopAuctions
+);
+
+export default girviAuctionRouter;
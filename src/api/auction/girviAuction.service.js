@@ -0,0 +1,640 @@
+import mongoose from 'mongoose';
+import Girvi from '../../models/Girvi.js';
+import GirviAuction from '../../models/GirviAuction.js';
+import GirviPayment from '../../models/GirviPayment.js';
+import GirviCashbook from '../../models/GirviCashbook.js';
+import Customer from '../../models/Customer.js';
+import JewelryShop from '../../models/Shop.js';
+import cache from '../../utils/cache.js';
+import { paginate } from '../../utils/pagination.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../utils/AppError.js';
+import { calculateInterestAmount, invalidateGirviCache } from '../girvi/girvi.service.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_NOTICE_PERIOD_DAYS = 15;
+
+const round2 = value => parseFloat((value || 0).toFixed(2));
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+export const getEffectiveDueDate = girvi => {
+  if (!girvi.dueDate) return null;
+  return new Date(new Date(girvi.dueDate).getTime() + (girvi.gracePeriodDays || 0) * DAY_MS);
+};
+
+export const isEligibleForNotice = (girvi, asOfDate = new Date()) => {
+  if (!['active', 'overdue', 'partial_released'].includes(girvi.status)) return false;
+  if (girvi.isTransferred) return false;
+  const effectiveDueDate = getEffectiveDueDate(girvi);
+  return !!effectiveDueDate && new Date(asOfDate) > effectiveDueDate;
+};
+
+/**
+ * Apply auction proceeds against girvi dues.
+ * Deductions (notice + auction charges) come off first, then interest, then principal.
+ * Whatever is left is surplus owed back to the customer.
+ */
+export const calculateAuctionSettlement = ({
+  outstandingPrincipal = 0,
+  interestDue = 0,
+  totalSaleValue = 0,
+  noticeCharges = 0,
+  auctionExpenses = 0,
+}) => {
+  const totalDeductions = round2(noticeCharges + auctionExpenses);
+  const netProceeds = round2(Math.max(0, totalSaleValue - totalDeductions));
+  const interestRecovered = round2(Math.min(netProceeds, interestDue));
+  const principalRecovered = round2(
+    Math.min(netProceeds - interestRecovered, outstandingPrincipal)
+  );
+  const totalDue = round2(outstandingPrincipal + interestDue);
+
+  return {
+    outstandingPrincipal: round2(outstandingPrincipal),
+    interestDue: round2(interestDue),
+    totalDue,
+    totalDeductions,
+    netProceeds,
+    interestRecovered,
+    principalRecovered,
+    shortfall: round2(Math.max(0, totalDue - interestRecovered - principalRecovered)),
+    surplusAmount: round2(Math.max(0, netProceeds - interestRecovered - principalRecovered)),
+  };
+};
+
+const getActiveItems = girvi =>
+  girvi.items.filter(item => item.itemStatus !== 'released' && item.itemStatus !== 'auctioned');
+
+const calculateInterestDue = (girvi, toDate, interestType) =>
+  calculateInterestAmount({
+    principal: girvi.outstandingPrincipal || girvi.principalAmount,
+    interestRate: girvi.interestRate,
+    interestType: interestType || girvi.interestType,
+    calculationBasis: girvi.calculationBasis,
+    fromDate: girvi.lastInterestCalcDate || girvi.girviDate,
+    toDate,
+  });
+
+const findGirvi = async (girviId, shopId, session = null) => {
+  const query = Girvi.findOne({ _id: girviId, shopId, deletedAt: null });
+  if (session) query.session(session);
+  const girvi = await query;
+  if (!girvi) throw new NotFoundError('Girvi not found');
+  return girvi;
+};
+
+// ─── Send Legal Notice ─────────────────────────────────────────────────────────
+export const sendAuctionNotice = async (girviId, shopId, noticeData, userId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const girvi = await findGirvi(girviId, shopId, session);
+    const noticeDate = noticeData.noticeDate ? new Date(noticeData.noticeDate) : new Date();
+
+    if (!isEligibleForNotice(girvi, noticeDate)) {
+      throw new ValidationError(
+        'Girvi is not eligible for auction notice. It must be active and past due date plus grace period'
+      );
+    }
+
+    const existing = await GirviAuction.findOpenByGirvi(girviId).session(session);
+    if (existing) {
+      throw new ConflictError(`Auction ${existing.auctionNumber} is already open for this girvi`);
+    }
+
+    const shop = await JewelryShop.findById(shopId).session(session);
+    const customer = await Customer.findById(girvi.customerId).session(session);
+
+    const noticePeriodDays = parseInt(
+      noticeData.noticePeriodDays ??
+        shop?.settings?.girviNoticePeriodDays ??
+        DEFAULT_NOTICE_PERIOD_DAYS
+    );
+    const noticeExpiryDate = new Date(noticeDate.getTime() + noticePeriodDays * DAY_MS);
+    const noticeCharges = parseFloat(noticeData.noticeCharges || 0);
+
+    const { interest } = calculateInterestDue(girvi, noticeDate);
+    const auctionNumber = await GirviAuction.generateAuctionNumber(shopId);
+
+    const [auction] = await GirviAuction.create(
+      [
+        {
+          girviId,
+          organizationId: girvi.organizationId,
+          shopId,
+          customerId: girvi.customerId,
+          auctionNumber,
+          girviNumber: girvi.girviNumber,
+          status: 'notice_sent',
+          notice: {
+            noticeDate,
+            noticePeriodDays,
+            noticeExpiryDate,
+            noticeMode: noticeData.noticeMode || 'registered_post',
+            noticeReference: noticeData.noticeReference,
+            noticeCharges,
+            paymentMode: noticeData.paymentMode || 'cash',
+            effectiveDueDate: getEffectiveDueDate(girvi),
+            amountDueAtNotice: round2(girvi.outstandingPrincipal + interest),
+            remarks: noticeData.remarks,
+            issuedBy: userId,
+          },
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    if (girvi.status === 'active') {
+      girvi.status = 'overdue';
+    }
+    girvi.updatedBy = userId;
+    await girvi.save({ session });
+
+    if (noticeCharges > 0) {
+      await GirviCashbook.createEntry({
+        shopId,
+        organizationId: girvi.organizationId,
+        entryType: 'auction_expense',
+        flowType: 'outflow',
+        amount: noticeCharges,
+        paymentMode: noticeData.paymentMode || 'cash',
+        transactionReference: noticeData.noticeReference,
+        breakdown: { netAmount: noticeCharges },
+        girviId,
+        auctionId: auction._id,
+        customerId: girvi.customerId,
+        girviNumber: girvi.girviNumber,
+        customerName: customer?.fullName,
+        customerPhone: customer?.phone,
+        entryDate: noticeDate,
+        createdBy: userId,
+        remarks: `Auction notice charges: ${girvi.girviNumber}`,
+      });
+    }
+
+    await session.commitTransaction();
+    await invalidateAuctionCache(shopId, girviId);
+
+    return { auction, girvi };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Get Auction for a Girvi ───────────────────────────────────────────────────
+export const getAuctionByGirvi = async (girviId, shopId) => {
+  const cacheKey = `girvi-auction:${girviId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const auctions = await GirviAuction.find({ girviId, shopId, deletedAt: null })
+    .sort({ createdAt: -1 })
+    .populate('customerId', 'firstName lastName phone customerCode address')
+    .populate('notice.issuedBy', 'firstName lastName')
+    .populate('recordedBy', 'firstName lastName')
+    .lean();
+
+  if (!auctions.length) throw new NotFoundError('No auction found for this girvi');
+
+  const result = {
+    current: auctions.find(a => ['notice_sent', 'auctioned'].includes(a.status)) || auctions[0],
+    history: auctions,
+  };
+
+  await cache.set(cacheKey, result, 600);
+  return result;
+};
+
+// ─── Settlement Preview ────────────────────────────────────────────────────────
+export const getSettlementPreview = async (girviId, shopId, options = {}) => {
+  const girvi = await findGirvi(girviId, shopId);
+  const auction = await GirviAuction.findOpenByGirvi(girviId);
+  if (!auction || auction.status !== 'notice_sent') {
+    throw new NotFoundError('No pending auction notice found for this girvi');
+  }
+
+  const auctionDate = options.auctionDate ? new Date(options.auctionDate) : new Date();
+  const interestType = options.interestType || girvi.interestType;
+  const { interest, days } = calculateInterestDue(girvi, auctionDate, interestType);
+
+  const settlement = calculateAuctionSettlement({
+    outstandingPrincipal: girvi.outstandingPrincipal,
+    interestDue: interest,
+    totalSaleValue: parseFloat(options.totalSaleValue || 0),
+    noticeCharges: auction.notice.noticeCharges,
+    auctionExpenses: parseFloat(options.auctionExpenses || 0),
+  });
+
+  const activeItems = getActiveItems(girvi);
+
+  return {
+    girviId,
+    girviNumber: girvi.girviNumber,
+    auctionNumber: auction.auctionNumber,
+    auctionDate,
+    noticeExpiryDate: auction.notice.noticeExpiryDate,
+    canRecordAuction: auctionDate >= auction.notice.noticeExpiryDate,
+    interestType,
+    interestDays: days,
+    items: activeItems.map(item => ({
+      itemId: item._id,
+      itemName: item.itemName,
+      itemType: item.itemType,
+      quantity: item.quantity - (item.releasedQuantity || 0),
+      netWeight: item.netWeight,
+      bookValue: item.finalValue || item.approxValue || 0,
+    })),
+    minimumSaleValueToClear: round2(settlement.totalDue + settlement.totalDeductions),
+    settlement,
+  };
+};
+
+// ─── Record Auction & Settle ───────────────────────────────────────────────────
+export const recordAuction = async (girviId, shopId, auctionData, userId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const girvi = await findGirvi(girviId, shopId, session);
+
+    const auction = await GirviAuction.findOpenByGirvi(girviId).session(session);
+    if (!auction || auction.status !== 'notice_sent') {
+      throw new NotFoundError('No pending auction notice found for this girvi');
+    }
+
+    const auctionDate = new Date(auctionData.auctionDate);
+
+    // Notice ke baad renew / payment hua ho to loan ab chaalu ya band hai — becho mat
+    if (!isEligibleForNotice(girvi, auctionDate)) {
+      throw new ValidationError(
+        `Girvi is no longer overdue (status: ${girvi.status}) — cancel the auction notice instead`
+      );
+    }
+
+    if (auctionDate < auction.notice.noticeExpiryDate) {
+      throw new ValidationError(
+        `Notice period has not ended. Auction allowed on or after ${auction.notice.noticeExpiryDate.toDateString()}`
+      );
+    }
+
+    const customer = await Customer.findById(girvi.customerId).session(session);
+
+    // Every item still pledged must be sold in the auction
+    const activeItems = getActiveItems(girvi);
+    const lotItemIds = auctionData.lots.map(lot => String(lot.itemId));
+    const missing = activeItems.filter(item => !lotItemIds.includes(String(item._id)));
+    if (missing.length) {
+      throw new ValidationError(
+        `Auction must include all pledged items. Missing: ${missing.map(i => i.itemName).join(', ')}`
+      );
+    }
+
+    const lots = auctionData.lots.map(lot => {
+      const item = girvi.items.id(lot.itemId);
+      if (!item) throw new ValidationError(`Item ${lot.itemId} not found in girvi`);
+      if (item.itemStatus === 'released' || item.itemStatus === 'auctioned') {
+        throw new ValidationError(`Item "${item.itemName}" is not available for auction`);
+      }
+
+      const bids = lot.bids || [];
+      const highestBid = bids.reduce((max, bid) => Math.max(max, parseFloat(bid.amount) || 0), 0);
+      const saleValue = parseFloat(lot.saleValue ?? highestBid);
+      if (!(saleValue > 0)) {
+        throw new ValidationError(`Sale value is required for item "${item.itemName}"`);
+      }
+
+      return {
+        itemId: item._id,
+        itemName: item.itemName,
+        itemType: item.itemType,
+        quantity: item.quantity - (item.releasedQuantity || 0),
+        netWeight: item.netWeight,
+        tunch: item.tunch,
+        bookValue: item.finalValue || item.approxValue || 0,
+        bids,
+        buyerName: lot.buyerName,
+        buyerPhone: lot.buyerPhone,
+        buyerAddress: lot.buyerAddress,
+        saleValue,
+      };
+    });
+
+    const totalSaleValue = round2(lots.reduce((sum, lot) => sum + lot.saleValue, 0));
+    const auctionExpenses = parseFloat(auctionData.auctionExpenses || 0);
+    const interestType = auctionData.interestType || girvi.interestType;
+    const interestFrom = girvi.lastInterestCalcDate || girvi.girviDate;
+    const { interest: interestDue, days: interestDays } = calculateInterestDue(
+      girvi,
+      auctionDate,
+      interestType
+    );
+
+    const settlement = calculateAuctionSettlement({
+      outstandingPrincipal: girvi.outstandingPrincipal,
+      interestDue,
+      totalSaleValue,
+      noticeCharges: auction.notice.noticeCharges,
+      auctionExpenses,
+    });
+
+    const paymentMode = auctionData.paymentMode || 'cash';
+    const principalBefore = girvi.outstandingPrincipal;
+    const principalAfter = round2(Math.max(0, principalBefore - settlement.principalRecovered));
+
+    // Payment record so the recovery shows up in girvi payment history
+    const receiptNumber = await GirviPayment.generateReceiptNumber(shopId);
+    const [payment] = await GirviPayment.create(
+      [
+        {
+          girviId,
+          organizationId: girvi.organizationId,
+          shopId,
+          customerId: girvi.customerId,
+          receiptNumber,
+          paymentType: 'auction_settlement',
+          interestType,
+          interestRate: girvi.interestRate,
+          interestFrom,
+          interestTo: auctionDate,
+          interestDays,
+          interestCalculated: interestDue,
+          interestReceived: settlement.interestRecovered,
+          principalReceived: settlement.principalRecovered,
+          discountGiven: 0,
+          netAmountReceived: round2(settlement.interestRecovered + settlement.principalRecovered),
+          paymentDate: auctionDate,
+          paymentMode,
+          transactionReference: auctionData.transactionReference,
+          principalBefore,
+          principalAfter,
+          outstandingBefore: round2(principalBefore + interestDue),
+          outstandingAfter: settlement.shortfall,
+          createdBy: userId,
+          remarks: `Recovered from auction ${auction.auctionNumber}`,
+        },
+      ],
+      { session }
+    );
+
+    // Update auction
+    auction.status = settlement.surplusAmount > 0 ? 'auctioned' : 'completed';
+    auction.auctionDate = auctionDate;
+    auction.auctionVenue = auctionData.auctionVenue;
+    auction.auctioneerName = auctionData.auctioneerName;
+    auction.lots = lots;
+    auction.totalSaleValue = totalSaleValue;
+    auction.auctionExpenses = auctionExpenses;
+    auction.proceedsPaymentMode = paymentMode;
+    auction.proceedsReference = auctionData.transactionReference;
+    auction.settlement = {
+      interestType,
+      interestFrom,
+      interestTo: auctionDate,
+      ...settlement,
+    };
+    auction.paymentId = payment._id;
+    auction.surplusStatus = settlement.surplusAmount > 0 ? 'pending' : 'none';
+    auction.recordedBy = userId;
+    auction.updatedBy = userId;
+    await auction.save({ session });
+
+    // Update girvi — closed by auction
+    lots.forEach(lot => {
+      const item = girvi.items.id(lot.itemId);
+      item.itemStatus = 'auctioned';
+    });
+    girvi.status = 'auctioned';
+    girvi.auctionId = auction._id;
+    girvi.auctionDate = auctionDate;
+    girvi.totalInterestPaid += settlement.interestRecovered;
+    girvi.totalPrincipalPaid += settlement.principalRecovered;
+    girvi.outstandingPrincipal = principalAfter;
+    girvi.accruedInterest = round2(Math.max(0, interestDue - settlement.interestRecovered));
+    girvi.lastInterestCalcDate = auctionDate;
+    girvi.updatedBy = userId;
+    await girvi.save({ session });
+
+    // Cashbook entries
+    const cashbookBase = {
+      shopId,
+      organizationId: girvi.organizationId,
+      paymentMode,
+      transactionReference: auctionData.transactionReference,
+      girviId,
+      auctionId: auction._id,
+      paymentId: payment._id,
+      customerId: girvi.customerId,
+      girviNumber: girvi.girviNumber,
+      customerName: customer?.fullName,
+      customerPhone: customer?.phone,
+      entryDate: auctionDate,
+      createdBy: userId,
+    };
+
+    await GirviCashbook.createEntry({
+      ...cashbookBase,
+      entryType: 'auction_received',
+      flowType: 'inflow',
+      amount: totalSaleValue,
+      breakdown: {
+        principalAmount: settlement.principalRecovered,
+        interestAmount: settlement.interestRecovered,
+        netAmount: totalSaleValue,
+      },
+      remarks: `Auction proceeds ${auction.auctionNumber}: ${girvi.girviNumber}`,
+    });
+
+    if (auctionExpenses > 0) {
+      await GirviCashbook.createEntry({
+        ...cashbookBase,
+        entryType: 'auction_expense',
+        flowType: 'outflow',
+        amount: auctionExpenses,
+        breakdown: { netAmount: auctionExpenses },
+        remarks: `Auction expenses ${auction.auctionNumber}: ${girvi.girviNumber}`,
+      });
+    }
+
+    await session.commitTransaction();
+    await invalidateAuctionCache(shopId, girviId);
+
+    return { auction, girvi, payment, settlement };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Refund Surplus to Customer ────────────────────────────────────────────────
+export const refundSurplus = async (girviId, shopId, refundData, userId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const girvi = await findGirvi(girviId, shopId, session);
+
+    const auction = await GirviAuction.findOne({
+      girviId,
+      shopId,
+      status: 'auctioned',
+      surplusStatus: 'pending',
+      deletedAt: null,
+    }).session(session);
+
+    if (!auction) throw new NotFoundError('No pending surplus refund found for this girvi');
+
+    const customer = await Customer.findById(girvi.customerId).session(session);
+    const refundDate = refundData.refundDate ? new Date(refundData.refundDate) : new Date();
+    const amount = auction.settlement.surplusAmount;
+
+    auction.surplusStatus = 'refunded';
+    auction.status = 'completed';
+    auction.surplusRefund = {
+      refundDate,
+      amount,
+      paymentMode: refundData.paymentMode,
+      transactionReference: refundData.transactionReference,
+      remarks: refundData.remarks,
+      refundedBy: userId,
+    };
+    auction.updatedBy = userId;
+    await auction.save({ session });
+
+    await GirviCashbook.createEntry({
+      shopId,
+      organizationId: girvi.organizationId,
+      entryType: 'surplus_refund',
+      flowType: 'outflow',
+      amount,
+      paymentMode: refundData.paymentMode,
+      transactionReference: refundData.transactionReference,
+      breakdown: { netAmount: amount },
+      girviId,
+      auctionId: auction._id,
+      customerId: girvi.customerId,
+      girviNumber: girvi.girviNumber,
+      customerName: customer?.fullName,
+      customerPhone: customer?.phone,
+      entryDate: refundDate,
+      createdBy: userId,
+      remarks: `Auction surplus refunded ${auction.auctionNumber}: ${girvi.girviNumber}`,
+    });
+
+    await session.commitTransaction();
+    await invalidateAuctionCache(shopId, girviId);
+
+    return auction;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Cancel Auction Notice ─────────────────────────────────────────────────────
+export const cancelAuction = async (girviId, shopId, reason, userId) => {
+  const auction = await GirviAuction.findOne({
+    girviId,
+    shopId,
+    status: 'notice_sent',
+    deletedAt: null,
+  });
+
+  if (!auction) throw new NotFoundError('No pending auction notice found for this girvi');
+
+  auction.status = 'cancelled';
+  auction.cancelledAt = new Date();
+  auction.cancelledBy = userId;
+  auction.cancellationReason = reason;
+  auction.updatedBy = userId;
+  await auction.save();
+
+  await invalidateAuctionCache(shopId, girviId);
+  return auction;
+};
+
+// ─── Shop-level: Auction List ──────────────────────────────────────────────────
+export const getShopAuctions = async (shopId, filters = {}, paginationOptions = {}) => {
+  const query = {
+    shopId: new mongoose.Types.ObjectId(shopId),
+    deletedAt: null,
+  };
+
+  if (filters.status) query.status = filters.status;
+  if (filters.surplusStatus) query.surplusStatus = filters.surplusStatus;
+
+  if (filters.startDate || filters.endDate) {
+    query['notice.noticeDate'] = {};
+    if (filters.startDate) query['notice.noticeDate'].$gte = new Date(filters.startDate);
+    if (filters.endDate) query['notice.noticeDate'].$lte = new Date(filters.endDate);
+  }
+
+  const cacheKey = `girvi-auctions:${shopId}:${JSON.stringify(filters)}:${JSON.stringify(paginationOptions)}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const result = await paginate(GirviAuction, query, {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: paginationOptions.sort || '-createdAt',
+    populate: [{ path: 'customerId', select: 'firstName lastName phone customerCode' }],
+  });
+
+  await cache.set(cacheKey, result, 300);
+  return result;
+};
+
+// ─── Shop-level: Loans eligible for notice ─────────────────────────────────────
+export const getEligibleGirvis = async (shopId, asOfDate = new Date()) => {
+  const candidates = await Girvi.find({
+    shopId,
+    status: { $in: ['active', 'overdue', 'partial_released'] },
+    isTransferred: { $ne: true },
+    dueDate: { $lt: new Date(asOfDate) },
+    deletedAt: null,
+  })
+    .select(
+      'girviNumber customerId status principalAmount outstandingPrincipal interestRate interestType calculationBasis girviDate dueDate gracePeriodDays lastInterestCalcDate totalApproxValue isTransferred'
+    )
+    .populate('customerId', 'firstName lastName phone customerCode')
+    .lean();
+
+  const openAuctions = await GirviAuction.find({
+    shopId,
+    girviId: { $in: candidates.map(g => g._id) },
+    status: { $in: ['notice_sent', 'auctioned'] },
+    deletedAt: null,
+  })
+    .select('girviId')
+    .lean();
+  const withOpenAuction = new Set(openAuctions.map(a => String(a.girviId)));
+
+  return candidates
+    .filter(g => isEligibleForNotice(g, asOfDate) && !withOpenAuction.has(String(g._id)))
+    .map(g => {
+      const effectiveDueDate = getEffectiveDueDate(g);
+      const { interest } = calculateInterestDue(g, asOfDate);
+      return {
+        ...g,
+        effectiveDueDate,
+        daysPastDue: Math.floor((new Date(asOfDate) - effectiveDueDate) / DAY_MS),
+        interestDue: interest,
+        totalDue: round2(g.outstandingPrincipal + interest),
+      };
+    })
+    .sort((a, b) => b.daysPastDue - a.daysPastDue);
+};
+
+// ─── Cache Helpers ─────────────────────────────────────────────────────────────
+export const invalidateAuctionCache = async (shopId, girviId) => {
+  await cache.del(`girvi-auction:${girviId}`);
+  await cache.deletePattern(`girvi-auctions:${shopId}:*`);
+  await invalidateGirviCache(shopId, girviId);
+};
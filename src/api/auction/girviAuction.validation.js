@@ -0,0 +1,186 @@
+import { body, param, query } from 'express-validator';
+
+const PAYMENT_MODES = ['cash', 'upi', 'bank_transfer', 'cheque'];
+
+// ─── Param Validations ─────────────────────────────────────────────────────────
+export const shopIdValidation = [param('shopId').isMongoId().withMessage('Invalid shop ID')];
+
+export const girviIdValidation = [param('girviId').isMongoId().withMessage('Invalid girvi ID')];
+
+// ─── Send Notice ───────────────────────────────────────────────────────────────
+export const sendNoticeValidation = [
+  body('noticeDate').optional().isISO8601().withMessage('Invalid notice date'),
+
+  body('noticePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Notice period must be between 0 and 365 days'),
+
+  body('noticeMode')
+    .optional()
+    .isIn(['registered_post', 'hand_delivery', 'courier', 'email', 'sms', 'whatsapp'])
+    .withMessage('Invalid notice mode'),
+
+  body('noticeReference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Notice reference cannot exceed 200 characters'),
+
+  body('noticeCharges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Notice charges must be a positive number'),
+
+  body('paymentMode').optional().isIn(PAYMENT_MODES).withMessage('Invalid payment mode'),
+
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot exceed 500 characters'),
+];
+
+// ─── Settlement Preview ────────────────────────────────────────────────────────
+export const settlementPreviewValidation = [
+  query('auctionDate').optional().isISO8601().withMessage('Invalid auction date'),
+  query('totalSaleValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Total sale value must be a positive number'),
+  query('auctionExpenses')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Auction expenses must be a positive number'),
+  query('interestType')
+    .optional()
+    .isIn(['simple', 'compound'])
+    .withMessage('Interest type must be simple or compound'),
+];
+
+// ─── Record Auction ────────────────────────────────────────────────────────────
+export const recordAuctionValidation = [
+  body('auctionDate')
+    .notEmpty()
+    .withMessage('Auction date is required')
+    .isISO8601()
+    .withMessage('Invalid auction date'),
+
+  body('auctionVenue').optional().trim().isLength({ max: 300 }),
+  body('auctioneerName').optional().trim().isLength({ max: 200 }),
+
+  body('interestType')
+    .optional()
+    .isIn(['simple', 'compound'])
+    .withMessage('Interest type must be simple or compound'),
+
+  body('lots').isArray({ min: 1 }).withMessage('At least one auction lot is required'),
+
+  body('lots.*.itemId')
+    .notEmpty()
+    .withMessage('Item ID is required')
+    .isMongoId()
+    .withMessage('Invalid item ID'),
+
+  body('lots.*.bids').optional().isArray().withMessage('Bids must be an array'),
+
+  body('lots.*.bids.*.bidderName')
+    .trim()
+    .notEmpty()
+    .withMessage('Bidder name is required')
+    .isLength({ max: 200 }),
+
+  body('lots.*.bids.*.bidderPhone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Bidder phone must be 10 digits'),
+
+  body('lots.*.bids.*.amount')
+    .notEmpty()
+    .withMessage('Bid amount is required')
+    .isFloat({ min: 0 })
+    .withMessage('Bid amount must be a positive number'),
+
+  body('lots.*.bids.*.bidTime').optional().isISO8601().withMessage('Invalid bid time'),
+
+  body('lots.*.buyerName')
+    .trim()
+    .notEmpty()
+    .withMessage('Buyer name is required')
+    .isLength({ max: 200 }),
+
+  body('lots.*.buyerPhone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Buyer phone must be 10 digits'),
+
+  body('lots.*.buyerAddress').optional().trim().isLength({ max: 500 }),
+
+  body('lots.*.saleValue')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Sale value must be greater than 0'),
+
+  body('auctionExpenses')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Auction expenses must be a positive number'),
+
+  body('paymentMode').optional().isIn(PAYMENT_MODES).withMessage('Invalid payment mode'),
+
+  body('transactionReference').optional().trim().isLength({ max: 200 }),
+];
+
+// ─── Surplus Refund ────────────────────────────────────────────────────────────
+export const surplusRefundValidation = [
+  body('refundDate').optional().isISO8601().withMessage('Invalid refund date'),
+
+  body('paymentMode')
+    .notEmpty()
+    .withMessage('Payment mode is required')
+    .isIn(PAYMENT_MODES)
+    .withMessage('Invalid payment mode'),
+
+  body('transactionReference').optional().trim().isLength({ max: 200 }),
+
+  body('remarks').optional().trim().isLength({ max: 500 }),
+];
+
+// ─── Cancel Notice ─────────────────────────────────────────────────────────────
+export const cancelAuctionValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+// ─── Shop-level lists ──────────────────────────────────────────────────────────
+export const getShopAuctionsValidation = [
+  param('shopId').isMongoId().withMessage('Invalid shop ID'),
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+
+  query('status')
+    .optional()
+    .isIn(['notice_sent', 'auctioned', 'completed', 'cancelled'])
+    .withMessage('Invalid auction status'),
+
+  query('surplusStatus')
+    .optional()
+    .isIn(['none', 'pending', 'refunded'])
+    .withMessage('Invalid surplus status'),
+
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+export const getEligibleValidation = [
+  param('shopId').isMongoId().withMessage('Invalid shop ID'),
+  query('asOfDate').optional().isISO8601().withMessage('Invalid date'),
+];
@@ -29,7 +29,14 @@ import {
   ValidationError,
   TokenExpiredError,
   InternalServerError,
+  SubscriptionExpiredError,
 } from '../../utils/AppError.js';
+import {
+  ACCESS_MODES,
+  accessModeOf,
+  accessMessage,
+  assertWithinLimit,
+} from '../../subscription/entitlements.js';
 import logger from '../../utils/logger.js';
 
 const getDefaultPermissionsForShopAccess = (role) => {
@@ -115,6 +122,8 @@ export const registerUser = async (userData, ipAddress, userAgent, currentUser =
     if (role === 'org_admin' && currentUser?.role !== 'super_admin') {
       throw new ValidationError('Only super admin can create org admins');
     }
+
+    await assertWithinLimit(organization, 'users');
   }
 
   const existingUser = await User.findOne({
@@ -236,8 +245,10 @@ export const loginUser = async (email, password, ipAddress, userAgent) => {
       throw new UnauthorizedError('Organization is inactive');
     }
 
-    if (!organization.canAccess()) {
-      throw new UnauthorizedError('Organization subscription has expired');
+    // Read-only grace me login allowed — data dekh sakein, renew kar sakein
+    const access = accessModeOf(organization);
+    if (access.mode === ACCESS_MODES.BLOCKED) {
+      throw new SubscriptionExpiredError(accessMessage(access));
     }
   }
 
@@ -101,6 +101,9 @@ export const getCashbookValidation = [
       'transfer_in',
       'transfer_return_in',
       'transfer_return_out',
+      'auction_expense',
+      'auction_received',
+      'surplus_refund',
     ])
     .withMessage('Invalid entry type'),
 
@@ -30,7 +30,7 @@ import {
   loyaltyPointsValidation,
 } from './customer.validation.js';
 
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
 import { restrictTo } from '../middlewares/restrictTo.js';
 import {
   checkShopAccess,
@@ -44,6 +44,7 @@ const router = express.Router({ mergeParams: true });
 
 
 router.use(authenticate);
+router.use(requireFeature('customerManagement'));
 
 
 /**
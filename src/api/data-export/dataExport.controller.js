@@ -0,0 +1,63 @@
+// FILE: src/api/data-export/dataExport.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as dataExportService from './dataExport.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+import { BadRequestError } from '../../utils/AppError.js';
+
+const organizationOf = req => {
+  const organizationId =
+    req.user.role === 'super_admin'
+      ? req.body?.organizationId || req.query.organizationId
+      : req.user.organizationId;
+  if (!organizationId) throw new BadRequestError('Organization ID is required');
+  return organizationId;
+};
+
+/**
+  POST /api/v1/data-exports
+ */
+export const requestExport = catchAsync(async (req, res) => {
+  const dataExport = await dataExportService.requestExport(organizationOf(req), req.user._id);
+
+  sendSuccess(
+    res,
+    202,
+    'Data export requested — the archive will be ready to download shortly',
+    dataExport
+  );
+});
+
+/**
+  GET /api/v1/data-exports
+ */
+export const getExports = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const { exports, total } = await dataExportService.getExports(organizationOf(req), {
+    page,
+    limit,
+  });
+
+  sendPaginated(res, exports, page, limit, total, 'Data exports retrieved successfully');
+});
+
+/**
+  GET /api/v1/data-exports/:exportId
+ */
+export const getExport = catchAsync(async (req, res) => {
+  const dataExport = await dataExportService.getExport(organizationOf(req), req.params.exportId);
+
+  sendSuccess(res, 200, 'Data export retrieved successfully', dataExport);
+});
+
+/**
+  GET /api/v1/data-exports/:exportId/download
+ */
+export const downloadExport = catchAsync(async (req, res) => {
+  const { filePath, fileName } = await dataExportService.getDownload(
+    organizationOf(req),
+    req.params.exportId,
+    req.user._id
+  );
+
+  res.download(filePath, fileName);
+});
@@ -0,0 +1,59 @@
+// FILE: src/api/data-export/dataExport.routes.js
+// Mounted at: /api/v1/data-exports
+// Poori organization ka data nikalta hai — sirf org admin (aur super_admin, organizationId ke saath)
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { apiRateLimiter, rateLimiter } from '../middlewares/rateLimiter.js';
+import * as dataExportController from './dataExport.controller.js';
+import * as dataExportValidation from './dataExport.validation.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(restrictTo('super_admin', 'org_admin'));
+
+/**
+ * @route   POST /api/v1/data-exports
+ * @desc    Request a full export of the organization's data (compressed archive with manifest and checksums)
+ * @access  Private (Super Admin, Org Admin)
+ */
+router.post(
+  '/',
+  dataExportValidation.requestExport,
+  rateLimiter({ max: 5, windowMs: 60 * 60 * 1000 }),
+  dataExportController.requestExport
+);
+
+/**
+ * @route   GET /api/v1/data-exports
+ * @desc    Export requests with status, size and expiry
+ * @access  Private (Super Admin, Org Admin)
+ */
+router.get('/', dataExportValidation.listExports, apiRateLimiter, dataExportController.getExports);
+
+/**
+ * @route   GET /api/v1/data-exports/:exportId
+ * @desc    Export status and per-collection document counts
+ * @access  Private (Super Admin, Org Admin)
+ */
+router.get(
+  '/:exportId',
+  dataExportValidation.getExport,
+  apiRateLimiter,
+  dataExportController.getExport
+);
+
+/**
+ * @route   GET /api/v1/data-exports/:exportId/download
+ * @desc    Download a completed export archive (.tar.gz)
+ * @access  Private (Super Admin, Org Admin)
+ */
+router.get(
+  '/:exportId/download',
+  dataExportValidation.getExport,
+  apiRateLimiter,
+  dataExportController.downloadExport
+);
+
+export default router;
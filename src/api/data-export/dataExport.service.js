@@ -0,0 +1,194 @@
+// FILE: src/api/data-export/dataExport.service.js
+// Organization ka poora data — request yahan 'pending' banti hai, data-exports job
+// archive banata hai (src/backup/backup.js, organization kind). Wahi archive
+// scripts/backup.js restore se kisi bhi database me load ho sakta hai.
+
+import fs from 'fs';
+import path from 'path';
+import DataExport from '../../models/DataExport.js';
+import { createBackup, backupRoot } from '../../backup/backup.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+import { ConflictError, NotFoundError } from '../../utils/AppError.js';
+
+// Itne din baad file hat jaati hai
+export const EXPORT_TTL_DAYS = 7;
+
+// Ek run me itne hi — archive banana bhaari kaam hai
+const MAX_PER_RUN = 3;
+
+// Itni der 'processing' raha to instance crash maan ke dobara uthao
+const STALE_PROCESSING_MS = 2 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const exportDir = () => path.join(backupRoot(), 'exports');
+
+const findExport = async (organizationId, exportId, select = '') => {
+  const dataExport = await DataExport.findOne({ _id: exportId, organizationId }).select(select);
+  if (!dataExport) throw new NotFoundError('Data export not found');
+  return dataExport;
+};
+
+export const requestExport = async (organizationId, userId) => {
+  const running = await DataExport.exists({
+    organizationId,
+    status: { $in: ['pending', 'processing'] },
+  });
+  if (running) throw new ConflictError('An export for this organization is already in progress');
+
+  const dataExport = await DataExport.create({ organizationId, requestedBy: userId });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    action: 'export',
+    module: 'data_export',
+    description: 'Requested a full data export',
+    level: 'info',
+    status: 'pending',
+    metadata: { exportId: dataExport._id },
+  });
+
+  return dataExport;
+};
+
+export const getExports = async (organizationId, { page = 1, limit = 20 } = {}) => {
+  const filter = { organizationId };
+  const [exports, total] = await Promise.all([
+    DataExport.find(filter)
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    DataExport.countDocuments(filter),
+  ]);
+
+  return { exports, total };
+};
+
+export const getExport = async (organizationId, exportId) => {
+  const dataExport = await findExport(organizationId, exportId);
+  return dataExport.toObject();
+};
+
+/**
+ * Download ke liye file ka path — sirf completed aur abhi tak disk pe ho to
+ */
+export const getDownload = async (organizationId, exportId, userId) => {
+  const dataExport = await findExport(organizationId, exportId, '+filePath');
+
+  if (dataExport.status !== 'completed') {
+    throw new ConflictError(`Export is ${dataExport.status} — nothing to download`);
+  }
+  if (!dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+    throw new NotFoundError('Export file is no longer available');
+  }
+
+  dataExport.downloadCount += 1;
+  dataExport.lastDownloadedAt = new Date();
+  await dataExport.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    action: 'download',
+    module: 'data_export',
+    description: `Downloaded data export ${dataExport.fileName}`,
+    level: 'info',
+    status: 'success',
+    metadata: { exportId: dataExport._id, sha256: dataExport.sha256 },
+  });
+
+  return { filePath: dataExport.filePath, fileName: dataExport.fileName };
+};
+
+// ─── Processing (data-exports job) ─────────────────────────────────────────────
+
+const processExport = async (dataExport, now) => {
+  try {
+    const backup = await createBackup({
+      organizationId: dataExport.organizationId,
+      dir: exportDir(),
+    });
+
+    Object.assign(dataExport, {
+      status: 'completed',
+      fileName: backup.fileName,
+      filePath: backup.filePath,
+      size: backup.size,
+      sha256: backup.sha256,
+      documents: backup.manifest.documents,
+      collections: backup.manifest.collections.map(({ name, documents }) => ({ name, documents })),
+      completedAt: new Date(),
+      expiresAt: new Date(now.getTime() + EXPORT_TTL_DAYS * DAY_MS),
+    });
+  } catch (error) {
+    logger.error('Data export failed', { exportId: dataExport._id, error: error.message });
+    Object.assign(dataExport, { status: 'failed', error: error.message, completedAt: new Date() });
+  }
+
+  await dataExport.save();
+
+  await eventLogger.logActivity({
+    userId: dataExport.requestedBy,
+    organizationId: dataExport.organizationId,
+    action: 'export',
+    module: 'data_export',
+    description:
+      dataExport.status === 'completed'
+        ? `Data export ready — ${dataExport.documents} documents`
+        : `Data export failed: ${dataExport.error}`,
+    level: dataExport.status === 'completed' ? 'success' : 'error',
+    status: dataExport.status === 'completed' ? 'success' : 'failed',
+    metadata: { exportId: dataExport._id },
+  });
+};
+
+const expireExports = async now => {
+  const expired = await DataExport.find({ status: 'completed', expiresAt: { $lte: now } }).select(
+    '+filePath'
+  );
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath) await fs.promises.rm(dataExport.filePath, { force: true });
+    dataExport.status = 'expired';
+    dataExport.filePath = null;
+    await dataExport.save();
+  }
+
+  return expired.length;
+};
+
+export const runPendingExports = async (now = new Date()) => {
+  const result = { completed: 0, failed: 0, expired: await expireExports(now) };
+
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  for (let i = 0; i < MAX_PER_RUN; i++) {
+    // Claim atomic — do instance ek hi request na utha lein
+    const dataExport = await DataExport.findOneAndUpdate(
+      { status: 'pending' },
+      { $set: { status: 'processing', startedAt: now } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!dataExport) break;
+
+    await processExport(dataExport, now);
+    result[dataExport.status === 'completed' ? 'completed' : 'failed'] += 1;
+  }
+
+  return result;
+};
+
+export default {
+  requestExport,
+  getExports,
+  getExport,
+  getDownload,
+  runPendingExports,
+};
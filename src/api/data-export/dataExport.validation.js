@@ -0,0 +1,28 @@
+// FILE: src/api/data-export/dataExport.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+// super_admin ki apni organization nahi — use batani padti hai
+const organizationId = field =>
+  field('organizationId').optional().isMongoId().withMessage('Invalid organization ID format');
+
+const exportId = param('exportId').isMongoId().withMessage('Invalid export ID format');
+
+export const requestExport = [organizationId(body), validate];
+
+export const listExports = [
+  organizationId(query),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt(),
+  validate,
+];
+
+export const getExport = [organizationId(query), exportId, validate];
@@ -0,0 +1,183 @@
+import { validationResult } from 'express-validator';
+import * as girviRiskService from './girviRisk.service.js';
+import {
+  sendSuccess,
+  sendBadRequest,
+  sendNotFound,
+  sendInternalError,
+} from '../../utils/sendResponse.js';
+import logger from '../../utils/logger.js';
+import eventLogger from '../../utils/eventLogger.js';
+
+// ─── Shop Risk Report ──────────────────────────────────────────────────────────
+export const getRiskReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId } = req.params;
+    const report = await girviRiskService.getRiskReport(shopId, {
+      band: req.query.band,
+      minLtv: req.query.minLtv,
+      includeItems: req.query.includeItems === 'true',
+      asOfDate: req.query.asOfDate,
+    });
+
+    return sendSuccess(res, 200, 'Girvi risk report fetched successfully', report);
+  } catch (error) {
+    logger.error('Error fetching girvi risk report', {
+      error: error.message,
+      shopId: req.params.shopId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to fetch girvi risk report', error);
+  }
+};
+
+// ─── Single Girvi Risk ─────────────────────────────────────────────────────────
+export const getGirviRisk = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId, girviId } = req.params;
+    const result = await girviRiskService.getGirviRisk(girviId, shopId, {
+      asOfDate: req.query.asOfDate,
+    });
+
+    return sendSuccess(res, 200, 'Girvi risk fetched successfully', result);
+  } catch (error) {
+    logger.error('Error fetching girvi risk', {
+      error: error.message,
+      girviId: req.params.girviId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to fetch girvi risk', error);
+  }
+};
+
+// ─── Re-assess Now ─────────────────────────────────────────────────────────────
+export const assessRisk = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+
+    const summary = await girviRiskService.assessShopRisk(shopId);
+    if (!summary) return sendBadRequest(res, 'No current metal rate set for this shop');
+
+    return sendSuccess(res, 200, 'Girvi risk re-assessed successfully', { summary });
+  } catch (error) {
+    logger.error('Error assessing girvi risk', { error: error.message, shopId: req.params.shopId });
+    return sendInternalError(res, 'Failed to assess girvi risk', error);
+  }
+};
+
+// ─── Thresholds ────────────────────────────────────────────────────────────────
+export const getRiskSettings = async (req, res) => {
+  try {
+    const settings = await girviRiskService.getRiskSettings(req.params.shopId);
+
+    return sendSuccess(res, 200, 'Girvi risk settings fetched successfully', { settings });
+  } catch (error) {
+    logger.error('Error fetching girvi risk settings', {
+      error: error.message,
+      shopId: req.params.shopId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+
+    return sendInternalError(res, 'Failed to fetch girvi risk settings', error);
+  }
+};
+
+export const updateRiskSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId } = req.params;
+    const settings = await girviRiskService.updateRiskSettings(shopId, req.body);
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'update',
+      module: 'girvi',
+      description: `Girvi risk thresholds updated: watch ${settings.watchLtv}%, margin call ${settings.marginCallLtv}%, critical ${settings.criticalLtv}%`,
+      level: 'info',
+      status: 'success',
+      metadata: settings,
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Girvi risk settings updated successfully', { settings });
+  } catch (error) {
+    logger.error('Error updating girvi risk settings', {
+      error: error.message,
+      shopId: req.params.shopId,
+    });
+
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to update girvi risk settings', error);
+  }
+};
+
+// ─── Margin Call Notices ───────────────────────────────────────────────────────
+export const sendMarginCalls = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { shopId } = req.params;
+    const result = await girviRiskService.sendMarginCalls(
+      shopId,
+      { girviIds: req.body.girviIds || [], channel: req.body.channel || null },
+      req.user._id
+    );
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      shopId,
+      action: 'margin_call',
+      module: 'girvi',
+      description: `Girvi margin call notices: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped`,
+      level: result.failed ? 'warn' : 'info',
+      status: 'success',
+      metadata: {
+        sent: result.sent,
+        failed: result.failed,
+        skipped: result.skipped,
+        girviNumbers: result.results
+          .filter(r => r.status !== 'not_required')
+          .map(r => r.girviNumber),
+      },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Margin call notices processed', result);
+  } catch (error) {
+    logger.error('Error sending margin calls', { error: error.message, shopId: req.params.shopId });
+
+    if (error.name === 'ValidationError') return sendBadRequest(res, error.message);
+
+    return sendInternalError(res, 'Failed to send margin call notices', error);
+  }
+};
+
+export default {
+  getRiskReport,
+  getGirviRisk,
+  assessRisk,
+  getRiskSettings,
+  updateRiskSettings,
+  sendMarginCalls,
+};
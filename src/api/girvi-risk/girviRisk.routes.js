@@ -0,0 +1,122 @@
+import express from 'express';
+import {
+  getRiskReport,
+  getGirviRisk,
+  assessRisk,
+  getRiskSettings,
+  updateRiskSettings,
+  sendMarginCalls,
+} from './girviRisk.controller.js';
+import {
+  shopIdValidation,
+  girviIdValidation,
+  riskReportValidation,
+  girviRiskValidation,
+  updateSettingsValidation,
+  marginCallValidation,
+} from './girviRisk.validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { rateLimiter } from '../middlewares/rateLimiter.js';
+
+// Mounted at: /api/v1/shops/:shopId/girvi-risk
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi-risk
+ * @desc    Live LTV report — every open girvi revalued at the current metal rate
+ * @access  Private (Admin, Manager, Accountant)
+ */
+router.get(
+  '/',
+  riskReportValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getRiskReport
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi-risk/settings
+ * @desc    Get watch / margin call / critical LTV thresholds
+ * @access  Private (Admin, Manager, Accountant)
+ */
+router.get(
+  '/settings',
+  shopIdValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 50, windowMs: 60000 }),
+  getRiskSettings
+);
+
+/**
+ * @route   PUT /api/v1/shops/:shopId/girvi-risk/settings
+ * @desc    Update LTV thresholds
+ * @access  Private (Admin)
+ */
+router.put(
+  '/settings',
+  shopIdValidation,
+  updateSettingsValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  updateRiskSettings
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/girvi-risk/assess
+ * @desc    Re-assess now and store the risk snapshot on every open girvi
+ * @access  Private (Admin, Manager)
+ */
+router.post(
+  '/assess',
+  shopIdValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  assessRisk
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/girvi-risk/margin-calls
+ * @desc    Send margin call notices to girvis at or above the margin call LTV
+ * @access  Private (Admin, Manager)
+ */
+router.post(
+  '/margin-calls',
+  shopIdValidation,
+  marginCallValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission('canManageGirvi'),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  sendMarginCalls
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/girvi-risk/:girviId
+ * @desc    Item-wise revaluation, current LTV and margin call history for one girvi
+ * @access  Private (All staff)
+ */
+router.get(
+  '/:girviId',
+  shopIdValidation,
+  girviIdValidation,
+  girviRiskValidation,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'),
+  checkShopAccess,
+  checkPermission('canViewGirvi'),
+  rateLimiter({ max: 100, windowMs: 60000 }),
+  getGirviRisk
+);
+
+export default router;
@@ -0,0 +1,453 @@
+import mongoose from 'mongoose';
+import Girvi from '../../models/Girvi.js';
+import MetalRate from '../../models/MetalRate.js';
+import JewelryShop from '../../models/Shop.js';
+import '../../models/Customer.js';
+import { NotFoundError, ValidationError } from '../../utils/AppError.js';
+import { finenessOf } from '../../rate-feed/convert.js';
+import { notifyGirviMarginCall } from '../../notifications/notify.js';
+import { resolveChannel } from '../../notifications/preferences.js';
+import { calculateInterestAmount, invalidateGirviCache } from '../girvi/girvi.service.js';
+import logger from '../../utils/logger.js';
+
+// Girvi collateral ko aaj ke metal rate pe dobara value karke live LTV nikalna.
+// Pledge-time loanToValueRatio waisa hi rehta hai — current LTV riskAssessment me.
+
+export const DEFAULT_THRESHOLDS = { watchLtv: 75, marginCallLtv: 85, criticalLtv: 100 };
+export const RISK_BANDS = ['safe', 'watch', 'margin_call', 'critical'];
+export const OPEN_STATUSES = ['active', 'overdue', 'partial_released'];
+
+const round2 = value => parseFloat((value || 0).toFixed(2));
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pure metal buying rate per gram — pledge ke ratePerGram jaisa hi (tunch isi pe lagta hai).
+ * Lender collateral ko buying rate pe hi dekhta hai. Diamond / other ka market rate nahi.
+ */
+export const fineRateOf = (metalRate, itemType) => {
+  if (!metalRate) return null;
+  const rates = {
+    gold: metalRate.gold?.gold24K?.buyingRate,
+    silver: metalRate.silver?.pure?.buyingRate,
+    platinum: metalRate.platinum?.buyingRate,
+  };
+  return rates[itemType] > 0 ? rates[itemType] : null;
+};
+
+// Tunch na ho to purity ("22K", "92.5") se
+const tunchOf = item => {
+  if (item.tunch > 0) return item.tunch;
+  const fineness = item.purity ? finenessOf(item.purity) : null;
+  return fineness ? fineness / 10 : null;
+};
+
+/**
+ * Current value of the items still with the shop. Partially released items count
+ * for the quantity left; items without a market rate keep their pledge value.
+ */
+export const valueGirviItems = (items = [], metalRate) => {
+  const valued = items
+    .filter(item => item.itemStatus !== 'released' && item.itemStatus !== 'auctioned')
+    .map(item => {
+      const quantity = item.quantity || 1;
+      const remainingRatio = Math.max(0, quantity - (item.releasedQuantity || 0)) / quantity;
+      const pledgeValue = round2((item.finalValue || 0) * remainingRatio);
+
+      const rate = fineRateOf(metalRate, item.itemType);
+      const tunch = tunchOf(item);
+      const canRevalue = rate && tunch && item.netWeight > 0;
+
+      return {
+        itemId: item._id,
+        itemName: item.itemName,
+        itemType: item.itemType,
+        netWeight: item.netWeight || 0,
+        tunch,
+        remainingRatio: parseFloat(remainingRatio.toFixed(4)),
+        pledgeRatePerGram: item.ratePerGram || null,
+        currentRatePerGram: canRevalue ? rate : null,
+        pledgeValue,
+        currentValue: canRevalue
+          ? round2(item.netWeight * (tunch / 100) * rate * remainingRatio)
+          : pledgeValue,
+        valuedAt: canRevalue ? 'market' : 'pledge',
+      };
+    });
+
+  return {
+    items: valued,
+    pledgeValue: round2(valued.reduce((sum, i) => sum + i.pledgeValue, 0)),
+    collateralValue: round2(valued.reduce((sum, i) => sum + i.currentValue, 0)),
+  };
+};
+
+export const riskBand = (ltv, thresholds = DEFAULT_THRESHOLDS) => {
+  if (ltv === null || ltv >= thresholds.criticalLtv) return 'critical';
+  if (ltv >= thresholds.marginCallLtv) return 'margin_call';
+  if (ltv >= thresholds.watchLtv) return 'watch';
+  return 'safe';
+};
+
+/**
+ * Live exposure of one girvi: principal + carried accruedInterest + interest since
+ * lastInterestCalcDate, against collateral at the current rate.
+ * requiredPayment = payment that brings LTV back down to the watch level.
+ */
+export const assessGirvi = (
+  girvi,
+  metalRate,
+  thresholds = DEFAULT_THRESHOLDS,
+  asOfDate = new Date()
+) => {
+  const principal = girvi.outstandingPrincipal ?? girvi.principalAmount;
+  const { interest } = calculateInterestAmount({
+    principal,
+    interestRate: girvi.interestRate,
+    interestType: girvi.interestType,
+    calculationBasis: girvi.calculationBasis,
+    fromDate: girvi.lastInterestCalcDate || girvi.girviDate,
+    toDate: asOfDate,
+  });
+  const interestDue = round2((girvi.accruedInterest || 0) + interest);
+  const amountDue = round2(principal + interestDue);
+
+  const { items, pledgeValue, collateralValue } = valueGirviItems(girvi.items, metalRate);
+  const currentLtv = collateralValue > 0 ? round2((amountDue / collateralValue) * 100) : null;
+  const band = amountDue > 0 ? riskBand(currentLtv, thresholds) : 'safe';
+
+  return {
+    girviId: girvi._id,
+    girviNumber: girvi.girviNumber,
+    customerId: girvi.customerId,
+    status: girvi.status,
+    girviDate: girvi.girviDate,
+    dueDate: girvi.dueDate,
+    principal: round2(principal),
+    interestDue,
+    amountDue,
+    pledgeValue,
+    collateralValue,
+    valueChange: round2(collateralValue - pledgeValue),
+    pledgeLtv: girvi.loanToValueRatio ?? null,
+    currentLtv,
+    band,
+    requiredPayment: round2(Math.max(0, amountDue - (collateralValue * thresholds.watchLtv) / 100)),
+    lastMarginCallAt: girvi.marginCalls?.length
+      ? girvi.marginCalls[girvi.marginCalls.length - 1].noticeDate
+      : null,
+    items,
+  };
+};
+
+export const summarizeRisk = assessments => {
+  const byBand = {};
+  RISK_BANDS.forEach(band => {
+    byBand[band] = { count: 0, amountDue: 0, collateralValue: 0 };
+  });
+
+  let totalAmountDue = 0;
+  let totalCollateralValue = 0;
+  let totalPledgeValue = 0;
+
+  assessments.forEach(a => {
+    byBand[a.band].count += 1;
+    byBand[a.band].amountDue = round2(byBand[a.band].amountDue + a.amountDue);
+    byBand[a.band].collateralValue = round2(byBand[a.band].collateralValue + a.collateralValue);
+    totalAmountDue += a.amountDue;
+    totalCollateralValue += a.collateralValue;
+    totalPledgeValue += a.pledgeValue;
+  });
+
+  return {
+    totalGirvis: assessments.length,
+    totalAmountDue: round2(totalAmountDue),
+    totalCollateralValue: round2(totalCollateralValue),
+    totalPledgeValue: round2(totalPledgeValue),
+    portfolioLtv:
+      totalCollateralValue > 0 ? round2((totalAmountDue / totalCollateralValue) * 100) : null,
+    marginCallCount: byBand.margin_call.count + byBand.critical.count,
+    byBand,
+  };
+};
+
+const thresholdsOf = shop => ({ ...DEFAULT_THRESHOLDS, ...(shop?.settings?.girviRisk || {}) });
+
+const requireCurrentRate = async shopId => {
+  const metalRate = await MetalRate.getCurrentRate(shopId).lean();
+  if (!metalRate) {
+    throw new ValidationError("No current metal rate set for this shop. Set today's rate first");
+  }
+  return metalRate;
+};
+
+const rateSnapshot = metalRate => ({
+  metalRateId: metalRate._id,
+  rateDate: metalRate.rateDate,
+  gold24K: metalRate.gold?.gold24K?.buyingRate || 0,
+  silverPure: metalRate.silver?.pure?.buyingRate || 0,
+  platinum: metalRate.platinum?.buyingRate || 0,
+});
+
+const findOpenGirvis = (shopId, extra = {}) =>
+  Girvi.find({
+    shopId,
+    status: { $in: OPEN_STATUSES },
+    isTransferred: { $ne: true },
+    deletedAt: null,
+    ...extra,
+  })
+    .select(
+      'organizationId shopId girviNumber customerId status items principalAmount outstandingPrincipal accruedInterest interestRate interestType calculationBasis girviDate dueDate lastInterestCalcDate loanToValueRatio marginCalls'
+    )
+    .populate('customerId', 'firstName lastName phone email customerCode preferences')
+    .lean();
+
+// ─── Settings ──────────────────────────────────────────────────────────────────
+export const getRiskSettings = async shopId => {
+  const shop = await JewelryShop.findById(shopId).select('settings.girviRisk').lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+  return thresholdsOf(shop);
+};
+
+export const updateRiskSettings = async (shopId, data) => {
+  const current = await getRiskSettings(shopId);
+  const next = {
+    watchLtv: data.watchLtv ?? current.watchLtv,
+    marginCallLtv: data.marginCallLtv ?? current.marginCallLtv,
+    criticalLtv: data.criticalLtv ?? current.criticalLtv,
+  };
+
+  if (!(next.watchLtv <= next.marginCallLtv && next.marginCallLtv <= next.criticalLtv)) {
+    throw new ValidationError('Thresholds must be in order: watch <= margin call <= critical');
+  }
+
+  await JewelryShop.updateOne({ _id: shopId }, { $set: { 'settings.girviRisk': next } });
+  return next;
+};
+
+// ─── Shop Risk Report (live) ───────────────────────────────────────────────────
+export const getRiskReport = async (shopId, filters = {}) => {
+  const asOfDate = filters.asOfDate ? new Date(filters.asOfDate) : new Date();
+  const [metalRate, thresholds, girvis] = await Promise.all([
+    requireCurrentRate(shopId),
+    getRiskSettings(shopId),
+    findOpenGirvis(shopId),
+  ]);
+
+  const assessments = girvis.map(g => assessGirvi(g, metalRate, thresholds, asOfDate));
+
+  let rows = assessments;
+  if (filters.band) rows = rows.filter(a => a.band === filters.band);
+  if (filters.minLtv !== undefined) {
+    rows = rows.filter(a => a.currentLtv === null || a.currentLtv >= parseFloat(filters.minLtv));
+  }
+
+  // Sabse risky upar — bina collateral wale (ltv null) sabse pehle
+  rows.sort((a, b) => (b.currentLtv ?? Infinity) - (a.currentLtv ?? Infinity));
+
+  return {
+    asOfDate,
+    metalRate: rateSnapshot(metalRate),
+    thresholds,
+    summary: summarizeRisk(assessments),
+    girvis: filters.includeItems ? rows : rows.map(({ items: _items, ...row }) => row),
+  };
+};
+
+export const getGirviRisk = async (girviId, shopId, options = {}) => {
+  const asOfDate = options.asOfDate ? new Date(options.asOfDate) : new Date();
+  const girvi = await Girvi.findOne({ _id: girviId, shopId, deletedAt: null })
+    .populate('customerId', 'firstName lastName phone email customerCode')
+    .lean();
+  if (!girvi) throw new NotFoundError('Girvi not found');
+
+  const [metalRate, thresholds] = await Promise.all([
+    requireCurrentRate(shopId),
+    getRiskSettings(shopId),
+  ]);
+
+  return {
+    metalRate: rateSnapshot(metalRate),
+    thresholds,
+    assessment: assessGirvi(girvi, metalRate, thresholds, asOfDate),
+    marginCalls: girvi.marginCalls || [],
+  };
+};
+
+// ─── Persist snapshot (job / rate change) ──────────────────────────────────────
+export const assessShopRisk = async (shopId, { asOfDate = new Date(), metalRate = null } = {}) => {
+  const rate = metalRate || (await MetalRate.getCurrentRate(shopId).lean());
+  if (!rate) return null;
+
+  const [thresholds, girvis] = await Promise.all([getRiskSettings(shopId), findOpenGirvis(shopId)]);
+  const assessments = girvis.map(g => assessGirvi(g, rate, thresholds, asOfDate));
+
+  if (assessments.length > 0) {
+    await Girvi.bulkWrite(
+      assessments.map(a => ({
+        updateOne: {
+          filter: { _id: a.girviId },
+          update: {
+            $set: {
+              riskAssessment: {
+                collateralValue: a.collateralValue,
+                amountDue: a.amountDue,
+                currentLtv: a.currentLtv,
+                band: a.band,
+                metalRateId: rate._id,
+                assessedAt: asOfDate,
+              },
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+    await invalidateGirviCache(shopId);
+  }
+
+  return summarizeRisk(assessments);
+};
+
+// Job: har shop jiske paas open girvi hai
+export const runRiskAssessment = async (now = new Date()) => {
+  const shopIds = await Girvi.distinct('shopId', {
+    status: { $in: OPEN_STATUSES },
+    isTransferred: { $ne: true },
+    deletedAt: null,
+  });
+
+  const result = { shops: shopIds.length, assessed: 0, skipped: 0, failed: 0, marginCalls: 0 };
+
+  for (const shopId of shopIds) {
+    try {
+      const summary = await assessShopRisk(shopId, { asOfDate: now });
+      if (!summary) {
+        result.skipped += 1; // shop ne abhi tak rate set nahi kiya
+        continue;
+      }
+      result.assessed += summary.totalGirvis;
+      result.marginCalls += summary.marginCallCount;
+    } catch (error) {
+      result.failed += 1;
+      logger.error('Girvi risk assessment failed for shop', { shopId, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// ─── Margin Call Notices ───────────────────────────────────────────────────────
+/**
+ * Notice to every girvi at or above the margin-call level (or just the given ids).
+ * Channel customer ki communicationPreference se; har attempt girvi.marginCalls me.
+ */
+export const sendMarginCalls = async (shopId, { girviIds = [], channel = null } = {}, userId) => {
+  const noticeDate = new Date();
+  const extra = girviIds.length
+    ? { _id: { $in: girviIds.map(id => new mongoose.Types.ObjectId(id)) } }
+    : {};
+
+  const [metalRate, thresholds, girvis, shop] = await Promise.all([
+    requireCurrentRate(shopId),
+    getRiskSettings(shopId),
+    findOpenGirvis(shopId, extra),
+    JewelryShop.findById(shopId).lean(),
+  ]);
+
+  const results = [];
+
+  for (const girvi of girvis) {
+    const assessment = assessGirvi(girvi, metalRate, thresholds, noticeDate);
+    if (assessment.band !== 'margin_call' && assessment.band !== 'critical') {
+      results.push({
+        girviId: girvi._id,
+        girviNumber: girvi.girviNumber,
+        status: 'not_required',
+        band: assessment.band,
+        currentLtv: assessment.currentLtv,
+      });
+      continue;
+    }
+
+    const customer = girvi.customerId || {};
+    const preference = customer.preferences?.communicationPreference || 'sms';
+    const resolved = resolveChannel(
+      preference,
+      { email: customer.email, phone: customer.phone },
+      channel
+    );
+
+    const entry = {
+      noticeDate,
+      currentLtv: assessment.currentLtv,
+      amountDue: assessment.amountDue,
+      collateralValue: assessment.collateralValue,
+      requiredPayment: assessment.requiredPayment,
+      channel: resolved.channel || preference,
+      sentBy: userId,
+    };
+
+    if (!resolved.channel) {
+      entry.status = 'skipped';
+      entry.reason = resolved.reason;
+    } else {
+      try {
+        const notification = await notifyGirviMarginCall({
+          girvi: {
+            ...girvi,
+            customerName: [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+            customerEmail: customer.email,
+          },
+          marginCall: entry,
+          shop,
+          channel: resolved.channel,
+          to: resolved.to,
+          userId,
+        });
+        entry.status = notification.status === 'sent' ? 'sent' : 'failed';
+        entry.notificationId = notification._id;
+        entry.reason = notification.failureReason || null;
+      } catch (error) {
+        // invalid phone / email — NotificationLog bana hi nahi
+        entry.status = 'failed';
+        entry.reason = error.message;
+      }
+    }
+
+    await Girvi.updateOne({ _id: girvi._id }, { $push: { marginCalls: entry } });
+
+    results.push({
+      girviId: girvi._id,
+      girviNumber: girvi.girviNumber,
+      band: assessment.band,
+      ...entry,
+    });
+  }
+
+  if (results.length > 0) await invalidateGirviCache(shopId);
+
+  return {
+    sent: results.filter(r => r.status === 'sent').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    notRequired: results.filter(r => r.status === 'not_required').length,
+    results,
+  };
+};
+
+export default {
+  fineRateOf,
+  valueGirviItems,
+  riskBand,
+  assessGirvi,
+  summarizeRisk,
+  getRiskSettings,
+  updateRiskSettings,
+  getRiskReport,
+  getGirviRisk,
+  assessShopRisk,
+  runRiskAssessment,
+  sendMarginCalls,
+};
@@ -0,0 +1,50 @@
+import { body, param, query } from 'express-validator';
+
+const RISK_BANDS = ['safe', 'watch', 'margin_call', 'critical'];
+
+// ─── Param Validations ─────────────────────────────────────────────────────────
+export const shopIdValidation = [param('shopId').isMongoId().withMessage('Invalid shop ID')];
+
+export const girviIdValidation = [param('girviId').isMongoId().withMessage('Invalid girvi ID')];
+
+// ─── Risk Report ───────────────────────────────────────────────────────────────
+export const riskReportValidation = [
+  param('shopId').isMongoId().withMessage('Invalid shop ID'),
+  query('band').optional().isIn(RISK_BANDS).withMessage('Invalid risk band'),
+  query('minLtv').optional().isFloat({ min: 0 }).withMessage('minLtv must be a positive number'),
+  query('includeItems').optional().isBoolean().withMessage('includeItems must be true or false'),
+  query('asOfDate').optional().isISO8601().withMessage('Invalid date'),
+];
+
+export const girviRiskValidation = [
+  query('asOfDate').optional().isISO8601().withMessage('Invalid date'),
+];
+
+// ─── Thresholds ────────────────────────────────────────────────────────────────
+export const updateSettingsValidation = [
+  body('watchLtv')
+    .optional()
+    .isFloat({ min: 0, max: 500 })
+    .withMessage('Watch LTV must be between 0 and 500'),
+
+  body('marginCallLtv')
+    .optional()
+    .isFloat({ min: 0, max: 500 })
+    .withMessage('Margin call LTV must be between 0 and 500'),
+
+  body('criticalLtv')
+    .optional()
+    .isFloat({ min: 0, max: 500 })
+    .withMessage('Critical LTV must be between 0 and 500'),
+];
+
+// ─── Margin Calls ──────────────────────────────────────────────────────────────
+export const marginCallValidation = [
+  body('girviIds').optional().isArray({ max: 500 }).withMessage('girviIds must be an array'),
+  body('girviIds.*').isMongoId().withMessage('Invalid girvi ID'),
+
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms', 'whatsapp'])
+    .withMessage('Channel must be email, sms or whatsapp'),
+];
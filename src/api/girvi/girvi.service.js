@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import Girvi        from '../../models/Girvi.js';
 import GirviPayment from '../../models/GirviPayment.js';
 import GirviCashbook from '../../models/GirviCashbook.js';
+import GirviAuction  from '../../models/GirviAuction.js';
 import Customer     from '../../models/Customer.js';
 import JewelryShop  from '../../models/Shop.js';
 import cache        from '../../utils/cache.js';
@@ -164,7 +165,7 @@ export const getGirvis = async (shopId, filters = {}, paginationOptions = {}) =>
   }
 
   if (filters.overdueOnly === true || filters.overdueOnly === 'true') {
-    query.status  = 'active';
+    query.status  = { $in: ['active', 'overdue'] };
     query.dueDate = { $lt: new Date() };
   }
 
@@ -424,6 +425,13 @@ export const releaseGirvi = async (girviId, shopId, releaseData, userId) => {
 
     await girvi.save({ session });
 
+    // Customer redeemed during notice period → withdraw pending auction notice
+    await GirviAuction.cancelNotices(girviId, {
+      userId,
+      reason: 'Girvi released before auction',
+      session,
+    });
+
     // Cashbook entries
     if (interestReceived > 0) {
       await GirviCashbook.createEntry({
@@ -834,6 +842,13 @@ export const renewGirvi = async (girviId, shopId, renewalData, userId) => {
 
     await girvi.save({ session });
 
+    // Naya due date — loan ab overdue nahi, pending auction notice wapas lo
+    await GirviAuction.cancelNotices(girviId, {
+      userId,
+      reason: 'Girvi renewed before auction',
+      session,
+    });
+
     // Cashbook entries
     const cashbookBase = {
       shopId,
@@ -944,9 +959,14 @@ export const getGirviStatistics = async (shopId) => {
           $sum: {
             $cond: [
               {
-                $and: [
-                  { $eq: ['$status', 'active'] },
-                  { $lt: ['$dueDate', now] },
+                $or: [
+                  { $eq: ['$status', 'overdue'] },
+                  {
+                    $and: [
+                      { $eq: ['$status', 'active'] },
+                      { $lt: ['$dueDate', now] },
+                    ],
+                  },
                 ],
               },
               1,
@@ -2,6 +2,7 @@ import mongoose    from 'mongoose';
 import Girvi        from '../../models/Girvi.js';
 import GirviPayment from '../../models/GirviPayment.js';
 import GirviCashbook from '../../models/GirviCashbook.js';
+import GirviAuction from '../../models/GirviAuction.js';
 import Customer     from '../../models/Customer.js';
 import cache        from '../../utils/cache.js';
 import { paginate } from '../../utils/pagination.js';
@@ -132,6 +133,15 @@ export const addPayment = async (girviId, shopId, paymentData, userId) => {
 
     await girvi.save({ session });
 
+    // Poora chuka diya — pending auction notice wapas lo
+    if (girvi.status === 'released') {
+      await GirviAuction.cancelNotices(girviId, {
+        userId,
+        reason: 'Girvi paid off before auction',
+        session,
+      });
+    }
+
     // ── Cashbook entries ───────────────────────────────────────────────────────
     const cashbookBase = {
       shopId,
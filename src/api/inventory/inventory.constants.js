@@ -24,4 +24,5 @@ export const REFERENCE_TYPES = {
   DAMAGE: 'damage',
   RESERVATION: 'reservation',
   STOCK_UPDATE: 'stock_update',
+  STOCK_AUDIT: 'stock_audit',
 };
\ No newline at end of file
@@ -1,22 +1,83 @@
 // src/api/inventory/inventory.service.js
 
+import mongoose from 'mongoose';
 import Product from '../../models/Product.js';
 import InventoryTransaction from '../../models/InventoryTransaction.js';
-import { NotFoundError, InsufficientStockError } from '../../utils/AppError.js';
+import { NotFoundError, BadRequestError, InsufficientStockError } from '../../utils/AppError.js';
 import { TRANSACTION_TYPES, REFERENCE_TYPES } from './inventory.constants.js';
 import JewelryShop from '../../models/Shop.js';
-export const decreaseStock = async ({
-  organizationId,
-  shopId,
-  productId,
-  quantity,
-  referenceId,
-  referenceNumber,
-  value,
-  performedBy,
-  customerId,
-  session = null,
-}) => {
+import {
+  resolveTrackingMode,
+  receiveTracked,
+  consumeTracked,
+  restoreTracked,
+  receiveTransferTracked,
+  writeOffTransferTracked,
+} from './tracking.service.js';
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Caller ka session ho to usi me, warna apna transaction — listener ke once() retry pe
+// tracking aur stock dono ya to lage hain ya dono rollback, aadha kabhi nahi
+export const decreaseStock = async ({ session = null, ...params }) =>
+  session
+    ? applyStockDecrease(params, session)
+    : runInTransaction(txn => applyStockDecrease(params, txn));
+
+const applyStockDecrease = async (
+  {
+    organizationId,
+    shopId,
+    productId,
+    quantity,
+    referenceId,
+    referenceNumber,
+    value,
+    performedBy,
+    customerId,
+    // Purchase cancel / return bhi yahi use karte hain — batch usi purchase ka pehle nikalta hai
+    referenceType = REFERENCE_TYPES.SALE,
+    serialNumbers = [],
+    preferSourceId = null,
+  },
+  session
+) => {
+  const current = await Product.findById(productId).session(session);
+  if (!current) throw new NotFoundError('Product not found');
+  if (current.stock.quantity < quantity) {
+    throw new InsufficientStockError(
+      `Insufficient stock for ${current.name}. Available: ${current.stock.quantity}`
+    );
+  }
+
+  // Batch / serial pehle — yeh fail ho to stock abhi ghata hi nahi
+  const isSale = referenceType === REFERENCE_TYPES.SALE;
+  const tracking = await consumeTracked({
+    product: current,
+    quantity,
+    reference: { referenceType, referenceId, referenceNumber },
+    serialNumbers,
+    preferSourceId,
+    status: isSale ? 'sold' : 'returned_to_supplier',
+    customerId,
+    performedBy,
+    session,
+  });
+
   // Atomic check + update ek hi operation me
   const product = await Product.findOneAndUpdate(
     {
@@ -24,15 +85,13 @@ export const decreaseStock = async ({
       'stock.quantity': { $gte: quantity }, // check bhi, update bhi
     },
     { $inc: { 'stock.quantity': -quantity } },
-    { new: true, session: session || undefined }
+    { new: true, session }
   );
 
-  // Agar null aaya — ya product nahi hai, ya stock nahi tha
+  // Beech me kisi aur ne stock utha liya — transaction rollback tracking bhi wapas kar dega
   if (!product) {
-    const exists = await Product.findById(productId).session(session);
-    if (!exists) throw new NotFoundError('Product not found');
     throw new InsufficientStockError(
-      `Insufficient stock for ${exists.name}. Available: ${exists.stock.quantity}`
+      `Insufficient stock for ${current.name}. Available: ${current.stock.quantity}`
     );
   }
 
@@ -49,11 +108,7 @@ export const decreaseStock = async ({
       : 'in_stock';
 
   if (product.status !== newStatus) {
-    await Product.findByIdAndUpdate(
-      productId,
-      { $set: { status: newStatus } },
-      { session: session || undefined }
-    );
+    await Product.findByIdAndUpdate(productId, { $set: { status: newStatus } }, { session });
     product.status = newStatus; // local object bhi sync karo
   }
   // ─────────────────────────────────────────
@@ -75,15 +130,19 @@ export const decreaseStock = async ({
         previousQuantity: previousQty,
         newQuantity:      product.stock.quantity,
         transactionDate:  new Date(),
-        referenceType:    REFERENCE_TYPES.SALE,
+        referenceType,
         referenceId,
         referenceNumber,
         value,
         performedBy,
-        reason: `Product sold via ${referenceNumber}`,
+        reason: isSale
+          ? `Product sold via ${referenceNumber}`
+          : `Stock reversed for ${referenceNumber}`,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
       },
     ],
-    session ? { session } : {}
+    { session }
   );
 
   return product;
@@ -98,6 +157,13 @@ export const increaseStock = async ({
   referenceNumber,
   value,
   performedBy,
+  // Batch / serial tracked product ke liye purchase line ki details
+  supplierId,
+  supplierName,
+  supplierBatchNumber,
+  grossWeight,
+  netWeight,
+  serialNumbers = [],
   session = null,
 }) => {
   const product = await Product.findById(productId).session(session);
@@ -106,6 +172,21 @@ export const increaseStock = async ({
   const previousQty = product.stock.quantity;
   await product.updateStock(quantity, 'add');
 
+  const tracking = await receiveTracked({
+    product,
+    quantity,
+    source: { type: 'purchase', referenceId, referenceNumber },
+    supplierId,
+    supplierName,
+    supplierBatchNumber,
+    grossWeight,
+    netWeight,
+    costPerUnit: value ? value / quantity : undefined,
+    serialNumbers,
+    performedBy,
+    session,
+  });
+
   await InventoryTransaction.create(
     [
       {
@@ -124,6 +205,8 @@ export const increaseStock = async ({
         value,
         performedBy,
         reason: `Stock received via ${referenceNumber}`,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
       },
     ],
     session ? { session } : {}
@@ -140,6 +223,7 @@ export const returnStock = async ({
   referenceId,
   referenceNumber,
   performedBy,
+  serialNumbers = [],
   session = null,
 }) => {
   const product = await Product.findById(productId).session(session);
@@ -148,6 +232,16 @@ export const returnStock = async ({
   const previousQty = product.stock.quantity;
   await product.updateStock(quantity, 'add');
 
+  // Jis batch / piece se bika tha wahi wapas stock me
+  const tracking = await restoreTracked({
+    product,
+    quantity,
+    reference: { referenceType: REFERENCE_TYPES.RETURN, referenceId, referenceNumber },
+    serialNumbers,
+    performedBy,
+    session,
+  });
+
   if (product.saleStatus === 'sold') {
     product.saleStatus = 'available';
     product.soldTo     = null;
@@ -172,6 +266,8 @@ export const returnStock = async ({
         referenceNumber,
         performedBy,
         reason: `Product returned from ${referenceNumber}`,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
       },
     ],
     session ? { session } : {}
@@ -187,6 +283,13 @@ export const adjustStock = async ({
   newQuantity,
   reason,
   performedBy,
+  // Stock audit jaise documents se aaye adjustment apna reference rakhte hain
+  referenceType = REFERENCE_TYPES.MANUAL_ADJUSTMENT,
+  referenceId = null,
+  referenceNumber = undefined,
+  value = 0,
+  metadata = {},
+  serialNumbers = [],
   session = null,
 }) => {
   const product = await Product.findById(productId).session(session);
@@ -197,6 +300,28 @@ export const adjustStock = async ({
 
   await product.updateStock(Math.abs(difference), difference > 0 ? 'add' : 'subtract');
 
+  // Badha to naya 'adjustment' batch / serials, ghata to FIFO se (ya diye gaye pieces) nikle
+  const reference = { referenceType, referenceId, referenceNumber };
+  const tracking =
+    difference > 0
+      ? await receiveTracked({
+          product,
+          quantity: difference,
+          source: { type: 'adjustment', referenceId, referenceNumber },
+          serialNumbers,
+          performedBy,
+          session,
+        })
+      : await consumeTracked({
+          product,
+          quantity: -difference,
+          reference,
+          serialNumbers,
+          status: 'written_off',
+          performedBy,
+          session,
+        });
+
   await InventoryTransaction.create(
     [
       {
@@ -209,9 +334,61 @@ export const adjustStock = async ({
         previousQuantity: previousQty,
         newQuantity,
         transactionDate:  new Date(),
-        referenceType:    REFERENCE_TYPES.MANUAL_ADJUSTMENT,
+        referenceType,
+        referenceId,
+        referenceNumber,
+        value,
         performedBy,
         reason:           reason || 'Manual stock adjustment',
+        metadata,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  return product;
+};
+
+// Quantity wahi rehti hai, sirf tag weight sahi hota hai — movement me zero-qty ADJUSTMENT
+export const adjustWeight = async ({
+  organizationId,
+  shopId,
+  productId,
+  grossWeight,
+  reason,
+  performedBy,
+  referenceType = REFERENCE_TYPES.MANUAL_ADJUSTMENT,
+  referenceId = null,
+  referenceNumber = undefined,
+  session = null,
+}) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) throw new NotFoundError('Product not found');
+
+  const previousWeight = product.weight.grossWeight;
+  product.weight.grossWeight = grossWeight;
+  await product.save(); // pre-save net / fine weight dobara nikalta hai
+
+  await InventoryTransaction.create(
+    [
+      {
+        organizationId,
+        shopId,
+        productId,
+        productCode: product.productCode,
+        transactionType: TRANSACTION_TYPES.ADJUSTMENT,
+        quantity: 0,
+        previousQuantity: product.stock.quantity,
+        newQuantity: product.stock.quantity,
+        transactionDate: new Date(),
+        referenceType,
+        referenceId,
+        referenceNumber,
+        performedBy,
+        reason: reason || 'Gross weight corrected',
+        metadata: { previousGrossWeight: previousWeight, newGrossWeight: grossWeight },
       },
     ],
     session ? { session } : {}
@@ -231,6 +408,7 @@ export const createProductFromPurchase = async ({
   userId,
   session = null,
 }) => {
+  // Plan ki product limit receivePurchase commit se pehle check karta hai
   const productCode = await Product.generateProductCode(shopId);
 
   // Shop fetch karo - markup + wastage settings ke liye
@@ -246,6 +424,8 @@ export const createProductFromPurchase = async ({
     ? shop?.settings?.defaultWastage || 0
     : 0;
 
+  const inventoryTracking = resolveTrackingMode(item.trackingMode, shop?.settings, item.quantity);
+
   const newProduct = await Product.create(
     [
       {
@@ -287,12 +467,26 @@ export const createProductFromPurchase = async ({
         },
         huid:        item.huid,
         hallmarking: { isHallmarked: item.isHallmarked },
+        inventoryTracking,
         createdBy:   userId,
       },
     ],
     session ? { session } : {}
   );
 
+  const tracking = await receiveTracked({
+    product: newProduct[0],
+    quantity: item.quantity,
+    source: { type: 'purchase', referenceId: purchaseId, referenceNumber: purchaseNumber },
+    supplierId,
+    supplierName: supplierDetails?.supplierName,
+    supplierBatchNumber: item.supplierBatchNumber,
+    costPerUnit: costPrice,
+    serialNumbers: item.serialNumbers || [],
+    performedBy: userId,
+    session,
+  });
+
   await InventoryTransaction.create(
     [
       {
@@ -311,6 +505,8 @@ export const createProductFromPurchase = async ({
         value:            item.itemTotal,
         performedBy:      userId,
         reason:           'Initial stock from purchase',
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
       },
     ],
     session ? { session } : {}
@@ -321,4 +517,375 @@ export const createProductFromPurchase = async ({
 
 export const getStockMovement = async ({ shopId, productId, limit = 50 }) => {
   return InventoryTransaction.getProductHistory(productId, limit);
-};
\ No newline at end of file
+};
+
+// ─────────────────────────────────────────────
+// STOCK TRANSFER (shop → shop)
+// ─────────────────────────────────────────────
+const stockStatusFor = (quantity, reorderLevel = 0) =>
+  quantity === 0 ? 'out_of_stock' : quantity <= reorderLevel ? 'low_stock' : 'in_stock';
+
+const transferDetailsOf = (transfer, status) => ({
+  fromShopId: transfer.fromShopId,
+  toShopId: transfer.toShopId,
+  transferDate: transfer.transferDate,
+  receivedDate: status === 'received' ? new Date() : undefined,
+  status,
+});
+
+// Source shop se nikaalo — atomic, taaki transit wala stock bik na sake
+export const transferStockOut = async ({
+  organizationId,
+  transfer,
+  productId,
+  quantity,
+  performedBy,
+  session = null,
+}) => {
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: productId,
+      shopId: transfer.fromShopId,
+      saleStatus: { $nin: ['sold', 'reserved'] },
+      'stock.quantity': { $gte: quantity },
+    },
+    {
+      $inc: { 'stock.quantity': -quantity },
+      $push: {
+        lifecycleHistory: {
+          action: 'transferred_out',
+          fromShop: transfer.fromShopId,
+          toShop: transfer.toShopId,
+          user: performedBy,
+          notes: transfer.transferNumber,
+        },
+      },
+    },
+    { new: true, session: session || undefined }
+  );
+
+  if (!product) {
+    const exists = await Product.findOne({ _id: productId, shopId: transfer.fromShopId }).session(
+      session
+    );
+    if (!exists) throw new NotFoundError('Product not found in source shop');
+    if (['sold', 'reserved'].includes(exists.saleStatus)) {
+      throw new BadRequestError(`${exists.name} is ${exists.saleStatus} and cannot be transferred`);
+    }
+    throw new InsufficientStockError(
+      `Insufficient stock for ${exists.name}. Available: ${exists.stock.quantity}`
+    );
+  }
+
+  const newStatus = stockStatusFor(product.stock.quantity, product.stock.reorderLevel);
+  if (product.status !== newStatus) {
+    await Product.findByIdAndUpdate(
+      productId,
+      { $set: { status: newStatus } },
+      { session: session || undefined }
+    );
+    product.status = newStatus;
+  }
+
+  // Transit me batch se nikla / serial in_transit — cancel pe restoreTracked isi reference se lautata hai
+  const tracking = await consumeTracked({
+    product,
+    quantity,
+    reference: {
+      referenceType: REFERENCE_TYPES.TRANSFER,
+      referenceId: transfer._id,
+      referenceNumber: transfer.transferNumber,
+    },
+    status: 'in_transit',
+    performedBy,
+    session,
+  });
+
+  await InventoryTransaction.create(
+    [
+      {
+        organizationId,
+        shopId: transfer.fromShopId,
+        productId,
+        productCode: product.productCode,
+        transactionType: TRANSACTION_TYPES.TRANSFER_OUT,
+        quantity,
+        previousQuantity: product.stock.quantity + quantity,
+        newQuantity: product.stock.quantity,
+        transactionDate: new Date(),
+        referenceType: REFERENCE_TYPES.TRANSFER,
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        transferDetails: transferDetailsOf(transfer, 'in_transit'),
+        value: (product.pricing?.costPrice || 0) * quantity,
+        performedBy,
+        reason: `Transferred to ${transfer.toShopDetails?.name || 'shop'} via ${transfer.transferNumber}`,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  return product;
+};
+
+// Destination shop me kaunsa product — pehle isi shop se aaya tha to wahi original,
+// pehle transfer ho chuka hai to wahi copy, warna naya product (naye shop ka code)
+const resolveDestinationProduct = async (source, transfer, performedBy, session) => {
+  if (source.transferredFrom?.shopId?.toString() === transfer.toShopId.toString()) {
+    const original = await Product.findOne({
+      _id: source.transferredFrom.productId,
+      shopId: transfer.toShopId,
+    }).session(session);
+    if (original) return original;
+  }
+
+  const existing = await Product.findOne({
+    shopId: transfer.toShopId,
+    'transferredFrom.productId': source._id,
+  }).session(session);
+  if (existing) return existing;
+
+  // Sirf item details copy — stock, sale state, history naye shop me fresh
+  const details = source.toObject({ virtuals: false });
+  const stock = { ...details.stock, quantity: 0 };
+  [
+    '_id',
+    'productCode',
+    'shopId',
+    'stock',
+    'status',
+    'saleStatus',
+    'soldDate',
+    'soldTo',
+    'reservedFor',
+    'lifecycleHistory',
+    'transferredFrom',
+    'createdBy',
+    'updatedBy',
+    'createdAt',
+    'updatedAt',
+    '__v',
+  ].forEach(key => delete details[key]);
+
+  // Plan ki maxProducts limit yahan nahi — naya maal nahi, wahi piece doosri shop me
+
+  const [product] = await Product.create(
+    [
+      {
+        ...details,
+        shopId: transfer.toShopId,
+        productCode: await Product.generateProductCode(transfer.toShopId),
+        stock,
+        status: 'out_of_stock',
+        saleStatus: 'available',
+        transferredFrom: {
+          productId: source._id,
+          shopId: source.shopId,
+          transferId: transfer._id,
+        },
+        createdBy: performedBy,
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  return product;
+};
+
+// Destination shop me stock jodo. Damaged units bhi TRANSFER_IN hote hain (source ke
+// TRANSFER_OUT se match) aur turant DAMAGE se nikal jaate hain
+export const transferStockIn = async ({
+  organizationId,
+  transfer,
+  item,
+  quantity,
+  damagedQuantity = 0,
+  performedBy,
+  session = null,
+}) => {
+  const source = await Product.findById(item.productId)
+    .setOptions({ includeDeleted: true })
+    .session(session);
+  if (!source) throw new NotFoundError(`Source product ${item.productCode} not found`);
+
+  const product = await resolveDestinationProduct(source, transfer, performedBy, session);
+  const totalIn = quantity + damagedQuantity;
+  const previousQty = product.stock.quantity;
+
+  product.lifecycleHistory.push({
+    action: 'transferred_in',
+    fromShop: transfer.fromShopId,
+    toShop: transfer.toShopId,
+    user: performedBy,
+    notes: transfer.transferNumber,
+  });
+  product.stock.quantity = previousQty + quantity;
+  product.status = stockStatusFor(product.stock.quantity, product.stock.reorderLevel);
+  await product.save({ session });
+
+  const tracking = await receiveTransferTracked({
+    source,
+    product,
+    transfer,
+    quantity,
+    damagedQuantity,
+    unitValue: item.unitValue,
+    performedBy,
+    session,
+  });
+
+  const base = {
+    organizationId,
+    shopId: transfer.toShopId,
+    productId: product._id,
+    productCode: product.productCode,
+    transactionDate: new Date(),
+    referenceType: REFERENCE_TYPES.TRANSFER,
+    referenceId: transfer._id,
+    referenceNumber: transfer.transferNumber,
+    transferDetails: transferDetailsOf(transfer, 'received'),
+    performedBy,
+  };
+
+  const movements = [
+    {
+      ...base,
+      transactionType: TRANSACTION_TYPES.TRANSFER_IN,
+      quantity: totalIn,
+      previousQuantity: previousQty,
+      newQuantity: previousQty + totalIn,
+      value: item.unitValue * totalIn,
+      batchAllocations: tracking.batchAllocations,
+      serialNumbers: tracking.serialNumbers,
+      reason: `Received from ${transfer.fromShopDetails?.name || 'shop'} via ${transfer.transferNumber}`,
+    },
+  ];
+
+  if (damagedQuantity > 0) {
+    movements.push({
+      ...base,
+      referenceType: REFERENCE_TYPES.DAMAGE,
+      transactionType: TRANSACTION_TYPES.DAMAGE,
+      quantity: damagedQuantity,
+      previousQuantity: previousQty + totalIn,
+      newQuantity: product.stock.quantity,
+      value: item.unitValue * damagedQuantity,
+      reason: `Received damaged via ${transfer.transferNumber}`,
+    });
+  }
+
+  // ordered — dono movements ek session me, sequence maintain
+  await InventoryTransaction.create(movements, session ? { session, ordered: true } : {});
+
+  return product;
+};
+
+// Transit me atka stock source shop ko wapas (cancel ya close → return_to_source)
+export const returnTransferStock = async ({
+  organizationId,
+  transfer,
+  item,
+  quantity,
+  performedBy,
+  reason,
+  session = null,
+}) => {
+  const product = await Product.findById(item.productId)
+    .setOptions({ includeDeleted: true })
+    .session(session);
+  if (!product) throw new NotFoundError(`Source product ${item.productCode} not found`);
+
+  const previousQty = product.stock.quantity;
+  await product.updateStock(quantity, 'add');
+
+  const tracking = await restoreTracked({
+    product,
+    quantity,
+    reference: {
+      referenceType: REFERENCE_TYPES.TRANSFER,
+      referenceId: transfer._id,
+      referenceNumber: transfer.transferNumber,
+    },
+    performedBy,
+    session,
+  });
+
+  await InventoryTransaction.create(
+    [
+      {
+        organizationId,
+        shopId: transfer.fromShopId,
+        productId: product._id,
+        productCode: product.productCode,
+        transactionType: TRANSACTION_TYPES.TRANSFER_IN,
+        quantity,
+        previousQuantity: previousQty,
+        newQuantity: product.stock.quantity,
+        transactionDate: new Date(),
+        referenceType: REFERENCE_TYPES.TRANSFER,
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        transferDetails: transferDetailsOf(transfer, 'cancelled'),
+        value: item.unitValue * quantity,
+        performedBy,
+        reason,
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
+      },
+    ],
+    session ? { session } : {}
+  );
+
+  return product;
+};
+
+// Raste me kho gaya — stock pehle hi source se nikal chuka hai, sirf loss record karo
+export const writeOffTransferStock = async ({
+  organizationId,
+  transfer,
+  item,
+  quantity,
+  performedBy,
+  reason,
+  session = null,
+}) => {
+  const product = await Product.findById(item.productId)
+    .setOptions({ includeDeleted: true })
+    .session(session);
+  if (!product) throw new NotFoundError(`Source product ${item.productCode} not found`);
+
+  const { serialNumbers } = await writeOffTransferTracked({
+    product,
+    transfer,
+    quantity,
+    performedBy,
+    session,
+  });
+
+  await InventoryTransaction.create(
+    [
+      {
+        organizationId,
+        shopId: transfer.fromShopId,
+        productId: product._id,
+        productCode: product.productCode,
+        transactionType: TRANSACTION_TYPES.DAMAGE,
+        serialNumbers,
+        quantity,
+        previousQuantity: product.stock.quantity,
+        newQuantity: product.stock.quantity,
+        transactionDate: new Date(),
+        referenceType: REFERENCE_TYPES.TRANSFER,
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        transferDetails: transferDetailsOf(transfer, 'cancelled'),
+        value: item.unitValue * quantity,
+        performedBy,
+        reason,
+      },
+    ],
+    session ? { session } : {}
+  );
+};
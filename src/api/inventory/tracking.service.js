@@ -0,0 +1,779 @@
+// src/api/inventory/tracking.service.js
+// Batch aur serial tracking — product ka stock.quantity wahi rehta hai, ye bas batata
+// hai ki kaunse batch / kaunse piece me hai. inventory.service ke stock functions isse
+// call karte hain; har InventoryTransaction pe batch allocation / serial numbers lagte hain.
+
+import mongoose from 'mongoose';
+import StockBatch from '../../models/StockBatch.js';
+import SerialNumber from '../../models/SerialNumber.js';
+import Product from '../../models/Product.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../../utils/AppError.js';
+
+export const TRACKING_MODES = ['none', 'batch', 'serial'];
+
+// In references se serial ka status badle to history me 'adjusted' likhte hain
+const ADJUSTMENT_REFERENCES = ['manual_adjustment', 'stock_audit'];
+
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// ─────────────────────────────────────────────
+// PURE HELPERS
+// ─────────────────────────────────────────────
+
+/**
+ * Product ka tracking mode. Explicit mode wins agar shop me on ho;
+ * warna bulk (qty > 1) → batch, baaki → serial, jo setting on ho.
+ */
+export const resolveTrackingMode = (requested, settings = {}, quantity = 1) => {
+  const batchOn = !!settings.enableBatchTracking;
+  const serialOn = !!settings.enableSerialNumberTracking;
+
+  // Purchase listener me chalta hai — band setting wala mode fail karne ke bajay auto pe girta hai
+  if (requested === 'batch' && batchOn) return 'batch';
+  if (requested === 'serial' && serialOn) return 'serial';
+  if (requested === 'none') return 'none';
+
+  if (batchOn && quantity > 1) return 'batch';
+  if (serialOn) return 'serial';
+  return 'none';
+};
+
+/**
+ * FIFO plan — `preferSourceId` wale batch pehle (purchase cancel / return pe usi purchase ka maal),
+ * phir sabse purana. Batches receivedAt se sorted aane chahiye.
+ * @returns {{ allocations: Array<{ batch, quantity }>, untracked: number }}
+ */
+export const planFifo = (batches, quantity, preferSourceId = null) => {
+  const ordered = preferSourceId
+    ? [
+        ...batches.filter(b => String(b.source?.referenceId) === String(preferSourceId)),
+        ...batches.filter(b => String(b.source?.referenceId) !== String(preferSourceId)),
+      ]
+    : batches;
+
+  const allocations = [];
+  let left = quantity;
+
+  for (const batch of ordered) {
+    if (left <= 0) break;
+    const take = Math.min(batch.remainingQuantity, left);
+    if (take <= 0) continue;
+    allocations.push({ batch, quantity: take });
+    left -= take;
+  }
+
+  // Tracking on hone se pehle ka stock kisi batch me nahi hai
+  return { allocations, untracked: left };
+};
+
+/**
+ * Kisi reference (sale / transfer) ki consumptions me se `quantity` wapas — latest pehle.
+ * @returns {{ restores: Array<{ batch, consumption, quantity }>, unmatched: number }}
+ */
+export const planRestore = (batches, referenceId, quantity) => {
+  const entries = batches
+    .flatMap(batch =>
+      (batch.consumptions || [])
+        .filter(c => String(c.referenceId) === String(referenceId))
+        .map(consumption => ({ batch, consumption }))
+    )
+    .sort((a, b) => new Date(b.consumption.consumedAt) - new Date(a.consumption.consumedAt));
+
+  const restores = [];
+  let left = quantity;
+
+  for (const { batch, consumption } of entries) {
+    if (left <= 0) break;
+    const open = consumption.quantity - (consumption.restoredQuantity || 0);
+    const take = Math.min(open, left);
+    if (take <= 0) continue;
+    restores.push({ batch, consumption, quantity: take });
+    left -= take;
+  }
+
+  return { restores, unmatched: left };
+};
+
+// Batch weight quantity ke hisaab se baant-ta hai
+const weightShare = (batch, quantity) => ({
+  grossWeight: batch.receivedQuantity
+    ? round3((batch.grossWeight * quantity) / batch.receivedQuantity)
+    : 0,
+  netWeight: batch.receivedQuantity
+    ? round3((batch.netWeight * quantity) / batch.receivedQuantity)
+    : 0,
+});
+
+const allocationOf = (batch, quantity) => ({
+  batchId: batch._id,
+  batchNumber: batch.batchNumber,
+  quantity,
+  costPerUnit: batch.costPerUnit,
+});
+
+const withSession = session => (session ? { session } : {});
+
+const pickReference = reference => ({
+  referenceId: reference.referenceId,
+  referenceNumber: reference.referenceNumber,
+});
+
+// ─────────────────────────────────────────────
+// RECEIVE — purchase, return, adjustment, transfer in
+// ─────────────────────────────────────────────
+
+/**
+ * Naya batch ya naye serials. Weights poore receipt ke hain; na diye to product weight × qty.
+ * @returns {Promise<{ batchAllocations: Array, serialNumbers: string[] }>}
+ */
+export const receiveTracked = async ({
+  product,
+  quantity,
+  source,
+  supplierId = null,
+  supplierName,
+  supplierBatchNumber,
+  grossWeight,
+  netWeight,
+  costPerUnit,
+  serialNumbers = [],
+  performedBy,
+  session = null,
+}) => {
+  const mode = product.inventoryTracking || 'none';
+  const empty = { batchAllocations: [], serialNumbers: [] };
+  if (mode === 'none' || quantity <= 0) return empty;
+
+  const cost = costPerUnit ?? product.pricing?.costPrice ?? 0;
+
+  if (mode === 'batch') {
+    const gross = grossWeight ?? (product.weight?.grossWeight || 0) * quantity;
+    const net = netWeight ?? (product.weight?.netWeight || 0) * quantity;
+
+    const [batch] = await StockBatch.create(
+      [
+        {
+          organizationId: product.organizationId,
+          shopId: product.shopId,
+          productId: product._id,
+          batchNumber: await StockBatch.generateBatchNumber(product.shopId, 'BT', session),
+          supplierBatchNumber,
+          source,
+          supplierId,
+          supplierName,
+          receivedQuantity: quantity,
+          remainingQuantity: quantity,
+          grossWeight: round3(gross),
+          netWeight: round3(net),
+          remainingGrossWeight: round3(gross),
+          remainingNetWeight: round3(net),
+          costPerUnit: Math.round(cost * 100) / 100,
+          createdBy: performedBy,
+        },
+      ],
+      withSession(session)
+    );
+
+    return { ...empty, batchAllocations: [allocationOf(batch, quantity)] };
+  }
+
+  // serial — supplier / certificate numbers pehle, baaki generate
+  const given = [...new Set(serialNumbers.map(s => String(s).trim().toUpperCase()))].filter(
+    Boolean
+  );
+  if (given.length > quantity) {
+    throw new BadRequestError(`${given.length} serial numbers given for ${quantity} pieces`);
+  }
+  if (given.length) {
+    const taken = await SerialNumber.find({
+      organizationId: product.organizationId,
+      serialNumber: { $in: given },
+    })
+      .select('serialNumber')
+      .session(session)
+      .lean();
+    if (taken.length) {
+      throw new ConflictError(
+        `Serial numbers already exist: ${taken.map(s => s.serialNumber).join(', ')}`
+      );
+    }
+  }
+
+  const generated =
+    quantity > given.length
+      ? await SerialNumber.generateSerialNumbers(
+          product.organizationId,
+          quantity - given.length,
+          'SN',
+          session
+        )
+      : [];
+  const numbers = [...given, ...generated];
+  const event = {
+    event:
+      source.type === 'transfer'
+        ? 'transferred_in'
+        : source.type === 'return'
+          ? 'returned'
+          : 'received',
+    shopId: product.shopId,
+    productId: product._id,
+    referenceType: source.type,
+    referenceId: source.referenceId,
+    referenceNumber: source.referenceNumber,
+    by: performedBy,
+  };
+
+  await SerialNumber.create(
+    numbers.map(serialNumber => ({
+      organizationId: product.organizationId,
+      shopId: product.shopId,
+      productId: product._id,
+      serialNumber,
+      source,
+      supplierId,
+      costPrice: cost,
+      history: [event],
+    })),
+    session ? { session, ordered: true } : {}
+  );
+
+  return { ...empty, serialNumbers: numbers };
+};
+
+// ─────────────────────────────────────────────
+// CONSUME — sale, purchase return, transfer out, adjustment
+// ─────────────────────────────────────────────
+
+/**
+ * Batch: FIFO se nikaalo. Serial: maange gaye pieces (ya sabse purane) ko `status` pe le jao.
+ * @param {Object} options
+ * @param {'sold'|'in_transit'|'written_off'|'returned_to_supplier'} [options.status='sold']
+ * @returns {Promise<{ batchAllocations: Array, serialNumbers: string[], untracked: number }>}
+ */
+export const consumeTracked = async ({
+  product,
+  quantity,
+  reference,
+  serialNumbers = [],
+  preferSourceId = null,
+  status = 'sold',
+  customerId = null,
+  performedBy,
+  session = null,
+}) => {
+  const mode = product.inventoryTracking || 'none';
+  const result = { batchAllocations: [], serialNumbers: [], untracked: 0 };
+  if (mode === 'none' || quantity <= 0) return result;
+
+  if (mode === 'batch') {
+    const batches = await StockBatch.find({ productId: product._id, status: 'active' })
+      .sort({ receivedAt: 1, _id: 1 })
+      .session(session);
+
+    const { allocations, untracked } = planFifo(batches, quantity, preferSourceId);
+
+    for (const { batch, quantity: take } of allocations) {
+      const share = weightShare(batch, take);
+      batch.remainingQuantity -= take;
+      batch.remainingGrossWeight = Math.max(
+        0,
+        round3(batch.remainingGrossWeight - share.grossWeight)
+      );
+      batch.remainingNetWeight = Math.max(0, round3(batch.remainingNetWeight - share.netWeight));
+      if (batch.remainingQuantity === 0) batch.status = 'exhausted';
+      batch.consumptions.push({ quantity: take, ...share, ...reference, performedBy });
+      await batch.save(withSession(session));
+      result.batchAllocations.push(allocationOf(batch, take));
+    }
+
+    result.untracked = untracked;
+    return result;
+  }
+
+  const wanted = [...new Set(serialNumbers.map(s => String(s).trim().toUpperCase()))].filter(
+    Boolean
+  );
+  if (wanted.length > quantity) {
+    throw new BadRequestError(`${wanted.length} serial numbers given for ${quantity} pieces`);
+  }
+
+  const picked = wanted.length
+    ? await SerialNumber.find({
+        productId: product._id,
+        serialNumber: { $in: wanted },
+        status: 'in_stock',
+      }).session(session)
+    : [];
+  if (picked.length !== wanted.length) {
+    const found = new Set(picked.map(s => s.serialNumber));
+    throw new BadRequestError(
+      `Serial numbers not in stock for ${product.name}: ${wanted.filter(s => !found.has(s)).join(', ')}`
+    );
+  }
+
+  if (picked.length < quantity) {
+    const rest = await SerialNumber.find({
+      productId: product._id,
+      status: 'in_stock',
+      _id: { $nin: picked.map(s => s._id) },
+    })
+      .sort({ receivedAt: 1, _id: 1 })
+      .limit(quantity - picked.length)
+      .session(session);
+    picked.push(...rest);
+  }
+
+  if (picked.length) {
+    const event = ADJUSTMENT_REFERENCES.includes(reference.referenceType)
+      ? 'adjusted'
+      : {
+          sold: 'sold',
+          in_transit: 'transferred_out',
+          written_off: 'written_off',
+          returned_to_supplier: 'returned_to_supplier',
+        }[status];
+
+    await SerialNumber.updateMany(
+      { _id: { $in: picked.map(s => s._id) } },
+      {
+        $set: {
+          status,
+          currentReference: reference,
+          customerId: status === 'sold' ? customerId : null,
+          soldAt: status === 'sold' ? new Date() : null,
+        },
+        $push: {
+          history: {
+            event,
+            shopId: product.shopId,
+            productId: product._id,
+            ...reference,
+            by: performedBy,
+          },
+        },
+      },
+      withSession(session)
+    );
+  }
+
+  result.serialNumbers = picked.map(s => s.serialNumber);
+  result.untracked = quantity - picked.length;
+  return result;
+};
+
+// ─────────────────────────────────────────────
+// RESTORE — sale cancel / return, transfer wapas source ko
+// ─────────────────────────────────────────────
+
+/**
+ * Jis reference se nikla tha usi batch / piece me wapas. Purane (tracking se pehle ke)
+ * sale ka maal jo kisi batch se nahi nikla, naye 'return' batch me aata hai.
+ * @returns {Promise<{ batchAllocations: Array, serialNumbers: string[] }>}
+ */
+export const restoreTracked = async ({
+  product,
+  quantity,
+  reference,
+  serialNumbers = [],
+  performedBy,
+  session = null,
+}) => {
+  const mode = product.inventoryTracking || 'none';
+  const result = { batchAllocations: [], serialNumbers: [] };
+  if (mode === 'none' || quantity <= 0) return result;
+
+  if (mode === 'batch') {
+    const batches = await StockBatch.find({
+      productId: product._id,
+      'consumptions.referenceId': reference.referenceId,
+    }).session(session);
+
+    const { restores, unmatched } = planRestore(batches, reference.referenceId, quantity);
+
+    for (const { batch, consumption, quantity: take } of restores) {
+      const share = weightShare(batch, take);
+      consumption.restoredQuantity = (consumption.restoredQuantity || 0) + take;
+      batch.remainingQuantity += take;
+      batch.remainingGrossWeight = round3(batch.remainingGrossWeight + share.grossWeight);
+      batch.remainingNetWeight = round3(batch.remainingNetWeight + share.netWeight);
+      batch.status = 'active';
+      await batch.save(withSession(session));
+      result.batchAllocations.push(allocationOf(batch, take));
+    }
+
+    if (unmatched > 0) {
+      const received = await receiveTracked({
+        product,
+        quantity: unmatched,
+        source: { type: 'return', ...pickReference(reference) },
+        performedBy,
+        session,
+      });
+      result.batchAllocations.push(...received.batchAllocations);
+    }
+    return result;
+  }
+
+  const wanted = serialNumbers.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  const filter = {
+    productId: product._id,
+    'currentReference.referenceId': reference.referenceId,
+    status: { $in: ['sold', 'in_transit'] },
+  };
+  if (wanted.length) filter.serialNumber = { $in: wanted };
+
+  const serials = await SerialNumber.find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(quantity)
+    .session(session);
+
+  if (serials.length) {
+    await SerialNumber.updateMany(
+      { _id: { $in: serials.map(s => s._id) } },
+      {
+        $set: {
+          status: 'in_stock',
+          shopId: product.shopId,
+          productId: product._id,
+          currentReference: {},
+          customerId: null,
+          soldAt: null,
+        },
+        $push: {
+          history: {
+            event: 'returned',
+            shopId: product.shopId,
+            productId: product._id,
+            ...reference,
+            by: performedBy,
+          },
+        },
+      },
+      withSession(session)
+    );
+  }
+
+  result.serialNumbers = serials.map(s => s.serialNumber);
+  return result;
+};
+
+// ─────────────────────────────────────────────
+// TRANSFER IN — piece wahi, shop / product naya
+// ─────────────────────────────────────────────
+
+/**
+ * Destination shop pe receive. Serial: transit wale pieces destination product pe move;
+ * damaged pieces written_off. Batch: destination pe naya 'transfer' batch, dispatch cost pe.
+ */
+export const receiveTransferTracked = async ({
+  source,
+  product,
+  transfer,
+  quantity,
+  damagedQuantity = 0,
+  unitValue,
+  performedBy,
+  session = null,
+}) => {
+  const mode = source.inventoryTracking || 'none';
+  const result = { batchAllocations: [], serialNumbers: [] };
+  if (mode === 'none') return result;
+
+  if (product.inventoryTracking !== mode) {
+    product.inventoryTracking = mode;
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { inventoryTracking: mode } },
+      withSession(session)
+    );
+  }
+
+  const reference = {
+    referenceType: 'transfer',
+    referenceId: transfer._id,
+    referenceNumber: transfer.transferNumber,
+  };
+
+  if (mode === 'batch') {
+    return receiveTracked({
+      product,
+      quantity,
+      source: { type: 'transfer', ...pickReference(reference) },
+      supplierName: transfer.fromShopDetails?.name,
+      costPerUnit: unitValue,
+      performedBy,
+      session,
+    });
+  }
+
+  const serials = await SerialNumber.find({
+    productId: source._id,
+    status: 'in_transit',
+    'currentReference.referenceId': transfer._id,
+  })
+    .sort({ _id: 1 })
+    .limit(quantity + damagedQuantity)
+    .session(session);
+
+  const good = serials.slice(0, quantity);
+  const damaged = serials.slice(quantity);
+
+  if (good.length) {
+    await SerialNumber.updateMany(
+      { _id: { $in: good.map(s => s._id) } },
+      {
+        $set: {
+          status: 'in_stock',
+          shopId: product.shopId,
+          productId: product._id,
+          currentReference: {},
+        },
+        $push: {
+          history: {
+            event: 'transferred_in',
+            shopId: product.shopId,
+            productId: product._id,
+            ...reference,
+            by: performedBy,
+          },
+        },
+      },
+      withSession(session)
+    );
+  }
+  if (damaged.length) await writeOffSerials(damaged, product, reference, performedBy, session);
+
+  result.serialNumbers = good.map(s => s.serialNumber);
+  return result;
+};
+
+/** Transit me kho gaye pieces — sirf serial ka status, stock pehle hi nikal chuka hai */
+export const writeOffTransferTracked = async ({
+  product,
+  transfer,
+  quantity,
+  performedBy,
+  session = null,
+}) => {
+  if (product.inventoryTracking !== 'serial') return { serialNumbers: [] };
+
+  const serials = await SerialNumber.find({
+    productId: product._id,
+    status: 'in_transit',
+    'currentReference.referenceId': transfer._id,
+  })
+    .limit(quantity)
+    .session(session);
+
+  const reference = {
+    referenceType: 'transfer',
+    referenceId: transfer._id,
+    referenceNumber: transfer.transferNumber,
+  };
+  await writeOffSerials(serials, product, reference, performedBy, session);
+  return { serialNumbers: serials.map(s => s.serialNumber) };
+};
+
+const writeOffSerials = (serials, product, reference, performedBy, session) =>
+  SerialNumber.updateMany(
+    { _id: { $in: serials.map(s => s._id) } },
+    {
+      $set: { status: 'written_off', currentReference: reference },
+      $push: {
+        history: {
+          event: 'written_off',
+          shopId: product.shopId,
+          productId: product._id,
+          ...reference,
+          by: performedBy,
+        },
+      },
+    },
+    withSession(session)
+  );
+
+// ─────────────────────────────────────────────
+// SALE PRE-CHECK
+// ─────────────────────────────────────────────
+
+/**
+ * Sale banne se pehle — jo serial numbers maange gaye woh isi product ke, isi shop me,
+ * stock me hon. Listener baad me chalta hai, wahan fail hua to bill ban chuka hoga.
+ */
+export const assertSerialsAvailable = async (shopId, items = [], session = null) => {
+  for (const item of items) {
+    const wanted = [
+      ...new Set((item.serialNumbers || []).map(s => String(s).trim().toUpperCase())),
+    ];
+    if (!wanted.length) continue;
+
+    if (!item.productId) {
+      throw new BadRequestError(
+        `Serial numbers need a stock product (${item.productName || 'item'})`
+      );
+    }
+    if (wanted.length > (item.quantity || 1)) {
+      throw new BadRequestError(
+        `More serial numbers than quantity for ${item.productName || 'item'}`
+      );
+    }
+
+    const found = await SerialNumber.find({
+      shopId,
+      productId: item.productId,
+      serialNumber: { $in: wanted },
+      status: 'in_stock',
+    })
+      .select('serialNumber')
+      .session(session)
+      .lean();
+
+    if (found.length !== wanted.length) {
+      const ok = new Set(found.map(s => s.serialNumber));
+      throw new BadRequestError(
+        `Serial numbers not in stock: ${wanted.filter(s => !ok.has(s)).join(', ')}`
+      );
+    }
+  }
+};
+
+// ─────────────────────────────────────────────
+// READ — batches, serial trace, valuation
+// ─────────────────────────────────────────────
+
+export const getProductBatches = async (productId, shopId, { status } = {}) => {
+  const query = { productId, shopId };
+  if (status) query.status = status;
+
+  return StockBatch.find(query)
+    .sort({ receivedAt: 1 })
+    .populate('supplierId', 'businessName supplierCode')
+    .lean({ virtuals: true });
+};
+
+export const getProductSerials = async (productId, shopId, { status } = {}) => {
+  const query = { productId, shopId };
+  if (status) query.status = status;
+
+  return SerialNumber.find(query).select('-history').sort({ receivedAt: 1 }).lean();
+};
+
+/** Ek piece ki poori kahani — purchase se sale / return / transfer tak */
+export const traceSerial = async (organizationId, serialNumber) => {
+  const serial = await SerialNumber.findOne({
+    organizationId,
+    serialNumber: String(serialNumber).trim().toUpperCase(),
+  })
+    .populate('productId', 'name productCode')
+    .populate('customerId', 'firstName lastName customerCode')
+    .populate('history.by', 'firstName lastName')
+    .lean();
+
+  if (!serial) throw new NotFoundError(`Serial number ${serialNumber} not found`);
+  return serial;
+};
+
+/**
+ * Stock valuation at cost. Batch products apne active batches ke cost pe, baaki
+ * (serial / untracked) product costPrice × stock pe. Batch se kam stock ho ya zyada,
+ * farak `untrackedQuantity` me dikhta hai.
+ */
+export const getStockValuation = async (shopId, organizationId, { categoryId, metalType } = {}) => {
+  const filter = {
+    shopId: new mongoose.Types.ObjectId(String(shopId)),
+    organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+    deletedAt: null,
+    'stock.quantity': { $gt: 0 },
+  };
+  if (categoryId) filter.categoryId = new mongoose.Types.ObjectId(String(categoryId));
+  if (metalType) filter['metal.type'] = metalType;
+
+  const products = await Product.find(filter)
+    .select('name productCode categoryId metal weight pricing stock inventoryTracking')
+    .populate('categoryId', 'name')
+    .sort('productCode')
+    .lean();
+
+  const batchIds = products.filter(p => p.inventoryTracking === 'batch').map(p => p._id);
+  const batches = batchIds.length
+    ? await StockBatch.find({ productId: { $in: batchIds }, status: 'active' })
+        .select(
+          'productId batchNumber supplierName receivedAt remainingQuantity remainingGrossWeight remainingNetWeight costPerUnit'
+        )
+        .sort({ receivedAt: 1 })
+        .lean()
+    : [];
+
+  const byProduct = new Map();
+  for (const batch of batches) {
+    const key = String(batch.productId);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(batch);
+  }
+
+  return buildValuation(products, byProduct);
+};
+
+/** Pure — product list + batches (productId → batches) se valuation rows aur totals */
+export const buildValuation = (products, batchesByProduct = new Map()) => {
+  const totals = { products: 0, quantity: 0, grossWeight: 0, netWeight: 0, value: 0 };
+
+  const rows = products.map(product => {
+    const quantity = product.stock?.quantity || 0;
+    const unitCost = product.pricing?.costPrice || 0;
+    const batches = (batchesByProduct.get(String(product._id)) || []).map(batch => ({
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      supplierName: batch.supplierName,
+      receivedAt: batch.receivedAt,
+      quantity: batch.remainingQuantity,
+      grossWeight: batch.remainingGrossWeight,
+      netWeight: batch.remainingNetWeight,
+      costPerUnit: batch.costPerUnit,
+      value: Math.round(batch.remainingQuantity * batch.costPerUnit * 100) / 100,
+    }));
+
+    const batchQuantity = batches.reduce((sum, b) => sum + b.quantity, 0);
+    const untrackedQuantity = Math.max(0, quantity - batchQuantity);
+
+    const value = batches.reduce((sum, b) => sum + b.value, 0) + untrackedQuantity * unitCost;
+    const grossWeight = batches.length
+      ? batches.reduce((sum, b) => sum + b.grossWeight, 0) +
+        untrackedQuantity * (product.weight?.grossWeight || 0)
+      : quantity * (product.weight?.grossWeight || 0);
+    const netWeight = batches.length
+      ? batches.reduce((sum, b) => sum + b.netWeight, 0) +
+        untrackedQuantity * (product.weight?.netWeight || 0)
+      : quantity * (product.weight?.netWeight || 0);
+
+    const row = {
+      productId: product._id,
+      productCode: product.productCode,
+      name: product.name,
+      category: product.categoryId?.name,
+      metalType: product.metal?.type,
+      purity: product.metal?.purity,
+      inventoryTracking: product.inventoryTracking || 'none',
+      quantity,
+      grossWeight: round3(grossWeight),
+      netWeight: round3(netWeight),
+      value: Math.round(value * 100) / 100,
+      batches,
+      untrackedQuantity: product.inventoryTracking === 'batch' ? untrackedQuantity : 0,
+    };
+
+    totals.products += 1;
+    totals.quantity += quantity;
+    totals.grossWeight += row.grossWeight;
+    totals.netWeight += row.netWeight;
+    totals.value += row.value;
+    return row;
+  });
+
+  totals.grossWeight = round3(totals.grossWeight);
+  totals.netWeight = round3(totals.netWeight);
+  totals.value = Math.round(totals.value * 100) / 100;
+
+  return { products: rows, totals };
+};
@@ -0,0 +1,130 @@
+import { validationResult } from 'express-validator';
+import * as jobService from './job.service.js';
+import {
+  sendSuccess,
+  sendBadRequest,
+  sendNotFound,
+  sendConflict,
+  sendInternalError,
+} from '../../utils/sendResponse.js';
+import logger from '../../utils/logger.js';
+import eventLogger from '../../utils/eventLogger.js';
+
+// ─── List Jobs ─────────────────────────────────────────────────────────────────
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = await jobService.getJobs();
+    return sendSuccess(res, 200, 'Jobs fetched successfully', { jobs, count: jobs.length });
+  } catch (error) {
+    logger.error('Error fetching jobs', { error: error.message });
+    return sendInternalError(res, 'Failed to fetch jobs', error);
+  }
+};
+
+// ─── Get Job ───────────────────────────────────────────────────────────────────
+export const getJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const job = await jobService.getJobByName(req.params.name);
+    return sendSuccess(res, 200, 'Job fetched successfully', { job });
+  } catch (error) {
+    logger.error('Error fetching job', { error: error.message, name: req.params.name });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    return sendInternalError(res, 'Failed to fetch job', error);
+  }
+};
+
+// ─── Update Job ────────────────────────────────────────────────────────────────
+export const updateJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const job = await jobService.updateJob(req.params.name, req.body, req.user._id);
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      action: 'update',
+      module: 'scheduled_job',
+      description: `Scheduled job updated: ${job.name}`,
+      level: 'info',
+      status: 'success',
+      metadata: { name: job.name, schedule: job.schedule, isEnabled: job.isEnabled },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Job updated successfully', { job });
+  } catch (error) {
+    logger.error('Error updating job', { error: error.message, name: req.params.name });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    return sendInternalError(res, 'Failed to update job', error);
+  }
+};
+
+// ─── Trigger Job ───────────────────────────────────────────────────────────────
+export const triggerJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const run = await jobService.triggerJob(req.params.name, req.user._id);
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      action: 'trigger',
+      module: 'scheduled_job',
+      description: `Scheduled job run manually: ${run.jobName} (${run.status})`,
+      level: run.status === 'failed' ? 'warn' : 'info',
+      status: run.status === 'failed' ? 'failed' : 'success',
+      metadata: { runId: run._id, name: run.jobName, durationMs: run.durationMs },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, `Job run ${run.status}`, { run });
+  } catch (error) {
+    logger.error('Error triggering job', { error: error.message, name: req.params.name });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'ConflictError') return sendConflict(res, error.message);
+    return sendInternalError(res, 'Failed to run job', error);
+  }
+};
+
+// ─── Run Log ───────────────────────────────────────────────────────────────────
+export const getJobRuns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { page = 1, limit = 20, status, trigger } = req.query;
+
+    const result = await jobService.getJobRuns(
+      req.params.name,
+      { status, trigger },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    return sendSuccess(
+      res,
+      200,
+      'Job runs fetched successfully',
+      { runs: result.data },
+      { pagination: result.pagination }
+    );
+  } catch (error) {
+    logger.error('Error fetching job runs', { error: error.message, name: req.params.name });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    return sendInternalError(res, 'Failed to fetch job runs', error);
+  }
+};
+
+export default {
+  getJobs,
+  getJob,
+  updateJob,
+  triggerJob,
+  getJobRuns,
+};
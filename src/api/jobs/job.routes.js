@@ -0,0 +1,62 @@
+import express from 'express';
+import { getJobs, getJob, updateJob, triggerJob, getJobRuns } from './job.controller.js';
+import { jobNameValidation, updateJobValidation, getJobRunsValidation } from './job.validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { rateLimiter } from '../middlewares/rateLimiter.js';
+
+// Mounted at: /api/v1/jobs
+// Jobs run across all organizations — platform admins only
+const router = express.Router();
+
+router.use(authenticate);
+router.use(restrictTo('super_admin'));
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    List scheduled jobs with last run summary
+ * @access  Private (Super Admin)
+ */
+router.get('/', rateLimiter({ max: 60, windowMs: 60000 }), getJobs);
+
+/**
+ * @route   GET /api/v1/jobs/:name
+ * @desc    Get a scheduled job
+ * @access  Private (Super Admin)
+ */
+router.get('/:name', jobNameValidation, rateLimiter({ max: 60, windowMs: 60000 }), getJob);
+
+/**
+ * @route   PATCH /api/v1/jobs/:name
+ * @desc    Change cron schedule or enable / disable a job
+ * @access  Private (Super Admin)
+ */
+router.patch(
+  '/:name',
+  jobNameValidation,
+  updateJobValidation,
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  updateJob
+);
+
+/**
+ * @route   POST /api/v1/jobs/:name/run
+ * @desc    Trigger a job manually (waits for the run to finish)
+ * @access  Private (Super Admin)
+ */
+router.post('/:name/run', jobNameValidation, rateLimiter({ max: 5, windowMs: 60000 }), triggerJob);
+
+/**
+ * @route   GET /api/v1/jobs/:name/runs
+ * @desc    Run log for a job
+ * @access  Private (Super Admin)
+ */
+router.get(
+  '/:name/runs',
+  jobNameValidation,
+  getJobRunsValidation,
+  rateLimiter({ max: 60, windowMs: 60000 }),
+  getJobRuns
+);
+
+export default router;
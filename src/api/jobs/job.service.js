@@ -0,0 +1,71 @@
+import ScheduledJob from '../../models/ScheduledJob.js';
+import JobRun from '../../models/JobRun.js';
+import { paginate } from '../../utils/pagination.js';
+import { getNextRunDate } from '../../utils/cron.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+import { runJob, getRegisteredJob, getRegisteredJobNames } from '../../jobs/index.js';
+
+const findJob = async name => {
+  const job = await ScheduledJob.findOne({ name });
+  if (!job) throw new NotFoundError(`Job ${name} not found`);
+  return job;
+};
+
+// ─── List Jobs ─────────────────────────────────────────────────────────────────
+export const getJobs = async () => {
+  const jobs = await ScheduledJob.find({}).sort({ name: 1 });
+  const registered = new Set(getRegisteredJobNames());
+
+  // Jobs removed from code stay in the collection for history but cannot run
+  return jobs.map(job => ({ ...job.toJSON(), isRegistered: registered.has(job.name) }));
+};
+
+// ─── Get Job ───────────────────────────────────────────────────────────────────
+export const getJobByName = async name => {
+  const job = await findJob(name);
+  return { ...job.toJSON(), isRegistered: !!getRegisteredJob(name) };
+};
+
+// ─── Update Job ────────────────────────────────────────────────────────────────
+export const updateJob = async (name, updateData, userId) => {
+  const job = await findJob(name);
+
+  if (updateData.schedule !== undefined) job.schedule = updateData.schedule;
+  if (updateData.isEnabled !== undefined) job.isEnabled = updateData.isEnabled;
+
+  job.nextRunAt = job.isEnabled ? getNextRunDate(job.schedule) : null;
+  job.updatedBy = userId;
+  await job.save();
+
+  return job;
+};
+
+// ─── Trigger Job ───────────────────────────────────────────────────────────────
+export const triggerJob = async (name, userId) => {
+  await findJob(name);
+
+  if (!getRegisteredJob(name)) {
+    throw new NotFoundError(`Job ${name} is not registered on this server`);
+  }
+
+  const run = await runJob(name, { trigger: 'manual', triggeredBy: userId });
+  if (!run) throw new ConflictError(`Job ${name} is already running`);
+
+  return run;
+};
+
+// ─── Run Log ───────────────────────────────────────────────────────────────────
+export const getJobRuns = async (name, filters = {}, paginationOptions = {}) => {
+  await findJob(name);
+
+  const query = { jobName: name };
+  if (filters.status) query.status = filters.status;
+  if (filters.trigger) query.trigger = filters.trigger;
+
+  return paginate(JobRun, query, {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: '-startedAt',
+    populate: [{ path: 'triggeredBy', select: 'firstName lastName email' }],
+  });
+};
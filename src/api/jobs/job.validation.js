@@ -0,0 +1,32 @@
+import { body, param, query } from 'express-validator';
+import { isValidCron } from '../../utils/cron.js';
+
+export const jobNameValidation = [
+  param('name')
+    .trim()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Invalid job name'),
+];
+
+export const updateJobValidation = [
+  body('schedule')
+    .optional()
+    .trim()
+    .custom(value => isValidCron(value))
+    .withMessage('Schedule must be a valid 5-field cron expression'),
+
+  body('isEnabled').optional().isBoolean().withMessage('isEnabled must be a boolean').toBoolean(),
+];
+
+export const getJobRunsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+
+  query('status')
+    .optional()
+    .isIn(['running', 'success', 'failed'])
+    .withMessage('Invalid run status'),
+
+  query('trigger').optional().isIn(['schedule', 'manual']).withMessage('Invalid trigger'),
+];
@@ -0,0 +1,197 @@
+// FILE: src/api/karigar/karigar.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as karigarService from './karigar.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+
+/**
+  POST /api/v1/shops/:shopId/karigars
+ */
+export const createKarigar = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const karigar = await karigarService.createKarigar(
+    shopId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Karigar created successfully', karigar);
+});
+
+/**
+  GET /api/v1/shops/:shopId/karigars
+ */
+export const getKarigars = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await karigarService.getKarigars(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.karigars,
+    result.page,
+    result.limit,
+    result.total,
+    'Karigars fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/karigars/:karigarId
+ */
+export const getKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await karigarService.getKarigarById(shopId, karigarId, organizationId);
+
+  sendSuccess(res, 200, 'Karigar fetched successfully', result);
+});
+
+/**
+  PATCH /api/v1/shops/:shopId/karigars/:karigarId
+ */
+export const updateKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const karigar = await karigarService.updateKarigar(
+    shopId,
+    karigarId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Karigar updated successfully', karigar);
+});
+
+/**
+  DELETE /api/v1/shops/:shopId/karigars/:karigarId
+ */
+export const deleteKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  await karigarService.deleteKarigar(shopId, karigarId, organizationId, req.user._id);
+
+  sendSuccess(res, 200, 'Karigar deleted successfully');
+});
+
+/**
+  GET /api/v1/shops/:shopId/karigars/:karigarId/statement
+ */
+export const getStatement = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const statement = await karigarService.getStatement(shopId, karigarId, organizationId, req.query);
+
+  sendSuccess(res, 200, 'Karigar statement fetched successfully', statement);
+});
+
+/**
+  POST /api/v1/shops/:shopId/karigars/:karigarId/issues
+ */
+export const issueToKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const voucher = await karigarService.issueToKarigar(
+    shopId,
+    karigarId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Issue voucher created successfully', voucher);
+});
+
+/**
+  POST /api/v1/shops/:shopId/karigars/:karigarId/receipts
+ */
+export const receiveFromKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const voucher = await karigarService.receiveFromKarigar(
+    shopId,
+    karigarId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Receipt voucher created successfully', voucher);
+});
+
+/**
+  POST /api/v1/shops/:shopId/karigars/:karigarId/payments
+ */
+export const payKarigar = catchAsync(async (req, res) => {
+  const { shopId, karigarId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const voucher = await karigarService.payKarigar(
+    shopId,
+    karigarId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Payment voucher created successfully', voucher);
+});
+
+/**
+  GET /api/v1/shops/:shopId/karigars/vouchers
+ */
+export const getVouchers = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await karigarService.getVouchers(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.vouchers,
+    result.page,
+    result.limit,
+    result.total,
+    'Karigar vouchers fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/karigars/vouchers/:voucherId
+ */
+export const getVoucher = catchAsync(async (req, res) => {
+  const { shopId, voucherId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const voucher = await karigarService.getVoucherById(shopId, voucherId, organizationId);
+
+  sendSuccess(res, 200, 'Karigar voucher fetched successfully', voucher);
+});
+
+/**
+  POST /api/v1/shops/:shopId/karigars/vouchers/:voucherId/cancel
+ */
+export const cancelVoucher = catchAsync(async (req, res) => {
+  const { shopId, voucherId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const voucher = await karigarService.cancelVoucher(
+    shopId,
+    voucherId,
+    organizationId,
+    req.body.reason,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Karigar voucher cancelled successfully', voucher);
+});
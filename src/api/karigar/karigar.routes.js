@@ -0,0 +1,201 @@
+// FILE: src/api/karigar/karigar.routes.js
+// Mounted at: /api/v1/shops/:shopId/karigars
+// Karigar ka balance sirf vouchers se hilta hai — issue / receipt / payment aur unka cancel.
+// Metal stock aur order dono chhoote hain, isliye likhne wale routes MANAGE_INVENTORY pe.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as karigarController from './karigar.controller.js';
+import * as karigarValidation from './karigar.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'];
+const MANAGE_ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager'];
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/karigars
+ * @desc    Add a karigar (outside goldsmith) with wastage / labour defaults and opening balance
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/',
+  karigarValidation.createKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.createKarigar
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/karigars
+ * @desc    List karigars (filters: search, isActive)
+ * @access  Private
+ */
+router.get(
+  '/',
+  karigarValidation.getKarigars,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  karigarController.getKarigars
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/karigars/vouchers
+ * @desc    List job work vouchers (filters: karigarId, orderId, voucherType, status, dates)
+ * @access  Private
+ */
+router.get(
+  '/vouchers',
+  karigarValidation.getVouchers,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  karigarController.getVouchers
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/karigars/vouchers/:voucherId
+ * @desc    Get a job work voucher
+ * @access  Private
+ */
+router.get(
+  '/vouchers/:voucherId',
+  karigarValidation.getVoucher,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  karigarController.getVoucher
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/karigars/vouchers/:voucherId/cancel
+ * @desc    Cancel a voucher and reverse its effect on the karigar's balance
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/vouchers/:voucherId/cancel',
+  karigarValidation.cancelVoucher,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.cancelVoucher
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/karigars/:karigarId
+ * @desc    Karigar with current metal / cash balance and orders still with them
+ * @access  Private
+ */
+router.get(
+  '/:karigarId',
+  karigarValidation.getKarigar,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  karigarController.getKarigar
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/karigars/:karigarId
+ * @desc    Update karigar details (balances change only through vouchers)
+ * @access  Private (manager and above)
+ */
+router.patch(
+  '/:karigarId',
+  karigarValidation.updateKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.updateKarigar
+);
+
+/**
+ * @route   DELETE /api/v1/shops/:shopId/karigars/:karigarId
+ * @desc    Delete a karigar whose metal and cash balance is settled
+ * @access  Private (manager and above)
+ */
+router.delete(
+  '/:karigarId',
+  karigarValidation.deleteKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.deleteKarigar
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/karigars/:karigarId/statement
+ * @desc    Karigar statement with opening, running and closing balance
+ * @access  Private
+ */
+router.get(
+  '/:karigarId/statement',
+  karigarValidation.getStatement,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  karigarController.getStatement
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/karigars/:karigarId/issues
+ * @desc    Issue metal / stones to a karigar, optionally against an order
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:karigarId/issues',
+  karigarValidation.issueToKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.issueToKarigar
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/karigars/:karigarId/receipts
+ * @desc    Receive finished pieces and leftover metal with wastage allowance and labour
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:karigarId/receipts',
+  karigarValidation.receiveFromKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.receiveFromKarigar
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/karigars/:karigarId/payments
+ * @desc    Pay labour (or advance) to a karigar
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:karigarId/payments',
+  karigarValidation.payKarigar,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  karigarController.payKarigar
+);
+
+export default router;
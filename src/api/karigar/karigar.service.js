@@ -0,0 +1,915 @@
+// FILE: src/api/karigar/karigar.service.js
+// Bahar ke karigar ka job work. Issue voucher = fine metal / stones karigar ko (order ke
+// against ya khule); receipt voucher = finished maal + bacha metal wapas, wastage
+// allowance aur labour; payment voucher = labour ka cash. Karigar.balance har voucher ke
+// `effect` se hilta hai, cancel pe ulta — isliye balance kabhi bhi seedha padh sakte hain.
+
+import mongoose from 'mongoose';
+import Karigar from '../../models/Karigar.js';
+import KarigarVoucher from '../../models/KarigarVoucher.js';
+import MetalStockTransaction from '../../models/MetalStockTransaction.js';
+import Order from '../../models/Order.js';
+import { NotFoundError, BadRequestError, ValidationError } from '../../utils/AppError.js';
+import eventLogger from '../../utils/eventLogger.js';
+
+const METALS = ['gold', 'silver', 'platinum'];
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled', 'completed'];
+
+const round2 = value => Math.round(value * 100) / 100;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+const emptyEffect = () => ({ gold: 0, silver: 0, platinum: 0, cash: 0 });
+
+// ─── Calculations ──────────────────────────────────────────────────────────────
+
+/**
+ * Issue / wapas aaye metal ki lines — fine = gross × purity%.
+ * @param {Array} metals - { metalType, purity, grossWeight, source }
+ */
+export const computeMetalLines = (metals = []) =>
+  metals.map(line => ({
+    metalType: line.metalType,
+    purity: line.purity,
+    grossWeight: round3(line.grossWeight),
+    fineWeight: round3((line.grossWeight * line.purity) / 100),
+    source: line.source || 'metal_stock',
+  }));
+
+/**
+ * Labour — per_gram net weight pe, per_piece quantity pe, fixed jaisa hai.
+ */
+export const computeLabour = ({ rateType, rate = 0, netWeight = 0, quantity = 1 }) => {
+  if (rateType === 'per_piece') return round2(rate * quantity);
+  if (rateType === 'fixed') return round2(rate);
+  return round2(rate * netWeight);
+};
+
+/**
+ * Receipt ki ek finished line. Wastage % aur labour item pe na ho to karigar ke default.
+ * Allowance fine weight pe lagta hai — karigar ko itna metal extra "kharch" maana jaata hai.
+ * @param {Object} item - { description, metalType, quantity, grossWeight, stoneWeight, purity, wastagePercentage, labourRateType, labourRate, orderItemId }
+ * @param {Object} karigar - { defaultWastagePercentage, labourRate: { rateType, amount } }
+ */
+export const computeReceiptItem = (item, karigar = {}) => {
+  const netWeight = round3(Math.max(0, item.grossWeight - (item.stoneWeight || 0)));
+  const fineWeight = round3((netWeight * item.purity) / 100);
+  const wastagePercentage = item.wastagePercentage ?? karigar.defaultWastagePercentage ?? 0;
+  const labourRateType = item.labourRateType || karigar.labourRate?.rateType || 'per_gram';
+  const labourRate = item.labourRate ?? karigar.labourRate?.amount ?? 0;
+  const quantity = item.quantity || 1;
+
+  return {
+    orderItemId: item.orderItemId || null,
+    description: item.description,
+    metalType: item.metalType,
+    quantity,
+    grossWeight: round3(item.grossWeight),
+    stoneWeight: round3(item.stoneWeight || 0),
+    netWeight,
+    purity: item.purity,
+    fineWeight,
+    wastagePercentage,
+    wastageAllowed: round3((fineWeight * wastagePercentage) / 100),
+    labourRateType,
+    labourRate,
+    labourCharges: computeLabour({
+      rateType: labourRateType,
+      rate: labourRate,
+      netWeight,
+      quantity,
+    }),
+  };
+};
+
+/**
+ * Voucher ka karigar balance pe asar.
+ * issue: metal +fine; receipt: metal -(finished + allowance + wapas), cash +labour;
+ * payment: cash -amount.
+ */
+export const computeEffect = ({ voucherType, metals = [], items = [], payment }) => {
+  const effect = emptyEffect();
+
+  if (voucherType === 'issue') {
+    metals.forEach(line => {
+      effect[line.metalType] += line.fineWeight;
+    });
+  } else if (voucherType === 'receipt') {
+    items.forEach(item => {
+      effect[item.metalType] -= item.fineWeight + item.wastageAllowed;
+      effect.cash += item.labourCharges;
+    });
+    metals.forEach(line => {
+      effect[line.metalType] -= line.fineWeight;
+    });
+  } else if (voucherType === 'payment') {
+    effect.cash -= payment?.amount || 0;
+  }
+
+  METALS.forEach(metal => {
+    effect[metal] = round3(effect[metal]);
+  });
+  effect.cash = round2(effect.cash);
+  return effect;
+};
+
+/**
+ * Order ke against wastage milan, metal wise — pichle active vouchers + yeh receipt.
+ * actual = issued - finished - wapas; excess = actual - allowed (+ matlab karigar pe baaki).
+ * @param {Array} vouchers - same order + karigar ke active issue / receipt vouchers (is receipt samet)
+ */
+export const computeOrderWastage = vouchers => {
+  const byMetal = {};
+  const row = metalType =>
+    (byMetal[metalType] ||= {
+      metalType,
+      issuedFine: 0,
+      finishedFine: 0,
+      returnedFine: 0,
+      allowed: 0,
+    });
+
+  vouchers.forEach(voucher => {
+    if (voucher.voucherType === 'issue') {
+      voucher.metals.forEach(line => {
+        row(line.metalType).issuedFine += line.fineWeight;
+      });
+    } else if (voucher.voucherType === 'receipt') {
+      voucher.items.forEach(item => {
+        row(item.metalType).finishedFine += item.fineWeight;
+        row(item.metalType).allowed += item.wastageAllowed;
+      });
+      voucher.metals.forEach(line => {
+        row(line.metalType).returnedFine += line.fineWeight;
+      });
+    }
+  });
+
+  return Object.values(byMetal).map(entry => {
+    const actual = round3(entry.issuedFine - entry.finishedFine - entry.returnedFine);
+    return {
+      metalType: entry.metalType,
+      issuedFine: round3(entry.issuedFine),
+      finishedFine: round3(entry.finishedFine),
+      returnedFine: round3(entry.returnedFine),
+      allowed: round3(entry.allowed),
+      actual,
+      excess: round3(actual - entry.allowed),
+    };
+  });
+};
+
+/**
+ * Balance + effect (sign ke saath). Cancel pe sign = -1.
+ */
+export const applyEffect = (balance, effect, sign = 1) => {
+  const next = { ...emptyEffect(), ...balance };
+  METALS.forEach(metal => {
+    next[metal] = round3((next[metal] || 0) + sign * (effect[metal] || 0));
+  });
+  next.cash = round2((next.cash || 0) + sign * (effect.cash || 0));
+  return next;
+};
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const loadKarigar = async (shopId, karigarId, organizationId, session = null) => {
+  const karigar = await Karigar.findOne({
+    _id: karigarId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).session(session);
+  if (!karigar) throw new NotFoundError('Karigar not found');
+  return karigar;
+};
+
+const loadOrder = async (shopId, orderId, organizationId, session) => {
+  const order = await Order.findOne({
+    _id: orderId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).session(session);
+  if (!order) throw new NotFoundError('Order not found');
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`Cannot do job work against an order that is ${order.status}`);
+  }
+  return order;
+};
+
+const updateKarigarBalance = async (karigar, effect, sign, userId, session) => {
+  const balance = applyEffect(karigar.balance?.toObject?.() || karigar.balance, effect, sign);
+  await Karigar.updateOne(
+    { _id: karigar._id },
+    { $set: { balance, updatedBy: userId } },
+    { session }
+  );
+  return balance;
+};
+
+// Shop ke fine metal stock se nikla / wapas aaya — sirf metal_stock source wali lines
+const postMetalStock = async ({ voucher, lines, direction, userId, session }) => {
+  const stockLines = lines.filter(line => line.source === 'metal_stock' && line.fineWeight > 0);
+  if (!stockLines.length) return [];
+
+  const entries = await MetalStockTransaction.create(
+    stockLines.map(line => ({
+      organizationId: voucher.organizationId,
+      shopId: voucher.shopId,
+      metalType: line.metalType,
+      direction,
+      fineWeight: line.fineWeight,
+      grossWeight: line.grossWeight,
+      purity: line.purity,
+      source: {
+        type: direction === 'out' ? 'karigar_issue' : 'karigar_return',
+        referenceId: voucher._id,
+        referenceNumber: voucher.voucherNumber,
+      },
+      transactionDate: voucher.voucherDate,
+      notes: `${voucher.karigarName}${voucher.orderNumber ? ` — order ${voucher.orderNumber}` : ''}`,
+      performedBy: userId,
+    })),
+    { session, ordered: true }
+  );
+  return entries.map(entry => entry._id);
+};
+
+const assertMetalStockAvailable = async (shopId, lines) => {
+  const needed = {};
+  lines
+    .filter(line => line.source === 'metal_stock')
+    .forEach(line => {
+      needed[line.metalType] = (needed[line.metalType] || 0) + line.fineWeight;
+    });
+  if (!Object.keys(needed).length) return;
+
+  const balance = await MetalStockTransaction.getBalance(shopId);
+  const short = Object.entries(needed).filter(([metal, fine]) => round3(fine) > balance[metal]);
+  if (short.length) {
+    throw new BadRequestError(
+      `Insufficient fine metal stock: ${short
+        .map(([metal, fine]) => `${metal} needs ${round3(fine)}g, have ${balance[metal]}g`)
+        .join('; ')}`
+    );
+  }
+};
+
+// Receipt ka finished weight aur labour order item pe — cancel pe sign = -1
+const applyReceiptToOrder = (order, items, sign) => {
+  items.forEach(item => {
+    if (!item.orderItemId) return;
+    const orderItem = order.items.id(item.orderItemId);
+    if (!orderItem) return;
+
+    orderItem.actualWeight = round3(
+      Math.max(0, (orderItem.actualWeight || 0) + sign * item.netWeight)
+    );
+    orderItem.actualCost.labourCharges = round2(
+      Math.max(0, (orderItem.actualCost.labourCharges || 0) + sign * item.labourCharges)
+    );
+    orderItem.actualCost.totalCost = round2(
+      Math.max(0, (orderItem.actualCost.totalCost || 0) + sign * item.labourCharges)
+    );
+  });
+};
+
+// ─── Karigar Master ────────────────────────────────────────────────────────────
+
+export const createKarigar = async (shopId, organizationId, data, userId) => {
+  const karigar = await runInTransaction(async session => {
+    const karigarCode = await Karigar.generateKarigarCode(shopId, 'KAR', session);
+    const opening = applyEffect(emptyEffect(), data.openingBalance || {});
+
+    const [karigar] = await Karigar.create(
+      [
+        {
+          organizationId,
+          shopId,
+          karigarCode,
+          name: data.name,
+          phone: data.phone,
+          address: data.address,
+          specialization: data.specialization,
+          defaultWastagePercentage: data.defaultWastagePercentage,
+          labourRate: data.labourRate,
+          openingBalance: opening,
+          balance: opening,
+          notes: data.notes,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+    return karigar;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'karigar',
+    description: `Added karigar ${karigar.name} (${karigar.karigarCode})`,
+    level: 'info',
+    status: 'success',
+    metadata: { karigarId: karigar._id },
+  });
+
+  return karigar;
+};
+
+const UPDATABLE_FIELDS = [
+  'name',
+  'phone',
+  'address',
+  'specialization',
+  'defaultWastagePercentage',
+  'labourRate',
+  'isActive',
+  'notes',
+];
+
+export const updateKarigar = async (shopId, karigarId, organizationId, data, userId) => {
+  const karigar = await loadKarigar(shopId, karigarId, organizationId);
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) karigar[field] = data[field];
+  });
+  karigar.updatedBy = userId;
+  await karigar.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'update',
+    module: 'karigar',
+    description: `Updated karigar ${karigar.name} (${karigar.karigarCode})`,
+    level: 'info',
+    status: 'success',
+    metadata: { karigarId: karigar._id, fields: Object.keys(data) },
+  });
+
+  return karigar;
+};
+
+/**
+ * Sirf tab jab metal aur cash dono zero hon — warna hisaab adhoora reh jaayega.
+ */
+export const deleteKarigar = async (shopId, karigarId, organizationId, userId) => {
+  const karigar = await loadKarigar(shopId, karigarId, organizationId);
+
+  const open = [...METALS, 'cash'].filter(key => (karigar.balance?.[key] || 0) !== 0);
+  if (open.length) {
+    throw new BadRequestError(
+      `Karigar has an open balance (${open
+        .map(key => `${key}: ${karigar.balance[key]}`)
+        .join(', ')}) — settle it before deleting`
+    );
+  }
+
+  karigar.deletedAt = new Date();
+  karigar.isActive = false;
+  karigar.updatedBy = userId;
+  await karigar.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'delete',
+    module: 'karigar',
+    description: `Deleted karigar ${karigar.name} (${karigar.karigarCode})`,
+    level: 'info',
+    status: 'success',
+    metadata: { karigarId: karigar._id },
+  });
+};
+
+// ─── Vouchers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Metal / stones karigar ko. metal_stock source wala fine shop ke metal stock se 'out'.
+ * Order ke against ho to order ka artisan yeh karigar ban jaata hai.
+ * @param {Object} data - { orderId, metals, stones, voucherDate, notes }
+ */
+export const issueToKarigar = async (shopId, karigarId, organizationId, data, userId) => {
+  const metals = computeMetalLines(data.metals);
+  const stones = data.stones || [];
+  if (!metals.length && !stones.length) {
+    throw new ValidationError('Issue voucher needs at least one metal or stone line');
+  }
+
+  await assertMetalStockAvailable(shopId, metals);
+
+  const voucher = await runInTransaction(async session => {
+    const karigar = await loadKarigar(shopId, karigarId, organizationId, session);
+    if (!karigar.isActive) throw new BadRequestError('Karigar is inactive');
+
+    const order = data.orderId
+      ? await loadOrder(shopId, data.orderId, organizationId, session)
+      : null;
+
+    const effect = computeEffect({ voucherType: 'issue', metals });
+    const voucherNumber = await KarigarVoucher.generateVoucherNumber(shopId, 'issue', session);
+
+    const [voucher] = await KarigarVoucher.create(
+      [
+        {
+          organizationId,
+          shopId,
+          karigarId: karigar._id,
+          karigarName: karigar.name,
+          voucherNumber,
+          voucherType: 'issue',
+          voucherDate: data.voucherDate || new Date(),
+          orderId: order?._id || null,
+          orderNumber: order?.orderNumber,
+          metals,
+          stones,
+          effect,
+          notes: data.notes,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    voucher.metalStockTransactionIds = await postMetalStock({
+      voucher,
+      lines: metals,
+      direction: 'out',
+      userId,
+      session,
+    });
+    await voucher.save({ session });
+
+    await updateKarigarBalance(karigar, effect, 1, userId, session);
+
+    if (order) {
+      order.assignment = {
+        ...(order.assignment?.toObject?.() || {}),
+        assignedBy: order.assignment?.assignedBy || userId,
+        assignedAt: order.assignment?.assignedAt || new Date(),
+        artisan: {
+          karigarId: karigar._id,
+          name: karigar.name,
+          contactNumber: karigar.phone,
+          specialization: karigar.specialization?.join(', '),
+        },
+      };
+      order.updatedBy = userId;
+      await order.save({ session });
+    }
+
+    return voucher;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'karigar',
+    description: `Issued ${voucher.voucherNumber} to ${voucher.karigarName}${voucher.orderNumber ? ` for order ${voucher.orderNumber}` : ''}`,
+    level: 'info',
+    status: 'success',
+    metadata: { voucherId: voucher._id, karigarId, effect: voucher.effect },
+  });
+
+  return voucher;
+};
+
+/**
+ * Karigar se finished maal. Items ka fine + allowance aur wapas aaya metal uske balance
+ * se ghatta hai, labour uske cash me judta hai. Order ke against ho to order item ka
+ * actual weight / labour update aur wastage milan.
+ * @param {Object} data - { orderId, items, returnedMetals, stones, voucherDate, notes }
+ */
+export const receiveFromKarigar = async (shopId, karigarId, organizationId, data, userId) => {
+  const voucher = await runInTransaction(async session => {
+    const karigar = await loadKarigar(shopId, karigarId, organizationId, session);
+    const order = data.orderId
+      ? await loadOrder(shopId, data.orderId, organizationId, session)
+      : null;
+
+    const items = (data.items || []).map(item => computeReceiptItem(item, karigar));
+    const metals = computeMetalLines(data.returnedMetals);
+    if (!items.length && !metals.length) {
+      throw new ValidationError(
+        'Receipt voucher needs at least one finished item or returned metal'
+      );
+    }
+
+    if (order) {
+      const missing = items.filter(item => item.orderItemId && !order.items.id(item.orderItemId));
+      if (missing.length) throw new NotFoundError('Order item not found in this order');
+    } else if (items.some(item => item.orderItemId)) {
+      throw new ValidationError('orderItemId needs an orderId');
+    }
+
+    const effect = computeEffect({ voucherType: 'receipt', metals, items });
+    const voucherNumber = await KarigarVoucher.generateVoucherNumber(shopId, 'receipt', session);
+
+    const [voucher] = await KarigarVoucher.create(
+      [
+        {
+          organizationId,
+          shopId,
+          karigarId: karigar._id,
+          karigarName: karigar.name,
+          voucherNumber,
+          voucherType: 'receipt',
+          voucherDate: data.voucherDate || new Date(),
+          orderId: order?._id || null,
+          orderNumber: order?.orderNumber,
+          items,
+          metals,
+          stones: data.stones || [],
+          effect,
+          totalLabour: effect.cash,
+          notes: data.notes,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    voucher.metalStockTransactionIds = await postMetalStock({
+      voucher,
+      lines: metals,
+      direction: 'in',
+      userId,
+      session,
+    });
+
+    if (order) {
+      const orderVouchers = await KarigarVoucher.find({
+        shopId,
+        karigarId: karigar._id,
+        orderId: order._id,
+        status: 'active',
+        deletedAt: null,
+      })
+        .lean()
+        .session(session);
+      voucher.wastage = computeOrderWastage(orderVouchers);
+
+      applyReceiptToOrder(order, items, 1);
+      order.updatedBy = userId;
+      await order.save({ session });
+    }
+    await voucher.save({ session });
+
+    await updateKarigarBalance(karigar, effect, 1, userId, session);
+
+    return voucher;
+  });
+
+  const excess = voucher.wastage.filter(row => row.excess > 0);
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'karigar',
+    description: `Received ${voucher.voucherNumber} from ${voucher.karigarName}${voucher.orderNumber ? ` for order ${voucher.orderNumber}` : ''}`,
+    level: excess.length ? 'warn' : 'info',
+    status: 'success',
+    metadata: {
+      voucherId: voucher._id,
+      karigarId,
+      effect: voucher.effect,
+      wastage: voucher.wastage,
+    },
+  });
+
+  return voucher;
+};
+
+/**
+ * Labour ka bhugtaan (ya advance) — cash balance ghatta hai.
+ * @param {Object} data - { amount, paymentMode, reference, voucherDate, notes }
+ */
+export const payKarigar = async (shopId, karigarId, organizationId, data, userId) => {
+  const voucher = await runInTransaction(async session => {
+    const karigar = await loadKarigar(shopId, karigarId, organizationId, session);
+
+    const payment = {
+      amount: round2(data.amount),
+      paymentMode: data.paymentMode || 'cash',
+      reference: data.reference,
+    };
+    const effect = computeEffect({ voucherType: 'payment', payment });
+    const voucherNumber = await KarigarVoucher.generateVoucherNumber(shopId, 'payment', session);
+
+    const [voucher] = await KarigarVoucher.create(
+      [
+        {
+          organizationId,
+          shopId,
+          karigarId: karigar._id,
+          karigarName: karigar.name,
+          voucherNumber,
+          voucherType: 'payment',
+          voucherDate: data.voucherDate || new Date(),
+          payment,
+          effect,
+          notes: data.notes,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    await updateKarigarBalance(karigar, effect, 1, userId, session);
+    return voucher;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'payment',
+    module: 'karigar',
+    description: `Paid ₹${voucher.payment.amount} to ${voucher.karigarName} via ${voucher.voucherNumber}`,
+    level: 'info',
+    status: 'success',
+    metadata: { voucherId: voucher._id, karigarId },
+  });
+
+  return voucher;
+};
+
+/**
+ * Voucher cancel — balance pe effect ulta, metal stock entries soft-delete, aur receipt
+ * ho to order item se weight / labour wapas.
+ */
+export const cancelVoucher = async (shopId, voucherId, organizationId, reason, userId) => {
+  const voucher = await runInTransaction(async session => {
+    const voucher = await KarigarVoucher.findOne({
+      _id: voucherId,
+      shopId,
+      organizationId,
+      deletedAt: null,
+    }).session(session);
+    if (!voucher) throw new NotFoundError('Karigar voucher not found');
+    if (voucher.status !== 'active') {
+      throw new BadRequestError(`Voucher ${voucher.voucherNumber} is already ${voucher.status}`);
+    }
+
+    const karigar = await loadKarigar(shopId, voucher.karigarId, organizationId, session);
+
+    if (voucher.metalStockTransactionIds?.length) {
+      await MetalStockTransaction.updateMany(
+        { _id: { $in: voucher.metalStockTransactionIds } },
+        { $set: { deletedAt: new Date() } },
+        { session }
+      );
+    }
+
+    if (voucher.voucherType === 'receipt' && voucher.orderId) {
+      const order = await Order.findOne({ _id: voucher.orderId, deletedAt: null }).session(session);
+      if (order) {
+        applyReceiptToOrder(order, voucher.items, -1);
+        order.updatedBy = userId;
+        await order.save({ session });
+      }
+    }
+
+    await updateKarigarBalance(karigar, voucher.effect, -1, userId, session);
+
+    voucher.status = 'cancelled';
+    voucher.cancellation = { cancelledAt: new Date(), cancelledBy: userId, reason };
+    await voucher.save({ session });
+
+    return voucher;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'cancel',
+    module: 'karigar',
+    description: `Cancelled ${voucher.voucherNumber} (${voucher.karigarName}): ${reason}`,
+    level: 'info',
+    status: 'success',
+    metadata: { voucherId: voucher._id, karigarId: voucher.karigarId },
+  });
+
+  return voucher;
+};
+
+// ─── Reads ─────────────────────────────────────────────────────────────────────
+
+export const getKarigars = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+  if (filters.search) {
+    const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { karigarCode: pattern }, { phone: pattern }];
+  }
+
+  const [karigars, total] = await Promise.all([
+    Karigar.find(query)
+      .sort(filters.sort || 'name')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Karigar.countDocuments(query),
+  ]);
+
+  return { karigars, total, page, limit };
+};
+
+export const getKarigarById = async (shopId, karigarId, organizationId) => {
+  const karigar = await Karigar.findOne({
+    _id: karigarId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).lean();
+  if (!karigar) throw new NotFoundError('Karigar not found');
+
+  // Orders jinka metal abhi karigar ke paas hai (issue hua, receipt se poora nahi hua)
+  const openOrders = await KarigarVoucher.aggregate([
+    {
+      $match: {
+        karigarId: karigar._id,
+        status: 'active',
+        deletedAt: null,
+        orderId: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: '$orderId',
+        orderNumber: { $first: '$orderNumber' },
+        goldHeld: { $sum: '$effect.gold' },
+        silverHeld: { $sum: '$effect.silver' },
+        platinumHeld: { $sum: '$effect.platinum' },
+        lastVoucherDate: { $max: '$voucherDate' },
+      },
+    },
+    {
+      $match: {
+        $or: [
+          { goldHeld: { $gt: 0.0005 } },
+          { silverHeld: { $gt: 0.0005 } },
+          { platinumHeld: { $gt: 0.0005 } },
+        ],
+      },
+    },
+    { $sort: { lastVoucherDate: -1 } },
+  ]);
+
+  return {
+    karigar,
+    openOrders: openOrders.map(row => ({
+      orderId: row._id,
+      orderNumber: row.orderNumber,
+      gold: round3(row.goldHeld),
+      silver: round3(row.silverHeld),
+      platinum: round3(row.platinumHeld),
+      lastVoucherDate: row.lastVoucherDate,
+    })),
+  };
+};
+
+export const getVouchers = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.karigarId) query.karigarId = filters.karigarId;
+  if (filters.orderId) query.orderId = filters.orderId;
+  if (filters.voucherType) query.voucherType = filters.voucherType;
+  if (filters.status) query.status = filters.status;
+
+  if (filters.startDate || filters.endDate) {
+    query.voucherDate = {};
+    if (filters.startDate) query.voucherDate.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.voucherDate.$lte = endDate;
+    }
+  }
+
+  const [vouchers, total] = await Promise.all([
+    KarigarVoucher.find(query)
+      .sort(filters.sort || '-voucherDate')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    KarigarVoucher.countDocuments(query),
+  ]);
+
+  return { vouchers, total, page, limit };
+};
+
+export const getVoucherById = async (shopId, voucherId, organizationId) => {
+  const voucher = await KarigarVoucher.findOne({
+    _id: voucherId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  })
+    .populate('karigarId', 'karigarCode name phone')
+    .populate('createdBy', 'firstName lastName')
+    .populate('cancellation.cancelledBy', 'firstName lastName')
+    .lean();
+  if (!voucher) throw new NotFoundError('Karigar voucher not found');
+  return voucher;
+};
+
+/**
+ * Karigar ka khata — opening (opening balance + startDate se pehle ke active vouchers),
+ * phir har voucher ke baad running balance, aur closing.
+ */
+export const getStatement = async (shopId, karigarId, organizationId, filters = {}) => {
+  const karigar = await Karigar.findOne({
+    _id: karigarId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).lean();
+  if (!karigar) throw new NotFoundError('Karigar not found');
+
+  const base = { karigarId: karigar._id, status: 'active', deletedAt: null };
+  const startDate = filters.startDate ? new Date(filters.startDate) : null;
+  let endDate = null;
+  if (filters.endDate) {
+    endDate = new Date(filters.endDate);
+    endDate.setHours(23, 59, 59, 999);
+  }
+
+  let opening = applyEffect(emptyEffect(), karigar.openingBalance || {});
+  if (startDate) {
+    const before = await KarigarVoucher.find({ ...base, voucherDate: { $lt: startDate } })
+      .select('effect')
+      .lean();
+    opening = before.reduce((balance, voucher) => applyEffect(balance, voucher.effect), opening);
+  }
+
+  const range = {};
+  if (startDate) range.$gte = startDate;
+  if (endDate) range.$lte = endDate;
+
+  const vouchers = await KarigarVoucher.find({
+    ...base,
+    ...(Object.keys(range).length ? { voucherDate: range } : {}),
+  })
+    .sort({ voucherDate: 1, createdAt: 1 })
+    .lean();
+
+  let running = opening;
+  const entries = vouchers.map(voucher => {
+    running = applyEffect(running, voucher.effect);
+    return {
+      voucherId: voucher._id,
+      voucherNumber: voucher.voucherNumber,
+      voucherType: voucher.voucherType,
+      voucherDate: voucher.voucherDate,
+      orderNumber: voucher.orderNumber,
+      effect: voucher.effect,
+      wastage: voucher.wastage,
+      balance: running,
+    };
+  });
+
+  return {
+    karigar: {
+      _id: karigar._id,
+      karigarCode: karigar.karigarCode,
+      name: karigar.name,
+      phone: karigar.phone,
+    },
+    period: { startDate, endDate },
+    opening,
+    entries,
+    closing: running,
+    currentBalance: karigar.balance,
+  };
+};
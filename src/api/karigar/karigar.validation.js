@@ -0,0 +1,236 @@
+// FILE: src/api/karigar/karigar.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const METALS = ['gold', 'silver', 'platinum'];
+const LABOUR_TYPES = ['per_gram', 'per_piece', 'fixed'];
+const STONE_TYPES = ['diamond', 'ruby', 'emerald', 'sapphire', 'pearl', 'other'];
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const karigarId = param('karigarId').isMongoId().withMessage('Invalid karigar ID format');
+const voucherId = param('voucherId').isMongoId().withMessage('Invalid voucher ID format');
+
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const dateRange = [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+const percentage = (field, label) =>
+  body(field)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage(`${label} must be between 0 and 100`)
+    .toFloat();
+
+const karigarFields = [
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone must be 10 digits'),
+  body('address').optional().isString().trim().isLength({ max: 300 }),
+  body('specialization').optional().isArray().withMessage('Specialization must be an array'),
+  body('specialization.*').isString().trim().isLength({ min: 1, max: 50 }),
+  percentage('defaultWastagePercentage', 'Default wastage percentage'),
+  body('labourRate.rateType')
+    .optional()
+    .isIn(LABOUR_TYPES)
+    .withMessage('Labour rate type must be per_gram, per_piece or fixed'),
+  body('labourRate.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Labour rate must be a positive number')
+    .toFloat(),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+];
+
+// Issue / wapas aaya metal — purity fine percentage me (91.6 = 22K)
+const metalLines = field => [
+  body(field).optional().isArray({ max: 20 }).withMessage(`${field} must be an array`),
+  body(`${field}.*.metalType`).isIn(METALS).withMessage('Invalid metal type'),
+  body(`${field}.*.purity`)
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Purity must be a percentage between 1 and 100')
+    .toFloat(),
+  body(`${field}.*.grossWeight`)
+    .isFloat({ gt: 0 })
+    .withMessage('Gross weight must be greater than 0')
+    .toFloat(),
+  body(`${field}.*.source`)
+    .optional()
+    .isIn(['metal_stock', 'customer', 'other'])
+    .withMessage('Metal source must be metal_stock, customer or other'),
+];
+
+const stoneLines = [
+  body('stones').optional().isArray({ max: 50 }).withMessage('stones must be an array'),
+  body('stones.*.stoneType').isIn(STONE_TYPES).withMessage('Invalid stone type'),
+  body('stones.*.quantity').optional().isInt({ min: 0 }).toInt(),
+  body('stones.*.weight').optional().isFloat({ min: 0 }).toFloat(),
+  body('stones.*.value').optional().isFloat({ min: 0 }).toFloat(),
+];
+
+const voucherCommon = [
+  body('orderId').optional({ values: 'null' }).isMongoId().withMessage('Invalid order ID'),
+  body('voucherDate').optional().isISO8601().withMessage('Invalid voucher date').toDate(),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+];
+
+export const createKarigar = [
+  shopId,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Karigar name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  ...karigarFields,
+  ...['gold', 'silver', 'platinum', 'cash'].map(key =>
+    body(`openingBalance.${key}`)
+      .optional()
+      .isFloat()
+      .withMessage(`Opening ${key} balance must be a number`)
+      .toFloat()
+  ),
+  validate,
+];
+
+export const updateKarigar = [
+  shopId,
+  karigarId,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Karigar name cannot be empty')
+    .isLength({ max: 100 }),
+  ...karigarFields,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  body('balance').not().exists().withMessage('Balance changes only through vouchers'),
+  body('openingBalance').not().exists().withMessage('Opening balance cannot be changed'),
+  validate,
+];
+
+export const getKarigars = [
+  shopId,
+  ...pagination,
+  query('search').optional().isString().trim().isLength({ max: 100 }),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  validate,
+];
+
+export const getKarigar = [shopId, karigarId, validate];
+
+export const deleteKarigar = [shopId, karigarId, validate];
+
+export const getStatement = [shopId, karigarId, ...dateRange, validate];
+
+export const issueToKarigar = [
+  shopId,
+  karigarId,
+  ...voucherCommon,
+  ...metalLines('metals'),
+  ...stoneLines,
+  validate,
+];
+
+export const receiveFromKarigar = [
+  shopId,
+  karigarId,
+  ...voucherCommon,
+  body('items').optional().isArray({ max: 50 }).withMessage('items must be an array'),
+  body('items.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Item description is required')
+    .isLength({ max: 200 }),
+  body('items.*.orderItemId').optional().isMongoId().withMessage('Invalid order item ID'),
+  body('items.*.metalType').isIn(METALS).withMessage('Invalid metal type'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).toInt(),
+  body('items.*.grossWeight')
+    .isFloat({ gt: 0 })
+    .withMessage('Gross weight must be greater than 0')
+    .toFloat(),
+  body('items.*.stoneWeight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stone weight must be a positive number')
+    .toFloat(),
+  body('items.*.purity')
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Purity must be a percentage between 1 and 100')
+    .toFloat(),
+  percentage('items.*.wastagePercentage', 'Wastage percentage'),
+  body('items.*.labourRateType')
+    .optional()
+    .isIn(LABOUR_TYPES)
+    .withMessage('Labour rate type must be per_gram, per_piece or fixed'),
+  body('items.*.labourRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Labour rate must be a positive number')
+    .toFloat(),
+  ...metalLines('returnedMetals'),
+  ...stoneLines,
+  validate,
+];
+
+export const payKarigar = [
+  shopId,
+  karigarId,
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('paymentMode')
+    .optional()
+    .isIn(['cash', 'upi', 'bank_transfer', 'cheque'])
+    .withMessage('Invalid payment mode'),
+  body('reference').optional().isString().trim().isLength({ max: 100 }),
+  body('voucherDate').optional().isISO8601().withMessage('Invalid voucher date').toDate(),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const getVouchers = [
+  shopId,
+  ...pagination,
+  ...dateRange,
+  query('karigarId').optional().isMongoId().withMessage('Invalid karigar ID'),
+  query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+  query('voucherType')
+    .optional()
+    .isIn(['issue', 'receipt', 'payment'])
+    .withMessage('Voucher type must be issue, receipt or payment'),
+  query('status')
+    .optional()
+    .isIn(['active', 'cancelled'])
+    .withMessage('Status must be active or cancelled'),
+  validate,
+];
+
+export const getVoucher = [shopId, voucherId, validate];
+
+export const cancelVoucher = [
+  shopId,
+  voucherId,
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  validate,
+];
@@ -0,0 +1,58 @@
+// FILE: src/api/metal-position/metalPosition.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as metalPositionService from './metalPosition.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+
+/**
+  GET /api/v1/shops/:shopId/metal-position
+ */
+export const getPosition = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+
+  const position = await metalPositionService.getCurrentPosition(shopId);
+
+  sendSuccess(res, 200, 'Metal position fetched successfully', position);
+});
+
+/**
+  GET /api/v1/shops/:shopId/metal-position/daily
+ */
+export const getDailyReport = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+
+  const report = await metalPositionService.getDailyReport(shopId, {
+    date: req.query.date ? new Date(req.query.date) : new Date(),
+  });
+
+  sendSuccess(res, 200, 'Daily metal position fetched successfully', report);
+});
+
+/**
+  GET /api/v1/shops/:shopId/metal-position/snapshots
+ */
+export const getSnapshots = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+
+  const result = await metalPositionService.getSnapshots(shopId, req.query);
+
+  sendPaginated(
+    res,
+    result.snapshots,
+    result.page,
+    result.limit,
+    result.total,
+    'Metal position snapshots fetched successfully'
+  );
+});
+
+/**
+  POST /api/v1/shops/:shopId/metal-position/snapshots
+ */
+export const createSnapshot = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const snapshot = await metalPositionService.createSnapshot(shopId, organizationId, req.user._id);
+
+  sendSuccess(res, 201, 'Metal position snapshot captured successfully', snapshot);
+});
@@ -0,0 +1,79 @@
+// FILE: src/api/metal-position/metalPosition.routes.js
+// Mounted at: /api/v1/shops/:shopId/metal-position
+// Owner / accountant ka subah ka number — sirf padhna, snapshot bhi wahi le sakte hain.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as metalPositionController from './metalPosition.controller.js';
+import * as metalPositionValidation from './metalPosition.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'];
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/metal-position
+ * @desc    Live fine metal position by source (finished goods, old gold, fine stock, karigar, party) and girvi held
+ * @access  Private (manager, accountant and above)
+ */
+router.get(
+  '/',
+  metalPositionValidation.getPosition,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_REPORTS),
+  apiRateLimiter,
+  metalPositionController.getPosition
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/metal-position/daily
+ * @desc    Daily metal position — opening, in, out and closing by source (query: date)
+ * @access  Private (manager, accountant and above)
+ */
+router.get(
+  '/daily',
+  metalPositionValidation.getDailyReport,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_REPORTS),
+  apiRateLimiter,
+  metalPositionController.getDailyReport
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/metal-position/snapshots
+ * @desc    Saved end-of-day positions (filters: startDate, endDate)
+ * @access  Private (manager, accountant and above)
+ */
+router.get(
+  '/snapshots',
+  metalPositionValidation.getSnapshots,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_REPORTS),
+  apiRateLimiter,
+  metalPositionController.getSnapshots
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/metal-position/snapshots
+ * @desc    Capture today's position now (the nightly job overwrites it with the closing)
+ * @access  Private (manager, accountant and above)
+ */
+router.post(
+  '/snapshots',
+  metalPositionValidation.createSnapshot,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  metalPositionController.createSnapshot
+);
+
+export default router;
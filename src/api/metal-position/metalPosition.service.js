@@ -0,0 +1,701 @@
+// FILE: src/api/metal-position/metalPosition.service.js
+// Shop ki total metal position — fine weight me, metal wise, source wise:
+//   finished_goods  Product stock (fineWeight × quantity)
+//   old_gold        counter pe + refiner ke paas pade lots
+//   fine_stock      bar / refined metal (MetalStockTransaction)
+//   karigar         karigaron ke paas hamara metal (Karigar.balance)
+//   party           MetalLedger pending — they_owe (+) / we_owe (-); refining entries
+//                   chhod ke kyunki woh metal old_gold me refiner ke paas gin liya
+//   girvi           girvi me rakha customer ka metal — custody hai, net me nahi
+// Daily report: opening / closing snapshot se (na ho to aaj ki position se peeche
+// chal ke), beech ka in / out har source ke apne records se. Jo milan na ho woh
+// `unexplained` me dikhta hai (re-test, auction, purane record edit).
+
+import mongoose from 'mongoose';
+import Product from '../../models/Product.js';
+import InventoryTransaction from '../../models/InventoryTransaction.js';
+import OldGold from '../../models/OldGold.js';
+import RefiningBatch from '../../models/RefiningBatch.js';
+import MetalStockTransaction from '../../models/MetalStockTransaction.js';
+import Karigar from '../../models/Karigar.js';
+import KarigarVoucher from '../../models/KarigarVoucher.js';
+import MetalLedger from '../../models/MetalLedger.js';
+import Girvi from '../../models/Girvi.js';
+import JewelryShop from '../../models/Shop.js';
+import MetalPositionSnapshot from '../../models/MetalPositionSnapshot.js';
+import { purityPercentOf } from '../old-gold/oldGold.service.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+
+export const METALS = ['gold', 'silver', 'platinum'];
+export const OWNED_SOURCES = ['finished_goods', 'old_gold', 'fine_stock', 'karigar', 'party'];
+export const CUSTODY_SOURCES = ['girvi'];
+export const SOURCES = [...OWNED_SOURCES, ...CUSTODY_SOURCES];
+
+const GIRVI_HELD_STATUSES = ['active', 'overdue', 'partial_released'];
+// Reservation se metal dukaan se bahar nahi jaata
+export const STOCK_MOVING_TYPES = [
+  'IN',
+  'OUT',
+  'ADJUSTMENT',
+  'SALE',
+  'PURCHASE',
+  'RETURN',
+  'TRANSFER_IN',
+  'TRANSFER_OUT',
+  'DAMAGE',
+];
+
+const round3 = value => Math.round(value * 1000) / 1000;
+const toObjectId = id => new mongoose.Types.ObjectId(String(id));
+
+export const emptyMetals = () => ({ gold: 0, silver: 0, platinum: 0 });
+// { key: build(key) } — har source / metal ke liye ek hi shape
+const keyed = (keys, build) =>
+  keys.reduce((result, key) => {
+    result[key] = build(key);
+    return result;
+  }, {});
+
+const emptyMovements = () => keyed(SOURCES, () => ({ in: emptyMetals(), out: emptyMetals() }));
+
+// ─── Calculations ──────────────────────────────────────────────────────────────
+
+/**
+ * Girvi line me abhi rakha fine — netWeight poori line ka hai, release quantity ke hisaab se.
+ */
+export const girviItemFine = (item, quantity = null) => {
+  const tunch = item.tunch || purityPercentOf(item.purity) || 0;
+  const lineFine = ((item.netWeight ?? item.grossWeight ?? 0) * tunch) / 100;
+  const total = item.quantity || 1;
+  const held = quantity ?? total - (item.releasedQuantity || 0);
+  return round3((lineFine * Math.max(0, held)) / total);
+};
+
+/**
+ * Net = owned sources ka jod; girvi alag.
+ */
+export const sumPosition = sources => {
+  const net = emptyMetals();
+  OWNED_SOURCES.forEach(source => {
+    METALS.forEach(metal => {
+      net[metal] += sources[source]?.[metal] || 0;
+    });
+  });
+  METALS.forEach(metal => {
+    net[metal] = round3(net[metal]);
+  });
+  return net;
+};
+
+/**
+ * Closing se movements ulte chala ke pichli position — closing - in + out.
+ */
+export const rollBack = (sources, movements) =>
+  keyed(SOURCES, source =>
+    keyed(METALS, metal =>
+      round3(
+        (sources[source]?.[metal] || 0) -
+          (movements[source]?.in[metal] || 0) +
+          (movements[source]?.out[metal] || 0)
+      )
+    )
+  );
+
+/**
+ * Source × metal: opening, in, out, closing aur unexplained (closing - (opening + in - out)).
+ * Net row sirf owned sources ka.
+ */
+export const buildDayReport = ({ opening, closing, movements }) => {
+  const row = sources => {
+    const lines = {};
+    METALS.forEach(metal => {
+      const open = sources.reduce((sum, source) => sum + (opening[source]?.[metal] || 0), 0);
+      const close = sources.reduce((sum, source) => sum + (closing[source]?.[metal] || 0), 0);
+      const inflow = sources.reduce((sum, source) => sum + (movements[source]?.in[metal] || 0), 0);
+      const outflow = sources.reduce(
+        (sum, source) => sum + (movements[source]?.out[metal] || 0),
+        0
+      );
+      lines[metal] = {
+        opening: round3(open),
+        in: round3(inflow),
+        out: round3(outflow),
+        closing: round3(close),
+        unexplained: round3(close - (open + inflow - outflow)),
+      };
+    });
+    return lines;
+  };
+
+  return {
+    sources: keyed(SOURCES, source => row([source])),
+    net: row(OWNED_SOURCES),
+  };
+};
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+export const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = date => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const addMetals = (target, metal, weight) => {
+  if (!METALS.includes(metal) || !weight) return;
+  target[metal] = round3(target[metal] + weight);
+};
+
+// Product ki ek unit me fine — piece / pair / set pe weight.fineWeight, gram / kg stock
+// pe quantity khud weight hai to fine/net ka ratio
+const unitFineExpr = prefix => ({
+  $switch: {
+    branches: [
+      {
+        case: { $in: [`${prefix}stock.unit`, ['gram', 'kg']] },
+        then: {
+          $multiply: [
+            {
+              $cond: [
+                { $gt: [`${prefix}weight.netWeight`, 0] },
+                { $divide: [`${prefix}weight.fineWeight`, `${prefix}weight.netWeight`] },
+                0,
+              ],
+            },
+            { $cond: [{ $eq: [`${prefix}stock.unit`, 'kg'] }, 1000, 1] },
+          ],
+        },
+      },
+    ],
+    default: { $ifNull: [`${prefix}weight.fineWeight`, 0] },
+  },
+});
+
+// ─── Position (live) ───────────────────────────────────────────────────────────
+
+const finishedGoodsPosition = async shopId => {
+  const rows = await Product.aggregate([
+    {
+      $match: {
+        shopId: toObjectId(shopId),
+        deletedAt: null,
+        'metal.type': { $in: METALS },
+        'stock.quantity': { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: '$metal.type',
+        fineWeight: { $sum: { $multiply: ['$stock.quantity', unitFineExpr('$')] } },
+      },
+    },
+  ]);
+
+  const position = emptyMetals();
+  rows.forEach(row => addMetals(position, row._id, row.fineWeight));
+  return position;
+};
+
+const oldGoldPosition = async shopId => {
+  const rows = await OldGold.aggregate([
+    {
+      $match: {
+        shopId: toObjectId(shopId),
+        status: { $in: ['in_stock', 'sent_for_refining'] },
+        deletedAt: null,
+      },
+    },
+    { $group: { _id: '$metalType', fineWeight: { $sum: '$fineWeight' } } },
+  ]);
+
+  const position = emptyMetals();
+  rows.forEach(row => addMetals(position, row._id, row.fineWeight));
+  return position;
+};
+
+const karigarPosition = async shopId => {
+  const rows = await Karigar.aggregate([
+    { $match: { shopId: toObjectId(shopId), deletedAt: null } },
+    {
+      $group: {
+        _id: null,
+        gold: { $sum: '$balance.gold' },
+        silver: { $sum: '$balance.silver' },
+        platinum: { $sum: '$balance.platinum' },
+      },
+    },
+  ]);
+
+  const position = emptyMetals();
+  METALS.forEach(metal => addMetals(position, metal, rows[0]?.[metal]));
+  return position;
+};
+
+const partyPosition = async shopId => {
+  const rows = await MetalLedger.aggregate([
+    {
+      $match: {
+        shopId: toObjectId(shopId),
+        status: { $in: ['pending', 'partial'] },
+        referenceType: { $ne: 'refining' },
+        deletedAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: '$metalType',
+        weight: {
+          $sum: {
+            $cond: [
+              { $eq: ['$direction', 'they_owe'] },
+              '$pendingWeight',
+              { $multiply: ['$pendingWeight', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const position = emptyMetals();
+  rows.forEach(row => addMetals(position, row._id, row.weight));
+  return position;
+};
+
+const girviPosition = async shopId => {
+  const girvis = await Girvi.find({
+    shopId,
+    status: { $in: GIRVI_HELD_STATUSES },
+    isTransferred: { $ne: true },
+    deletedAt: null,
+  })
+    .select('items')
+    .lean();
+
+  const position = emptyMetals();
+  girvis.forEach(girvi => {
+    girvi.items
+      .filter(item => item.itemStatus !== 'released' && item.itemStatus !== 'auctioned')
+      .forEach(item => addMetals(position, item.itemType, girviItemFine(item)));
+  });
+  return position;
+};
+
+/**
+ * Abhi ki position — har source live padh ke.
+ */
+export const computePosition = async shopId => {
+  const [finishedGoods, oldGold, fineStock, karigar, party, girvi] = await Promise.all([
+    finishedGoodsPosition(shopId),
+    oldGoldPosition(shopId),
+    MetalStockTransaction.getBalance(shopId),
+    karigarPosition(shopId),
+    partyPosition(shopId),
+    girviPosition(shopId),
+  ]);
+
+  const sources = {
+    finished_goods: finishedGoods,
+    old_gold: oldGold,
+    fine_stock: fineStock,
+    karigar,
+    party,
+    girvi,
+  };
+  return { sources, net: sumPosition(sources) };
+};
+
+// ─── Movements ─────────────────────────────────────────────────────────────────
+
+const finishedGoodsMovements = async (shopId, from, to, target) => {
+  const rows = await InventoryTransaction.aggregate([
+    {
+      $match: {
+        shopId: toObjectId(shopId),
+        transactionType: { $in: STOCK_MOVING_TYPES },
+        transactionDate: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: 'productId',
+        foreignField: '_id',
+        as: 'product',
+      },
+    },
+    { $unwind: '$product' },
+    { $match: { 'product.metal.type': { $in: METALS } } },
+    {
+      $project: {
+        metalType: '$product.metal.type',
+        fine: {
+          $multiply: [
+            { $subtract: ['$newQuantity', '$previousQuantity'] },
+            unitFineExpr('$product.'),
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$metalType',
+        in: { $sum: { $cond: [{ $gt: ['$fine', 0] }, '$fine', 0] } },
+        out: { $sum: { $cond: [{ $lt: ['$fine', 0] }, { $abs: '$fine' }, 0] } },
+      },
+    },
+  ]);
+
+  rows.forEach(row => {
+    addMetals(target.in, row._id, row.in);
+    addMetals(target.out, row._id, row.out);
+  });
+};
+
+const oldGoldMovements = async (shopId, from, to, target) => {
+  const shop = toObjectId(shopId);
+
+  const [received, cancelled, refined] = await Promise.all([
+    OldGold.aggregate([
+      { $match: { shopId: shop, receivedAt: { $gte: from, $lte: to }, deletedAt: null } },
+      { $group: { _id: '$metalType', fineWeight: { $sum: '$fineWeight' } } },
+    ]),
+    OldGold.aggregate([
+      {
+        $match: {
+          shopId: shop,
+          status: 'cancelled',
+          'cancellation.cancelledAt': { $gte: from, $lte: to },
+          deletedAt: null,
+        },
+      },
+      { $group: { _id: '$metalType', fineWeight: { $sum: '$fineWeight' } } },
+    ]),
+    // Refiner se wapas aate hi lot old gold se nikal ke fine_stock me (asli fine) jaata hai
+    RefiningBatch.aggregate([
+      {
+        $match: {
+          shopId: shop,
+          status: 'returned',
+          'returned.returnedAt': { $gte: from, $lte: to },
+          deletedAt: null,
+        },
+      },
+      { $group: { _id: '$metalType', fineWeight: { $sum: '$sent.fineWeight' } } },
+    ]),
+  ]);
+
+  received.forEach(row => addMetals(target.in, row._id, row.fineWeight));
+  cancelled.forEach(row => addMetals(target.out, row._id, row.fineWeight));
+  refined.forEach(row => addMetals(target.out, row._id, row.fineWeight));
+};
+
+const fineStockMovements = async (shopId, from, to, target) => {
+  const rows = await MetalStockTransaction.aggregate([
+    {
+      $match: {
+        shopId: toObjectId(shopId),
+        transactionDate: { $gte: from, $lte: to },
+        deletedAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: { metalType: '$metalType', direction: '$direction' },
+        fineWeight: { $sum: '$fineWeight' },
+      },
+    },
+  ]);
+
+  rows.forEach(row => addMetals(target[row._id.direction], row._id.metalType, row.fineWeight));
+};
+
+const karigarMovements = async (shopId, from, to, target) => {
+  const [vouchers, opened] = await Promise.all([
+    KarigarVoucher.find({
+      shopId,
+      status: 'active',
+      voucherDate: { $gte: from, $lte: to },
+      deletedAt: null,
+    })
+      .select('effect')
+      .lean(),
+    Karigar.find({ shopId, createdAt: { $gte: from, $lte: to } })
+      .select('openingBalance')
+      .lean(),
+  ]);
+
+  const post = effect => {
+    METALS.forEach(metal => {
+      const weight = effect?.[metal] || 0;
+      if (weight > 0) addMetals(target.in, metal, weight);
+      if (weight < 0) addMetals(target.out, metal, -weight);
+    });
+  };
+  vouchers.forEach(voucher => post(voucher.effect));
+  opened.forEach(karigar => post(karigar.openingBalance));
+};
+
+// Entry bani to they_owe in / we_owe out; settle hui to ulta. Settlement ki sirf aakhri
+// date rakhi jaati hai, isliye partly settled entries ka poora settled weight usi din.
+const partyMovements = async (shopId, from, to, target) => {
+  const base = {
+    shopId: toObjectId(shopId),
+    referenceType: { $ne: 'refining' },
+    deletedAt: null,
+  };
+
+  const [created, settled] = await Promise.all([
+    MetalLedger.aggregate([
+      { $match: { ...base, status: { $ne: 'cancelled' }, createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { metalType: '$metalType', direction: '$direction' },
+          weight: { $sum: '$weight' },
+        },
+      },
+    ]),
+    MetalLedger.aggregate([
+      { $match: { ...base, 'settlement.settlementDate': { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { metalType: '$metalType', direction: '$direction' },
+          weight: { $sum: '$settlement.settledWeight' },
+        },
+      },
+    ]),
+  ]);
+
+  created.forEach(row =>
+    addMetals(
+      row._id.direction === 'they_owe' ? target.in : target.out,
+      row._id.metalType,
+      row.weight
+    )
+  );
+  settled.forEach(row =>
+    addMetals(
+      row._id.direction === 'they_owe' ? target.out : target.in,
+      row._id.metalType,
+      row.weight
+    )
+  );
+};
+
+// Girvi rakha → in; partial release (item quantity) aur poora release → out
+const girviMovements = async (shopId, from, to, target) => {
+  const [pledged, released] = await Promise.all([
+    Girvi.find({ shopId, girviDate: { $gte: from, $lte: to }, deletedAt: null })
+      .select('items')
+      .lean(),
+    Girvi.find({
+      shopId,
+      deletedAt: null,
+      $or: [
+        { 'partialReleases.releaseDate': { $gte: from, $lte: to } },
+        { status: 'released', releaseDate: { $gte: from, $lte: to } },
+      ],
+    })
+      .select('items partialReleases status releaseDate')
+      .lean(),
+  ]);
+
+  pledged.forEach(girvi => {
+    girvi.items.forEach(item =>
+      addMetals(target.in, item.itemType, girviItemFine(item, item.quantity || 1))
+    );
+  });
+
+  released.forEach(girvi => {
+    const items = new Map(girvi.items.map(item => [String(item._id), item]));
+
+    (girvi.partialReleases || [])
+      .filter(release => release.releaseDate >= from && release.releaseDate <= to)
+      .forEach(release => {
+        release.releasedItems.forEach(line => {
+          const item = items.get(String(line.itemId));
+          if (item)
+            addMetals(target.out, item.itemType, girviItemFine(item, line.releasedQuantity));
+        });
+      });
+
+    // Poore release me item quantities nahi badalti — jo bacha tha woh sab gaya
+    if (girvi.status === 'released' && girvi.releaseDate >= from && girvi.releaseDate <= to) {
+      girvi.items
+        .filter(item => item.itemStatus !== 'released')
+        .forEach(item => addMetals(target.out, item.itemType, girviItemFine(item)));
+    }
+  });
+};
+
+/**
+ * [from, to] ke beech har source ka in / out.
+ */
+export const computeMovements = async (shopId, from, to) => {
+  const movements = emptyMovements();
+
+  await Promise.all([
+    finishedGoodsMovements(shopId, from, to, movements.finished_goods),
+    oldGoldMovements(shopId, from, to, movements.old_gold),
+    fineStockMovements(shopId, from, to, movements.fine_stock),
+    karigarMovements(shopId, from, to, movements.karigar),
+    partyMovements(shopId, from, to, movements.party),
+    girviMovements(shopId, from, to, movements.girvi),
+  ]);
+
+  return movements;
+};
+
+// ─── Snapshots ─────────────────────────────────────────────────────────────────
+
+/**
+ * Aaj (ya diye din) ki closing position save — same din dobara chale to overwrite.
+ */
+export const captureSnapshot = async (
+  shopId,
+  organizationId,
+  { date = new Date(), userId = null } = {}
+) => {
+  const position = await computePosition(shopId);
+
+  return MetalPositionSnapshot.findOneAndUpdate(
+    { shopId, date: startOfDay(date) },
+    {
+      $set: {
+        organizationId,
+        sources: position.sources,
+        net: position.net,
+        capturedAt: new Date(),
+        capturedBy: userId,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Nightly job — har active shop ka snapshot. Raat 12 ke baad chalta hai, isliye pichle
+ * din ki tarikh pe likhta hai.
+ */
+export const runDailySnapshots = async (now = new Date()) => {
+  const day = startOfDay(now);
+  day.setDate(day.getDate() - 1);
+
+  const shops = await JewelryShop.find({ isActive: true, deletedAt: null })
+    .select('_id organizationId')
+    .lean();
+
+  const result = { shops: shops.length, captured: 0, failed: 0 };
+  for (const shop of shops) {
+    try {
+      await captureSnapshot(shop._id, shop.organizationId, { date: day });
+      result.captured += 1;
+    } catch (error) {
+      result.failed += 1;
+      logger.error('Metal position snapshot failed for shop', {
+        shopId: shop._id,
+        error: error.message,
+      });
+    }
+  }
+  return result;
+};
+
+export const createSnapshot = async (shopId, organizationId, userId) => {
+  const snapshot = await captureSnapshot(shopId, organizationId, { userId });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'metal_position',
+    description: `Captured metal position — gold ${snapshot.net.gold}g, silver ${snapshot.net.silver}g, platinum ${snapshot.net.platinum}g fine`,
+    level: 'info',
+    status: 'success',
+    metadata: { snapshotId: snapshot._id, date: snapshot.date },
+  });
+
+  return snapshot;
+};
+
+// ─── Reads ─────────────────────────────────────────────────────────────────────
+
+export const getCurrentPosition = async shopId => {
+  const position = await computePosition(shopId);
+  return { asOf: new Date(), ...position };
+};
+
+/**
+ * Din ki report. Closing: aaj ho to live, warna us din ka snapshot, warna live se
+ * peeche chal ke. Opening: pichle din ka snapshot, warna closing se is din ke movements ulte.
+ */
+export const getDailyReport = async (shopId, { date = new Date() } = {}) => {
+  const now = new Date();
+  const dayStart = startOfDay(date);
+  const dayEnd = endOfDay(date);
+  const previousDay = new Date(dayStart);
+  previousDay.setDate(previousDay.getDate() - 1);
+
+  const [movements, closingSnapshot, openingSnapshot] = await Promise.all([
+    computeMovements(shopId, dayStart, dayEnd),
+    dayEnd < now ? MetalPositionSnapshot.findOne({ shopId, date: dayStart }).lean() : null,
+    MetalPositionSnapshot.findOne({ shopId, date: previousDay }).lean(),
+  ]);
+
+  let closing;
+  let closingBasis;
+  if (closingSnapshot) {
+    closing = closingSnapshot.sources;
+    closingBasis = 'snapshot';
+  } else {
+    const live = await computePosition(shopId);
+    closing = live.sources;
+    closingBasis = 'live';
+    if (dayEnd < now) {
+      closing = rollBack(
+        closing,
+        await computeMovements(shopId, new Date(dayEnd.getTime() + 1), now)
+      );
+      closingBasis = 'derived';
+    }
+  }
+
+  const opening = openingSnapshot ? openingSnapshot.sources : rollBack(closing, movements);
+
+  return {
+    date: dayStart,
+    basis: { opening: openingSnapshot ? 'snapshot' : 'derived', closing: closingBasis },
+    ...buildDayReport({ opening, closing, movements }),
+  };
+};
+
+export const getSnapshots = async (shopId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 31;
+
+  const query = { shopId };
+  if (filters.startDate || filters.endDate) {
+    query.date = {};
+    if (filters.startDate) query.date.$gte = startOfDay(filters.startDate);
+    if (filters.endDate) query.date.$lte = startOfDay(filters.endDate);
+  }
+
+  const [snapshots, total] = await Promise.all([
+    MetalPositionSnapshot.find(query)
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MetalPositionSnapshot.countDocuments(query),
+  ]);
+
+  return { snapshots, total, page, limit };
+};
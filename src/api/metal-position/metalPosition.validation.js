@@ -0,0 +1,40 @@
+// FILE: src/api/metal-position/metalPosition.validation.js
+import { param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+
+export const getPosition = [shopId, validate];
+
+export const getDailyReport = [
+  shopId,
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Date cannot be in the future'),
+  validate,
+];
+
+export const getSnapshots = [
+  shopId,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Limit must be between 1 and 366'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  validate,
+];
+
+export const createSnapshot = [shopId, validate];
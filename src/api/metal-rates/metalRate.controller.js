@@ -1,5 +1,6 @@
 // FILE: src/api/metal-rates/metalRate.controller.js
 import metalRateService from './metalRate.service.js';
+import rateFeedService from './rateFeed.service.js';
 import catchAsync from '../../utils/catchAsync.js';
 import { sendSuccess, sendNoContent } from '../../utils/sendResponse.js';
 import { ValidationError } from '../../utils/AppError.js';
@@ -222,4 +223,64 @@ export const getAverageRate = catchAsync(async (req, res) => {
     averageSellingRate: parseFloat((totalSelling / count).toFixed(2)),
     samples: count,
   });
-});
\ No newline at end of file
+});
+
+// GET /api/v1/shops/:shopId/metal-rates/feed
+export const getFeedSettings = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+
+  const result = await rateFeedService.getFeedSettings(shopId);
+
+  return sendSuccess(res, 200, result.message, result.data);
+});
+
+// PUT /api/v1/shops/:shopId/metal-rates/feed
+export const updateFeedSettings = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const { enabled, mode, margins } = req.body;
+
+  const result = await rateFeedService.updateFeedSettings(
+    shopId,
+    { enabled, mode, margins },
+    req.user._id
+  );
+
+  return sendSuccess(res, 200, 'Rate feed settings updated', result.data);
+});
+
+// POST /api/v1/shops/:shopId/metal-rates/feed/fetch
+export const fetchFeedNow = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+
+  const result = await rateFeedService.fetchNow(shopId, req.user._id);
+
+  return sendSuccess(res, 200, result.message, result.data);
+});
+
+// GET /api/v1/shops/:shopId/metal-rates/drafts
+export const getDrafts = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const { status, page, limit } = req.query;
+
+  const result = await rateFeedService.getDrafts(shopId, { status, page, limit });
+
+  return sendSuccess(res, 200, result.message, result.data, result.meta);
+});
+
+// POST /api/v1/shops/:shopId/metal-rates/drafts/:draftId/approve
+export const approveDraft = catchAsync(async (req, res) => {
+  const { shopId, draftId } = req.params;
+
+  const result = await rateFeedService.approveDraft(shopId, draftId, req.user._id);
+
+  return sendSuccess(res, 200, result.message, result.data);
+});
+
+// POST /api/v1/shops/:shopId/metal-rates/drafts/:draftId/reject
+export const rejectDraft = catchAsync(async (req, res) => {
+  const { shopId, draftId } = req.params;
+
+  const result = await rateFeedService.rejectDraft(shopId, draftId, req.body.reason, req.user._id);
+
+  return sendSuccess(res, 200, result.message, result.data);
+});
@@ -98,6 +98,76 @@ router.get(
   metalRateValidation.getAverageRate,
   metalRateController.getAverageRate
 );
+// GET /api/v1/shops/:shopId/metal-rates/feed
+router.get(
+  '/shops/:shopId/metal-rates/feed',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GET_CURRENT_RATE),
+  metalRateValidation.shopFeedParam,
+  metalRateController.getFeedSettings
+);
+
+// PUT /api/v1/shops/:shopId/metal-rates/feed
+router.put(
+  '/shops/:shopId/metal-rates/feed',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.CREATE_UPDATE_RATE),
+  rateLimiter({ max: 20, windowMs: 15 * 60 * 1000 }),
+  metalRateValidation.updateFeedSettings,
+  metalRateController.updateFeedSettings
+);
+
+// POST /api/v1/shops/:shopId/metal-rates/feed/fetch
+router.post(
+  '/shops/:shopId/metal-rates/feed/fetch',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.CREATE_UPDATE_RATE),
+  rateLimiter({ max: 10, windowMs: 15 * 60 * 1000 }),
+  metalRateValidation.shopFeedParam,
+  metalRateController.fetchFeedNow
+);
+
+// GET /api/v1/shops/:shopId/metal-rates/drafts
+router.get(
+  '/shops/:shopId/metal-rates/drafts',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GET_CURRENT_RATE),
+  metalRateValidation.getDrafts,
+  metalRateController.getDrafts
+);
+
+// POST /api/v1/shops/:shopId/metal-rates/drafts/:draftId/approve
+router.post(
+  '/shops/:shopId/metal-rates/drafts/:draftId/approve',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.CREATE_UPDATE_RATE),
+  rateLimiter({ max: 10, windowMs: 15 * 60 * 1000 }),
+  metalRateValidation.approveDraft,
+  metalRateController.approveDraft
+);
+
+// POST /api/v1/shops/:shopId/metal-rates/drafts/:draftId/reject
+router.post(
+  '/shops/:shopId/metal-rates/drafts/:draftId/reject',
+  authenticate,
+  restrictTo('super_admin', 'org_admin', 'shop_admin'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.CREATE_UPDATE_RATE),
+  rateLimiter({ max: 20, windowMs: 15 * 60 * 1000 }),
+  metalRateValidation.rejectDraft,
+  metalRateController.rejectDraft
+);
+
 // POST /api/v1/organizations/:organizationId/metal-rates/sync
 router.post(
   '/organizations/:organizationId/metal-rates/sync',
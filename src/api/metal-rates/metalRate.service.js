@@ -4,6 +4,7 @@ import JewelryShop from '../../models/Shop.js';
 import cache from '../../utils/cache.js';
 import logger from '../../utils/logger.js';
 import eventLogger from '../../utils/eventLogger.js';
+import eventBus from '../../eventBus.js';
 import { NotFoundError, ValidationError, ConflictError } from '../../utils/AppError.js';
 
 export const calculateRateChange = (oldRate, newRate) => {
@@ -79,9 +80,12 @@ export const createOrUpdateTodayRate = async (shopId, rateData, userId) => {
 
     let metalRate;
     let isUpdate = false;
+    // Repricing ke liye — kaunse metal ka rate sach me badla
+    let previousRate;
 
     if (existingRate) {
       isUpdate = true;
+      previousRate = existingRate.toObject();
 
       existingRate.gold = rateData.gold;
       existingRate.silver = rateData.silver;
@@ -97,13 +101,15 @@ export const createOrUpdateTodayRate = async (shopId, rateData, userId) => {
 
       metalRate = await existingRate.save();
     } else {
+      previousRate = await MetalRate.getCurrentRate(shopId).lean();
       metalRate = await MetalRate.create({
         shopId,
         organizationId: shop.organizationId,
         rateDate: today,
         gold: rateData.gold,
         silver: rateData.silver,
-        platinum: rateData.platinum || { buyingRate: 0, sellingRate: 0 },
+        // Rate feed platinum na de to kal wala platinum rate hi chale
+        platinum: rateData.platinum || previousRate?.platinum || { buyingRate: 0, sellingRate: 0 },
         weightUnit: rateData.weightUnit || 'gram',
         currency: rateData.currency || 'INR',
         rateSource: rateData.rateSource || 'manual',
@@ -140,6 +146,15 @@ export const createOrUpdateTodayRate = async (shopId, rateData, userId) => {
       },
     });
 
+    // Listener in-stock products ko naye rate pe reprice karta hai
+    eventBus.emit('METAL_RATE_UPDATED', {
+      shopId,
+      organizationId: shop.organizationId,
+      metalRate: metalRate.toObject(),
+      previousRate,
+      userId,
+    });
+
     logger.info(`Metal rate ${isUpdate ? 'updated' : 'created'}`, {
       shopId,
       rateId: metalRate._id,
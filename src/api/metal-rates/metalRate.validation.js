@@ -358,6 +358,81 @@ export const rateIdParam = [
   handleValidationErrors,
 ];
 
+// ─── Rate Feed ─────────────────────────────────────────────────────────────────
+
+const shopIdParam = param('shopId')
+  .notEmpty()
+  .withMessage('Shop ID is required')
+  .custom(value => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid shop ID format');
+
+const draftIdParam = param('draftId')
+  .notEmpty()
+  .withMessage('Draft ID is required')
+  .custom(value => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid draft ID format');
+
+const marginValidation = ['gold', 'silver', 'platinum'].flatMap(metal =>
+  ['buyPercent', 'sellPercent'].map(side =>
+    body(`margins.${metal}.${side}`)
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage(`${metal} ${side} must be between 0 and 100`)
+      .toFloat()
+  )
+);
+
+export const shopFeedParam = [shopIdParam, handleValidationErrors];
+
+export const updateFeedSettings = [
+  shopIdParam,
+
+  body('enabled').optional().isBoolean().withMessage('enabled must be boolean').toBoolean(),
+
+  body('mode')
+    .optional()
+    .isIn(['draft', 'auto_publish'])
+    .withMessage('Mode must be draft or auto_publish'),
+
+  ...marginValidation,
+
+  handleValidationErrors,
+];
+
+export const getDrafts = [
+  shopIdParam,
+
+  query('status')
+    .optional()
+    .isIn(['pending', 'published', 'rejected', 'superseded'])
+    .withMessage('Invalid draft status'),
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors,
+];
+
+export const approveDraft = [shopIdParam, draftIdParam, handleValidationErrors];
+
+export const rejectDraft = [
+  shopIdParam,
+  draftIdParam,
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors,
+];
+
 export const validateSellingRate = (sellingRate, buyingRate, metalName) => {
   return body(sellingRate).custom((value, { req }) => {
     const buyingRateValue = req.body[buyingRate];
@@ -386,6 +461,11 @@ export default {
   getRateForPurity,
   getAverageRate,
   rateIdParam,
+  shopFeedParam,
+  updateFeedSettings,
+  getDrafts,
+  approveDraft,
+  rejectDraft,
   validateSellingRate,
   validateDateRange,
 };
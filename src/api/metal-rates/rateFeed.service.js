@@ -0,0 +1,391 @@
+// FILE: src/api/metal-rates/rateFeed.service.js
+// Market rate feed → per-shop MetalRate. The feed is fetched once per run through
+// the configured provider (src/rate-feed/providers), converted with each shop's
+// margins and saved as a MetalRateDraft. Shops on 'auto_publish' get the draft
+// published straight away; 'draft' shops wait for an owner to approve it.
+
+import crypto from 'crypto';
+import MetalRate from '../../models/MetalRate.js';
+import MetalRateDraft from '../../models/MetalRateDraft.js';
+import JewelryShop from '../../models/Shop.js';
+import Organization from '../../models/Organization.js';
+import { getRateProvider, DEFAULT_PROVIDER } from '../../rate-feed/providers/index.js';
+import { parseFeed } from '../../rate-feed/parse.js';
+import { buildRateData, TARGETS } from '../../rate-feed/convert.js';
+import { createOrUpdateTodayRate } from './metalRate.service.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ConflictError, BadRequestError } from '../../utils/AppError.js';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const rateAt = (rate, metal, field) =>
+  metal === 'platinum' ? rate?.platinum : rate?.[metal]?.[field];
+
+/**
+ * True when every buy / sell rate the feed sets equals the shop's current rate —
+ * no point in a draft then. Metal jo feed me nahi (platinum) compare nahi hota.
+ */
+export const sameRates = (rateData, current) => {
+  if (!current) return false;
+
+  return Object.entries(TARGETS).every(([metal, fields]) =>
+    Object.keys(fields).every(field => {
+      if (!rateData[metal]) return true;
+      const next = rateAt(rateData, metal, field);
+      const now = rateAt(current, metal, field);
+      return (
+        (next?.buyingRate || 0) === (now?.buyingRate || 0) &&
+        (next?.sellingRate || 0) === (now?.sellingRate || 0)
+      );
+    })
+  );
+};
+
+const plain = value => (value?.toObject ? value.toObject() : value);
+
+const marginsOf = shop => {
+  const margins = plain(shop.settings?.rateFeed?.margins) || {};
+  return {
+    gold: { buyPercent: 0, sellPercent: 0, ...margins.gold },
+    silver: { buyPercent: 0, sellPercent: 0, ...margins.silver },
+    platinum: { buyPercent: 0, sellPercent: 0, ...margins.platinum },
+  };
+};
+
+const setFeedStatus = (shopId, lastStatus, lastError = null) =>
+  JewelryShop.updateOne(
+    { _id: shopId },
+    {
+      $set: {
+        'settings.rateFeed.lastFetchedAt': new Date(),
+        'settings.rateFeed.lastStatus': lastStatus,
+        'settings.rateFeed.lastError': lastError,
+      },
+    }
+  );
+
+// Auto publish kis naam se — shop banane wala, warna organization owner
+const publisherFor = async shop => {
+  if (shop.createdBy) return shop.createdBy;
+  const org = await Organization.findById(shop.organizationId).select('ownerId').lean();
+  return org?.ownerId || null;
+};
+
+// ─── Fetch ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetch + parse the feed once.
+ * @returns {{ provider, rateSource, reference, checksum, asOf, source, quotes }}
+ */
+export const fetchFeed = async providerName => {
+  const provider = getRateProvider(providerName);
+  const { content, format, reference } = await provider.fetch();
+  const feed = parseFeed(content, format);
+
+  return {
+    provider: provider.name,
+    rateSource: provider.rateSource || 'market',
+    reference,
+    checksum: crypto.createHash('sha1').update(content).digest('hex'),
+    ...feed,
+  };
+};
+
+// ─── Publish ───────────────────────────────────────────────────────────────────
+
+const publishDraft = async (draft, userId, { auto = false } = {}) => {
+  const { gold, silver, platinum } = draft.toObject();
+
+  const result = await createOrUpdateTodayRate(
+    draft.shopId,
+    {
+      gold,
+      silver,
+      platinum,
+      rateSource: draft.rateSource,
+      marketReference: { referenceSource: draft.feedSource || draft.reference },
+      notes: `From ${draft.provider} rate feed${draft.reference ? ` (${draft.reference})` : ''}`,
+    },
+    userId
+  );
+
+  draft.status = 'published';
+  draft.autoPublished = auto;
+  draft.publishedRateId = result.data._id;
+  draft.reviewedBy = userId;
+  draft.reviewedAt = new Date();
+  await draft.save();
+
+  return result.data;
+};
+
+/**
+ * Turn one fetched feed into a draft (and publish it on auto_publish) for a shop.
+ * @returns {{ status: 'draft_created'|'published'|'unchanged', draft?: MetalRateDraft }}
+ */
+export const importFeedForShop = async (shop, feed, { userId = null } = {}) => {
+  // Yahi feed is shop ke liye pehle aa chuka
+  if (await MetalRateDraft.exists({ shopId: shop._id, checksum: feed.checksum })) {
+    await setFeedStatus(shop._id, 'unchanged');
+    return { status: 'unchanged' };
+  }
+
+  const margins = marginsOf(shop);
+  const { market, ...rates } = buildRateData(feed.quotes, margins);
+
+  const current = await MetalRate.getCurrentRate(shop._id).lean();
+  if (sameRates(rates, current)) {
+    await setFeedStatus(shop._id, 'unchanged');
+    return { status: 'unchanged' };
+  }
+
+  // Purana pending draft ab kaam ka nahi
+  await MetalRateDraft.updateMany(
+    { shopId: shop._id, status: 'pending' },
+    { $set: { status: 'superseded' } }
+  );
+
+  const draft = await MetalRateDraft.create({
+    organizationId: shop.organizationId,
+    shopId: shop._id,
+    provider: feed.provider,
+    rateSource: feed.rateSource,
+    reference: feed.reference,
+    feedSource: feed.source,
+    checksum: feed.checksum,
+    asOf: feed.asOf,
+    quotes: feed.quotes,
+    market,
+    margins,
+    ...rates,
+  });
+
+  if (shop.settings?.rateFeed?.mode === 'auto_publish') {
+    const publisher = userId || (await publisherFor(shop));
+    if (!publisher) {
+      await setFeedStatus(shop._id, 'draft_created', 'No shop owner to publish the rate as');
+      return { status: 'draft_created', draft };
+    }
+
+    await publishDraft(draft, publisher, { auto: true });
+    await setFeedStatus(shop._id, 'published');
+    return { status: 'published', draft };
+  }
+
+  await setFeedStatus(shop._id, 'draft_created');
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId: shop.organizationId,
+    shopId: shop._id,
+    action: 'rate_draft_created',
+    module: 'metal_rate',
+    description: `Metal rate draft from ${feed.provider} feed awaiting approval`,
+    level: 'info',
+    metadata: { draftId: draft._id, reference: feed.reference },
+  });
+
+  return { status: 'draft_created', draft };
+};
+
+/**
+ * Scheduled run — every shop with the feed enabled. One fetch for all shops.
+ */
+export const runRateFeed = async () => {
+  const shops = await JewelryShop.find({
+    isActive: true,
+    deletedAt: null,
+    'settings.rateFeed.enabled': true,
+  })
+    .select('organizationId createdBy settings.rateFeed')
+    .lean();
+
+  const summary = { shops: shops.length, draftCreated: 0, published: 0, unchanged: 0, failed: 0 };
+  if (shops.length === 0) return summary;
+
+  let feed;
+  try {
+    feed = await fetchFeed();
+  } catch (error) {
+    await Promise.all(shops.map(shop => setFeedStatus(shop._id, 'failed', error.message)));
+    summary.failed = shops.length;
+    summary.error = error.message;
+    logger.error('Rate feed fetch failed:', error.message);
+    return summary;
+  }
+
+  for (const shop of shops) {
+    try {
+      const { status } = await importFeedForShop(shop, feed);
+      if (status === 'draft_created') summary.draftCreated++;
+      else if (status === 'published') summary.published++;
+      else summary.unchanged++;
+    } catch (error) {
+      summary.failed++;
+      await setFeedStatus(shop._id, 'failed', error.message);
+      logger.error('Rate feed import failed', { shopId: shop._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// ─── Shop API ──────────────────────────────────────────────────────────────────
+
+const findShop = async shopId => {
+  const shop = await JewelryShop.findOne({ _id: shopId, deletedAt: null })
+    .select('organizationId createdBy settings.rateFeed')
+    .lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+  return shop;
+};
+
+// Manual "fetch now" — shop ka mode hi follow hota hai
+export const fetchNow = async (shopId, userId) => {
+  const shop = await findShop(shopId);
+
+  let outcome;
+  try {
+    const feed = await fetchFeed();
+    outcome = await importFeedForShop(shop, feed, { userId });
+  } catch (error) {
+    await setFeedStatus(shopId, 'failed', error.message);
+    // Provider ki plain Error (folder / URL) — user ko 400 ke saath dikhao
+    throw error.statusCode ? error : new BadRequestError(`Rate feed failed: ${error.message}`);
+  }
+
+  const messages = {
+    unchanged: 'Feed rates match the current rate — nothing to do',
+    draft_created: 'Rate draft created — approve it to publish',
+    published: 'Feed rates published',
+  };
+
+  return { success: true, data: outcome, message: messages[outcome.status] };
+};
+
+export const getFeedSettings = async shopId => {
+  const shop = await findShop(shopId);
+  const pendingDraft = await MetalRateDraft.findOne({ shopId, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    success: true,
+    data: {
+      provider: process.env.RATE_FEED_PROVIDER || DEFAULT_PROVIDER,
+      ...plain(shop.settings?.rateFeed),
+      margins: marginsOf(shop),
+      pendingDraft,
+    },
+    message: 'Rate feed settings',
+  };
+};
+
+export const updateFeedSettings = async (shopId, { enabled, mode, margins }, userId) => {
+  const shop = await findShop(shopId);
+
+  const update = {};
+  if (enabled !== undefined) update['settings.rateFeed.enabled'] = enabled;
+  if (mode !== undefined) update['settings.rateFeed.mode'] = mode;
+  for (const metal of Object.keys(TARGETS)) {
+    for (const side of ['buyPercent', 'sellPercent']) {
+      const value = margins?.[metal]?.[side];
+      if (value !== undefined) update[`settings.rateFeed.margins.${metal}.${side}`] = value;
+    }
+  }
+
+  await JewelryShop.updateOne({ _id: shopId }, { $set: { ...update, updatedBy: userId } });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId: shop.organizationId,
+    shopId,
+    action: 'update',
+    module: 'metal_rate',
+    description: 'Rate feed settings updated',
+    level: 'info',
+    metadata: { changes: update },
+  });
+
+  return getFeedSettings(shopId);
+};
+
+export const getDrafts = async (shopId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  const query = { shopId };
+  if (filters.status) query.status = filters.status;
+
+  const [drafts, total] = await Promise.all([
+    MetalRateDraft.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('reviewedBy', 'firstName lastName')
+      .lean(),
+    MetalRateDraft.countDocuments(query),
+  ]);
+
+  return {
+    success: true,
+    data: drafts,
+    meta: { page, limit, total, pages: Math.ceil(total / limit) },
+    message: 'Rate drafts',
+  };
+};
+
+const findPendingDraft = async (shopId, draftId) => {
+  const draft = await MetalRateDraft.findOne({ _id: draftId, shopId });
+  if (!draft) throw new NotFoundError('Rate draft not found');
+  if (draft.status !== 'pending') throw new ConflictError(`Rate draft is already ${draft.status}`);
+  return draft;
+};
+
+export const approveDraft = async (shopId, draftId, userId) => {
+  const draft = await findPendingDraft(shopId, draftId);
+  const metalRate = await publishDraft(draft, userId);
+  await setFeedStatus(shopId, 'published');
+
+  return {
+    success: true,
+    data: { draft, metalRate },
+    message: 'Rate draft approved and published',
+  };
+};
+
+export const rejectDraft = async (shopId, draftId, reason, userId) => {
+  const draft = await findPendingDraft(shopId, draftId);
+
+  draft.status = 'rejected';
+  draft.rejectionReason = reason;
+  draft.reviewedBy = userId;
+  draft.reviewedAt = new Date();
+  await draft.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId: draft.organizationId,
+    shopId,
+    action: 'rate_draft_rejected',
+    module: 'metal_rate',
+    description: 'Metal rate draft rejected',
+    level: 'info',
+    metadata: { draftId: draft._id, reason },
+  });
+
+  return { success: true, data: draft, message: 'Rate draft rejected' };
+};
+
+export default {
+  fetchFeed,
+  importFeedForShop,
+  runRateFeed,
+  fetchNow,
+  getFeedSettings,
+  updateFeedSettings,
+  getDrafts,
+  approveDraft,
+  rejectDraft,
+};
@@ -1,11 +1,22 @@
 // FILE: middlewares/auth.js
 
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../../models/User.js';
 import Organization from '../../models/Organization.js';
+import JewelryShop from '../../models/Shop.js';
 import cache from '../../utils/cache.js';
+import {
+  ACCESS_MODES,
+  accessModeOf,
+  accessMessage,
+  featureAccess,
+} from '../../subscription/entitlements.js';
 import { sendUnauthorized, sendForbidden } from '../../utils/sendResponse.js';
 
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Blocked org bhi apna plan / usage dekh sake — renew screen isi pe chalti hai
+const SUBSCRIPTION_STATUS_URL = /^\/api\/v1\/organizations\/[a-f\d]{24}\/subscription\/?(\?|$)/i;
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -47,9 +58,22 @@ export const authenticate = async (req, res, next) => {
         return sendUnauthorized(res, 'Organization is inactive');
       }
 
-      if (!organization.isSubscriptionActive() && !organization.isTrialActive()) {
-        return sendUnauthorized(res, 'Organization subscription has expired');
+      const access = accessModeOf(organization);
+      const isStatusCheck = req.method === 'GET' && SUBSCRIPTION_STATUS_URL.test(req.originalUrl);
+      if (access.mode === ACCESS_MODES.BLOCKED && !isStatusCheck) {
+        return sendForbidden(res, accessMessage(access));
       }
+
+      // Grace period — GET chalega, koi write nahi (logout / password change chhod ke)
+      if (
+        access.mode === ACCESS_MODES.READ_ONLY &&
+        !SAFE_METHODS.includes(req.method) &&
+        !req.originalUrl.startsWith('/api/v1/auth/')
+      ) {
+        return sendForbidden(res, accessMessage(access));
+      }
+
+      req.subscriptionAccess = access;
     }
 
     req.user = user;
@@ -118,20 +142,42 @@ export const requireEmailVerification = (req, res, next) => {
   next();
 };
 
+// Plan (Organization.subscription.features) aur shop toggle (JewelryShop.features) dono
+// dekhta hai. Shop-scoped routers me router.use(authenticate) ke baad lagao.
 export const requireFeature = featureName => {
   return async (req, res, next) => {
-    if (!req.organization) {
-      return sendForbidden(res, 'Organization information not found');
-    }
+    try {
+      if (req.user?.role === 'super_admin') return next();
 
-    if (!req.organization.subscription.features[featureName]) {
-      return sendForbidden(
-        res,
-        `This feature is not available in your current plan. Please upgrade to access ${featureName}.`
-      );
-    }
+      if (!req.organization) {
+        return sendForbidden(res, 'Organization information not found');
+      }
 
-    next();
+      const { shopId } = req.params;
+      const shop =
+        req.shop ||
+        (shopId && mongoose.Types.ObjectId.isValid(shopId)
+          ? await JewelryShop.findById(shopId).select('features').lean()
+          : null);
+
+      const { enabled, blockedBy } = featureAccess(featureName, {
+        organization: req.organization,
+        shop,
+      });
+
+      if (!enabled) {
+        return sendForbidden(
+          res,
+          blockedBy === 'shop'
+            ? `${featureName} is turned off for this shop. Enable it in shop settings.`
+            : `This feature is not available in your current plan. Please upgrade to access ${featureName}.`
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
@@ -0,0 +1,55 @@
+// FILE: src/api/notification/notification.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as notificationService from './notification.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+
+/**
+  GET /api/v1/shops/:shopId/notifications
+ */
+export const getNotifications = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await notificationService.getNotifications(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.data,
+    result.pagination.currentPage,
+    result.pagination.limit,
+    result.pagination.totalDocs,
+    'Notifications fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/notifications/:notificationId
+ */
+export const getNotification = catchAsync(async (req, res) => {
+  const { shopId, notificationId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const notification = await notificationService.getNotificationById(
+    shopId,
+    notificationId,
+    organizationId
+  );
+
+  sendSuccess(res, 200, 'Notification fetched successfully', notification);
+});
+
+/**
+  POST /api/v1/shops/:shopId/notifications/:notificationId/retry
+ */
+export const retryNotification = catchAsync(async (req, res) => {
+  const { shopId, notificationId } = req.params;
+
+  const notification = await notificationService.retryNotification(shopId, notificationId);
+
+  const message =
+    notification.status === 'sent'
+      ? 'Notification sent successfully'
+      : `Notification failed again: ${notification.failureReason}`;
+
+  sendSuccess(res, 200, message, notification);
+});
@@ -0,0 +1,62 @@
+// FILE: src/api/notification/notification.routes.js
+// Mounted at: /api/v1/shops/:shopId/notifications
+// Delivery log of invoices / receipts / reminders sent over email, WhatsApp and SMS.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as notificationController from './notification.controller.js';
+import * as notificationValidation from './notification.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/notifications
+ * @desc    Delivery log (filters: channel, type, status, referenceId, recipient, dates)
+ * @access  Private
+ */
+router.get(
+  '/',
+  notificationValidation.getNotifications,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_SALES),
+  apiRateLimiter,
+  notificationController.getNotifications
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/notifications/:notificationId
+ * @desc    Single delivery with attempts and failure reason
+ * @access  Private
+ */
+router.get(
+  '/:notificationId',
+  notificationValidation.getNotification,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_SALES),
+  apiRateLimiter,
+  notificationController.getNotification
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/notifications/:notificationId/retry
+ * @desc    Resend a failed / pending notification now
+ * @access  Private
+ */
+router.post(
+  '/:notificationId/retry',
+  notificationValidation.retryNotification,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.SEND_REMINDERS),
+  apiRateLimiter,
+  notificationController.retryNotification
+);
+
+export default router;
@@ -0,0 +1,54 @@
+// FILE: src/api/notification/notification.service.js
+import NotificationLog from '../../models/NotificationLog.js';
+import { NotFoundError } from '../../utils/AppError.js';
+import { paginate } from '../../utils/pagination.js';
+import { retryNotification as retryDispatch, toSummary } from '../../notifications/dispatcher.js';
+
+// ─── Queries ───────────────────────────────────────────────────────────────────
+
+export const getNotifications = (shopId, organizationId, filters = {}) => {
+  const query = { shopId, organizationId };
+
+  if (filters.channel) query.channel = filters.channel;
+  if (filters.type) query.type = filters.type;
+  if (filters.status) query.status = filters.status;
+  if (filters.referenceId) query['reference.referenceId'] = filters.referenceId;
+  if (filters.recipient) query.recipient = new RegExp(filters.recipient, 'i');
+
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = endDate;
+    }
+  }
+
+  return paginate(NotificationLog, query, {
+    page: parseInt(filters.page) || 1,
+    limit: parseInt(filters.limit) || 20,
+    sort: '-createdAt',
+    populate: [{ path: 'triggeredBy', select: 'firstName lastName' }],
+  });
+};
+
+export const getNotificationById = async (shopId, notificationId, organizationId) => {
+  const notification = await NotificationLog.findOne({
+    _id: notificationId,
+    shopId,
+    organizationId,
+  })
+    .populate('triggeredBy', 'firstName lastName')
+    .lean();
+
+  if (!notification) throw new NotFoundError('Notification not found');
+  return notification;
+};
+
+// ─── Retry ─────────────────────────────────────────────────────────────────────
+
+export const retryNotification = async (shopId, notificationId) => {
+  const notification = await retryDispatch(notificationId, shopId);
+  return toSummary(notification);
+};
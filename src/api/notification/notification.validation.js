@@ -0,0 +1,55 @@
+// FILE: src/api/notification/notification.validation.js
+import { param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const notificationId = param('notificationId')
+  .isMongoId()
+  .withMessage('Invalid notification ID format');
+
+export const getNotifications = [
+  shopId,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('channel')
+    .optional()
+    .isIn(['email', 'sms', 'whatsapp'])
+    .withMessage('Channel must be email, sms or whatsapp'),
+  query('type')
+    .optional()
+    .isIn([
+      'sale_invoice',
+      'sale_receipt',
+      'purchase_voucher',
+      'payment_reminder',
+      'scheme_reminder',
+      'scheme_missed_installment',
+      'scheme_enrollment',
+      'scheme_maturity',
+      'scheme_redemption',
+    ])
+    .withMessage('Invalid notification type'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'sent', 'failed'])
+    .withMessage('Status must be pending, sent or failed'),
+  query('referenceId').optional().isMongoId().withMessage('Invalid reference ID'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  validate,
+];
+
+export const getNotification = [shopId, notificationId, validate];
+
+export const retryNotification = [shopId, notificationId, validate];
@@ -0,0 +1,143 @@
+// FILE: src/api/old-gold/oldGold.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as oldGoldService from './oldGold.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+
+/**
+  GET /api/v1/shops/:shopId/old-gold
+ */
+export const getLots = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await oldGoldService.getLots(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.lots,
+    result.page,
+    result.limit,
+    result.total,
+    'Old gold lots fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/old-gold/summary
+ */
+export const getSummary = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const summary = await oldGoldService.getSummary(shopId, organizationId);
+
+  sendSuccess(res, 200, 'Old gold summary fetched successfully', summary);
+});
+
+/**
+  GET /api/v1/shops/:shopId/old-gold/:lotId
+ */
+export const getLot = catchAsync(async (req, res) => {
+  const { shopId, lotId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const lot = await oldGoldService.getLotById(shopId, lotId, organizationId);
+
+  sendSuccess(res, 200, 'Old gold lot fetched successfully', lot);
+});
+
+/**
+  PATCH /api/v1/shops/:shopId/old-gold/:lotId/test
+ */
+export const testLot = catchAsync(async (req, res) => {
+  const { shopId, lotId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const lot = await oldGoldService.testLot(shopId, lotId, organizationId, req.body, req.user._id);
+
+  sendSuccess(res, 200, 'Old gold lot tested successfully', lot);
+});
+
+/**
+  POST /api/v1/shops/:shopId/old-gold/refining
+ */
+export const createRefiningBatch = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const batch = await oldGoldService.createRefiningBatch(
+    shopId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Old gold sent for refining successfully', batch);
+});
+
+/**
+  GET /api/v1/shops/:shopId/old-gold/refining
+ */
+export const getRefiningBatches = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await oldGoldService.getRefiningBatches(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.batches,
+    result.page,
+    result.limit,
+    result.total,
+    'Refining batches fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/old-gold/refining/:batchId
+ */
+export const getRefiningBatch = catchAsync(async (req, res) => {
+  const { shopId, batchId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const batch = await oldGoldService.getRefiningBatchById(shopId, batchId, organizationId);
+
+  sendSuccess(res, 200, 'Refining batch fetched successfully', batch);
+});
+
+/**
+  POST /api/v1/shops/:shopId/old-gold/refining/:batchId/return
+ */
+export const receiveRefiningReturn = catchAsync(async (req, res) => {
+  const { shopId, batchId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const batch = await oldGoldService.receiveRefiningReturn(
+    shopId,
+    batchId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Refined metal received successfully', batch);
+});
+
+/**
+  POST /api/v1/shops/:shopId/old-gold/refining/:batchId/cancel
+ */
+export const cancelRefiningBatch = catchAsync(async (req, res) => {
+  const { shopId, batchId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const batch = await oldGoldService.cancelRefiningBatch(
+    shopId,
+    batchId,
+    organizationId,
+    req.body.reason,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Refining batch cancelled successfully', batch);
+});
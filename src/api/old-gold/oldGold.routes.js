@@ -0,0 +1,157 @@
+// FILE: src/api/old-gold/oldGold.routes.js
+// Mounted at: /api/v1/shops/:shopId/old-gold
+// Lots khud nahi bante — sale exchange (addOldGold) aur old_gold purchase se aate hain.
+// Counter pe test staff bhi karta hai (ADD_OLD_GOLD); refiner ko bhejna / wapas lena
+// MANAGE_OLD_GOLD pe hai kyunki wahi metal stock me jaata hai.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as oldGoldController from './oldGold.controller.js';
+import * as oldGoldValidation from './oldGold.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'];
+const MANAGE_ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager'];
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/old-gold
+ * @desc    List old gold lots (filters: status, metalType, sourceType, dates)
+ * @access  Private
+ */
+router.get(
+  '/',
+  oldGoldValidation.getLots,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  oldGoldController.getLots
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/old-gold/summary
+ * @desc    Metal wise weights in stock / at refiner, and refined metal stock balance
+ * @access  Private
+ */
+router.get(
+  '/summary',
+  oldGoldValidation.getSummary,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  oldGoldController.getSummary
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/old-gold/refining
+ * @desc    Send in-stock lots to a refiner (supplier) for melting or refining
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/refining',
+  oldGoldValidation.createRefiningBatch,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_OLD_GOLD),
+  apiRateLimiter,
+  oldGoldController.createRefiningBatch
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/old-gold/refining
+ * @desc    List refining batches (filters: status, refinerId, metalType)
+ * @access  Private
+ */
+router.get(
+  '/refining',
+  oldGoldValidation.getRefiningBatches,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  oldGoldController.getRefiningBatches
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/old-gold/refining/:batchId
+ * @desc    Refining batch with lots, returned metal and loss
+ * @access  Private
+ */
+router.get(
+  '/refining/:batchId',
+  oldGoldValidation.getRefiningBatch,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  oldGoldController.getRefiningBatch
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/old-gold/refining/:batchId/return
+ * @desc    Record metal returned by the refiner — fine goes into metal stock, loss recorded
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/refining/:batchId/return',
+  oldGoldValidation.receiveRefiningReturn,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_OLD_GOLD),
+  apiRateLimiter,
+  oldGoldController.receiveRefiningReturn
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/old-gold/refining/:batchId/cancel
+ * @desc    Cancel a batch not yet returned — lots go back in stock
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/refining/:batchId/cancel',
+  oldGoldValidation.cancelRefiningBatch,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_OLD_GOLD),
+  apiRateLimiter,
+  oldGoldController.cancelRefiningBatch
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/old-gold/:lotId
+ * @desc    Single lot with source, test details and refining batch
+ * @access  Private
+ */
+router.get(
+  '/:lotId',
+  oldGoldValidation.getLot,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  oldGoldController.getLot
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/old-gold/:lotId/test
+ * @desc    Record tested purity (touchstone / XRF / fire assay) for an in-stock lot
+ * @access  Private
+ */
+router.patch(
+  '/:lotId/test',
+  oldGoldValidation.testLot,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.ADD_OLD_GOLD),
+  apiRateLimiter,
+  oldGoldController.testLot
+);
+
+export default router;
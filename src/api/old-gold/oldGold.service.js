@@ -0,0 +1,777 @@
+// FILE: src/api/old-gold/oldGold.service.js
+// Old gold inventory. Sale exchange aur old_gold purchase se aaya maal lot ban ke yahan
+// aata hai — tested purity, deduction (settings.oldGoldDeductionPercentage) aur expected
+// fine ke saath. Lots refiner ko melting / refining ke liye jaate hain; wapas aaya fine
+// metal MetalStockTransaction me 'in' hota hai aur expected se farak loss hai.
+
+import mongoose from 'mongoose';
+import OldGold from '../../models/OldGold.js';
+import RefiningBatch from '../../models/RefiningBatch.js';
+import MetalStockTransaction from '../../models/MetalStockTransaction.js';
+import MetalLedger from '../../models/MetalLedger.js';
+import Supplier from '../../models/Supplier.js';
+import JewelryShop from '../../models/Shop.js';
+import { finenessOf } from '../../rate-feed/convert.js';
+import { NotFoundError, BadRequestError, ValidationError } from '../../utils/AppError.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// ─── Calculations ──────────────────────────────────────────────────────────────
+
+/**
+ * Declared purity ("22K", "91.6", "916") → fine percentage. Samajh na aaye to null.
+ */
+export const purityPercentOf = purity => {
+  if (purity === null || purity === undefined || purity === '') return null;
+  const fineness = finenessOf(purity);
+  return fineness ? round2(fineness / 10) : null;
+};
+
+/**
+ * Ek lot ke weights aur value. Deduction sirf payable weight (value) pe lagta hai —
+ * fineWeight lot me asli pada metal hai, refining loss usi se napte hain.
+ * @param {Object} item - { grossWeight, stoneWeight, purity, testedPurity, deductionPercentage, ratePerGram }
+ */
+export const computeLot = ({
+  grossWeight,
+  stoneWeight = 0,
+  purity,
+  testedPurity,
+  deductionPercentage = 0,
+  ratePerGram = 0,
+}) => {
+  const tested = testedPurity ?? purityPercentOf(purity);
+  if (tested === null || tested === undefined) {
+    throw new ValidationError(
+      `Purity "${purity}" not understood — send testedPurity as a percentage`
+    );
+  }
+
+  const netWeight = round3(Math.max(0, grossWeight - (stoneWeight || 0)));
+  const deductionWeight = round3((netWeight * deductionPercentage) / 100);
+  const payableWeight = round3(netWeight - deductionWeight);
+
+  return {
+    testedPurity: tested,
+    netWeight,
+    deductionPercentage,
+    deductionWeight,
+    payableWeight,
+    fineWeight: round3((netWeight * tested) / 100),
+    value: round2(payableWeight * ratePerGram),
+  };
+};
+
+/**
+ * Refiner se wapas aaya metal. Melting me bar ka weight + purity, refining me seedha fine.
+ * @returns {{ fineWeight: number, lossWeight: number, lossPercentage: number }}
+ */
+export const computeRefiningReturn = ({ expectedFineWeight, weight, purity }) => {
+  const fineWeight = round3((weight * purity) / 100);
+  const lossWeight = round3(expectedFineWeight - fineWeight);
+
+  return {
+    fineWeight,
+    lossWeight,
+    lossPercentage: expectedFineWeight ? round2((lossWeight / expectedFineWeight) * 100) : 0,
+  };
+};
+
+/**
+ * Wapas aaya fine lots me unke expected fine ke hisaab se — aakhri lot rounding ka farak leta hai.
+ * @returns {number[]} lots ke order me
+ */
+export const allocateRefinedFine = (lots, returnedFine) => {
+  const expected = lots.reduce((sum, lot) => sum + lot.fineWeight, 0);
+  if (!expected) return lots.map(() => 0);
+
+  let allotted = 0;
+  return lots.map((lot, index) => {
+    if (index === lots.length - 1) return round3(returnedFine - allotted);
+    const share = round3((returnedFine * lot.fineWeight) / expected);
+    allotted += share;
+    return share;
+  });
+};
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const withSession = session => (session ? { session } : {});
+
+const loadBatch = async (shopId, batchId, organizationId, session = null) => {
+  const batch = await RefiningBatch.findOne({
+    _id: batchId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).session(session);
+  if (!batch) throw new NotFoundError('Refining batch not found');
+  return batch;
+};
+
+const assertBatchStatus = (batch, status, action) => {
+  if (batch.status !== status) {
+    throw new BadRequestError(`Cannot ${action} a refining batch that is ${batch.status}`);
+  }
+};
+
+// ─── Receiving ─────────────────────────────────────────────────────────────────
+
+/**
+ * Lots banao — sale exchange aur old_gold purchase dono yahi use karte hain.
+ * Deduction item pe na ho to shop ka oldGoldDeductionPercentage.
+ * @param {Object} options
+ * @param {Array} options.items - { metalType, purity, testedPurity, testMethod, grossWeight, stoneWeight, deductionPercentage, ratePerGram, value?, description, itemId? }
+ * @returns {Promise<Array>} created lots (items ke order me)
+ */
+export const receiveLots = async ({
+  organizationId,
+  shopId,
+  source,
+  party,
+  items,
+  deductionPercentage = 0,
+  userId,
+  session = null,
+}) => {
+  if (!items.length) return [];
+
+  const lotNumbers = await OldGold.generateLotNumbers(shopId, items.length, 'OG', session);
+
+  const docs = items.map((item, index) => {
+    const calc = computeLot({
+      ...item,
+      deductionPercentage: item.deductionPercentage ?? deductionPercentage,
+    });
+
+    return {
+      organizationId,
+      shopId,
+      lotNumber: lotNumbers[index],
+      source: { ...source, itemId: item.itemId || null },
+      party,
+      metalType: item.metalType,
+      description: item.description,
+      purity: item.purity,
+      ...calc,
+      // Purchase bill pe value pehle se tay hai
+      value: item.value ?? calc.value,
+      testMethod: item.testMethod || 'declared',
+      testedAt: item.testMethod && item.testMethod !== 'declared' ? new Date() : undefined,
+      testedBy: item.testMethod && item.testMethod !== 'declared' ? userId : undefined,
+      grossWeight: item.grossWeight,
+      stoneWeight: item.stoneWeight || 0,
+      ratePerGram: item.ratePerGram || 0,
+      receivedBy: userId,
+    };
+  });
+
+  return OldGold.create(docs, session ? { session, ordered: true } : {});
+};
+
+/**
+ * Source (sale / purchase) ke lots cancel. strict me koi lot refiner ke paas ja chuka ho
+ * to error — sale se old gold hatate waqt. Listener (bill cancel) me sirf warn.
+ * @returns {Promise<number>} cancelled lots
+ */
+export const cancelSourceLots = async ({
+  shopId,
+  referenceId,
+  userId,
+  reason,
+  strict = false,
+  session = null,
+}) => {
+  const lots = await OldGold.find({
+    shopId,
+    'source.referenceId': referenceId,
+    status: { $ne: 'cancelled' },
+    deletedAt: null,
+  }).session(session);
+
+  const moved = lots.filter(lot => lot.status !== 'in_stock');
+  if (moved.length) {
+    const numbers = moved.map(lot => lot.lotNumber).join(', ');
+    if (strict) {
+      throw new BadRequestError(`Old gold lots already sent for refining: ${numbers}`);
+    }
+    logger.warn('Source cancelled after old gold went for refining', {
+      referenceId,
+      lots: numbers,
+    });
+  }
+
+  const open = lots.filter(lot => lot.status === 'in_stock');
+  if (!open.length) return 0;
+
+  await OldGold.updateMany(
+    { _id: { $in: open.map(lot => lot._id) } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellation: { cancelledAt: new Date(), cancelledBy: userId, reason },
+      },
+    },
+    withSession(session)
+  );
+  return open.length;
+};
+
+/**
+ * Sale ke oldGoldExchange items → lots. Pehle wale (is sale ke) in_stock lots cancel,
+ * phir naye — addOldGold dobara call ho to bhi ek hi set rehta hai.
+ * Sale items pe lot id / calculated weights wapas likhta hai (save caller karta hai).
+ */
+export const syncSaleExchange = async ({ sale, deductionPercentage, userId, session = null }) => {
+  await cancelSourceLots({
+    shopId: sale.shopId,
+    referenceId: sale._id,
+    userId,
+    reason: 'Old gold exchange replaced',
+    strict: true,
+    session,
+  });
+
+  const items = sale.oldGoldExchange?.hasExchange ? sale.oldGoldExchange.items : [];
+  const lots = await receiveLots({
+    organizationId: sale.organizationId,
+    shopId: sale.shopId,
+    source: {
+      type: 'sale_exchange',
+      referenceId: sale._id,
+      referenceNumber: sale.invoiceNumber,
+    },
+    party: {
+      partyType: 'customer',
+      partyId: sale.customerId,
+      name: sale.customerDetails?.customerName,
+    },
+    items: items.map(item => ({
+      itemId: item._id,
+      metalType: item.metalType,
+      purity: item.purity,
+      testedPurity: item.testedPurity,
+      testMethod: item.testMethod,
+      grossWeight: item.grossWeight,
+      stoneWeight: item.stoneWeight,
+      deductionPercentage: item.deductionPercentage,
+      ratePerGram: item.ratePerGram,
+      value: item.totalValue,
+      description: item.description,
+    })),
+    deductionPercentage,
+    userId,
+    session,
+  });
+
+  lots.forEach((lot, index) => {
+    items[index].oldGoldId = lot._id;
+  });
+  return lots;
+};
+
+/**
+ * old_gold purchase ke items → lots (supplier se scrap). Listener se chalta hai.
+ */
+export const receivePurchaseLots = async ({ purchase, userId, session = null }) => {
+  // Outbox retry pe dobara na bane
+  const existing = await OldGold.find({
+    shopId: purchase.shopId,
+    'source.referenceId': purchase._id,
+  }).session(session);
+  if (existing.length) return existing;
+
+  const shop = await JewelryShop.findById(purchase.shopId)
+    .select('settings.oldGoldDeductionPercentage')
+    .session(session)
+    .lean();
+
+  return receiveLots({
+    organizationId: purchase.organizationId,
+    shopId: purchase.shopId,
+    source: {
+      type: 'purchase',
+      referenceId: purchase._id,
+      referenceNumber: purchase.purchaseNumber,
+    },
+    party: {
+      partyType: 'supplier',
+      partyId: purchase.supplierId,
+      name: purchase.supplierDetails?.supplierName,
+    },
+    items: purchase.items.map(item => ({
+      itemId: item._id,
+      metalType: item.metalType,
+      purity: item.purity,
+      testedPurity: item.purityPercentage || undefined,
+      grossWeight: item.grossWeight,
+      stoneWeight: item.stoneWeight,
+      ratePerGram: item.ratePerGram,
+      value: item.itemTotal,
+      description: item.productName,
+    })),
+    deductionPercentage: shop?.settings?.oldGoldDeductionPercentage || 0,
+    userId,
+    session,
+  });
+};
+
+// ─── Testing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Counter pe tunch / XRF ke baad purity (aur chahe to deduction) update — sirf in_stock lot.
+ * Value recalculate hoti hai; bill pe jo value gayi woh nahi badalti.
+ */
+export const testLot = async (shopId, lotId, organizationId, data, userId) => {
+  const lot = await OldGold.findOne({ _id: lotId, shopId, organizationId, deletedAt: null });
+  if (!lot) throw new NotFoundError('Old gold lot not found');
+  if (lot.status !== 'in_stock') {
+    throw new BadRequestError(`Cannot test a lot that is ${lot.status}`);
+  }
+
+  const previous = { testedPurity: lot.testedPurity, fineWeight: lot.fineWeight };
+  const calc = computeLot({
+    grossWeight: lot.grossWeight,
+    stoneWeight: data.stoneWeight ?? lot.stoneWeight,
+    testedPurity: data.testedPurity,
+    deductionPercentage: data.deductionPercentage ?? lot.deductionPercentage,
+    ratePerGram: lot.ratePerGram,
+  });
+
+  Object.assign(lot, calc, {
+    stoneWeight: data.stoneWeight ?? lot.stoneWeight,
+    value: lot.value,
+    testMethod: data.testMethod,
+    testedAt: new Date(),
+    testedBy: userId,
+  });
+  await lot.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'update',
+    module: 'old_gold',
+    description: `Tested ${lot.lotNumber}: ${previous.testedPurity}% → ${lot.testedPurity}% (${data.testMethod})`,
+    level: 'info',
+    status: 'success',
+    metadata: { lotId: lot._id, previous, fineWeight: lot.fineWeight },
+  });
+
+  return lot;
+};
+
+// ─── Refining ──────────────────────────────────────────────────────────────────
+
+/**
+ * Lots refiner ko. Sab lots in_stock aur ek hi metal ke hon. Refiner (supplier) ke
+ * upar expected fine MetalLedger me 'given' / they_owe.
+ * @param {Object} data - { refinerId, processType, lotIds, notes }
+ */
+export const createRefiningBatch = async (shopId, organizationId, data, userId) => {
+  const refiner = await Supplier.findOne({
+    _id: data.refinerId,
+    organizationId,
+    deletedAt: null,
+  }).lean();
+  if (!refiner) throw new NotFoundError('Refiner not found');
+
+  const batch = await runInTransaction(async session => {
+    const lotIds = [...new Set(data.lotIds.map(String))];
+    const lots = await OldGold.find({
+      _id: { $in: lotIds },
+      shopId,
+      organizationId,
+      deletedAt: null,
+    })
+      .sort({ lotNumber: 1 })
+      .session(session);
+
+    if (lots.length !== lotIds.length) throw new NotFoundError('Some old gold lots were not found');
+
+    const notInStock = lots.filter(lot => lot.status !== 'in_stock');
+    if (notInStock.length) {
+      throw new BadRequestError(
+        `Lots not in stock: ${notInStock.map(lot => `${lot.lotNumber} (${lot.status})`).join(', ')}`
+      );
+    }
+
+    const metals = [...new Set(lots.map(lot => lot.metalType))];
+    if (metals.length > 1) {
+      throw new BadRequestError('All lots in a refining batch must be of the same metal');
+    }
+
+    const sent = lots.reduce(
+      (sum, lot) => ({
+        grossWeight: sum.grossWeight + lot.grossWeight,
+        netWeight: sum.netWeight + lot.netWeight,
+        fineWeight: sum.fineWeight + lot.fineWeight,
+      }),
+      { grossWeight: 0, netWeight: 0, fineWeight: 0 }
+    );
+
+    const batchNumber = await RefiningBatch.generateBatchNumber(shopId, 'RF', session);
+
+    const [ledgerEntry] = await MetalLedger.create(
+      [
+        {
+          organizationId,
+          shopId,
+          partyType: 'supplier',
+          partyId: refiner._id,
+          partyModel: 'Supplier',
+          partyName: refiner.businessName,
+          metalType: metals[0],
+          entryType: 'given',
+          weight: round3(sent.fineWeight),
+          referenceType: 'refining',
+          referenceNumber: batchNumber,
+          direction: 'they_owe',
+          notes: `${lots.length} old gold lots sent for ${data.processType || 'refining'}`,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    const [batch] = await RefiningBatch.create(
+      [
+        {
+          organizationId,
+          shopId,
+          batchNumber,
+          processType: data.processType || 'refining',
+          metalType: metals[0],
+          refinerId: refiner._id,
+          refinerDetails: { name: refiner.businessName, code: refiner.supplierCode },
+          lots: lots.map(lot => ({
+            oldGoldId: lot._id,
+            lotNumber: lot.lotNumber,
+            grossWeight: lot.grossWeight,
+            netWeight: lot.netWeight,
+            testedPurity: lot.testedPurity,
+            fineWeight: lot.fineWeight,
+          })),
+          sent: {
+            grossWeight: round3(sent.grossWeight),
+            netWeight: round3(sent.netWeight),
+            fineWeight: round3(sent.fineWeight),
+            sentBy: userId,
+          },
+          metalLedgerEntryId: ledgerEntry._id,
+          notes: data.notes,
+        },
+      ],
+      { session }
+    );
+
+    ledgerEntry.referenceId = batch._id;
+    await ledgerEntry.save({ session });
+
+    await OldGold.updateMany(
+      { _id: { $in: lots.map(lot => lot._id) } },
+      { $set: { status: 'sent_for_refining', refiningBatchId: batch._id } },
+      { session }
+    );
+
+    return batch;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'old_gold',
+    description: `Sent ${batch.lots.length} lots (${batch.sent.fineWeight}g fine) to ${refiner.businessName} via ${batch.batchNumber}`,
+    level: 'info',
+    status: 'success',
+    metadata: { batchId: batch._id, processType: batch.processType },
+  });
+
+  return batch;
+};
+
+/**
+ * Refiner se metal wapas. weight + purity se fine; loss = expected - fine (minus bhi ho
+ * sakta hai agar test kam aaya tha). Fine metal stock me 'in', ledger entry settle.
+ * @param {Object} data - { weight, purity, charges, refinerReference, notes }
+ */
+export const receiveRefiningReturn = async (shopId, batchId, organizationId, data, userId) => {
+  const batch = await runInTransaction(async session => {
+    const batch = await loadBatch(shopId, batchId, organizationId, session);
+    assertBatchStatus(batch, 'sent', 'receive');
+
+    const result = computeRefiningReturn({
+      expectedFineWeight: batch.sent.fineWeight,
+      weight: data.weight,
+      purity: data.purity,
+    });
+    if (result.fineWeight <= 0)
+      throw new ValidationError('Returned fine weight must be greater than 0');
+
+    batch.returned = {
+      weight: data.weight,
+      purity: data.purity,
+      fineWeight: result.fineWeight,
+      charges: data.charges || 0,
+      refinerReference: data.refinerReference,
+      returnedAt: new Date(),
+      receivedBy: userId,
+    };
+    batch.lossWeight = result.lossWeight;
+    batch.lossPercentage = result.lossPercentage;
+    batch.status = 'returned';
+    if (data.notes) batch.notes = [batch.notes, data.notes].filter(Boolean).join('\n');
+    await batch.save({ session });
+
+    const shares = allocateRefinedFine(batch.lots, result.fineWeight);
+    for (const [index, lot] of batch.lots.entries()) {
+      await OldGold.updateOne(
+        { _id: lot.oldGoldId },
+        { $set: { status: 'refined', refinedFineWeight: shares[index] } },
+        { session }
+      );
+    }
+
+    await MetalStockTransaction.create(
+      [
+        {
+          organizationId,
+          shopId,
+          metalType: batch.metalType,
+          direction: 'in',
+          fineWeight: result.fineWeight,
+          grossWeight: data.weight,
+          purity: data.purity,
+          source: {
+            type: batch.processType,
+            referenceId: batch._id,
+            referenceNumber: batch.batchNumber,
+          },
+          notes: `${batch.processType === 'melting' ? 'Melted' : 'Refined'} by ${batch.refinerDetails?.name}, loss ${result.lossWeight}g`,
+          performedBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    // Refiner ne metal lauta diya — loss bhi isi me khatam, hisaab band
+    const ledgerEntry = await MetalLedger.findById(batch.metalLedgerEntryId).session(session);
+    if (ledgerEntry) {
+      ledgerEntry.settlement = {
+        settledWeight: ledgerEntry.weight,
+        rateAtSettlement: 0,
+        settledAmount: 0,
+        settlementDate: new Date(),
+        settlementMode: 'metal_exchange',
+      };
+      ledgerEntry.notes =
+        `${ledgerEntry.notes || ''} | Returned ${result.fineWeight}g fine, loss ${result.lossWeight}g`.slice(
+          0,
+          500
+        );
+      ledgerEntry.updatedBy = userId;
+      await ledgerEntry.save({ session });
+    }
+
+    return batch;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'update',
+    module: 'old_gold',
+    description: `Received ${batch.returned.fineWeight}g fine against ${batch.batchNumber} (loss ${batch.lossWeight}g, ${batch.lossPercentage}%)`,
+    level: batch.lossPercentage > 2 ? 'warn' : 'info',
+    status: 'success',
+    metadata: { batchId: batch._id, lossWeight: batch.lossWeight, charges: batch.returned.charges },
+  });
+
+  return batch;
+};
+
+/**
+ * Bheja hi nahi / refiner ne lauta diya bina process kiye — lots wapas in_stock,
+ * ledger entry hata do.
+ */
+export const cancelRefiningBatch = async (shopId, batchId, organizationId, reason, userId) => {
+  const batch = await runInTransaction(async session => {
+    const batch = await loadBatch(shopId, batchId, organizationId, session);
+    assertBatchStatus(batch, 'sent', 'cancel');
+
+    batch.status = 'cancelled';
+    batch.cancellation = { cancelledAt: new Date(), cancelledBy: userId, reason };
+    await batch.save({ session });
+
+    await OldGold.updateMany(
+      { _id: { $in: batch.lots.map(lot => lot.oldGoldId) } },
+      { $set: { status: 'in_stock', refiningBatchId: null } },
+      { session }
+    );
+
+    await MetalLedger.updateOne(
+      { _id: batch.metalLedgerEntryId },
+      { $set: { deletedAt: new Date(), updatedBy: userId } },
+      { session }
+    );
+
+    return batch;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'cancel',
+    module: 'old_gold',
+    description: `Cancelled refining batch ${batch.batchNumber}: ${reason}`,
+    level: 'info',
+    status: 'success',
+    metadata: { batchId: batch._id },
+  });
+
+  return batch;
+};
+
+// ─── Reads ─────────────────────────────────────────────────────────────────────
+
+export const getLots = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.status) query.status = filters.status;
+  if (filters.metalType) query.metalType = filters.metalType;
+  if (filters.sourceType) query['source.type'] = filters.sourceType;
+
+  if (filters.startDate || filters.endDate) {
+    query.receivedAt = {};
+    if (filters.startDate) query.receivedAt.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.receivedAt.$lte = endDate;
+    }
+  }
+
+  const [lots, total] = await Promise.all([
+    OldGold.find(query)
+      .sort(filters.sort || '-receivedAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    OldGold.countDocuments(query),
+  ]);
+
+  return { lots, total, page, limit };
+};
+
+export const getLotById = async (shopId, lotId, organizationId) => {
+  const lot = await OldGold.findOne({ _id: lotId, shopId, organizationId, deletedAt: null })
+    .populate('refiningBatchId', 'batchNumber processType status refinerDetails')
+    .populate('receivedBy', 'firstName lastName')
+    .populate('testedBy', 'firstName lastName')
+    .lean();
+  if (!lot) throw new NotFoundError('Old gold lot not found');
+  return lot;
+};
+
+/**
+ * Metal wise: counter pe pada (in_stock), refiner ke paas (sent_for_refining),
+ * aur refining se aaya fine metal stock balance.
+ */
+export const getSummary = async (shopId, organizationId) => {
+  const rows = await OldGold.aggregate([
+    {
+      $match: {
+        shopId: new mongoose.Types.ObjectId(String(shopId)),
+        organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+        status: { $in: ['in_stock', 'sent_for_refining'] },
+        deletedAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: { metalType: '$metalType', status: '$status' },
+        lots: { $sum: 1 },
+        netWeight: { $sum: '$netWeight' },
+        fineWeight: { $sum: '$fineWeight' },
+        value: { $sum: '$value' },
+      },
+    },
+  ]);
+
+  const summary = {};
+  for (const row of rows) {
+    const metal = (summary[row._id.metalType] ||= {});
+    metal[row._id.status] = {
+      lots: row.lots,
+      netWeight: round3(row.netWeight),
+      fineWeight: round3(row.fineWeight),
+      value: round2(row.value),
+    };
+  }
+
+  const metalStock = await MetalStockTransaction.getBalance(shopId);
+  return { oldGold: summary, metalStock };
+};
+
+export const getRefiningBatches = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 10;
+
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.status) query.status = filters.status;
+  if (filters.refinerId) query.refinerId = filters.refinerId;
+  if (filters.metalType) query.metalType = filters.metalType;
+
+  const [batches, total] = await Promise.all([
+    RefiningBatch.find(query)
+      .select('-lots')
+      .sort(filters.sort || '-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    RefiningBatch.countDocuments(query),
+  ]);
+
+  return { batches, total, page, limit };
+};
+
+export const getRefiningBatchById = async (shopId, batchId, organizationId) => {
+  const batch = await RefiningBatch.findOne({
+    _id: batchId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  })
+    .populate('refinerId', 'businessName supplierCode contactPerson')
+    .populate('sent.sentBy', 'firstName lastName')
+    .populate('returned.receivedBy', 'firstName lastName')
+    .lean();
+  if (!batch) throw new NotFoundError('Refining batch not found');
+  return batch;
+};
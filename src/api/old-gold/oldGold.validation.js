@@ -0,0 +1,127 @@
+// FILE: src/api/old-gold/oldGold.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const METALS = ['gold', 'silver', 'platinum'];
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const lotId = param('lotId').isMongoId().withMessage('Invalid lot ID format');
+const batchId = param('batchId').isMongoId().withMessage('Invalid refining batch ID format');
+
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+export const getLots = [
+  shopId,
+  ...pagination,
+  query('status')
+    .optional()
+    .isIn(['in_stock', 'sent_for_refining', 'refined', 'cancelled'])
+    .withMessage('Invalid lot status'),
+  query('metalType').optional().isIn(METALS).withMessage('Invalid metal type'),
+  query('sourceType')
+    .optional()
+    .isIn(['sale_exchange', 'purchase'])
+    .withMessage('Source type must be sale_exchange or purchase'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  validate,
+];
+
+export const getLot = [shopId, lotId, validate];
+
+export const getSummary = [shopId, validate];
+
+export const testLot = [
+  shopId,
+  lotId,
+  body('testedPurity')
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Tested purity must be a percentage between 1 and 100')
+    .toFloat(),
+  body('testMethod')
+    .isIn(['touchstone', 'xrf', 'fire_assay'])
+    .withMessage('Test method must be touchstone, xrf or fire_assay'),
+  body('stoneWeight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stone weight must be a positive number')
+    .toFloat(),
+  body('deductionPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deduction percentage must be between 0 and 100')
+    .toFloat(),
+  validate,
+];
+
+export const createRefiningBatch = [
+  shopId,
+  body('refinerId').isMongoId().withMessage('Valid refiner (supplier) ID is required'),
+  body('processType')
+    .optional()
+    .isIn(['melting', 'refining'])
+    .withMessage('Process type must be melting or refining'),
+  body('lotIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('lotIds must be an array of 1 to 500 lots'),
+  body('lotIds.*').isMongoId().withMessage('Invalid lot ID'),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const getRefiningBatches = [
+  shopId,
+  ...pagination,
+  query('status')
+    .optional()
+    .isIn(['sent', 'returned', 'cancelled'])
+    .withMessage('Status must be sent, returned or cancelled'),
+  query('refinerId').optional().isMongoId().withMessage('Invalid refiner ID'),
+  query('metalType').optional().isIn(METALS).withMessage('Invalid metal type'),
+  validate,
+];
+
+export const getRefiningBatch = [shopId, batchId, validate];
+
+export const receiveRefiningReturn = [
+  shopId,
+  batchId,
+  body('weight').isFloat({ gt: 0 }).withMessage('Returned weight must be greater than 0').toFloat(),
+  body('purity')
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Returned purity must be a percentage between 1 and 100')
+    .toFloat(),
+  body('charges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Charges must be a positive number')
+    .toFloat(),
+  body('refinerReference').optional().isString().trim().isLength({ max: 50 }),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  validate,
+];
+
+export const cancelRefiningBatch = [
+  shopId,
+  batchId,
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  validate,
+];
@@ -8,6 +8,7 @@ import {
   sendBadRequest,
   sendNotFound,
   sendConflict,
+  sendForbidden,
   sendInternalError,
 } from '../../utils/sendResponse.js';
 import logger from '../../utils/logger.js';
@@ -164,6 +165,24 @@ export const updateSubscription = async (req, res) => {
   }
 };
 
+// ─────────────────────────────────────────────
+// GET /api/organizations/:id/subscription
+// Plan, access mode (full / read_only / blocked), usage vs limit, features
+// ─────────────────────────────────────────────
+export const getSubscription = async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const subscription = await orgService.getSubscriptionUsage(req.params.id, req.user);
+    return sendSuccess(res, 200, 'Subscription fetched successfully', subscription);
+  } catch (error) {
+    logger.error('Error fetching subscription', { error: error.message, id: req.params.id });
+    if (error.statusCode === 404) return sendNotFound(res, error.message);
+    if (error.statusCode === 401) return sendForbidden(res, error.message);
+    return sendInternalError(res, 'Failed to fetch subscription', error);
+  }
+};
+
 // ─────────────────────────────────────────────
 // POST /api/organizations/onboard
 // Solo jeweller onboarding — Org + Shop + User ek saath
@@ -197,5 +216,6 @@ export default {
   getOrganizationShops,
   getOrganizationStats,
   updateSubscription,
+  getSubscription,
   onboardSoloJeweller,
 };
\ No newline at end of file
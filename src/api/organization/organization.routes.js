@@ -111,6 +111,19 @@ router.get(
   orgController.getOrganizationStats
 );
 
+// ─────────────────────────────────────────────
+// GET SUBSCRIPTION USAGE
+// GET /api/organizations/:id/subscription
+// super_admin → any org
+// org_admin → sirf apni org (read-only grace me bhi chalta hai)
+// ─────────────────────────────────────────────
+router.get(
+  '/:id/subscription',
+  orgValidation.getSubscriptionValidation,
+  restrictTo('super_admin', 'org_admin'),
+  orgController.getSubscription
+);
+
 // ─────────────────────────────────────────────
 // UPDATE SUBSCRIPTION
 // PATCH /api/organizations/:id/subscription
@@ -20,6 +20,7 @@ import {
 import tokenManager from '../../utils/tokenManager.js';
 import crypto from 'crypto';
 import logger from '../../utils/logger.js';
+import { getSubscriptionSummary } from '../../subscription/entitlements.js';
 
 // ─────────────────────────────────────────────
 // CREATE ORGANIZATION
@@ -384,7 +385,10 @@ export const updateSubscription = async (orgId, subscriptionData, userId) => {
     throw new NotFoundError('Organization not found');
   }
 
-  Object.assign(org.subscription, subscriptionData);
+  // Features merge karo — partial map baaki flags reset na kare
+  const { features, ...rest } = subscriptionData;
+  Object.assign(org.subscription, rest);
+  if (features) Object.assign(org.subscription.features, features);
   org.updatedBy = userId;
   await org.save();
 
@@ -404,6 +408,18 @@ export const updateSubscription = async (orgId, subscriptionData, userId) => {
   return org;
 };
 
+// ─────────────────────────────────────────────
+// SUBSCRIPTION USAGE — plan limits vs live counts, access mode
+// super_admin → any org, org_admin → sirf apni org
+// ─────────────────────────────────────────────
+export const getSubscriptionUsage = async (orgId, user) => {
+  if (user.role !== 'super_admin' && user.organizationId?.toString() !== orgId.toString()) {
+    throw new UnauthorizedError('You do not have access to this organization');
+  }
+
+  return getSubscriptionSummary(orgId);
+};
+
 // ─────────────────────────────────────────────
 // ONBOARD SOLO JEWELLER
 // One request mein: Org + Shop + User sab ban jaye
@@ -140,6 +140,11 @@ export const updateSubscriptionValidation = [
     .optional()
     .isISO8601().withMessage('Invalid end date'),
 
+  // payment_pending grace isi date se ginti hoti hai
+  body('nextPaymentDate')
+    .optional()
+    .isISO8601().withMessage('Invalid next payment date'),
+
   body('maxShops')
     .optional()
     .isInt({ min: 1 }).withMessage('Max shops must be at least 1'),
@@ -151,6 +156,21 @@ export const updateSubscriptionValidation = [
   body('maxProducts')
     .optional()
     .isInt({ min: 0 }).withMessage('Max products must be 0 or more'),
+
+  body('maxStorage')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Max storage must be 0 or more'),
+
+  body('features')
+    .optional()
+    .isObject().withMessage('Features must be an object of true/false flags'),
+];
+
+// ─────────────────────────────────────────────
+// GET SUBSCRIPTION USAGE
+// ─────────────────────────────────────────────
+export const getSubscriptionValidation = [
+  param('id').custom(isValidObjectId).withMessage('Invalid organization ID'),
 ];
 
 // ─────────────────────────────────────────────
@@ -259,6 +279,7 @@ export default {
   createOrganizationValidation,
   updateOrganizationValidation,
   updateSubscriptionValidation,
+  getSubscriptionValidation,
   getOrganizationsValidation,
   onboardSoloJewellerValidation,
 };
\ No newline at end of file
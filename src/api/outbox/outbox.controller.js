@@ -0,0 +1,188 @@
+import { validationResult } from 'express-validator';
+import * as outboxService from './outbox.service.js';
+import {
+  sendSuccess,
+  sendBadRequest,
+  sendNotFound,
+  sendInternalError,
+} from '../../utils/sendResponse.js';
+import logger from '../../utils/logger.js';
+import eventLogger from '../../utils/eventLogger.js';
+
+const logReplay = (req, description, metadata) =>
+  eventLogger.logActivity({
+    userId: req.user._id,
+    organizationId: req.user.organizationId,
+    action: 'replay',
+    module: 'event_outbox',
+    description,
+    level: 'info',
+    status: 'success',
+    metadata,
+    ipAddress: req.ip,
+  });
+
+// ─── List Events ───────────────────────────────────────────────────────────────
+export const getEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { page = 1, limit = 20, ...filters } = req.query;
+
+    const result = await outboxService.getEvents(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    return sendSuccess(
+      res,
+      200,
+      'Events fetched successfully',
+      { events: result.data },
+      { pagination: result.pagination }
+    );
+  } catch (error) {
+    logger.error('Error fetching outbox events', { error: error.message });
+    return sendInternalError(res, 'Failed to fetch events', error);
+  }
+};
+
+// ─── Get Event ─────────────────────────────────────────────────────────────────
+export const getEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const event = await outboxService.getEventById(req.params.eventId);
+    return sendSuccess(res, 200, 'Event fetched successfully', { event });
+  } catch (error) {
+    logger.error('Error fetching outbox event', {
+      error: error.message,
+      eventId: req.params.eventId,
+    });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    return sendInternalError(res, 'Failed to fetch event', error);
+  }
+};
+
+// ─── Replay Event ──────────────────────────────────────────────────────────────
+export const replayEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const event = await outboxService.replayEvent(req.params.eventId, req.user._id);
+
+    await logReplay(req, `Outbox event replayed: ${event.eventName} (${event.status})`, {
+      eventId: event._id,
+      eventName: event.eventName,
+      status: event.status,
+    });
+
+    return sendSuccess(res, 200, `Event replay ${event.status}`, { event });
+  } catch (error) {
+    logger.error('Error replaying outbox event', {
+      error: error.message,
+      eventId: req.params.eventId,
+    });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'BadRequestError') return sendBadRequest(res, error.message);
+    return sendInternalError(res, 'Failed to replay event', error);
+  }
+};
+
+// ─── Dead Letters ──────────────────────────────────────────────────────────────
+export const getDeadLetters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const { page = 1, limit = 20, ...filters } = req.query;
+
+    const result = await outboxService.getDeadLetters(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    return sendSuccess(
+      res,
+      200,
+      'Dead letters fetched successfully',
+      { deadLetters: result.data },
+      { pagination: result.pagination }
+    );
+  } catch (error) {
+    logger.error('Error fetching dead letters', { error: error.message });
+    return sendInternalError(res, 'Failed to fetch dead letters', error);
+  }
+};
+
+export const replayDeadLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const event = await outboxService.replayDeadLetter(req.params.deadLetterId, req.user._id);
+
+    await logReplay(req, `Dead letter replayed: ${event.eventName} (${event.status})`, {
+      deadLetterId: req.params.deadLetterId,
+      eventId: event._id,
+      status: event.status,
+    });
+
+    return sendSuccess(res, 200, `Event replay ${event.status}`, { event });
+  } catch (error) {
+    logger.error('Error replaying dead letter', {
+      error: error.message,
+      deadLetterId: req.params.deadLetterId,
+    });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'BadRequestError') return sendBadRequest(res, error.message);
+    return sendInternalError(res, 'Failed to replay dead letter', error);
+  }
+};
+
+export const discardDeadLetter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return sendBadRequest(res, 'Validation failed', errors.array());
+
+    const deadLetter = await outboxService.discardDeadLetter(
+      req.params.deadLetterId,
+      req.user._id,
+      req.body?.note
+    );
+
+    await eventLogger.logActivity({
+      userId: req.user._id,
+      organizationId: req.user.organizationId,
+      action: 'discard',
+      module: 'event_outbox',
+      description: `Dead letter discarded: ${deadLetter.eventName}`,
+      level: 'warn',
+      status: 'success',
+      metadata: { deadLetterId: deadLetter._id, eventId: deadLetter.eventId },
+      ipAddress: req.ip,
+    });
+
+    return sendSuccess(res, 200, 'Dead letter discarded', { deadLetter });
+  } catch (error) {
+    logger.error('Error discarding dead letter', {
+      error: error.message,
+      deadLetterId: req.params.deadLetterId,
+    });
+    if (error.name === 'NotFoundError') return sendNotFound(res, error.message);
+    if (error.name === 'BadRequestError') return sendBadRequest(res, error.message);
+    return sendInternalError(res, 'Failed to discard dead letter', error);
+  }
+};
+
+export default {
+  getEvents,
+  getEvent,
+  replayEvent,
+  getDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter,
+};
@@ -0,0 +1,91 @@
+import express from 'express';
+import {
+  getEvents,
+  getEvent,
+  replayEvent,
+  getDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter,
+} from './outbox.controller.js';
+import {
+  getEventsValidation,
+  getDeadLettersValidation,
+  eventIdValidation,
+  deadLetterIdValidation,
+  discardDeadLetterValidation,
+} from './outbox.validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { rateLimiter } from '../middlewares/rateLimiter.js';
+
+// Mounted at: /api/v1/events
+// Outbox spans all organizations — platform admins only
+const router = express.Router();
+
+router.use(authenticate);
+router.use(restrictTo('super_admin'));
+
+/**
+ * @route   GET /api/v1/events
+ * @desc    List outbox events (filter by status, eventName, organization, shop, dates)
+ * @access  Private (Super Admin)
+ */
+router.get('/', getEventsValidation, rateLimiter({ max: 60, windowMs: 60000 }), getEvents);
+
+/**
+ * @route   GET /api/v1/events/dead-letters
+ * @desc    List events that exhausted their retries
+ * @access  Private (Super Admin)
+ */
+router.get(
+  '/dead-letters',
+  getDeadLettersValidation,
+  rateLimiter({ max: 60, windowMs: 60000 }),
+  getDeadLetters
+);
+
+/**
+ * @route   POST /api/v1/events/dead-letters/:deadLetterId/replay
+ * @desc    Replay a dead-lettered event (only handlers that never completed run)
+ * @access  Private (Super Admin)
+ */
+router.post(
+  '/dead-letters/:deadLetterId/replay',
+  deadLetterIdValidation,
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  replayDeadLetter
+);
+
+/**
+ * @route   POST /api/v1/events/dead-letters/:deadLetterId/discard
+ * @desc    Close a dead letter without replaying it
+ * @access  Private (Super Admin)
+ */
+router.post(
+  '/dead-letters/:deadLetterId/discard',
+  deadLetterIdValidation,
+  discardDeadLetterValidation,
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  discardDeadLetter
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId
+ * @desc    Get an outbox event with payload and per-handler state
+ * @access  Private (Super Admin)
+ */
+router.get('/:eventId', eventIdValidation, rateLimiter({ max: 60, windowMs: 60000 }), getEvent);
+
+/**
+ * @route   POST /api/v1/events/:eventId/replay
+ * @desc    Replay a failed / dead event now (waits for the handlers to finish)
+ * @access  Private (Super Admin)
+ */
+router.post(
+  '/:eventId/replay',
+  eventIdValidation,
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  replayEvent
+);
+
+export default router;
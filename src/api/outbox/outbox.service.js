@@ -0,0 +1,77 @@
+import OutboxEvent from '../../models/OutboxEvent.js';
+import DeadLetterEvent from '../../models/DeadLetterEvent.js';
+import { paginate } from '../../utils/pagination.js';
+import { NotFoundError } from '../../utils/AppError.js';
+import {
+  replayEvent as replayOutboxEvent,
+  replayDeadLetter as replayOutboxDeadLetter,
+  discardDeadLetter as discardOutboxDeadLetter,
+} from '../../outbox/outbox.js';
+
+const dateRange = (startDate, endDate) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+// ─── Events ────────────────────────────────────────────────────────────────────
+export const getEvents = async (filters = {}, paginationOptions = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.eventName) query.eventName = filters.eventName;
+  if (filters.organizationId) query.organizationId = filters.organizationId;
+  if (filters.shopId) query.shopId = filters.shopId;
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = dateRange(filters.startDate, filters.endDate);
+  }
+
+  // Payload list me nahi — single event pe dekho
+  return paginate(OutboxEvent, query, {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: '-createdAt',
+    select: '-payload',
+  });
+};
+
+export const getEventById = async eventId => {
+  const event = await OutboxEvent.findById(eventId).populate(
+    'lastReplayedBy',
+    'firstName lastName email'
+  );
+
+  if (!event) throw new NotFoundError('Event not found');
+  return event;
+};
+
+export const replayEvent = (eventId, userId) => replayOutboxEvent(eventId, userId);
+
+// ─── Dead Letters ──────────────────────────────────────────────────────────────
+export const getDeadLetters = async (filters = {}, paginationOptions = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.eventName) query.eventName = filters.eventName;
+  if (filters.organizationId) query.organizationId = filters.organizationId;
+  if (filters.shopId) query.shopId = filters.shopId;
+  if (filters.startDate || filters.endDate) {
+    query.deadAt = dateRange(filters.startDate, filters.endDate);
+  }
+
+  return paginate(DeadLetterEvent, query, {
+    page: paginationOptions.page || 1,
+    limit: paginationOptions.limit || 20,
+    sort: '-deadAt',
+    populate: [{ path: 'resolvedBy', select: 'firstName lastName email' }],
+  });
+};
+
+export const replayDeadLetter = (deadLetterId, userId) =>
+  replayOutboxDeadLetter(deadLetterId, userId);
+
+export const discardDeadLetter = (deadLetterId, userId, note) =>
+  discardOutboxDeadLetter(deadLetterId, userId, note);
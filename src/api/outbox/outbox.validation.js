@@ -0,0 +1,48 @@
+import { body, param, query } from 'express-validator';
+
+const EVENT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'dead'];
+const DEAD_LETTER_STATUSES = ['open', 'replayed', 'discarded'];
+
+const listFilters = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+
+  query('eventName')
+    .optional()
+    .trim()
+    .matches(/^[A-Z_]+$/)
+    .withMessage('Invalid event name'),
+
+  query('organizationId').optional().isMongoId().withMessage('Invalid organization ID'),
+
+  query('shopId').optional().isMongoId().withMessage('Invalid shop ID'),
+
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+export const getEventsValidation = [
+  ...listFilters,
+  query('status').optional().isIn(EVENT_STATUSES).withMessage('Invalid event status'),
+];
+
+export const getDeadLettersValidation = [
+  ...listFilters,
+  query('status').optional().isIn(DEAD_LETTER_STATUSES).withMessage('Invalid dead letter status'),
+];
+
+export const eventIdValidation = [param('eventId').isMongoId().withMessage('Invalid event ID')];
+
+export const deadLetterIdValidation = [
+  param('deadLetterId').isMongoId().withMessage('Invalid dead letter ID'),
+];
+
+export const discardDeadLetterValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+];
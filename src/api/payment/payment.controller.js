@@ -20,6 +20,7 @@ import {
   reconcilePayment,
   getReconciliationSummary,
   getReceipt,
+  generateReceiptPdf,
   sendReceipt,
   regenerateReceipt,
   getPartyPayments,
@@ -313,10 +314,18 @@ export const getReconciliationSummaryHandler = catchAsync(async (req, res) => {
 
 export const getReceiptHandler = catchAsync(async (req, res) => {
   const { shopId, paymentId } = req.params;
-  const result = await getReceipt(paymentId, shopId);
+  const { format, paperSize } = req.query;
 
-  // TODO: Generate actual PDF receipt
-  return sendSuccess(res, 200, result.message, result.data);
+  if (format === 'json') {
+    const result = await getReceipt(paymentId, shopId);
+    return sendSuccess(res, 200, result.message, result.data);
+  }
+
+  const pdfBuffer = await generateReceiptPdf(paymentId, shopId, paperSize);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="receipt-${paymentId}.pdf"`);
+  return res.send(pdfBuffer);
 });
 
 // 18. SEND RECEIPT
@@ -339,7 +348,7 @@ export const sendReceiptHandler = catchAsync(async (req, res) => {
     recipient
   );
 
-  return sendSuccess(res, 200, result.message);
+  return sendSuccess(res, 200, result.message, result.data);
 });
 
 // 19. REGENERATE RECEIPT
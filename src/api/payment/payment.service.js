@@ -3,11 +3,20 @@
 
 import mongoose from 'mongoose';
 import Payment from '../../models/Payment.js';
+import JewelryShop from '../../models/Shop.js';
 import { NotFoundError, ValidationError, BadRequestError } from '../../utils/AppError.js';
 import eventLogger from '../../utils/eventLogger.js';
 import logger from '../../utils/logger.js';
 import { paginate } from '../../utils/pagination.js';
-import eventBus from '../../eventBus.js';
+import { withOutbox } from '../../outbox/outbox.js';
+import {
+  TEMPLATES,
+  renderTemplatePdf,
+  buildSaleReceiptData,
+  buildSupplierVoucherData,
+} from '../../invoices/renderer.js';
+import { notifySaleReceipt, notifyPurchaseVoucher } from '../../notifications/notify.js';
+import { toSummary } from '../../notifications/dispatcher.js';
 
 // ─────────────────────────────────────────────
 // CREATE PAYMENT
@@ -54,16 +63,24 @@ export const createPayment = async (shopId, organizationId, userId, paymentData)
       payment.paymentDetails.chequeDetails.chequeStatus = 'pending';
     }
 
-    await payment.save();
-
-    // ── EVENT EMIT ──────────────────────────
-    // Sirf completed payments ke liye emit karo
-    // cheque pending hai toh emit mat karo — clearCheque pe emit hoga
-    if (payment.status === 'completed') {
-      // reference.listener → sale/purchase paidAmount update
-      // ledger.listener    → party + cash/bank entry
-      eventBus.emit('PAYMENT_COMPLETED', { payment });
-    }
+    // ── EVENT (outbox) ──────────────────────
+    // Sirf completed payments ke liye record karo
+    // cheque pending hai toh nahi — clearCheque pe hoga
+    await withOutbox(async (session, record) => {
+      await payment.save({ session });
+
+      if (payment.status === 'completed') {
+        // reference.listener → sale/purchase paidAmount update
+        // ledger.listener    → party + cash/bank entry
+        await record(
+          'PAYMENT_COMPLETED',
+          { payment },
+          {
+            idempotencyKey: `PAYMENT_COMPLETED:${payment._id}`,
+          }
+        );
+      }
+    });
     // ─────────────────────────────────────────
 
     await eventLogger.logFinancial(
@@ -260,16 +277,23 @@ export const deletePayment = async (paymentId, shopId, userId, organizationId) =
       throw new BadRequestError('Cannot delete completed or reconciled payments');
     }
 
-    await payment.softDelete();
-
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // reference.listener → sale/purchase reverse
     // ledger.listener    → ledger entries reverse
     // payment.listener   → status cancelled
-    eventBus.emit('PAYMENT_CANCELLED', {
-      payment,
-      reason: 'Soft delete',
-      userId,
+    await withOutbox(async (session, record) => {
+      payment.$session(session);
+      await payment.softDelete();
+
+      await record(
+        'PAYMENT_CANCELLED',
+        {
+          payment,
+          reason: 'Soft delete',
+          userId,
+        },
+        { idempotencyKey: `PAYMENT_CANCELLED:${payment._id}` }
+      );
     });
     // ─────────────────────────────────────────
 
@@ -378,16 +402,23 @@ export const cancelPayment = async (paymentId, shopId, userId, reason) => {
       ? `${payment.notes}\nCancellation reason: ${reason}`
       : `Cancellation reason: ${reason}`;
     payment.updatedBy = userId;
-    await payment.save();
 
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // payment.listener   → status + cheque update
     // reference.listener → sale/purchase reverse
     // ledger.listener    → ledger entries reverse
-    eventBus.emit('PAYMENT_CANCELLED', {
-      payment: paymentSnapshot,
-      reason,
-      userId,
+    await withOutbox(async (session, record) => {
+      await payment.save({ session });
+
+      await record(
+        'PAYMENT_CANCELLED',
+        {
+          payment: paymentSnapshot,
+          reason,
+          userId,
+        },
+        { idempotencyKey: `PAYMENT_CANCELLED:${payment._id}` }
+      );
     });
     // ─────────────────────────────────────────
 
@@ -456,17 +487,23 @@ export const clearCheque = async (paymentId, shopId, userId, clearanceDate, note
       throw new BadRequestError('Cheque is already cleared');
     }
 
-    await payment.save();
-
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // payment.listener   → status completed, chequeStatus cleared
     // ledger.listener    → party + bank entry
     // reference.listener → sale/purchase paidAmount update
-    eventBus.emit('CHEQUE_CLEARED', {
-      payment,
-      clearanceDate,
-      notes,
-      userId,
+    await withOutbox(async (session, record) => {
+      await payment.save({ session });
+
+      await record(
+        'CHEQUE_CLEARED',
+        {
+          payment,
+          clearanceDate,
+          notes,
+          userId,
+        },
+        { idempotencyKey: `CHEQUE_CLEARED:${payment._id}` }
+      );
     });
     // ─────────────────────────────────────────
 
@@ -504,17 +541,23 @@ export const bounceCheque = async (paymentId, shopId, userId, bounceReason, note
 
     if (!payment) throw new NotFoundError('Cheque payment not found');
 
-    await payment.save();
-
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // payment.listener   → status failed, chequeStatus bounced
     // ledger.listener    → reverse entries
     // reference.listener → sale/purchase reverse
-    eventBus.emit('CHEQUE_BOUNCED', {
-      payment,
-      bounceReason,
-      notes,
-      userId,
+    await withOutbox(async (session, record) => {
+      await payment.save({ session });
+
+      await record(
+        'CHEQUE_BOUNCED',
+        {
+          payment,
+          bounceReason,
+          notes,
+          userId,
+        },
+        { idempotencyKey: `CHEQUE_BOUNCED:${payment._id}` }
+      );
     });
     // ─────────────────────────────────────────
 
@@ -774,37 +817,160 @@ export const getReceipt = async (paymentId, shopId) => {
   }
 };
 
+// ─────────────────────────────────────────────
+// RECEIPT PDF
+// Sale → customer receipt, Purchase → supplier payment voucher,
+// baaki money-in (scheme / order / on-account) → generic receipt
+// ─────────────────────────────────────────────
+// Scheme / order / unlinked receipt ko sale receipt ke shape mein dhaalo — wahi template aur email chalega
+const receiptSubjectOf = (payment, referenceType, document, payments) => {
+  const received = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+  const party = payment.party || {};
+  const details = document?.customerDetails || {};
+
+  let number = payment.reference?.referenceNumber || null;
+  let date = payment.paymentDate;
+  let total = received;
+  let paid = received;
+
+  if (document && referenceType === 'scheme_enrollment') {
+    number = document.enrollmentNumber;
+    date = document.startDate;
+    total = document.installmentAmount * document.totalInstallments;
+    paid = document.totalPaidAmount;
+  } else if (document && referenceType === 'order') {
+    number = document.orderNumber;
+    date = document.orderDate;
+    total = document.financials?.grandTotal || received;
+    paid = document.payment?.paidAmount ?? received;
+  }
+
+  const due = Math.max(0, total - paid);
+
+  return {
+    _id: document?._id || null,
+    invoiceNumber: number || 'On account',
+    saleDate: date,
+    customerDetails: {
+      customerName: details.customerName || party.partyName,
+      customerCode: details.customerCode || party.partyCode,
+      phone: details.phone || party.phone,
+      email: details.email || party.email,
+    },
+    financials: { netPayable: total },
+    payment: { paidAmount: paid, dueAmount: due, paymentStatus: due > 0 ? 'partial' : 'paid' },
+  };
+};
+
+// PDF + the documents it was built from — sendReceipt bhi yahi use karta hai
+const renderReceipt = async (paymentId, shopId, paperSize = null) => {
+  const { data: payment } = await getReceipt(paymentId, shopId);
+  const { referenceType, referenceId: document } = payment.reference || {};
+
+  // Paisa bahar gaya aur purchase se linked nahi (refund etc.) — uski koi receipt nahi banti
+  if (payment.transactionType !== 'receipt' && !(document && referenceType === 'purchase')) {
+    throw new BadRequestError(
+      'PDF receipt is only available for money received and purchase payments'
+    );
+  }
+
+  const shop = await JewelryShop.findById(shopId);
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  const payments = document
+    ? await Payment.find({
+        'reference.referenceId': document._id,
+        'reference.referenceType': referenceType,
+        shopId,
+        deletedAt: null,
+        status: 'completed',
+      })
+        .sort({ paymentDate: 1 })
+        .lean()
+    : [payment];
+
+  const size = paperSize || shop.settings?.printSettings?.paperSize;
+
+  if (document && referenceType === 'purchase') {
+    await document.populate(
+      'supplierId',
+      'businessName supplierCode contactPerson gstNumber address'
+    );
+    const data = buildSupplierVoucherData({
+      purchase: document,
+      shop,
+      payments,
+      currentPayment: payment,
+    });
+    const pdf = await renderTemplatePdf(TEMPLATES.SUPPLIER_PAYMENT_VOUCHER, data, size);
+    return { pdf, payment, template: TEMPLATES.SUPPLIER_PAYMENT_VOUCHER, document, shop };
+  }
+
+  let sale = document;
+  if (document && referenceType === 'sale') {
+    await document.populate('salesPerson', 'firstName lastName');
+  } else {
+    sale = receiptSubjectOf(payment, referenceType, document, payments);
+  }
+
+  const data = buildSaleReceiptData({ sale, shop, payments, currentPayment: payment });
+  const pdf = await renderTemplatePdf(TEMPLATES.SALE_PAYMENT_RECEIPT, data, size);
+  return { pdf, payment, template: TEMPLATES.SALE_PAYMENT_RECEIPT, document: sale, shop };
+};
+
+export const generateReceiptPdf = async (paymentId, shopId, paperSize = null) => {
+  const { pdf } = await renderReceipt(paymentId, shopId, paperSize);
+  return pdf;
+};
+
 // ─────────────────────────────────────────────
 // SEND RECEIPT
+// Purchase → supplier voucher, baaki sab → customer receipt (NotificationLog me record)
 // ─────────────────────────────────────────────
 export const sendReceipt = async (paymentId, shopId, userId, method, recipient) => {
   try {
-    const payment = await Payment.findOne({
-      _id: paymentId,
-      shopId,
-      deletedAt: null,
-    })
-      .populate('party.partyId')
-      .populate('processedBy', 'firstName lastName');
+    const { pdf, payment, template, document, shop } = await renderReceipt(paymentId, shopId);
 
-    if (!payment) throw new NotFoundError('Payment not found');
+    const params = {
+      payment,
+      shop,
+      channel: method,
+      to: recipient,
+      pdf: method === 'sms' ? null : pdf,
+      userId,
+    };
 
-    payment.receipt.receiptSentAt = new Date();
-    payment.receipt.receiptSentTo = recipient;
-    await payment.save();
+    const notification =
+      template === TEMPLATES.SUPPLIER_PAYMENT_VOUCHER
+        ? await notifyPurchaseVoucher({
+            ...params,
+            purchase: document,
+            supplier: document.supplierId,
+          })
+        : await notifySaleReceipt({ ...params, sale: document });
+
+    if (notification.status === 'sent') {
+      payment.receipt.receiptSentAt = notification.sentAt;
+      payment.receipt.receiptSentTo = notification.recipient;
+      await payment.save();
+    }
 
     await eventLogger.logFinancial(
       userId,
       payment.organizationId,
       shopId,
       'send_receipt',
-      `Receipt sent via ${method} to ${recipient}`,
-      { paymentId: payment._id, method, recipient }
+      `Receipt ${notification.status} via ${method} to ${notification.recipient}`,
+      { paymentId: payment._id, method, recipient, notificationId: notification._id }
     );
 
     return {
-      success: true,
-      message: `Receipt sent via ${method} successfully`,
+      success: notification.status === 'sent',
+      data: toSummary(notification),
+      message:
+        notification.status === 'sent'
+          ? `Receipt sent via ${method} successfully`
+          : `Receipt could not be sent via ${method} (${notification.failureReason}), will retry`,
     };
   } catch (error) {
     logger.error('Send receipt error:', error);
@@ -1771,15 +1937,21 @@ export const processRefund = async (paymentId, shopId, organizationId, userId, r
       createdBy:   userId,
     });
 
-    await refundPayment.save();
-
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // payment.listener   → original payment status refunded
     // ledger.listener    → party + cash/bank entry
     // reference.listener → sale/purchase reverse
-    eventBus.emit('PAYMENT_REFUNDED', {
-      refundPayment,
-      originalPaymentId: originalPayment._id,
+    await withOutbox(async (session, record) => {
+      await refundPayment.save({ session });
+
+      await record(
+        'PAYMENT_REFUNDED',
+        {
+          refundPayment,
+          originalPaymentId: originalPayment._id,
+        },
+        { idempotencyKey: `PAYMENT_REFUNDED:${refundPayment._id}` }
+      );
     });
     // ─────────────────────────────────────────
 
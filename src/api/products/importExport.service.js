@@ -0,0 +1,593 @@
+// FILE: src/api/products/importExport.service.js
+// Naye shop ka poora maal ek sheet se. CSV / XLSX ke columns Product fields pe map hote
+// hain, har row createProductValidation se guzarti hai (wahi rules jo single create pe).
+// Dry run sirf row-wise errors batata hai; asli import me sahi rows chunk-wise
+// transaction me bante hain, har product ki opening InventoryTransaction ke saath.
+// Export wahi columns likhta hai — file edit karke wapas import ho sakti hai.
+
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Product from '../../models/Product.js';
+import MetalRate from '../../models/MetalRate.js';
+import Category from '../../models/Category.js';
+import InventoryTransaction from '../../models/InventoryTransaction.js';
+import JewelryShop from '../../models/Shop.js';
+import { createProductValidation } from './product.validation.js';
+import { calculateProductPrice, buildCustomRates } from './product.service.js';
+import { nextBarcode } from './label.service.js';
+import { receiveTracked } from '../inventory/tracking.service.js';
+import { TRANSACTION_TYPES, REFERENCE_TYPES } from '../inventory/inventory.constants.js';
+import { assertWithinLimit } from '../../subscription/entitlements.js';
+import { isValidEan13 } from '../../labels/barcode.js';
+import { parseCsv, toCsv } from '../../utils/csv.js';
+import { readXlsx, toXlsx } from '../../utils/xlsx.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/AppError.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+const MAX_EXPORT_ROWS = 20000;
+const CHUNK_SIZE = 100;
+
+// Sheet column → Product path. Export isi order me likhta hai.
+export const COLUMNS = [
+  { header: 'name', path: 'name' },
+  { header: 'description', path: 'description' },
+  { header: 'category', path: 'categoryId' },
+  { header: 'sub_category', path: 'subCategoryId' },
+  { header: 'product_type', path: 'productType' },
+  { header: 'metal_type', path: 'metal.type' },
+  { header: 'purity', path: 'metal.purity' },
+  { header: 'purity_percentage', path: 'metal.purityPercentage', type: 'number' },
+  { header: 'metal_color', path: 'metal.color' },
+  { header: 'gross_weight', path: 'weight.grossWeight', type: 'number' },
+  { header: 'stone_weight', path: 'weight.stoneWeight', type: 'number' },
+  { header: 'wastage_percentage', path: 'weight.wastage.percentage', type: 'number' },
+  { header: 'weight_unit', path: 'weight.unit' },
+  { header: 'making_charge_type', path: 'makingCharges.type' },
+  { header: 'making_charge_value', path: 'makingCharges.value', type: 'number' },
+  { header: 'cost_price', path: 'pricing.costPrice', type: 'number' },
+  { header: 'selling_price', path: 'pricing.sellingPrice', type: 'number' },
+  { header: 'mrp', path: 'pricing.mrp', type: 'number' },
+  { header: 'custom_rate', path: 'pricing.customRate', type: 'number' },
+  { header: 'gst_percentage', path: 'pricing.gst.percentage', type: 'number' },
+  { header: 'quantity', path: 'stock.quantity', type: 'number' },
+  { header: 'reorder_level', path: 'stock.reorderLevel', type: 'number' },
+  { header: 'huid', path: 'huid' },
+  { header: 'barcode', path: 'barcode' },
+  { header: 'sku', path: 'sku' },
+  { header: 'gender', path: 'gender' },
+  { header: 'tracking', path: 'inventoryTracking' },
+];
+
+// Log jo naam sheet me likhte hain
+const HEADER_ALIASES = {
+  product_name: 'name',
+  metal: 'metal_type',
+  karat: 'purity',
+  subcategory: 'sub_category',
+  gross_wt: 'gross_weight',
+  stone_wt: 'stone_weight',
+  wastage: 'wastage_percentage',
+  making_charges: 'making_charge_value',
+  qty: 'quantity',
+  hallmark_huid: 'huid',
+};
+
+const TRACKING_MODES = ['none', 'batch', 'serial'];
+const HUID_PATTERN = /^[A-Z0-9]{6}$/;
+
+const round2 = value => Math.round((value || 0) * 100) / 100;
+
+// ─── Parsing ───────────────────────────────────────────────────────────────────
+
+const normalizeHeader = header => {
+  const key = String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+  return HEADER_ALIASES[key] || key;
+};
+
+const isXlsx = buffer => buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+/**
+ * Upload (CSV ya XLSX, zip signature se pehchaan) → { headers, rows }.
+ * Har row { rowNumber, values: { header: string } } — rowNumber sheet wala (header = 1).
+ */
+export const parseFile = buffer => {
+  if (!buffer?.length) throw new ValidationError('Upload a CSV or XLSX file');
+
+  const table = isXlsx(buffer) ? readXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  if (table.length < 2) throw new ValidationError('File has no product rows');
+
+  const headers = table[0].map(normalizeHeader);
+  const known = COLUMNS.map(column => column.header);
+  const missing = [
+    'name',
+    'category',
+    'metal_type',
+    'purity',
+    'gross_weight',
+    'selling_price',
+  ].filter(header => !headers.includes(header));
+  if (missing.length) {
+    throw new ValidationError(`Missing required columns: ${missing.join(', ')}`);
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`A single import can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const rows = table.slice(1).map((cells, index) => ({
+    rowNumber: index + 2,
+    values: headers.reduce((values, header, column) => {
+      if (known.includes(header)) values[header] = String(cells[column] ?? '').trim();
+      return values;
+    }, {}),
+  }));
+
+  return {
+    headers,
+    ignoredColumns: headers.filter(header => header && !known.includes(header)),
+    rows,
+  };
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+  parent[last] = value;
+};
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => node?.[key], source);
+
+// "1,250.50" → 1250.5. Number na bane to string hi rehne do — validator bata dega.
+const toNumber = value => {
+  const number = Number(value.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Sheet row → createProduct jaisa body. Category abhi naam / code hi hai —
+ * validateRows id me badalta hai.
+ */
+export const rowToProduct = values => {
+  const product = {};
+
+  COLUMNS.forEach(({ header, path, type }) => {
+    const value = values[header];
+    if (value === undefined || value === '') return;
+    setPath(product, path, type === 'number' ? toNumber(value) : value);
+  });
+
+  [
+    'metal.type',
+    'metal.color',
+    'productType',
+    'gender',
+    'inventoryTracking',
+    'weight.unit',
+    'makingCharges.type',
+  ]
+    .filter(path => typeof getPath(product, path) === 'string')
+    .forEach(path => setPath(product, path, getPath(product, path).toLowerCase()));
+
+  if (product.huid) {
+    product.huid = product.huid.toUpperCase();
+    product.hallmarking = { isHallmarked: true, huid: product.huid };
+  }
+  if (product.pricing?.gst) product.pricing.gst.enabled = true;
+
+  return product;
+};
+
+// ─── Validation ────────────────────────────────────────────────────────────────
+
+const columnOf = path => COLUMNS.find(column => column.path === path)?.header || path;
+
+// Single create wale express-validator chains ek nakli req pe
+const runRowValidation = async product => {
+  const req = { body: product, params: {}, query: {} };
+  await Promise.all(createProductValidation.map(chain => chain.run(req)));
+
+  return validationResult(req)
+    .array()
+    .map(error => ({ column: columnOf(error.path), message: error.msg }));
+};
+
+// Category / sub category — id, code ya naam (case-insensitive)
+const buildCategoryLookup = categories => {
+  const lookup = new Map();
+  categories.forEach(category => {
+    const scope = category.parentId ? String(category.parentId) : 'root';
+    [String(category._id), category.code, category.name?.default]
+      .filter(Boolean)
+      .forEach(key => lookup.set(`${scope}:${String(key).toLowerCase()}`, category._id));
+  });
+  return (value, parentId = null) =>
+    lookup.get(`${parentId ? String(parentId) : 'root'}:${String(value).toLowerCase()}`);
+};
+
+/**
+ * Har row ka product + errors. Sheet ke andar aur shop me pehle se duplicate
+ * barcode / HUID bhi yahin pakde jaate hain.
+ */
+export const validateRows = async (rows, { shop, organizationId, hasMetalRates }) => {
+  const categories = await Category.find({ isActive: true }).select('code name parentId').lean();
+  const findCategory = buildCategoryLookup(categories);
+
+  const products = rows.map(row => rowToProduct(row.values));
+  const barcodes = products.map(product => product.barcode).filter(Boolean);
+  const huids = products.map(product => product.huid).filter(Boolean);
+
+  const [takenBarcodes, takenHuids] = await Promise.all([
+    barcodes.length
+      ? Product.find({ shopId: shop._id, barcode: { $in: barcodes }, deletedAt: null }).distinct(
+          'barcode'
+        )
+      : [],
+    huids.length
+      ? Product.find({ organizationId, huid: { $in: huids }, deletedAt: null }).distinct('huid')
+      : [],
+  ]);
+
+  const seenBarcodes = new Map();
+  const seenHuids = new Map();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const product = products[index];
+    const lookupErrors = [];
+
+    if (product.categoryId) {
+      const categoryName = product.categoryId;
+      product.categoryId = findCategory(categoryName);
+      if (!product.categoryId) {
+        lookupErrors.push({ column: 'category', message: `Unknown category "${categoryName}"` });
+      } else if (product.subCategoryId) {
+        const subCategoryName = product.subCategoryId;
+        product.subCategoryId = findCategory(subCategoryName, product.categoryId);
+        if (!product.subCategoryId) {
+          lookupErrors.push({
+            column: 'sub_category',
+            message: `Unknown sub category "${subCategoryName}" under ${categoryName}`,
+          });
+        }
+      }
+    }
+
+    if (product.barcode) {
+      if (shop.settings?.barcodeType === 'EAN13' && !isValidEan13(product.barcode)) {
+        lookupErrors.push({ column: 'barcode', message: 'Not a valid EAN-13 code' });
+      } else if (takenBarcodes.includes(product.barcode)) {
+        lookupErrors.push({ column: 'barcode', message: 'Barcode already used in this shop' });
+      } else if (seenBarcodes.has(product.barcode)) {
+        lookupErrors.push({
+          column: 'barcode',
+          message: `Duplicate of row ${seenBarcodes.get(product.barcode)}`,
+        });
+      }
+      seenBarcodes.set(product.barcode, seenBarcodes.get(product.barcode) || row.rowNumber);
+    }
+
+    if (product.huid) {
+      if (!HUID_PATTERN.test(product.huid)) {
+        lookupErrors.push({ column: 'huid', message: 'HUID must be 6 letters or digits' });
+      } else if (takenHuids.includes(product.huid)) {
+        lookupErrors.push({ column: 'huid', message: 'HUID already exists' });
+      } else if (seenHuids.has(product.huid)) {
+        lookupErrors.push({
+          column: 'huid',
+          message: `Duplicate of row ${seenHuids.get(product.huid)}`,
+        });
+      }
+      seenHuids.set(product.huid, seenHuids.get(product.huid) || row.rowNumber);
+    }
+
+    if (product.inventoryTracking && !TRACKING_MODES.includes(product.inventoryTracking)) {
+      lookupErrors.push({ column: 'tracking', message: 'Tracking must be none, batch or serial' });
+    }
+    if (!hasMetalRates && !product.pricing?.customRate) {
+      lookupErrors.push({
+        column: 'custom_rate',
+        message: 'Metal rates not found. Set metal rates or give a custom rate',
+      });
+    }
+
+    // Lookup fail hua to wahi error kaafi hai — "Invalid category ID" dobara nahi
+    const lookedUp = lookupErrors.map(error => error.column);
+    const validatorErrors = (await runRowValidation(product)).filter(
+      error => !lookedUp.includes(error.column)
+    );
+    const errors = [...lookupErrors, ...validatorErrors];
+
+    results.push({ rowNumber: row.rowNumber, product, errors });
+  }
+
+  return results;
+};
+
+// ─── Commit ────────────────────────────────────────────────────────────────────
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const stockStatusOf = (quantity, reorderLevel) =>
+  quantity === 0 ? 'out_of_stock' : quantity <= reorderLevel ? 'low_stock' : 'in_stock';
+
+// createProduct wale defaults — shop ka GST / wastage, aur price metal rate se
+const buildProductDoc = async (product, { shop, metalRates, shopId, organizationId, userId }) => {
+  const data = { ...product };
+
+  if (data.pricing?.gst?.enabled === undefined) {
+    data.pricing = {
+      ...data.pricing,
+      gst: {
+        enabled: shop.settings?.enableGST ?? true,
+        percentage: shop.settings?.gstRates?.[data.metal.type] ?? 3,
+      },
+    };
+  }
+  if (
+    data.weight.wastage?.percentage === undefined &&
+    shop.settings?.enableWastage &&
+    shop.settings?.defaultWastage > 0
+  ) {
+    data.weight = { ...data.weight, wastage: { percentage: shop.settings.defaultWastage } };
+  }
+
+  const isCustomRate = !metalRates;
+  const rates = metalRates || buildCustomRates(data.metal.type, data.pricing.customRate);
+  const pricing = await calculateProductPrice(data, rates);
+
+  const quantity = data.stock?.quantity ?? 1;
+  const reorderLevel = data.stock?.reorderLevel || 0;
+
+  if (!data.barcode && shop.settings?.enableBarcode) data.barcode = await nextBarcode(shop);
+
+  return {
+    ...data,
+    organizationId,
+    shopId,
+    pricing: {
+      ...data.pricing,
+      ...pricing,
+      isCustomRate,
+      customRateNote: isCustomRate ? 'Manual rate provided in import' : null,
+    },
+    stock: { ...data.stock, quantity, status: stockStatusOf(quantity, reorderLevel) },
+    createdBy: userId,
+    isActive: true,
+    saleStatus: 'available',
+  };
+};
+
+const nextCodeSequence = async shopId => {
+  const first = await Product.generateProductCode(shopId, 'PRD');
+  return parseInt(first.replace('PRD', '')) || 1;
+};
+
+// Ek chunk = ek transaction. Fail hua to poora chunk wapas, baaki chunks chalte rehte hain.
+const commitChunk = async (docs, { importRef, organizationId, shopId, userId }) =>
+  runInTransaction(async session => {
+    const products = await Product.create(docs, { session, ordered: true });
+
+    const transactions = [];
+    for (const product of products) {
+      const tracking = await receiveTracked({
+        product,
+        quantity: product.stock.quantity,
+        source: { type: 'opening', referenceId: importRef.id, referenceNumber: importRef.number },
+        costPerUnit: product.pricing.costPrice,
+        performedBy: userId,
+        session,
+      });
+
+      transactions.push({
+        organizationId,
+        shopId,
+        productId: product._id,
+        productCode: product.productCode,
+        transactionType: TRANSACTION_TYPES.IN,
+        quantity: product.stock.quantity,
+        previousQuantity: 0,
+        newQuantity: product.stock.quantity,
+        transactionDate: new Date(),
+        referenceType: REFERENCE_TYPES.PRODUCT_CREATION,
+        referenceId: importRef.id,
+        referenceNumber: importRef.number,
+        value: round2((product.pricing.costPrice || 0) * product.stock.quantity),
+        performedBy: userId,
+        reason: 'Opening stock (bulk import)',
+        batchAllocations: tracking.batchAllocations,
+        serialNumbers: tracking.serialNumbers,
+      });
+    }
+
+    await InventoryTransaction.create(transactions, { session, ordered: true });
+    return products;
+  });
+
+/**
+ * CSV / XLSX se products. dryRun me kuch nahi likhta — sirf report.
+ * @returns {Object} { dryRun, totalRows, validRows, invalidRows, created, failed, errors, products }
+ */
+export const importProducts = async (shopId, organizationId, buffer, { dryRun = true }, userId) => {
+  const shop = await JewelryShop.findOne({ _id: shopId, organizationId });
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  const { rows, ignoredColumns } = parseFile(buffer);
+  const metalRates = await MetalRate.getCurrentRate(shopId);
+
+  const results = await validateRows(rows, {
+    shop,
+    organizationId,
+    hasMetalRates: Boolean(metalRates),
+  });
+  const valid = results.filter(result => !result.errors.length);
+  const errors = results.flatMap(result =>
+    result.errors.map(error => ({ row: result.rowNumber, ...error }))
+  );
+
+  const report = {
+    dryRun,
+    totalRows: rows.length,
+    validRows: valid.length,
+    invalidRows: rows.length - valid.length,
+    ignoredColumns,
+    created: 0,
+    failed: 0,
+    errors,
+    products: [],
+  };
+
+  if (valid.length) await assertWithinLimit(organizationId, 'products', { adding: valid.length });
+  if (dryRun || !valid.length) return report;
+
+  const importRef = {
+    id: new mongoose.Types.ObjectId(),
+    number: `IMP-${Date.now().toString(36).toUpperCase()}`,
+  };
+  let sequence = await nextCodeSequence(shopId);
+  let inventoryValue = 0;
+
+  for (let start = 0; start < valid.length; start += CHUNK_SIZE) {
+    const chunk = valid.slice(start, start + CHUNK_SIZE);
+
+    try {
+      const docs = [];
+      for (const result of chunk) {
+        const doc = await buildProductDoc(result.product, {
+          shop,
+          metalRates,
+          shopId,
+          organizationId,
+          userId,
+        });
+        doc.productCode = `PRD${String(sequence++).padStart(6, '0')}`;
+        docs.push(doc);
+      }
+
+      const products = await commitChunk(docs, { importRef, organizationId, shopId, userId });
+
+      products.forEach((product, index) => {
+        inventoryValue += product.pricing.sellingPrice * product.stock.quantity;
+        report.products.push({
+          row: chunk[index].rowNumber,
+          productId: product._id,
+          productCode: product.productCode,
+          name: product.name,
+        });
+      });
+      report.created += products.length;
+    } catch (error) {
+      logger.error(`Product import chunk failed (${importRef.number}):`, error);
+      report.failed += chunk.length;
+      chunk.forEach(result =>
+        report.errors.push({ row: result.rowNumber, column: null, message: error.message })
+      );
+    }
+  }
+
+  if (report.created) {
+    shop.statistics.totalProducts += report.created;
+    shop.statistics.totalInventoryValue += inventoryValue;
+    await shop.save();
+  }
+
+  report.errors.sort((a, b) => a.row - b.row);
+  report.importNumber = importRef.number;
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'import',
+    module: 'product',
+    description: `Imported ${report.created} products (${importRef.number})`,
+    level: report.failed || report.invalidRows ? 'warn' : 'info',
+    status: 'success',
+    metadata: {
+      importNumber: importRef.number,
+      totalRows: report.totalRows,
+      created: report.created,
+      failed: report.failed,
+      invalidRows: report.invalidRows,
+    },
+  });
+
+  return report;
+};
+
+// ─── Export ────────────────────────────────────────────────────────────────────
+
+const exportValue = (product, column, categories) => {
+  if (column.path === 'categoryId' || column.path === 'subCategoryId') {
+    const category = categories.get(String(getPath(product, column.path)));
+    return category?.code || '';
+  }
+  return getPath(product, column.path) ?? '';
+};
+
+/**
+ * Import wale columns + product_code, filters getProducts jaise.
+ * @param {Object} filters - { category, metalType, purity, status, saleStatus, isActive, format }
+ * @returns {{ content: string|Buffer, fileName: string, format: string, count: number }}
+ */
+export const exportProducts = async (shopId, organizationId, filters = {}) => {
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.category) query.categoryId = filters.category;
+  if (filters.metalType) query['metal.type'] = filters.metalType;
+  if (filters.purity) query['metal.purity'] = filters.purity;
+  if (filters.status) query.status = filters.status;
+  if (filters.saleStatus) query.saleStatus = filters.saleStatus;
+  if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+
+  const products = await Product.find(query).sort('productCode').limit(MAX_EXPORT_ROWS).lean();
+
+  const categoryIds = [
+    ...new Set(
+      products
+        .flatMap(product => [product.categoryId, product.subCategoryId])
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+  const categories = new Map(
+    (
+      await Category.find({ _id: { $in: categoryIds } })
+        .select('code')
+        .lean()
+    ).map(category => [String(category._id), category])
+  );
+
+  const headers = ['product_code', ...COLUMNS.map(column => column.header)];
+  const rows = products.map(product => [
+    product.productCode,
+    ...COLUMNS.map(column => exportValue(product, column, categories)),
+  ]);
+
+  const format = filters.format === 'xlsx' ? 'xlsx' : 'csv';
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return {
+    format,
+    count: products.length,
+    fileName: `products_${stamp}.${format}`,
+    content: format === 'xlsx' ? toXlsx(headers, rows, 'Products') : toCsv(headers, rows),
+  };
+};
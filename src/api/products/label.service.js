@@ -0,0 +1,304 @@
+import Product from '../../models/Product.js';
+import JewelryShop from '../../models/Shop.js';
+import Counter from '../../models/Counter.js';
+import cache from '../../utils/cache.js';
+import eventLogger from '../../utils/eventLogger.js';
+import {
+  ProductNotFoundError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} from '../../utils/AppError.js';
+import { ean13CheckDigit, isValidEan13 } from '../../labels/barcode.js';
+import { buildTagData, resolveLabelSize } from '../../labels/tag.js';
+import { renderLabelSheet } from '../../labels/sheet.js';
+import { toZpl, toTspl } from '../../labels/printer.js';
+
+const MAX_LABELS = 500;
+
+// EAN-13 in-store range (20-29) — GS1 se company prefix liye bina shop ke andar valid
+const EAN_INSTORE_PREFIX = '20';
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/**
+ * Sequence number → barcode in the shop's symbology.
+ * EAN13: 20 + 10-digit seq + check digit; baaki sab: prefix + 6-digit seq.
+ */
+export function formatBarcode(seq, { barcodeType = 'CODE128', prefix = '' } = {}) {
+  if (barcodeType === 'EAN13') {
+    const digits12 = `${EAN_INSTORE_PREFIX}${String(seq).padStart(10, '0')}`;
+    return `${digits12}${ean13CheckDigit(digits12)}`;
+  }
+  return `${prefix}${String(seq).padStart(6, '0')}`;
+}
+
+const barcodeOptions = shop => ({
+  barcodeType: shop?.settings?.barcodeType || 'CODE128',
+  prefix: (shop?.settings?.barcodePrefix || shop?.code || '').replace(/[^A-Z0-9]/gi, ''),
+});
+
+/**
+ * Next free barcode for the shop. Counter atomic hai; manually diye barcode se
+ * takraav ho to agla number le lete hain.
+ */
+export async function nextBarcode(shop) {
+  const options = barcodeOptions(shop);
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const counter = await Counter.findOneAndUpdate(
+      { name: `barcode_${shop._id}` },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    const barcode = formatBarcode(counter.seq, options);
+
+    const taken = await Product.exists({ shopId: shop._id, barcode, deletedAt: null });
+    if (!taken) return barcode;
+  }
+
+  throw new ConflictError('Could not allocate a free barcode, please retry');
+}
+
+/**
+ * Manually typed barcode — shop me unique ho, aur EAN13 shop ho to valid EAN-13.
+ */
+export async function assertBarcodeAvailable(shop, barcode, excludeProductId = null) {
+  if (shop?.settings?.barcodeType === 'EAN13' && !isValidEan13(barcode)) {
+    throw new ValidationError(`Barcode ${barcode} is not a valid EAN-13 code`);
+  }
+
+  const filter = { shopId: shop._id, barcode, deletedAt: null };
+  if (excludeProductId) filter._id = { $ne: excludeProductId };
+
+  const existing = await Product.findOne(filter).select('productCode').lean();
+  if (existing) {
+    throw new ConflictError(`Barcode ${barcode} is already used by ${existing.productCode}`);
+  }
+}
+
+// Sale metalType enum me gemstone nahi hai
+const SALE_METAL_TYPES = ['gold', 'silver', 'platinum', 'diamond', 'mixed'];
+
+/**
+ * Product → createSale() item, counter pe scan karte hi cart me daalne layak.
+ */
+export function toSaleItem(product) {
+  const pricing = product.pricing || {};
+  const weight = product.weight || {};
+  const makingType = product.makingCharges?.type;
+
+  return {
+    productId: product._id,
+    productName: product.name,
+    productCode: product.productCode,
+    category: product.categoryId?.name || undefined,
+    metalType: SALE_METAL_TYPES.includes(product.metal?.type) ? product.metal.type : 'diamond',
+    purity: product.metal?.purity,
+    grossWeight: weight.grossWeight || 0,
+    stoneWeight: weight.stoneWeight || 0,
+    netWeight: weight.netWeight || 0,
+    wastagePercentage: weight.wastage?.percentage || 0,
+    wastageWeight: weight.wastage?.weight || 0,
+    fineWeight: weight.fineWeight || 0,
+    ratePerGram: pricing.metalRate || 0,
+    metalValue: pricing.metalValue || 0,
+    stoneValue: pricing.stoneValue || 0,
+    makingCharges: pricing.makingCharges || 0,
+    makingChargesType: makingType && makingType !== 'none' ? makingType : 'flat',
+    otherCharges: pricing.otherCharges || 0,
+    gstPercentage: pricing.gst?.enabled === false ? 0 : (pricing.gst?.percentage ?? 3),
+    itemTotal: pricing.sellingPrice || 0,
+    quantity: 1,
+    huid: product.huid || product.hallmarking?.huid || undefined,
+    isHallmarked: !!product.hallmarking?.isHallmarked,
+  };
+}
+
+const unavailableReason = product => {
+  if (product.saleStatus === 'sold' || product.status === 'sold') return 'Product is already sold';
+  if (product.saleStatus === 'reserved') return 'Product is reserved for a customer';
+  if (product.saleStatus === 'on_hold') return 'Product is on hold';
+  if ((product.stock?.quantity ?? 0) <= 0) return 'Product is out of stock';
+  return null;
+};
+
+const findShop = async shopId => {
+  const shop = await JewelryShop.findById(shopId).select('name displayName code settings').lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+  return shop;
+};
+
+// ─────────────────────────────────────────────
+// SCAN
+// ─────────────────────────────────────────────
+export async function scanProduct(shopId, organizationId, code) {
+  const value = String(code).trim();
+  if (!value) throw new ValidationError('Scan code is required');
+
+  // barcode exact pehle, phir product code / HUID / SKU (purane tag, hallmark sticker)
+  const upper = value.toUpperCase();
+  const product = await Product.findOne({
+    shopId,
+    organizationId,
+    deletedAt: null,
+    $or: [{ barcode: value }, { productCode: upper }, { huid: upper }, { sku: upper }],
+  })
+    .select(
+      'name productCode barcode sku huid categoryId metal weight makingCharges pricing hallmarking stock status saleStatus primaryImage'
+    )
+    .populate('categoryId', 'name code')
+    .lean();
+
+  if (!product) throw new ProductNotFoundError(`No product found for code ${value}`);
+
+  const reason = unavailableReason(product);
+
+  return {
+    product,
+    saleItem: toSaleItem(product),
+    available: !reason,
+    reason,
+  };
+}
+
+// ─────────────────────────────────────────────
+// ASSIGN BARCODES
+// ─────────────────────────────────────────────
+export async function assignBarcodes(
+  shopId,
+  organizationId,
+  { productIds = [], overwrite = false } = {},
+  userId
+) {
+  const shop = await findShop(shopId);
+
+  const filter = { shopId, organizationId, deletedAt: null };
+  if (productIds.length) filter._id = { $in: productIds };
+  if (!overwrite) filter.$or = [{ barcode: null }, { barcode: '' }];
+
+  const products = await Product.find(filter)
+    .select('_id productCode barcode')
+    .limit(MAX_LABELS)
+    .lean();
+
+  const assigned = [];
+  for (const product of products) {
+    const barcode = await nextBarcode(shop);
+    await Product.updateOne({ _id: product._id }, { $set: { barcode, updatedBy: userId } });
+    cache.del(cache.productKey(product._id));
+    assigned.push({
+      productId: product._id,
+      productCode: product.productCode,
+      previousBarcode: product.barcode || null,
+      barcode,
+    });
+  }
+
+  if (assigned.length) {
+    cache.deletePattern(`products:${shopId}:*`);
+
+    await eventLogger.logActivity({
+      userId,
+      organizationId,
+      shopId,
+      action: 'assign_barcodes',
+      module: 'product',
+      description: `Barcodes assigned to ${assigned.length} products`,
+      level: 'info',
+      status: 'success',
+      metadata: { count: assigned.length, overwrite },
+    });
+  }
+
+  return { assigned: assigned.length, products: assigned };
+}
+
+// ─────────────────────────────────────────────
+// LABELS
+// ─────────────────────────────────────────────
+const OUTPUTS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  zpl: { contentType: 'text/plain; charset=utf-8', extension: 'zpl' },
+  tspl: { contentType: 'text/plain; charset=utf-8', extension: 'prn' },
+};
+
+/**
+ * Tags for the given products — PDF sheet ya thermal printer commands.
+ * Jin products ka barcode nahi hai unhe pehle assign ho jaata hai (tag pe code chahiye).
+ * @returns {Promise<{ content: Buffer|string, contentType: string, filename: string, count: number }>}
+ */
+export async function generateLabels(
+  shopId,
+  organizationId,
+  { productIds = [], format = 'pdf', size, copies = 1, showPrice } = {},
+  userId
+) {
+  if (!productIds.length) throw new ValidationError('Select at least one product to print');
+  if (productIds.length * copies > MAX_LABELS) {
+    throw new ValidationError(`Cannot print more than ${MAX_LABELS} labels at once`);
+  }
+
+  const shop = await findShop(shopId);
+
+  const missing = await Product.countDocuments({
+    _id: { $in: productIds },
+    shopId,
+    organizationId,
+    deletedAt: null,
+    $or: [{ barcode: null }, { barcode: '' }],
+  });
+  if (missing) await assignBarcodes(shopId, organizationId, { productIds }, userId);
+
+  const products = await Product.find({
+    _id: { $in: productIds },
+    shopId,
+    organizationId,
+    deletedAt: null,
+  })
+    .select('name productCode barcode huid metal weight pricing hallmarking')
+    .lean();
+  if (!products.length) throw new ProductNotFoundError('No products found to print');
+
+  // Request ke order me hi chhapo
+  const order = new Map(productIds.map((id, index) => [String(id), index]));
+  products.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+
+  const tagOptions = { showPrice: showPrice ?? shop.settings?.labelShowPrice ?? true };
+  const tags = products.map(p => buildTagData(p, shop, tagOptions));
+  const printOptions = {
+    size: resolveLabelSize(size || shop.settings?.labelSize),
+    barcodeType: shop.settings?.barcodeType || 'CODE128',
+    copies,
+  };
+
+  let content;
+  if (format === 'zpl') content = toZpl(tags, printOptions);
+  else if (format === 'tspl') content = toTspl(tags, printOptions);
+  else {
+    // PDF sheet pe copies = utne hi tag repeat
+    const repeated = tags.flatMap(tag => Array(copies).fill(tag));
+    content = await renderLabelSheet(repeated, printOptions);
+  }
+
+  const output = OUTPUTS[format] || OUTPUTS.pdf;
+
+  return {
+    content,
+    contentType: output.contentType,
+    filename: `labels-${Date.now()}.${output.extension}`,
+    count: tags.length * copies,
+  };
+}
+
+export default {
+  formatBarcode,
+  nextBarcode,
+  assertBarcodeAvailable,
+  toSaleItem,
+  scanProduct,
+  assignBarcodes,
+  generateLabels,
+};
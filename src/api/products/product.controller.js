@@ -1,4 +1,8 @@
 import * as productService from './product.service.js';
+import * as repricingService from './repricing.service.js';
+import * as labelService from './label.service.js';
+import * as trackingService from '../inventory/tracking.service.js';
+import * as importExportService from './importExport.service.js';
 import { validationResult } from 'express-validator';
 import {
   sendSuccess,
@@ -6,6 +10,8 @@ import {
   sendNoContent,
   sendValidationError,
   sendPaginated,
+  sendCSV,
+  sendExcel,
 } from '../../utils/sendResponse.js';
 import catchAsync from '../../utils/catchAsync.js';
 import { ValidationError } from '../../utils/AppError.js';
@@ -379,4 +385,309 @@ export const getProductAnalytics = catchAsync(async (req, res, next) => {
   };
 
   return sendSuccess(res, 200, 'Product analytics retrieved successfully', analytics);
-});
\ No newline at end of file
+});
+// ─────────────────────────────────────────────
+// REPRICING
+// ─────────────────────────────────────────────
+
+export const previewRepricing = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+  const { metalType, purity } = req.query;
+
+  const preview = await repricingService.previewRepricing(shopId, organizationId, {
+    metalType,
+    purity,
+  });
+
+  return sendSuccess(res, 200, 'Repricing preview generated successfully', preview);
+});
+
+export const applyRepricing = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.body.shopId;
+  const organizationId = req.user.organizationId;
+  const { metalType, purity } = req.body;
+
+  const run = await repricingService.applyRepricing(
+    shopId,
+    organizationId,
+    { trigger: 'manual', metalType, purity },
+    req.user._id
+  );
+
+  return sendSuccess(res, 200, 'Products repriced successfully', run);
+});
+
+export const getRepricingRuns = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { runs, total } = await repricingService.getRepricingRuns(shopId, organizationId, {
+    page,
+    limit,
+  });
+
+  return sendPaginated(res, runs, page, limit, total, 'Repricing runs retrieved successfully');
+});
+
+export const getRepricingRun = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const report = await repricingService.getRepricingRun(req.params.runId, shopId, organizationId);
+
+  return sendSuccess(res, 200, 'Repricing report retrieved successfully', report);
+});
+
+// ─────────────────────────────────────────────
+// PRICE LOCK / HISTORY
+// ─────────────────────────────────────────────
+
+export const lockPrice = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.body.shopId;
+  const organizationId = req.user.organizationId;
+
+  const product = await repricingService.lockPrice(
+    req.params.id,
+    shopId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  return sendSuccess(res, 200, 'Product price locked successfully', product);
+});
+
+export const unlockPrice = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.body.shopId;
+  const organizationId = req.user.organizationId;
+
+  const product = await repricingService.unlockPrice(
+    req.params.id,
+    shopId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  return sendSuccess(res, 200, 'Product price unlocked successfully', product);
+});
+
+export const getPriceHistory = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const result = await repricingService.getPriceHistory(req.params.id, shopId, organizationId, {
+    limit,
+  });
+
+  return sendSuccess(res, 200, 'Price history retrieved successfully', result);
+});
+
+// ─────────────────────────────────────────────
+// BARCODE / LABELS
+// ─────────────────────────────────────────────
+
+export const scanProduct = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const result = await labelService.scanProduct(shopId, organizationId, req.params.code);
+
+  return sendSuccess(res, 200, 'Product found', result);
+});
+
+export const assignBarcodes = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.body.shopId;
+  const organizationId = req.user.organizationId;
+  const { productIds = [], overwrite = false } = req.body;
+
+  const result = await labelService.assignBarcodes(
+    shopId,
+    organizationId,
+    { productIds, overwrite },
+    req.user._id
+  );
+
+  return sendSuccess(res, 200, `Barcodes assigned to ${result.assigned} products`, result);
+});
+
+export const generateLabels = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.body.shopId;
+  const organizationId = req.user.organizationId;
+  const { productIds, format, size, copies, showPrice } = req.body;
+
+  const labels = await labelService.generateLabels(
+    shopId,
+    organizationId,
+    { productIds, format, size, copies, showPrice },
+    req.user._id
+  );
+
+  res.setHeader('Content-Type', labels.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${labels.filename}"`);
+  res.setHeader('X-Label-Count', String(labels.count));
+  return res.send(labels.content);
+});
+
+// ─────────────────────────────────────────────
+// BATCH / SERIAL TRACKING
+// ─────────────────────────────────────────────
+
+export const getStockValuation = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const result = await trackingService.getStockValuation(shopId, organizationId, {
+    categoryId: req.query.categoryId,
+    metalType: req.query.metalType,
+  });
+
+  return sendSuccess(res, 200, 'Stock valuation retrieved successfully', result);
+});
+
+export const traceSerial = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const organizationId = req.user.organizationId;
+
+  const result = await trackingService.traceSerial(organizationId, req.params.serialNumber);
+
+  return sendSuccess(res, 200, 'Serial number history retrieved successfully', result);
+});
+
+export const getProductBatches = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const result = await productService.getProductBatches(req.params.id, shopId, organizationId, {
+    status: req.query.status,
+  });
+
+  return sendSuccess(res, 200, 'Product batches retrieved successfully', result);
+});
+
+export const getProductSerials = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const result = await productService.getProductSerials(req.params.id, shopId, organizationId, {
+    status: req.query.status,
+  });
+
+  return sendSuccess(res, 200, 'Product serial numbers retrieved successfully', result);
+});
+
+// Body me raw file (CSV / XLSX) — dryRun default true, asli import ke liye ?dryRun=false
+export const importProducts = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+  const dryRun = req.query.dryRun !== 'false';
+
+  const report = await importExportService.importProducts(
+    shopId,
+    organizationId,
+    Buffer.isBuffer(req.body) ? req.body : null,
+    { dryRun },
+    req.user._id
+  );
+
+  return sendSuccess(
+    res,
+    dryRun ? 200 : 201,
+    dryRun ? 'Import file validated' : `${report.created} products imported`,
+    report
+  );
+});
+
+export const exportProducts = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+
+  const shopId = req.params.shopId || req.query.shopId;
+  const organizationId = req.user.organizationId;
+
+  const file = await importExportService.exportProducts(shopId, organizationId, req.query);
+
+  return file.format === 'xlsx'
+    ? sendExcel(res, file.content, file.fileName)
+    : sendCSV(res, file.content, file.fileName);
+});
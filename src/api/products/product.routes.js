@@ -14,8 +14,24 @@ import {
   getLowStockValidation,
   bulkDeleteValidation,
   bulkUpdateStatusValidation,
+  repricingPreviewValidation,
+  applyRepricingValidation,
+  getRepricingRunsValidation,
+  getRepricingRunValidation,
+  lockPriceValidation,
+  unlockPriceValidation,
+  getPriceHistoryValidation,
+  scanProductValidation,
+  assignBarcodesValidation,
+  generateLabelsValidation,
+  getProductBatchesValidation,
+  getProductSerialsValidation,
+  traceSerialValidation,
+  stockValuationValidation,
+  importProductsValidation,
+  exportProductsValidation,
 } from './product.validation.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
 import { restrictTo } from '../middlewares/restrictTo.js';
 import {
   checkShopAccess,
@@ -24,9 +40,11 @@ import {
 } from '../middlewares/checkShopAccess.js';
 import { rateLimiter } from '../middlewares/rateLimiter.js';
 import { PERMISSIONS } from '../../config/permission.constants.js';
-const router = express.Router();
+// mergeParams — :shopId mount path se (repricing / price lock isi pe chalte hain)
+const router = express.Router({ mergeParams: true });
 
 router.use(authenticate);
+router.use(requireFeature('inventoryManagement'));
 
 // POST /api/v1/shops/:shopId/products
 router.post(
@@ -82,6 +100,140 @@ router.get(
   productController.getProductAnalytics
 );
 
+// GET /api/v1/shops/:shopId/products/scan/:code — barcode / QR / HUID se product, sale ke liye
+router.get(
+  '/scan/:code',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant', 'user'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 300, windowMs: 60000 }),
+  scanProductValidation,
+  productController.scanProduct
+);
+
+// GET /api/v1/shops/:shopId/products/stock-valuation — cost pe, batch products batch-wise
+router.get(
+  '/stock-valuation',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  stockValuationValidation,
+  productController.getStockValuation
+);
+
+// Sheet upload raw body me aata hai — multipart nahi
+const importFileParser = express.raw({
+  type: [
+    'text/csv',
+    'application/csv',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream',
+  ],
+  limit: '5mb',
+});
+
+// POST /api/v1/shops/:shopId/products/import?dryRun=true — CSV / XLSX, row-wise errors
+router.post(
+  '/import',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.IMPORT_PRODUCTS),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  importFileParser,
+  importProductsValidation,
+  productController.importProducts
+);
+
+// GET /api/v1/shops/:shopId/products/export?format=csv|xlsx — import wale columns, filters
+router.get(
+  '/export',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EXPORT_PRODUCTS),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  exportProductsValidation,
+  productController.exportProducts
+);
+
+// GET /api/v1/shops/:shopId/products/serials/:serialNumber — piece ki poori history
+router.get(
+  '/serials/:serialNumber',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 100, windowMs: 60000 }),
+  traceSerialValidation,
+  productController.traceSerial
+);
+
+// POST /api/v1/shops/:shopId/products/barcodes/assign
+router.post(
+  '/barcodes/assign',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_INVENTORY),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  assignBarcodesValidation,
+  productController.assignBarcodes
+);
+
+// POST /api/v1/shops/:shopId/products/labels — PDF sheet / ZPL / TSPL
+router.post(
+  '/labels',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  generateLabelsValidation,
+  productController.generateLabels
+);
+
+// GET /api/v1/shops/:shopId/products/repricing/preview
+router.get(
+  '/repricing/preview',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkAnyPermission([PERMISSIONS.EDIT_INVENTORY, PERMISSIONS.MANAGE_METAL_RATES]),
+  rateLimiter({ max: 20, windowMs: 60000 }),
+  repricingPreviewValidation,
+  productController.previewRepricing
+);
+
+// POST /api/v1/shops/:shopId/products/repricing
+router.post(
+  '/repricing',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkAnyPermission([PERMISSIONS.EDIT_INVENTORY, PERMISSIONS.MANAGE_METAL_RATES]),
+  rateLimiter({ max: 5, windowMs: 60000 }),
+  applyRepricingValidation,
+  productController.applyRepricing
+);
+
+// GET /api/v1/shops/:shopId/products/repricing/runs
+router.get(
+  '/repricing/runs',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getRepricingRunsValidation,
+  productController.getRepricingRuns
+);
+
+// GET /api/v1/shops/:shopId/products/repricing/runs/:runId
+router.get(
+  '/repricing/runs/:runId',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getRepricingRunValidation,
+  productController.getRepricingRun
+);
+
 // GET /api/v1/shops/:shopId/products/:id
 router.get(
   '/:id',
@@ -136,6 +288,28 @@ router.get(
   productController.getProductHistory
 );
 
+// GET /api/v1/shops/:shopId/products/:id/batches
+router.get(
+  '/:id/batches',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getProductBatchesValidation,
+  productController.getProductBatches
+);
+
+// GET /api/v1/shops/:shopId/products/:id/serials
+router.get(
+  '/:id/serials',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getProductSerialsValidation,
+  productController.getProductSerials
+);
+
 // PATCH /api/v1/shops/:shopId/products/:id/reserve
 router.patch(
   '/:id/reserve',
@@ -179,6 +353,39 @@ router.post(
   productController.calculatePrice
 );
 
+// GET /api/v1/shops/:shopId/products/:id/price-history
+router.get(
+  '/:id/price-history',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  getPriceHistoryValidation,
+  productController.getPriceHistory
+);
+
+// PATCH /api/v1/shops/:shopId/products/:id/price-lock
+router.patch(
+  '/:id/price-lock',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  lockPriceValidation,
+  productController.lockPrice
+);
+
+// DELETE /api/v1/shops/:shopId/products/:id/price-lock
+router.delete(
+  '/:id/price-lock',
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_INVENTORY),
+  rateLimiter({ max: 30, windowMs: 60000 }),
+  unlockPriceValidation,
+  productController.unlockPrice
+);
+
 // POST /api/v1/shops/:shopId/products/bulk-delete
 router.post(
   '/bulk-delete',
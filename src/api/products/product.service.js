@@ -1,5 +1,6 @@
 import Product from '../../models/Product.js';
 import MetalRate from '../../models/MetalRate.js';
+import PriceHistory from '../../models/PriceHistory.js';
 import InventoryTransaction from '../../models/InventoryTransaction.js';
 import JewelryShop from '../../models/Shop.js';
 import { adjustStock } from '../inventory/inventory.service.js';
@@ -13,10 +14,13 @@ import {
 } from '../../utils/AppError.js';
 import Category from '../../models/Category.js';
 import eventBus from '../../eventBus.js';
+import { assertWithinLimit } from '../../subscription/entitlements.js';
+import { nextBarcode, assertBarcodeAvailable } from './label.service.js';
+import * as trackingService from '../inventory/tracking.service.js';
 // ─────────────────────────────────────────────
 // HELPER - Custom Metal Rate Build
 // ─────────────────────────────────────────────
-function buildCustomRates(metalType, customRate) {
+export function buildCustomRates(metalType, customRate) {
   return {
     gold: {
       gold24K: { sellingRate: customRate, buyingRate: customRate },
@@ -41,6 +45,8 @@ function buildCustomRates(metalType, customRate) {
 // CREATE
 // ─────────────────────────────────────────────
 export async function createProduct(productData, shopId, organizationId, userId) {
+  await assertWithinLimit(organizationId, 'products');
+
   const productCode = await Product.generateProductCode(shopId, 'PRD');
 
 // Shop fetch karo - GST + wastage + markup settings ke liye
@@ -135,6 +141,13 @@ const netWeight   = Math.max(0, baseNet - wastageWt);
     if (!subCategoryExists) throw new ValidationError('Invalid subcategory selected');
   }
 
+  // Barcode — diya hai to shop me unique, warna enableBarcode pe auto
+  if (productData.barcode) {
+    await assertBarcodeAvailable(shop, productData.barcode);
+  } else if (shop?.settings?.enableBarcode) {
+    productData.barcode = await nextBarcode(shop);
+  }
+
 const product = await Product.create({
   organizationId,
   shopId,
@@ -380,7 +393,19 @@ export async function updateProduct(productId, shopId, organizationId, updateDat
 
   if (updateData.productCode) delete updateData.productCode;
 
-  if (updateData.weight?.grossWeight || updateData.weight?.stoneWeight || updateData.makingCharges) {
+  if (updateData.barcode && updateData.barcode !== product.barcode) {
+    const shop = await JewelryShop.findById(shopId).select('settings').lean();
+    await assertBarcodeAvailable({ ...shop, _id: shopId }, updateData.barcode, product._id);
+  }
+
+  // Locked price weight / making badalne pe bhi wahi rehta hai
+  const priceLocked = product.pricing?.priceLock?.isLocked;
+  if (updateData.pricing?.priceLock) delete updateData.pricing.priceLock;
+
+  if (
+    !priceLocked &&
+    (updateData.weight?.grossWeight || updateData.weight?.stoneWeight || updateData.makingCharges)
+  ) {
     const metalRates = await MetalRate.getCurrentRate(shopId);
     if (metalRates) {
       const pricing = await calculateProductPrice({ ...product.toObject(), ...updateData }, metalRates);
@@ -685,8 +710,12 @@ export async function recalculatePrice(productId, shopId, organizationId, priceD
     _id: productId, shopId, organizationId, deletedAt: null,
   });
   if (!product) throw new ProductNotFoundError('Product not found');
+  if (product.pricing.priceLock?.isLocked) {
+    throw new ValidationError('Product price is locked. Unlock it before recalculating.');
+  }
 
-  const oldPrice = product.pricing.sellingPrice;
+  const oldPrice    = product.pricing.sellingPrice;
+  const oldMetalRate = product.pricing.metalRate;
 
   let metalRates;
   if (useCurrentRate) {
@@ -709,12 +738,38 @@ export async function recalculatePrice(productId, shopId, organizationId, priceD
     throw new ValidationError('Either useCurrentRate or customRate must be provided');
   }
 
-  await product.calculatePrice(metalRates);
+  // Wahi calculation jo create + repricing run me hai
+  const pricing = await calculateProductPrice(product.toObject(), metalRates);
+  Object.assign(product.pricing, pricing, {
+    isCustomRate:   !useCurrentRate,
+    lastRepricedAt: new Date(),
+  });
+  product.makingCharges.amount = pricing.makingCharges;
+  product.updatedBy            = userId;
+  await product.save();
 
   const newPrice             = product.pricing.sellingPrice;
   const difference           = newPrice - oldPrice;
   const differencePercentage = oldPrice > 0 ? (difference / oldPrice) * 100 : 0;
 
+  await PriceHistory.create({
+    organizationId, shopId,
+    productId:    product._id,
+    productCode:  product.productCode,
+    productName:  product.name,
+    metalType:    product.metal.type,
+    purity:       product.metal.purity,
+    netWeight:    product.weight.netWeight,
+    source:       'recalculate',
+    metalRateId:  useCurrentRate ? metalRates._id : null,
+    oldMetalRate,
+    newMetalRate: pricing.metalRate,
+    oldPrice, newPrice, difference,
+    differencePercentage: parseFloat(differencePercentage.toFixed(2)),
+    changedBy:    userId,
+    notes:        useCurrentRate ? null : 'Custom rate',
+  });
+
   cache.del(cache.productKey(productId));
 
   await eventLogger.logProduct(
@@ -790,12 +845,61 @@ export async function getProductHistory(productId, shopId, organizationId, limit
 
   const history = await InventoryTransaction.getProductHistory(productId, limit);
 
+  // Batch product — har movement ki batchAllocations ke saath batch-wise received / nikla / bacha
+  const batches =
+    product.inventoryTracking === 'batch'
+      ? (await trackingService.getProductBatches(productId, shopId)).map(batch => ({
+          _id: batch._id,
+          batchNumber: batch.batchNumber,
+          supplierBatchNumber: batch.supplierBatchNumber,
+          supplierName: batch.supplierName,
+          source: batch.source,
+          receivedAt: batch.receivedAt,
+          receivedQuantity: batch.receivedQuantity,
+          consumedQuantity: batch.receivedQuantity - batch.remainingQuantity,
+          remainingQuantity: batch.remainingQuantity,
+          remainingGrossWeight: batch.remainingGrossWeight,
+          costPerUnit: batch.costPerUnit,
+          status: batch.status,
+        }))
+      : [];
+
   return {
-    product: { _id: product._id, name: product.name, productCode: product.productCode },
+    product: {
+      _id: product._id,
+      name: product.name,
+      productCode: product.productCode,
+      inventoryTracking: product.inventoryTracking,
+    },
     history,
+    batches,
   };
 }
 
+// ─────────────────────────────────────────────
+// BATCH / SERIAL TRACKING
+// ─────────────────────────────────────────────
+async function findTrackedProduct(productId, shopId, organizationId) {
+  const product = await Product.findOne({ _id: productId, shopId, organizationId })
+    .setOptions({ includeDeleted: true })
+    .select('name productCode inventoryTracking stock')
+    .lean();
+  if (!product) throw new ProductNotFoundError('Product not found');
+  return product;
+}
+
+export async function getProductBatches(productId, shopId, organizationId, filters = {}) {
+  const product = await findTrackedProduct(productId, shopId, organizationId);
+  const batches = await trackingService.getProductBatches(productId, shopId, filters);
+  return { product, batches };
+}
+
+export async function getProductSerials(productId, shopId, organizationId, filters = {}) {
+  const product = await findTrackedProduct(productId, shopId, organizationId);
+  const serials = await trackingService.getProductSerials(productId, shopId, filters);
+  return { product, serials };
+}
+
 // ─────────────────────────────────────────────
 // BULK DELETE / UPDATE STATUS
 // ─────────────────────────────────────────────
@@ -475,3 +475,182 @@ export const bulkUpdateStatusValidation = [
     .isIn(['in_stock', 'out_of_stock', 'low_stock', 'on_order', 'discontinued'])
     .withMessage('Invalid status'),
 ];
+
+// REPRICING / PRICE LOCK VALIDATION
+
+const repricingScope = [
+  body('metalType')
+    .optional()
+    .isIn(['gold', 'silver', 'platinum'])
+    .withMessage('Metal type must be gold, silver or platinum'),
+
+  body('purity')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Purity must be between 1 and 20 characters'),
+];
+
+export const repricingPreviewValidation = [
+  query('metalType')
+    .optional()
+    .isIn(['gold', 'silver', 'platinum'])
+    .withMessage('Metal type must be gold, silver or platinum'),
+
+  query('purity')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Purity must be between 1 and 20 characters'),
+];
+
+export const applyRepricingValidation = [...repricingScope];
+
+export const getRepricingRunsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+export const getRepricingRunValidation = [param('runId').custom(isValidObjectId)];
+
+export const lockPriceValidation = [
+  param('id').custom(isValidObjectId),
+
+  body('lockedPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Locked price must be a positive number')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters'),
+];
+
+export const unlockPriceValidation = [
+  param('id').custom(isValidObjectId),
+
+  body('reprice').optional().isBoolean().withMessage('reprice must be boolean').toBoolean(),
+];
+
+export const getPriceHistoryValidation = [
+  param('id').custom(isValidObjectId),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+];
+
+export const scanProductValidation = [
+  param('code')
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Scan code must be between 1 and 64 characters'),
+];
+
+export const assignBarcodesValidation = [
+  body('productIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('productIds must be an array of at most 500 products'),
+
+  body('productIds.*').custom(isValidObjectId),
+
+  body('overwrite').optional().isBoolean().withMessage('overwrite must be boolean').toBoolean(),
+];
+
+export const generateLabelsValidation = [
+  body('productIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('productIds must be an array of 1 to 500 products'),
+
+  body('productIds.*').custom(isValidObjectId),
+
+  body('format')
+    .optional()
+    .isIn(['pdf', 'zpl', 'tspl'])
+    .withMessage('Format must be pdf, zpl or tspl'),
+
+  body('size')
+    .optional()
+    .isIn(['tag_95x12', 'label_50x25', 'label_38x25'])
+    .withMessage('Invalid label size'),
+
+  body('copies')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Copies must be between 1 and 10')
+    .toInt(),
+
+  body('showPrice').optional().isBoolean().withMessage('showPrice must be boolean').toBoolean(),
+];
+
+export const getProductBatchesValidation = [
+  param('id').custom(isValidObjectId),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'exhausted'])
+    .withMessage('Status must be active or exhausted'),
+];
+
+export const getProductSerialsValidation = [
+  param('id').custom(isValidObjectId),
+
+  query('status')
+    .optional()
+    .isIn(['in_stock', 'sold', 'in_transit', 'written_off', 'returned_to_supplier'])
+    .withMessage('Invalid serial status'),
+];
+
+export const traceSerialValidation = [
+  param('serialNumber')
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Serial number must be between 1 and 64 characters'),
+];
+
+export const stockValuationValidation = [
+  query('categoryId').optional().custom(isValidObjectId),
+
+  query('metalType')
+    .optional()
+    .isIn(['gold', 'silver', 'platinum', 'diamond', 'gemstone', 'mixed'])
+    .withMessage('Invalid metal type'),
+];
+
+export const importProductsValidation = [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+];
+
+export const exportProductsValidation = [
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+
+  query('category').optional().custom(isValidObjectId).withMessage('Invalid category ID'),
+
+  query('metalType')
+    .optional()
+    .isIn(['gold', 'silver', 'platinum', 'diamond', 'gemstone', 'mixed'])
+    .withMessage('Invalid metal type'),
+
+  query('purity').optional().isString().withMessage('Purity must be a string'),
+
+  query('status')
+    .optional()
+    .isIn(['in_stock', 'out_of_stock', 'low_stock', 'on_order', 'discontinued', 'sold'])
+    .withMessage('Invalid status'),
+
+  query('saleStatus')
+    .optional()
+    .isIn(['available', 'reserved', 'sold', 'on_hold', 'returned'])
+    .withMessage('Invalid sale status'),
+
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+];
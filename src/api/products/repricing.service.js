@@ -0,0 +1,549 @@
+// FILE: src/api/products/repricing.service.js
+// Metal rate badalne pe in-stock products ka price naye rate se. Rate change
+// (METAL_RATE_UPDATED) pe listener chalata hai, manager preview dekh ke haath se
+// bhi chala sakta hai. Har badla hua price PriceHistory me, run ki summary
+// RepricingRun me. Locked products ko koi run nahi chhoota.
+
+import Product from '../../models/Product.js';
+import MetalRate from '../../models/MetalRate.js';
+import PriceHistory from '../../models/PriceHistory.js';
+import RepricingRun from '../../models/RepricingRun.js';
+import JewelryShop from '../../models/Shop.js';
+import { calculateProductPrice } from './product.service.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+import cache from '../../utils/cache.js';
+import { NotFoundError, ProductNotFoundError, ValidationError } from '../../utils/AppError.js';
+
+export const REPRICEABLE_METALS = ['gold', 'silver', 'platinum'];
+
+// Display pe rakha maal — low_stock bhi showroom me hai
+const REPRICEABLE_STATUSES = ['in_stock', 'low_stock'];
+
+const BATCH_SIZE = 200;
+const PREVIEW_ROW_LIMIT = 500;
+
+const round2 = value => Math.round((value || 0) * 100) / 100;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+// Har metal ke woh rates jinse product price banta hai (custom purities bhi)
+const rateSignature = (rate, metalType) => {
+  if (!rate) return null;
+
+  const custom = (rate.customPurities || [])
+    .filter(cp => cp.metalType === metalType && cp.isActive)
+    .map(cp => `${cp.purityName}:${cp.sellingRate}`)
+    .sort()
+    .join('|');
+
+  if (metalType === 'gold') {
+    const { gold24K, gold22K, gold18K, gold14K } = rate.gold || {};
+    return [gold24K, gold22K, gold18K, gold14K].map(r => r?.sellingRate ?? 0).join('|') + custom;
+  }
+  if (metalType === 'silver') {
+    const { pure, sterling925 } = rate.silver || {};
+    return [pure, sterling925].map(r => r?.sellingRate ?? 0).join('|') + custom;
+  }
+  return `${rate.platinum?.sellingRate ?? 0}${custom}`;
+};
+
+/**
+ * Metals whose selling rates differ between two MetalRate docs. No previous
+ * rate → every metal counts as changed.
+ */
+export const changedMetalTypes = (previousRate, newRate) =>
+  REPRICEABLE_METALS.filter(
+    metalType =>
+      !previousRate || rateSignature(previousRate, metalType) !== rateSignature(newRate, metalType)
+  );
+
+/**
+ * One diff row: current tag price vs. what the given pricing says.
+ * @param {Object} product - lean Product
+ * @param {Object} pricing - calculateProductPrice() output
+ */
+export const diffLine = (product, pricing) => {
+  const lock = product.pricing?.priceLock;
+  const locked = Boolean(lock?.isLocked);
+  const oldPrice = product.pricing?.sellingPrice || 0;
+  const newPrice = locked ? oldPrice : pricing.sellingPrice;
+  const difference = newPrice - oldPrice;
+
+  return {
+    productId: product._id,
+    productCode: product.productCode,
+    name: product.name,
+    metalType: product.metal?.type,
+    purity: product.metal?.purity,
+    netWeight: product.weight?.netWeight || 0,
+    quantity: product.stock?.quantity || 0,
+    oldMetalRate: product.pricing?.metalRate || 0,
+    newMetalRate: locked ? product.pricing?.metalRate || 0 : pricing.metalRate,
+    oldPrice: round2(oldPrice),
+    newPrice: round2(newPrice),
+    difference: round2(difference),
+    differencePercentage: oldPrice > 0 ? round2((difference / oldPrice) * 100) : 0,
+    locked,
+    changed: !locked && Math.abs(difference) >= 0.01,
+  };
+};
+
+export const summarizeDiff = lines =>
+  lines.reduce(
+    (summary, line) => {
+      summary.considered += 1;
+      if (line.locked) summary.locked += 1;
+      else if (line.changed) summary.repriced += 1;
+      else summary.unchanged += 1;
+
+      summary.oldStockValue = round2(summary.oldStockValue + line.oldPrice * line.quantity);
+      summary.newStockValue = round2(summary.newStockValue + line.newPrice * line.quantity);
+      summary.difference = round2(summary.newStockValue - summary.oldStockValue);
+      return summary;
+    },
+    {
+      considered: 0,
+      repriced: 0,
+      unchanged: 0,
+      locked: 0,
+      failed: 0,
+      oldStockValue: 0,
+      newStockValue: 0,
+      difference: 0,
+    }
+  );
+
+const scopeQuery = (shopId, organizationId, { metalTypes, purity }) => {
+  const query = {
+    shopId,
+    organizationId,
+    deletedAt: null,
+    isActive: true,
+    status: { $in: REPRICEABLE_STATUSES },
+    saleStatus: { $ne: 'sold' },
+    'metal.type': { $in: metalTypes?.length ? metalTypes : REPRICEABLE_METALS },
+  };
+  if (purity) query['metal.purity'] = purity;
+  return query;
+};
+
+const PRODUCT_FIELDS =
+  'productCode name metal weight makingCharges stones pricing stock.quantity organizationId shopId';
+
+const loadCurrentRate = async shopId => {
+  const metalRates = await MetalRate.getCurrentRate(shopId);
+  if (!metalRates) {
+    throw new ValidationError("No current metal rate found. Please update today's rates.");
+  }
+  return metalRates;
+};
+
+const normalizeScope = ({ metalType, metalTypes, purity } = {}) => ({
+  metalTypes: metalTypes || (metalType ? [metalType] : [...REPRICEABLE_METALS]),
+  purity: purity || null,
+});
+
+// ─── Preview ───────────────────────────────────────────────────────────────────
+
+/**
+ * What a repricing run would do right now — nothing is written.
+ * @param {Object} scope - { metalType?, purity? }
+ */
+export const previewRepricing = async (shopId, organizationId, scope = {}) => {
+  const { metalTypes, purity } = normalizeScope(scope);
+  const metalRates = await loadCurrentRate(shopId);
+
+  const products = await Product.find(scopeQuery(shopId, organizationId, { metalTypes, purity }))
+    .select(PRODUCT_FIELDS)
+    .sort({ 'metal.type': 1, 'metal.purity': 1, productCode: 1 })
+    .lean();
+
+  const lines = [];
+  for (const product of products) {
+    lines.push(diffLine(product, await calculateProductPrice(product, metalRates)));
+  }
+
+  const changes = lines.filter(line => line.changed || line.locked);
+
+  return {
+    metalRateId: metalRates._id,
+    rateDate: metalRates.rateDate,
+    scope: { metalTypes, purity },
+    summary: summarizeDiff(lines),
+    lines: changes.slice(0, PREVIEW_ROW_LIMIT),
+    truncated: changes.length > PREVIEW_ROW_LIMIT,
+  };
+};
+
+// ─── Apply ─────────────────────────────────────────────────────────────────────
+
+const pricingUpdate = (pricing, now) => ({
+  'pricing.metalRate': pricing.metalRate,
+  'pricing.metalValue': pricing.metalValue,
+  'pricing.stoneValue': pricing.stoneValue,
+  'pricing.makingCharges': pricing.makingCharges,
+  'pricing.otherCharges': pricing.otherCharges,
+  'pricing.subtotal': pricing.subtotal,
+  'pricing.discount.amount': pricing.discount.amount,
+  'pricing.gst.amount': pricing.gst.amount,
+  'pricing.totalPrice': pricing.totalPrice,
+  'pricing.sellingPrice': pricing.sellingPrice,
+  'pricing.isCustomRate': false,
+  'pricing.customRateNote': null,
+  'pricing.lastRepricedAt': now,
+  'makingCharges.amount': pricing.makingCharges,
+});
+
+const applyBatch = async (batch, metalRates, run, userId) => {
+  const now = new Date();
+  const writes = [];
+  const history = [];
+  const lines = [];
+
+  for (const product of batch) {
+    const pricing = await calculateProductPrice(product, metalRates);
+    const line = diffLine(product, pricing);
+    lines.push(line);
+    if (!line.changed) continue;
+
+    writes.push({
+      updateOne: {
+        // Lock beech me lag gaya ho to bhi mat chhuo
+        filter: { _id: product._id, 'pricing.priceLock.isLocked': { $ne: true } },
+        update: { $set: pricingUpdate(pricing, now) },
+      },
+    });
+    history.push({
+      organizationId: product.organizationId,
+      shopId: product.shopId,
+      productId: product._id,
+      productCode: product.productCode,
+      productName: product.name,
+      metalType: line.metalType,
+      purity: line.purity,
+      netWeight: line.netWeight,
+      source: run.trigger === 'manual' ? 'manual_repricing' : 'metal_rate_change',
+      runId: run._id,
+      metalRateId: metalRates._id,
+      oldMetalRate: line.oldMetalRate,
+      newMetalRate: line.newMetalRate,
+      oldPrice: line.oldPrice,
+      newPrice: line.newPrice,
+      difference: line.difference,
+      differencePercentage: line.differencePercentage,
+      changedBy: userId || null,
+    });
+  }
+
+  if (writes.length) {
+    await Product.bulkWrite(writes, { ordered: false });
+    await PriceHistory.insertMany(history, { ordered: false });
+  }
+
+  return lines;
+};
+
+/**
+ * Reprice every in-stock product in scope against the shop's current rate,
+ * BATCH_SIZE at a time. A failing batch is counted and skipped, the run goes on.
+ * @param {Object} options
+ * @param {'metal_rate_change'|'manual'} options.trigger
+ * @param {string[]} [options.metalTypes] - default all three metals
+ * @param {string} [options.purity]
+ */
+export const applyRepricing = async (
+  shopId,
+  organizationId,
+  { trigger = 'manual', metalType, metalTypes, purity } = {},
+  userId = null
+) => {
+  const scope = normalizeScope({ metalType, metalTypes, purity });
+  const metalRates = await loadCurrentRate(shopId);
+
+  const run = await RepricingRun.create({
+    organizationId,
+    shopId,
+    trigger,
+    metalRateId: metalRates._id,
+    scope,
+    startedBy: userId,
+  });
+
+  const lines = [];
+  let failed = 0;
+
+  try {
+    const cursor = Product.find(scopeQuery(shopId, organizationId, scope))
+      .select(PRODUCT_FIELDS)
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    const flush = async () => {
+      try {
+        lines.push(...(await applyBatch(batch, metalRates, run, userId)));
+      } catch (error) {
+        failed += batch.length;
+        logger.error('Repricing batch failed', { runId: run._id, error: error.message });
+      }
+      batch = [];
+    };
+
+    for await (const product of cursor) {
+      batch.push(product);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length) await flush();
+
+    run.summary = { ...summarizeDiff(lines), failed };
+    run.status = 'completed';
+  } catch (error) {
+    run.summary = { ...summarizeDiff(lines), failed };
+    run.status = 'failed';
+    run.error = error.message;
+    logger.error('Repricing run failed', { runId: run._id, error: error.message });
+  }
+
+  run.completedAt = new Date();
+  await run.save();
+
+  cache.deletePattern(`products:${shopId}:*`);
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'reprice',
+    module: 'product',
+    description: `Repriced ${run.summary.repriced} of ${run.summary.considered} products (${scope.metalTypes.join(', ')})`,
+    level: run.status === 'completed' ? 'info' : 'error',
+    metadata: { runId: run._id, trigger, metalRateId: metalRates._id, summary: run.summary },
+  });
+
+  return run;
+};
+
+/**
+ * METAL_RATE_UPDATED listener ke liye — sirf jin metals ka rate badla unhi ka run,
+ * aur shop ne auto-repricing band kiya ho to kuch nahi.
+ */
+export const repriceOnRateChange = async ({
+  shopId,
+  organizationId,
+  metalRate,
+  previousRate,
+  userId,
+}) => {
+  const shop = await JewelryShop.findById(shopId).select('settings.autoRepriceOnRateChange').lean();
+  if (shop?.settings?.autoRepriceOnRateChange === false) return null;
+
+  const metalTypes = changedMetalTypes(previousRate, metalRate);
+  if (!metalTypes.length) return null;
+
+  return applyRepricing(
+    shopId,
+    organizationId,
+    { trigger: 'metal_rate_change', metalTypes },
+    userId
+  );
+};
+
+// ─── Runs / Report ─────────────────────────────────────────────────────────────
+
+export const getRepricingRuns = async (shopId, organizationId, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+  const query = { shopId, organizationId };
+
+  const [runs, total] = await Promise.all([
+    RepricingRun.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('startedBy', 'firstName lastName')
+      .lean(),
+    RepricingRun.countDocuments(query),
+  ]);
+
+  return { runs, total, page, limit };
+};
+
+// Diff report — run summary + har badle product ki line
+export const getRepricingRun = async (runId, shopId, organizationId) => {
+  const run = await RepricingRun.findOne({ _id: runId, shopId, organizationId })
+    .populate('startedBy', 'firstName lastName')
+    .lean();
+  if (!run) throw new NotFoundError('Repricing run not found');
+
+  const lines = await PriceHistory.find({ runId: run._id })
+    .select(
+      'productId productCode productName metalType purity netWeight oldMetalRate newMetalRate oldPrice newPrice difference differencePercentage'
+    )
+    .sort({ metalType: 1, purity: 1, productCode: 1 })
+    .lean();
+
+  return { run, lines };
+};
+
+// ─── Price Lock ────────────────────────────────────────────────────────────────
+
+const findProduct = async (productId, shopId, organizationId) => {
+  const product = await Product.findOne({
+    _id: productId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  });
+  if (!product) throw new ProductNotFoundError('Product not found');
+  return product;
+};
+
+const lockHistory = (product, source, oldPrice, userId, notes) => ({
+  organizationId: product.organizationId,
+  shopId: product.shopId,
+  productId: product._id,
+  productCode: product.productCode,
+  productName: product.name,
+  metalType: product.metal?.type,
+  purity: product.metal?.purity,
+  netWeight: product.weight?.netWeight || 0,
+  source,
+  oldMetalRate: product.pricing.metalRate,
+  newMetalRate: product.pricing.metalRate,
+  oldPrice: round2(oldPrice),
+  newPrice: round2(product.pricing.sellingPrice),
+  difference: round2(product.pricing.sellingPrice - oldPrice),
+  differencePercentage:
+    oldPrice > 0 ? round2(((product.pricing.sellingPrice - oldPrice) / oldPrice) * 100) : 0,
+  changedBy: userId,
+  notes,
+});
+
+/**
+ * Fix the tag price. Without `lockedPrice` the current selling price is frozen.
+ */
+export const lockPrice = async (
+  productId,
+  shopId,
+  organizationId,
+  { lockedPrice, reason },
+  userId
+) => {
+  const product = await findProduct(productId, shopId, organizationId);
+  const oldPrice = product.pricing.sellingPrice;
+  const price = lockedPrice ?? oldPrice;
+
+  product.pricing.priceLock = {
+    isLocked: true,
+    lockedPrice: price,
+    reason,
+    lockedBy: userId,
+    lockedAt: new Date(),
+  };
+  product.pricing.sellingPrice = price;
+  product.updatedBy = userId;
+  await product.save();
+
+  await PriceHistory.create(lockHistory(product, 'price_lock', oldPrice, userId, reason));
+
+  cache.del(cache.productKey(productId));
+  cache.deletePattern(`products:${shopId}:*`);
+
+  await eventLogger.logProduct(
+    userId,
+    organizationId,
+    shopId,
+    'price_lock',
+    product._id,
+    `Locked price of ${product.name} at ${price}`,
+    { oldPrice, lockedPrice: price, reason }
+  );
+
+  return product;
+};
+
+/**
+ * Remove the lock. `reprice: true` prices the product at today's rate straight away,
+ * otherwise the locked price stays until the next run.
+ */
+export const unlockPrice = async (
+  productId,
+  shopId,
+  organizationId,
+  { reprice = false } = {},
+  userId
+) => {
+  const product = await findProduct(productId, shopId, organizationId);
+  if (!product.pricing.priceLock?.isLocked) {
+    throw new ValidationError('Product price is not locked');
+  }
+
+  const oldPrice = product.pricing.sellingPrice;
+  product.pricing.priceLock = {
+    isLocked: false,
+    lockedPrice: null,
+    lockedBy: null,
+    lockedAt: null,
+  };
+
+  if (reprice) {
+    const metalRates = await loadCurrentRate(shopId);
+    const pricing = await calculateProductPrice(product.toObject(), metalRates);
+    Object.assign(product.pricing, pricing, { isCustomRate: false, lastRepricedAt: new Date() });
+    product.makingCharges.amount = pricing.makingCharges;
+  }
+
+  product.updatedBy = userId;
+  await product.save();
+
+  await PriceHistory.create(lockHistory(product, 'price_unlock', oldPrice, userId));
+
+  cache.del(cache.productKey(productId));
+  cache.deletePattern(`products:${shopId}:*`);
+
+  await eventLogger.logProduct(
+    userId,
+    organizationId,
+    shopId,
+    'price_unlock',
+    product._id,
+    `Unlocked price of ${product.name}`,
+    { oldPrice, newPrice: product.pricing.sellingPrice, repriced: reprice }
+  );
+
+  return product;
+};
+
+export const getPriceHistory = async (productId, shopId, organizationId, { limit = 50 } = {}) => {
+  const product = await findProduct(productId, shopId, organizationId);
+
+  const history = await PriceHistory.find({ productId: product._id })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('changedBy', 'firstName lastName')
+    .lean();
+
+  return {
+    product: {
+      _id: product._id,
+      name: product.name,
+      productCode: product.productCode,
+      sellingPrice: product.pricing.sellingPrice,
+      priceLock: product.pricing.priceLock,
+    },
+    history,
+  };
+};
+
+export default {
+  changedMetalTypes,
+  previewRepricing,
+  applyRepricing,
+  repriceOnRateChange,
+  getRepricingRuns,
+  getRepricingRun,
+  lockPrice,
+  unlockPrice,
+  getPriceHistory,
+};
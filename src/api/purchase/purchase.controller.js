@@ -74,6 +74,30 @@ if (!organizationId) {
   sendSuccess(res, 200, 'Purchase retrieved successfully', purchase);
 });
 
+/**
+  GET /api/v1/shops/:shopId/purchases/:purchaseId/grn
+ */
+export const getGoodsReceiptNote = catchAsync(async (req, res) => {
+  const { purchaseId, shopId } = req.params;
+  const { paperSize } = req.query;
+  const organizationId = req.user?.organizationId;
+
+  if (!organizationId) {
+    return sendUnauthorized(res, 'User organization not found');
+  }
+
+  const pdfBuffer = await purchaseService.generateGoodsReceiptNote(
+    purchaseId,
+    shopId,
+    organizationId,
+    paperSize
+  );
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="grn-${purchaseId}.pdf"`);
+  res.send(pdfBuffer);
+});
+
 /**
 PUT /api/v1/shops/:shopId/purchases/:purchaseId
  */
@@ -200,7 +224,7 @@ if (!organizationId) {
   return sendUnauthorized(res, 'User organization not found');
 }
 
-  const purchase = await purchaseService.returnPurchase(
+  const { purchase, debitNote } = await purchaseService.returnPurchase(
     purchaseId,
     shopId,        
     organizationId, 
@@ -208,7 +232,8 @@ if (!organizationId) {
     userId
   );
 
-  sendSuccess(res, 200, 'Purchase returned successfully', purchase);
+  // data purchase hi rehta hai, debit note meta me
+  sendSuccess(res, 200, 'Purchase returned successfully', purchase, { debitNote });
 });
 /**
  POST /api/v1/shops/:shopId/purchases/:purchaseId/approve
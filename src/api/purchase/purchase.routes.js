@@ -1,6 +1,6 @@
 // FILE: src/api/routes/purchase.routes.js
 import express from 'express';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
 import { restrictTo } from '../middlewares/restrictTo.js';
 import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
 import {
@@ -15,6 +15,7 @@ const router = express.Router({ mergeParams: true });
 
 
 router.use(authenticate);
+router.use(requireFeature('purchaseManagement'));
 
 //  GET /api/v1/shops/:shopId/purchases/analytics
 
@@ -147,6 +148,17 @@ router.get(
   purchaseController.getPurchaseById
 );
 
+  //  GET /api/v1/shops/:shopId/purchases/:purchaseId/grn
+
+router.get(
+  '/:purchaseId/grn',
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_PURCHASES),
+  apiRateLimiter,
+  purchaseValidation.purchaseId,
+  purchaseController.getGoodsReceiptNote
+);
+
   // PUT /api/v1/shops/:shopId/purchases/:purchaseId
 
 router.put(
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import Purchase from '../../models/Purchase.js';
 import eventLogger from '../../utils/eventLogger.js';
 import { businessLogger } from '../../utils/logger.js';
@@ -7,18 +8,22 @@ import JewelryShop from '../../models/Shop.js';
 import Product from '../../models/Product.js';
 import { createPayment, getPurchasePayments } from '../payment/payment.service.js';
 import { NotFoundError, BadRequestError } from '../../utils/AppError.js';
-import eventBus from '../../eventBus.js';
+import { recordEvent, dispatchEvents, publishEvent, withOutbox } from '../../outbox/outbox.js';
+import { determinePlaceOfSupply, resolvePartyStateCode } from '../../utils/gst.js';
+import { TEMPLATES, renderTemplatePdf, buildGoodsReceiptData } from '../../invoices/renderer.js';
+import { issueDebitNote } from '../tax-notes/taxNote.service.js';
+import { assertWithinLimit } from '../../subscription/entitlements.js';
 
 // ─────────────────────────────────────────────
 // HELPER
 // ─────────────────────────────────────────────
-const findPurchase = async (purchaseId, shopId, organizationId) => {
+const findPurchase = async (purchaseId, shopId, organizationId, session = null) => {
   const purchase = await Purchase.findOne({
     _id: purchaseId,
     shopId,
     organizationId,
     deletedAt: null,
-  });
+  }).session(session);
 
   if (!purchase) {
     throw new NotFoundError('Purchase not found');
@@ -27,6 +32,26 @@ const findPurchase = async (purchaseId, shopId, organizationId) => {
   return purchase;
 };
 
+// ─────────────────────────────────────────────
+// HELPER: GST place of supply
+// Purchase me shop recipient hai — supplier dusre state ka ho to input IGST
+// ─────────────────────────────────────────────
+const resolvePurchaseSupply = (shop, supplier, placeOfSupply) => {
+  const { stateCode, stateName, isInterState } = determinePlaceOfSupply({
+    supplierStateCode: resolvePartyStateCode({
+      gstNumber: supplier.gstNumber,
+      state:     supplier.address?.state,
+    }),
+    recipientStateCode: resolvePartyStateCode({
+      gstNumber: shop?.gstNumber,
+      state:     shop?.address?.state,
+    }),
+    override: placeOfSupply?.stateCode ?? placeOfSupply,
+  });
+
+  return { placeOfSupply: { stateCode, stateName }, isInterState };
+};
+
 // ─────────────────────────────────────────────
 // CREATE
 // ─────────────────────────────────────────────
@@ -46,8 +71,12 @@ export const createPurchase = async (shopId, organizationId, data, userId) => {
       ? `${supplier.address.street}, ${supplier.address.city}`
       : '',
     gstNumber: supplier.gstNumber || '',
+    state:     supplier.address?.state || '',
   };
 
+  const shop = await JewelryShop.findById(shopId).select('gstNumber address').lean();
+  const supply = resolvePurchaseSupply(shop, supplier, data.placeOfSupply);
+
   let purchase;
   let attempts = 0;
 
@@ -61,6 +90,7 @@ export const createPurchase = async (shopId, organizationId, data, userId) => {
         organizationId,
         purchaseNumber,
         supplierDetails,
+        ...supply,
         createdBy: userId,
       });
 
@@ -165,6 +195,22 @@ export const getPurchaseById = async (purchaseId, shopId, organizationId) => {
   return purchase;
 };
 
+// ─────────────────────────────────────────────
+// GOODS RECEIPT NOTE (PDF)
+// ─────────────────────────────────────────────
+export const generateGoodsReceiptNote = async (purchaseId, shopId, organizationId, paperSize = null) => {
+  const purchase = await getPurchaseById(purchaseId, shopId, organizationId);
+
+  const shop = await JewelryShop.findById(shopId);
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  return renderTemplatePdf(
+    TEMPLATES.GOODS_RECEIPT_NOTE,
+    buildGoodsReceiptData({ purchase, shop }),
+    paperSize || shop.settings?.printSettings?.paperSize
+  );
+};
+
 // ─────────────────────────────────────────────
 // UPDATE
 // ─────────────────────────────────────────────
@@ -177,6 +223,15 @@ export const updatePurchase = async (purchaseId, shopId, organizationId, data, u
 
   if (data.purchaseNumber) delete data.purchaseNumber;
   if (data.organizationId) delete data.organizationId;
+  delete data.isInterState;
+
+  if (data.placeOfSupply !== undefined || data.supplierId) {
+    const supplier = await Supplier.findById(data.supplierId || purchase.supplierId);
+    if (!supplier) throw new NotFoundError('Supplier not found');
+
+    const shop = await JewelryShop.findById(shopId).select('gstNumber address').lean();
+    Object.assign(data, resolvePurchaseSupply(shop, supplier, data.placeOfSupply));
+  }
 
   Object.assign(purchase, data);
   purchase.updatedBy = userId;
@@ -264,6 +319,10 @@ export const updatePurchaseStatus = async (purchaseId, status, userId, shopId, o
 // ─────────────────────────────────────────────
 // RECEIVE PURCHASE
 // ─────────────────────────────────────────────
+// Receive pe kitne naye products banenge — jin lines ka productId nahi (scrap se lots banti hain)
+const newProductCount = purchase =>
+  purchase.purchaseType === 'old_gold' ? 0 : purchase.items.filter(item => !item.productId).length;
+
 export const receivePurchase = async (purchaseId, shopId, organizationId, receiveData, userId) => {
   const purchase = await findPurchase(purchaseId, shopId, organizationId);
 
@@ -276,12 +335,23 @@ export const receivePurchase = async (purchaseId, shopId, organizationId, receiv
   purchase.delivery.receivedDate = receiveData.receivedDate || new Date();
   purchase.delivery.receivedBy   = receiveData.receivedBy   || userId;
   if (receiveData.notes) purchase.notes = receiveData.notes;
-  await purchase.save();
 
-  // ── EVENT EMIT ──────────────────────────
+  // ── EVENT (outbox) ──────────────────────
   // inventory.listener  → stock badhao / product banao
   // ledger.listener     → supplier debit entry
-  eventBus.emit('PURCHASE_RECEIVED', { purchase, userId });
+  await withOutbox(async (session, record) => {
+    // Naye products listener commit ke baad banata hai — limit wahan fail ho to user ko
+    // pata bhi nahi chalta, isliye yahin 403
+    const newProducts = newProductCount(purchase);
+    if (newProducts) {
+      await assertWithinLimit(organizationId, 'products', { adding: newProducts, session });
+    }
+
+    await purchase.save({ session });
+    await record('PURCHASE_RECEIVED', { purchase, userId }, {
+      idempotencyKey: `PURCHASE_RECEIVED:${purchase._id}`,
+    });
+  });
   // ─────────────────────────────────────────
 
   await eventLogger.logPurchase(
@@ -307,14 +377,16 @@ export const cancelPurchase = async (purchaseId, shopId, organizationId, reason,
     throw new BadRequestError('Cannot cancel completed purchase');
   }
 
-  // Status update karo
-  await purchase.cancel();
-
-  // ── EVENT EMIT ──────────────────────────
+  // Status update + event ek transaction me
   // inventory.listener  → stock reverse karo (agar received tha)
   // ledger.listener     → ledger entry reverse karo
-  eventBus.emit('PURCHASE_CANCELLED', { purchase, userId, reason });
-  // ─────────────────────────────────────────
+  await withOutbox(async (session, record) => {
+    purchase.$session(session);
+    await purchase.cancel();
+    await record('PURCHASE_CANCELLED', { purchase, userId, reason }, {
+      idempotencyKey: `PURCHASE_CANCELLED:${purchase._id}`,
+    });
+  });
 
   await eventLogger.logPurchase(
     userId,
@@ -333,22 +405,45 @@ export const cancelPurchase = async (purchaseId, shopId, organizationId, reason,
 // RETURN
 // ─────────────────────────────────────────────
 export const returnPurchase = async (purchaseId, shopId, organizationId, reason, userId) => {
-  const purchase = await findPurchase(purchaseId, shopId, organizationId);
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-  if (purchase.status !== 'completed') {
-    throw new BadRequestError('Only completed purchases can be returned');
-  }
+  let purchase;
+  let debitNote;
+  let event;
+  try {
+    purchase = await findPurchase(purchaseId, shopId, organizationId, session);
 
-  // Status update karo
-  purchase.status    = 'returned';
-  purchase.updatedBy = userId;
-  await purchase.save();
+    if (purchase.status !== 'completed') {
+      throw new BadRequestError('Only completed purchases can be returned');
+    }
 
-  // ── EVENT EMIT ──────────────────────────
-  // inventory.listener  → stock ghataao
-  // ledger.listener     → supplier credit entry
-  eventBus.emit('PURCHASE_RETURNED', { purchase, userId, reason });
-  // ─────────────────────────────────────────
+    // Status update karo
+    purchase.status    = 'returned';
+    purchase.updatedBy = userId;
+    await purchase.save({ session });
+
+    // Supplier ko debit note — poora bill, GST reverse
+    debitNote = await issueDebitNote(purchase, { reasonText: reason, userId, session });
+
+    // ── EVENT (outbox) ──────────────────────
+    // inventory.listener  → stock ghataao
+    // ledger.listener     → supplier credit entry
+    event = await recordEvent('PURCHASE_RETURNED', { purchase, userId, reason, debitNote }, {
+      idempotencyKey: `PURCHASE_RETURNED:${purchase._id}`,
+      session,
+    });
+    // ─────────────────────────────────────────
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  dispatchEvents(event);
 
   await eventLogger.logPurchase(
     userId,
@@ -356,11 +451,11 @@ export const returnPurchase = async (purchaseId, shopId, organizationId, reason,
     purchase.shopId,
     'return',
     purchase._id,
-    `Returned purchase ${purchase.purchaseNumber} to supplier`,
-    { purchaseNumber: purchase.purchaseNumber, reason }
+    `Returned purchase ${purchase.purchaseNumber} to supplier (debit note ${debitNote.debitNoteNumber})`,
+    { purchaseNumber: purchase.purchaseNumber, reason, debitNoteId: debitNote._id }
   );
 
-  return purchase;
+  return { purchase, debitNote };
 };
 
 // ─────────────────────────────────────────────
@@ -451,14 +546,14 @@ export const addPayment = async (purchaseId, paymentData, userId, shopId, organi
   // reference.listener  → purchase paidAmount update karo
   // ledger.listener     → supplier credit entry
   // email.listener      → supplier voucher + admin notify
-  eventBus.emit('PURCHASE_PAYMENT_ADDED', {
+  await publishEvent('PURCHASE_PAYMENT_ADDED', {
     purchase,
     payment:        result.data,
     supplier,
     shop,
     organizationId,
     userId,
-  });
+  }, { idempotencyKey: `PURCHASE_PAYMENT_ADDED:${result.data._id}` });
   // ─────────────────────────────────────────
 
   return result;
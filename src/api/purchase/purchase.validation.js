@@ -1,6 +1,7 @@
 // FILE: src/api/purchase/purchase.validation.js
 import { body, param, query, validationResult } from 'express-validator';
 import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+import { resolveStateCode } from '../../utils/gst.js';
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -93,6 +94,20 @@ body('items.*.fineWeight')
 body('items.*.quantity')
   .optional()
   .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+// Shop me batch / serial tracking on ho tabhi lagta hai, warna ignore
+body('items.*.trackingMode')
+  .optional({ values: 'null' })
+  .isIn(['none', 'batch', 'serial']).withMessage('Tracking mode must be none, batch or serial'),
+body('items.*.supplierBatchNumber')
+  .optional()
+  .isString().trim()
+  .isLength({ max: 50 }).withMessage('Supplier batch number cannot exceed 50 characters'),
+body('items.*.serialNumbers')
+  .optional()
+  .isArray().withMessage('Serial numbers must be an array'),
+body('items.*.serialNumbers.*')
+  .isString().trim()
+  .notEmpty().withMessage('Serial number cannot be empty'),
 
   body('payment.paymentMode')
     .optional()
@@ -103,6 +118,10 @@ body('items.*.quantity')
     .optional()
     .isFloat({ min: 0 }).withMessage('Paid amount must be a positive number'),
 
+  body('placeOfSupply')
+    .optional({ values: 'null' })
+    .custom(value => Boolean(resolveStateCode(value?.stateCode ?? value))).withMessage('Invalid place of supply state'),
+
   validate,
 ];
 
@@ -125,6 +144,10 @@ export const updatePurchase = [
     .optional()
     .isFloat({ min: 0 }).withMessage('Paid amount must be a positive number'),
 
+  body('placeOfSupply')
+    .optional({ values: 'null' })
+    .custom(value => Boolean(resolveStateCode(value?.stateCode ?? value))).withMessage('Invalid place of supply state'),
+
   validate,
 ];
 
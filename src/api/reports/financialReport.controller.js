@@ -0,0 +1,113 @@
+// FILE: src/api/reports/financialReport.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as financialReportService from './financialReport.service.js';
+import * as reportScheduleService from './reportSchedule.service.js';
+import { sendSuccess, sendCSV, sendPDF } from '../../utils/sendResponse.js';
+import { BadRequestError } from '../../utils/AppError.js';
+
+// Shop router: URL ki shop. Org router: poori organization — super_admin ki koi org
+// nahi hoti isliye use ?organizationId dena padta hai.
+const reportScope = req => {
+  if (req.params.shopId) {
+    return {
+      organizationId: req.shop?.organizationId || req.user.organizationId,
+      shopId: req.params.shopId,
+    };
+  }
+
+  const organizationId =
+    req.user.role === 'super_admin' ? req.query.organizationId : req.user.organizationId;
+  if (!organizationId) throw new BadRequestError('Organization ID is required');
+
+  return { organizationId, shopId: null };
+};
+
+/**
+  GET /api/v1/shops/:shopId/reports/:reportType?startDate=&endDate=&asOf=&format=json|csv|pdf
+  GET /api/v1/reports/:reportType?organizationId=&startDate=&endDate=&asOf=&format=json|csv|pdf
+ */
+export const getReport = catchAsync(async (req, res) => {
+  const { reportType } = req.params;
+  const { startDate, endDate, asOf, format = 'json' } = req.query;
+
+  const report = await financialReportService.generateReport(reportType, reportScope(req), {
+    startDate,
+    endDate,
+    asOf,
+  });
+
+  if (format === 'json') {
+    return sendSuccess(res, 200, `${report.title} generated successfully`, report);
+  }
+
+  const file = await financialReportService.exportReport(report, format);
+  if (format === 'pdf') return sendPDF(res, file.content, file.fileName);
+  return sendCSV(res, file.content, file.fileName);
+});
+
+/**
+  GET /api/v1/shops/:shopId/reports/schedules
+ */
+export const getSchedules = catchAsync(async (req, res) => {
+  const schedules = await reportScheduleService.getSchedules(reportScope(req));
+
+  sendSuccess(res, 200, 'Report schedules retrieved successfully', schedules);
+});
+
+/**
+  GET /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ */
+export const getSchedule = catchAsync(async (req, res) => {
+  const schedule = await reportScheduleService.getSchedule(reportScope(req), req.params.scheduleId);
+
+  sendSuccess(res, 200, 'Report schedule retrieved successfully', schedule);
+});
+
+/**
+  POST /api/v1/shops/:shopId/reports/schedules
+ */
+export const createSchedule = catchAsync(async (req, res) => {
+  const schedule = await reportScheduleService.createSchedule(
+    reportScope(req),
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Report schedule created successfully', schedule);
+});
+
+/**
+  PATCH /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ */
+export const updateSchedule = catchAsync(async (req, res) => {
+  const schedule = await reportScheduleService.updateSchedule(
+    reportScope(req),
+    req.params.scheduleId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Report schedule updated successfully', schedule);
+});
+
+/**
+  DELETE /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ */
+export const deleteSchedule = catchAsync(async (req, res) => {
+  await reportScheduleService.deleteSchedule(reportScope(req), req.params.scheduleId, req.user._id);
+
+  sendSuccess(res, 200, 'Report schedule deleted successfully');
+});
+
+/**
+  POST /api/v1/shops/:shopId/reports/schedules/:scheduleId/send
+ */
+export const sendScheduleNow = catchAsync(async (req, res) => {
+  const schedule = await reportScheduleService.sendScheduleNow(
+    reportScope(req),
+    req.params.scheduleId,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Report sent successfully', schedule);
+});
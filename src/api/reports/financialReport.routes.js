@@ -0,0 +1,233 @@
+// FILE: src/api/reports/financialReport.routes.js
+// Mounted at: /api/v1/shops/:shopId/reports  (default export — ek shop)
+//             /api/v1/reports                (orgReportRouter — poori organization, sirf admins)
+// /schedules pehle declare hai, warna /:reportType use kha jaata.
+import express from 'express';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter, reportRateLimiter } from '../middlewares/rateLimiter.js';
+import * as financialReportController from './financialReport.controller.js';
+import * as financialReportValidation from './financialReport.validation.js';
+import { EXPORT_FORMATS } from './financialReport.service.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'];
+const ORG_ROLES = ['super_admin', 'org_admin'];
+
+// CSV / PDF pe hi export permission aur bhaari limiter — JSON dekhna VIEW_REPORTS se chal jaata hai
+const onExport = middleware => (req, res, next) =>
+  EXPORT_FORMATS.includes(req.query.format) ? middleware(req, res, next) : next();
+
+const shopRouter = express.Router({ mergeParams: true });
+
+shopRouter.use(authenticate);
+shopRouter.use(requireFeature('reports'));
+
+/**
+ * @route   GET /api/v1/shops/:shopId/reports/schedules
+ * @desc    Scheduled report emails for this shop
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.get(
+  '/schedules',
+  financialReportValidation.listSchedules,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  financialReportController.getSchedules
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/reports/schedules
+ * @desc    Email a report daily / weekly / monthly as CSV or PDF
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.post(
+  '/schedules',
+  financialReportValidation.createSchedule,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  financialReportController.createSchedule
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ * @desc    Report schedule with its last run status
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.get(
+  '/schedules/:scheduleId',
+  financialReportValidation.getSchedule,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  financialReportController.getSchedule
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ * @desc    Change report, frequency, format, recipients or pause / resume
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.patch(
+  '/schedules/:scheduleId',
+  financialReportValidation.updateSchedule,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  financialReportController.updateSchedule
+);
+
+/**
+ * @route   DELETE /api/v1/shops/:shopId/reports/schedules/:scheduleId
+ * @desc    Delete a report schedule
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.delete(
+  '/schedules/:scheduleId',
+  financialReportValidation.deleteSchedule,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  apiRateLimiter,
+  financialReportController.deleteSchedule
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/reports/schedules/:scheduleId/send
+ * @desc    Send the scheduled report now for the last completed period
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.post(
+  '/schedules/:scheduleId/send',
+  financialReportValidation.sendScheduleNow,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.GENERATE_REPORTS),
+  reportRateLimiter,
+  financialReportController.sendScheduleNow
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/reports/:reportType
+ * @desc    Day book, cash / bank book, P&L, trial balance, stock summary, ageing or girvi
+ *          interest for a date range (or as on a date) — JSON, CSV or PDF
+ * @access  Private (Admin, Manager, Accountant)
+ */
+shopRouter.get(
+  '/:reportType',
+  financialReportValidation.getReport,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_REPORTS),
+  onExport(checkPermission(PERMISSIONS.EXPORT_REPORTS)),
+  onExport(reportRateLimiter),
+  apiRateLimiter,
+  financialReportController.getReport
+);
+
+// ─── Organization wide ─────────────────────────────────────────────────────────
+export const orgReportRouter = express.Router();
+
+orgReportRouter.use(authenticate);
+orgReportRouter.use(requireFeature('reports'));
+
+/**
+ * @route   GET /api/v1/reports/schedules
+ * @desc    Organization-wide scheduled report emails
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.get(
+  '/schedules',
+  financialReportValidation.listSchedules,
+  restrictTo(...ORG_ROLES),
+  apiRateLimiter,
+  financialReportController.getSchedules
+);
+
+/**
+ * @route   POST /api/v1/reports/schedules
+ * @desc    Schedule an organization-wide report email
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.post(
+  '/schedules',
+  financialReportValidation.createSchedule,
+  restrictTo(...ORG_ROLES),
+  apiRateLimiter,
+  financialReportController.createSchedule
+);
+
+/**
+ * @route   GET /api/v1/reports/schedules/:scheduleId
+ * @desc    Organization report schedule with its last run status
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.get(
+  '/schedules/:scheduleId',
+  financialReportValidation.getSchedule,
+  restrictTo(...ORG_ROLES),
+  apiRateLimiter,
+  financialReportController.getSchedule
+);
+
+/**
+ * @route   PATCH /api/v1/reports/schedules/:scheduleId
+ * @desc    Update an organization report schedule
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.patch(
+  '/schedules/:scheduleId',
+  financialReportValidation.updateSchedule,
+  restrictTo(...ORG_ROLES),
+  apiRateLimiter,
+  financialReportController.updateSchedule
+);
+
+/**
+ * @route   DELETE /api/v1/reports/schedules/:scheduleId
+ * @desc    Delete an organization report schedule
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.delete(
+  '/schedules/:scheduleId',
+  financialReportValidation.deleteSchedule,
+  restrictTo(...ORG_ROLES),
+  apiRateLimiter,
+  financialReportController.deleteSchedule
+);
+
+/**
+ * @route   POST /api/v1/reports/schedules/:scheduleId/send
+ * @desc    Send an organization report now for the last completed period
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.post(
+  '/schedules/:scheduleId/send',
+  financialReportValidation.sendScheduleNow,
+  restrictTo(...ORG_ROLES),
+  reportRateLimiter,
+  financialReportController.sendScheduleNow
+);
+
+/**
+ * @route   GET /api/v1/reports/:reportType
+ * @desc    Any report across all shops of the organization — JSON, CSV or PDF
+ * @access  Private (Super Admin, Org Admin)
+ */
+orgReportRouter.get(
+  '/:reportType',
+  financialReportValidation.getReport,
+  restrictTo(...ORG_ROLES),
+  onExport(reportRateLimiter),
+  apiRateLimiter,
+  financialReportController.getReport
+);
+
+export default shopRouter;
@@ -0,0 +1,1533 @@
+// FILE: src/api/reports/financialReport.service.js
+// Books + MIS reports, seedha source documents se. LedgerEntry me sirf party side
+// (aur payment ka cash / bank side) hai — poori double entry nahi — isliye P&L /
+// trial balance wahan se nahi ban sakta.
+//   day-book         sab vouchers date wise: sale, purchase, receipt / payment, notes, girvi, karigar
+//   cash-book        cash me aaya / gaya, running balance ke saath
+//   bank-book        card / upi / bank transfer / wallet, cheque clear hone ki date pe
+//   profit-loss      net sales − bika hua maal (cost pe) + girvi byaaj − karigar labour / auction kharcha
+//   trial-balance    financial year shuru se as-of tak; farak "capital / opening difference" me
+//   stock-summary    category + metal wise opening / in / out / closing, cost pe
+//   customer-ageing  supplier-ageing — bakaya 0-30 / 31-60 / 61-90 / 90+ din
+//   girvi-interest   girvi wise vasool byaaj + chhoot, aur chalu girvi pe chadha byaaj
+// Scope: ek shop, ya poori organization (shopId null). Har report ek hi shape deta
+// hai — { columns, rows, totals, summary } — taaki CSV / PDF ek hi jagah se bane.
+
+import mongoose from 'mongoose';
+import Sale from '../../models/Sale.js';
+import Purchase from '../../models/Purchase.js';
+import Payment from '../../models/Payment.js';
+import CreditNote from '../../models/CreditNote.js';
+import DebitNote from '../../models/DebitNote.js';
+import GirviCashbook from '../../models/GirviCashbook.js';
+import Girvi from '../../models/Girvi.js';
+import KarigarVoucher from '../../models/KarigarVoucher.js';
+import Karigar from '../../models/Karigar.js';
+import Product from '../../models/Product.js';
+import Category from '../../models/Category.js';
+import InventoryTransaction from '../../models/InventoryTransaction.js';
+import OpeningBalance from '../../models/OpeningBalance.js';
+import JewelryShop from '../../models/Shop.js';
+import Organization from '../../models/Organization.js';
+import { STOCK_MOVING_TYPES } from '../metal-position/metalPosition.service.js';
+import { OPEN_STATUSES as OPEN_GIRVI_STATUSES } from '../girvi-risk/girviRisk.service.js';
+import { TEMPLATES, renderTemplatePdf, buildFinancialReportData } from '../../invoices/renderer.js';
+import { BadRequestError, NotFoundError } from '../../utils/AppError.js';
+import { toCsv } from '../../utils/csv.js';
+
+export const REPORT_TITLES = {
+  'day-book': 'Day Book',
+  'cash-book': 'Cash Book',
+  'bank-book': 'Bank Book',
+  'profit-loss': 'Profit & Loss',
+  'trial-balance': 'Trial Balance',
+  'stock-summary': 'Stock Summary',
+  'customer-ageing': 'Customer Outstanding Ageing',
+  'supplier-ageing': 'Supplier Outstanding Ageing',
+  'girvi-interest': 'Girvi Interest Income',
+};
+
+export const REPORT_TYPES = Object.keys(REPORT_TITLES);
+
+// Ye ek date (asOf) pe bante hain, baaki date range pe
+export const AS_OF_REPORTS = ['trial-balance', 'customer-ageing', 'supplier-ageing'];
+
+export const EXPORT_FORMATS = ['csv', 'pdf'];
+
+export const MAX_RANGE_DAYS = 366;
+
+export const AGEING_BUCKETS = [
+  { key: 'current', label: '0-30 Days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 Days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 Days', maxDays: 90 },
+  { key: 'over90', label: '90+ Days', maxDays: Infinity },
+];
+
+// Har source ke apne mode names — cash ya bank account me kaun jaata hai
+const ACCOUNT_MODES = {
+  cash: { payment: ['cash'], girvi: ['cash'], karigar: ['cash'] },
+  bank: {
+    payment: ['card', 'upi', 'cheque', 'bank_transfer', 'wallet'],
+    girvi: ['upi', 'bank_transfer', 'cheque'],
+    karigar: ['upi', 'bank_transfer', 'cheque'],
+  },
+};
+
+const SALE_EXCLUDED_STATUSES = ['draft', 'cancelled'];
+const PURCHASE_BOOKED_STATUSES = ['received', 'partial_received', 'completed'];
+
+// Chhoot cashbook me outflow likhi jaati hai par paisa haath se nahi jaata
+const GIRVI_NON_CASH_ENTRIES = ['discount_given'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+const round2 = value => Math.round((Number(value) || 0) * 100) / 100;
+const round3 = value => Math.round((Number(value) || 0) * 1000) / 1000;
+const toObjectId = id => new mongoose.Types.ObjectId(String(id));
+
+const column = (key, label, type = 'text') => ({ key, label, type });
+
+const startOfDay = date => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const endOfDay = date => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const monthKey = date => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const labelOf = value => String(value || '').replace(/_/g, ' ');
+
+const firstGroup = rows => rows[0] || {};
+
+// Sirf shop ho to shop, warna poori organization — aggregate ke liye ObjectId chahiye
+const scopeMatch = ({ organizationId, shopId }) =>
+  shopId
+    ? { organizationId: toObjectId(organizationId), shopId: toObjectId(shopId) }
+    : { organizationId: toObjectId(organizationId) };
+
+/**
+ * Query dates → din ki seema pe [from, to]. Default: is mahine ki 1 tareekh se aaj tak.
+ */
+export const resolvePeriod = ({ startDate, endDate } = {}, now = new Date()) => {
+  const to = endOfDay(endDate || now);
+  const from = startOfDay(startDate || new Date(to.getFullYear(), to.getMonth(), 1));
+
+  if (from > to) throw new BadRequestError('Start date must be on or before end date');
+  if ((to - from) / DAY_MS > MAX_RANGE_DAYS) {
+    throw new BadRequestError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { from, to };
+};
+
+// Indian financial year — 1 April se
+export const financialYearStart = date => {
+  const d = new Date(date);
+  return new Date(d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1, 3, 1);
+};
+
+/**
+ * Rows already date order me hon — har row pe us entry ke baad ka balance.
+ */
+export const withRunningBalance = (rows, opening = 0) => {
+  let balance = round2(opening);
+  return rows.map(row => {
+    balance = round2(balance + (row.receipt || 0) - (row.payment || 0));
+    return { ...row, balance };
+  });
+};
+
+export const ageingBucket = days => AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+/**
+ * Bakaya documents → party wise ageing. Umar document date se gini jaati hai.
+ * @param {Array<{ partyId, partyName, phone, date, due }>} documents
+ */
+export const buildAgeing = (documents, asOf) => {
+  const day = startOfDay(asOf);
+  const parties = new Map();
+
+  documents.forEach(doc => {
+    const key = String(doc.partyId || doc.partyName);
+    const days = Math.max(0, Math.floor((day - startOfDay(doc.date)) / DAY_MS));
+
+    if (!parties.has(key)) {
+      parties.set(key, {
+        party: doc.partyName || '-',
+        phone: doc.phone || '',
+        documents: 0,
+        ...AGEING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {}),
+        total: 0,
+        oldestDays: 0,
+      });
+    }
+
+    const row = parties.get(key);
+    row.documents++;
+    row[ageingBucket(days)] = round2(row[ageingBucket(days)] + doc.due);
+    row.total = round2(row.total + doc.due);
+    row.oldestDays = Math.max(row.oldestDays, days);
+  });
+
+  const rows = [...parties.values()].sort((a, b) => b.total - a.total);
+  const totals = ['documents', ...AGEING_BUCKETS.map(bucket => bucket.key), 'total'].reduce(
+    (result, key) => ({ ...result, [key]: round2(rows.reduce((sum, row) => sum + row[key], 0)) }),
+    {}
+  );
+
+  return { rows, totals };
+};
+
+/**
+ * Aaj ki quantity se peeche chal ke: `after` = period ke baad ka net badlav.
+ */
+export const rollStock = (quantity, { in: received = 0, out = 0, after = 0 } = {}) => {
+  const closing = (quantity || 0) - after;
+  return { opening: closing - received + out, in: received, out, closing };
+};
+
+/**
+ * P&L ke figures → statement lines + summary
+ */
+export const buildProfitAndLoss = ({
+  sales = 0,
+  salesReturns = 0,
+  costOfGoodsSold = 0,
+  costOfReturns = 0,
+  girviInterest = 0,
+  karigarLabour = 0,
+  auctionExpenses = 0,
+}) => {
+  const netSales = round2(sales - salesReturns);
+  // Wapas aaya maal stock me laut aaya — uski cost bhi COGS se hatao
+  const netCost = round2(costOfGoodsSold - costOfReturns);
+  const grossProfit = round2(netSales - netCost);
+  const otherIncome = round2(girviInterest);
+  const expenses = round2(karigarLabour + auctionExpenses);
+  const netProfit = round2(grossProfit + otherIncome - expenses);
+
+  const line = (section, particulars, amount) => ({ section, particulars, amount: round2(amount) });
+
+  return {
+    rows: [
+      line('Income', 'Sales (excluding GST)', sales),
+      line('Income', 'Less: Sales returns', -salesReturns),
+      line('Income', 'Net sales', netSales),
+      line('Cost of sales', 'Cost of items sold', -costOfGoodsSold),
+      line('Cost of sales', 'Less: Cost of returned items', costOfReturns),
+      line('Gross profit', 'Gross profit', grossProfit),
+      line('Other income', 'Girvi interest', girviInterest),
+      line('Expenses', 'Karigar labour', -karigarLabour),
+      line('Expenses', 'Auction expenses', -auctionExpenses),
+      line('Net profit', netProfit < 0 ? 'Net loss' : 'Net profit', netProfit),
+    ],
+    summary: {
+      netSales,
+      costOfGoodsSold: netCost,
+      grossProfit,
+      grossMarginPercent: netSales ? round2((grossProfit / netSales) * 100) : 0,
+      otherIncome,
+      expenses,
+      netProfit,
+    },
+  };
+};
+
+/**
+ * Balance ke sign se debit / credit column; jitna farak bache woh capital line me.
+ * @param {Array<{ account, group, balance }>} lines - balance: + debit, − credit
+ */
+export const balanceTrialBalance = lines => {
+  const rows = lines
+    .filter(line => round2(line.balance) !== 0)
+    .map(line => ({
+      account: line.account,
+      group: line.group,
+      debit: line.balance > 0 ? round2(line.balance) : 0,
+      credit: line.balance < 0 ? round2(-line.balance) : 0,
+    }));
+
+  const debit = round2(rows.reduce((sum, row) => sum + row.debit, 0));
+  const credit = round2(rows.reduce((sum, row) => sum + row.credit, 0));
+  const difference = round2(debit - credit);
+
+  if (difference !== 0) {
+    rows.push({
+      account: 'Capital / opening difference (balancing figure)',
+      group: 'Capital',
+      debit: difference < 0 ? -difference : 0,
+      credit: difference > 0 ? difference : 0,
+    });
+  }
+
+  const total = Math.max(debit, credit);
+  return { rows, totals: { debit: total, credit: total }, difference };
+};
+
+// ─── Cash / Bank ───────────────────────────────────────────────────────────────
+// Cheque bank me tab aata hai jab clear ho
+const paymentBookDate = {
+  $ifNull: ['$paymentDetails.chequeDetails.clearanceDate', '$paymentDate'],
+};
+
+const upperBound = dateMatch => dateMatch.$lte || dateMatch.$lt;
+
+// Opening balance ke liye rows nahi chahiye — DB me hi jod lo
+const summed = total =>
+  total
+    ? [{ $group: { _id: null, receipt: { $sum: '$receipt' }, payment: { $sum: '$payment' } } }]
+    : [];
+
+const paymentMovements = (match, modes, dateMatch, total) =>
+  Payment.aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        status: 'completed',
+        paymentMode: { $in: modes },
+        paymentDate: { $lte: upperBound(dateMatch) },
+      },
+    },
+    { $addFields: { bookDate: paymentBookDate } },
+    { $match: { bookDate: dateMatch } },
+    {
+      $project: {
+        date: '$bookDate',
+        voucherType: { $cond: [{ $eq: ['$transactionType', 'receipt'] }, 'Receipt', 'Payment'] },
+        voucherNumber: '$paymentNumber',
+        party: '$party.partyName',
+        particulars: { $ifNull: ['$reference.referenceNumber', '$paymentType'] },
+        mode: '$paymentMode',
+        receipt: { $cond: [{ $eq: ['$transactionType', 'receipt'] }, '$amount', 0] },
+        payment: { $cond: [{ $eq: ['$transactionType', 'payment'] }, '$amount', 0] },
+      },
+    },
+    ...summed(total),
+  ]);
+
+const girviMovements = (match, modes, dateMatch, total) =>
+  GirviCashbook.aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        entryType: { $nin: GIRVI_NON_CASH_ENTRIES },
+        paymentMode: { $in: modes },
+        entryDate: dateMatch,
+      },
+    },
+    {
+      $project: {
+        date: '$entryDate',
+        voucherType: 'Girvi',
+        voucherNumber: '$entryNumber',
+        party: '$customerName',
+        particulars: { $concat: ['$entryType', ' ', { $ifNull: ['$girviNumber', ''] }] },
+        mode: '$paymentMode',
+        receipt: { $cond: [{ $eq: ['$flowType', 'inflow'] }, '$amount', 0] },
+        payment: { $cond: [{ $eq: ['$flowType', 'outflow'] }, '$amount', 0] },
+      },
+    },
+    ...summed(total),
+  ]);
+
+const karigarMovements = (match, modes, dateMatch, total) =>
+  KarigarVoucher.aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        status: 'active',
+        voucherType: 'payment',
+        'payment.paymentMode': { $in: modes },
+        voucherDate: dateMatch,
+      },
+    },
+    {
+      $project: {
+        date: '$voucherDate',
+        voucherType: 'Karigar Payment',
+        voucherNumber: '$voucherNumber',
+        party: '$karigarName',
+        particulars: { $ifNull: ['$payment.reference', 'Labour payment'] },
+        mode: '$payment.paymentMode',
+        receipt: { $literal: 0 },
+        payment: '$payment.amount',
+      },
+    },
+    ...summed(total),
+  ]);
+
+const openingMoney = async (match, account, dateMatch) => {
+  const docs = await OpeningBalance.find({ ...match, status: 'confirmed', openingDate: dateMatch })
+    .select('openingDate cashBalance')
+    .lean();
+
+  return docs.map(doc => {
+    const cash = doc.cashBalance || {};
+    const amount =
+      account === 'cash'
+        ? cash.totalCash || cash.cash || 0
+        : cash.totalBank || (cash.bank || []).reduce((sum, bank) => sum + (bank.balance || 0), 0);
+
+    return {
+      date: doc.openingDate,
+      voucherType: 'Opening Balance',
+      voucherNumber: '',
+      party: '',
+      particulars: 'Opening balance',
+      mode: account,
+      receipt: amount,
+      payment: 0,
+    };
+  });
+};
+
+const moneyMovements = (scope, account, dateMatch, total = false) => {
+  const match = scopeMatch(scope);
+  const modes = ACCOUNT_MODES[account];
+
+  return Promise.all([
+    openingMoney(match, account, dateMatch),
+    paymentMovements(match, modes.payment, dateMatch, total),
+    girviMovements(match, modes.girvi, dateMatch, total),
+    karigarMovements(match, modes.karigar, dateMatch, total),
+  ]).then(groups => groups.flat());
+};
+
+const moneyRows = async (scope, account, dateMatch) =>
+  (await moneyMovements(scope, account, dateMatch))
+    .map(row => ({ ...row, receipt: round2(row.receipt), payment: round2(row.payment) }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Kisi date tak ka balance — opening balance + saara aaya − gaya
+const moneyBalance = async (scope, account, dateMatch) =>
+  round2(
+    (await moneyMovements(scope, account, dateMatch, true)).reduce(
+      (sum, row) => sum + (row.receipt || 0) - (row.payment || 0),
+      0
+    )
+  );
+
+const moneyBook =
+  account =>
+  async (scope, { from, to }) => {
+    const [opening, movements] = await Promise.all([
+      moneyBalance(scope, account, { $lt: from }),
+      moneyRows(scope, account, { $gte: from, $lte: to }),
+    ]);
+
+    const rows = withRunningBalance(movements, opening);
+    const receipts = round2(rows.reduce((sum, row) => sum + row.receipt, 0));
+    const payments = round2(rows.reduce((sum, row) => sum + row.payment, 0));
+
+    return {
+      columns: [
+        column('date', 'Date', 'date'),
+        column('voucherType', 'Type'),
+        column('voucherNumber', 'Voucher No.'),
+        column('party', 'Party'),
+        column('particulars', 'Particulars'),
+        column('mode', 'Mode'),
+        column('receipt', 'Receipt', 'amount'),
+        column('payment', 'Payment', 'amount'),
+        column('balance', 'Balance', 'amount'),
+      ],
+      rows,
+      totals: { receipt: receipts, payment: payments },
+      summary: {
+        openingBalance: opening,
+        totalReceipts: receipts,
+        totalPayments: payments,
+        closingBalance: round2(opening + receipts - payments),
+      },
+    };
+  };
+
+// ─── Day Book ──────────────────────────────────────────────────────────────────
+const dayBook = async (scope, { from, to }) => {
+  const match = scopeMatch(scope);
+  const range = { $gte: from, $lte: to };
+
+  const [sales, purchases, payments, creditNotes, debitNotes, girviEntries, vouchers] =
+    await Promise.all([
+      Sale.find({
+        ...match,
+        deletedAt: null,
+        saleType: { $ne: 'estimate' },
+        status: { $nin: SALE_EXCLUDED_STATUSES },
+        saleDate: range,
+      })
+        .select('invoiceNumber saleDate customerDetails.customerName financials.grandTotal')
+        .lean(),
+      Purchase.find({
+        ...match,
+        deletedAt: null,
+        status: { $in: PURCHASE_BOOKED_STATUSES },
+        purchaseDate: range,
+      })
+        .select(
+          'purchaseNumber purchaseDate supplierDetails.supplierName financials.grandTotal payment.totalAmount'
+        )
+        .lean(),
+      Payment.find({ ...match, deletedAt: null, status: 'completed', paymentDate: range })
+        .select(
+          'paymentNumber paymentDate paymentType transactionType paymentMode party.partyName amount reference.referenceNumber'
+        )
+        .lean(),
+      CreditNote.find({ ...match, deletedAt: null, status: 'issued', noteDate: range })
+        .select(
+          'creditNoteNumber noteDate customerDetails.customerName financials.grandTotal reason'
+        )
+        .lean(),
+      DebitNote.find({ ...match, deletedAt: null, status: 'issued', noteDate: range })
+        .select(
+          'debitNoteNumber noteDate supplierDetails.supplierName financials.grandTotal reason'
+        )
+        .lean(),
+      GirviCashbook.find({ ...match, entryDate: range })
+        .select(
+          'entryNumber entryDate entryType flowType amount paymentMode girviNumber customerName'
+        )
+        .lean(),
+      KarigarVoucher.find({
+        ...match,
+        deletedAt: null,
+        status: 'active',
+        voucherType: { $in: ['receipt', 'payment'] },
+        voucherDate: range,
+      })
+        .select('voucherNumber voucherDate voucherType karigarName totalLabour payment')
+        .lean(),
+    ]);
+
+  const entry = fields => ({
+    party: '',
+    particulars: '',
+    mode: '',
+    amount: 0,
+    received: 0,
+    paid: 0,
+    ...fields,
+  });
+
+  const rows = [
+    ...sales.map(sale =>
+      entry({
+        date: sale.saleDate,
+        voucherType: 'Sale',
+        voucherNumber: sale.invoiceNumber,
+        party: sale.customerDetails?.customerName,
+        particulars: 'Sales invoice',
+        amount: sale.financials?.grandTotal,
+      })
+    ),
+    ...purchases.map(purchase =>
+      entry({
+        date: purchase.purchaseDate,
+        voucherType: 'Purchase',
+        voucherNumber: purchase.purchaseNumber,
+        party: purchase.supplierDetails?.supplierName,
+        particulars: 'Purchase bill',
+        amount: purchase.financials?.grandTotal || purchase.payment?.totalAmount,
+      })
+    ),
+    ...payments.map(payment =>
+      entry({
+        date: payment.paymentDate,
+        voucherType: payment.transactionType === 'receipt' ? 'Receipt' : 'Payment',
+        voucherNumber: payment.paymentNumber,
+        party: payment.party?.partyName,
+        particulars: payment.reference?.referenceNumber || labelOf(payment.paymentType),
+        mode: payment.paymentMode,
+        amount: payment.amount,
+        received: payment.transactionType === 'receipt' ? payment.amount : 0,
+        paid: payment.transactionType === 'payment' ? payment.amount : 0,
+      })
+    ),
+    ...creditNotes.map(note =>
+      entry({
+        date: note.noteDate,
+        voucherType: 'Credit Note',
+        voucherNumber: note.creditNoteNumber,
+        party: note.customerDetails?.customerName,
+        particulars: labelOf(note.reason),
+        amount: note.financials?.grandTotal,
+      })
+    ),
+    ...debitNotes.map(note =>
+      entry({
+        date: note.noteDate,
+        voucherType: 'Debit Note',
+        voucherNumber: note.debitNoteNumber,
+        party: note.supplierDetails?.supplierName,
+        particulars: labelOf(note.reason),
+        amount: note.financials?.grandTotal,
+      })
+    ),
+    ...girviEntries.map(girviEntry => {
+      const isCash = !GIRVI_NON_CASH_ENTRIES.includes(girviEntry.entryType);
+      return entry({
+        date: girviEntry.entryDate,
+        voucherType: 'Girvi',
+        voucherNumber: girviEntry.entryNumber,
+        party: girviEntry.customerName,
+        particulars: [labelOf(girviEntry.entryType), girviEntry.girviNumber]
+          .filter(Boolean)
+          .join(' — '),
+        mode: isCash ? girviEntry.paymentMode : '',
+        amount: girviEntry.amount,
+        received: isCash && girviEntry.flowType === 'inflow' ? girviEntry.amount : 0,
+        paid: isCash && girviEntry.flowType === 'outflow' ? girviEntry.amount : 0,
+      });
+    }),
+    ...vouchers.map(voucher =>
+      voucher.voucherType === 'payment'
+        ? entry({
+            date: voucher.voucherDate,
+            voucherType: 'Karigar Payment',
+            voucherNumber: voucher.voucherNumber,
+            party: voucher.karigarName,
+            particulars: voucher.payment?.reference || 'Labour payment',
+            mode: voucher.payment?.paymentMode,
+            amount: voucher.payment?.amount,
+            paid: voucher.payment?.amount,
+          })
+        : entry({
+            date: voucher.voucherDate,
+            voucherType: 'Karigar Receipt',
+            voucherNumber: voucher.voucherNumber,
+            party: voucher.karigarName,
+            particulars: 'Labour on goods received',
+            amount: voucher.totalLabour,
+          })
+    ),
+  ]
+    .map(row => ({
+      ...row,
+      amount: round2(row.amount),
+      received: round2(row.received),
+      paid: round2(row.paid),
+    }))
+    .sort(
+      (a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        String(a.voucherNumber).localeCompare(String(b.voucherNumber))
+    );
+
+  const byType = rows.reduce((result, row) => {
+    const bucket = result[row.voucherType] || { count: 0, amount: 0 };
+    result[row.voucherType] = {
+      count: bucket.count + 1,
+      amount: round2(bucket.amount + row.amount),
+    };
+    return result;
+  }, {});
+
+  const received = round2(rows.reduce((sum, row) => sum + row.received, 0));
+  const paid = round2(rows.reduce((sum, row) => sum + row.paid, 0));
+
+  return {
+    columns: [
+      column('date', 'Date', 'date'),
+      column('voucherType', 'Type'),
+      column('voucherNumber', 'Voucher No.'),
+      column('party', 'Party'),
+      column('particulars', 'Particulars'),
+      column('mode', 'Mode'),
+      column('amount', 'Amount', 'amount'),
+      column('received', 'Received', 'amount'),
+      column('paid', 'Paid', 'amount'),
+    ],
+    rows,
+    totals: { received, paid },
+    summary: { vouchers: rows.length, totalReceived: received, totalPaid: paid, byType },
+  };
+};
+
+// ─── Profit & Loss ─────────────────────────────────────────────────────────────
+const saleFilter = (match, saleDate) => ({
+  ...match,
+  deletedAt: null,
+  saleType: { $ne: 'estimate' },
+  status: { $nin: SALE_EXCLUDED_STATUSES },
+  saleDate,
+});
+
+// Sale item pe bikri ke din ki cost (items.costPrice). Purani sales jinpe nahi likhi,
+// unke liye product ki aaj ki cost. `item` = sale item ka path, `quantity` = ginti ka path.
+const itemCostStages = (item, quantity) => [
+  {
+    $lookup: {
+      from: Product.collection.name,
+      localField: `${item}.productId`,
+      foreignField: '_id',
+      as: 'product',
+    },
+  },
+  {
+    $project: {
+      quantity: { $ifNull: [`$${quantity}`, 1] },
+      costPrice: {
+        $ifNull: [
+          `$${item}.costPrice`,
+          { $ifNull: [{ $arrayElemAt: ['$product.pricing.costPrice', 0] }, 0] },
+        ],
+      },
+    },
+  },
+];
+
+// Bina cost wale items gine jaate hain
+const costOfGoodsSold = async (match, saleDate) =>
+  firstGroup(
+    await Sale.aggregate([
+      { $match: saleFilter(match, saleDate) },
+      { $unwind: '$items' },
+      ...itemCostStages('items', 'items.quantity'),
+      {
+        $group: {
+          _id: null,
+          cost: { $sum: { $multiply: ['$quantity', '$costPrice'] } },
+          withoutCost: { $sum: { $cond: [{ $gt: ['$costPrice', 0] }, 0, 1] } },
+        },
+      },
+    ])
+  );
+
+// Cancellation wala credit note nahi — cancelled sale pehle hi bahar hai
+const salesReturnTotals = async (match, noteDate) =>
+  firstGroup(
+    await CreditNote.aggregate([
+      {
+        $match: {
+          ...match,
+          deletedAt: null,
+          status: 'issued',
+          reason: { $ne: 'sale_cancellation' },
+          noteDate,
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          taxable: { $sum: '$financials.totalTaxableAmount' },
+          gst: { $sum: '$financials.totalGST' },
+        },
+      },
+    ])
+  );
+
+// Period ke return credit notes — wapas aaye items ki cost, asli sale item ki cost pe
+const costOfReturns = async (match, noteDate) =>
+  firstGroup(
+    await CreditNote.aggregate([
+      {
+        $match: {
+          ...match,
+          deletedAt: null,
+          status: 'issued',
+          reason: { $ne: 'sale_cancellation' },
+          noteDate,
+        },
+      },
+      { $unwind: '$items' },
+      {
+        $lookup: {
+          from: Sale.collection.name,
+          localField: 'saleId',
+          foreignField: '_id',
+          as: 'sale',
+        },
+      },
+      {
+        $addFields: {
+          saleItem: {
+            $arrayElemAt: [
+              {
+                $filter: {
+                  input: { $ifNull: [{ $arrayElemAt: ['$sale.items', 0] }, []] },
+                  cond: { $eq: ['$$this._id', '$items.saleItemId'] },
+                },
+              },
+              0,
+            ],
+          },
+        },
+      },
+      // Sale item na mile (purana note) to note ke item ka productId
+      { $addFields: { saleItem: { $ifNull: ['$saleItem', '$items'] } } },
+      ...itemCostStages('saleItem', 'items.quantity'),
+      { $group: { _id: null, cost: { $sum: { $multiply: ['$quantity', '$costPrice'] } } } },
+    ])
+  );
+
+const saleTotals = async (match, saleDate) =>
+  firstGroup(
+    await Sale.aggregate([
+      { $match: saleFilter(match, saleDate) },
+      {
+        $group: {
+          _id: null,
+          taxable: { $sum: '$financials.totalTaxableAmount' },
+          gst: { $sum: '$financials.totalGST' },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+  );
+
+// Byaaj: seedha vasool + auction se recover hua hissa
+const girviIncome = async (match, entryDate) => {
+  const groups = await GirviCashbook.aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        entryDate,
+        entryType: {
+          $in: ['interest_received', 'auction_received', 'auction_expense', 'discount_given'],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$entryType',
+        amount: { $sum: '$amount' },
+        interest: { $sum: '$breakdown.interestAmount' },
+      },
+    },
+  ]);
+
+  const of = type => groups.find(group => group._id === type) || {};
+
+  return {
+    interest: round2(
+      (of('interest_received').amount || 0) + (of('auction_received').interest || 0)
+    ),
+    discount: round2(of('discount_given').amount),
+    auctionExpenses: round2(of('auction_expense').amount),
+  };
+};
+
+const karigarLabour = async (match, voucherDate) =>
+  round2(
+    firstGroup(
+      await KarigarVoucher.aggregate([
+        {
+          $match: {
+            ...match,
+            deletedAt: null,
+            status: 'active',
+            voucherType: 'receipt',
+            voucherDate,
+          },
+        },
+        { $group: { _id: null, labour: { $sum: '$totalLabour' } } },
+      ])
+    ).labour
+  );
+
+const profitAndLoss = async (scope, { from, to }) => {
+  const match = scopeMatch(scope);
+  const range = { $gte: from, $lte: to };
+
+  const [sales, returns, cost, returnedCost, girvi, labour] = await Promise.all([
+    saleTotals(match, range),
+    salesReturnTotals(match, range),
+    costOfGoodsSold(match, range),
+    costOfReturns(match, range),
+    girviIncome(match, range),
+    karigarLabour(match, range),
+  ]);
+
+  const { rows, summary } = buildProfitAndLoss({
+    sales: round2(sales.taxable),
+    salesReturns: round2(returns.taxable),
+    costOfGoodsSold: round2(cost.cost),
+    costOfReturns: round2(returnedCost.cost),
+    girviInterest: girvi.interest,
+    karigarLabour: labour,
+    auctionExpenses: girvi.auctionExpenses,
+  });
+
+  return {
+    columns: [
+      column('section', 'Section'),
+      column('particulars', 'Particulars'),
+      column('amount', 'Amount', 'amount'),
+    ],
+    rows,
+    totals: null,
+    summary: {
+      ...summary,
+      invoices: sales.count || 0,
+      girviDiscountGiven: girvi.discount,
+      itemsWithoutCost: cost.withoutCost || 0,
+    },
+  };
+};
+
+// ─── Stock ─────────────────────────────────────────────────────────────────────
+// Har product ka opening / in / out / closing — aaj ki quantity se transactions ulat ke
+const stockPositions = async (scope, from, to) => {
+  const match = scopeMatch(scope);
+
+  const [products, movements] = await Promise.all([
+    Product.find(match)
+      .select('categoryId metal.type weight.grossWeight pricing.costPrice stock.quantity')
+      .lean(),
+    InventoryTransaction.aggregate([
+      {
+        $match: {
+          ...match,
+          transactionType: { $in: STOCK_MOVING_TYPES },
+          transactionDate: { $gte: from },
+        },
+      },
+      {
+        $project: {
+          productId: 1,
+          delta: { $subtract: ['$newQuantity', '$previousQuantity'] },
+          inPeriod: { $lte: ['$transactionDate', to] },
+        },
+      },
+      {
+        $group: {
+          _id: '$productId',
+          in: { $sum: { $cond: [{ $and: ['$inPeriod', { $gt: ['$delta', 0] }] }, '$delta', 0] } },
+          out: {
+            $sum: {
+              $cond: [{ $and: ['$inPeriod', { $lt: ['$delta', 0] }] }, { $abs: '$delta' }, 0],
+            },
+          },
+          after: { $sum: { $cond: ['$inPeriod', 0, '$delta'] } },
+        },
+      },
+    ]),
+  ]);
+
+  const byProduct = new Map(movements.map(movement => [String(movement._id), movement]));
+
+  return products.map(product => ({
+    product,
+    costPrice: product.pricing?.costPrice || 0,
+    ...rollStock(product.stock?.quantity, byProduct.get(String(product._id))),
+  }));
+};
+
+const stockSummary = async (scope, { from, to }) => {
+  const positions = await stockPositions(scope, from, to);
+
+  const categories = await Category.find({
+    _id: { $in: [...new Set(positions.map(({ product }) => String(product.categoryId)))] },
+  })
+    .select('name')
+    .lean();
+  const categoryName = new Map(categories.map(category => [String(category._id), category.name]));
+
+  const groups = new Map();
+  positions.forEach(position => {
+    const { product } = position;
+    const key = `${product.categoryId}:${product.metal?.type}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        category: categoryName.get(String(product.categoryId)) || 'Uncategorised',
+        metalType: product.metal?.type || '',
+        products: 0,
+        openingQty: 0,
+        inQty: 0,
+        outQty: 0,
+        closingQty: 0,
+        closingWeight: 0,
+        openingValue: 0,
+        closingValue: 0,
+      });
+    }
+
+    const group = groups.get(key);
+    group.products++;
+    group.openingQty += position.opening;
+    group.inQty += position.in;
+    group.outQty += position.out;
+    group.closingQty += position.closing;
+    group.closingWeight = round3(
+      group.closingWeight + position.closing * (product.weight?.grossWeight || 0)
+    );
+    group.openingValue = round2(group.openingValue + position.opening * position.costPrice);
+    group.closingValue = round2(group.closingValue + position.closing * position.costPrice);
+  });
+
+  const rows = [...groups.values()]
+    .filter(group => group.openingQty || group.inQty || group.outQty || group.closingQty)
+    .sort((a, b) => a.category.localeCompare(b.category) || a.metalType.localeCompare(b.metalType));
+
+  const sum = (key, round = round2) => round(rows.reduce((total, row) => total + row[key], 0));
+
+  return {
+    columns: [
+      column('category', 'Category'),
+      column('metalType', 'Metal'),
+      column('openingQty', 'Opening Qty', 'number'),
+      column('inQty', 'In', 'number'),
+      column('outQty', 'Out', 'number'),
+      column('closingQty', 'Closing Qty', 'number'),
+      column('closingWeight', 'Closing Wt (g)', 'weight'),
+      column('openingValue', 'Opening Value', 'amount'),
+      column('closingValue', 'Closing Value', 'amount'),
+    ],
+    rows,
+    totals: {
+      openingQty: sum('openingQty'),
+      inQty: sum('inQty'),
+      outQty: sum('outQty'),
+      closingQty: sum('closingQty'),
+      closingWeight: sum('closingWeight', round3),
+      openingValue: sum('openingValue'),
+      closingValue: sum('closingValue'),
+    },
+    summary: {
+      products: positions.length,
+      productsWithoutCost: positions.filter(position => position.closing > 0 && !position.costPrice)
+        .length,
+    },
+  };
+};
+
+// ─── Ageing ────────────────────────────────────────────────────────────────────
+const ageingColumns = [
+  column('party', 'Party'),
+  column('phone', 'Phone'),
+  column('documents', 'Bills', 'number'),
+  ...AGEING_BUCKETS.map(bucket => column(bucket.key, bucket.label, 'amount')),
+  column('total', 'Total Due', 'amount'),
+  column('oldestDays', 'Oldest (days)', 'number'),
+];
+
+const ageingReport = (documents, asOf) => {
+  const { rows, totals } = buildAgeing(documents, asOf);
+  return {
+    columns: ageingColumns,
+    rows,
+    totals,
+    summary: { parties: rows.length, documents: documents.length, totalDue: totals.total },
+  };
+};
+
+// Bakaya aaj ka hai (dueAmount) — asOf sirf umar aur kaun se bill gine jaayein tay karta hai
+const customerAgeing = async (scope, { asOf }) => {
+  const sales = await Sale.find({
+    ...saleFilter(scopeMatch(scope), { $lte: endOfDay(asOf) }),
+    'payment.dueAmount': { $gt: 0 },
+  })
+    .select(
+      'saleDate customerId customerDetails.customerName customerDetails.phone payment.dueAmount'
+    )
+    .lean();
+
+  return ageingReport(
+    sales.map(sale => ({
+      partyId: sale.customerId,
+      partyName: sale.customerDetails?.customerName,
+      phone: sale.customerDetails?.phone,
+      date: sale.saleDate,
+      due: sale.payment.dueAmount,
+    })),
+    asOf
+  );
+};
+
+const supplierAgeing = async (scope, { asOf }) => {
+  const purchases = await Purchase.find({
+    ...scopeMatch(scope),
+    deletedAt: null,
+    status: { $in: PURCHASE_BOOKED_STATUSES },
+    purchaseDate: { $lte: endOfDay(asOf) },
+    'payment.dueAmount': { $gt: 0 },
+  })
+    .select(
+      'purchaseDate supplierId supplierDetails.supplierName supplierDetails.phone payment.dueAmount'
+    )
+    .lean();
+
+  return ageingReport(
+    purchases.map(purchase => ({
+      partyId: purchase.supplierId,
+      partyName: purchase.supplierDetails?.supplierName,
+      phone: purchase.supplierDetails?.phone,
+      date: purchase.purchaseDate,
+      due: purchase.payment.dueAmount,
+    })),
+    asOf
+  );
+};
+
+// ─── Trial Balance ─────────────────────────────────────────────────────────────
+const dueTotal = async (Model, filter) =>
+  round2(
+    firstGroup(
+      await Model.aggregate([
+        { $match: filter },
+        { $group: { _id: null, due: { $sum: '$payment.dueAmount' } } },
+      ])
+    ).due
+  );
+
+// Girvi me diya hua principal − jo principal wapas aaya (seedha ya auction se)
+const girviLoanBalance = async (match, entryDate) => {
+  const groups = await GirviCashbook.aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        entryDate,
+        entryType: { $in: ['girvi_jama', 'principal_received', 'auction_received'] },
+      },
+    },
+    {
+      $group: {
+        _id: '$entryType',
+        amount: { $sum: '$amount' },
+        principal: { $sum: '$breakdown.principalAmount' },
+      },
+    },
+  ]);
+
+  const of = type => groups.find(group => group._id === type) || {};
+  return round2(
+    (of('girvi_jama').amount || 0) -
+      (of('principal_received').amount || 0) -
+      (of('auction_received').principal || 0)
+  );
+};
+
+const purchaseTotals = async (match, purchaseDate) =>
+  firstGroup(
+    await Purchase.aggregate([
+      {
+        $match: {
+          ...match,
+          deletedAt: null,
+          status: { $in: PURCHASE_BOOKED_STATUSES },
+          purchaseDate,
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          taxable: { $sum: '$financials.totalTaxableAmount' },
+          gst: { $sum: '$financials.totalGST' },
+        },
+      },
+    ])
+  );
+
+const purchaseReturnTotals = async (match, noteDate) =>
+  firstGroup(
+    await DebitNote.aggregate([
+      { $match: { ...match, deletedAt: null, status: 'issued', noteDate } },
+      {
+        $group: {
+          _id: null,
+          taxable: { $sum: '$financials.totalTaxableAmount' },
+          gst: { $sum: '$financials.totalGST' },
+        },
+      },
+    ])
+  );
+
+const karigarCashBalance = async match =>
+  round2(
+    firstGroup(
+      await Karigar.aggregate([
+        { $match: { ...match, deletedAt: null } },
+        { $group: { _id: null, cash: { $sum: '$balance.cash' } } },
+      ])
+    ).cash
+  );
+
+// Nominal accounts (sales, purchase, income, kharcha) FY shuru se; stock FY ke opening pe.
+// Party / karigar bakaya aaj ke hain — purane saal ka farak balancing line me aata hai.
+const trialBalance = async (scope, { asOf }) => {
+  const match = scopeMatch(scope);
+  const to = endOfDay(asOf);
+  const fyStart = financialYearStart(asOf);
+  const fyRange = { $gte: fyStart, $lte: to };
+
+  const [
+    cash,
+    bank,
+    debtors,
+    creditors,
+    girviLoans,
+    stock,
+    sales,
+    salesReturns,
+    purchases,
+    purchaseReturns,
+    girvi,
+    labour,
+    karigarPayable,
+  ] = await Promise.all([
+    moneyBalance(scope, 'cash', { $lte: to }),
+    moneyBalance(scope, 'bank', { $lte: to }),
+    dueTotal(Sale, { ...saleFilter(match, { $lte: to }), 'payment.dueAmount': { $gt: 0 } }),
+    dueTotal(Purchase, {
+      ...match,
+      deletedAt: null,
+      status: { $in: PURCHASE_BOOKED_STATUSES },
+      purchaseDate: { $lte: to },
+    }),
+    girviLoanBalance(match, { $lte: to }),
+    stockPositions(scope, fyStart, to),
+    saleTotals(match, fyRange),
+    salesReturnTotals(match, fyRange),
+    purchaseTotals(match, fyRange),
+    purchaseReturnTotals(match, fyRange),
+    girviIncome(match, fyRange),
+    karigarLabour(match, fyRange),
+    karigarCashBalance(match),
+  ]);
+
+  const stockValue = key =>
+    round2(stock.reduce((sum, position) => sum + position[key] * position.costPrice, 0));
+
+  const { rows, totals, difference } = balanceTrialBalance([
+    { account: 'Cash in hand', group: 'Current assets', balance: cash },
+    { account: 'Bank', group: 'Current assets', balance: bank },
+    { account: 'Sundry debtors', group: 'Current assets', balance: debtors },
+    { account: 'Girvi loans outstanding', group: 'Loans & advances', balance: girviLoans },
+    { account: 'Opening stock (at cost)', group: 'Stock', balance: stockValue('opening') },
+    { account: 'Sundry creditors', group: 'Current liabilities', balance: -creditors },
+    { account: 'Karigar balance', group: 'Current liabilities', balance: -karigarPayable },
+    { account: 'Sales', group: 'Income', balance: -round2(sales.taxable) },
+    { account: 'Sales returns', group: 'Income', balance: round2(salesReturns.taxable) },
+    { account: 'Girvi interest', group: 'Income', balance: -girvi.interest },
+    { account: 'Purchases', group: 'Purchases', balance: round2(purchases.taxable) },
+    { account: 'Purchase returns', group: 'Purchases', balance: -round2(purchaseReturns.taxable) },
+    {
+      account: 'GST output',
+      group: 'Duties & taxes',
+      balance: -round2((sales.gst || 0) - (salesReturns.gst || 0)),
+    },
+    {
+      account: 'GST input credit',
+      group: 'Duties & taxes',
+      balance: round2((purchases.gst || 0) - (purchaseReturns.gst || 0)),
+    },
+    { account: 'Karigar labour', group: 'Expenses', balance: labour },
+    { account: 'Auction expenses', group: 'Expenses', balance: girvi.auctionExpenses },
+  ]);
+
+  return {
+    columns: [
+      column('account', 'Account'),
+      column('group', 'Group'),
+      column('debit', 'Debit', 'amount'),
+      column('credit', 'Credit', 'amount'),
+    ],
+    rows,
+    totals,
+    summary: {
+      financialYearFrom: fyStart,
+      closingStock: stockValue('closing'),
+      balancingFigure: difference,
+    },
+  };
+};
+
+// ─── Girvi Interest ────────────────────────────────────────────────────────────
+const girviInterest = async (scope, { from, to }) => {
+  const match = scopeMatch(scope);
+
+  const [entries, accrued] = await Promise.all([
+    GirviCashbook.find({
+      ...match,
+      entryDate: { $gte: from, $lte: to },
+      entryType: { $in: ['interest_received', 'auction_received', 'discount_given'] },
+    })
+      .select('entryDate entryType amount breakdown girviId girviNumber customerName')
+      .lean(),
+    Girvi.aggregate([
+      { $match: { ...match, deletedAt: null, status: { $in: OPEN_GIRVI_STATUSES } } },
+      { $group: { _id: null, accrued: { $sum: '$accruedInterest' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const interestOf = entry =>
+    entry.entryType === 'auction_received'
+      ? entry.breakdown?.interestAmount || 0
+      : entry.entryType === 'interest_received'
+        ? entry.amount
+        : 0;
+  const discountOf = entry => (entry.entryType === 'discount_given' ? entry.amount : 0);
+
+  const perGirvi = new Map();
+  const perMonth = new Map();
+
+  entries.forEach(entry => {
+    const key = String(entry.girviId || entry.girviNumber);
+    const row = perGirvi.get(key) || {
+      girviId: entry.girviId,
+      girviNumber: entry.girviNumber,
+      customer: entry.customerName,
+      interestReceived: 0,
+      discountGiven: 0,
+      lastReceivedOn: null,
+    };
+    row.interestReceived = round2(row.interestReceived + interestOf(entry));
+    row.discountGiven = round2(row.discountGiven + discountOf(entry));
+    if (interestOf(entry) && (!row.lastReceivedOn || entry.entryDate > row.lastReceivedOn)) {
+      row.lastReceivedOn = entry.entryDate;
+    }
+    perGirvi.set(key, row);
+
+    const month = perMonth.get(monthKey(entry.entryDate)) || { interest: 0, discount: 0 };
+    perMonth.set(monthKey(entry.entryDate), {
+      interest: round2(month.interest + interestOf(entry)),
+      discount: round2(month.discount + discountOf(entry)),
+    });
+  });
+
+  const girvis = await Girvi.find({
+    _id: { $in: [...perGirvi.values()].map(row => row.girviId).filter(Boolean) },
+  })
+    .select('status interestRate outstandingPrincipal accruedInterest')
+    .lean();
+  const girviById = new Map(girvis.map(girvi => [String(girvi._id), girvi]));
+
+  const rows = [...perGirvi.values()]
+    .filter(row => row.interestReceived || row.discountGiven)
+    .map(({ girviId, ...row }) => {
+      const girvi = girviById.get(String(girviId)) || {};
+      return {
+        ...row,
+        status: girvi.status || '',
+        interestRate: girvi.interestRate ?? null,
+        outstandingPrincipal: round2(girvi.outstandingPrincipal),
+        accruedInterest: round2(girvi.accruedInterest),
+      };
+    })
+    .sort((a, b) => b.interestReceived - a.interestReceived);
+
+  const interest = round2(rows.reduce((sum, row) => sum + row.interestReceived, 0));
+  const discount = round2(rows.reduce((sum, row) => sum + row.discountGiven, 0));
+
+  return {
+    columns: [
+      column('girviNumber', 'Girvi No.'),
+      column('customer', 'Customer'),
+      column('status', 'Status'),
+      column('interestRate', 'Rate (%)', 'number'),
+      column('interestReceived', 'Interest Received', 'amount'),
+      column('discountGiven', 'Discount Given', 'amount'),
+      column('lastReceivedOn', 'Last Received', 'date'),
+      column('outstandingPrincipal', 'Principal Outstanding', 'amount'),
+      column('accruedInterest', 'Interest Accrued', 'amount'),
+    ],
+    rows,
+    totals: { interestReceived: interest, discountGiven: discount },
+    summary: {
+      girvis: rows.length,
+      totalInterestReceived: interest,
+      totalDiscountGiven: discount,
+      openGirvis: firstGroup(accrued).count || 0,
+      accruedOnOpenGirvis: round2(firstGroup(accrued).accrued),
+      byMonth: [...perMonth.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, totals]) => ({ month, ...totals })),
+    },
+  };
+};
+
+// ─── Service API ───────────────────────────────────────────────────────────────
+const BUILDERS = {
+  'day-book': dayBook,
+  'cash-book': moneyBook('cash'),
+  'bank-book': moneyBook('bank'),
+  'profit-loss': profitAndLoss,
+  'trial-balance': trialBalance,
+  'stock-summary': stockSummary,
+  'customer-ageing': customerAgeing,
+  'supplier-ageing': supplierAgeing,
+  'girvi-interest': girviInterest,
+};
+
+const describeScope = async ({ organizationId, shopId }) => {
+  if (shopId) {
+    const shop = await JewelryShop.findOne({ _id: shopId, organizationId })
+      .select('name displayName')
+      .lean();
+    if (!shop) throw new NotFoundError('Shop not found');
+    return { organizationId, shopId, name: shop.displayName || shop.name };
+  }
+
+  const organization = await Organization.findById(organizationId)
+    .select('name displayName')
+    .lean();
+  if (!organization) throw new NotFoundError('Organization not found');
+  return { organizationId, shopId: null, name: organization.displayName || organization.name };
+};
+
+/**
+ * @param {string} type - REPORT_TYPES me se
+ * @param {{ organizationId, shopId? }} scope - shopId na ho to poori organization
+ * @param {{ startDate?, endDate?, asOf? }} params
+ */
+export const generateReport = async (type, scope, params = {}) => {
+  const builder = BUILDERS[type];
+  if (!builder) throw new BadRequestError(`Unknown report: ${type}`);
+
+  const window = AS_OF_REPORTS.includes(type)
+    ? { asOf: endOfDay(params.asOf || new Date()) }
+    : resolvePeriod(params);
+
+  const [scopeInfo, body] = await Promise.all([describeScope(scope), builder(scope, window)]);
+
+  return {
+    type,
+    title: REPORT_TITLES[type],
+    scope: scopeInfo,
+    ...(window.asOf ? { asOf: window.asOf } : { period: window }),
+    generatedAt: new Date(),
+    ...body,
+  };
+};
+
+// ─── Export ────────────────────────────────────────────────────────────────────
+const isoDate = value => {
+  if (!value) return '';
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const cellValue = (value, type) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'date') return isoDate(value);
+  if (type === 'amount') return round2(value).toFixed(2);
+  if (type === 'weight') return round3(value).toFixed(3);
+  return value;
+};
+
+const humanize = key => {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Count wale figures — baaki summary numbers rupaye hain
+const COUNT_KEYS = [
+  'vouchers',
+  'invoices',
+  'products',
+  'productsWithoutCost',
+  'itemsWithoutCost',
+  'parties',
+  'documents',
+  'girvis',
+  'openGirvis',
+];
+
+/**
+ * Summary ke seedhe figures (number / date) — CSV aur PDF dono me table ke neeche
+ */
+export const summaryLines = report =>
+  Object.entries(report.summary || {})
+    .filter(([, value]) => typeof value === 'number' || value instanceof Date)
+    .map(([key, value]) => ({
+      label: humanize(key),
+      value,
+      type:
+        value instanceof Date
+          ? 'date'
+          : COUNT_KEYS.includes(key) || key.endsWith('Percent')
+            ? 'number'
+            : 'amount',
+    }));
+
+/**
+ * Report → CSV: header, rows, total line, phir ek khaali line ke baad summary
+ */
+export const reportToCsv = report => {
+  const { columns } = report;
+  const rows = report.rows.map(row => columns.map(col => cellValue(row[col.key], col.type)));
+
+  if (report.totals) {
+    rows.push(
+      columns.map((col, index) =>
+        index === 0 ? 'Total' : cellValue(report.totals[col.key], col.type)
+      )
+    );
+  }
+
+  const summary = summaryLines(report);
+  if (summary.length) {
+    rows.push([]);
+    summary.forEach(line => rows.push([line.label, cellValue(line.value, line.type)]));
+  }
+
+  return toCsv(
+    columns.map(col => col.label),
+    rows
+  );
+};
+
+export const reportFileName = (report, format) => {
+  const when = report.asOf
+    ? isoDate(report.asOf)
+    : `${isoDate(report.period.from)}_${isoDate(report.period.to)}`;
+  const who = String(report.scope?.name || '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${[report.type, who, when].filter(Boolean).join('_')}.${format}`;
+};
+
+export const renderReportPdf = async report => {
+  const shop = report.scope?.shopId ? await JewelryShop.findById(report.scope.shopId).lean() : null;
+
+  return renderTemplatePdf(
+    TEMPLATES.FINANCIAL_REPORT,
+    buildFinancialReportData({ report, shop, summary: summaryLines(report) }),
+    'A4'
+  );
+};
+
+/**
+ * Report + format → { buffer | text, fileName, contentType } — controller aur scheduled mail dono ke liye
+ */
+export const exportReport = async (report, format) => {
+  const fileName = reportFileName(report, format);
+
+  if (format === 'pdf') {
+    return { content: await renderReportPdf(report), fileName, contentType: 'application/pdf' };
+  }
+  return { content: reportToCsv(report), fileName, contentType: 'text/csv' };
+};
+
+export default {
+  REPORT_TYPES,
+  resolvePeriod,
+  financialYearStart,
+  withRunningBalance,
+  ageingBucket,
+  buildAgeing,
+  rollStock,
+  buildProfitAndLoss,
+  balanceTrialBalance,
+  generateReport,
+  summaryLines,
+  reportToCsv,
+  reportFileName,
+  renderReportPdf,
+  exportReport,
+};
@@ -0,0 +1,92 @@
+// FILE: src/api/reports/financialReport.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+import { REPORT_TYPES, EXPORT_FORMATS } from './financialReport.service.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const scheduleId = param('scheduleId').isMongoId().withMessage('Invalid schedule ID format');
+
+// Org router pe: super_admin ko organizationId dena padta hai
+const organizationId = query('organizationId')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid organization ID format');
+
+// Shop router pe shopId URL me hai, org router pe hota hi nahi
+const scope = [
+  param('shopId').optional().isMongoId().withMessage('Invalid shop ID format'),
+  organizationId,
+];
+
+const date = field =>
+  query(field).optional().isISO8601().withMessage(`${field} must be a valid date`).toDate();
+
+export const getReport = [
+  ...scope,
+  param('reportType')
+    .isIn(REPORT_TYPES)
+    .withMessage(`Report must be one of: ${REPORT_TYPES.join(', ')}`),
+  date('startDate'),
+  date('endDate'),
+  date('asOf'),
+  query('format')
+    .optional()
+    .isIn(['json', ...EXPORT_FORMATS])
+    .withMessage(`Format must be one of: json, ${EXPORT_FORMATS.join(', ')}`),
+  validate,
+];
+
+const scheduleFields = (required = true) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+    field('reportType')
+      .isIn(REPORT_TYPES)
+      .withMessage(`Report must be one of: ${REPORT_TYPES.join(', ')}`),
+    field('frequency')
+      .isIn(FREQUENCIES)
+      .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+    body('format')
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    field('recipients')
+      .isArray({ min: 1, max: 10 })
+      .withMessage('Between 1 and 10 recipients are required'),
+    body('recipients.*')
+      .isEmail()
+      .withMessage('Each recipient must be a valid email')
+      .normalizeEmail(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+  ];
+};
+
+export const listSchedules = [...scope, validate];
+
+export const getSchedule = [...scope, scheduleId, validate];
+
+export const createSchedule = [...scope, ...scheduleFields(true), validate];
+
+export const updateSchedule = [...scope, scheduleId, ...scheduleFields(false), validate];
+
+export const deleteSchedule = [...scope, scheduleId, validate];
+
+export const sendScheduleNow = [...scope, scheduleId, validate];
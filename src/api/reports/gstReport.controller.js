@@ -0,0 +1,42 @@
+// FILE: src/api/reports/gstReport.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as gstReportService from './gstReport.service.js';
+import { sendSuccess, sendCSV } from '../../utils/sendResponse.js';
+
+/**
+  GET /api/v1/shops/:shopId/reports/gst/gstr1?period=YYYY-MM&format=json|csv&section=b2b
+ */
+export const getGstr1 = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const { period, format = 'json', section } = req.query;
+  const organizationId = req.user.organizationId;
+
+  const { sections, json } = await gstReportService.getGstr1(shopId, organizationId, period);
+
+  if (format === 'csv') {
+    return sendCSV(
+      res,
+      gstReportService.toGstr1Csv(sections, section),
+      `GSTR1_${json.fp}_${section}.csv`
+    );
+  }
+
+  sendSuccess(res, 200, 'GSTR-1 generated successfully', json);
+});
+
+/**
+  GET /api/v1/shops/:shopId/reports/gst/gstr3b?period=YYYY-MM&format=json|csv
+ */
+export const getGstr3b = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const { period, format = 'json' } = req.query;
+  const organizationId = req.user.organizationId;
+
+  const gstr3b = await gstReportService.getGstr3b(shopId, organizationId, period);
+
+  if (format === 'csv') {
+    return sendCSV(res, gstReportService.toGstr3bCsv(gstr3b), `GSTR3B_${gstr3b.ret_period}.csv`);
+  }
+
+  sendSuccess(res, 200, 'GSTR-3B generated successfully', gstr3b);
+});
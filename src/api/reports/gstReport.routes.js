@@ -0,0 +1,47 @@
+// FILE: src/api/reports/gstReport.routes.js
+// Mounted at: /api/v1/shops/:shopId/reports/gst
+import express from 'express';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as gstReportController from './gstReport.controller.js';
+import * as gstReportValidation from './gstReport.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+router.use(requireFeature('reports'));
+
+/**
+ * @route   GET /api/v1/shops/:shopId/reports/gst/gstr1
+ * @desc    GSTR-1 for a month — portal JSON, or one section as CSV
+ * @access  Private (Admin, Manager, Accountant)
+ */
+router.get(
+  '/gstr1',
+  gstReportValidation.gstr1,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EXPORT_REPORTS),
+  apiRateLimiter,
+  gstReportController.getGstr1
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/reports/gst/gstr3b
+ * @desc    GSTR-3B liability and ITC summary for a month — JSON or CSV
+ * @access  Private (Admin, Manager, Accountant)
+ */
+router.get(
+  '/gstr3b',
+  gstReportValidation.gstr3b,
+  restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EXPORT_REPORTS),
+  apiRateLimiter,
+  gstReportController.getGstr3b
+);
+
+export default router;
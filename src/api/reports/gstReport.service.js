@@ -0,0 +1,818 @@
+// FILE: src/api/reports/gstReport.service.js
+// GSTR-1 / GSTR-3B from Sale, CreditNote, Purchase + DebitNote documents for one return period (month).
+// Sections are first collected as flat rows (with names for the CSV), then shaped
+// into the GST portal offline-tool JSON.
+
+import Sale from '../../models/Sale.js';
+import CreditNote from '../../models/CreditNote.js';
+import DebitNote from '../../models/DebitNote.js';
+import Purchase from '../../models/Purchase.js';
+import JewelryShop from '../../models/Shop.js';
+import { NotFoundError, BadRequestError } from '../../utils/AppError.js';
+import { getStateName, resolvePartyStateCode, splitGst } from '../../utils/gst.js';
+import { toCsv } from '../../utils/csv.js';
+
+// Unregistered inter-state invoices above this go to B2CL instead of B2CS
+export const B2CL_LIMIT = 100000;
+
+// Articles of jewellery of precious metal — used when an item has no HSN
+const DEFAULT_HSN = '7113';
+
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const GSTR1_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'hsn', 'cdnr', 'cdnur', 'docs'];
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+const round2 = value => Math.round((Number(value) || 0) * 100) / 100;
+
+const pad2 = value => String(value).padStart(2, '0');
+
+const portalDate = date => {
+  const d = new Date(date);
+  return `${pad2(d.getDate())}-${pad2(d.getMonth() + 1)}-${d.getFullYear()}`;
+};
+
+const csvDate = date => {
+  const d = new Date(date);
+  return `${pad2(d.getDate())}-${MONTHS[d.getMonth()]}-${d.getFullYear()}`;
+};
+
+const csvPos = stateCode => (stateCode ? `${stateCode}-${getStateName(stateCode)}` : '');
+
+const isValidGstin = gstin => GSTIN_REGEX.test(String(gstin || '').toUpperCase());
+
+const emptyTax = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addTax = (target, tax, factor = 1) => {
+  target.txval += tax.txval * factor;
+  target.iamt += tax.iamt * factor;
+  target.camt += tax.camt * factor;
+  target.samt += tax.samt * factor;
+  return target;
+};
+
+const roundTax = tax => ({
+  txval: round2(tax.txval),
+  iamt: round2(tax.iamt),
+  camt: round2(tax.camt),
+  samt: round2(tax.samt),
+  csamt: round2(tax.csamt),
+});
+
+/**
+ * "2025-04" → month boundaries (server local time) + portal period "042025"
+ */
+export const parsePeriod = period => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(period || ''));
+  if (!match) throw new BadRequestError('Period must be in YYYY-MM format');
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) throw new BadRequestError('Invalid period month');
+
+  return {
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 1),
+    fp: `${pad2(month)}${year}`,
+  };
+};
+
+// Per-rate taxable value + tax for a document's items
+const taxByRate = (items, isInterState) => {
+  const rates = new Map();
+
+  for (const item of items || []) {
+    const qty = item.quantity || 1;
+    const rate = item.gstPercentage || 0;
+    const gst = (item.totalGst ?? item.gstAmount ?? 0) * qty;
+    const { cgst, sgst, igst } = splitGst(gst, isInterState);
+
+    const bucket = rates.get(rate) || emptyTax();
+    addTax(bucket, { txval: (item.taxableAmount || 0) * qty, iamt: igst, camt: cgst, samt: sgst });
+    rates.set(rate, bucket);
+  }
+
+  return [...rates.entries()].map(([rt, tax]) => ({ rt, ...roundTax(tax) }));
+};
+
+const saleContext = (sale, shopStateCode) => {
+  const gstin = String(sale.customerDetails?.gstNumber || '').toUpperCase();
+  const pos = sale.placeOfSupply?.stateCode || shopStateCode;
+
+  return {
+    gstin: isValidGstin(gstin) ? gstin : null,
+    name: sale.customerDetails?.customerName || '',
+    pos,
+    isInterState: Boolean(sale.isInterState),
+    value: round2(sale.financials?.grandTotal),
+  };
+};
+
+// Cancelled invoices stay reported when a credit note reverses them — otherwise
+// the tax would be taken out twice
+const isReported = sale => sale.status !== 'cancelled' || Boolean(sale.hasCreditNote);
+
+// "INV-25-00012" → prefix "INV-25-", number 12. Bina trailing digits wala number apni series khud hai.
+const splitDocumentNumber = number => {
+  const match = String(number).match(/^(.*?)(\d+)$/);
+  return match ? { prefix: match[1], seq: Number(match[2]) } : { prefix: String(number), seq: 0 };
+};
+
+// Document series summary per prefix: from / to / total / cancelled.
+// Numeric order within a prefix — string sort puts INV-10 before INV-9.
+const documentSeries = documents => {
+  const series = groupBy(
+    documents.map(doc => ({ ...doc, ...splitDocumentNumber(doc.number) })),
+    'prefix'
+  );
+
+  return [...series.keys()].sort().map(prefix => {
+    const sorted = series.get(prefix).sort((a, b) => a.seq - b.seq);
+    const cancelled = sorted.filter(doc => doc.cancelled).length;
+    return {
+      from: sorted[0].number,
+      to: sorted[sorted.length - 1].number,
+      totnum: sorted.length,
+      cancel: cancelled,
+      net_issue: sorted.length - cancelled,
+    };
+  });
+};
+
+// ─── GSTR-1 ────────────────────────────────────────────────────────────────────
+/**
+ * Collect GSTR-1 rows. Pure — no DB access.
+ * @param {{ sales: Object[], creditNotes: Object[], shopStateCode: string }} data
+ *   sales       - invoices dated in the period (cancelled ones without a credit note only count in docs)
+ *   creditNotes - CreditNote documents dated in the period
+ */
+export const collectGstr1 = ({ sales, creditNotes, shopStateCode }) => {
+  const sections = { b2b: [], b2cl: [], b2cs: [], hsn: [], cdnr: [], cdnur: [], docs: [] };
+  const b2cs = new Map();
+  const hsn = new Map();
+
+  const addB2cs = (ctx, rateRow, factor = 1) => {
+    const type = ctx.isInterState ? 'INTER' : 'INTRA';
+    const key = `${type}|${ctx.pos}|${rateRow.rt}`;
+    const row = b2cs.get(key) || { sply_ty: type, pos: ctx.pos, rt: rateRow.rt, ...emptyTax() };
+    addTax(row, rateRow, factor);
+    b2cs.set(key, row);
+  };
+
+  // Credit note ki items factor -1 se — HSN summary bhi return ke baad ka net dikhaye
+  const addHsn = (item, isInterState, factor = 1) => {
+    const qty = (item.quantity || 1) * factor;
+    const code = item.hsnCode || DEFAULT_HSN;
+    const rate = item.gstPercentage || 0;
+    const key = `${code}|${rate}`;
+    const gst = (item.totalGst || 0) * qty;
+    const { cgst, sgst, igst } = splitGst(gst, isInterState);
+
+    const row = hsn.get(key) || {
+      hsn_sc: code,
+      desc: item.category || item.metalType || 'Jewellery',
+      uqc: 'GMS',
+      qty: 0,
+      val: 0,
+      rt: rate,
+      ...emptyTax(),
+    };
+    row.qty += (item.netWeight || 0) * qty;
+    row.val += (item.taxableAmount || 0) * qty + gst;
+    addTax(row, { txval: (item.taxableAmount || 0) * qty, iamt: igst, camt: cgst, samt: sgst });
+    hsn.set(key, row);
+  };
+
+  const issued = sales.filter(isReported);
+
+  for (const sale of issued) {
+    const ctx = saleContext(sale, shopStateCode);
+    const rates = taxByRate(sale.items, ctx.isInterState);
+    const invoice = {
+      inum: sale.invoiceNumber,
+      idt: sale.saleDate,
+      val: ctx.value,
+      pos: ctx.pos,
+      ctin: ctx.gstin,
+      name: ctx.name,
+      rates,
+    };
+
+    if (ctx.gstin) sections.b2b.push(invoice);
+    else if (ctx.isInterState && ctx.value > B2CL_LIMIT) sections.b2cl.push(invoice);
+    else rates.forEach(rateRow => addB2cs(ctx, rateRow));
+
+    (sale.items || []).forEach(saleItem => addHsn(saleItem, ctx.isInterState));
+  }
+
+  for (const creditNote of creditNotes) {
+    const ctx = saleContext(creditNote, shopStateCode);
+    const rates = taxByRate(creditNote.items, ctx.isInterState);
+    const originalValue = round2(creditNote.invoiceValue);
+    const note = {
+      nt_num: creditNote.creditNoteNumber,
+      nt_dt: creditNote.noteDate,
+      val: ctx.value,
+      pos: ctx.pos,
+      ctin: ctx.gstin,
+      name: ctx.name,
+      originalValue,
+      rates,
+    };
+
+    // B2CL vs B2CS goes by the original invoice value, not the note's
+    if (ctx.gstin) sections.cdnr.push(note);
+    else if (ctx.isInterState && originalValue > B2CL_LIMIT) sections.cdnur.push(note);
+    else rates.forEach(rateRow => addB2cs(ctx, rateRow, -1));
+
+    (creditNote.items || []).forEach(noteItem => addHsn(noteItem, ctx.isInterState, -1));
+  }
+
+  sections.b2cs = [...b2cs.values()].map(row => ({ ...row, ...roundTax(row) }));
+  sections.hsn = [...hsn.values()].map(row => ({
+    ...row,
+    ...roundTax(row),
+    qty: Math.round(row.qty * 1000) / 1000,
+    val: round2(row.val),
+  }));
+
+  documentSeries(
+    sales.map(sale => ({ number: sale.invoiceNumber, cancelled: !isReported(sale) }))
+  ).forEach(series =>
+    sections.docs.push({ doc_num: 1, nature: 'Invoices for outward supply', ...series })
+  );
+
+  documentSeries(creditNotes.map(note => ({ number: note.creditNoteNumber }))).forEach(series =>
+    sections.docs.push({ doc_num: 5, nature: 'Credit Note', ...series })
+  );
+
+  return sections;
+};
+
+const itemDetails = (rates, { intra = true } = {}) =>
+  rates.map((rateRow, index) => ({
+    num: index + 1,
+    itm_det: {
+      txval: rateRow.txval,
+      rt: rateRow.rt,
+      iamt: rateRow.iamt,
+      ...(intra ? { camt: rateRow.camt, samt: rateRow.samt } : {}),
+      csamt: rateRow.csamt,
+    },
+  }));
+
+const groupBy = (rows, key) =>
+  rows.reduce((map, row) => {
+    if (!map.has(row[key])) map.set(row[key], []);
+    map.get(row[key]).push(row);
+    return map;
+  }, new Map());
+
+/**
+ * Shape collected rows into the GSTR-1 offline-tool JSON.
+ */
+export const toGstr1Json = (sections, { gstin, fp }) => ({
+  gstin,
+  fp,
+  b2b: [...groupBy(sections.b2b, 'ctin').entries()].map(([ctin, invoices]) => ({
+    ctin,
+    inv: invoices.map(inv => ({
+      inum: inv.inum,
+      idt: portalDate(inv.idt),
+      val: inv.val,
+      pos: inv.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: itemDetails(inv.rates),
+    })),
+  })),
+  b2cl: [...groupBy(sections.b2cl, 'pos').entries()].map(([pos, invoices]) => ({
+    pos,
+    inv: invoices.map(inv => ({
+      inum: inv.inum,
+      idt: portalDate(inv.idt),
+      val: inv.val,
+      itms: itemDetails(inv.rates, { intra: false }),
+    })),
+  })),
+  b2cs: sections.b2cs.map(row => ({
+    sply_ty: row.sply_ty,
+    pos: row.pos,
+    typ: 'OE',
+    txval: row.txval,
+    rt: row.rt,
+    iamt: row.iamt,
+    camt: row.camt,
+    samt: row.samt,
+    csamt: row.csamt,
+  })),
+  hsn: {
+    data: sections.hsn.map((row, index) => ({
+      num: index + 1,
+      hsn_sc: row.hsn_sc,
+      desc: row.desc,
+      uqc: row.uqc,
+      qty: row.qty,
+      val: row.val,
+      rt: row.rt,
+      txval: row.txval,
+      iamt: row.iamt,
+      camt: row.camt,
+      samt: row.samt,
+      csamt: row.csamt,
+    })),
+  },
+  cdnr: [...groupBy(sections.cdnr, 'ctin').entries()].map(([ctin, notes]) => ({
+    ctin,
+    nt: notes.map(note => ({
+      ntty: 'C',
+      nt_num: note.nt_num,
+      nt_dt: portalDate(note.nt_dt),
+      val: note.val,
+      pos: note.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: itemDetails(note.rates),
+    })),
+  })),
+  cdnur: sections.cdnur.map(note => ({
+    typ: 'B2CL',
+    ntty: 'C',
+    nt_num: note.nt_num,
+    nt_dt: portalDate(note.nt_dt),
+    val: note.val,
+    pos: note.pos,
+    itms: itemDetails(note.rates, { intra: false }),
+  })),
+  doc_issue: {
+    doc_det: [...groupBy(sections.docs, 'doc_num').entries()].map(([docNum, series]) => ({
+      doc_num: docNum,
+      docs: series.map((doc, index) => ({
+        num: index + 1,
+        from: doc.from,
+        to: doc.to,
+        totnum: doc.totnum,
+        cancel: doc.cancel,
+        net_issue: doc.net_issue,
+      })),
+    })),
+  },
+});
+
+// Column headers follow the GST offline tool templates
+const GSTR1_CSV = {
+  b2b: {
+    headers: [
+      'GSTIN/UIN of Recipient',
+      'Receiver Name',
+      'Invoice Number',
+      'Invoice date',
+      'Invoice Value',
+      'Place Of Supply',
+      'Reverse Charge',
+      'Applicable % of Tax Rate',
+      'Invoice Type',
+      'E-Commerce GSTIN',
+      'Rate',
+      'Taxable Value',
+      'Cess Amount',
+    ],
+    rows: sections =>
+      sections.b2b.flatMap(inv =>
+        inv.rates.map(r => [
+          inv.ctin,
+          inv.name,
+          inv.inum,
+          csvDate(inv.idt),
+          inv.val,
+          csvPos(inv.pos),
+          'N',
+          '',
+          'Regular B2B',
+          '',
+          r.rt,
+          r.txval,
+          r.csamt,
+        ])
+      ),
+  },
+  b2cl: {
+    headers: [
+      'Invoice Number',
+      'Invoice date',
+      'Invoice Value',
+      'Place Of Supply',
+      'Applicable % of Tax Rate',
+      'Rate',
+      'Taxable Value',
+      'Cess Amount',
+      'E-Commerce GSTIN',
+    ],
+    rows: sections =>
+      sections.b2cl.flatMap(inv =>
+        inv.rates.map(r => [
+          inv.inum,
+          csvDate(inv.idt),
+          inv.val,
+          csvPos(inv.pos),
+          '',
+          r.rt,
+          r.txval,
+          r.csamt,
+          '',
+        ])
+      ),
+  },
+  b2cs: {
+    headers: [
+      'Type',
+      'Place Of Supply',
+      'Applicable % of Tax Rate',
+      'Rate',
+      'Taxable Value',
+      'Cess Amount',
+      'E-Commerce GSTIN',
+    ],
+    rows: sections =>
+      sections.b2cs.map(row => ['OE', csvPos(row.pos), '', row.rt, row.txval, row.csamt, '']),
+  },
+  hsn: {
+    headers: [
+      'HSN',
+      'Description',
+      'UQC',
+      'Total Quantity',
+      'Total Value',
+      'Rate',
+      'Taxable Value',
+      'Integrated Tax Amount',
+      'Central Tax Amount',
+      'State/UT Tax Amount',
+      'Cess Amount',
+    ],
+    rows: sections =>
+      sections.hsn.map(row => [
+        row.hsn_sc,
+        row.desc,
+        'GMS-GRAMMES',
+        row.qty,
+        row.val,
+        row.rt,
+        row.txval,
+        row.iamt,
+        row.camt,
+        row.samt,
+        row.csamt,
+      ]),
+  },
+  cdnr: {
+    headers: [
+      'GSTIN/UIN of Recipient',
+      'Receiver Name',
+      'Note Number',
+      'Note Date',
+      'Note Type',
+      'Place Of Supply',
+      'Reverse Charge',
+      'Note Supply Type',
+      'Note Value',
+      'Applicable % of Tax Rate',
+      'Rate',
+      'Taxable Value',
+      'Cess Amount',
+    ],
+    rows: sections =>
+      sections.cdnr.flatMap(note =>
+        note.rates.map(r => [
+          note.ctin,
+          note.name,
+          note.nt_num,
+          csvDate(note.nt_dt),
+          'C',
+          csvPos(note.pos),
+          'N',
+          'Regular B2B',
+          note.val,
+          '',
+          r.rt,
+          r.txval,
+          r.csamt,
+        ])
+      ),
+  },
+  cdnur: {
+    headers: [
+      'UR Type',
+      'Note Number',
+      'Note Date',
+      'Note Type',
+      'Place Of Supply',
+      'Note Value',
+      'Applicable % of Tax Rate',
+      'Rate',
+      'Taxable Value',
+      'Cess Amount',
+    ],
+    rows: sections =>
+      sections.cdnur.flatMap(note =>
+        note.rates.map(r => [
+          'B2CL',
+          note.nt_num,
+          csvDate(note.nt_dt),
+          'C',
+          csvPos(note.pos),
+          note.val,
+          '',
+          r.rt,
+          r.txval,
+          r.csamt,
+        ])
+      ),
+  },
+  docs: {
+    headers: ['Nature of Document', 'Sr. No. From', 'Sr. No. To', 'Total Number', 'Cancelled'],
+    rows: sections =>
+      sections.docs.map(doc => [doc.nature, doc.from, doc.to, doc.totnum, doc.cancel]),
+  },
+};
+
+export const toGstr1Csv = (sections, section) => {
+  const config = GSTR1_CSV[section];
+  if (!config) throw new BadRequestError(`Unknown GSTR-1 section: ${section}`);
+  return toCsv(config.headers, config.rows(sections));
+};
+
+// ─── GSTR-3B ───────────────────────────────────────────────────────────────────
+/**
+ * Outward liability (3.1), inter-state supplies to unregistered (3.2),
+ * eligible ITC (4) and exempt inward supplies (5). Pure — no DB access.
+ * Purchase return ke debit notes apne month me 4(B)(2) reversal hote hain — purchase
+ * ka ITC uske apne month me hi rehta hai, already filed return nahi badalta.
+ */
+export const buildGstr3b = (
+  { sales, creditNotes, purchases, debitNotes = [], shopStateCode },
+  { gstin, fp }
+) => {
+  const taxable = emptyTax();
+  const nilRated = emptyTax();
+  const unregistered = new Map();
+
+  const addSale = (sale, sign) => {
+    const ctx = saleContext(sale, shopStateCode);
+
+    for (const rateRow of taxByRate(sale.items, ctx.isInterState)) {
+      if (rateRow.rt > 0) addTax(taxable, rateRow, sign);
+      else addTax(nilRated, rateRow, sign);
+
+      if (!ctx.gstin && ctx.isInterState && rateRow.rt > 0) {
+        const row = unregistered.get(ctx.pos) || { pos: ctx.pos, txval: 0, iamt: 0 };
+        row.txval += rateRow.txval * sign;
+        row.iamt += rateRow.iamt * sign;
+        unregistered.set(ctx.pos, row);
+      }
+    }
+  };
+
+  sales.filter(isReported).forEach(sale => addSale(sale, 1));
+  creditNotes.forEach(note => addSale(note, -1));
+
+  const itc = emptyTax();
+  const exemptInward = { inter: 0, intra: 0 };
+
+  for (const purchase of purchases) {
+    const registered = isValidGstin(purchase.supplierDetails?.gstNumber);
+
+    for (const rateRow of taxByRate(purchase.items, Boolean(purchase.isInterState))) {
+      if (rateRow.rt === 0) {
+        exemptInward[purchase.isInterState ? 'inter' : 'intra'] += rateRow.txval;
+      } else if (registered) {
+        addTax(itc, rateRow);
+      }
+    }
+  }
+
+  // Jis supplier se ITC liya tha usi ka debit note reverse hota hai
+  const itcReversed = emptyTax();
+  for (const note of debitNotes) {
+    if (!isValidGstin(note.supplierDetails?.gstNumber)) continue;
+    for (const rateRow of taxByRate(note.items, Boolean(note.isInterState))) {
+      if (rateRow.rt > 0) addTax(itcReversed, rateRow);
+    }
+  }
+
+  const itcNet = emptyTax();
+  addTax(itcNet, itc);
+  addTax(itcNet, itcReversed, -1);
+
+  const zero = roundTax(emptyTax());
+  const { txval: _itcTxval, ...itcTax } = roundTax(itc);
+  const { txval: _revTxval, ...revTax } = roundTax(itcReversed);
+  const { txval: _netTxval, ...netTax } = roundTax(itcNet);
+  const { txval: _zeroTxval, ...zeroTax } = zero;
+
+  return {
+    gstin,
+    ret_period: fp,
+    sup_details: {
+      osup_det: roundTax(taxable),
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: round2(nilRated.txval) },
+      isup_rev: zero,
+      osup_nongst: { txval: 0 },
+    },
+    inter_sup: {
+      unreg_details: [...unregistered.values()]
+        .filter(row => row.txval !== 0)
+        .map(row => ({ pos: row.pos, txval: round2(row.txval), iamt: round2(row.iamt) })),
+      comp_details: [],
+      uin_details: [],
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: 'IMPG', ...zeroTax },
+        { ty: 'IMPS', ...zeroTax },
+        { ty: 'ISRC', ...zeroTax },
+        { ty: 'ISD', ...zeroTax },
+        { ty: 'OTH', ...itcTax },
+      ],
+      itc_rev: [
+        { ty: 'RUL', ...zeroTax },
+        { ty: 'OTH', ...revTax },
+      ],
+      itc_net: netTax,
+      itc_inelg: [
+        { ty: 'RUL', ...zeroTax },
+        { ty: 'OTH', ...zeroTax },
+      ],
+    },
+    inward_sup: {
+      isup_details: [
+        { ty: 'GST', inter: round2(exemptInward.inter), intra: round2(exemptInward.intra) },
+        { ty: 'NONGST', inter: 0, intra: 0 },
+      ],
+    },
+  };
+};
+
+export const toGstr3bCsv = gstr3b => {
+  const { osup_det, osup_nil_exmp } = gstr3b.sup_details;
+  const itc = gstr3b.itc_elg.itc_avl.find(row => row.ty === 'OTH');
+  const reversed = gstr3b.itc_elg.itc_rev.find(row => row.ty === 'OTH');
+  const net = gstr3b.itc_elg.itc_net;
+  const [exempt] = gstr3b.inward_sup.isup_details;
+
+  const rows = [
+    [
+      '3.1(a)',
+      'Outward taxable supplies',
+      osup_det.txval,
+      osup_det.iamt,
+      osup_det.camt,
+      osup_det.samt,
+      osup_det.csamt,
+    ],
+    ['3.1(c)', 'Nil rated / exempted supplies', osup_nil_exmp.txval, 0, 0, 0, 0],
+    ...gstr3b.inter_sup.unreg_details.map(row => [
+      '3.2',
+      `Inter-state supplies to unregistered persons - ${csvPos(row.pos)}`,
+      row.txval,
+      row.iamt,
+      '',
+      '',
+      '',
+    ]),
+    ['4(A)(5)', 'ITC available - all other ITC', '', itc.iamt, itc.camt, itc.samt, itc.csamt],
+    [
+      '4(B)(2)',
+      'ITC reversed - others',
+      '',
+      reversed.iamt,
+      reversed.camt,
+      reversed.samt,
+      reversed.csamt,
+    ],
+    ['4(C)', 'Net ITC available', '', net.iamt, net.camt, net.samt, net.csamt],
+    ['5', 'Exempt / nil rated inward supplies (inter-state)', exempt.inter, '', '', '', ''],
+    ['5', 'Exempt / nil rated inward supplies (intra-state)', exempt.intra, '', '', '', ''],
+  ];
+
+  return toCsv(
+    [
+      'Table',
+      'Description',
+      'Taxable Value',
+      'Integrated Tax',
+      'Central Tax',
+      'State/UT Tax',
+      'Cess',
+    ],
+    rows
+  );
+};
+
+// ─── Data Loading ──────────────────────────────────────────────────────────────
+const SALE_FIELDS =
+  'invoiceNumber saleDate status saleType customerDetails placeOfSupply isInterState items financials';
+
+const loadPeriodData = async (shopId, organizationId, period, { withPurchases = false } = {}) => {
+  const { start, end, fp } = parsePeriod(period);
+
+  const shop = await JewelryShop.findById(shopId).select('gstNumber address').lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+  if (!shop.gstNumber) throw new BadRequestError('Shop GSTIN is not configured');
+
+  const base = { shopId, organizationId, deletedAt: null, saleType: { $ne: 'estimate' } };
+
+  const [sales, creditNotes, purchases, debitNotes] = await Promise.all([
+    Sale.find({ ...base, saleDate: { $gte: start, $lt: end }, status: { $nin: ['draft'] } })
+      .select(SALE_FIELDS)
+      .sort({ saleDate: 1 })
+      .lean(),
+    CreditNote.find({
+      shopId,
+      organizationId,
+      deletedAt: null,
+      status: 'issued',
+      noteDate: { $gte: start, $lt: end },
+    })
+      .select(
+        'creditNoteNumber noteDate customerDetails placeOfSupply isInterState items financials invoiceValue'
+      )
+      .sort({ creditNoteNumber: 1 })
+      .lean(),
+    withPurchases
+      ? Purchase.find({
+          shopId,
+          organizationId,
+          deletedAt: null,
+          // Baad me return hua purchase bhi — uska ITC booking wale month ka hai,
+          // return debit note se apne month me reverse hota hai
+          status: { $in: ['received', 'partial_received', 'completed', 'returned'] },
+          purchaseDate: { $gte: start, $lt: end },
+        })
+          .select('purchaseNumber purchaseDate supplierDetails isInterState items financials')
+          .lean()
+      : [],
+    withPurchases
+      ? DebitNote.find({
+          shopId,
+          organizationId,
+          deletedAt: null,
+          status: 'issued',
+          noteDate: { $gte: start, $lt: end },
+        })
+          .select('debitNoteNumber noteDate supplierDetails isInterState items financials')
+          .lean()
+      : [],
+  ]);
+
+  // Cancellation credit note kisi bhi period ka ho — invoice apne month mein report hoga
+  const cancelledIds = sales.filter(sale => sale.status === 'cancelled').map(sale => sale._id);
+  const creditedIds = cancelledIds.length
+    ? await CreditNote.distinct('saleId', {
+        shopId,
+        saleId: { $in: cancelledIds },
+        reason: 'sale_cancellation',
+        status: 'issued',
+        deletedAt: null,
+      })
+    : [];
+  const credited = new Set(creditedIds.map(String));
+
+  return {
+    gstin: shop.gstNumber,
+    fp,
+    shopStateCode: resolvePartyStateCode({ gstNumber: shop.gstNumber, state: shop.address?.state }),
+    sales: sales.map(sale =>
+      credited.has(String(sale._id)) ? { ...sale, hasCreditNote: true } : sale
+    ),
+    creditNotes,
+    purchases,
+    debitNotes,
+  };
+};
+
+// ─── Service API ───────────────────────────────────────────────────────────────
+export const getGstr1 = async (shopId, organizationId, period) => {
+  const data = await loadPeriodData(shopId, organizationId, period);
+  const sections = collectGstr1(data);
+  return { sections, json: toGstr1Json(sections, data) };
+};
+
+export const getGstr3b = async (shopId, organizationId, period) => {
+  const data = await loadPeriodData(shopId, organizationId, period, { withPurchases: true });
+  return buildGstr3b(data, data);
+};
+
+export default {
+  parsePeriod,
+  collectGstr1,
+  toGstr1Json,
+  toGstr1Csv,
+  buildGstr3b,
+  toGstr3bCsv,
+  getGstr1,
+  getGstr3b,
+};
@@ -0,0 +1,40 @@
+// FILE: src/api/reports/gstReport.validation.js
+import { param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+import { GSTR1_SECTIONS } from './gstReport.service.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+
+const period = query('period')
+  .notEmpty()
+  .withMessage('Period is required')
+  .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .withMessage('Period must be in YYYY-MM format');
+
+const format = query('format')
+  .optional()
+  .isIn(['json', 'csv'])
+  .withMessage('Format must be json or csv');
+
+export const gstr1 = [
+  shopId,
+  period,
+  format,
+  query('section')
+    .if(query('format').equals('csv'))
+    .notEmpty()
+    .withMessage('Section is required for CSV export')
+    .isIn(GSTR1_SECTIONS)
+    .withMessage(`Section must be one of: ${GSTR1_SECTIONS.join(', ')}`),
+  validate,
+];
+
+export const gstr3b = [shopId, period, format, validate];
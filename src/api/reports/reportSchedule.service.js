@@ -0,0 +1,280 @@
+// FILE: src/api/reports/reportSchedule.service.js
+// Report ka auto-mail. Schedule subah RUN_HOUR baje due hota hai; job (scheduled-reports)
+// har ghante due schedules uthata hai, pichhle pure period ka report bana ke recipients ko
+// attachment bhejta hai. Job kuch din band raha ho to chhoote runs dobara nahi bhejte —
+// agla slot aaj ke baad se.
+
+import ReportSchedule from '../../models/ReportSchedule.js';
+import JewelryShop from '../../models/Shop.js';
+import Organization from '../../models/Organization.js';
+import {
+  generateReport,
+  exportReport,
+  AS_OF_REPORTS,
+  REPORT_TITLES,
+} from './financialReport.service.js';
+import { featureAccess } from '../../subscription/entitlements.js';
+import { sendScheduledReportEmail } from '../../utils/email.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+import { NotFoundError, UnprocessableEntityError } from '../../utils/AppError.js';
+
+// Raat ke jobs (metal snapshot, overdue marking) ke baad
+export const RUN_HOUR = 7;
+
+// Ek run me itne hi — baaki agle ghante
+const MAX_PER_RUN = 50;
+
+const EDITABLE_FIELDS = ['name', 'reportType', 'frequency', 'format', 'recipients', 'isActive'];
+
+/**
+ * `from` ke baad ka pehla slot — daily: roz, weekly: Monday, monthly: 1 tareekh (RUN_HOUR pe)
+ */
+export const nextRunAfter = (frequency, from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(RUN_HOUR, 0, 0, 0);
+
+  if (frequency === 'weekly') {
+    next.setDate(next.getDate() + ((8 - next.getDay()) % 7));
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (frequency === 'monthly') {
+    next.setDate(1);
+    if (next <= from) next.setMonth(next.getMonth() + 1);
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next;
+};
+
+/**
+ * Run ke din se pehle ka pura period — daily: kal, weekly: pichhle 7 din (Monday ko
+ * chale to Mon–Sun), monthly: pichhla mahina
+ */
+export const reportPeriodFor = (frequency, runAt) => {
+  const to = new Date(runAt);
+  to.setHours(0, 0, 0, 0);
+  to.setTime(to.getTime() - 1);
+
+  const from = new Date(to);
+  from.setHours(0, 0, 0, 0);
+  if (frequency === 'weekly') from.setDate(from.getDate() - 6);
+  if (frequency === 'monthly') from.setDate(1);
+
+  return { from, to };
+};
+
+const scopeFilter = ({ organizationId, shopId }) => ({
+  organizationId,
+  shopId: shopId || null,
+  deletedAt: null,
+});
+
+const findSchedule = async (scope, scheduleId) => {
+  const schedule = await ReportSchedule.findOne({ _id: scheduleId, ...scopeFilter(scope) });
+  if (!schedule) throw new NotFoundError('Report schedule not found');
+  return schedule;
+};
+
+const describe = schedule =>
+  `${REPORT_TITLES[schedule.reportType]} (${schedule.frequency}, ${schedule.format})`;
+
+const logScheduleActivity = (schedule, userId, action, description) =>
+  eventLogger.logActivity({
+    userId,
+    organizationId: schedule.organizationId,
+    shopId: schedule.shopId,
+    action,
+    module: 'reports',
+    description,
+    level: 'info',
+    status: 'success',
+    metadata: { scheduleId: schedule._id, reportType: schedule.reportType },
+  });
+
+// Report bana ke mail — period run ke din se
+const deliver = async (schedule, runAt) => {
+  const period = reportPeriodFor(schedule.frequency, runAt);
+  const params = AS_OF_REPORTS.includes(schedule.reportType)
+    ? { asOf: period.to }
+    : { startDate: period.from, endDate: period.to };
+
+  const report = await generateReport(
+    schedule.reportType,
+    { organizationId: schedule.organizationId, shopId: schedule.shopId },
+    params
+  );
+  const file = await exportReport(report, schedule.format);
+
+  const result = await sendScheduledReportEmail({
+    to: schedule.recipients,
+    report,
+    file,
+    scheduleName: schedule.name,
+  });
+  if (!result.success) throw new Error(result.message || 'Email could not be sent');
+
+  return period;
+};
+
+// ─── CRUD ──────────────────────────────────────────────────────────────────────
+
+export const getSchedules = async scope =>
+  ReportSchedule.find(scopeFilter(scope))
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+export const getSchedule = async (scope, scheduleId) => {
+  const schedule = await findSchedule(scope, scheduleId);
+  return schedule.toObject();
+};
+
+export const createSchedule = async (scope, data, userId) => {
+  const schedule = await ReportSchedule.create({
+    ...EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) fields[key] = data[key];
+      return fields;
+    }, {}),
+    organizationId: scope.organizationId,
+    shopId: scope.shopId || null,
+    nextRunAt: nextRunAfter(data.frequency),
+    createdBy: userId,
+  });
+
+  await logScheduleActivity(
+    schedule,
+    userId,
+    'create',
+    `Scheduled ${describe(schedule)} to ${schedule.recipients.join(', ')}`
+  );
+
+  return schedule;
+};
+
+export const updateSchedule = async (scope, scheduleId, data, userId) => {
+  const schedule = await findSchedule(scope, scheduleId);
+  const wasActive = schedule.isActive;
+
+  EDITABLE_FIELDS.forEach(key => {
+    if (data[key] !== undefined) schedule[key] = data[key];
+  });
+
+  // Frequency badli ya dobara chalu hua — purana slot bekaar hai
+  if (schedule.isModified('frequency') || (!wasActive && schedule.isActive)) {
+    schedule.nextRunAt = nextRunAfter(schedule.frequency);
+  }
+  schedule.updatedBy = userId;
+  await schedule.save();
+
+  await logScheduleActivity(schedule, userId, 'update', `Updated schedule ${describe(schedule)}`);
+
+  return schedule;
+};
+
+export const deleteSchedule = async (scope, scheduleId, userId) => {
+  const schedule = await findSchedule(scope, scheduleId);
+
+  schedule.isActive = false;
+  schedule.deletedAt = new Date();
+  schedule.updatedBy = userId;
+  await schedule.save();
+
+  await logScheduleActivity(schedule, userId, 'delete', `Deleted schedule ${describe(schedule)}`);
+};
+
+/**
+ * Abhi bhejo — agla slot nahi badalta
+ */
+export const sendScheduleNow = async (scope, scheduleId, userId) => {
+  const schedule = await findSchedule(scope, scheduleId);
+  const now = new Date();
+
+  try {
+    schedule.lastPeriod = await deliver(schedule, now);
+    schedule.lastStatus = 'success';
+    schedule.lastError = null;
+  } catch (error) {
+    schedule.lastStatus = 'failed';
+    schedule.lastError = error.message;
+  }
+  schedule.lastRunAt = now;
+  await schedule.save();
+
+  if (schedule.lastStatus === 'failed') {
+    throw new UnprocessableEntityError(`Report could not be sent: ${schedule.lastError}`);
+  }
+
+  await logScheduleActivity(
+    schedule,
+    userId,
+    'export',
+    `Sent ${describe(schedule)} to ${schedule.recipients.join(', ')}`
+  );
+
+  return schedule;
+};
+
+// ─── Runner ────────────────────────────────────────────────────────────────────
+
+const reportsEnabled = async schedule => {
+  const [organization, shop] = await Promise.all([
+    Organization.findById(schedule.organizationId).select('subscription.features').lean(),
+    schedule.shopId ? JewelryShop.findById(schedule.shopId).select('features').lean() : null,
+  ]);
+  return featureAccess('reports', { organization, shop }).enabled;
+};
+
+export const runDueSchedules = async (now = new Date()) => {
+  const due = await ReportSchedule.find({
+    isActive: true,
+    deletedAt: null,
+    nextRunAt: { $lte: now },
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_PER_RUN);
+
+  const result = { due: due.length, sent: 0, failed: 0, skipped: 0 };
+
+  for (const schedule of due) {
+    try {
+      if (!(await reportsEnabled(schedule))) {
+        schedule.lastStatus = 'failed';
+        schedule.lastError = 'Reports are not enabled for this shop or plan';
+        result.skipped += 1;
+      } else {
+        schedule.lastPeriod = await deliver(schedule, schedule.nextRunAt);
+        schedule.lastStatus = 'success';
+        schedule.lastError = null;
+        result.sent += 1;
+      }
+    } catch (error) {
+      schedule.lastStatus = 'failed';
+      schedule.lastError = error.message;
+      result.failed += 1;
+      logger.error('Scheduled report failed', {
+        scheduleId: schedule._id,
+        reportType: schedule.reportType,
+        error: error.message,
+      });
+    }
+
+    schedule.lastRunAt = now;
+    schedule.nextRunAt = nextRunAfter(schedule.frequency, now);
+    await schedule.save();
+  }
+
+  return result;
+};
+
+export default {
+  nextRunAfter,
+  reportPeriodFor,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  sendScheduleNow,
+  runDueSchedules,
+};
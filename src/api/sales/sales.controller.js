@@ -110,9 +110,10 @@ export const cancelSale = catchAsync(async (req, res) => {
   const userId                 = req.user._id;
   const organizationId         = req.user.organizationId;
 
-  const sale = await saleService.cancelSale(shopId, saleId, reason, refundAmount, userId, organizationId);
+  const { sale, creditNote } = await saleService.cancelSale(shopId, saleId, reason, refundAmount, userId, organizationId);
 
-  sendSuccess(res, 200, 'Sale cancelled successfully', sale);
+  // data pehle jaisa sale hi — credit note meta me, purane clients data._id / data.status padhte hain
+  sendSuccess(res, 200, 'Sale cancelled successfully', sale, { creditNote });
 });
 
 // 3. PAYMENT MANAGEMENT
@@ -154,9 +155,15 @@ export const returnSale = catchAsync(async (req, res) => {
   const userId             = req.user._id;
   const organizationId     = req.user.organizationId;
 
-  const sale = await saleService.returnSale(shopId, saleId, returnData, userId, organizationId);
+  const { sale, creditNote } = await saleService.returnSale(
+    shopId,
+    saleId,
+    returnData,
+    userId,
+    organizationId
+  );
 
-  sendSuccess(res, 200, 'Sale return processed successfully', sale);
+  sendSuccess(res, 200, 'Sale return processed successfully', sale, { creditNote });
 });
 
 export const getReturnDetails = catchAsync(async (req, res) => {
@@ -297,7 +304,9 @@ export const generateInvoice = catchAsync(async (req, res) => {
   const { shopId, saleId } = req.params;
   const organizationId     = req.user.organizationId;
 
-  const invoice = await saleService.generateInvoice(shopId, saleId, organizationId);
+  const { paperSize }      = req.query;
+
+  const invoice = await saleService.generateInvoice(shopId, saleId, organizationId, paperSize);
 
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename="invoice-${saleId}.pdf"`);
@@ -309,9 +318,16 @@ export const sendInvoice = catchAsync(async (req, res) => {
   const { method, recipient }  = req.body;
   const organizationId         = req.user.organizationId;
 
-  await saleService.sendInvoice(shopId, saleId, method, recipient, organizationId);
+  const notification = await saleService.sendInvoice(
+    shopId, saleId, method, recipient, organizationId, req.user._id
+  );
+
+  // provider fail hua to bhi 200 — log 'failed' hai, retry job dobara try karega
+  const message = notification.status === 'sent'
+    ? `Invoice sent successfully via ${method}`
+    : `Invoice could not be sent via ${method} (${notification.failureReason}), will retry`;
 
-  sendSuccess(res, 200, `Invoice sent successfully via ${method}`);
+  sendSuccess(res, 200, message, notification);
 });
 
 export const printInvoice = catchAsync(async (req, res) => {
@@ -319,9 +335,12 @@ export const printInvoice = catchAsync(async (req, res) => {
   const { printerType }    = req.body;
   const organizationId     = req.user.organizationId;
 
-  const printData = await saleService.printInvoice(shopId, saleId, printerType, organizationId);
+  const pdfBuffer = await saleService.printInvoice(shopId, saleId, printerType, organizationId);
 
-  sendSuccess(res, 200, 'Invoice print data generated', printData);
+  // inline — browser print dialog seedha khul jaye
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="invoice-${saleId}.pdf"`);
+  res.send(pdfBuffer);
 });
 
 // 10. DISCOUNT & OFFERS
@@ -362,10 +381,10 @@ export const bulkDeleteSales = catchAsync(async (req, res) => {
 
 export const bulkPrintInvoices = catchAsync(async (req, res) => {
   const { shopId }     = req.params;
-  const { saleIds }    = req.body;
+  const { saleIds, printerType } = req.body;
   const organizationId = req.user.organizationId;
 
-  const pdfBuffer = await saleService.bulkPrintInvoices(shopId, saleIds, organizationId);
+  const pdfBuffer = await saleService.bulkPrintInvoices(shopId, saleIds, organizationId, printerType);
 
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', 'attachment; filename="bulk-invoices.pdf"');
@@ -387,11 +406,14 @@ export const bulkSendReminders = catchAsync(async (req, res) => {
 
 export const sendPaymentReminder = catchAsync(async (req, res) => {
   const { shopId, saleId } = req.params;
+  const { method }         = req.body || {};
   const organizationId     = req.user.organizationId;
 
-  const result = await saleService.sendPaymentReminder(shopId, saleId, organizationId);
+  const result = await saleService.sendPaymentReminder(
+    shopId, saleId, organizationId, method, req.user._id
+  );
 
-  sendSuccess(res, 200, result.message);
+  sendSuccess(res, 200, result.message, result.notification);
 });
 
 // 13. SEARCH & FILTERS
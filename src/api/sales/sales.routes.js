@@ -2,7 +2,7 @@
 import express from 'express';
 import * as saleController from './sales.controller.js';
 import * as saleValidation from './sales.validation.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
 import { restrictTo } from '../middlewares/restrictTo.js';
 import {
   checkShopAccess,
@@ -18,6 +18,7 @@ import { PERMISSIONS } from '../../config/permission.constants.js';
 
 const router = express.Router({ mergeParams: true });
 router.use(authenticate);
+router.use(requireFeature('salesManagement'));
 
   // GET /api/v1/shops/:shopId/sales/analytics
 
@@ -337,6 +338,7 @@ router.post(
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SALES),
   createUpdateRateLimiter,
+  saleValidation.sendReminder,
   saleController.sendPaymentReminder
 );
 
@@ -427,6 +429,7 @@ router.get(
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SALES),
   apiRateLimiter,
+  saleValidation.invoice,
   saleController.generateInvoice
 );
 
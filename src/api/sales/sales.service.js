@@ -5,6 +5,7 @@ import mongoose from 'mongoose';
 import Sale from '../../models/Sale.js';
 import Customer from '../../models/Customer.js';
 import Payment from '../../models/Payment.js';
+import Product from '../../models/Product.js';
 import JewelryShop from '../../models/Shop.js';
 import { createPayment, getSalePayments as getPaymentsFromModule } from '../payment/payment.service.js';
 import { NotFoundError, BadRequestError } from '../../utils/AppError.js';
@@ -13,6 +14,19 @@ import { businessLogger } from '../../utils/logger.js';
 import logger from '../../utils/logger.js';
 import cache from '../../utils/cache.js';
 import eventBus from '../../eventBus.js';
+import { recordEvent, dispatchEvents, publishEvent } from '../../outbox/outbox.js';
+import { determinePlaceOfSupply, resolvePartyStateCode } from '../../utils/gst.js';
+import { issueCreditNote, isInvoicedSale } from '../tax-notes/taxNote.service.js';
+import {
+  TEMPLATES,
+  renderTemplatePdf,
+  renderTemplatesPdf,
+  buildSaleInvoiceData,
+} from '../../invoices/renderer.js';
+import { notifySaleInvoice, notifyPaymentReminder } from '../../notifications/notify.js';
+import { toSummary } from '../../notifications/dispatcher.js';
+import { assertSerialsAvailable } from '../inventory/tracking.service.js';
+import { computeLot, syncSaleExchange } from '../old-gold/oldGold.service.js';
 
 // ─────────────────────────────────────────────
 // HELPER: Sale find karo with security check
@@ -32,6 +46,43 @@ const findSale = async (shopId, saleId, organizationId, session = null) => {
   return sale;
 };
 
+// ─────────────────────────────────────────────
+// HELPER: GST place of supply
+// Shop GSTIN vs customer GSTIN / address state. Explicit placeOfSupply wins.
+// ─────────────────────────────────────────────
+const resolveSaleSupply = (shop, customer, placeOfSupply) => {
+  const { stateCode, stateName, isInterState } = determinePlaceOfSupply({
+    supplierStateCode: resolvePartyStateCode({
+      gstNumber: shop.gstNumber,
+      state: shop.address?.state,
+    }),
+    recipientStateCode: resolvePartyStateCode({
+      gstNumber: customer.gstNumber,
+      state: customer.address?.state,
+    }),
+    override: placeOfSupply?.stateCode ?? placeOfSupply,
+  });
+
+  return { placeOfSupply: { stateCode, stateName }, isInterState };
+};
+
+// Har item pe us waqt ki product cost — request me aayi cost kabhi nahi lete
+const withCostPrices = async (items = [], session) => {
+  const ids = items.filter(item => item.productId).map(item => item.productId);
+  const products = ids.length
+    ? await Product.find({ _id: { $in: ids } })
+        .select('pricing.costPrice')
+        .session(session)
+        .lean()
+    : [];
+  const costs = new Map(products.map(product => [String(product._id), product.pricing?.costPrice]));
+
+  return items.map(item => ({
+    ...item,
+    costPrice: (item.productId && costs.get(String(item.productId))) ?? null,
+  }));
+};
+
 // ─────────────────────────────────────────────
 // 1. CREATE SALE
 // ─────────────────────────────────────────────
@@ -46,27 +97,36 @@ export const createSale = async (shopId, saleData, userId, organizationId, ipAdd
     const customer = await Customer.findById(saleData.customerId).session(session);
     if (!customer) throw new NotFoundError('Customer not found');
 
+    // Serial wale pieces listener me nikalte hain — galat number pe bill hi na bane
+    await assertSerialsAvailable(shopId, saleData.items, session);
+
     const invoiceNumber = await Sale.generateInvoiceNumber(shopId, shop.settings.invoicePrefix);
+    const items = await withCostPrices(saleData.items, session);
 
     const sale = await Sale.create(
-      [{
-        ...saleData,
-        organizationId,
-        shopId,
-        invoiceNumber,
-        customerDetails: {
-          customerName: customer.fullName,
-          customerCode: customer.customerCode,
-          phone:        customer.phone,
-          email:        customer.email,
-          address:      customer.address?.street || '',
-          gstNumber:    customer.gstNumber,
-          panNumber:    customer.panNumber,
+      [
+        {
+          ...saleData,
+          items,
+          organizationId,
+          shopId,
+          invoiceNumber,
+          customerDetails: {
+            customerName: customer.fullName,
+            customerCode: customer.customerCode,
+            phone: customer.phone,
+            email: customer.email,
+            address: customer.address?.street || '',
+            gstNumber: customer.gstNumber,
+            panNumber: customer.panNumber,
+            state: customer.address?.state,
+          },
+          ...resolveSaleSupply(shop, customer, saleData.placeOfSupply),
+          salesPerson: userId,
+          createdBy: userId,
+          status: 'confirmed',
         },
-        salesPerson: userId,
-        createdBy:   userId,
-        status:      'confirmed',
-      }],
+      ],
       { session }
     );
 
@@ -77,28 +137,36 @@ export const createSale = async (shopId, saleData, userId, organizationId, ipAdd
 
     businessLogger.logSale({ userId, shopId, invoiceNumber, amount: sale[0].financials.grandTotal, customerId: customer._id });
 
-    await session.commitTransaction();
-
+    // Listeners (invoice email etc.) ko pehle jaisa populated sale chahiye —
+    // transaction ke andar hi padho taaki event me wahi jaaye
     const populatedSale = await Sale.findById(sale[0]._id)
       .populate('customerId', 'firstName lastName customerCode phone email')
-      .populate('salesPerson', 'firstName lastName email');
-
-    cache.invalidateShop(shopId);
+      .populate('salesPerson', 'firstName lastName email')
+      .session(session);
 
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // inventory.listener  → stock ghataao
     // ledger.listener     → customer debit entry
     // customer.listener   → statistics update
-    // email.listener      → invoice email
-    eventBus.emit('SALE_CREATED', {
-      sale:       populatedSale,
-      customer,
-      shop,
-      userId,
-      session:    null, // session commit ho gayi, ab null pass karo
-    });
+    // notification.listener → invoice email
+    // Sale ke saath hi commit hota hai, dispatch commit ke baad
+    const event = await recordEvent(
+      'SALE_CREATED',
+      {
+        sale: populatedSale,
+        customer,
+        shop,
+        userId,
+      },
+      { idempotencyKey: `SALE_CREATED:${sale[0]._id}`, session }
+    );
     // ─────────────────────────────────────────
 
+    await session.commitTransaction();
+    dispatchEvents(event);
+
+    cache.invalidateShop(shopId);
+
     return populatedSale;
   } catch (error) {
     await session.abortTransaction();
@@ -197,6 +265,16 @@ export const updateSale = async (shopId, saleId, updateData, userId, organizatio
 
   if (updateData.invoiceNumber)  delete updateData.invoiceNumber;
   if (updateData.organizationId) delete updateData.organizationId;
+  delete updateData.isInterState;
+
+  // Customer ya place of supply badla to IGST / CGST+SGST split dobara nikalo
+  if (updateData.placeOfSupply !== undefined || updateData.customerId) {
+    const shop = await JewelryShop.findById(shopId);
+    const customer = await Customer.findById(updateData.customerId || sale.customerId);
+    if (!customer) throw new NotFoundError('Customer not found');
+
+    Object.assign(updateData, resolveSaleSupply(shop, customer, updateData.placeOfSupply));
+  }
 
   Object.assign(sale, updateData);
   sale.updatedBy = userId;
@@ -294,7 +372,7 @@ export const completeSale = async (shopId, saleId, userId, organizationId) => {
 
   // ── EVENT EMIT ──────────────────────────
   // customer.listener → completedOrders, averageOrderValue update
-  eventBus.emit('SALE_COMPLETED', { sale });
+  await publishEvent('SALE_COMPLETED', { sale }, { idempotencyKey: `SALE_COMPLETED:${sale._id}` });
   // ─────────────────────────────────────────
 
   cache.invalidateShop(shopId);
@@ -323,17 +401,34 @@ export const cancelSale = async (shopId, saleId, reason, refundAmount, userId, o
     };
     await sale.save({ session });
 
-    await session.commitTransaction();
+    // Invoice ja chuka tha to poore bill ka credit note — return pe pehle hi ban chuka ho to nahi
+    let creditNote = null;
+    if (isInvoicedSale(sale) && !sale.return?.isReturned) {
+      creditNote = await issueCreditNote(sale, {
+        reason: 'sale_cancellation',
+        reasonText: reason,
+        refundAmount,
+        userId,
+        session,
+      });
+    }
 
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // inventory.listener  → stock wapas karo
     // ledger.listener     → ledger entry reverse
     // customer.listener   → cancelledOrders update
-    eventBus.emit('SALE_CANCELLED', { sale, userId, reason, refundAmount });
+    const event = await recordEvent(
+      'SALE_CANCELLED',
+      { sale, userId, reason, refundAmount, creditNote },
+      { idempotencyKey: `SALE_CANCELLED:${sale._id}`, session }
+    );
     // ─────────────────────────────────────────
 
+    await session.commitTransaction();
+    dispatchEvents(event);
+
     cache.invalidateShop(shopId);
-    return sale;
+    return { sale, creditNote };
   } catch (error) {
     await session.abortTransaction();
     throw error;
@@ -379,11 +474,15 @@ export const addPayment = async (shopId, saleId, paymentData, userId, organizati
   // ── EVENT EMIT ──────────────────────────
   // reference.listener → sale paidAmount update
   // email.listener     → receipt email
-  eventBus.emit('SALE_PAYMENT_ADDED', {
-    sale:    updatedSale,
-    payment: result.data,
-    userId,
-  });
+  await publishEvent(
+    'SALE_PAYMENT_ADDED',
+    {
+      sale: updatedSale,
+      payment: result.data,
+      userId,
+    },
+    { idempotencyKey: `SALE_PAYMENT_ADDED:${result.data._id}` }
+  );
   // ─────────────────────────────────────────
 
   return result;
@@ -436,6 +535,14 @@ export const returnSale = async (shopId, saleId, returnData, userId, organizatio
       throw new BadRequestError('Sale is already returned');
     }
 
+    if (sale.status === 'cancelled') {
+      throw new BadRequestError('Cannot return a cancelled sale');
+    }
+
+    if (!isInvoicedSale(sale)) {
+      throw new BadRequestError(`Cannot return a ${sale.status} sale — no invoice was issued`);
+    }
+
     await sale.processReturn({
       returnDate:   returnData.returnDate || new Date(),
       reason:       returnData.returnReason,
@@ -443,26 +550,46 @@ export const returnSale = async (shopId, saleId, returnData, userId, organizatio
       returnedBy:   userId,
     });
 
+    const creditNote = await issueCreditNote(sale, {
+      reason: 'sale_return',
+      reasonText: returnData.returnReason,
+      itemsToReturn: returnData.itemsToReturn,
+      refundAmount: returnData.refundAmount,
+      refundMode: returnData.refundMode,
+      userId,
+      session,
+    });
+
     await eventLogger.logSale(userId, sale.organizationId, shopId, 'return', sale._id,
-      `Processed return for sale ${sale.invoiceNumber}`,
-      { refundAmount: returnData.refundAmount, reason: returnData.returnReason }
+      `Processed return for sale ${sale.invoiceNumber} (credit note ${creditNote.creditNoteNumber})`,
+      {
+        refundAmount: returnData.refundAmount,
+        reason: returnData.returnReason,
+        creditNoteId: creditNote._id,
+      }
     );
 
-    await session.commitTransaction();
-
-    // ── EVENT EMIT ──────────────────────────
+    // ── EVENT (outbox) ──────────────────────
     // inventory.listener  → stock wapas karo
     // customer.listener   → totalSpent reverse
-    eventBus.emit('SALE_RETURNED', {
-      sale,
-      itemsToReturn: returnData.itemsToReturn || null,
-      refundAmount:  returnData.refundAmount,
-      userId,
-    });
+    const event = await recordEvent(
+      'SALE_RETURNED',
+      {
+        sale,
+        itemsToReturn: returnData.itemsToReturn || null,
+        refundAmount: returnData.refundAmount,
+        creditNote,
+        userId,
+      },
+      { idempotencyKey: `SALE_RETURNED:${sale._id}`, session }
+    );
     // ─────────────────────────────────────────
 
+    await session.commitTransaction();
+    dispatchEvents(event);
+
     cache.invalidateShop(shopId);
-    return sale;
+    return { sale, creditNote };
   } catch (error) {
     await session.abortTransaction();
     throw error;
@@ -489,60 +616,119 @@ export const getReturnDetails = async (shopId, saleId, organizationId) => {
 // 16-17. OLD GOLD EXCHANGE
 // ─────────────────────────────────────────────
 export const addOldGold = async (shopId, saleId, oldGoldData, userId, organizationId) => {
-  const sale = await findSale(shopId, saleId, organizationId);
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-  const totalOldGoldValue = oldGoldData.oldGoldItems.reduce(
-    (sum, item) => sum + item.netWeight * item.ratePerGram, 0
-  );
+  try {
+    const shop = await JewelryShop.findById(shopId).select('settings').session(session);
+    if (!shop) throw new NotFoundError('Shop not found');
+    if (shop.settings?.enableOldGoldExchange === false) {
+      throw new BadRequestError('Old gold exchange is disabled for this shop');
+    }
 
-  sale.oldGoldExchange = {
-    hasExchange: true,
-    items: oldGoldData.oldGoldItems.map(item => ({
-      metalType:   item.metalType,
-      purity:      item.purity,
-      grossWeight: item.grossWeight,
-      stoneWeight: item.stoneWeight || 0,
-      netWeight:   item.grossWeight - (item.stoneWeight || 0),
-      ratePerGram: item.ratePerGram,
-      totalValue:  (item.grossWeight - (item.stoneWeight || 0)) * item.ratePerGram,
-      description: item.description || '',
-    })),
-    totalValue: totalOldGoldValue,
-  };
+    const sale = await findSale(shopId, saleId, organizationId, session);
+    const defaultDeduction = shop.settings?.oldGoldDeductionPercentage || 0;
+
+    // Deduction item pe na ho to shop ka default; value payable (net - deduction) weight pe
+    const items = oldGoldData.oldGoldItems.map(item => {
+      const calc = computeLot({
+        ...item,
+        deductionPercentage: item.deductionPercentage ?? defaultDeduction,
+      });
+
+      return {
+        metalType: item.metalType,
+        purity: item.purity,
+        grossWeight: item.grossWeight,
+        stoneWeight: item.stoneWeight || 0,
+        netWeight: calc.netWeight,
+        ratePerGram: item.ratePerGram,
+        totalValue: calc.value,
+        description: item.description || '',
+        testedPurity: calc.testedPurity,
+        testMethod: item.testMethod || 'declared',
+        deductionPercentage: calc.deductionPercentage,
+        deductionWeight: calc.deductionWeight,
+        fineWeight: calc.fineWeight,
+      };
+    });
 
-  sale.financials.oldGoldValue = totalOldGoldValue;
-  sale.financials.netPayable   = sale.financials.grandTotal - totalOldGoldValue;
-  sale.payment.totalAmount     = sale.financials.netPayable;
-  sale.payment.dueAmount       = sale.financials.netPayable - sale.payment.paidAmount;
+    const totalOldGoldValue = items.reduce((sum, item) => sum + item.totalValue, 0);
 
-  await sale.save();
+    sale.oldGoldExchange = {
+      hasExchange: true,
+      items,
+      totalValue: totalOldGoldValue,
+    };
 
-  await eventLogger.logSale(userId, sale.organizationId, shopId, 'add_old_gold', sale._id,
-    `Added old gold worth ₹${totalOldGoldValue} to sale ${sale.invoiceNumber}`,
-    { oldGoldValue: totalOldGoldValue }
-  );
+    sale.financials.oldGoldValue = totalOldGoldValue;
+    sale.financials.netPayable = sale.financials.grandTotal - totalOldGoldValue;
+    sale.payment.totalAmount = sale.financials.netPayable;
+    sale.payment.dueAmount = sale.financials.netPayable - sale.payment.paidAmount;
 
-  cache.invalidateShop(shopId);
-  return sale;
+    // Exchange wala maal old gold inventory me lot ban ke jaata hai
+    await syncSaleExchange({ sale, deductionPercentage: defaultDeduction, userId, session });
+    await sale.save({ session });
+
+    await session.commitTransaction();
+
+    await eventLogger.logSale(
+      userId,
+      sale.organizationId,
+      shopId,
+      'add_old_gold',
+      sale._id,
+      `Added old gold worth ₹${totalOldGoldValue} to sale ${sale.invoiceNumber}`,
+      { oldGoldValue: totalOldGoldValue }
+    );
+
+    cache.invalidateShop(shopId);
+    return sale;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 };
 
 export const removeOldGold = async (shopId, saleId, userId, organizationId) => {
-  const sale = await findSale(shopId, saleId, organizationId);
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-  sale.oldGoldExchange         = { hasExchange: false, items: [], totalValue: 0 };
-  sale.financials.oldGoldValue  = 0;
-  sale.financials.netPayable    = sale.financials.grandTotal;
-  sale.payment.totalAmount      = sale.financials.netPayable;
-  sale.payment.dueAmount        = sale.financials.netPayable - sale.payment.paidAmount;
+  try {
+    const sale = await findSale(shopId, saleId, organizationId, session);
 
-  await sale.save();
+    sale.oldGoldExchange = { hasExchange: false, items: [], totalValue: 0 };
+    sale.financials.oldGoldValue = 0;
+    sale.financials.netPayable = sale.financials.grandTotal;
+    sale.payment.totalAmount = sale.financials.netPayable;
+    sale.payment.dueAmount = sale.financials.netPayable - sale.payment.paidAmount;
 
-  await eventLogger.logSale(userId, sale.organizationId, shopId, 'remove_old_gold', sale._id,
-    `Removed old gold from sale ${sale.invoiceNumber}`, {}
-  );
+    // Refiner ke paas ja chuka lot ho to yahin ruk jaata hai
+    await syncSaleExchange({ sale, userId, session });
+    await sale.save({ session });
 
-  cache.invalidateShop(shopId);
-  return sale;
+    await session.commitTransaction();
+
+    await eventLogger.logSale(
+      userId,
+      sale.organizationId,
+      shopId,
+      'remove_old_gold',
+      sale._id,
+      `Removed old gold from sale ${sale.invoiceNumber}`,
+      {}
+    );
+
+    cache.invalidateShop(shopId);
+    return sale;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 };
 
 // ─────────────────────────────────────────────
@@ -569,14 +755,19 @@ export const getSalesAnalytics = async (shopId, organizationId, startDate, endDa
     { $match: matchStage },
     {
       $group: {
-        _id:               null,
-        totalSales:        { $sum: 1 },
-        totalAmount:       { $sum: '$financials.grandTotal' },
-        totalDiscount:     { $sum: '$financials.totalDiscount' },
-        totalGST:          { $sum: '$financials.totalGST' },
+        _id: null,
+        totalSales: { $sum: 1 },
+        totalAmount: { $sum: '$financials.grandTotal' },
+        totalDiscount: { $sum: '$financials.totalDiscount' },
+        totalGST: { $sum: '$financials.totalGST' },
+        totalCGST: { $sum: '$financials.totalCGST' },
+        totalSGST: { $sum: '$financials.totalSGST' },
+        totalIGST: { $sum: '$financials.totalIGST' },
+        interStateSales: { $sum: { $cond: ['$isInterState', 1, 0] } },
         averageOrderValue: { $avg: '$financials.grandTotal' },
-        paidSales:         { $sum: { $cond: [{ $eq: ['$payment.paymentStatus', 'paid'] },   1, 0] } },
-        unpaidSales:       { $sum: { $cond: [{ $eq: ['$payment.paymentStatus', 'unpaid'] }, 1, 0] } },
+        paidSales: { $sum: { $cond: [{ $eq: ['$payment.paymentStatus', 'paid'] }, 1, 0] } },
+        unpaidSales: { $sum: { $cond: [{ $eq: ['$payment.paymentStatus', 'unpaid'] }, 1, 0] } },
+        overdueSales: { $sum: { $cond: [{ $eq: ['$payment.paymentStatus', 'overdue'] }, 1, 0] } },
       },
     },
   ]);
@@ -599,7 +790,7 @@ export const getSalesDashboard = async (shopId, organizationId) => {
       .populate('customerId', 'firstName lastName customerCode').lean(),
     Sale.countDocuments({
       shopId, organizationId,
-      'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+      'payment.paymentStatus': { $in: ['unpaid', 'partial', 'overdue'] },
       deletedAt: null,
     }),
   ]);
@@ -639,7 +830,7 @@ export const getPendingSales = async (shopId, organizationId) => {
 export const getUnpaidSales = async (shopId, organizationId) => {
   return Sale.find({
     shopId, organizationId,
-    'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+    'payment.paymentStatus': { $in: ['unpaid', 'partial', 'overdue'] },
     deletedAt: null,
   }).lean();
 };
@@ -648,7 +839,7 @@ export const getOverdueSales = async (shopId, organizationId) => {
   return Sale.find({
     shopId, organizationId,
     'payment.dueDate':       { $lt: new Date() },
-    'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+    'payment.paymentStatus': { $in: ['unpaid', 'partial', 'overdue'] },
     deletedAt: null,
   }).lean();
 };
@@ -731,45 +922,86 @@ export const getSalesPersonPerformance = async (shopId, userId, organizationId,
 // ─────────────────────────────────────────────
 // 28-30. INVOICE MANAGEMENT
 // ─────────────────────────────────────────────
-export const generateInvoice = async (shopId, saleId, organizationId) => {
-  const sale = await getSaleById(shopId, saleId, organizationId);
-  const shop = await JewelryShop.findById(shopId).lean();
+// Shop (non-lean — fullAddress virtual) + completed payments for the templates
+const loadInvoiceContext = async (shopId, sales) => {
+  const shop = await JewelryShop.findById(shopId);
+  if (!shop) throw new NotFoundError('Shop not found');
 
-  const invoiceData = {
-    invoiceNumber: sale.invoiceNumber,
-    date:          sale.saleDate,
-    shop:          { name: shop.name, address: shop.address, phone: shop.phone, gst: shop.gstNumber },
-    customer:      sale.customerDetails,
-    items:         sale.items,
-    financials:    sale.financials,
-    payment:       sale.payment,
-    oldGold:       sale.oldGoldExchange,
-  };
+  const payments = await Payment.find({
+    'reference.referenceId': { $in: sales.map(sale => sale._id) },
+    'reference.referenceType': 'sale',
+    shopId,
+    deletedAt: null,
+    status: 'completed',
+  })
+    .sort({ paymentDate: 1 })
+    .lean();
+
+  const paymentsFor = saleId =>
+    payments.filter(p => p.reference.referenceId.toString() === saleId.toString());
 
-  return Buffer.from(JSON.stringify(invoiceData, null, 2));
+  return { shop, paymentsFor };
 };
 
-export const sendInvoice = async (shopId, saleId, method, recipient, organizationId) => {
-  const sale = await getSaleById(shopId, saleId, organizationId);
+const renderSaleInvoice = (sale, shop, paymentsFor, paperSize = null) => {
+  const data = buildSaleInvoiceData({ sale, shop, payments: paymentsFor(sale._id) });
 
-  await eventLogger.logSale(null, sale.organizationId, shopId, 'send_invoice', sale._id,
-    `Invoice ${sale.invoiceNumber} sent via ${method} to ${recipient}`, { method, recipient }
+  return renderTemplatePdf(
+    TEMPLATES.SALE_TAX_INVOICE,
+    data,
+    paperSize || shop.settings?.printSettings?.paperSize
   );
+};
+
+export const generateInvoice = async (shopId, saleId, organizationId, paperSize = null) => {
+  const sale = await getSaleById(shopId, saleId, organizationId);
+  const { shop, paymentsFor } = await loadInvoiceContext(shopId, [sale]);
 
-  return { message: `Invoice sent successfully via ${method}`, recipient };
+  return renderSaleInvoice(sale, shop, paymentsFor, paperSize);
 };
 
-export const printInvoice = async (shopId, saleId, printerType = 'A4', organizationId) => {
+// Email / WhatsApp pe PDF attach hota hai, SMS pe sirf text.
+// Provider fail ho to bhi NotificationLog 'failed' ke saath return — retry job uthayega
+export const sendInvoice = async (
+  shopId,
+  saleId,
+  method,
+  recipient,
+  organizationId,
+  userId = null
+) => {
   const sale = await getSaleById(shopId, saleId, organizationId);
+  const { shop, paymentsFor } = await loadInvoiceContext(shopId, [sale]);
 
-  return {
-    format:    printerType,
-    invoice:   sale.invoiceNumber,
-    customer:  sale.customerDetails.customerName,
-    amount:    sale.financials.grandTotal,
-    items:     sale.items.length,
-    printTime: new Date(),
-  };
+  const pdf = method === 'sms' ? null : await renderSaleInvoice(sale, shop, paymentsFor);
+
+  const notification = await notifySaleInvoice({
+    sale,
+    shop,
+    channel: method,
+    to: recipient,
+    pdf,
+    userId,
+  });
+
+  await eventLogger.logSale(
+    userId,
+    sale.organizationId,
+    shopId,
+    'send_invoice',
+    sale._id,
+    `Invoice ${sale.invoiceNumber} ${notification.status} via ${method} to ${notification.recipient}`,
+    { method, recipient: notification.recipient, notificationId: notification._id }
+  );
+
+  return toSummary(notification);
+};
+
+export const printInvoice = async (shopId, saleId, printerType = null, organizationId) => {
+  const pdf = await generateInvoice(shopId, saleId, organizationId, printerType);
+
+  logger.info(`Invoice print generated for sale ${saleId} (${printerType || 'shop default'})`);
+  return pdf;
 };
 
 // ─────────────────────────────────────────────
@@ -832,6 +1064,7 @@ export const bulkDeleteSales = async (shopId, saleIds, reason, userId, organizat
 
   try {
     let deletedCount = 0;
+    const events = [];
 
     for (const saleId of saleIds) {
       const sale = await Sale.findOne({
@@ -842,9 +1075,15 @@ export const bulkDeleteSales = async (shopId, saleIds, reason, userId, organizat
         await sale.softDelete();
         deletedCount++;
 
-        // ── EVENT EMIT ──────────────────────
-        // inventory.listener → stock wapas karo
-        eventBus.emit('SALE_CANCELLED', { sale, userId, reason });
+        // ── EVENT (outbox) ──────────────────
+        // inventory.listener → stock wapas karo (commit ke baad, rollback pe kuch nahi)
+        events.push(
+          await recordEvent(
+            'SALE_CANCELLED',
+            { sale, userId, reason },
+            { idempotencyKey: `SALE_CANCELLED:${sale._id}`, session }
+          )
+        );
         // ────────────────────────────────────
       }
     }
@@ -854,6 +1093,7 @@ export const bulkDeleteSales = async (shopId, saleIds, reason, userId, organizat
     );
 
     await session.commitTransaction();
+    dispatchEvents(events);
     cache.invalidateShop(shopId);
     return { deletedCount, totalRequested: saleIds.length };
   } catch (error) {
@@ -864,29 +1104,33 @@ export const bulkDeleteSales = async (shopId, saleIds, reason, userId, organizat
   }
 };
 
-export const bulkPrintInvoices = async (shopId, saleIds, organizationId) => {
+export const bulkPrintInvoices = async (shopId, saleIds, organizationId, printerType = null) => {
   const sales = await Sale.find({
     _id: { $in: saleIds }, shopId, organizationId, deletedAt: null,
-  }).lean();
+  })
+    .populate('salesPerson', 'firstName lastName')
+    .sort({ saleDate: 1 })
+    .lean();
 
-  const bulkInvoiceData = {
-    printDate:     new Date(),
-    totalInvoices: sales.length,
-    invoices:      sales.map(sale => ({
-      invoiceNumber: sale.invoiceNumber,
-      customer:      sale.customerDetails.customerName,
-      date:          sale.saleDate,
-      amount:        sale.financials.grandTotal,
-    })),
-  };
+  if (!sales.length) throw new NotFoundError('No sales found to print');
+
+  const { shop, paymentsFor } = await loadInvoiceContext(shopId, sales);
+
+  const dataList = sales.map(sale =>
+    buildSaleInvoiceData({ sale, shop, payments: paymentsFor(sale._id) })
+  );
 
-  return Buffer.from(JSON.stringify(bulkInvoiceData, null, 2));
+  return renderTemplatesPdf(
+    TEMPLATES.SALE_TAX_INVOICE,
+    dataList,
+    printerType || shop.settings?.printSettings?.paperSize
+  );
 };
 
 export const bulkSendReminders = async (shopId, saleIds, method, organizationId) => {
   const sales = await Sale.find({
     _id: { $in: saleIds }, shopId, organizationId,
-    'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+    'payment.paymentStatus': { $in: ['unpaid', 'partial', 'overdue'] },
     deletedAt: null,
   }).lean();
 
@@ -896,12 +1140,13 @@ export const bulkSendReminders = async (shopId, saleIds, method, organizationId)
 
   for (const sale of sales) {
     // ── EVENT EMIT ──────────────────────────
-    // email.listener → reminder email bhejo
+    // notification.listener → method ke hisaab se email / WhatsApp / SMS
     eventBus.emit('PAYMENT_REMINDER', {
       sale,
       customer: {
         fullName: sale.customerDetails.customerName,
-        email:    sale.customerDetails.email,
+        email: sale.customerDetails.email,
+        phone: sale.customerDetails.phone,
       },
       shop,
       method,
@@ -921,38 +1166,52 @@ export const bulkSendReminders = async (shopId, saleIds, method, organizationId)
 // ─────────────────────────────────────────────
 // SINGLE PAYMENT REMINDER
 // ─────────────────────────────────────────────
-export const sendPaymentReminder = async (shopId, saleId, organizationId) => {
+export const sendPaymentReminder = async (
+  shopId,
+  saleId,
+  organizationId,
+  method = 'email',
+  userId = null
+) => {
   const sale = await getSaleById(shopId, saleId, organizationId);
 
-  if (!['unpaid', 'partial'].includes(sale.payment.paymentStatus)) {
+  if (!['unpaid', 'partial', 'overdue'].includes(sale.payment.paymentStatus)) {
     throw new BadRequestError('Sale has no pending dues');
   }
 
-  if (!sale.customerDetails?.email) {
-    throw new BadRequestError('Customer email not found');
+  const recipient = method === 'email' ? sale.customerDetails?.email : sale.customerDetails?.phone;
+  if (!recipient) {
+    throw new BadRequestError(`Customer ${method === 'email' ? 'email' : 'phone'} not found`);
   }
 
   const shop = await JewelryShop.findById(shopId).lean();
 
-  // ── EVENT EMIT ──────────────────────────
-  // email.listener → reminder email bhejo
-  eventBus.emit('PAYMENT_REMINDER', {
+  const notification = await notifyPaymentReminder({
     sale,
-    customer: {
-      fullName: sale.customerDetails.customerName,
-      email:    sale.customerDetails.email,
-    },
     shop,
-    method: 'email',
+    channel: method,
+    to: recipient,
+    userId,
   });
-  // ─────────────────────────────────────────
 
-  await eventLogger.logSale(null, sale.organizationId, shopId, 'send_reminder', sale._id,
-    `Payment reminder sent for ${sale.invoiceNumber} via email`,
-    { method: 'email', dueAmount: sale.payment.dueAmount }
+  await eventLogger.logSale(
+    userId,
+    sale.organizationId,
+    shopId,
+    'send_reminder',
+    sale._id,
+    `Payment reminder ${notification.status} for ${sale.invoiceNumber} via ${method}`,
+    { method, dueAmount: sale.payment.dueAmount, notificationId: notification._id }
   );
 
-  return { success: true, message: 'Payment reminder sent successfully' };
+  return {
+    success: notification.status === 'sent',
+    message:
+      notification.status === 'sent'
+        ? 'Payment reminder sent successfully'
+        : `Payment reminder could not be sent (${notification.failureReason}), will retry`,
+    notification: toSummary(notification),
+  };
 };
 
 // ─────────────────────────────────────────────
@@ -4,6 +4,7 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { sendValidationError } from '../../utils/sendResponse.js';
 import mongoose from 'mongoose';
+import { resolveStateCode } from '../../utils/gst.js';
 
 /**
  * Validation error handler middleware
@@ -31,6 +32,16 @@ const isValidObjectId = value => {
   return true;
 };
 
+/**
+ * Place of supply: 2-digit GST state code ya state name — seedha ya { stateCode } ke andar
+ */
+const isValidPlaceOfSupply = value => {
+  if (!resolveStateCode(value?.stateCode ?? value)) {
+    throw new Error('Invalid place of supply state');
+  }
+  return true;
+};
+
 // 1. CREATE SALE VALIDATION
 
 export const createSale = [
@@ -49,6 +60,14 @@ export const createSale = [
       return true;
     }),
 
+  body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+
+  body('items.*.serialNumbers.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Serial number cannot be empty'),
+
   body('saleType')
     .optional()
     .isIn(['retail', 'wholesale', 'exchange', 'order_fulfillment', 'repair_billing', 'estimate'])
@@ -60,6 +79,8 @@ export const createSale = [
     .isIn(['cash', 'card', 'upi', 'cheque', 'bank_transfer', 'mixed', 'credit'])
     .withMessage('Invalid payment mode'),
 
+  body('placeOfSupply').optional({ values: 'null' }).custom(isValidPlaceOfSupply),
+
   handleValidationErrors,
 ];
 
@@ -127,6 +148,8 @@ export const updateSale = [
     .isIn(['draft', 'pending'])
     .withMessage('Can only update draft or pending sales'),
 
+  body('placeOfSupply').optional({ values: 'null' }).custom(isValidPlaceOfSupply),
+
   handleValidationErrors,
 ];
 
@@ -260,6 +283,20 @@ export const returnSale = [
 
   body('itemsToReturn').optional().isArray().withMessage('Items to return must be an array'),
 
+  body('itemsToReturn.*.productId').optional().custom(isValidObjectId),
+
+  body('itemsToReturn.*.itemId').optional().custom(isValidObjectId),
+
+  body('itemsToReturn.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Return quantity must be at least 1'),
+
+  body('itemsToReturn.*.serialNumbers')
+    .optional()
+    .isArray()
+    .withMessage('Serial numbers must be an array'),
+
   body('refundAmount')
     .notEmpty()
     .withMessage('Refund amount is required')
@@ -292,6 +329,21 @@ export const addOldGold = [
       return true;
     }),
 
+  body('oldGoldItems.*.testedPurity')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Tested purity must be a percentage between 1 and 100'),
+
+  body('oldGoldItems.*.testMethod')
+    .optional()
+    .isIn(['declared', 'touchstone', 'xrf', 'fire_assay'])
+    .withMessage('Invalid test method'),
+
+  body('oldGoldItems.*.deductionPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deduction percentage must be between 0 and 100'),
+
   body('totalOldGoldValue')
     .notEmpty()
     .withMessage('Total old gold value is required')
@@ -345,6 +397,17 @@ export const sendInvoice = [
 
 // 16. PRINT INVOICE VALIDATION
 
+export const invoice = [
+  param('saleId').notEmpty().withMessage('Sale ID is required').custom(isValidObjectId),
+
+  query('paperSize')
+    .optional()
+    .isIn(['thermal_80mm', 'thermal_58mm', 'A4', 'A5'])
+    .withMessage('Invalid paper size'),
+
+  handleValidationErrors,
+];
+
 export const printInvoice = [
   param('saleId').notEmpty().withMessage('Sale ID is required').custom(isValidObjectId),
 
@@ -421,6 +484,13 @@ export const bulkPrint = [
       return true;
     }),
 
+  body('saleIds').isArray({ max: 100 }).withMessage('Cannot print more than 100 invoices at once'),
+
+  body('printerType')
+    .optional()
+    .isIn(['thermal_80mm', 'thermal_58mm', 'A4', 'A5'])
+    .withMessage('Invalid printer type'),
+
   handleValidationErrors,
 ];
 
@@ -446,6 +516,16 @@ export const bulkReminders = [
   handleValidationErrors,
 ];
 
+// 18b. SINGLE PAYMENT REMINDER VALIDATION
+
+export const sendReminder = [
+  param('saleId').notEmpty().withMessage('Sale ID is required').custom(isValidObjectId),
+
+  body('method').optional().isIn(['sms', 'email', 'whatsapp']).withMessage('Invalid send method'),
+
+  handleValidationErrors,
+];
+
 // 19. SEARCH VALIDATION
 
 export const searchSales = [
@@ -568,11 +648,13 @@ export default {
   addOldGold,
   getAnalytics,
   sendInvoice,
+  invoice,
   printInvoice,
   applyDiscount,
   bulkDelete,
   bulkPrint,
   bulkReminders,
+  sendReminder,
   searchSales,
   dateRange,
   amountRange,
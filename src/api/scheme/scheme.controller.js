@@ -252,6 +252,16 @@ export const getInstallmentSchedule = catchAsync(async (req, res) => {
   return sendSuccess(res, 200, 'Schedule fetched successfully', schedule);
 });
 
+// ─────────────────────────────────────────────
+// 19b. CONTACT HISTORY
+// GET /api/v1/shops/:shopId/schemes/enrollments/:enrollmentId/contact-history
+// ─────────────────────────────────────────────
+export const getContactHistory = catchAsync(async (req, res) => {
+  const { shopId, enrollmentId } = req.params;
+  const history = await schemeService.getContactHistory(shopId, enrollmentId);
+  return sendSuccess(res, 200, 'Contact history fetched successfully', history);
+});
+
 // ─────────────────────────────────────────────
 // 20. CALCULATE MATURITY
 // GET /api/v1/shops/:shopId/schemes/enrollments/:enrollmentId/maturity
@@ -4,7 +4,7 @@
 import express from 'express';
 import * as schemeController from './scheme.controller.js';
 import * as schemeValidation from './scheme.validation.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
 import { restrictTo } from '../middlewares/restrictTo.js';
 import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
 import { PERMISSIONS } from '../../config/permission.constants.js';
@@ -18,6 +18,10 @@ const router = express.Router({ mergeParams: true });
 
 router.use(authenticate);
 
+// Har route pe alag se — ye router /api/v1/shops pe mounted hai, router.use() karte to
+// uske baad mount hua har shop API (girvi, sales, customers...) bhi is flag ke peeche aa jaata
+const schemeFeature = requireFeature('schemeManagement');
+
 // ============================================================
 // SECTION 1 — STATIC ROUTES
 // No :schemeId or :enrollmentId — fixed paths first
@@ -30,6 +34,7 @@ router.use(authenticate);
  */
 router.get(
   '/analytics',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_ANALYTICS),
@@ -43,6 +48,7 @@ router.get(
  */
 router.get(
   '/dashboard',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_DASHBOARD),
   apiRateLimiter,
@@ -56,6 +62,7 @@ router.get(
  */
 router.get(
   '/dues/today',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -68,6 +75,7 @@ router.get(
  */
 router.get(
   '/dues/overdue',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -80,6 +88,7 @@ router.get(
  */
 router.get(
   '/dues/upcoming',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -92,6 +101,7 @@ router.get(
  */
 router.post(
   '/dues/send-reminders',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -107,6 +117,7 @@ router.post(
  */
 router.get(
   '/active',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -118,6 +129,7 @@ router.get(
  */
 router.get(
   '/featured',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -129,6 +141,7 @@ router.get(
  */
 router.get(
   '/expiring-soon',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -141,6 +154,7 @@ router.get(
  */
 router.get(
   '/search',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -154,6 +168,7 @@ router.get(
  */
 router.get(
   '/maturing-soon',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -166,6 +181,7 @@ router.get(
  */
 router.get(
   '/matured',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -180,6 +196,7 @@ router.get(
  */
 router.post(
   '/bulk-send-reminders',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -193,6 +210,7 @@ router.post(
  */
 router.post(
   '/bulk-export',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.EXPORT_DATA),
@@ -211,6 +229,7 @@ router.post(
  */
 router.get(
   '/enrollments/:enrollmentId',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -223,6 +242,7 @@ router.get(
  */
 router.put(
   '/enrollments/:enrollmentId',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -236,6 +256,7 @@ router.put(
  */
 router.delete(
   '/enrollments/:enrollmentId',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -249,6 +270,7 @@ router.delete(
  */
 router.post(
   '/enrollments/:enrollmentId/pay',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'),
   checkShopAccess,
   checkPermission(PERMISSIONS.RECEIVE_PAYMENTS),
@@ -262,6 +284,7 @@ router.post(
  */
 router.get(
   '/enrollments/:enrollmentId/payments',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -274,6 +297,7 @@ router.get(
  */
 router.get(
   '/enrollments/:enrollmentId/schedule',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -281,11 +305,25 @@ router.get(
   schemeController.getInstallmentSchedule
 );
 
+/**
+ * GET /enrollments/:enrollmentId/contact-history
+ */
+router.get(
+  '/enrollments/:enrollmentId/contact-history',
+  schemeFeature,
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_SCHEMES),
+  apiRateLimiter,
+  schemeValidation.enrollmentIdValidation,
+  schemeController.getContactHistory
+);
+
 /**
  * GET /enrollments/:enrollmentId/maturity
  */
 router.get(
   '/enrollments/:enrollmentId/maturity',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -298,6 +336,7 @@ router.get(
  */
 router.post(
   '/enrollments/:enrollmentId/mature',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -311,6 +350,7 @@ router.post(
  */
 router.post(
   '/enrollments/:enrollmentId/redeem',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -326,6 +366,7 @@ router.post(
  */
 router.get(
   '/customer/:customerId/enrollments',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -338,6 +379,7 @@ router.get(
  */
 router.get(
   '/customer/:customerId/summary',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -354,6 +396,7 @@ router.get(
  */
 router.get(
   '/by-type/:schemeType',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -370,6 +413,7 @@ router.get(
  */
 router.post(
   '/',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -383,6 +427,7 @@ router.post(
  */
 router.get(
   '/',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -395,6 +440,7 @@ router.get(
  */
 router.get(
   '/:schemeId',
+  schemeFeature,
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
   apiRateLimiter,
@@ -407,6 +453,7 @@ router.get(
  */
 router.put(
   '/:schemeId',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -420,6 +467,7 @@ router.put(
  */
 router.delete(
   '/:schemeId',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -435,6 +483,7 @@ router.delete(
  */
 router.patch(
   '/:schemeId/status',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -448,6 +497,7 @@ router.patch(
  */
 router.patch(
   '/:schemeId/activate',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -461,6 +511,7 @@ router.patch(
  */
 router.patch(
   '/:schemeId/pause',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -474,6 +525,7 @@ router.patch(
  */
 router.patch(
   '/:schemeId/archive',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -489,6 +541,7 @@ router.patch(
  */
 router.post(
   '/:schemeId/approve',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -502,6 +555,7 @@ router.post(
  */
 router.post(
   '/:schemeId/reject',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -517,6 +571,7 @@ router.post(
  */
 router.post(
   '/:schemeId/enroll',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager', 'staff'),
   checkShopAccess,
   checkPermission(PERMISSIONS.MANAGE_SCHEMES),
@@ -530,6 +585,7 @@ router.post(
  */
 router.get(
   '/:schemeId/enrollments',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_SCHEMES),
@@ -543,6 +599,7 @@ router.get(
  */
 router.get(
   '/:schemeId/analytics',
+  schemeFeature,
   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
   checkShopAccess,
   checkPermission(PERMISSIONS.VIEW_ANALYTICS),
@@ -10,6 +10,7 @@ import User             from '../../models/User.js';
 import eventLogger      from '../../utils/eventLogger.js';
 import logger           from '../../utils/logger.js';
 import eventBus         from '../../eventBus.js';
+import { recordEvent, dispatchEvents } from '../../outbox/outbox.js';
 import {
   NotFoundError,
   BadRequestError,
@@ -449,17 +450,18 @@ export const enrollCustomer = async (shopId, organizationId, schemeId, data, use
       }
     }
 
-    await session.commitTransaction();
-
-    // Emit event
-    eventBus.emit('SCHEME_ENROLLMENT_CREATED', {
+    // Event enrollment ke saath commit — scheme.listener confirmation bhejta hai
+    const event = await recordEvent('SCHEME_ENROLLMENT_CREATED', {
       enrollment,
       customer,
       scheme,
       organizationId,
       shopId,
       userId,
-    });
+    }, { idempotencyKey: `SCHEME_ENROLLMENT_CREATED:${enrollment._id}`, session });
+
+    await session.commitTransaction();
+    dispatchEvents(event);
 
     await eventLogger.logActivity({
       userId,
@@ -638,15 +640,16 @@ export const recordInstallmentPayment = async (shopId, organizationId, enrollmen
       paidDate:  payment.paymentDate,
     });
 
-    await session.commitTransaction();
-
-    eventBus.emit('SCHEME_PAYMENT_RECORDED', {
+    const event = await recordEvent('SCHEME_PAYMENT_RECORDED', {
       enrollment,
       payment,
       organizationId,
       shopId,
       userId,
-    });
+    }, { idempotencyKey: `SCHEME_PAYMENT_RECORDED:${payment._id}`, session });
+
+    await session.commitTransaction();
+    dispatchEvents(event);
 
     await eventLogger.logActivity({
       userId,
@@ -697,6 +700,35 @@ export const getInstallmentSchedule = async (shopId, enrollmentId) => {
   return enrollment;
 };
 
+// ─────────────────────────────────────────────
+// 15b. CONTACT HISTORY — reminders / notices sent to the customer
+// ─────────────────────────────────────────────
+export const getContactHistory = async (shopId, enrollmentId) => {
+  const enrollment = await SchemeEnrollment.findOne({
+    _id: enrollmentId, shopId, deletedAt: null,
+  })
+    .select('enrollmentNumber customerDetails contactHistory')
+    .populate('contactHistory.notificationId', 'status attempts failureReason sentAt')
+    .populate('contactHistory.contactedBy', 'firstName lastName')
+    .lean();
+
+  if (!enrollment) throw new NotFoundError('Enrollment not found');
+
+  // Notification retry ke baad status badal sakta hai — latest log status dikhao
+  const history = (enrollment.contactHistory || [])
+    .map(entry => ({
+      ...entry,
+      status: entry.notificationId?.status === 'sent' ? 'sent' : entry.status,
+    }))
+    .sort((a, b) => new Date(b.contactedAt) - new Date(a.contactedAt));
+
+  return {
+    enrollmentNumber: enrollment.enrollmentNumber,
+    customerDetails:  enrollment.customerDetails,
+    history,
+  };
+};
+
 // ─────────────────────────────────────────────
 // 16. CALCULATE MATURITY VALUE
 // ─────────────────────────────────────────────
@@ -1119,12 +1151,15 @@ export const sendPaymentReminders = async (shopId, organizationId, data, userId)
   let sentCount = 0;
 
   for (const enrollment of enrollments) {
+    // scheme.listener → customer ki communicationPreference se channel, contactHistory me record
     eventBus.emit('SCHEME_PAYMENT_REMINDER', {
       enrollment,
       customer: enrollment.customerId,
       method,
       organizationId,
       shopId,
+      userId,
+      trigger:  'manual',
     });
     sentCount++;
   }
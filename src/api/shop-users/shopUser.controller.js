@@ -0,0 +1,133 @@
+// FILE: src/api/shop-users/shopUser.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as shopUserService from './shopUser.service.js';
+import { sendSuccess, sendPaginated } from '../../utils/sendResponse.js';
+
+// checkShopAccess org_admin / super_admin ke liye userShopAccess null rakhta hai — unpe koi rok nahi
+const actorOf = req => ({
+  userId: req.user._id,
+  role: req.user.role,
+  permissions: req.userShopAccess ? req.userShopAccess.permissions.toObject() : null,
+  shopRole: req.userShopAccess?.role ?? null,
+});
+
+/**
+  GET /api/v1/shops/:shopId/users
+ */
+export const getShopUsers = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await shopUserService.getShopUsers(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.users,
+    result.page,
+    result.limit,
+    result.total,
+    'Shop users fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/users/:userId
+ */
+export const getShopUser = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.getShopUser(shopId, userId, organizationId);
+
+  sendSuccess(res, 200, 'Shop user fetched successfully', user);
+});
+
+/**
+  POST /api/v1/shops/:shopId/users
+ */
+export const inviteUser = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.inviteUser(shopId, organizationId, req.body, actorOf(req));
+
+  sendSuccess(res, 201, 'User invited successfully', user);
+});
+
+/**
+  PATCH /api/v1/shops/:shopId/users/:userId/role
+ */
+export const updateRole = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.updateRole(
+    shopId,
+    userId,
+    organizationId,
+    req.body.role,
+    actorOf(req)
+  );
+
+  sendSuccess(res, 200, 'User role updated successfully', user);
+});
+
+/**
+  PATCH /api/v1/shops/:shopId/users/:userId/permissions
+ */
+export const updatePermissions = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.updatePermissions(
+    shopId,
+    userId,
+    organizationId,
+    { grant: req.body.grant, revoke: req.body.revoke },
+    actorOf(req)
+  );
+
+  sendSuccess(res, 200, 'User permissions updated successfully', user);
+});
+
+/**
+  POST /api/v1/shops/:shopId/users/:userId/suspend
+ */
+export const suspendUser = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.suspendUser(
+    shopId,
+    userId,
+    organizationId,
+    req.body.reason,
+    actorOf(req)
+  );
+
+  sendSuccess(res, 200, 'User suspended successfully', user);
+});
+
+/**
+  POST /api/v1/shops/:shopId/users/:userId/reactivate
+ */
+export const reactivateUser = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const user = await shopUserService.reactivateUser(shopId, userId, organizationId, actorOf(req));
+
+  sendSuccess(res, 200, 'User reactivated successfully', user);
+});
+
+/**
+  DELETE /api/v1/shops/:shopId/users/:userId
+ */
+export const removeUser = catchAsync(async (req, res) => {
+  const { shopId, userId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  await shopUserService.removeUser(shopId, userId, organizationId, req.body.reason, actorOf(req));
+
+  sendSuccess(res, 200, 'User access removed successfully');
+});
@@ -0,0 +1,139 @@
+// FILE: src/api/shop-users/shopUser.routes.js
+// Mounted at: /api/v1/shops/:shopId/users
+// Shop ka staff — invite, role / permissions, suspend aur access hatana. Har badlav audit me.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as shopUserController from './shopUser.controller.js';
+import * as shopUserValidation from './shopUser.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager'];
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/users
+ * @desc    Staff with access to this shop (filters: role, status, search)
+ * @access  Private (manager and above)
+ */
+router.get(
+  '/',
+  shopUserValidation.listUsersValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_USERS),
+  apiRateLimiter,
+  shopUserController.getShopUsers
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/users
+ * @desc    Invite by email — existing org user gets access, new user gets a set-password link
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/',
+  shopUserValidation.inviteUserValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.CREATE_USERS),
+  apiRateLimiter,
+  shopUserController.inviteUser
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/users/:userId
+ * @desc    Shop access of a user with permission overrides against the role defaults
+ * @access  Private (manager and above)
+ */
+router.get(
+  '/:userId',
+  shopUserValidation.userIdValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_USERS),
+  apiRateLimiter,
+  shopUserController.getShopUser
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/users/:userId/role
+ * @desc    Change role — permissions reset to the new role's defaults
+ * @access  Private (manager and above)
+ */
+router.patch(
+  '/:userId/role',
+  shopUserValidation.updateRoleValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_USERS),
+  apiRateLimiter,
+  shopUserController.updateRole
+);
+
+/**
+ * @route   PATCH /api/v1/shops/:shopId/users/:userId/permissions
+ * @desc    Grant / revoke individual permissions on top of the role
+ * @access  Private (manager and above)
+ */
+router.patch(
+  '/:userId/permissions',
+  shopUserValidation.updatePermissionsValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_USERS),
+  apiRateLimiter,
+  shopUserController.updatePermissions
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/users/:userId/suspend
+ * @desc    Suspend access to this shop (reason required)
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:userId/suspend',
+  shopUserValidation.suspendUserValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_USERS),
+  apiRateLimiter,
+  shopUserController.suspendUser
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/users/:userId/reactivate
+ * @desc    Reactivate suspended access
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:userId/reactivate',
+  shopUserValidation.userIdValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.EDIT_USERS),
+  apiRateLimiter,
+  shopUserController.reactivateUser
+);
+
+/**
+ * @route   DELETE /api/v1/shops/:shopId/users/:userId
+ * @desc    Remove the user's access to this shop (user account stays)
+ * @access  Private (manager and above)
+ */
+router.delete(
+  '/:userId',
+  shopUserValidation.removeUserValidation,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.DELETE_USERS),
+  apiRateLimiter,
+  shopUserController.removeUser
+);
+
+export default router;
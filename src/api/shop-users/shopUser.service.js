@@ -0,0 +1,473 @@
+// FILE: src/api/shop-users/shopUser.service.js
+// Shop ka staff — UserShopAccess hi asli record hai (role + permission overrides).
+// Invite naya user banata hai ya org ke existing user ko is shop ka access deta hai.
+// Suspend = isActive false (wapas chalu ho sakta hai), remove = revoke.
+// Shop level actor (shop_admin / manager) apni permissions se upar kuch nahi de sakta,
+// na apne barabar ya upar ka role de sakta hai, na apne se upar wale ko chhed sakta hai;
+// org_admin / super_admin pe rok nahi.
+
+import crypto from 'crypto';
+import User from '../../models/User.js';
+import UserShopAccess from '../../models/UserShopAccess.js';
+import JewelryShop from '../../models/Shop.js';
+import { getPermissionsByRole } from '../../config/permissions.config.js';
+import { assertWithinLimit } from '../../subscription/entitlements.js';
+import tokenManager from '../../utils/tokenManager.js';
+import { sendStaffInviteEmail } from '../../utils/email.js';
+import cache from '../../utils/cache.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  InsufficientPermissionsError,
+} from '../../utils/AppError.js';
+import eventLogger from '../../utils/eventLogger.js';
+import logger from '../../utils/logger.js';
+
+// Upar se neeche — index jitna chhota, role utna bada
+export const SHOP_ROLES = ['shop_admin', 'manager', 'accountant', 'staff', 'viewer'];
+export const PERMISSION_KEYS = Object.keys(getPermissionsByRole('shop_admin'));
+
+const INVITE_EXPIRY = '72h';
+const INVITE_EXPIRY_MS = 72 * 60 * 60 * 1000;
+const USER_FIELDS = 'firstName lastName username email phone role isActive lastLogin primaryShop';
+
+// ─── Permission Rules ──────────────────────────────────────────────────────────
+
+/**
+ * Requested me jo true hai par actor ke paas nahi — yahi "apne se upar" hai.
+ * actorPermissions null = org_admin / super_admin, unpe rok nahi.
+ */
+export const permissionsAbove = (actorPermissions, requested = {}) => {
+  if (!actorPermissions) return [];
+  return Object.keys(requested).filter(key => requested[key] === true && !actorPermissions[key]);
+};
+
+/**
+ * Role ke default se farak — granted (default false, ab true) aur revoked (ulta).
+ */
+export const permissionOverrides = (role, permissions = {}) => {
+  const defaults = getPermissionsByRole(role);
+  const granted = [];
+  const revoked = [];
+
+  PERMISSION_KEYS.forEach(key => {
+    const current = Boolean(permissions[key]);
+    if (current && !defaults[key]) granted.push(key);
+    if (!current && defaults[key]) revoked.push(key);
+  });
+
+  return { granted, revoked };
+};
+
+/**
+ * Current permissions pe grant / revoke lagao. Dono me same key ho to revoke jeetega.
+ */
+export const applyPermissionChanges = (permissions, { grant = [], revoke = [] }) => {
+  const next = { ...permissions };
+  grant.forEach(key => {
+    next[key] = true;
+  });
+  revoke.forEach(key => {
+    next[key] = false;
+  });
+  return next;
+};
+
+const assertWithinOwn = (actor, requested, what) => {
+  const above = permissionsAbove(actor.permissions, requested);
+  if (above.length) {
+    throw new InsufficientPermissionsError(
+      `You cannot ${what} with permissions you do not have: ${above.join(', ')}`
+    );
+  }
+};
+
+/**
+ * Role actor ke shop role ke barabar ya upar hai? actorRole null = org_admin / super_admin, unpe rok nahi.
+ */
+export const isRoleAtOrAbove = (actorRole, role) =>
+  Boolean(actorRole) && SHOP_ROLES.indexOf(role) <= SHOP_ROLES.indexOf(actorRole);
+
+// Permissions same hon tab bhi shop_admin doosra shop_admin nahi bana sakta — woh org_admin ka kaam hai
+const assertRoleBelowOwn = (actor, role) => {
+  if (isRoleAtOrAbove(actor.shopRole, role)) {
+    throw new InsufficientPermissionsError(
+      `You cannot assign the ${role} role — only roles below your own (${actor.shopRole})`
+    );
+  }
+};
+
+// Apne se upar wale (jiske paas actor se zyada permissions hain) ko nahi chhed sakte
+const assertCanManage = (actor, access, action) => {
+  if (String(access.userId._id || access.userId) === String(actor.userId)) {
+    throw new BadRequestError(`You cannot ${action} your own shop access`);
+  }
+  assertWithinOwn(actor, toPlain(access.permissions), `${action} a user`);
+};
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const toPlain = permissions => permissions?.toObject?.() || { ...permissions };
+
+const loadAccess = async (shopId, userId, organizationId) => {
+  const access = await UserShopAccess.findOne({ shopId, userId, organizationId }).populate(
+    'userId',
+    USER_FIELDS
+  );
+  if (!access || !access.userId) throw new NotFoundError('User does not have access to this shop');
+  return access;
+};
+
+const presentAccess = access => {
+  const plain = access.toObject ? access.toObject({ virtuals: false }) : access;
+  const user = plain.userId;
+  return {
+    accessId: plain._id,
+    user,
+    role: plain.role,
+    status: plain.isActive ? 'active' : 'suspended',
+    permissions: plain.permissions,
+    overrides: permissionOverrides(plain.role, plain.permissions),
+    accessStartDate: plain.accessStartDate,
+    accessEndDate: plain.accessEndDate,
+    assignedBy: plain.assignedBy,
+    assignedAt: plain.assignedAt,
+    lastAccessedAt: plain.lastAccessedAt,
+    notes: plain.notes,
+  };
+};
+
+// restrictTo User.role pe chalta hai — primary shop ka role user pe bhi rakho
+const syncPrimaryRole = async (user, shopId, role) => {
+  if (String(user.primaryShop) !== String(shopId)) return;
+  if (!SHOP_ROLES.includes(user.role)) return;
+
+  await User.updateOne({ _id: user._id }, { $set: { role } });
+  await cache.del(cache.userKey(user._id));
+};
+
+const audit = (actor, organizationId, shopId, action, description, metadata, level = 'info') =>
+  eventLogger.logActivity({
+    userId: actor.userId,
+    organizationId,
+    shopId,
+    action,
+    module: 'user_management',
+    description,
+    level,
+    status: 'success',
+    metadata,
+  });
+
+const usernameFrom = email =>
+  `${email
+    .split('@')[0]
+    .replace(/[^a-z0-9._]/gi, '')
+    .slice(0, 20)}_${crypto.randomBytes(3).toString('hex')}`;
+
+// ─── Reads ─────────────────────────────────────────────────────────────────────
+
+export const getShopUsers = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  const query = { shopId, organizationId };
+  if (filters.role) query.role = filters.role;
+  if (filters.status) query.isActive = filters.status === 'active';
+
+  if (filters.search) {
+    const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const users = await User.find({
+      organizationId,
+      $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }],
+    })
+      .select('_id')
+      .lean();
+    query.userId = { $in: users.map(user => user._id) };
+  }
+
+  const [accesses, total] = await Promise.all([
+    UserShopAccess.find(query)
+      .populate('userId', USER_FIELDS)
+      .sort({ role: 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    UserShopAccess.countDocuments(query),
+  ]);
+
+  return {
+    users: accesses.filter(access => access.userId).map(presentAccess),
+    total,
+    page,
+    limit,
+  };
+};
+
+export const getShopUser = async (shopId, userId, organizationId) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  return presentAccess(access);
+};
+
+// ─── Invite ────────────────────────────────────────────────────────────────────
+
+/**
+ * Email se: org me user hai to is shop ka access, nahi hai to naya user + set-password
+ * invite. Doosre org ka email ho to conflict.
+ * @param {Object} data - { email, firstName, lastName, phone, role, grant, revoke, accessEndDate, notes }
+ */
+export const inviteUser = async (shopId, organizationId, data, actor) => {
+  const shop = await JewelryShop.findOne({ _id: shopId, organizationId }).select('name').lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  assertRoleBelowOwn(actor, data.role);
+  const permissions = applyPermissionChanges(getPermissionsByRole(data.role), data);
+  assertWithinOwn(actor, permissions, 'invite a user');
+
+  const email = data.email.toLowerCase();
+  let user = await User.findOne({ email });
+  let created = false;
+
+  if (user) {
+    if (String(user.organizationId) !== String(organizationId)) {
+      throw new ConflictError('This email belongs to a user in another organization');
+    }
+    if (!user.isActive) throw new BadRequestError('This user account is deactivated');
+    if (['super_admin', 'org_admin'].includes(user.role)) {
+      throw new BadRequestError(`${user.role} already has access to every shop`);
+    }
+
+    const existing = await UserShopAccess.findOne({ userId: user._id, shopId });
+    if (existing) throw new ConflictError('User already has access to this shop');
+  } else {
+    await assertWithinLimit(organizationId, 'users');
+
+    user = await User.create({
+      username: usernameFrom(email),
+      email,
+      password: crypto.randomBytes(24).toString('hex'),
+      firstName: data.firstName,
+      lastName: data.lastName,
+      phone: data.phone,
+      organizationId,
+      role: data.role,
+      primaryShop: shopId,
+      createdBy: actor.userId,
+      isActive: true,
+    });
+    created = true;
+  }
+
+  // Pehle revoke hua access bhi isi record pe wapas aata hai (userId + shopId unique)
+  const previous = await UserShopAccess.findOne({ userId: user._id, shopId }).setOptions({
+    includeDeleted: true,
+  });
+  const accessData = {
+    organizationId,
+    role: data.role,
+    permissions,
+    isActive: true,
+    accessStartDate: new Date(),
+    accessEndDate: data.accessEndDate || null,
+    assignedBy: actor.userId,
+    assignedAt: new Date(),
+    revokedAt: null,
+    revokedBy: null,
+    revocationReason: null,
+    deletedAt: null,
+    notes: data.notes,
+    updatedBy: actor.userId,
+  };
+
+  let access;
+  if (previous) {
+    previous.set(accessData);
+    access = await previous.save();
+  } else {
+    access = await UserShopAccess.create({ userId: user._id, shopId, ...accessData });
+  }
+
+  if (created) {
+    const resetToken = tokenManager.generatePasswordResetToken(user._id, INVITE_EXPIRY);
+    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    user.passwordResetExpires = Date.now() + INVITE_EXPIRY_MS;
+    await user.save();
+
+    const inviter = await User.findById(actor.userId).select('firstName lastName').lean();
+    sendStaffInviteEmail(user, shop, data.role, resetToken, inviter).catch(err => {
+      logger.error('Staff invite email failed:', err);
+    });
+  }
+
+  await audit(
+    actor,
+    organizationId,
+    shopId,
+    'invite',
+    `${created ? 'Invited' : 'Added'} ${user.email} to ${shop.name} as ${data.role}`,
+    {
+      targetUserId: user._id,
+      role: data.role,
+      newUser: created,
+      overrides: permissionOverrides(data.role, permissions),
+    }
+  );
+
+  await access.populate('userId', USER_FIELDS);
+  return presentAccess(access);
+};
+
+// ─── Role & Permissions ────────────────────────────────────────────────────────
+
+/**
+ * Naya role — permissions us role ke default pe reset, overrides chhoot jaate hain.
+ */
+export const updateRole = async (shopId, userId, organizationId, role, actor) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  assertCanManage(actor, access, 'change the role of');
+  assertRoleBelowOwn(actor, role);
+
+  const permissions = getPermissionsByRole(role);
+  assertWithinOwn(actor, permissions, `assign the ${role} role`);
+
+  const before = {
+    role: access.role,
+    overrides: permissionOverrides(access.role, toPlain(access.permissions)),
+  };
+
+  access.role = role;
+  access.permissions = permissions;
+  access.updatedBy = actor.userId;
+  await access.save();
+  await syncPrimaryRole(access.userId, shopId, role);
+
+  await audit(
+    actor,
+    organizationId,
+    shopId,
+    'update_role',
+    `Changed ${access.userId.email} role from ${before.role} to ${role}`,
+    { targetUserId: access.userId._id, before, after: { role } }
+  );
+
+  return presentAccess(access);
+};
+
+/**
+ * Role ke upar individual permissions grant / revoke.
+ * @param {Object} changes - { grant: [], revoke: [] }
+ */
+export const updatePermissions = async (shopId, userId, organizationId, changes, actor) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  assertCanManage(actor, access, 'change the permissions of');
+
+  const grant = changes.grant || [];
+  const revoke = changes.revoke || [];
+  assertWithinOwn(
+    actor,
+    grant.reduce((result, key) => ({ ...result, [key]: true }), {}),
+    'grant permissions'
+  );
+
+  const current = toPlain(access.permissions);
+  const next = applyPermissionChanges(current, { grant, revoke });
+  const changed = PERMISSION_KEYS.filter(key => Boolean(current[key]) !== Boolean(next[key]));
+
+  if (!changed.length) return presentAccess(access);
+
+  access.permissions = next;
+  access.updatedBy = actor.userId;
+  await access.save();
+
+  await audit(
+    actor,
+    organizationId,
+    shopId,
+    'update_permissions',
+    `Updated ${changed.length} permissions for ${access.userId.email}`,
+    {
+      targetUserId: access.userId._id,
+      granted: changed.filter(key => next[key]),
+      revoked: changed.filter(key => !next[key]),
+    }
+  );
+
+  return presentAccess(access);
+};
+
+// ─── Suspend / Reactivate / Remove ─────────────────────────────────────────────
+
+export const suspendUser = async (shopId, userId, organizationId, reason, actor) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  assertCanManage(actor, access, 'suspend');
+  if (!access.isActive) throw new BadRequestError('User is already suspended in this shop');
+
+  access.isActive = false;
+  access.notes = reason;
+  access.updatedBy = actor.userId;
+  await access.save();
+
+  await audit(
+    actor,
+    organizationId,
+    shopId,
+    'suspend',
+    `Suspended ${access.userId.email}: ${reason}`,
+    { targetUserId: access.userId._id, reason },
+    'warn'
+  );
+
+  return presentAccess(access);
+};
+
+export const reactivateUser = async (shopId, userId, organizationId, actor) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  assertCanManage(actor, access, 'reactivate');
+  if (access.isActive) throw new BadRequestError('User is already active in this shop');
+
+  access.isActive = true;
+  access.updatedBy = actor.userId;
+  await access.save();
+
+  await audit(actor, organizationId, shopId, 'reactivate', `Reactivated ${access.userId.email}`, {
+    targetUserId: access.userId._id,
+  });
+
+  return presentAccess(access);
+};
+
+/**
+ * Shop se access hatao (revoke). User account bana rehta hai — doosri shops ka access
+ * aur history waise hi.
+ */
+export const removeUser = async (shopId, userId, organizationId, reason, actor) => {
+  const access = await loadAccess(shopId, userId, organizationId);
+  assertCanManage(actor, access, 'remove');
+
+  access.revokedAt = new Date();
+  access.revokedBy = actor.userId;
+  access.revocationReason = reason;
+  access.isActive = false;
+  access.updatedBy = actor.userId;
+  await access.save();
+
+  // Primary shop gaya to agla bacha hua shop primary
+  const user = access.userId;
+  if (String(user.primaryShop) === String(shopId)) {
+    const next = await UserShopAccess.findOne({ userId: user._id, isActive: true }).select(
+      'shopId'
+    );
+    await User.updateOne({ _id: user._id }, { $set: { primaryShop: next?.shopId || null } });
+    await cache.del(cache.userKey(user._id));
+  }
+
+  await audit(
+    actor,
+    organizationId,
+    shopId,
+    'remove_access',
+    `Removed ${user.email} from shop${reason ? `: ${reason}` : ''}`,
+    { targetUserId: user._id, role: access.role, reason },
+    'warn'
+  );
+};
@@ -0,0 +1,103 @@
+// FILE: src/api/shop-users/shopUser.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+import { SHOP_ROLES, PERMISSION_KEYS } from './shopUser.service.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const userId = param('userId').isMongoId().withMessage('Invalid user ID format');
+
+const role = field =>
+  body(field)
+    .isIn(SHOP_ROLES)
+    .withMessage(`Role must be one of: ${SHOP_ROLES.join(', ')}`);
+
+const permissionList = field => [
+  body(field).optional().isArray().withMessage(`${field} must be an array`),
+  body(`${field}.*`).isIn(PERMISSION_KEYS).withMessage('Unknown permission'),
+];
+
+const reasonLength = chain =>
+  chain.isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters');
+
+export const listUsersValidation = [
+  shopId,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(SHOP_ROLES).withMessage('Invalid role'),
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended'])
+    .withMessage('Status must be active or suspended'),
+  query('search').optional().isString().trim().isLength({ max: 100 }),
+  validate,
+];
+
+export const userIdValidation = [shopId, userId, validate];
+
+export const inviteUserValidation = [
+  shopId,
+  body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('firstName')
+    .trim()
+    .notEmpty()
+    .withMessage('First name is required')
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+  body('lastName').optional().trim().isLength({ max: 50 }),
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^[6-9][0-9]{9}$/)
+    .withMessage('Invalid Indian phone number'),
+  role('role'),
+  ...permissionList('grant'),
+  ...permissionList('revoke'),
+  body('accessEndDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid access end date')
+    .toDate(),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  validate,
+];
+
+export const updateRoleValidation = [shopId, userId, role('role'), validate];
+
+export const updatePermissionsValidation = [
+  shopId,
+  userId,
+  ...permissionList('grant'),
+  ...permissionList('revoke'),
+  body().custom(value => {
+    if (!value.grant?.length && !value.revoke?.length) {
+      throw new Error('Provide at least one permission to grant or revoke');
+    }
+    return true;
+  }),
+  validate,
+];
+
+export const suspendUserValidation = [
+  shopId,
+  userId,
+  reasonLength(body('reason').trim().notEmpty().withMessage('Reason is required')),
+  validate,
+];
+
+export const removeUserValidation = [
+  shopId,
+  userId,
+  reasonLength(body('reason').optional()),
+  validate,
+];
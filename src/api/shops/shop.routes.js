@@ -83,14 +83,7 @@ router.get(
   shopController.getShopActivityLogs
 );
 
-// router.post(
-//   '/:id/transfer-inventory',
-//   shopValidation.transferInventoryValidation,
-//   restrictTo('super_admin', 'org_admin', 'shop_admin', 'manager'),
-//   checkShopAccess,
-//   checkPermission('canTransferInventory'),  //   New permission
-//   shopController.transferInventory
-// );
+// Inventory transfer between shops → /api/v1/shops/:shopId/stock-transfers (api/stock-transfer)
 
 // EXPORT ROUTER
 
@@ -8,6 +8,7 @@ import User from '../../models/User.js';
 import ActivityLog from '../../models/ActivityLog.js';
 import AppError from '../../utils/AppError.js';
 import APIFeatures from '../../utils/apiFeatures.js';
+import { assertWithinLimit } from '../../subscription/entitlements.js';
 
 
 export const createShop = async (shopData, userId, userRole, userOrgId) => {
@@ -33,9 +34,7 @@ export const createShop = async (shopData, userId, userRole, userOrgId) => {
       throw new AppError('Organization not found', 404);
     }
 
-    if (!organization.canAddShop()) {
-      throw new AppError('Organization has reached maximum shops limit', 403);
-    }
+    await assertWithinLimit(organization, 'shops', { session });
 
     shopData.code = await JewelryShop.generateCode(shopData.name, shopData.organizationId);
 
@@ -0,0 +1,165 @@
+// FILE: src/api/stock-audit/stockAudit.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as stockAuditService from './stockAudit.service.js';
+import { sendSuccess, sendPaginated, sendPDF } from '../../utils/sendResponse.js';
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits
+ */
+export const createAudit = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.createAudit(shopId, organizationId, req.body, req.user._id);
+
+  sendSuccess(res, 201, 'Stock audit started successfully', audit);
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-audits
+ */
+export const getAudits = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await stockAuditService.getAudits(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.audits,
+    result.page,
+    result.limit,
+    result.total,
+    'Stock audits fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-audits/:auditId?result=missing
+ */
+export const getAudit = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.getAuditById(shopId, auditId, organizationId, req.query);
+
+  sendSuccess(res, 200, 'Stock audit fetched successfully', audit);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits/:auditId/counts
+ */
+export const recordCount = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await stockAuditService.recordCount(
+    shopId,
+    auditId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(
+    res,
+    201,
+    result.extra ? 'Item is not in the audit snapshot — recorded as extra' : 'Count recorded',
+    result
+  );
+});
+
+/**
+  DELETE /api/v1/shops/:shopId/stock-audits/:auditId/counts/:countId
+ */
+export const removeCount = catchAsync(async (req, res) => {
+  const { shopId, auditId, countId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.removeCount(shopId, auditId, countId, organizationId);
+
+  sendSuccess(res, 200, 'Count removed successfully', audit);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits/:auditId/submit
+ */
+export const submitAudit = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.submitAudit(
+    shopId,
+    auditId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock audit submitted for approval', audit);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits/:auditId/reopen
+ */
+export const reopenAudit = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.reopenAudit(shopId, auditId, organizationId);
+
+  sendSuccess(res, 200, 'Stock audit reopened for counting', audit);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits/:auditId/approve
+ */
+export const approveAudit = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.approveAudit(
+    shopId,
+    auditId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock audit approved and adjustments posted', audit);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-audits/:auditId/cancel
+ */
+export const cancelAudit = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const audit = await stockAuditService.cancelAudit(
+    shopId,
+    auditId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock audit cancelled successfully', audit);
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-audits/:auditId/report?paperSize=A4
+ */
+export const printReport = catchAsync(async (req, res) => {
+  const { shopId, auditId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const pdf = await stockAuditService.printReport(
+    shopId,
+    auditId,
+    organizationId,
+    req.query.paperSize
+  );
+
+  sendPDF(res, pdf, `stock-audit-${auditId}.pdf`, true);
+});
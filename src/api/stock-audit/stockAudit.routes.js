@@ -0,0 +1,172 @@
+// FILE: src/api/stock-audit/stockAudit.routes.js
+// Mounted at: /api/v1/shops/:shopId/stock-audits
+// Staff count karte hain (scan / weight), manager approve karke stock adjust karta hai.
+// Counting se stock nahi badalta, isliye woh VIEW_INVENTORY pe chalta hai — staff ke paas
+// edit nahi hota. Stock sirf approve pe (MANAGE_INVENTORY) hilta hai.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as stockAuditController from './stockAudit.controller.js';
+import * as stockAuditValidation from './stockAudit.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'staff'];
+const MANAGE_ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager'];
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits
+ * @desc    Start an audit — snapshot of expected stock for the scope
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/',
+  stockAuditValidation.createAudit,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.createAudit
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-audits
+ * @desc    List audits (filters: status, auditType, dates)
+ * @access  Private
+ */
+router.get(
+  '/',
+  stockAuditValidation.getAudits,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.getAudits
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-audits/:auditId
+ * @desc    Get audit with snapshot lines, counts and extras (?result= filters lines)
+ * @access  Private
+ */
+router.get(
+  '/:auditId',
+  stockAuditValidation.getAudit,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.getAudit
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits/:auditId/counts
+ * @desc    Record a count — barcode / product code / HUID scan or manual product, optional weight
+ * @access  Private
+ */
+router.post(
+  '/:auditId/counts',
+  stockAuditValidation.recordCount,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.recordCount
+);
+
+/**
+ * @route   DELETE /api/v1/shops/:shopId/stock-audits/:auditId/counts/:countId
+ * @desc    Remove a mistaken count entry
+ * @access  Private
+ */
+router.delete(
+  '/:auditId/counts/:countId',
+  stockAuditValidation.removeCount,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.removeCount
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits/:auditId/submit
+ * @desc    Finish counting and send for approval
+ * @access  Private
+ */
+router.post(
+  '/:auditId/submit',
+  stockAuditValidation.submitAudit,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.submitAudit
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits/:auditId/reopen
+ * @desc    Send a submitted audit back for recount
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:auditId/reopen',
+  stockAuditValidation.reopenAudit,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.reopenAudit
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits/:auditId/approve
+ * @desc    Sign off and post stock / weight adjustments
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:auditId/approve',
+  stockAuditValidation.approveAudit,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.approveAudit
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-audits/:auditId/cancel
+ * @desc    Cancel an open audit — nothing is posted
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:auditId/cancel',
+  stockAuditValidation.cancelAudit,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.MANAGE_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.cancelAudit
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-audits/:auditId/report
+ * @desc    Audit report PDF (inline)
+ * @access  Private
+ */
+router.get(
+  '/:auditId/report',
+  stockAuditValidation.printReport,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockAuditController.printReport
+);
+
+export default router;
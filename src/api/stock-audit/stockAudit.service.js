@@ -0,0 +1,574 @@
+// FILE: src/api/stock-audit/stockAudit.service.js
+// Physical stock count (monthly / year end). Audit start pe expected stock ka snapshot
+// banta hai; staff barcode scan ya weight ke saath count daalte hain, aur har count ke
+// baad snapshot se milan hota hai — missing, short, excess, weight mismatch, extra.
+// Approve karne pe farak InventoryTransaction ADJUSTMENT ban ke stock me post hota hai.
+
+import mongoose from 'mongoose';
+import StockAudit from '../../models/StockAudit.js';
+import Product from '../../models/Product.js';
+import JewelryShop from '../../models/Shop.js';
+import { adjustStock, adjustWeight } from '../inventory/inventory.service.js';
+import { REFERENCE_TYPES } from '../inventory/inventory.constants.js';
+import { NotFoundError, BadRequestError, ValidationError } from '../../utils/AppError.js';
+import cache from '../../utils/cache.js';
+import eventLogger from '../../utils/eventLogger.js';
+import {
+  TEMPLATES,
+  renderTemplatePdf,
+  buildStockAuditReportData,
+} from '../../invoices/renderer.js';
+
+// Isse bada scope ek baar me count nahi hota — category / metal se todo
+const MAX_AUDIT_ITEMS = 10000;
+
+const OPEN_STATUSES = ['in_progress', 'submitted'];
+
+// ─── Reconciliation ────────────────────────────────────────────────────────────
+
+const round3 = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Result for one snapshot line from its counted quantity / weight.
+ * Weight sirf tab check hota hai jab quantity poori mili ho aur kuch pieces tole gaye hon.
+ */
+export const itemResult = (item, tolerance = 0.01) => {
+  const counted = item.countedQuantity || 0;
+
+  if (counted === 0) return 'missing';
+  if (counted < item.expectedQuantity) return 'short';
+  if (counted > item.expectedQuantity) return 'excess';
+
+  if (item.weighedQuantity > 0 && Math.abs(item.weightDifference || 0) > tolerance) {
+    return 'weight_mismatch';
+  }
+  return 'matched';
+};
+
+/**
+ * Rebuilds counted fields, results, extras and summary from the count entries.
+ * Items in-place update hote hain (mongoose subdocs bhi chalte hain).
+ * @param {{ items: Array, counts: Array, weightTolerance?: number }} audit
+ * @returns {{ items: Array, extras: Array, summary: Object }}
+ */
+export const reconcileAudit = ({ items = [], counts = [], weightTolerance = 0.01 }) => {
+  const tally = new Map();
+  const extras = new Map();
+
+  for (const count of counts) {
+    const quantity = count.quantity || 1;
+    const weighed = count.grossWeight !== null && count.grossWeight !== undefined;
+
+    if (count.itemId) {
+      const entry = tally.get(String(count.itemId)) || { quantity: 0, weight: 0, weighed: 0 };
+      entry.quantity += quantity;
+      if (weighed) {
+        entry.weight += count.grossWeight;
+        entry.weighed += quantity;
+      }
+      tally.set(String(count.itemId), entry);
+      continue;
+    }
+
+    const key = count.productId ? `p:${count.productId}` : `c:${count.code}`;
+    const extra = extras.get(key) || {
+      code: count.code,
+      productId: count.productId || null,
+      productCode: count.productCode,
+      productName: count.productName,
+      quantity: 0,
+      grossWeight: null,
+    };
+    extra.quantity += quantity;
+    if (weighed) extra.grossWeight = round3((extra.grossWeight || 0) + count.grossWeight);
+    extras.set(key, extra);
+  }
+
+  const summary = {
+    totalItems: items.length,
+    expectedQuantity: 0,
+    countedQuantity: 0,
+    matched: 0,
+    missing: 0,
+    short: 0,
+    excess: 0,
+    weightMismatch: 0,
+    extra: extras.size,
+    shortageValue: 0,
+    excessValue: 0,
+  };
+
+  for (const item of items) {
+    const entry = tally.get(String(item._id)) || { quantity: 0, weight: 0, weighed: 0 };
+
+    item.countedQuantity = entry.quantity;
+    item.weighedQuantity = entry.weighed;
+    item.countedGrossWeight = entry.weighed ? round3(entry.weight) : null;
+    item.weightDifference = entry.weighed
+      ? round3(entry.weight / entry.weighed - (item.expectedGrossWeight || 0))
+      : 0;
+    item.result = itemResult(item, weightTolerance);
+
+    const difference = entry.quantity - item.expectedQuantity;
+    summary.expectedQuantity += item.expectedQuantity;
+    summary.countedQuantity += entry.quantity;
+    if (difference < 0) summary.shortageValue += -difference * (item.unitValue || 0);
+    if (difference > 0) summary.excessValue += difference * (item.unitValue || 0);
+
+    if (item.result === 'weight_mismatch') summary.weightMismatch += 1;
+    else summary[item.result] += 1;
+  }
+
+  summary.shortageValue = Math.round(summary.shortageValue * 100) / 100;
+  summary.excessValue = Math.round(summary.excessValue * 100) / 100;
+
+  return { items, extras: [...extras.values()], summary };
+};
+
+const applyReconcile = audit => {
+  const { extras, summary } = reconcileAudit(audit);
+  audit.extras = extras;
+  audit.summary = summary;
+  return audit;
+};
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const loadAudit = async (shopId, auditId, organizationId, session = null) => {
+  const audit = await StockAudit.findOne({
+    _id: auditId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  }).session(session);
+
+  if (!audit) throw new NotFoundError('Stock audit not found');
+  return audit;
+};
+
+const assertStatus = (audit, status, action) => {
+  if (audit.status !== status) {
+    throw new BadRequestError(`Cannot ${action} an audit that is ${audit.status}`);
+  }
+};
+
+// Snapshot line ka match — barcode exact, phir product code / HUID (labels wala hi order)
+const findItem = (audit, { code, productId }) => {
+  if (productId) return audit.items.find(item => String(item.productId) === String(productId));
+
+  const upper = code.toUpperCase();
+  return (
+    audit.items.find(item => item.barcode === code) ||
+    audit.items.find(item => item.productCode === upper || item.huid === upper)
+  );
+};
+
+const findShopProduct = (audit, { code, productId }) => {
+  const filter = { shopId: audit.shopId, organizationId: audit.organizationId, deletedAt: null };
+  if (productId) filter._id = productId;
+  else {
+    const upper = code.toUpperCase();
+    filter.$or = [{ barcode: code }, { productCode: upper }, { huid: upper }, { sku: upper }];
+  }
+  return Product.findOne(filter).select('name productCode').lean();
+};
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Start ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Start an audit — in-stock products (scope ke andar) ka snapshot.
+ * Ek shop me ek hi khula audit, warna dono approve hone pe stock do baar adjust hoga.
+ * @param {Object} data - { auditType, scope: { categoryIds, metalTypes }, weightTolerance, notes }
+ */
+export const createAudit = async (shopId, organizationId, data, userId) => {
+  const { auditType, scope = {}, weightTolerance, notes } = data;
+
+  const open = await StockAudit.findOne({
+    shopId,
+    organizationId,
+    status: { $in: OPEN_STATUSES },
+    deletedAt: null,
+  })
+    .select('auditNumber')
+    .lean();
+  if (open) {
+    throw new BadRequestError(
+      `Audit ${open.auditNumber} is still open — approve or cancel it first`
+    );
+  }
+
+  const filter = {
+    shopId,
+    organizationId,
+    deletedAt: null,
+    'stock.quantity': { $gt: 0 },
+    saleStatus: { $ne: 'sold' },
+  };
+  if (scope.categoryIds?.length) filter.categoryId = { $in: scope.categoryIds };
+  if (scope.metalTypes?.length) filter['metal.type'] = { $in: scope.metalTypes };
+
+  const total = await Product.countDocuments(filter);
+  if (!total) throw new BadRequestError('No in-stock products found for this scope');
+  if (total > MAX_AUDIT_ITEMS) {
+    throw new ValidationError(
+      `Scope has ${total} products — narrow it by category or metal (max ${MAX_AUDIT_ITEMS})`
+    );
+  }
+
+  const products = await Product.find(filter)
+    .select('name productCode barcode huid categoryId metal weight pricing stock')
+    .populate('categoryId', 'name')
+    .sort('productCode')
+    .lean();
+
+  const items = products.map(product => ({
+    productId: product._id,
+    productCode: product.productCode,
+    productName: product.name,
+    barcode: product.barcode || undefined,
+    huid: product.huid || undefined,
+    categoryId: product.categoryId?._id,
+    categoryName: product.categoryId?.name,
+    metalType: product.metal?.type,
+    purity: product.metal?.purity,
+    unitValue: product.pricing?.costPrice || 0,
+    expectedQuantity: product.stock.quantity,
+    expectedGrossWeight: product.weight?.grossWeight || 0,
+    expectedNetWeight: product.weight?.netWeight || 0,
+  }));
+
+  const audit = new StockAudit({
+    organizationId,
+    shopId,
+    auditNumber: await StockAudit.generateAuditNumber(shopId),
+    auditType,
+    scope: { categoryIds: scope.categoryIds || [], metalTypes: scope.metalTypes || [] },
+    weightTolerance,
+    items,
+    startedBy: userId,
+    notes,
+  });
+  applyReconcile(audit);
+  await audit.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'create',
+    module: 'stock_audit',
+    description: `Started stock audit ${audit.auditNumber} (${items.length} products)`,
+    level: 'info',
+    status: 'success',
+    metadata: { auditId: audit._id, scope: audit.scope },
+  });
+
+  return audit;
+};
+
+// ─── Counting ──────────────────────────────────────────────────────────────────
+
+/**
+ * One scan / manual entry. code (barcode, product code, HUID) ya productId.
+ * Snapshot me na mile to extra me jaata hai — shop ka product ho ya bilkul unknown code.
+ * @param {Object} data - { code, productId, quantity, grossWeight, notes }
+ */
+export const recordCount = async (shopId, auditId, organizationId, data, userId) => {
+  const code = data.code ? String(data.code).trim() : '';
+  if (!code && !data.productId) throw new ValidationError('Scan a code or pick a product');
+
+  const audit = await loadAudit(shopId, auditId, organizationId);
+  assertStatus(audit, 'in_progress', 'count');
+
+  const lookup = { code, productId: data.productId };
+  const item = findItem(audit, lookup);
+
+  const count = {
+    code: code || item?.productCode,
+    quantity: data.quantity || 1,
+    grossWeight: data.grossWeight ?? null,
+    method: data.productId ? 'manual' : 'scan',
+    countedBy: userId,
+    countedAt: new Date(),
+    notes: data.notes,
+  };
+
+  if (item) {
+    Object.assign(count, {
+      itemId: item._id,
+      productId: item.productId,
+      productCode: item.productCode,
+      productName: item.productName,
+    });
+  } else {
+    const product = await findShopProduct(audit, lookup);
+    if (!product && data.productId) throw new NotFoundError('Product not found in this shop');
+    if (product) {
+      Object.assign(count, {
+        productId: product._id,
+        productCode: product.productCode,
+        productName: product.name,
+      });
+    }
+  }
+
+  audit.counts.push(count);
+  applyReconcile(audit);
+  await audit.save();
+
+  const saved = audit.counts[audit.counts.length - 1];
+  return {
+    count: saved,
+    item: item || null,
+    extra: !item,
+    summary: audit.summary,
+  };
+};
+
+/** Galat scan hatao — counts se result dobara banta hai. */
+export const removeCount = async (shopId, auditId, countId, organizationId) => {
+  const audit = await loadAudit(shopId, auditId, organizationId);
+  assertStatus(audit, 'in_progress', 'change counts on');
+
+  const count = audit.counts.id(countId);
+  if (!count) throw new NotFoundError('Count entry not found');
+
+  count.deleteOne();
+  applyReconcile(audit);
+  await audit.save();
+
+  return audit;
+};
+
+/** Counting khatam — ab sirf approve ya cancel. */
+export const submitAudit = async (shopId, auditId, organizationId, data, userId) => {
+  const audit = await loadAudit(shopId, auditId, organizationId);
+  assertStatus(audit, 'in_progress', 'submit');
+  if (!audit.counts.length) throw new BadRequestError('Nothing has been counted yet');
+
+  applyReconcile(audit);
+  audit.status = 'submitted';
+  audit.submittedBy = userId;
+  audit.submittedAt = new Date();
+  if (data.notes) audit.notes = data.notes;
+  await audit.save();
+
+  return audit;
+};
+
+/** Manager ko recount chahiye — submitted audit wapas counting me. */
+export const reopenAudit = async (shopId, auditId, organizationId) => {
+  const audit = await loadAudit(shopId, auditId, organizationId);
+  assertStatus(audit, 'submitted', 'reopen');
+
+  audit.status = 'in_progress';
+  audit.submittedBy = undefined;
+  audit.submittedAt = undefined;
+  await audit.save();
+
+  return audit;
+};
+
+// ─── Approve ───────────────────────────────────────────────────────────────────
+
+/**
+ * Sign off and post the differences. Stock audit ke baad bhi bik sakta hai, isliye
+ * counted - expected ka farak current stock pe lagta hai, snapshot ko overwrite nahi karta.
+ * Extras sirf report me aate hain — woh kis product/scope ke hain yeh manager dekhe.
+ * @param {Object} data - { signedOffBy, designation, remarks, adjustQuantities, correctWeights }
+ */
+export const approveAudit = async (shopId, auditId, organizationId, data, userId) => {
+  const { adjustQuantities = true, correctWeights = true } = data;
+
+  const audit = await runInTransaction(async session => {
+    const audit = await loadAudit(shopId, auditId, organizationId, session);
+    assertStatus(audit, 'submitted', 'approve');
+    applyReconcile(audit);
+
+    const reference = {
+      referenceType: REFERENCE_TYPES.STOCK_AUDIT,
+      referenceId: audit._id,
+      referenceNumber: audit.auditNumber,
+    };
+    let quantityAdjustments = 0;
+    let weightAdjustments = 0;
+
+    for (const item of audit.items) {
+      if (adjustQuantities && ['missing', 'short', 'excess'].includes(item.result)) {
+        const product = await Product.findById(item.productId).select('stock').session(session);
+        if (!product) continue;
+
+        const difference = item.countedQuantity - item.expectedQuantity;
+        await adjustStock({
+          organizationId,
+          shopId,
+          productId: item.productId,
+          newQuantity: Math.max(0, product.stock.quantity + difference),
+          reason: `Stock audit ${audit.auditNumber}: expected ${item.expectedQuantity}, counted ${item.countedQuantity}`,
+          performedBy: userId,
+          ...reference,
+          value: Math.abs(difference) * (item.unitValue || 0),
+          metadata: { auditItemId: item._id, result: item.result },
+          session,
+        });
+        item.adjusted = true;
+        quantityAdjustments += 1;
+      }
+
+      if (correctWeights && item.result === 'weight_mismatch') {
+        const grossWeight = round3(item.expectedGrossWeight + item.weightDifference);
+        await adjustWeight({
+          organizationId,
+          shopId,
+          productId: item.productId,
+          grossWeight,
+          reason: `Stock audit ${audit.auditNumber}: weighed ${grossWeight}g, tag ${item.expectedGrossWeight}g`,
+          performedBy: userId,
+          ...reference,
+          session,
+        });
+        item.adjusted = true;
+        weightAdjustments += 1;
+      }
+    }
+
+    audit.status = 'approved';
+    audit.approval = {
+      approvedBy: userId,
+      approvedAt: new Date(),
+      signedOffBy: data.signedOffBy,
+      designation: data.designation,
+      remarks: data.remarks,
+      quantityAdjustments,
+      weightAdjustments,
+    };
+    await audit.save({ session });
+    return audit;
+  });
+
+  cache.deletePattern(`products:${shopId}:*`);
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'approve',
+    module: 'stock_audit',
+    description: `Approved stock audit ${audit.auditNumber}`,
+    level: 'info',
+    status: 'success',
+    metadata: {
+      auditId: audit._id,
+      summary: audit.summary,
+      quantityAdjustments: audit.approval.quantityAdjustments,
+      weightAdjustments: audit.approval.weightAdjustments,
+    },
+  });
+
+  return audit;
+};
+
+export const cancelAudit = async (shopId, auditId, organizationId, data, userId) => {
+  const audit = await loadAudit(shopId, auditId, organizationId);
+  if (!OPEN_STATUSES.includes(audit.status)) {
+    throw new BadRequestError(`Audit is already ${audit.status}`);
+  }
+
+  audit.status = 'cancelled';
+  audit.cancellation = { cancelledAt: new Date(), cancelledBy: userId, reason: data.reason };
+  await audit.save();
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'cancel',
+    module: 'stock_audit',
+    description: `Cancelled stock audit ${audit.auditNumber}`,
+    level: 'warn',
+    status: 'success',
+    metadata: { auditId: audit._id, reason: data.reason },
+  });
+
+  return audit;
+};
+
+// ─── Read ──────────────────────────────────────────────────────────────────────
+
+export const getAudits = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 10;
+
+  const query = { shopId, organizationId, deletedAt: null };
+  if (filters.status) query.status = filters.status;
+  if (filters.auditType) query.auditType = filters.auditType;
+
+  if (filters.startDate || filters.endDate) {
+    query.auditDate = {};
+    if (filters.startDate) query.auditDate.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.auditDate.$lte = endDate;
+    }
+  }
+
+  const [audits, total] = await Promise.all([
+    StockAudit.find(query)
+      .select('-items -counts -extras')
+      .sort(filters.sort || '-auditDate')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockAudit.countDocuments(query),
+  ]);
+
+  return { audits, total, page, limit };
+};
+
+/**
+ * Full audit. result=missing|short|excess|weight_mismatch|matched sirf wahi lines deta hai.
+ */
+export const getAuditById = async (shopId, auditId, organizationId, filters = {}) => {
+  const audit = await StockAudit.findOne({ _id: auditId, shopId, organizationId, deletedAt: null })
+    .populate('startedBy', 'firstName lastName')
+    .populate('submittedBy', 'firstName lastName')
+    .populate('approval.approvedBy', 'firstName lastName')
+    .populate('cancellation.cancelledBy', 'firstName lastName')
+    .lean();
+
+  if (!audit) throw new NotFoundError('Stock audit not found');
+
+  if (filters.result) audit.items = audit.items.filter(item => item.result === filters.result);
+  return audit;
+};
+
+// ─── Report ────────────────────────────────────────────────────────────────────
+
+export const printReport = async (shopId, auditId, organizationId, paperSize = null) => {
+  const audit = await getAuditById(shopId, auditId, organizationId);
+  const shop = await JewelryShop.findById(shopId);
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  return renderTemplatePdf(
+    TEMPLATES.STOCK_AUDIT_REPORT,
+    buildStockAuditReportData({ audit, shop }),
+    paperSize || 'A4'
+  );
+};
@@ -0,0 +1,129 @@
+// FILE: src/api/stock-audit/stockAudit.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const RESULTS = ['matched', 'missing', 'short', 'excess', 'weight_mismatch'];
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const auditId = param('auditId').isMongoId().withMessage('Invalid audit ID format');
+
+export const createAudit = [
+  shopId,
+  body('auditType')
+    .optional()
+    .isIn(['monthly', 'year_end', 'adhoc'])
+    .withMessage('Audit type must be monthly, year_end or adhoc'),
+  body('scope.categoryIds').optional().isArray().withMessage('categoryIds must be an array'),
+  body('scope.categoryIds.*').isMongoId().withMessage('Invalid category ID'),
+  body('scope.metalTypes').optional().isArray().withMessage('metalTypes must be an array'),
+  body('scope.metalTypes.*')
+    .isIn(['gold', 'silver', 'platinum', 'diamond', 'gemstone', 'mixed'])
+    .withMessage('Invalid metal type'),
+  body('weightTolerance')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Weight tolerance must be between 0 and 10 grams')
+    .toFloat(),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const recordCount = [
+  shopId,
+  auditId,
+  body('code').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  body().custom(value => {
+    if (!value?.code && !value?.productId) throw new Error('Either code or productId is required');
+    return true;
+  }),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+  body('grossWeight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Gross weight must be 0 or more')
+    .toFloat(),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  validate,
+];
+
+export const removeCount = [
+  shopId,
+  auditId,
+  param('countId').isMongoId().withMessage('Invalid count ID format'),
+  validate,
+];
+
+export const submitAudit = [
+  shopId,
+  auditId,
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const approveAudit = [
+  shopId,
+  auditId,
+  body('signedOffBy')
+    .trim()
+    .notEmpty()
+    .withMessage('Name of the person signing off is required')
+    .isLength({ max: 100 }),
+  body('designation').optional().isString().trim().isLength({ max: 100 }),
+  body('remarks').optional().isString().isLength({ max: 1000 }),
+  body('adjustQuantities').optional().isBoolean().toBoolean(),
+  body('correctWeights').optional().isBoolean().toBoolean(),
+  validate,
+];
+
+export const cancelAudit = [
+  shopId,
+  auditId,
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const getAudits = [
+  shopId,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['in_progress', 'submitted', 'approved', 'cancelled'])
+    .withMessage('Invalid status'),
+  query('auditType').optional().isIn(['monthly', 'year_end', 'adhoc']),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  validate,
+];
+
+export const getAudit = [
+  shopId,
+  auditId,
+  query('result').optional().isIn(RESULTS).withMessage('Invalid result filter'),
+  validate,
+];
+
+export const reopenAudit = [shopId, auditId, validate];
+
+export const printReport = [
+  shopId,
+  auditId,
+  query('paperSize').optional().isIn(['A4', 'A5']).withMessage('Invalid paper size'),
+  validate,
+];
@@ -0,0 +1,123 @@
+// FILE: src/api/stock-transfer/stockTransfer.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as stockTransferService from './stockTransfer.service.js';
+import { sendSuccess, sendPaginated, sendPDF } from '../../utils/sendResponse.js';
+
+/**
+  POST /api/v1/shops/:shopId/stock-transfers
+ */
+export const createTransfer = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const transfer = await stockTransferService.createTransfer(
+    shopId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 201, 'Stock transfer dispatched successfully', transfer);
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-transfers
+ */
+export const getTransfers = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await stockTransferService.getTransfers(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.transfers,
+    result.page,
+    result.limit,
+    result.total,
+    'Stock transfers fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-transfers/:transferId
+ */
+export const getTransfer = catchAsync(async (req, res) => {
+  const { shopId, transferId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const transfer = await stockTransferService.getTransferById(shopId, transferId, organizationId);
+
+  sendSuccess(res, 200, 'Stock transfer fetched successfully', transfer);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-transfers/:transferId/receive
+ */
+export const receiveTransfer = catchAsync(async (req, res) => {
+  const { shopId, transferId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const transfer = await stockTransferService.receiveTransfer(
+    shopId,
+    transferId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock transfer received successfully', transfer);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-transfers/:transferId/close
+ */
+export const closeTransfer = catchAsync(async (req, res) => {
+  const { shopId, transferId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const transfer = await stockTransferService.closeTransfer(
+    shopId,
+    transferId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock transfer closed successfully', transfer);
+});
+
+/**
+  POST /api/v1/shops/:shopId/stock-transfers/:transferId/cancel
+ */
+export const cancelTransfer = catchAsync(async (req, res) => {
+  const { shopId, transferId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const transfer = await stockTransferService.cancelTransfer(
+    shopId,
+    transferId,
+    organizationId,
+    req.body,
+    req.user._id
+  );
+
+  sendSuccess(res, 200, 'Stock transfer cancelled successfully', transfer);
+});
+
+/**
+  GET /api/v1/shops/:shopId/stock-transfers/:transferId/challan?paperSize=A4
+ */
+export const printChallan = catchAsync(async (req, res) => {
+  const { shopId, transferId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const pdf = await stockTransferService.printChallan(
+    shopId,
+    transferId,
+    organizationId,
+    req.query.paperSize
+  );
+
+  sendPDF(res, pdf, `delivery-challan-${transferId}.pdf`, true);
+});
@@ -0,0 +1,127 @@
+// FILE: src/api/stock-transfer/stockTransfer.routes.js
+// Mounted at: /api/v1/shops/:shopId/stock-transfers
+// :shopId is the shop acting — sender for create / cancel, receiver for receive,
+// either side for list / view / close / challan.
+import express from 'express';
+import { authenticate, requireFeature } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as stockTransferController from './stockTransfer.controller.js';
+import * as stockTransferValidation from './stockTransfer.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const router = express.Router({ mergeParams: true });
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'staff'];
+const MANAGE_ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager'];
+
+router.use(authenticate);
+router.use(requireFeature('multiShop'));
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-transfers
+ * @desc    Create and dispatch a transfer — stock leaves this shop, marked in transit
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/',
+  stockTransferValidation.createTransfer,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.TRANSFER_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.createTransfer
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-transfers
+ * @desc    List transfers (filters: direction, status, hasDiscrepancy, dates, search)
+ * @access  Private
+ */
+router.get(
+  '/',
+  stockTransferValidation.getTransfers,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.getTransfers
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-transfers/:transferId
+ * @desc    Get transfer with items, receipts and closure
+ * @access  Private
+ */
+router.get(
+  '/:transferId',
+  stockTransferValidation.getTransfer,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.getTransfer
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-transfers/:transferId/receive
+ * @desc    Receiving shop confirms received / damaged quantities (partial allowed)
+ * @access  Private
+ */
+router.post(
+  '/:transferId/receive',
+  stockTransferValidation.receiveTransfer,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.TRANSFER_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.receiveTransfer
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-transfers/:transferId/close
+ * @desc    Settle undelivered quantity — return to source or write off
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:transferId/close',
+  stockTransferValidation.closeTransfer,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.TRANSFER_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.closeTransfer
+);
+
+/**
+ * @route   POST /api/v1/shops/:shopId/stock-transfers/:transferId/cancel
+ * @desc    Cancel a transfer nothing was received against — stock back to source
+ * @access  Private (manager and above)
+ */
+router.post(
+  '/:transferId/cancel',
+  stockTransferValidation.cancelTransfer,
+  restrictTo(...MANAGE_ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.TRANSFER_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.cancelTransfer
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/stock-transfers/:transferId/challan
+ * @desc    Delivery challan PDF (inline)
+ * @access  Private
+ */
+router.get(
+  '/:transferId/challan',
+  stockTransferValidation.printChallan,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_INVENTORY),
+  apiRateLimiter,
+  stockTransferController.printChallan
+);
+
+export default router;
@@ -0,0 +1,508 @@
+// FILE: src/api/stock-transfer/stockTransfer.service.js
+// Shop → shop stock transfers within one organization. Dispatch moves stock out of
+// the source shop (TRANSFER_OUT, in transit); the destination confirms receipt, in
+// one go or in parts. Whatever never arrives is closed out — returned to the source
+// or written off — so both shops' movements always add up to what was sent.
+
+import mongoose from 'mongoose';
+import StockTransfer from '../../models/StockTransfer.js';
+import InventoryTransaction from '../../models/InventoryTransaction.js';
+import Product from '../../models/Product.js';
+import JewelryShop from '../../models/Shop.js';
+import {
+  transferStockOut,
+  transferStockIn,
+  returnTransferStock,
+  writeOffTransferStock,
+} from '../inventory/inventory.service.js';
+import { REFERENCE_TYPES, TRANSACTION_TYPES } from '../inventory/inventory.constants.js';
+import { NotFoundError, BadRequestError } from '../../utils/AppError.js';
+import eventLogger from '../../utils/eventLogger.js';
+import { TEMPLATES, renderTemplatePdf, buildDeliveryChallanData } from '../../invoices/renderer.js';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+const shopSnapshot = shop => ({
+  name: shop.name,
+  code: shop.code,
+  address: shop.fullAddress,
+  phone: shop.phone,
+  gstNumber: shop.gstNumber,
+  state: shop.address?.state,
+});
+
+// Abhi tak na receive hua, na damaged aaya, na close me resolve hua
+export const outstandingOf = item =>
+  Math.max(
+    0,
+    item.quantity -
+      (item.receivedQuantity || 0) -
+      (item.damagedQuantity || 0) -
+      (item.returnedQuantity || 0) -
+      (item.lostQuantity || 0)
+  );
+
+// Kuch bhi receive hua aur kuch baaki hai → partially_received; sab resolve → received
+export const deriveTransferStatus = items => {
+  const outstanding = items.reduce((sum, item) => sum + outstandingOf(item), 0);
+  if (outstanding === 0) return 'received';
+
+  const touched = items.some(item => item.quantity !== outstandingOf(item));
+  return touched ? 'partially_received' : 'in_transit';
+};
+
+// Damaged / short / write-off — kuch bhi jo sent ke barabar good condition me nahi aaya
+export const hasDiscrepancy = items =>
+  items.some(item => (item.receivedQuantity || 0) !== item.quantity);
+
+const loadTransfer = async (transferId, organizationId, session = null) => {
+  const transfer = await StockTransfer.findOne({
+    _id: transferId,
+    organizationId,
+    deletedAt: null,
+  }).session(session);
+
+  if (!transfer) throw new NotFoundError('Stock transfer not found');
+  return transfer;
+};
+
+const assertShop = (transfer, shopId, side) => {
+  const expected = side === 'from' ? transfer.fromShopId : transfer.toShopId;
+  if (String(expected) !== String(shopId)) {
+    throw new BadRequestError(
+      side === 'from' ? 'Only the sending shop can do this' : 'Only the receiving shop can do this'
+    );
+  }
+};
+
+const assertOpen = transfer => {
+  if (!['in_transit', 'partially_received'].includes(transfer.status)) {
+    throw new BadRequestError(`Transfer is already ${transfer.status}`);
+  }
+};
+
+// Transit wale TRANSFER_OUT ab settle ho gaye — source ki movement pe bhi status dikhe
+const settleOutboundMovements = (transfer, status, session) =>
+  InventoryTransaction.updateMany(
+    {
+      referenceType: REFERENCE_TYPES.TRANSFER,
+      referenceId: transfer._id,
+      transactionType: TRANSACTION_TYPES.TRANSFER_OUT,
+    },
+    {
+      $set: {
+        'transferDetails.status': status,
+        'transferDetails.receivedDate': status === 'received' ? new Date() : null,
+      },
+    },
+    { session }
+  );
+
+const runInTransaction = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Dispatch ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create + dispatch a transfer from `fromShopId`. Stock leaves the source right away.
+ * @param {Object} data
+ * @param {string} data.toShopId
+ * @param {Array}  data.items - [{ productId, quantity, notes }]
+ */
+export const createTransfer = async (fromShopId, organizationId, data, userId) => {
+  const { toShopId, items, transport = {}, notes, transferDate } = data;
+
+  if (String(fromShopId) === String(toShopId)) {
+    throw new BadRequestError('Source and destination shop must be different');
+  }
+
+  const productIds = items.map(item => String(item.productId));
+  if (new Set(productIds).size !== productIds.length) {
+    throw new BadRequestError('Each product can appear only once in a transfer');
+  }
+
+  const [fromShop, toShop] = await Promise.all([
+    JewelryShop.findOne({ _id: fromShopId, organizationId }),
+    JewelryShop.findOne({ _id: toShopId, organizationId }),
+  ]);
+  if (!fromShop) throw new NotFoundError('Source shop not found');
+  if (!toShop) throw new NotFoundError('Destination shop not found in this organization');
+  if (!toShop.isActive) throw new BadRequestError('Destination shop is inactive');
+
+  const products = await Product.find({ _id: { $in: productIds }, shopId: fromShopId }).lean();
+  const productMap = new Map(products.map(product => [String(product._id), product]));
+
+  const transferItems = items.map(item => {
+    const product = productMap.get(String(item.productId));
+    if (!product) throw new NotFoundError(`Product ${item.productId} not found in source shop`);
+
+    return {
+      productId: product._id,
+      productCode: product.productCode,
+      productName: product.name,
+      huid: product.huid,
+      barcode: product.barcode,
+      metalType: product.metal?.type,
+      purity: product.metal?.purity,
+      grossWeight: product.weight?.grossWeight || 0,
+      netWeight: product.weight?.netWeight || 0,
+      unit: product.stock?.unit || 'piece',
+      unitValue: product.pricing?.costPrice || 0,
+      quantity: item.quantity,
+      notes: item.notes,
+    };
+  });
+
+  const transfer = await runInTransaction(async session => {
+    const transferNumber = await StockTransfer.generateTransferNumber(
+      organizationId,
+      'TRF',
+      session
+    );
+
+    const [created] = await StockTransfer.create(
+      [
+        {
+          organizationId,
+          transferNumber,
+          transferDate: transferDate || new Date(),
+          fromShopId,
+          toShopId,
+          fromShopDetails: shopSnapshot(fromShop),
+          toShopDetails: shopSnapshot(toShop),
+          items: transferItems,
+          transport,
+          notes,
+          dispatchedBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    for (const item of created.items) {
+      await transferStockOut({
+        organizationId,
+        transfer: created,
+        productId: item.productId,
+        quantity: item.quantity,
+        performedBy: userId,
+        session,
+      });
+    }
+
+    return created;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId: fromShopId,
+    action: 'create',
+    module: 'stock_transfer',
+    description: `Dispatched ${transfer.transferNumber} to ${toShop.name} (${transfer.totalQuantity} pcs)`,
+    level: 'info',
+    status: 'success',
+    metadata: { transferId: transfer._id, toShopId },
+  });
+
+  return transfer;
+};
+
+// ─── Receive ───────────────────────────────────────────────────────────────────
+
+/**
+ * Destination confirms what arrived. Partial receipts allowed; call again for the rest.
+ * @param {Array} data.items - [{ itemId, receivedQuantity, damagedQuantity, notes }]
+ */
+export const receiveTransfer = async (shopId, transferId, organizationId, data, userId) => {
+  const transfer = await runInTransaction(async session => {
+    const transfer = await loadTransfer(transferId, organizationId, session);
+    assertShop(transfer, shopId, 'to');
+    assertOpen(transfer);
+
+    const receiptItems = [];
+
+    for (const line of data.items) {
+      const item = transfer.items.id(line.itemId);
+      if (!item) throw new BadRequestError(`Item ${line.itemId} is not on this transfer`);
+
+      const received = line.receivedQuantity || 0;
+      const damaged = line.damagedQuantity || 0;
+      if (received + damaged === 0) continue;
+
+      const outstanding = outstandingOf(item);
+      if (received + damaged > outstanding) {
+        throw new BadRequestError(
+          `${item.productName}: only ${outstanding} unit(s) pending, got ${received + damaged}`
+        );
+      }
+
+      const product = await transferStockIn({
+        organizationId,
+        transfer,
+        item,
+        quantity: received,
+        damagedQuantity: damaged,
+        performedBy: userId,
+        session,
+      });
+
+      item.receivedQuantity += received;
+      item.damagedQuantity += damaged;
+      item.destinationProductId = product._id;
+      receiptItems.push({
+        itemId: item._id,
+        receivedQuantity: received,
+        damagedQuantity: damaged,
+        notes: line.notes,
+      });
+    }
+
+    if (!receiptItems.length) throw new BadRequestError('Nothing to receive');
+
+    transfer.receipts.push({
+      receivedAt: new Date(),
+      receivedBy: userId,
+      items: receiptItems,
+      notes: data.notes,
+    });
+    transfer.status = deriveTransferStatus(transfer.items);
+    transfer.hasDiscrepancy = transfer.items.some(item => item.damagedQuantity > 0);
+
+    if (transfer.status === 'received') {
+      transfer.receivedAt = new Date();
+      await settleOutboundMovements(transfer, 'received', session);
+    }
+
+    await transfer.save({ session });
+    return transfer;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'update',
+    module: 'stock_transfer',
+    description: `Received ${transfer.transferNumber} — ${transfer.status.replace('_', ' ')}`,
+    level: transfer.hasDiscrepancy ? 'warn' : 'info',
+    status: 'success',
+    metadata: { transferId: transfer._id, status: transfer.status },
+  });
+
+  return transfer;
+};
+
+// ─── Close / Cancel ────────────────────────────────────────────────────────────
+
+/**
+ * Settle whatever is still in transit: back to the source shop or written off.
+ * Either shop can close — the sender usually returns, the receiver reports a loss.
+ */
+export const closeTransfer = async (shopId, transferId, organizationId, data, userId) => {
+  const { resolution, reason } = data;
+
+  const transfer = await runInTransaction(async session => {
+    const transfer = await loadTransfer(transferId, organizationId, session);
+    if (![String(transfer.fromShopId), String(transfer.toShopId)].includes(String(shopId))) {
+      throw new NotFoundError('Stock transfer not found');
+    }
+    assertOpen(transfer);
+
+    const note = `${resolution === 'write_off' ? 'Written off' : 'Returned'} on close of ${transfer.transferNumber}${reason ? `: ${reason}` : ''}`;
+
+    for (const item of transfer.items) {
+      const quantity = outstandingOf(item);
+      if (!quantity) continue;
+
+      const params = {
+        organizationId,
+        transfer,
+        item,
+        quantity,
+        performedBy: userId,
+        reason: note,
+        session,
+      };
+
+      if (resolution === 'write_off') {
+        await writeOffTransferStock(params);
+        item.lostQuantity += quantity;
+      } else {
+        await returnTransferStock(params);
+        item.returnedQuantity += quantity;
+      }
+    }
+
+    transfer.status = 'received';
+    transfer.hasDiscrepancy = hasDiscrepancy(transfer.items);
+    transfer.receivedAt = transfer.receivedAt || new Date();
+    transfer.closure = { resolution, closedAt: new Date(), closedBy: userId, reason };
+    await settleOutboundMovements(transfer, 'received', session);
+
+    await transfer.save({ session });
+    return transfer;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'update',
+    module: 'stock_transfer',
+    description: `Closed ${transfer.transferNumber} (${resolution})`,
+    level: 'warn',
+    status: 'success',
+    metadata: { transferId: transfer._id, resolution, reason },
+  });
+
+  return transfer;
+};
+
+// Galat dispatch — kuch receive nahi hua ho tabhi; poora stock source ko wapas
+export const cancelTransfer = async (shopId, transferId, organizationId, data, userId) => {
+  const transfer = await runInTransaction(async session => {
+    const transfer = await loadTransfer(transferId, organizationId, session);
+    assertShop(transfer, shopId, 'from');
+
+    if (transfer.status !== 'in_transit' || transfer.receipts.length) {
+      throw new BadRequestError(
+        'Only transfers with nothing received can be cancelled — close it instead'
+      );
+    }
+
+    for (const item of transfer.items) {
+      await returnTransferStock({
+        organizationId,
+        transfer,
+        item,
+        quantity: item.quantity,
+        performedBy: userId,
+        reason: `Cancelled ${transfer.transferNumber}${data.reason ? `: ${data.reason}` : ''}`,
+        session,
+      });
+      item.returnedQuantity = item.quantity;
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancellation = { cancelledAt: new Date(), cancelledBy: userId, reason: data.reason };
+    await settleOutboundMovements(transfer, 'cancelled', session);
+
+    await transfer.save({ session });
+    return transfer;
+  });
+
+  await eventLogger.logActivity({
+    userId,
+    organizationId,
+    shopId,
+    action: 'cancel',
+    module: 'stock_transfer',
+    description: `Cancelled ${transfer.transferNumber}`,
+    level: 'warn',
+    status: 'success',
+    metadata: { transferId: transfer._id, reason: data.reason },
+  });
+
+  return transfer;
+};
+
+// ─── Read ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Transfers touching this shop. direction: outgoing | incoming | (both)
+ */
+export const getTransfers = async (shopId, organizationId, filters = {}) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 10;
+
+  const query = { organizationId, deletedAt: null };
+
+  if (filters.direction === 'outgoing') query.fromShopId = shopId;
+  else if (filters.direction === 'incoming') query.toShopId = shopId;
+  else query.$or = [{ fromShopId: shopId }, { toShopId: shopId }];
+
+  if (filters.status) query.status = filters.status;
+  if (filters.hasDiscrepancy !== undefined) {
+    query.hasDiscrepancy = String(filters.hasDiscrepancy) === 'true';
+  }
+
+  if (filters.startDate || filters.endDate) {
+    query.transferDate = {};
+    if (filters.startDate) query.transferDate.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.transferDate.$lte = endDate;
+    }
+  }
+
+  if (filters.search) {
+    const searchRegex = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$and = [
+      {
+        $or: [
+          { transferNumber: searchRegex },
+          { 'items.productCode': searchRegex },
+          { 'items.productName': searchRegex },
+          { 'items.huid': searchRegex },
+        ],
+      },
+    ];
+  }
+
+  const [transfers, total] = await Promise.all([
+    StockTransfer.find(query)
+      .select('-receipts')
+      .sort(filters.sort || '-transferDate')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockTransfer.countDocuments(query),
+  ]);
+
+  return { transfers, total, page, limit };
+};
+
+export const getTransferById = async (shopId, transferId, organizationId) => {
+  const transfer = await StockTransfer.findOne({
+    _id: transferId,
+    organizationId,
+    deletedAt: null,
+    $or: [{ fromShopId: shopId }, { toShopId: shopId }],
+  })
+    .populate('dispatchedBy', 'firstName lastName')
+    .populate('receipts.receivedBy', 'firstName lastName')
+    .populate('closure.closedBy', 'firstName lastName')
+    .populate('cancellation.cancelledBy', 'firstName lastName');
+
+  if (!transfer) throw new NotFoundError('Stock transfer not found');
+  return transfer;
+};
+
+// ─── Print ─────────────────────────────────────────────────────────────────────
+
+export const printChallan = async (shopId, transferId, organizationId, paperSize = null) => {
+  const transfer = await getTransferById(shopId, transferId, organizationId);
+  const shop = await JewelryShop.findById(transfer.fromShopId);
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  return renderTemplatePdf(
+    TEMPLATES.DELIVERY_CHALLAN,
+    buildDeliveryChallanData({ transfer, shop }),
+    paperSize || shop.settings?.printSettings?.paperSize
+  );
+};
@@ -0,0 +1,118 @@
+// FILE: src/api/stock-transfer/stockTransfer.validation.js
+import { body, param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const transferId = param('transferId').isMongoId().withMessage('Invalid transfer ID format');
+
+// Body me `shopId` mat bhejo — checkShopAccess body.shopId ko params se pehle padhta hai
+export const createTransfer = [
+  shopId,
+  body('toShopId').isMongoId().withMessage('Valid destination shop ID is required'),
+  body('transferDate').optional().isISO8601().withMessage('Invalid transfer date'),
+  body('items')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Items must be an array of 1-200 products'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+  body('items.*.notes').optional().isString().isLength({ max: 500 }),
+  body('transport.mode')
+    .optional()
+    .isIn(['hand_delivery', 'courier', 'vehicle', 'other'])
+    .withMessage('Invalid transport mode'),
+  body('transport.carrierName').optional().isString().trim().isLength({ max: 100 }),
+  body('transport.vehicleNumber').optional().isString().trim().isLength({ max: 20 }),
+  body('transport.trackingNumber').optional().isString().trim().isLength({ max: 50 }),
+  body('transport.ewayBillNumber').optional().isString().trim().isLength({ max: 20 }),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const receiveTransfer = [
+  shopId,
+  transferId,
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.itemId').isMongoId().withMessage('Valid transfer item ID is required'),
+  body('items.*.receivedQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Received quantity must be 0 or more')
+    .toInt(),
+  body('items.*.damagedQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Damaged quantity must be 0 or more')
+    .toInt(),
+  body('items.*.notes').optional().isString().isLength({ max: 500 }),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  validate,
+];
+
+export const closeTransfer = [
+  shopId,
+  transferId,
+  body('resolution')
+    .isIn(['return_to_source', 'write_off'])
+    .withMessage('Resolution must be return_to_source or write_off'),
+  body('reason')
+    .if(body('resolution').equals('write_off'))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required for a write-off'),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  validate,
+];
+
+export const cancelTransfer = [
+  shopId,
+  transferId,
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const getTransfers = [
+  shopId,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('Direction must be incoming or outgoing'),
+  query('status')
+    .optional()
+    .isIn(['in_transit', 'partially_received', 'received', 'cancelled'])
+    .withMessage('Invalid status'),
+  query('hasDiscrepancy')
+    .optional()
+    .isBoolean()
+    .withMessage('hasDiscrepancy must be true or false'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  validate,
+];
+
+export const getTransfer = [shopId, transferId, validate];
+
+export const printChallan = [
+  shopId,
+  transferId,
+  query('paperSize')
+    .optional()
+    .isIn(['thermal_80mm', 'thermal_58mm', 'A4', 'A5'])
+    .withMessage('Invalid paper size'),
+  validate,
+];
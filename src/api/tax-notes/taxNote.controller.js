@@ -0,0 +1,104 @@
+// FILE: src/api/tax-notes/taxNote.controller.js
+import { catchAsync } from '../middlewares/errorHandler.js';
+import * as taxNoteService from './taxNote.service.js';
+import { sendSuccess, sendPaginated, sendPDF } from '../../utils/sendResponse.js';
+
+// ─── Credit Notes ──────────────────────────────────────────────────────────────
+
+/**
+  GET /api/v1/shops/:shopId/credit-notes
+ */
+export const getCreditNotes = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await taxNoteService.getCreditNotes(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.data,
+    result.pagination.currentPage,
+    result.pagination.limit,
+    result.pagination.totalDocs,
+    'Credit notes fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/credit-notes/:noteId
+ */
+export const getCreditNote = catchAsync(async (req, res) => {
+  const { shopId, noteId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const creditNote = await taxNoteService.getCreditNoteById(shopId, noteId, organizationId);
+
+  sendSuccess(res, 200, 'Credit note fetched successfully', creditNote);
+});
+
+/**
+  GET /api/v1/shops/:shopId/credit-notes/:noteId/print?paperSize=A4
+ */
+export const printCreditNote = catchAsync(async (req, res) => {
+  const { shopId, noteId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const pdf = await taxNoteService.printCreditNote(
+    shopId,
+    noteId,
+    organizationId,
+    req.query.paperSize
+  );
+
+  sendPDF(res, pdf, `credit-note-${noteId}.pdf`, true);
+});
+
+// ─── Debit Notes ───────────────────────────────────────────────────────────────
+
+/**
+  GET /api/v1/shops/:shopId/debit-notes
+ */
+export const getDebitNotes = catchAsync(async (req, res) => {
+  const { shopId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const result = await taxNoteService.getDebitNotes(shopId, organizationId, req.query);
+
+  sendPaginated(
+    res,
+    result.data,
+    result.pagination.currentPage,
+    result.pagination.limit,
+    result.pagination.totalDocs,
+    'Debit notes fetched successfully'
+  );
+});
+
+/**
+  GET /api/v1/shops/:shopId/debit-notes/:noteId
+ */
+export const getDebitNote = catchAsync(async (req, res) => {
+  const { shopId, noteId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const debitNote = await taxNoteService.getDebitNoteById(shopId, noteId, organizationId);
+
+  sendSuccess(res, 200, 'Debit note fetched successfully', debitNote);
+});
+
+/**
+  GET /api/v1/shops/:shopId/debit-notes/:noteId/print?paperSize=A4
+ */
+export const printDebitNote = catchAsync(async (req, res) => {
+  const { shopId, noteId } = req.params;
+  const organizationId = req.user.organizationId;
+
+  const pdf = await taxNoteService.printDebitNote(
+    shopId,
+    noteId,
+    organizationId,
+    req.query.paperSize
+  );
+
+  sendPDF(res, pdf, `debit-note-${noteId}.pdf`, true);
+});
@@ -0,0 +1,113 @@
+// FILE: src/api/tax-notes/taxNote.routes.js
+// Mounted at: /api/v1/shops/:shopId/credit-notes  and  /api/v1/shops/:shopId/debit-notes
+// Notes are issued automatically by sale return / cancel and purchase return — read + print only here.
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { restrictTo } from '../middlewares/restrictTo.js';
+import { checkShopAccess, checkPermission } from '../middlewares/checkShopAccess.js';
+import { apiRateLimiter } from '../middlewares/rateLimiter.js';
+import * as taxNoteController from './taxNote.controller.js';
+import * as taxNoteValidation from './taxNote.validation.js';
+import { PERMISSIONS } from '../../config/permission.constants.js';
+
+const ROLES = ['super_admin', 'org_admin', 'shop_admin', 'manager', 'staff', 'accountant'];
+
+// ─── Credit Notes ──────────────────────────────────────────────────────────────
+export const creditNoteRouter = express.Router({ mergeParams: true });
+
+creditNoteRouter.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/credit-notes
+ * @desc    List credit notes (filters: status, reason, customerId, saleId, dates, search)
+ * @access  Private
+ */
+creditNoteRouter.get(
+  '/',
+  taxNoteValidation.getCreditNotes,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_SALES),
+  apiRateLimiter,
+  taxNoteController.getCreditNotes
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/credit-notes/:noteId
+ * @desc    Get credit note with items and GST reversal
+ * @access  Private
+ */
+creditNoteRouter.get(
+  '/:noteId',
+  taxNoteValidation.getNote,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_SALES),
+  apiRateLimiter,
+  taxNoteController.getCreditNote
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/credit-notes/:noteId/print
+ * @desc    Credit note PDF (inline)
+ * @access  Private
+ */
+creditNoteRouter.get(
+  '/:noteId/print',
+  taxNoteValidation.printNote,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.PRINT_INVOICE),
+  apiRateLimiter,
+  taxNoteController.printCreditNote
+);
+
+// ─── Debit Notes ───────────────────────────────────────────────────────────────
+export const debitNoteRouter = express.Router({ mergeParams: true });
+
+debitNoteRouter.use(authenticate);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/debit-notes
+ * @desc    List debit notes (filters: status, supplierId, purchaseId, dates, search)
+ * @access  Private
+ */
+debitNoteRouter.get(
+  '/',
+  taxNoteValidation.getDebitNotes,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_PURCHASES),
+  apiRateLimiter,
+  taxNoteController.getDebitNotes
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/debit-notes/:noteId
+ * @desc    Get debit note with items and GST reversal
+ * @access  Private
+ */
+debitNoteRouter.get(
+  '/:noteId',
+  taxNoteValidation.getNote,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_PURCHASES),
+  apiRateLimiter,
+  taxNoteController.getDebitNote
+);
+
+/**
+ * @route   GET /api/v1/shops/:shopId/debit-notes/:noteId/print
+ * @desc    Debit note PDF (inline)
+ * @access  Private
+ */
+debitNoteRouter.get(
+  '/:noteId/print',
+  taxNoteValidation.printNote,
+  restrictTo(...ROLES),
+  checkShopAccess,
+  checkPermission(PERMISSIONS.VIEW_PURCHASES),
+  apiRateLimiter,
+  taxNoteController.printDebitNote
+);
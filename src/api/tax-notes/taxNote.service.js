@@ -0,0 +1,282 @@
+// FILE: src/api/tax-notes/taxNote.service.js
+// Credit notes (sale return / cancellation) and debit notes (purchase return).
+// Notes are issued from sales.service / purchase.service inside their transaction;
+// this module numbers them, reverses GST per item, and lists / prints them.
+
+import CreditNote from '../../models/CreditNote.js';
+import DebitNote from '../../models/DebitNote.js';
+import JewelryShop from '../../models/Shop.js';
+import { NotFoundError, BadRequestError } from '../../utils/AppError.js';
+import { splitGst } from '../../utils/gst.js';
+import { paginate } from '../../utils/pagination.js';
+import { TEMPLATES, renderTemplatePdf, buildTaxNoteData } from '../../invoices/renderer.js';
+
+// Draft / pending sales and estimates never went out as tax invoices — nothing to reverse
+export const isInvoicedSale = sale =>
+  !['draft', 'pending'].includes(sale.status) && sale.saleType !== 'estimate';
+
+// ─── Item Builder ──────────────────────────────────────────────────────────────
+
+/**
+ * Copy bill items onto a note, keeping the original per-unit taxable value and GST.
+ * @param {Array} sourceItems - Sale.items or Purchase.items
+ * @param {Array|null} selection - [{ itemId | productId, quantity }], empty = everything
+ * @param {Object} options
+ * @param {boolean} options.isInterState - original bill's supply type
+ * @param {string} options.refField - 'saleItemId' | 'purchaseItemId'
+ */
+export const buildNoteItems = (sourceItems, selection, { isInterState = false, refField }) => {
+  const picks = selection?.length
+    ? selection.map(pick => {
+        const item = sourceItems.find(source =>
+          pick.itemId
+            ? String(source._id) === String(pick.itemId)
+            : pick.productId && String(source.productId) === String(pick.productId)
+        );
+        if (!item) {
+          throw new BadRequestError(
+            `Item ${pick.itemId || pick.productId} is not on the original bill`
+          );
+        }
+
+        const quantity = pick.quantity ?? item.quantity;
+        if (quantity < 1 || quantity > item.quantity) {
+          throw new BadRequestError(
+            `Return quantity for ${item.productName} must be between 1 and ${item.quantity}`
+          );
+        }
+        return { item, quantity };
+      })
+    : sourceItems.map(item => ({ item, quantity: item.quantity }));
+
+  return picks.map(({ item, quantity }) => {
+    const totalGst = item.totalGst ?? item.gstAmount ?? 0;
+
+    return {
+      [refField]: item._id,
+      productId: item.productId || null,
+      productName: item.productName,
+      productCode: item.productCode,
+      hsnCode: item.hsnCode,
+      metalType: item.metalType,
+      purity: item.purity,
+      huid: item.huid,
+      quantity,
+      netWeight: item.netWeight || 0,
+      ratePerGram: item.ratePerGram || 0,
+      taxableAmount: item.taxableAmount || 0,
+      gstPercentage: item.gstPercentage || 0,
+      ...splitGst(totalGst, isInterState),
+      totalGst,
+    };
+  });
+};
+
+const notePrefix = async (shopId, field, fallback, session) => {
+  const shop = await JewelryShop.findById(shopId)
+    .select(`settings.${field}`)
+    .session(session)
+    .lean();
+  return shop?.settings?.[field] || fallback;
+};
+
+// ─── Issue ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Credit note against a sale. Call inside the return / cancel transaction.
+ * @param {Object} sale - Sale document (pre-save GST split already applied)
+ */
+export const issueCreditNote = async (
+  sale,
+  {
+    reason,
+    reasonText,
+    itemsToReturn = null,
+    refundAmount = 0,
+    refundMode = null,
+    userId,
+    session = null,
+  }
+) => {
+  const prefix = await notePrefix(sale.shopId, 'creditNotePrefix', 'CN', session);
+  const creditNoteNumber = await CreditNote.generateCreditNoteNumber(sale.shopId, prefix, session);
+
+  const [creditNote] = await CreditNote.create(
+    [
+      {
+        organizationId: sale.organizationId,
+        shopId: sale.shopId,
+        creditNoteNumber,
+        reason,
+        reasonText,
+        saleId: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        invoiceDate: sale.saleDate,
+        invoiceValue: sale.financials?.grandTotal || 0,
+        customerId: sale.customerId?._id || sale.customerId,
+        customerDetails: sale.customerDetails,
+        placeOfSupply: sale.placeOfSupply,
+        isInterState: sale.isInterState,
+        items: buildNoteItems(sale.items, itemsToReturn, {
+          isInterState: sale.isInterState,
+          refField: 'saleItemId',
+        }),
+        refundAmount: refundAmount || 0,
+        refundMode,
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  return creditNote;
+};
+
+/**
+ * Debit note against a purchase return — always the full bill.
+ * @param {Object} purchase - Purchase document
+ */
+export const issueDebitNote = async (purchase, { reasonText, userId, session = null }) => {
+  const prefix = await notePrefix(purchase.shopId, 'debitNotePrefix', 'DN', session);
+  const debitNoteNumber = await DebitNote.generateDebitNoteNumber(purchase.shopId, prefix, session);
+
+  const [debitNote] = await DebitNote.create(
+    [
+      {
+        organizationId: purchase.organizationId,
+        shopId: purchase.shopId,
+        debitNoteNumber,
+        reason: 'purchase_return',
+        reasonText,
+        purchaseId: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        purchaseDate: purchase.purchaseDate,
+        supplierInvoiceNumber: purchase.supplierInvoice?.invoiceNumber,
+        supplierInvoiceDate: purchase.supplierInvoice?.invoiceDate,
+        supplierId: purchase.supplierId?._id || purchase.supplierId,
+        supplierDetails: purchase.supplierDetails,
+        placeOfSupply: purchase.placeOfSupply,
+        isInterState: purchase.isInterState,
+        items: buildNoteItems(purchase.items, null, {
+          isInterState: purchase.isInterState,
+          refField: 'purchaseItemId',
+        }),
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  return debitNote;
+};
+
+// ─── Read ──────────────────────────────────────────────────────────────────────
+
+const buildNoteQuery = (shopId, organizationId, filters, partyField, billField) => {
+  const query = { shopId, organizationId, deletedAt: null };
+
+  if (filters.status) query.status = filters.status;
+  if (filters.reason) query.reason = filters.reason;
+  if (filters[partyField]) query[partyField] = filters[partyField];
+  if (filters[billField]) query[billField] = filters[billField];
+
+  if (filters.startDate || filters.endDate) {
+    query.noteDate = {};
+    if (filters.startDate) query.noteDate.$gte = new Date(filters.startDate);
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.noteDate.$lte = endDate;
+    }
+  }
+
+  return query;
+};
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const paginationOptions = filters => ({
+  page: parseInt(filters.page) || 1,
+  limit: parseInt(filters.limit) || 10,
+  sort: filters.sort || '-noteDate',
+});
+
+export const getCreditNotes = (shopId, organizationId, filters = {}) => {
+  const query = buildNoteQuery(shopId, organizationId, filters, 'customerId', 'saleId');
+  if (filters.search) {
+    const searchRegex = new RegExp(escapeRegex(filters.search), 'i');
+    query.$or = [
+      { creditNoteNumber: searchRegex },
+      { invoiceNumber: searchRegex },
+      { 'customerDetails.customerName': searchRegex },
+    ];
+  }
+  return paginate(CreditNote, query, paginationOptions(filters));
+};
+
+export const getDebitNotes = (shopId, organizationId, filters = {}) => {
+  const query = buildNoteQuery(shopId, organizationId, filters, 'supplierId', 'purchaseId');
+  if (filters.search) {
+    const searchRegex = new RegExp(escapeRegex(filters.search), 'i');
+    query.$or = [
+      { debitNoteNumber: searchRegex },
+      { purchaseNumber: searchRegex },
+      { 'supplierDetails.supplierName': searchRegex },
+    ];
+  }
+  return paginate(DebitNote, query, paginationOptions(filters));
+};
+
+export const getCreditNoteById = async (shopId, creditNoteId, organizationId) => {
+  const creditNote = await CreditNote.findOne({
+    _id: creditNoteId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  })
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+
+  if (!creditNote) throw new NotFoundError('Credit note not found');
+  return creditNote;
+};
+
+export const getDebitNoteById = async (shopId, debitNoteId, organizationId) => {
+  const debitNote = await DebitNote.findOne({
+    _id: debitNoteId,
+    shopId,
+    organizationId,
+    deletedAt: null,
+  })
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+
+  if (!debitNote) throw new NotFoundError('Debit note not found');
+  return debitNote;
+};
+
+// ─── Print ─────────────────────────────────────────────────────────────────────
+
+export const printCreditNote = async (shopId, creditNoteId, organizationId, paperSize = null) => {
+  const creditNote = await getCreditNoteById(shopId, creditNoteId, organizationId);
+  const shop = await JewelryShop.findById(shopId).lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  return renderTemplatePdf(
+    TEMPLATES.TAX_NOTE,
+    buildTaxNoteData({ note: creditNote, type: 'credit', shop }),
+    paperSize || shop.settings?.printSettings?.paperSize
+  );
+};
+
+export const printDebitNote = async (shopId, debitNoteId, organizationId, paperSize = null) => {
+  const debitNote = await getDebitNoteById(shopId, debitNoteId, organizationId);
+  const shop = await JewelryShop.findById(shopId).lean();
+  if (!shop) throw new NotFoundError('Shop not found');
+
+  return renderTemplatePdf(
+    TEMPLATES.TAX_NOTE,
+    buildTaxNoteData({ note: debitNote, type: 'debit', shop }),
+    paperSize || shop.settings?.printSettings?.paperSize
+  );
+};
@@ -0,0 +1,60 @@
+// FILE: src/api/tax-notes/taxNote.validation.js
+import { param, query, validationResult } from 'express-validator';
+import { sendValidationError, formatValidationErrors } from '../../utils/sendResponse.js';
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, formatValidationErrors(errors.array()));
+  }
+  next();
+};
+
+const shopId = param('shopId').isMongoId().withMessage('Invalid shop ID format');
+const noteId = param('noteId').isMongoId().withMessage('Invalid note ID format');
+
+const listFilters = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['issued', 'cancelled'])
+    .withMessage('Status must be issued or cancelled'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+export const getCreditNotes = [
+  shopId,
+  ...listFilters,
+  query('reason')
+    .optional()
+    .isIn(['sale_return', 'sale_cancellation'])
+    .withMessage('Invalid reason'),
+  query('customerId').optional().isMongoId().withMessage('Invalid customer ID'),
+  query('saleId').optional().isMongoId().withMessage('Invalid sale ID'),
+  validate,
+];
+
+export const getDebitNotes = [
+  shopId,
+  ...listFilters,
+  query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID'),
+  query('purchaseId').optional().isMongoId().withMessage('Invalid purchase ID'),
+  validate,
+];
+
+export const getNote = [shopId, noteId, validate];
+
+export const printNote = [
+  shopId,
+  noteId,
+  query('paperSize')
+    .optional()
+    .isIn(['thermal_80mm', 'thermal_58mm', 'A4', 'A5'])
+    .withMessage('Invalid paper size'),
+  validate,
+];
@@ -6,7 +6,12 @@ import './listeners/ledger.listener.js';
 import './listeners/reference.listener.js';
 import './listeners/customer.listener.js';
 import './listeners/email.listener.js';
+import './listeners/notification.listener.js';
+import './listeners/scheme.listener.js';
 import './listeners/payment.listener.js';
+import './listeners/repricing.listener.js';
+import './listeners/girviRisk.listener.js';
+import './listeners/oldGold.listener.js';
  
 /**
  * Create Express Application
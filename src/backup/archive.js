@@ -0,0 +1,203 @@
+// FILE: src/backup/archive.js
+// Backup archive = gzip kiya hua ustar (.tar.gz) — `tar xzf` se bhi khul jaata hai.
+// Likhna aur padhna dono stream me, taaki badi collection memory me na aaye.
+// Har file ka sha256 manifest me jaata hai; restore se pehle verifyExtracted wahi dobara
+// gin ke milata hai.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { BadRequestError } from '../utils/AppError.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+const BLOCK = 512;
+
+// Archive ke andar sirf seedhe relative naam — ../ ya absolute path se bahar likhna band
+const SAFE_NAME = /^[\w.-]+(\/[\w.-]+)*$/;
+
+const isSafeName = name =>
+  SAFE_NAME.test(name) && !name.split('/').some(part => part === '.' || part === '..');
+
+const padding = size => (BLOCK - (size % BLOCK)) % BLOCK;
+
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += header[i];
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+
+  return header;
+};
+
+const parseHeader = header => {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+  const stored = parseInt(header.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8);
+  if (stored !== sum)
+    throw new BadRequestError('Backup archive is corrupted (bad header checksum)');
+
+  return {
+    name: header.toString('utf8', 0, 100).replace(/\0.*$/, ''),
+    size: parseInt(header.toString('ascii', 124, 136).replace(/\0.*$/, '').trim() || '0', 8),
+    type: String.fromCharCode(header[156] || 48),
+  };
+};
+
+export const sha256File = async filePath => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+/**
+ * Disk ki files ko ek .tar.gz me likho, diye gaye order me.
+ * @param {string} filePath - banne wala archive
+ * @param {Array<{ name: string, path: string }>} entries - archive me naam + disk ka path
+ */
+export const writeArchive = async (filePath, entries) => {
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(filePath);
+  gzip.pipe(out);
+
+  const put = async chunk => {
+    if (!gzip.write(chunk)) await once(gzip, 'drain');
+  };
+
+  for (const entry of entries) {
+    if (!isSafeName(entry.name) || Buffer.byteLength(entry.name) > 100) {
+      throw new BadRequestError(`Invalid archive entry name: ${entry.name}`);
+    }
+
+    const { size, mtimeMs } = await fs.promises.stat(entry.path);
+    await put(tarHeader(entry.name, size, mtimeMs));
+    for await (const chunk of fs.createReadStream(entry.path)) await put(chunk);
+    await put(Buffer.alloc(padding(size)));
+  }
+
+  // Archive ka end — do khaali block
+  await put(Buffer.alloc(BLOCK * 2));
+  gzip.end();
+  await finished(out);
+};
+
+/**
+ * .tar.gz ko folder me kholo. Sirf regular files; naam folder se bahar jaaye to ruk jao.
+ * @returns {Promise<Array<{ name, path, size }>>}
+ */
+export const extractArchive = async (filePath, destDir) => {
+  const files = [];
+  let buffer = Buffer.alloc(0);
+  let current = null;
+  let ended = false;
+
+  const closeCurrent = async () => {
+    if (current.out) {
+      current.out.end();
+      await finished(current.out);
+    }
+    current = null;
+  };
+
+  const input = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  input.on('error', error => gunzip.destroy(error));
+  input.pipe(gunzip);
+
+  try {
+    for await (const chunk of gunzip) {
+      if (ended) continue;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!ended) {
+        if (!current) {
+          if (buffer.length < BLOCK) break;
+          const header = buffer.subarray(0, BLOCK);
+          buffer = buffer.subarray(BLOCK);
+
+          if (header.every(byte => byte === 0)) {
+            ended = true;
+            break;
+          }
+
+          const { name, size, type } = parseHeader(header);
+          if (type === '5') continue;
+          if (type !== '0' || !isSafeName(name)) {
+            throw new BadRequestError(`Unexpected entry in backup archive: ${name}`);
+          }
+
+          const target = path.join(destDir, name);
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          current = { remaining: size, pad: padding(size), out: fs.createWriteStream(target) };
+          files.push({ name, path: target, size });
+          continue;
+        }
+
+        if (current.remaining > 0) {
+          if (!buffer.length) break;
+          const part = buffer.subarray(0, current.remaining);
+          buffer = buffer.subarray(part.length);
+          current.remaining -= part.length;
+          if (!current.out.write(part)) await once(current.out, 'drain');
+          continue;
+        }
+
+        if (buffer.length < current.pad) break;
+        buffer = buffer.subarray(current.pad);
+        await closeCurrent();
+      }
+    }
+  } catch (error) {
+    if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+      throw new BadRequestError('Backup archive is not a valid .tar.gz file');
+    }
+    throw error;
+  } finally {
+    input.destroy();
+    if (current?.out) current.out.destroy();
+  }
+
+  if (current || !ended) throw new BadRequestError('Backup archive is truncated');
+
+  return files;
+};
+
+/**
+ * Khule hue archive ka manifest padho aur har file ka sha256 / size milao.
+ * @returns {Promise<Object>} manifest
+ */
+export const verifyExtracted = async files => {
+  const manifestEntry = files.find(file => file.name === MANIFEST_FILE);
+  if (!manifestEntry) throw new BadRequestError('Backup archive has no manifest');
+
+  const manifest = JSON.parse(await fs.promises.readFile(manifestEntry.path, 'utf8'));
+  const byName = new Map(files.map(file => [file.name, file]));
+
+  for (const entry of manifest.collections || []) {
+    const file = byName.get(entry.file);
+    if (!file) throw new BadRequestError(`Backup archive is missing ${entry.file}`);
+    if (file.size !== entry.bytes || (await sha256File(file.path)) !== entry.sha256) {
+      throw new BadRequestError(`Checksum mismatch for ${entry.file} — archive is corrupted`);
+    }
+  }
+
+  return manifest;
+};
+
+export default { MANIFEST_FILE, sha256File, writeArchive, extractArchive, verifyExtracted };
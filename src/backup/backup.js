@@ -0,0 +1,434 @@
+// FILE: src/backup/backup.js
+// Backup / restore. Do tarah ke archive:
+//   full          db ki har collection — scripts/backup.js se, retention ke saath
+//   organization  ek tenant ka data (tenantCollections.js), users ke login secrets ke bina —
+//                 org admin ka export bhi yahi
+// Documents Extended JSON (canonical) me, ek collection ek .jsonl — ObjectId / Date /
+// Decimal128 jaise ke taise wapas aate hain. Restore seedha driver se hota hai: mongoose
+// hooks (numbering, stock, ledger events) dobara nahi chalte.
+//
+// Restore:
+//   full                         sirf khaali database me
+//   organization                 wahi IDs — target me ye organization nahi honi chahiye
+//   organization + remap         har document ko naya _id, aur archive ke andar ke saare
+//                                references usi hisaab se; bahar ke (global category,
+//                                super admin) jaise ke taise
+// Beech me fail hua to jo daala tha woh hata dete hain.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import mongoose from 'mongoose';
+import {
+  MANIFEST_FILE,
+  sha256File,
+  writeArchive,
+  extractArchive,
+  verifyExtracted,
+} from './archive.js';
+import { TENANT_COLLECTIONS, tenantFilter, tenantProjection } from './tenantCollections.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+const { ObjectId } = mongoose.mongo;
+
+export const ARCHIVE_FORMAT = 'karat-track-backup';
+export const ARCHIVE_VERSION = 1;
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FULL_BACKUP_NAME = /^full_(\d{8})-(\d{6})\.tar\.gz$/;
+
+export const backupRoot = () => path.resolve(process.env.BACKUP_DIR || 'backups');
+
+const db = () => mongoose.connection.db;
+
+// 2026-10-19T17:06:08Z → 20261019-170608 (UTC)
+const stamp = date => date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+const isObjectId = value => value?._bsontype === 'ObjectId';
+
+const withTempDir = async (prefix, fn) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), prefix));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const readDocuments = async function* (filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line) yield EJSON.parse(line, { relaxed: false });
+  }
+};
+
+// ─── ID remapping ──────────────────────────────────────────────────────────────
+
+/**
+ * Document me jahan bhi map wala ObjectId ho (kitna bhi andar), naya lagao.
+ * Date / Decimal128 / Binary jaise values ko nahi chhedte.
+ */
+export const remapIds = (value, idMap) => {
+  if (isObjectId(value)) return idMap.get(value.toHexString()) || value;
+  if (Array.isArray(value)) return value.map(item => remapIds(item, idMap));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = remapIds(value[key], idMap);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+// Counter ka naam `invoice_<shopId>` — string ke andar wali ID bhi badalni hai
+export const remapIdStrings = (text, idMap) =>
+  typeof text === 'string'
+    ? text.replace(/[0-9a-f]{24}/g, hex => idMap.get(hex)?.toHexString() || hex)
+    : text;
+
+// ─── Backup ────────────────────────────────────────────────────────────────────
+
+const dumpCollection = async (collection, filter, projection, filePath) => {
+  const out = fs.createWriteStream(filePath);
+  const hash = crypto.createHash('sha256');
+  let documents = 0;
+  let bytes = 0;
+
+  for await (const doc of db().collection(collection).find(filter, { projection })) {
+    const line = `${EJSON.stringify(doc, { relaxed: false })}\n`;
+    hash.update(line);
+    bytes += Buffer.byteLength(line);
+    documents++;
+    if (!out.write(line)) await once(out, 'drain');
+  }
+
+  out.end();
+  await finished(out);
+  return { documents, bytes, sha256: hash.digest('hex') };
+};
+
+const collectionsToDump = async organizationId => {
+  if (!organizationId) {
+    const list = await db().listCollections({}, { nameOnly: true }).toArray();
+    return {
+      organization: null,
+      collections: list
+        .map(item => item.name)
+        .filter(name => !name.startsWith('system.'))
+        .sort()
+        .map(collection => ({ collection, filter: {}, projection: {} })),
+    };
+  }
+
+  const orgId = new ObjectId(String(organizationId));
+  const organization = await db()
+    .collection('organizations')
+    .findOne({ _id: orgId }, { projection: { name: 1 } });
+  if (!organization) throw new NotFoundError('Organization not found');
+
+  const shopIds = await db().collection('jewelryshops').distinct('_id', { organizationId: orgId });
+
+  return {
+    organization,
+    collections: TENANT_COLLECTIONS.map(entry => ({
+      collection: entry.collection,
+      filter: tenantFilter(entry, { organizationId: orgId, shopIds }),
+      projection: tenantProjection(entry),
+      idStrings: entry.idStrings,
+      omitted: entry.omit,
+    })),
+  };
+};
+
+/**
+ * Archive banao — organizationId diya to sirf us tenant ka, warna poora database.
+ * @param {{ organizationId?, dir? }} options - dir: archive kahan rakhna hai
+ * @returns {Promise<{ fileName, filePath, size, sha256, manifest }>}
+ */
+export const createBackup = async ({ organizationId = null, dir } = {}) => {
+  const createdAt = new Date();
+  const kind = organizationId ? 'organization' : 'full';
+  const fileName = organizationId
+    ? `org_${organizationId}_${stamp(createdAt)}.tar.gz`
+    : `full_${stamp(createdAt)}.tar.gz`;
+  const targetDir = dir || path.join(backupRoot(), kind === 'full' ? 'full' : 'organizations');
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  return withTempDir('backup-', async tmp => {
+    const { organization, collections } = await collectionsToDump(organizationId);
+    const entries = [];
+    const dumped = [];
+
+    for (const { collection, filter, projection, idStrings, omitted } of collections) {
+      const file = `collections/${collection}.jsonl`;
+      const filePath = path.join(tmp, `${collection}.jsonl`);
+      const stats = await dumpCollection(collection, filter, projection, filePath);
+
+      entries.push({ name: file, path: filePath });
+      dumped.push({
+        name: collection,
+        file,
+        ...stats,
+        ...(idStrings ? { idStrings } : {}),
+        ...(omitted ? { omitted } : {}),
+      });
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      kind,
+      organizationId: organization ? String(organization._id) : null,
+      organizationName: organization?.name || null,
+      database: db().databaseName,
+      createdAt,
+      documents: dumped.reduce((sum, entry) => sum + entry.documents, 0),
+      collections: dumped,
+    };
+
+    const manifestPath = path.join(tmp, MANIFEST_FILE);
+    await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    entries.push({ name: MANIFEST_FILE, path: manifestPath });
+
+    // .partial se rename — aadha likha archive list / prune me kabhi nahi dikhta
+    const filePath = path.join(targetDir, fileName);
+    await writeArchive(`${filePath}.partial`, entries);
+    await fs.promises.rename(`${filePath}.partial`, filePath);
+
+    const { size } = await fs.promises.stat(filePath);
+    logger.info(`Backup written: ${filePath}`, { kind, documents: manifest.documents, size });
+
+    return { fileName, filePath, size, sha256: await sha256File(filePath), manifest };
+  });
+};
+
+// ─── Verify / restore ──────────────────────────────────────────────────────────
+
+const openArchive = async (archivePath, tmp) => {
+  const manifest = await verifyExtracted(await extractArchive(archivePath, tmp));
+
+  if (manifest.format !== ARCHIVE_FORMAT) throw new BadRequestError('Not a backup archive');
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new BadRequestError(
+      `Backup archive version ${manifest.version} is newer than this release supports`
+    );
+  }
+  return manifest;
+};
+
+/**
+ * Archive khol ke har file ka checksum milao — kuch likhta nahi
+ */
+export const verifyBackup = archivePath =>
+  withTempDir('verify-', tmp => openArchive(archivePath, tmp));
+
+const assertRestorable = async (manifest, remap) => {
+  if (manifest.kind === 'full') {
+    if (remap) {
+      throw new BadRequestError(
+        'Full backups restore as they are — remap works with organization archives'
+      );
+    }
+    for (const { name } of manifest.collections) {
+      if (await db().collection(name).countDocuments({}, { limit: 1 })) {
+        throw new ConflictError(
+          `Database is not empty (${name} has documents) — full backups restore only into an empty database`
+        );
+      }
+    }
+    return;
+  }
+
+  if (!remap) {
+    const exists = await db()
+      .collection('organizations')
+      .countDocuments({ _id: new ObjectId(manifest.organizationId) }, { limit: 1 });
+    if (exists) {
+      throw new ConflictError(
+        'This organization already exists in the database — restore with remap to load it as a new tenant'
+      );
+    }
+  }
+};
+
+// Pehla pass: archive ke har _id ke liye naya ObjectId
+const buildIdMap = async (manifest, tmp) => {
+  const idMap = new Map();
+  for (const entry of manifest.collections) {
+    for await (const doc of readDocuments(path.join(tmp, entry.file))) {
+      if (isObjectId(doc._id)) idMap.set(doc._id.toHexString(), new ObjectId());
+    }
+  }
+  return idMap;
+};
+
+const insertBatch = async (collection, docs) => {
+  try {
+    await db().collection(collection).insertMany(docs, { ordered: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(
+        `Restore stopped on ${collection}: duplicate key ${JSON.stringify(error.keyValue || {})}`
+      );
+    }
+    throw error;
+  }
+};
+
+const loadCollection = async (entry, filePath, idMap, touched) => {
+  const record = { collection: entry.name, ids: [] };
+  touched.push(record);
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    await insertBatch(entry.name, batch);
+    record.ids.push(...batch.map(doc => doc._id));
+    batch = [];
+  };
+
+  for await (const raw of readDocuments(filePath)) {
+    let doc = raw;
+    if (idMap) {
+      doc = remapIds(raw, idMap);
+      (entry.idStrings || []).forEach(field => {
+        doc[field] = remapIdStrings(doc[field], idMap);
+      });
+    }
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return record.ids.length;
+};
+
+const rollback = async touched => {
+  for (const { collection, ids } of touched.reverse()) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      await db()
+        .collection(collection)
+        .deleteMany({ _id: { $in: ids.slice(i, i + BATCH_SIZE) } });
+    }
+  }
+};
+
+/**
+ * Archive ko current database me load karo.
+ * @param {string} archivePath
+ * @param {{ remap?: boolean }} options - remap: organization ko naye IDs ke saath (naya tenant)
+ * @returns {Promise<{ kind, organizationId, remapped, documents, collections }>}
+ */
+export const restoreBackup = (archivePath, { remap = false } = {}) =>
+  withTempDir('restore-', async tmp => {
+    const manifest = await openArchive(archivePath, tmp);
+    await assertRestorable(manifest, remap);
+
+    const idMap = remap ? await buildIdMap(manifest, tmp) : null;
+    const touched = [];
+    const collections = [];
+
+    try {
+      for (const entry of manifest.collections) {
+        const documents = await loadCollection(entry, path.join(tmp, entry.file), idMap, touched);
+        collections.push({ name: entry.name, documents });
+      }
+    } catch (error) {
+      logger.error('Restore failed, removing partially restored documents', {
+        archive: archivePath,
+        error: error.message,
+      });
+      await rollback(touched);
+      throw error;
+    }
+
+    const organizationId =
+      manifest.organizationId && idMap
+        ? idMap.get(manifest.organizationId)?.toHexString() || manifest.organizationId
+        : manifest.organizationId;
+
+    logger.info(`Backup restored: ${archivePath}`, { kind: manifest.kind, organizationId, remap });
+
+    return {
+      kind: manifest.kind,
+      organizationId,
+      remapped: Boolean(idMap),
+      documents: collections.reduce((sum, entry) => sum + entry.documents, 0),
+      collections,
+    };
+  });
+
+// ─── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * Kaunse full backups hatane hain — sabse naye `keep` rakho aur / ya `keepDays` se
+ * purane hatao. Sabse naya kabhi nahi hat-ta.
+ * @param {Array<{ name, createdAt: Date }>} backups
+ */
+export const expiredBackups = (backups, { keep, keepDays, now = new Date() } = {}) =>
+  [...backups]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter(
+      (backup, index) =>
+        index > 0 &&
+        ((keep && index >= keep) || (keepDays && now - backup.createdAt > keepDays * DAY_MS))
+    );
+
+export const listBackups = async (dir = path.join(backupRoot(), 'full')) => {
+  const names = await fs.promises.readdir(dir).catch(() => []);
+
+  const backups = await Promise.all(
+    names
+      .map(name => ({ name, match: name.match(FULL_BACKUP_NAME) }))
+      .filter(({ match }) => match)
+      .map(async ({ name, match }) => {
+        const [date, time] = [match[1], match[2]];
+        const filePath = path.join(dir, name);
+        const { size } = await fs.promises.stat(filePath);
+        return {
+          name,
+          path: filePath,
+          size,
+          createdAt: new Date(
+            Date.UTC(
+              +date.slice(0, 4),
+              +date.slice(4, 6) - 1,
+              +date.slice(6, 8),
+              +time.slice(0, 2),
+              +time.slice(2, 4),
+              +time.slice(4, 6)
+            )
+          ),
+        };
+      })
+  );
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const pruneBackups = async ({ keep, keepDays, dir, now } = {}) => {
+  const expired = expiredBackups(await listBackups(dir), { keep, keepDays, now });
+  for (const backup of expired) await fs.promises.rm(backup.path, { force: true });
+  return expired;
+};
+
+export default {
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  listBackups,
+  pruneBackups,
+  expiredBackups,
+  remapIds,
+};
@@ -0,0 +1,108 @@
+// FILE: src/backup/tenantCollections.js
+// Ek organization ka data kis collection me kaise chhaanta jaata hai. Naya tenant
+// model banao to yahan daalo, ya EXCLUDED_COLLECTIONS me wajah ke saath — test
+// (backup.test.js) dono me se kisi me na mile to fail hota hai.
+//   organization  { organizationId }
+//   self          organizations — { _id }
+//   counter       counters — naam `<prefix>_<shopId | organizationId>` hota hai
+// omit: fields jo archive me nahi jaate. Organization archive org admin download karta
+// hai — login secrets (password hash, 2FA secret, tokens) usme nahi hone chahiye.
+// Aise archive se restore hue users password reset karke aur 2FA dobara laga ke aate hain.
+
+export const TENANT_COLLECTIONS = [
+  { collection: 'organizations', scope: 'self' },
+  { collection: 'jewelryshops', scope: 'organization' },
+  {
+    collection: 'users',
+    scope: 'organization',
+    omit: [
+      'password',
+      'refreshToken',
+      'emailVerificationToken',
+      'emailVerificationExpires',
+      'passwordResetToken',
+      'passwordResetExpires',
+      'twoFactorSecret',
+      'backupCodes',
+      'backupCodesUsed',
+    ],
+  },
+  { collection: 'usershopaccesses', scope: 'organization' },
+  { collection: 'counters', scope: 'counter', idStrings: ['name'] },
+
+  { collection: 'customers', scope: 'organization' },
+  { collection: 'suppliers', scope: 'organization' },
+  { collection: 'parties', scope: 'organization' },
+  { collection: 'karigars', scope: 'organization' },
+
+  { collection: 'products', scope: 'organization' },
+  { collection: 'pricehistories', scope: 'organization' },
+  { collection: 'serialnumbers', scope: 'organization' },
+  { collection: 'stockbatches', scope: 'organization' },
+  { collection: 'inventorytransactions', scope: 'organization' },
+  { collection: 'stocktransfers', scope: 'organization' },
+  { collection: 'stockaudits', scope: 'organization' },
+  { collection: 'repricingruns', scope: 'organization' },
+
+  { collection: 'sales', scope: 'organization' },
+  { collection: 'purchases', scope: 'organization' },
+  { collection: 'payments', scope: 'organization' },
+  { collection: 'orders', scope: 'organization' },
+  { collection: 'creditnotes', scope: 'organization' },
+  { collection: 'debitnotes', scope: 'organization' },
+  { collection: 'openingbalances', scope: 'organization' },
+
+  { collection: 'girvis', scope: 'organization' },
+  { collection: 'girvipayments', scope: 'organization' },
+  { collection: 'girvicashbooks', scope: 'organization' },
+  { collection: 'girvitransfers', scope: 'organization' },
+  { collection: 'girviauctions', scope: 'organization' },
+
+  { collection: 'schemes', scope: 'organization' },
+  { collection: 'schemeenrollments', scope: 'organization' },
+
+  { collection: 'metalrates', scope: 'organization' },
+  { collection: 'metalratedrafts', scope: 'organization' },
+  { collection: 'metalledgers', scope: 'organization' },
+  { collection: 'metalstocktransactions', scope: 'organization' },
+  { collection: 'metalpositionsnapshots', scope: 'organization' },
+  { collection: 'oldgolds', scope: 'organization' },
+  { collection: 'refiningbatches', scope: 'organization' },
+  { collection: 'karigarvouchers', scope: 'organization' },
+
+  { collection: 'reportschedules', scope: 'organization' },
+  { collection: 'notificationlogs', scope: 'organization' },
+  { collection: 'activitylogs', scope: 'organization' },
+  { collection: 'bugreports', scope: 'organization' },
+];
+
+// Organization ke naam pe hain par backup me nahi jaate
+export const EXCLUDED_COLLECTIONS = {
+  refreshtokens: 'login sessions — users sign in again after a restore',
+  outboxevents:
+    'event delivery queue — replaying it would repeat ledger / stock / notification side effects',
+  deadletterevents: 'failed event deliveries, handled by an admin on the live system',
+  dataexports: 'export requests and their files',
+};
+
+/**
+ * Registry entry → us tenant ka Mongo filter
+ * @param {{ scope: string }} entry
+ * @param {{ organizationId, shopIds: Array }} tenant
+ */
+export const tenantFilter = ({ scope }, { organizationId, shopIds = [] }) => {
+  if (scope === 'self') return { _id: organizationId };
+  if (scope === 'counter') {
+    return { name: { $regex: `_(${[organizationId, ...shopIds].join('|')})$` } };
+  }
+  return { organizationId };
+};
+
+// omit list → Mongo exclusion projection ({} jab kuch chhodna nahi)
+export const tenantProjection = ({ omit = [] }) =>
+  omit.reduce((projection, field) => {
+    projection[field] = 0;
+    return projection;
+  }, {});
+
+export default { TENANT_COLLECTIONS, EXCLUDED_COLLECTIONS, tenantFilter, tenantProjection };
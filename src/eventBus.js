@@ -1,8 +1,35 @@
 import EventEmitter from 'events';
+import logger from './utils/logger.js';
 
 const eventBus = new EventEmitter();
 
 // Max listeners badhao — multiple listeners honge ek event pe
 eventBus.setMaxListeners(20);
 
-export default eventBus;
\ No newline at end of file
+// ─────────────────────────────────────────────
+// Named handlers — outbox (src/outbox) inhe event ke saath call karta hai,
+// handler fail ho (throw kare) to retry / dead letter. Naam outbox me handler
+// state ka key hai, isliye stable rakho: '<listener file>' jaise 'ledger'.
+// ─────────────────────────────────────────────
+const handlers = new Map();
+
+export const subscribe = (eventName, name, handler) => {
+  const list = handlers.get(eventName) || [];
+  if (list.some(h => h.name === name)) {
+    throw new Error(`Handler "${name}" already subscribed to ${eventName}`);
+  }
+  list.push({ name, handler });
+  handlers.set(eventName, list);
+
+  // Plain eventBus.emit (jobs) — fire-and-forget, error sirf log. Retry nahi hota,
+  // to once() bas effect chala deta hai
+  eventBus.on(eventName, data =>
+    Promise.resolve(handler(data, { once: (key, effect) => effect() })).catch(error =>
+      logger.error(`${name} ${eventName} failed:`, error.message)
+    )
+  );
+};
+
+export const getHandlers = eventName => handlers.get(eventName) || [];
+
+export default eventBus;
@@ -0,0 +1,536 @@
+// FILE: src/invoices/renderer.js
+// Fills the HTML templates in this folder with Sale / Payment / Purchase data and
+// prints them to PDF. Each template renders itself from a `const DATA = {...}` block
+// in its <script>; we swap that block for the real JSON before printing.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { renderPdf, mergePdfs, resolvePaperSize } from '../utils/pdf.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const TEMPLATES = {
+  SALE_TAX_INVOICE: 'sale-tax-invoice.html',
+  SALE_PAYMENT_RECEIPT: 'sale-payment-receipt.html',
+  GOODS_RECEIPT_NOTE: 'GoodsReceiptNote.html',
+  SUPPLIER_PAYMENT_VOUCHER: 'supplierkopaymentkaro.html',
+  TAX_NOTE: 'tax-note.html',
+  DELIVERY_CHALLAN: 'delivery-challan.html',
+  STOCK_AUDIT_REPORT: 'stock-audit-report.html',
+  FINANCIAL_REPORT: 'financial-report.html',
+};
+
+const DATA_BLOCK = /const DATA = \{[\s\S]*?\n\};/;
+
+const templateCache = new Map();
+
+const loadTemplate = async name => {
+  if (!templateCache.has(name)) {
+    const html = await fs.readFile(path.join(__dirname, name), 'utf8');
+    if (!DATA_BLOCK.test(html)) throw new Error(`Template ${name} has no DATA block`);
+    templateCache.set(name, html);
+  }
+  return templateCache.get(name);
+};
+
+// JSON that is safe to drop inside a <script> tag
+const toScriptJson = data =>
+  JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+// ─── Paper Styles ──────────────────────────────────────────────────────────────
+const PRINT_CSS = `
+  body { background: #fff !important; padding: 0 !important; }
+  .invoice-wrap { max-width: none !important; border: none !important; border-radius: 0 !important; }
+  tr, .net-box, .sign-box { page-break-inside: avoid; }
+`;
+
+const A5_CSS = `
+  body { font-size: 11px; }
+  .inv-header, .inv-info, .section, .fin-row, .pay-hist, .bank-qr, .inv-terms, .inv-footer { padding-left: 16px !important; padding-right: 16px !important; }
+  .net-amount { font-size: 20px !important; }
+`;
+
+// Thermal printers are monochrome and ~48 characters wide — stack everything
+const THERMAL_CSS = `
+  * { background: transparent !important; color: #000 !important; border-color: #000 !important; }
+  body { font-size: 10px; }
+  .inv-header, .inv-info, .fin-row, .against-row, .amount-highlight, .inv-terms { display: block !important; }
+  .inv-header, .inv-info, .section, .fin-row, .pay-hist, .inv-terms { padding: 4px 2px !important; }
+  .inv-title, .info-right, .sign-box, .net-box { text-align: left !important; }
+  .inv-logo-circle, .qr-box, .inv-footer, .bank-qr { display: none !important; }
+  .inv-shop-name, .inv-title h2 { font-size: 13px !important; }
+  .net-box { padding: 4px 0 !important; border-top: 1px dashed #000 !important; }
+  .net-amount { font-size: 16px !important; }
+  table { table-layout: auto !important; font-size: 8px !important; }
+  th, td { padding: 2px 1px !important; word-break: break-word; }
+  th[style], td[style] { width: auto !important; }
+`;
+
+const paperCss = paperSize => {
+  if (paperSize.startsWith('thermal')) return PRINT_CSS + THERMAL_CSS;
+  if (paperSize === 'A5') return PRINT_CSS + A5_CSS;
+  return PRINT_CSS;
+};
+
+/**
+ * Inject data + paper CSS into a template. Exported for previews / tests.
+ * @returns {Promise<string>} complete HTML document
+ */
+export const fillTemplate = async (templateName, data, paperSize = 'A4') => {
+  const html = await loadTemplate(templateName);
+  const size = resolvePaperSize(paperSize);
+
+  return html
+    .replace(DATA_BLOCK, () => `const DATA = ${toScriptJson(data)};`)
+    .replace('</head>', () => `<style>${paperCss(size)}</style>\n</head>`);
+};
+
+export const renderTemplatePdf = async (templateName, data, paperSize = 'A4') => {
+  const size = resolvePaperSize(paperSize);
+  const html = await fillTemplate(templateName, data, size);
+  return renderPdf(html, { paperSize: size });
+};
+
+// Sequential on purpose — one Chrome page at a time keeps memory flat
+export const renderTemplatesPdf = async (templateName, dataList, paperSize = 'A4') => {
+  const buffers = [];
+  for (const data of dataList) {
+    buffers.push(await renderTemplatePdf(templateName, data, paperSize));
+  }
+  return buffers.length === 1 ? buffers[0] : mergePdfs(buffers);
+};
+
+// ─── Data Builders ─────────────────────────────────────────────────────────────
+// Shapes below mirror the DATA comments inside each template.
+
+const personName = user =>
+  user && typeof user === 'object' && user.firstName
+    ? `${user.firstName} ${user.lastName || ''}`.trim()
+    : null;
+
+const shopAddress = shop => {
+  if (shop.fullAddress) return shop.fullAddress;
+  const addr = shop.address || {};
+  return [addr.street, addr.area, addr.landmark, addr.city, addr.state]
+    .filter(Boolean)
+    .join(', ')
+    .concat(addr.pincode ? ` - ${addr.pincode}` : '');
+};
+
+export const buildShopData = shop => {
+  const primaryBank = (shop.bankDetails || []).find(bank => bank.isPrimary) || {};
+  const primaryUPI = (shop.upiDetails || []).find(upi => upi.isPrimary) || {};
+  const printSettings = shop.settings?.printSettings || {};
+
+  return {
+    name: shop.name,
+    displayName: shop.displayName,
+    address: shopAddress(shop),
+    phone: shop.phone,
+    gst: shop.gstNumber,
+    terms: printSettings.showTermsConditions === false ? null : printSettings.termsConditions,
+    bank:
+      printSettings.showBankDetails === false
+        ? {}
+        : {
+            name: primaryBank.bankName,
+            holder: primaryBank.accountHolderName,
+            accountNo: primaryBank.accountNumber,
+            ifsc: primaryBank.ifscCode,
+            branch: primaryBank.branchName,
+            type: primaryBank.accountType,
+          },
+    upi: {
+      id: primaryUPI.upiId,
+      qrCode: primaryUPI.qrCode,
+    },
+  };
+};
+
+const transactionIdOf = payment =>
+  payment.paymentDetails?.upiDetails?.transactionId ||
+  payment.paymentDetails?.chequeDetails?.chequeNumber ||
+  payment.paymentDetails?.cardDetails?.transactionId ||
+  payment.paymentDetails?.bankTransferDetails?.referenceNumber ||
+  null;
+
+const buildPaymentRows = payments =>
+  payments.map(p => ({
+    paymentNumber: p.paymentNumber,
+    paymentDate: p.paymentDate,
+    amount: p.amount,
+    paymentMode: p.paymentMode,
+    transactionId: transactionIdOf(p),
+  }));
+
+const buildCurrentPayment = payment => {
+  const details = payment.paymentDetails || {};
+  return {
+    paymentNumber: payment.paymentNumber,
+    paymentDate: payment.paymentDate,
+    amount: payment.amount,
+    paymentMode: payment.paymentMode,
+    notes: payment.notes,
+    upiTransactionId: details.upiDetails?.transactionId,
+    upiId: details.upiDetails?.upiId,
+    chequeNumber: details.chequeDetails?.chequeNumber,
+    chequeDate: details.chequeDetails?.chequeDate,
+    chequeBankName: details.chequeDetails?.bankName,
+    cardTransactionId: details.cardDetails?.transactionId,
+    cardLast4: details.cardDetails?.last4Digits,
+    bankRefNumber: details.bankTransferDetails?.referenceNumber,
+    bankName: details.bankTransferDetails?.bankName,
+  };
+};
+
+const buildCustomerData = sale => {
+  const customer = sale.customerId && typeof sale.customerId === 'object' ? sale.customerId : {};
+  const details = sale.customerDetails || {};
+
+  return {
+    fullName: details.customerName || personName(customer),
+    customerCode: details.customerCode || customer.customerCode,
+    phone: details.phone || customer.phone,
+    email: details.email || customer.email,
+    panNumber: details.panNumber || customer.panNumber,
+    gstNumber: details.gstNumber || customer.gstNumber,
+  };
+};
+
+const buildSalePayment = sale => ({
+  paymentMode: sale.payment?.paymentMode,
+  paymentStatus: sale.payment?.paymentStatus,
+  paidAmount: sale.payment?.paidAmount,
+  dueAmount: sale.payment?.dueAmount,
+  dueDate: sale.payment?.dueDate,
+});
+
+export const buildSaleInvoiceData = ({ sale, shop, payments = [] }) => ({
+  shop: buildShopData(shop),
+  sale: {
+    invoiceNumber: sale.invoiceNumber,
+    saleDate: sale.saleDate,
+    salesPerson: personName(sale.salesPerson),
+    placeOfSupply: sale.placeOfSupply?.stateName
+      ? `${sale.placeOfSupply.stateName} (${sale.placeOfSupply.stateCode})`
+      : null,
+    isInterState: Boolean(sale.isInterState),
+    items: (sale.items || []).map(item => ({
+      productName: item.productName,
+      productCode: item.productCode,
+      huid: item.huid,
+      hsnCode: item.hsnCode,
+      netWeight: item.netWeight,
+      ratePerGram: item.ratePerGram,
+      makingCharges: item.makingCharges,
+      discount: { amount: item.discount?.amount },
+      gstPercentage: item.gstPercentage,
+      itemTotal: item.itemTotal,
+      quantity: item.quantity,
+    })),
+    financials: {
+      subtotal: sale.financials?.subtotal,
+      totalDiscount: sale.financials?.totalDiscount,
+      oldGoldValue: sale.financials?.oldGoldValue,
+      totalCGST: sale.financials?.totalCGST,
+      totalSGST: sale.financials?.totalSGST,
+      totalIGST: sale.financials?.totalIGST,
+      roundOff: sale.financials?.roundOff,
+      grandTotal: sale.financials?.grandTotal,
+      netPayable: sale.financials?.netPayable,
+    },
+    payment: buildSalePayment(sale),
+  },
+  customer: buildCustomerData(sale),
+  payments: buildPaymentRows(payments),
+});
+
+export const buildSaleReceiptData = ({ sale, shop, payments = [], currentPayment }) => ({
+  shop: buildShopData(shop),
+  sale: {
+    invoiceNumber: sale.invoiceNumber,
+    saleDate: sale.saleDate,
+    salesPerson: personName(sale.salesPerson),
+    financials: { netPayable: sale.financials?.netPayable },
+    payment: buildSalePayment(sale),
+  },
+  customer: buildCustomerData(sale),
+  currentPayment: buildCurrentPayment(currentPayment || payments[payments.length - 1] || {}),
+  payments: buildPaymentRows(payments),
+});
+
+const buildSupplierData = purchase => {
+  const supplier =
+    purchase.supplierId && typeof purchase.supplierId === 'object' ? purchase.supplierId : {};
+  const details = purchase.supplierDetails || {};
+  const address = supplier.address
+    ? [supplier.address.street, supplier.address.city].filter(Boolean).join(', ')
+    : details.address;
+
+  return {
+    businessName: supplier.businessName || details.supplierName,
+    supplierCode: supplier.supplierCode || details.supplierCode,
+    phone: supplier.contactPerson?.phone || details.phone,
+    email: supplier.contactPerson?.email || details.email,
+    gstNumber: supplier.gstNumber || details.gstNumber,
+    address: address || null,
+  };
+};
+
+const buildPurchasePayment = purchase => ({
+  totalAmount: purchase.payment?.totalAmount,
+  paidAmount: purchase.payment?.paidAmount,
+  dueAmount: purchase.payment?.dueAmount,
+  paymentStatus: purchase.payment?.paymentStatus,
+  paymentMode: purchase.payment?.paymentMode,
+  dueDate: purchase.payment?.dueDate,
+  paymentTerms: purchase.payment?.paymentTerms,
+});
+
+export const buildGoodsReceiptData = ({ purchase, shop }) => ({
+  shop: buildShopData(shop),
+  purchase: {
+    purchaseNumber: purchase.purchaseNumber,
+    purchaseDate: purchase.purchaseDate,
+    purchaseType: purchase.purchaseType,
+    status: purchase.status,
+    approvalStatus: purchase.approvalStatus,
+    items: (purchase.items || []).map(item => ({
+      productName: item.productName,
+      productCode: item.productCode,
+      huid: item.huid,
+      metalType: item.metalType,
+      purity: item.purity,
+      grossWeight: item.grossWeight,
+      netWeight: item.netWeight,
+      quantity: item.quantity,
+      ratePerGram: item.ratePerGram,
+      gstPercentage: item.gstPercentage,
+      itemTotal: item.itemTotal,
+    })),
+    financials: {
+      subtotal: purchase.financials?.subtotal,
+      totalMetalValue: purchase.financials?.totalMetalValue,
+      totalStoneValue: purchase.financials?.totalStoneValue,
+      totalMakingCharges: purchase.financials?.totalMakingCharges,
+      totalOtherCharges: purchase.financials?.totalOtherCharges,
+      totalDiscount: purchase.financials?.totalDiscount,
+      totalGST: purchase.financials?.totalGST,
+      roundOff: purchase.financials?.roundOff,
+      grandTotal: purchase.financials?.grandTotal,
+    },
+    payment: buildPurchasePayment(purchase),
+    delivery: {
+      deliveryDate: purchase.delivery?.deliveryDate,
+      receivedDate: purchase.delivery?.receivedDate,
+      receivedBy: personName(purchase.delivery?.receivedBy),
+      transporterName: purchase.delivery?.transportDetails?.transporterName,
+      vehicleNumber: purchase.delivery?.transportDetails?.vehicleNumber,
+      lrNumber: purchase.delivery?.transportDetails?.lrNumber,
+      ewayBillNumber: purchase.delivery?.transportDetails?.ewayBillNumber,
+    },
+    supplierInvoice: {
+      invoiceNumber: purchase.supplierInvoice?.invoiceNumber,
+      invoiceDate: purchase.supplierInvoice?.invoiceDate,
+      invoiceAmount: purchase.supplierInvoice?.invoiceAmount,
+    },
+    notes: purchase.notes,
+    createdBy: personName(purchase.createdBy),
+  },
+  supplier: buildSupplierData(purchase),
+});
+
+export const buildSupplierVoucherData = ({ purchase, shop, payments = [], currentPayment }) => ({
+  shop: buildShopData(shop),
+  purchase: {
+    purchaseNumber: purchase.purchaseNumber,
+    purchaseDate: purchase.purchaseDate,
+    financials: { grandTotal: purchase.financials?.grandTotal },
+    payment: buildPurchasePayment(purchase),
+  },
+  supplier: buildSupplierData(purchase),
+  currentPayment: buildCurrentPayment(currentPayment || payments[payments.length - 1] || {}),
+  payments: buildPaymentRows(payments),
+});
+
+// Credit note → customer, debit note → supplier. Same layout, different party block.
+export const buildTaxNoteData = ({ note, type, shop }) => {
+  const isCredit = type === 'credit';
+  const party = isCredit ? note.customerDetails || {} : note.supplierDetails || {};
+
+  return {
+    shop: buildShopData(shop),
+    note: {
+      type,
+      noteNumber: isCredit ? note.creditNoteNumber : note.debitNoteNumber,
+      noteDate: note.noteDate,
+      reason: note.reason,
+      reasonText: note.reasonText,
+      status: note.status,
+      against: {
+        number: isCredit ? note.invoiceNumber : note.purchaseNumber,
+        date: isCredit ? note.invoiceDate : note.purchaseDate,
+        supplierInvoiceNumber: isCredit ? null : note.supplierInvoiceNumber,
+      },
+      placeOfSupply: note.placeOfSupply?.stateName
+        ? `${note.placeOfSupply.stateName} (${note.placeOfSupply.stateCode})`
+        : null,
+      isInterState: Boolean(note.isInterState),
+      items: (note.items || []).map(item => ({
+        productName: item.productName,
+        productCode: item.productCode,
+        huid: item.huid,
+        hsnCode: item.hsnCode,
+        netWeight: item.netWeight,
+        quantity: item.quantity,
+        taxableAmount: item.taxableAmount,
+        gstPercentage: item.gstPercentage,
+        itemTotal: item.itemTotal,
+      })),
+      financials: { ...note.financials },
+      refundAmount: isCredit ? note.refundAmount : null,
+      refundMode: isCredit ? note.refundMode : null,
+      createdBy: personName(note.createdBy),
+    },
+    party: {
+      label: isCredit ? 'Customer' : 'Supplier',
+      name: isCredit ? party.customerName : party.supplierName,
+      code: isCredit ? party.customerCode : party.supplierCode,
+      phone: party.phone,
+      address: party.address,
+      gstNumber: party.gstNumber,
+    },
+  };
+};
+
+// Challan source shop ke letterhead pe — maal wahi se nikalta hai
+export const buildDeliveryChallanData = ({ transfer, shop }) => {
+  const toShop = transfer.toShopDetails || {};
+  const items = (transfer.items || []).map(item => ({
+    productName: item.productName,
+    productCode: item.productCode,
+    huid: item.huid,
+    metalType: item.metalType,
+    purity: item.purity,
+    grossWeight: item.grossWeight,
+    netWeight: item.netWeight,
+    quantity: item.quantity,
+    value: (item.unitValue || 0) * item.quantity,
+  }));
+
+  return {
+    shop: buildShopData(shop),
+    transfer: {
+      transferNumber: transfer.transferNumber,
+      transferDate: transfer.transferDate,
+      status: transfer.status,
+      toShop: {
+        name: toShop.name,
+        code: toShop.code,
+        phone: toShop.phone,
+        address: toShop.address,
+        gstNumber: toShop.gstNumber,
+      },
+      transport: { ...transfer.transport },
+      items,
+      totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+      totalValue: items.reduce((sum, item) => sum + item.value, 0),
+      notes: transfer.notes,
+      dispatchedBy: personName(transfer.dispatchedBy),
+    },
+  };
+};
+
+// Report me sirf farak wali lines — matched ka count summary me hai
+export const buildStockAuditReportData = ({ audit, shop }) => {
+  const discrepancies = (audit.items || [])
+    .filter(item => item.result !== 'matched')
+    .map(item => ({
+      productName: item.productName,
+      productCode: item.productCode,
+      huid: item.huid,
+      categoryName: item.categoryName,
+      purity: [item.metalType, item.purity].filter(Boolean).join(' '),
+      result: item.result,
+      expectedQuantity: item.expectedQuantity,
+      countedQuantity: item.countedQuantity,
+      expectedGrossWeight: item.expectedGrossWeight,
+      countedGrossWeight: item.weighedQuantity
+        ? item.countedGrossWeight / item.weighedQuantity
+        : null,
+      value: (item.countedQuantity - item.expectedQuantity) * (item.unitValue || 0),
+      adjusted: !!item.adjusted,
+    }));
+
+  return {
+    shop: buildShopData(shop),
+    audit: {
+      auditNumber: audit.auditNumber,
+      auditDate: audit.auditDate,
+      auditType: audit.auditType,
+      status: audit.status,
+      scope: {
+        categories: [
+          ...new Set((audit.items || []).map(item => item.categoryName).filter(Boolean)),
+        ],
+        metalTypes: audit.scope?.metalTypes || [],
+      },
+      weightTolerance: audit.weightTolerance,
+      summary: { ...audit.summary },
+      discrepancies,
+      extras: (audit.extras || []).map(extra => ({
+        code: extra.code,
+        productCode: extra.productCode,
+        productName: extra.productName,
+        quantity: extra.quantity,
+        grossWeight: extra.grossWeight,
+      })),
+      startedBy: personName(audit.startedBy),
+      submittedAt: audit.submittedAt,
+      approvedBy: personName(audit.approval?.approvedBy),
+      approvedAt: audit.approval?.approvedAt,
+      signedOffBy: audit.approval?.signedOffBy,
+      designation: audit.approval?.designation,
+      remarks: audit.approval?.remarks,
+      notes: audit.notes,
+    },
+  };
+};
+
+// Org level report me shop nahi hota — heading organization ke naam se
+export const buildFinancialReportData = ({ report, shop = null, summary = [] }) => ({
+  shop: shop ? buildShopData(shop) : { name: report.scope?.name },
+  report: {
+    type: report.type,
+    title: report.title,
+    scopeName: report.scope?.name,
+    isOrganization: !report.scope?.shopId,
+    period: report.period || null,
+    asOf: report.asOf || null,
+    generatedAt: report.generatedAt,
+    columns: report.columns,
+    rows: report.rows,
+    totals: report.totals,
+    summary,
+  },
+});
+
+export default {
+  TEMPLATES,
+  fillTemplate,
+  renderTemplatePdf,
+  renderTemplatesPdf,
+  buildShopData,
+  buildSaleInvoiceData,
+  buildSaleReceiptData,
+  buildGoodsReceiptData,
+  buildSupplierVoucherData,
+  buildTaxNoteData,
+  buildDeliveryChallanData,
+  buildStockAuditReportData,
+  buildFinancialReportData,
+};
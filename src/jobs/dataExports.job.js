@@ -0,0 +1,13 @@
+// FILE: src/jobs/dataExports.job.js
+// Every minute: build archives for pending organization data exports and delete
+// export files past their expiry
+
+import { runPendingExports } from '../api/data-export/dataExport.service.js';
+
+export default {
+  name: 'data-exports',
+  description: 'Build requested organization data exports and remove expired export files',
+  schedule: '* * * * *',
+  lockTimeoutMs: 60 * 60 * 1000,
+  handler: ({ now }) => runPendingExports(now),
+};
@@ -0,0 +1,14 @@
+// FILE: src/jobs/eventOutbox.job.js
+// Every minute: rerun outbox events whose handlers failed (after backoff) and pick
+// up events left pending / processing by a crashed instance
+
+import { processDueEvents } from '../outbox/outbox.js';
+
+export default {
+  name: 'event-outbox',
+  description:
+    'Retry failed event handlers (ledger, stock, notifications) and dead-letter exhausted events',
+  schedule: '* * * * *',
+  lockTimeoutMs: 10 * 60 * 1000,
+  handler: ({ now }) => processDueEvents(now),
+};
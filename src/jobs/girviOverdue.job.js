@@ -0,0 +1,41 @@
+// FILE: src/jobs/girviOverdue.job.js
+// Nightly: active girvis past dueDate + gracePeriodDays → status 'overdue'
+
+import Girvi from '../models/Girvi.js';
+import { invalidateGirviCache } from '../api/girvi/girvi.service.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const markOverdueGirvis = async (now = new Date()) => {
+  const filter = {
+    status: 'active',
+    isTransferred: { $ne: true },
+    dueDate: { $ne: null },
+    deletedAt: null,
+    $expr: {
+      $lt: [
+        { $add: ['$dueDate', { $multiply: [{ $ifNull: ['$gracePeriodDays', 0] }, DAY_MS] }] },
+        now,
+      ],
+    },
+  };
+
+  const girvis = await Girvi.find(filter).select('_id shopId').lean();
+  if (girvis.length === 0) return { matched: 0, updated: 0 };
+
+  const result = await Girvi.updateMany(
+    { _id: { $in: girvis.map(g => g._id) }, status: 'active' },
+    { $set: { status: 'overdue' } }
+  );
+
+  await Promise.all(girvis.map(g => invalidateGirviCache(g.shopId, g._id)));
+
+  return { matched: girvis.length, updated: result.modifiedCount };
+};
+
+export default {
+  name: 'girvi-overdue-marking',
+  description: 'Mark active girvis past due date + grace period as overdue',
+  schedule: '5 0 * * *',
+  handler: ({ now }) => markOverdueGirvis(now),
+};
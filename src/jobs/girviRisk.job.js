@@ -0,0 +1,12 @@
+// FILE: src/jobs/girviRisk.job.js
+// Nightly: open girvis revalued at the current metal rate — interest badhne se
+// LTV rate change ke bina bhi chadhta hai, isliye roz ek baar snapshot
+
+import { runRiskAssessment } from '../api/girvi-risk/girviRisk.service.js';
+
+export default {
+  name: 'girvi-risk-assessment',
+  description: 'Revalue open girvis at the current metal rate and update their LTV risk band',
+  schedule: '20 0 * * *',
+  handler: ({ now }) => runRiskAssessment(now),
+};
@@ -0,0 +1,39 @@
+// FILE: src/jobs/index.js
+// Registry of built-in scheduled jobs. Add new jobs here.
+
+import { registerJob } from './scheduler.js';
+import girviOverdueJob from './girviOverdue.job.js';
+import schemeInstallmentAgingJob from './schemeInstallmentAging.job.js';
+import saleOverdueJob from './saleOverdue.job.js';
+import lowStockDigestJob from './lowStockDigest.job.js';
+import notificationRetryJob from './notificationRetry.job.js';
+import schemeRemindersJob from './schemeReminders.job.js';
+import eventOutboxJob from './eventOutbox.job.js';
+import metalRateFeedJob from './metalRateFeed.job.js';
+import girviRiskJob from './girviRisk.job.js';
+import metalPositionSnapshotJob from './metalPositionSnapshot.job.js';
+import scheduledReportsJob from './scheduledReports.job.js';
+import dataExportsJob from './dataExports.job.js';
+
+[
+  girviOverdueJob,
+  schemeInstallmentAgingJob,
+  saleOverdueJob,
+  lowStockDigestJob,
+  notificationRetryJob,
+  schemeRemindersJob,
+  eventOutboxJob,
+  metalRateFeedJob,
+  girviRiskJob,
+  metalPositionSnapshotJob,
+  scheduledReportsJob,
+  dataExportsJob,
+].forEach(registerJob);
+
+export {
+  startScheduler,
+  stopScheduler,
+  runJob,
+  getRegisteredJob,
+  getRegisteredJobNames,
+} from './scheduler.js';
@@ -0,0 +1,52 @@
+// FILE: src/jobs/lowStockDigest.job.js
+// Nightly: one low-stock summary per shop instead of per-product alerts
+
+import Product from '../models/Product.js';
+import JewelryShop from '../models/Shop.js';
+import eventBus from '../eventBus.js';
+
+export const sendLowStockDigests = async () => {
+  const shops = await JewelryShop.find({
+    isActive: true,
+    deletedAt: null,
+    'settings.notifications.lowStockAlert': { $ne: false },
+  }).lean();
+
+  const summary = { shops: shops.length, digests: 0, products: 0 };
+
+  for (const shop of shops) {
+    const products = await Product.find({
+      shopId: shop._id,
+      isActive: true,
+      deletedAt: null,
+      status: { $in: ['low_stock', 'out_of_stock'] },
+    })
+      .select('name productCode status stock.quantity stock.reorderLevel')
+      .sort({ 'stock.quantity': 1 })
+      .lean();
+
+    if (products.length === 0) continue;
+
+    // ── EVENT EMIT ──────────────────────────
+    // email.listener → shop admins ko digest email
+    eventBus.emit('LOW_STOCK_DIGEST', {
+      shop,
+      products,
+      organizationId: shop.organizationId,
+      shopId: shop._id,
+    });
+    // ─────────────────────────────────────────
+
+    summary.digests++;
+    summary.products += products.length;
+  }
+
+  return summary;
+};
+
+export default {
+  name: 'low-stock-digest',
+  description: 'Email shop admins a daily digest of low and out-of-stock products',
+  schedule: '0 8 * * *',
+  handler: () => sendLowStockDigests(),
+};
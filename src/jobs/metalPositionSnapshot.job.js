@@ -0,0 +1,12 @@
+// FILE: src/jobs/metalPositionSnapshot.job.js
+// Nightly: har shop ki din-end metal position save — daily report ka opening / closing
+// isi se aata hai, taaki purane din ka number baad ki entries se na badle
+
+import { runDailySnapshots } from '../api/metal-position/metalPosition.service.js';
+
+export default {
+  name: 'metal-position-snapshot',
+  description: "Save each shop's end-of-day fine metal position by source",
+  schedule: '5 0 * * *',
+  handler: ({ now }) => runDailySnapshots(now),
+};
@@ -0,0 +1,13 @@
+// FILE: src/jobs/metalRateFeed.job.js
+// Market rate feed poll — shops with settings.rateFeed.enabled get a draft
+// (or a published rate on auto_publish) whenever the feed changes
+
+import { runRateFeed } from '../api/metal-rates/rateFeed.service.js';
+
+export default {
+  name: 'metal-rate-feed',
+  description: 'Fetch market metal rates from the configured feed and draft / publish shop rates',
+  // Har 30 min, 9 AM - 7 PM (IBJA din me do baar rate nikalta hai)
+  schedule: '*/30 9-19 * * *',
+  handler: () => runRateFeed(),
+};
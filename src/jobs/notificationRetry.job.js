@@ -0,0 +1,12 @@
+// FILE: src/jobs/notificationRetry.job.js
+// Every 5 min: resend failed email / WhatsApp / SMS whose backoff has elapsed
+
+import { retryFailedNotifications } from '../notifications/dispatcher.js';
+
+export default {
+  name: 'notification-retry',
+  description: 'Retry failed customer notifications (invoice, receipt, reminders) with backoff',
+  schedule: '*/5 * * * *',
+  lockTimeoutMs: 10 * 60 * 1000,
+  handler: ({ now }) => retryFailedNotifications(now),
+};
@@ -0,0 +1,58 @@
+// FILE: src/jobs/saleOverdue.job.js
+// Nightly: credit sales past payment.dueDate → paymentStatus 'overdue' + one reminder
+
+import Sale from '../models/Sale.js';
+import JewelryShop from '../models/Shop.js';
+import eventBus from '../eventBus.js';
+import cache from '../utils/cache.js';
+
+export const markOverdueSales = async (now = new Date()) => {
+  const sales = await Sale.find({
+    'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+    'payment.dueDate': { $lt: now },
+    'payment.dueAmount': { $gt: 0 },
+    status: { $nin: ['draft', 'cancelled', 'returned'] },
+    deletedAt: null,
+  }).lean();
+
+  if (sales.length === 0) return { matched: 0, updated: 0, reminders: 0 };
+
+  const result = await Sale.updateMany(
+    { _id: { $in: sales.map(s => s._id) } },
+    { $set: { 'payment.paymentStatus': 'overdue' } }
+  );
+
+  const shopIds = [...new Set(sales.map(s => String(s.shopId)))];
+  const shops = await JewelryShop.find({ _id: { $in: shopIds } }).lean();
+  const shopMap = new Map(shops.map(shop => [String(shop._id), shop]));
+
+  let reminders = 0;
+
+  for (const sale of sales) {
+    // ── EVENT EMIT ──────────────────────────
+    // notification.listener → reminder email bhejo (sirf pehli baar overdue hone par)
+    eventBus.emit('PAYMENT_REMINDER', {
+      sale: { ...sale, payment: { ...sale.payment, paymentStatus: 'overdue' } },
+      customer: {
+        fullName: sale.customerDetails?.customerName,
+        email: sale.customerDetails?.email,
+        phone: sale.customerDetails?.phone,
+      },
+      shop: shopMap.get(String(sale.shopId)),
+      method: 'email',
+    });
+    // ─────────────────────────────────────────
+    reminders++;
+  }
+
+  shopIds.forEach(shopId => cache.invalidateShop(shopId));
+
+  return { matched: sales.length, updated: result.modifiedCount, reminders };
+};
+
+export default {
+  name: 'sale-overdue-marking',
+  description: 'Mark unpaid credit sales past due date as overdue and send a payment reminder',
+  schedule: '15 0 * * *',
+  handler: ({ now }) => markOverdueSales(now),
+};
@@ -0,0 +1,12 @@
+// FILE: src/jobs/scheduledReports.job.js
+// Har ghante: jin report schedules ka time ho gaya, unka pichhle period ka report
+// CSV / PDF bana ke recipients ko mail
+
+import { runDueSchedules } from '../api/reports/reportSchedule.service.js';
+
+export default {
+  name: 'scheduled-reports',
+  description: 'Email due scheduled reports (day book, P&L, ageing, ...) to their recipients',
+  schedule: '0 * * * *',
+  handler: ({ now }) => runDueSchedules(now),
+};
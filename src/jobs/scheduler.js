@@ -0,0 +1,194 @@
+// FILE: src/jobs/scheduler.js
+// In-process job runner. Job definitions live in code (src/jobs/*.job.js) and are
+// mirrored into the ScheduledJob collection so the schedule / enabled flag can be
+// changed without a deploy. Every PM2 instance ticks once a minute, but a job only
+// runs on the instance that wins the Mongo lock for that cron slot.
+
+import os from 'os';
+import ScheduledJob from '../models/ScheduledJob.js';
+import JobRun from '../models/JobRun.js';
+import { getNextRunDate, isValidCron, matchesCron } from '../utils/cron.js';
+import logger from '../utils/logger.js';
+
+const TICK_MS = 60 * 1000;
+
+export const INSTANCE_ID = `${os.hostname()}:${process.env.NODE_APP_INSTANCE ?? process.pid}`;
+
+const registry = new Map();
+let tickTimer = null;
+let alignTimer = null;
+
+// ─── Registry ──────────────────────────────────────────────────────────────────
+export const registerJob = definition => {
+  const { name, schedule, handler } = definition;
+
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Job definition needs a name and a handler');
+  }
+  if (!isValidCron(schedule)) {
+    throw new Error(`Invalid cron schedule for job ${name}: "${schedule}"`);
+  }
+
+  registry.set(name, { description: '', lockTimeoutMs: 30 * 60 * 1000, ...definition });
+};
+
+export const getRegisteredJob = name => registry.get(name);
+
+export const getRegisteredJobNames = () => [...registry.keys()];
+
+// Code defaults are only inserted once — admin edits to schedule / isEnabled persist
+export const syncJobDefinitions = async () => {
+  for (const job of registry.values()) {
+    const existing = await ScheduledJob.findOneAndUpdate(
+      { name: job.name },
+      {
+        $set: { description: job.description, lockTimeoutMs: job.lockTimeoutMs },
+        $setOnInsert: { schedule: job.schedule, isEnabled: job.enabled !== false },
+      },
+      { upsert: true, new: true }
+    );
+
+    existing.nextRunAt = getNextRunDate(existing.schedule);
+    await existing.save();
+  }
+};
+
+// ─── Run ───────────────────────────────────────────────────────────────────────
+/**
+ * Run a registered job under the distributed lock.
+ * Returns the JobRun document, or null when the lock could not be acquired.
+ */
+export const runJob = async (
+  name,
+  { trigger = 'manual', triggeredBy = null, scheduledFor = null } = {}
+) => {
+  const definition = registry.get(name);
+  if (!definition) throw new Error(`Job ${name} is not registered`);
+
+  const job = await ScheduledJob.acquireLock(name, INSTANCE_ID, { scheduledFor });
+  if (!job) return null;
+
+  const startedAt = new Date();
+  let run = null;
+  let failure = null;
+
+  // Lock mil gaya — ab jo bhi fail ho (JobRun create/save bhi), lock finally mein chhootega
+  try {
+    run = await JobRun.create({
+      jobId: job._id,
+      jobName: name,
+      trigger,
+      triggeredBy,
+      scheduledFor,
+      instanceId: INSTANCE_ID,
+      startedAt,
+    });
+
+    logger.info(`Job ${name} started`, { runId: run._id, trigger, instanceId: INSTANCE_ID });
+
+    try {
+      const result = await definition.handler({ now: startedAt, run });
+
+      run.status = 'success';
+      run.result = result ?? null;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = { message: error.message, stack: error.stack };
+      logger.error(`Job ${name} failed`, { runId: run._id, error: error.message });
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+    await run.save();
+  } catch (error) {
+    failure = error;
+    logger.error(`Job ${name} could not record its run`, { error: error.message });
+    throw error;
+  } finally {
+    const finishedAt = run?.finishedAt || new Date();
+    const status = failure ? 'failed' : run.status;
+
+    await ScheduledJob.releaseLock(
+      name,
+      INSTANCE_ID,
+      {
+        lastRunAt: startedAt,
+        lastRunStatus: status,
+        lastDurationMs: finishedAt - startedAt,
+        lastError: failure?.message || run?.error?.message || null,
+        lastRunId: run?._id || null,
+        nextRunAt: getNextRunDate(job.schedule, finishedAt),
+      },
+      { runCount: 1, failureCount: status === 'failed' ? 1 : 0 }
+    );
+  }
+
+  logger.info(`Job ${name} finished`, {
+    runId: run._id,
+    status: run.status,
+    durationMs: run.durationMs,
+  });
+
+  return run;
+};
+
+// ─── Tick ──────────────────────────────────────────────────────────────────────
+const tick = async () => {
+  const slot = new Date();
+  slot.setSeconds(0, 0);
+
+  try {
+    const jobs = await ScheduledJob.find({
+      isEnabled: true,
+      name: { $in: getRegisteredJobNames() },
+    })
+      .select('name schedule')
+      .lean();
+
+    // Sequential — one CPU-heavy job at a time per instance
+    for (const job of jobs) {
+      if (!isValidCron(job.schedule) || !matchesCron(job.schedule, slot)) continue;
+
+      await runJob(job.name, { trigger: 'schedule', scheduledFor: slot }).catch(error =>
+        logger.error(`Scheduler could not run ${job.name}:`, error.message)
+      );
+    }
+  } catch (error) {
+    logger.error('Scheduler tick failed:', error.message);
+  }
+};
+
+export const startScheduler = async () => {
+  if (tickTimer || alignTimer) return;
+
+  await syncJobDefinitions();
+
+  // Align ticks to the start of each minute so cron slots line up across instances
+  const delay = TICK_MS - (Date.now() % TICK_MS) + 1000;
+  alignTimer = setTimeout(() => {
+    alignTimer = null;
+    tick();
+    tickTimer = setInterval(tick, TICK_MS);
+    tickTimer.unref();
+  }, delay);
+  alignTimer.unref();
+
+  logger.info(`  Scheduler started (${registry.size} jobs, instance ${INSTANCE_ID})`);
+};
+
+export const stopScheduler = () => {
+  if (alignTimer) clearTimeout(alignTimer);
+  if (tickTimer) clearInterval(tickTimer);
+  alignTimer = null;
+  tickTimer = null;
+};
+
+export default {
+  registerJob,
+  getRegisteredJob,
+  getRegisteredJobNames,
+  syncJobDefinitions,
+  runJob,
+  startScheduler,
+  stopScheduler,
+};
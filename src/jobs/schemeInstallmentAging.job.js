@@ -0,0 +1,52 @@
+// FILE: src/jobs/schemeInstallmentAging.job.js
+// Nightly: scheme installments pending → overdue → missed (after scheme grace period).
+// Newly missed installments trigger a customer notice via scheme.listener.
+
+import SchemeEnrollment from '../models/SchemeEnrollment.js';
+import '../models/Scheme.js';
+import eventBus from '../eventBus.js';
+import logger from '../utils/logger.js';
+
+export const ageSchemeInstallments = async (now = new Date()) => {
+  const enrollments = await SchemeEnrollment.find({
+    status: 'active',
+    deletedAt: null,
+    schedule: {
+      $elemMatch: { status: { $in: ['pending', 'overdue'] }, dueDate: { $lt: now } },
+    },
+  }).populate('schemeId', 'redemption.gracePeriodDays redemption.missedInstallmentPenalty');
+
+  const summary = { enrollments: enrollments.length, updated: 0, overdue: 0, missed: 0, failed: 0 };
+
+  for (const enrollment of enrollments) {
+    try {
+      const rules = enrollment.schemeId?.redemption || {};
+      const { overdue, missed } = enrollment.ageInstallments(now, {
+        gracePeriodDays: rules.gracePeriodDays ?? 0,
+        missedInstallmentPenalty: rules.missedInstallmentPenalty ?? 0,
+      });
+
+      if (overdue || missed) {
+        await enrollment.save();
+        summary.updated++;
+        summary.overdue += overdue;
+        summary.missed += missed;
+      }
+
+      // scheme.listener → customer ko missed installment notice
+      if (missed) eventBus.emit('SCHEME_INSTALLMENT_MISSED', { enrollment, missed });
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Installment aging failed for ${enrollment.enrollmentNumber}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  name: 'scheme-installment-aging',
+  description: 'Move scheme installments from pending to overdue, and to missed after grace period',
+  schedule: '10 0 * * *',
+  handler: ({ now }) => ageSchemeInstallments(now),
+};
@@ -0,0 +1,57 @@
+// FILE: src/jobs/schemeReminders.job.js
+// Morning: queue upcoming-installment reminders and maturity-approaching notices.
+// Each installment / maturity is notified once — enrollment.contactHistory is the guard.
+
+import SchemeEnrollment from '../models/SchemeEnrollment.js';
+import eventBus from '../eventBus.js';
+
+export const INSTALLMENT_REMINDER_DAYS = 3;
+export const MATURITY_NOTICE_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const queueSchemeReminders = async (now = new Date()) => {
+  const dueBy = new Date(now.getTime() + INSTALLMENT_REMINDER_DAYS * DAY_MS);
+  const maturingBy = new Date(now.getTime() + MATURITY_NOTICE_DAYS * DAY_MS);
+
+  const enrollments = await SchemeEnrollment.find({
+    status: 'active',
+    deletedAt: null,
+    $or: [
+      { nextDueDate: { $gte: now, $lte: dueBy } },
+      { expectedEndDate: { $gte: now, $lte: maturingBy } },
+    ],
+  }).select('shopId enrollmentNumber nextDueDate expectedEndDate schedule contactHistory');
+
+  const summary = { enrollments: enrollments.length, installmentReminders: 0, maturityNotices: 0 };
+
+  for (const enrollment of enrollments) {
+    const next = enrollment.schedule.find(s => s.status === 'pending' || s.status === 'overdue');
+    const isDueSoon =
+      enrollment.nextDueDate && enrollment.nextDueDate >= now && enrollment.nextDueDate <= dueBy;
+
+    if (isDueSoon && next && !enrollment.wasContacted('installment_due', next.installmentNumber)) {
+      eventBus.emit('SCHEME_PAYMENT_REMINDER', { enrollment, trigger: 'auto' });
+      summary.installmentReminders++;
+    }
+
+    const isMaturingSoon =
+      enrollment.expectedEndDate &&
+      enrollment.expectedEndDate >= now &&
+      enrollment.expectedEndDate <= maturingBy;
+
+    if (isMaturingSoon && !enrollment.wasContacted('maturity_approaching')) {
+      eventBus.emit('SCHEME_MATURITY_APPROACHING', { enrollment });
+      summary.maturityNotices++;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  name: 'scheme-reminders',
+  description: 'Remind scheme customers of upcoming installments and approaching maturity',
+  schedule: '0 9 * * *',
+  handler: ({ now }) => queueSchemeReminders(now),
+};
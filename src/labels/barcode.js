@@ -0,0 +1,138 @@
+// FILE: src/labels/barcode.js
+// Barcode encoders for jewellery tags — Code128 and EAN-13 as SVG bars, QR via `qrcode`.
+// Koi network / font nahi chahiye, isliye labels puppeteer me offline render ho jaate hain.
+
+import QRCode from 'qrcode';
+import { ValidationError } from '../utils/AppError.js';
+
+export const BARCODE_TYPES = ['CODE128', 'CODE39', 'EAN13', 'QR'];
+
+// ─── Code128 ───────────────────────────────────────────────────────────────────
+// Bar / space widths for values 0-106 (103-105 = Start A/B/C, 106 = Stop)
+const CODE128_PATTERNS = [
+  '212222 222122 222221 121223 121322 131222 122213 122312 132212 221213',
+  '221312 231212 112232 122132 122231 113222 123122 123221 223211 221132',
+  '221231 213212 223112 312131 311222 321122 321221 312212 322112 322211',
+  '212123 212321 232121 111323 131123 131321 112313 132113 132311 211313',
+  '231113 231311 112133 112331 132131 113123 113321 133121 313121 211331',
+  '231131 213113 213311 213131 311123 311321 331121 312113 312311 332111',
+  '314111 221411 431111 111224 111422 121124 121421 141122 141221 112214',
+  '112412 122114 122411 142112 142211 241211 221114 413111 241112 134111',
+  '111242 121142 121241 114212 124112 124211 411212 421112 421211 212141',
+  '214121 412121 111143 111341 131141 114113 114311 411113 411311 113141',
+  '114131 311141 411131 211412 211214 211232 2331112',
+]
+  .join(' ')
+  .split(' ');
+
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+/**
+ * Code128 symbol values incl. start, checksum and stop. All-digit even-length
+ * codes use set C (do digit per symbol — chhote tag pe bhi fit), baaki set B.
+ */
+export const code128Values = text => {
+  const value = String(text);
+  if (!value || !/^[\x20-\x7e]+$/.test(value)) {
+    throw new ValidationError('Code128 supports printable ASCII only');
+  }
+
+  const useSetC = /^\d+$/.test(value) && value.length % 2 === 0;
+  const data = useSetC
+    ? value.match(/\d{2}/g).map(pair => parseInt(pair, 10))
+    : [...value].map(char => char.charCodeAt(0) - 32);
+
+  const start = useSetC ? START_C : START_B;
+  const checksum = data.reduce((sum, v, i) => sum + v * (i + 1), start) % 103;
+
+  return [start, ...data, checksum, STOP];
+};
+
+/** Bar widths (bar, space, bar, …) in modules, quiet zone not included. */
+export const code128Widths = text =>
+  code128Values(text).flatMap(v => [...CODE128_PATTERNS[v]].map(Number));
+
+// ─── EAN-13 ────────────────────────────────────────────────────────────────────
+const EAN_L =
+  '0001101 0011001 0010011 0111101 0100011 0110001 0101111 0111011 0110111 0001011'.split(' ');
+// R = L ka ulta (bars <-> spaces), G = R ko reverse
+const EAN_R = EAN_L.map(bits => bits.replace(/[01]/g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(bits => [...bits].reverse().join(''));
+// Pehla digit left half ki L/G parity se encode hota hai
+const EAN_PARITY = 'LLLLLL LLGLGG LLGGLG LLGGGL LGLLGG LGGLLG LGGGLL LGLGLG LGLGGL LGGLGL'.split(
+  ' '
+);
+
+export const ean13CheckDigit = digits12 => {
+  const sum = [...digits12].reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidEan13 = code =>
+  /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+
+/** 95-module bit string ('1' = bar) for a 13-digit code. */
+export const ean13Bits = code => {
+  if (!isValidEan13(String(code))) throw new ValidationError(`Invalid EAN-13 code "${code}"`);
+
+  const digits = [...String(code)].map(Number);
+  const parity = EAN_PARITY[digits[0]];
+
+  const left = digits
+    .slice(1, 7)
+    .map((d, i) => (parity[i] === 'L' ? EAN_L[d] : EAN_G[d]))
+    .join('');
+  const right = digits
+    .slice(7)
+    .map(d => EAN_R[d])
+    .join('');
+
+  return `101${left}01010${right}101`;
+};
+
+// Bit string → alternating widths, bar se shuru
+const bitsToWidths = bits => (bits.match(/1+|0+/g) || []).map(run => run.length);
+
+// ─── SVG ───────────────────────────────────────────────────────────────────────
+const widthsToSvg = (widths, { height = 40, quiet = 10 } = {}) => {
+  const total = widths.reduce((sum, w) => sum + w, 0) + quiet * 2;
+  let x = quiet;
+  const bars = [];
+
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) bars.push(`<rect x="${x}" y="0" width="${w}" height="${height}"/>`);
+    x += w;
+  });
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${height}" ` +
+    `preserveAspectRatio="none" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${height}" fill="#fff"/><g fill="#000">${bars.join('')}</g></svg>`
+  );
+};
+
+/**
+ * SVG markup for a code in the shop's configured symbology.
+ * CODE39 tags bhi Code128 me chhapte hain — har scanner dono padhta hai aur Code128 chhota hai.
+ * @param {'CODE128'|'CODE39'|'EAN13'|'QR'} type
+ * @returns {Promise<string>}
+ */
+export const barcodeSvg = async (type, value) => {
+  if (type === 'QR') {
+    return QRCode.toString(String(value), { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+  }
+  if (type === 'EAN13') return widthsToSvg(bitsToWidths(ean13Bits(value)), { quiet: 9 });
+  return widthsToSvg(code128Widths(value));
+};
+
+export default {
+  BARCODE_TYPES,
+  code128Values,
+  code128Widths,
+  ean13CheckDigit,
+  isValidEan13,
+  ean13Bits,
+  barcodeSvg,
+};
@@ -0,0 +1,90 @@
+// FILE: src/labels/printer.js
+// Thermal label printer commands — ZPL (Zebra) and TSPL (TSC / most Chinese tag printers).
+// 203 dpi maan ke chalte hain: 8 dots per mm.
+
+import { LABEL_SIZES, resolveLabelSize, tagLines } from './tag.js';
+
+export const PRINTER_FORMATS = ['zpl', 'tspl'];
+
+const DOTS_PER_MM = 8;
+const mm = value => Math.round(value * DOTS_PER_MM);
+
+// Printer languages me ^ ~ " control characters hain
+const clean = text =>
+  String(text ?? '')
+    .replace(/[\^~"\\]/g, ' ')
+    .replace(/…/g, '.');
+
+// ─── ZPL ───────────────────────────────────────────────────────────────────────
+const zplCode = (barcodeType, code, x, height) => {
+  if (barcodeType === 'QR') return `^FO${x},${mm(1)}^BQN,2,2^FDMA,${clean(code)}^FS`;
+  if (barcodeType === 'EAN13') {
+    return `^FO${x},${mm(1)}^BY1^BEN,${height},Y,N^FD${clean(code).slice(0, 12)}^FS`;
+  }
+  return `^FO${x},${mm(1)}^BY1^BCN,${height},Y,N,N^FD${clean(code)}^FS`;
+};
+
+export const toZpl = (tags, { size, barcodeType = 'CODE128', copies = 1 } = {}) => {
+  const label = LABEL_SIZES[resolveLabelSize(size)];
+  const half = mm(label.printable / 2);
+  const fontHeight = label.height <= 12 ? 16 : 20;
+  const codeHeight = mm(label.height) - mm(2) - fontHeight;
+
+  return tags
+    .map(tag => {
+      const lines = [tag.name, ...tagLines(tag)].slice(0, label.height <= 12 ? 3 : 4);
+
+      return [
+        '^XA',
+        '^CI28',
+        `^PW${mm(label.width)}`,
+        `^LL${mm(label.height)}`,
+        ...lines.map(
+          (line, i) =>
+            `^FO${mm(1)},${mm(1) + i * fontHeight}^A0N,${fontHeight - 2},${fontHeight - 4}^FD${clean(line)}^FS`
+        ),
+        zplCode(barcodeType, tag.code, half, codeHeight),
+        `^PQ${copies}`,
+        '^XZ',
+      ].join('\n');
+    })
+    .join('\n');
+};
+
+// ─── TSPL ──────────────────────────────────────────────────────────────────────
+const tsplCode = (barcodeType, code, x, height) => {
+  if (barcodeType === 'QR') return `QRCODE ${x},${mm(1)},M,2,A,0,"${clean(code)}"`;
+  const symbology = barcodeType === 'EAN13' ? 'EAN13' : '128';
+  return `BARCODE ${x},${mm(1)},"${symbology}",${height},1,0,1,2,"${clean(code)}"`;
+};
+
+export const toTspl = (tags, { size, barcodeType = 'CODE128', copies = 1 } = {}) => {
+  const label = LABEL_SIZES[resolveLabelSize(size)];
+  const half = mm(label.printable / 2);
+  const lineHeight = label.height <= 12 ? 22 : 26;
+  const codeHeight = mm(label.height) - mm(2) - lineHeight;
+
+  const header = [
+    `SIZE ${label.width} mm,${label.height} mm`,
+    'GAP 2 mm,0 mm',
+    'DIRECTION 1',
+    'CODEPAGE UTF-8',
+  ];
+
+  const body = tags.flatMap(tag => {
+    const lines = [tag.name, ...tagLines(tag)].slice(0, label.height <= 12 ? 3 : 4);
+
+    return [
+      'CLS',
+      ...lines.map(
+        (line, i) => `TEXT ${mm(1)},${mm(1) + i * lineHeight},"1",0,1,1,"${clean(line)}"`
+      ),
+      tsplCode(barcodeType, tag.code, half, codeHeight),
+      `PRINT 1,${copies}`,
+    ];
+  });
+
+  return [...header, ...body].join('\r\n');
+};
+
+export default { PRINTER_FORMATS, toZpl, toTspl };
@@ -0,0 +1,79 @@
+// FILE: src/labels/sheet.js
+// Printable A4 sheet of tags (laser / inkjet label stock) — HTML with inline SVG
+// codes, printed through the same headless-Chrome renderer as invoices.
+
+import { renderPdf } from '../utils/pdf.js';
+import { barcodeSvg } from './barcode.js';
+import { LABEL_SIZES, resolveLabelSize } from './tag.js';
+
+const escapeHtml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const tagHtml = (tag, svg) => {
+  const weights = [
+    tag.grossWeight && `G ${tag.grossWeight}g`,
+    tag.netWeight && `N ${tag.netWeight}g`,
+  ].filter(Boolean);
+
+  return `
+    <div class="tag">
+      <div class="info">
+        <div class="name">${escapeHtml(tag.name)}</div>
+        <div>${escapeHtml([tag.purity, ...weights].filter(Boolean).join(' · '))}</div>
+        ${tag.huid ? `<div>HUID ${escapeHtml(tag.huid)}</div>` : ''}
+        ${tag.price !== null ? `<div class="price">₹${tag.price.toLocaleString('en-IN')}</div>` : ''}
+      </div>
+      <div class="code">
+        <div class="bars">${svg}</div>
+        <div class="text">${escapeHtml(tag.code)}</div>
+      </div>
+    </div>`;
+};
+
+/**
+ * @param {Array} tags - buildTagData() output, one entry per printed label
+ * @param {{ size?: string, barcodeType?: string }} options
+ * @returns {Promise<string>}
+ */
+export const buildLabelSheetHtml = async (tags, { size, barcodeType = 'CODE128' } = {}) => {
+  const label = LABEL_SIZES[resolveLabelSize(size)];
+  const small = label.height <= 12;
+
+  const svgs = await Promise.all(tags.map(tag => barcodeSvg(barcodeType, tag.code)));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #000; }
+  .sheet { display: flex; flex-wrap: wrap; gap: 2mm; }
+  .tag {
+    width: ${label.width}mm; height: ${label.height}mm; border: 0.2mm dashed #999;
+    display: flex; overflow: hidden; page-break-inside: avoid;
+  }
+  .info, .code { width: ${label.printable / 2}mm; padding: 0.5mm 1mm; overflow: hidden; }
+  .info { font-size: ${small ? 5.5 : 7}pt; line-height: 1.15; }
+  .name { font-weight: bold; white-space: nowrap; }
+  .price { font-weight: bold; }
+  .code { display: flex; flex-direction: column; align-items: center; justify-content: center; }
+  .bars { width: 100%; height: ${small ? 7 : 14}mm; display: flex; justify-content: center; }
+  .bars svg { height: 100%; width: ${barcodeType === 'QR' ? 'auto' : '100%'}; }
+  .text { font-size: ${small ? 5 : 6.5}pt; letter-spacing: 0.3pt; }
+</style>
+</head>
+<body>
+<div class="sheet">${tags.map((tag, i) => tagHtml(tag, svgs[i])).join('')}</div>
+</body>
+</html>`;
+};
+
+export const renderLabelSheet = async (tags, options = {}) =>
+  renderPdf(await buildLabelSheetHtml(tags, options), { paperSize: 'A4' });
+
+export default { buildLabelSheetHtml, renderLabelSheet };
@@ -0,0 +1,54 @@
+// FILE: src/labels/tag.js
+// Product → jewellery tag fields. Sheet (PDF) aur thermal printer dono isi se chhapte hain.
+
+export const LABEL_SIZES = {
+  // Dumbbell / rat-tail jewellery tag — chhapne wala hissa ek taraf
+  tag_95x12: { width: 95, height: 12, printable: 50 },
+  label_50x25: { width: 50, height: 25, printable: 50 },
+  label_38x25: { width: 38, height: 25, printable: 38 },
+};
+
+export const DEFAULT_LABEL_SIZE = 'tag_95x12';
+
+export const resolveLabelSize = size => (LABEL_SIZES[size] ? size : DEFAULT_LABEL_SIZE);
+
+const fmtWeight = value => (value ? Number(value).toFixed(3) : null);
+
+const truncate = (text, length) =>
+  text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '';
+
+/**
+ * @param {Object} product - lean Product
+ * @param {Object} shop
+ * @param {{ showPrice?: boolean }} options
+ */
+export const buildTagData = (product, shop, { showPrice = true } = {}) => {
+  const huid = product.huid || product.hallmarking?.huid || null;
+
+  return {
+    productId: product._id,
+    code: product.barcode || product.productCode,
+    productCode: product.productCode,
+    name: truncate(product.name, 24),
+    shopName: truncate(shop?.displayName || shop?.name, 20),
+    metal: product.metal?.type,
+    purity: product.metal?.purity || null,
+    grossWeight: fmtWeight(product.weight?.grossWeight),
+    netWeight: fmtWeight(product.weight?.netWeight),
+    stoneWeight: fmtWeight(product.weight?.stoneWeight),
+    huid,
+    price: showPrice ? Math.round(product.pricing?.sellingPrice || 0) : null,
+  };
+};
+
+/** Short lines for text-only printers: purity + weights, HUID, price */
+export const tagLines = tag =>
+  [
+    [tag.purity, tag.grossWeight && `G ${tag.grossWeight}`, tag.netWeight && `N ${tag.netWeight}`]
+      .filter(Boolean)
+      .join(' '),
+    tag.huid ? `HUID ${tag.huid}` : null,
+    tag.price !== null ? `Rs ${tag.price.toLocaleString('en-IN')}` : null,
+  ].filter(Boolean);
+
+export default { LABEL_SIZES, DEFAULT_LABEL_SIZE, resolveLabelSize, buildTagData, tagLines };
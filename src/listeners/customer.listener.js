@@ -1,80 +1,90 @@
-import eventBus from '../eventBus.js';
+import { subscribe } from '../eventBus.js';
 import Customer from '../models/Customer.js';
 import logger from '../utils/logger.js';
 
+// Statistics $inc se badalte hain — har update once() me, retry pe dobara count na ho
+
 // ─────────────────────────────────────────────
 // SALE_CREATED — customer statistics update karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_CREATED', async (data) => {
+subscribe('SALE_CREATED', 'customer', async (data, { once }) => {
   try {
     const { sale, customer, session } = data;
 
-    await Customer.recordPurchase(
-      customer._id,
-      sale.financials.grandTotal,
-      session || null
+    await once('statistics', () =>
+      Customer.recordPurchase(customer._id, sale.financials.grandTotal, session || null)
     );
   } catch (error) {
     logger.error('customer.listener SALE_CREATED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_COMPLETED — completedOrders update karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_COMPLETED', async (data) => {
+subscribe('SALE_COMPLETED', 'customer', async (data, { once }) => {
   try {
     const { sale } = data;
 
     const customer = await Customer.findById(sale.customerId);
     if (!customer) return;
 
-    await Customer.findByIdAndUpdate(sale.customerId, {
-      $inc: {
-        'statistics.completedOrders': 1,
-      },
-      $set: {
-        'statistics.averageOrderValue':
-          customer.statistics.totalSpent / (customer.statistics.completedOrders + 1),
-      },
-    });
+    await once('statistics', () =>
+      Customer.findByIdAndUpdate(sale.customerId, {
+        $inc: {
+          'statistics.completedOrders': 1,
+        },
+        $set: {
+          'statistics.averageOrderValue':
+            customer.statistics.totalSpent / (customer.statistics.completedOrders + 1),
+        },
+      })
+    );
   } catch (error) {
     logger.error('customer.listener SALE_COMPLETED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_CANCELLED — cancelledOrders update karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_CANCELLED', async (data) => {
+subscribe('SALE_CANCELLED', 'customer', async (data, { once }) => {
   try {
     const { sale } = data;
 
-    await Customer.findByIdAndUpdate(sale.customerId, {
-      $inc: {
-        'statistics.cancelledOrders': 1,
-        'statistics.completedOrders': -1,
-        'statistics.totalSpent':      -sale.financials.grandTotal,
-      },
-    });
+    await once('statistics', () =>
+      Customer.findByIdAndUpdate(sale.customerId, {
+        $inc: {
+          'statistics.cancelledOrders': 1,
+          'statistics.completedOrders': -1,
+          'statistics.totalSpent':      -sale.financials.grandTotal,
+        },
+      })
+    );
   } catch (error) {
     logger.error('customer.listener SALE_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_RETURNED — totalSpent reverse karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_RETURNED', async (data) => {
+subscribe('SALE_RETURNED', 'customer', async (data, { once }) => {
   try {
     const { sale, refundAmount } = data;
 
-    await Customer.findByIdAndUpdate(sale.customerId, {
-      $inc: {
-        'statistics.totalSpent': -(refundAmount || sale.financials.grandTotal),
-      },
-    });
+    await once('statistics', () =>
+      Customer.findByIdAndUpdate(sale.customerId, {
+        $inc: {
+          'statistics.totalSpent': -(refundAmount || sale.financials.grandTotal),
+        },
+      })
+    );
   } catch (error) {
     logger.error('customer.listener SALE_RETURNED failed:', error.message);
+    throw error;
   }
 });
\ No newline at end of file
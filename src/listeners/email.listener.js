@@ -1,9 +1,7 @@
-import eventBus from '../eventBus.js';
+// Customer / supplier ko jaane wale documents notification.listener se jaate hain
+// (NotificationLog + retry). Yahan sirf internal staff emails.
+import { subscribe } from '../eventBus.js';
 import {
-  sendSaleInvoiceEmail,
-  sendSalePaymentReceiptEmail,
-  sendPaymentReminderEmail,
-  sendPurchasePaymentVoucherEmail,
   sendSupplierPaymentDoneEmail,
   sendLowStockAlertEmail,
 } from '../utils/email.js';
@@ -11,77 +9,10 @@ import JewelryShop from '../models/Shop.js';
 import User from '../models/User.js';
 import logger from '../utils/logger.js';
 
-// ─────────────────────────────────────────────
-// SALE_CREATED — customer ko invoice email bhejo
-// ─────────────────────────────────────────────
-eventBus.on('SALE_CREATED', async (data) => {
-  try {
-    const { sale, customer, shop } = data;
-
-    if (!customer?.email) return;
-
-    await sendSaleInvoiceEmail(sale, customer, shop);
-  } catch (error) {
-    logger.error('email.listener SALE_CREATED failed:', error.message);
-  }
-});
-
-// ─────────────────────────────────────────────
-// SALE_PAYMENT_ADDED — customer ko receipt email bhejo
-// ─────────────────────────────────────────────
-eventBus.on('SALE_PAYMENT_ADDED', async (data) => {
-  try {
-    const { sale, payment } = data;
-
-    if (!sale.customerDetails?.email) return;
-
-    const customer = {
-      fullName: sale.customerDetails.customerName,
-      email:    sale.customerDetails.email,
-    };
-
-    const shop = await JewelryShop.findById(sale.shopId).lean();
-
-    await sendSalePaymentReceiptEmail(payment, sale, customer, shop);
-  } catch (error) {
-    logger.error('email.listener SALE_PAYMENT_ADDED failed:', error.message);
-  }
-});
-
-// ─────────────────────────────────────────────
-// PAYMENT_REMINDER — customer ko reminder email bhejo
-// ─────────────────────────────────────────────
-eventBus.on('PAYMENT_REMINDER', async (data) => {
-  try {
-    const { sale, customer, shop } = data;
-
-    if (!customer?.email) return;
-
-    await sendPaymentReminderEmail(sale, customer, shop);
-  } catch (error) {
-    logger.error('email.listener PAYMENT_REMINDER failed:', error.message);
-  }
-});
-
-// ─────────────────────────────────────────────
-// PURCHASE_PAYMENT_ADDED — supplier ko voucher email bhejo
-// ─────────────────────────────────────────────
-eventBus.on('PURCHASE_PAYMENT_ADDED', async (data) => {
-  try {
-    const { purchase, payment, supplier, shop } = data;
-
-    if (!supplier?.contactPerson?.email && !supplier?.businessEmail) return;
-
-    await sendPurchasePaymentVoucherEmail(payment, purchase, supplier, shop);
-  } catch (error) {
-    logger.error('email.listener PURCHASE_PAYMENT_ADDED voucher failed:', error.message);
-  }
-});
-
 // ─────────────────────────────────────────────
 // PURCHASE_PAYMENT_ADDED — shop admins ko notification email bhejo
 // ─────────────────────────────────────────────
-eventBus.on('PURCHASE_PAYMENT_ADDED', async (data) => {
+subscribe('PURCHASE_PAYMENT_ADDED', 'email', async (data) => {
   try {
     const { purchase, payment, supplier, shop, organizationId } = data;
 
@@ -110,7 +41,7 @@ eventBus.on('PURCHASE_PAYMENT_ADDED', async (data) => {
 // ─────────────────────────────────────────────
 // PRODUCT_LOW_STOCK — shop admins ko alert email bhejo
 // ─────────────────────────────────────────────
-eventBus.on('PRODUCT_LOW_STOCK', async (data) => {
+subscribe('PRODUCT_LOW_STOCK', 'email', async (data) => {
   try {
     const { product, newStatus, organizationId, shopId } = data;
 
@@ -138,4 +69,32 @@ eventBus.on('PRODUCT_LOW_STOCK', async (data) => {
   } catch (error) {
     logger.error('email.listener PRODUCT_LOW_STOCK failed:', error.message);
   }
-});
\ No newline at end of file
+});
+// ─────────────────────────────────────────────
+// LOW_STOCK_DIGEST — nightly job, shop admins ko ek summary email
+// ─────────────────────────────────────────────
+subscribe('LOW_STOCK_DIGEST', 'email', async (data) => {
+  try {
+    const { shop, products, organizationId } = data;
+
+    const shopAdmins = await User.find({
+      organizationId,
+      role:     { $in: ['org_admin', 'shop_admin'] },
+      isActive: true,
+    })
+      .select('firstName email')
+      .lean();
+
+    if (shopAdmins.length === 0) return;
+
+    await Promise.all(
+      shopAdmins.map(admin =>
+        sendLowStockAlertEmail(products, shop, admin).catch(err =>
+          logger.error(`email.listener LOW_STOCK_DIGEST failed — ${shop.name} → ${admin.email}:`, err.message)
+        )
+      )
+    );
+  } catch (error) {
+    logger.error('email.listener LOW_STOCK_DIGEST failed:', error.message);
+  }
+});
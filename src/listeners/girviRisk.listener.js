@@ -0,0 +1,23 @@
+import { subscribe } from '../eventBus.js';
+import { assessShopRisk } from '../api/girvi-risk/girviRisk.service.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// METAL_RATE_UPDATED — open girvis naye rate pe revalue, LTV band update
+// ─────────────────────────────────────────────
+subscribe('METAL_RATE_UPDATED', 'girviRisk', async data => {
+  try {
+    const summary = await assessShopRisk(data.shopId, { metalRate: data.metalRate });
+
+    if (summary?.marginCallCount) {
+      logger.warn('Girvis above margin call LTV after rate change', {
+        shopId: data.shopId,
+        marginCallCount: summary.marginCallCount,
+        portfolioLtv: summary.portfolioLtv,
+      });
+    }
+  } catch (error) {
+    logger.error('girviRisk.listener METAL_RATE_UPDATED failed:', error.message);
+    throw error;
+  }
+});
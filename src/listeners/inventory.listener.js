@@ -1,178 +1,224 @@
-import eventBus from '../eventBus.js';
+import { subscribe } from '../eventBus.js';
 import {
   increaseStock,
   decreaseStock,
   returnStock,
   createProductFromPurchase,
 } from '../api/inventory/inventory.service.js';
+import { REFERENCE_TYPES } from '../api/inventory/inventory.constants.js';
 import logger from '../utils/logger.js';
 
+// Har item ka stock movement once() me — beech ka item fail ho to retry pe
+// pehle wale items ka stock dobara nahi hilta
+
 // ─────────────────────────────────────────────
 // PURCHASE_RECEIVED — stock badhao ya product banao
 // ─────────────────────────────────────────────
-eventBus.on('PURCHASE_RECEIVED', async (data) => {
+subscribe('PURCHASE_RECEIVED', 'inventory', async (data, { once }) => {
   try {
     const { purchase, userId } = data;
 
-    for (const item of purchase.items) {
+    // Scrap purchase se product nahi banta — oldGold.listener lots banata hai
+    if (purchase.purchaseType === 'old_gold') return;
+
+    for (const [index, item] of purchase.items.entries()) {
       if (item.productId) {
-        await increaseStock({
-          organizationId:  purchase.organizationId,
-          shopId:          purchase.shopId,
-          productId:       item.productId,
-          quantity:        item.quantity,
-          referenceId:     purchase._id,
-          referenceNumber: purchase.purchaseNumber,
-          value:           item.itemTotal,
-          performedBy:     userId,
-        });
+        await once(`stock:${index}`, () =>
+          increaseStock({
+            organizationId:  purchase.organizationId,
+            shopId:          purchase.shopId,
+            productId:       item.productId,
+            quantity:        item.quantity,
+            referenceId:     purchase._id,
+            referenceNumber: purchase.purchaseNumber,
+            value:           item.itemTotal,
+            performedBy:     userId,
+            // Batch / serial tracked product ke liye — line weight per piece hai
+            supplierId:          purchase.supplierId,
+            supplierName:        purchase.supplierDetails?.supplierName,
+            supplierBatchNumber: item.supplierBatchNumber,
+            grossWeight:         item.grossWeight * item.quantity,
+            netWeight:           item.netWeight * item.quantity,
+            serialNumbers:       item.serialNumbers,
+          })
+        );
       } else {
-        await createProductFromPurchase({
-          organizationId:  purchase.organizationId,
-          shopId:          purchase.shopId,
-          item,
-          purchaseId:      purchase._id,
-          purchaseNumber:  purchase.purchaseNumber,
-          supplierId:      purchase.supplierId,
-          supplierDetails: purchase.supplierDetails,
-          userId,
-        });
+        await once(`stock:${index}`, () =>
+          createProductFromPurchase({
+            organizationId:  purchase.organizationId,
+            shopId:          purchase.shopId,
+            item,
+            purchaseId:      purchase._id,
+            purchaseNumber:  purchase.purchaseNumber,
+            supplierId:      purchase.supplierId,
+            supplierDetails: purchase.supplierDetails,
+            userId,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener PURCHASE_RECEIVED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // PURCHASE_CANCELLED — stock reverse karo
 // ─────────────────────────────────────────────
-eventBus.on('PURCHASE_CANCELLED', async (data) => {
+subscribe('PURCHASE_CANCELLED', 'inventory', async (data, { once }) => {
   try {
     const { purchase, userId } = data;
 
-    for (const item of purchase.items) {
+    for (const [index, item] of purchase.items.entries()) {
       if (item.productId) {
-        await decreaseStock({
-          organizationId:  purchase.organizationId,
-          shopId:          purchase.shopId,
-          productId:       item.productId,
-          quantity:        item.quantity,
-          referenceId:     purchase._id,
-          referenceNumber: purchase.purchaseNumber,
-          performedBy:     userId,
-        });
+        await once(`stock:${index}`, () =>
+          decreaseStock({
+            organizationId:  purchase.organizationId,
+            shopId:          purchase.shopId,
+            productId:       item.productId,
+            quantity:        item.quantity,
+            referenceId:     purchase._id,
+            referenceNumber: purchase.purchaseNumber,
+            performedBy:     userId,
+            referenceType:   REFERENCE_TYPES.PURCHASE,
+            serialNumbers:   item.serialNumbers,
+            preferSourceId:  purchase._id,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener PURCHASE_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // PURCHASE_RETURNED — stock wapas ghataao
 // ─────────────────────────────────────────────
-eventBus.on('PURCHASE_RETURNED', async (data) => {
+subscribe('PURCHASE_RETURNED', 'inventory', async (data, { once }) => {
   try {
     const { purchase, userId } = data;
 
-    for (const item of purchase.items) {
+    for (const [index, item] of purchase.items.entries()) {
       if (item.productId) {
-        await decreaseStock({
-          organizationId:  purchase.organizationId,
-          shopId:          purchase.shopId,
-          productId:       item.productId,
-          quantity:        item.quantity,
-          referenceId:     purchase._id,
-          referenceNumber: purchase.purchaseNumber,
-          performedBy:     userId,
-        });
+        await once(`stock:${index}`, () =>
+          decreaseStock({
+            organizationId:  purchase.organizationId,
+            shopId:          purchase.shopId,
+            productId:       item.productId,
+            quantity:        item.quantity,
+            referenceId:     purchase._id,
+            referenceNumber: purchase.purchaseNumber,
+            performedBy:     userId,
+            referenceType:   REFERENCE_TYPES.PURCHASE,
+            serialNumbers:   item.serialNumbers,
+            preferSourceId:  purchase._id,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener PURCHASE_RETURNED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_CREATED — stock ghataao
 // ─────────────────────────────────────────────
-eventBus.on('SALE_CREATED', async (data) => {
+subscribe('SALE_CREATED', 'inventory', async (data, { once }) => {
   try {
     const { sale, customerId, userId } = data;
 
-    for (const item of sale.items) {
+    for (const [index, item] of sale.items.entries()) {
       if (item.productId) {
-        await decreaseStock({
-          organizationId:  sale.organizationId,
-          shopId:          sale.shopId,
-          productId:       item.productId,
-          quantity:        item.quantity,
-          referenceId:     sale._id,
-          referenceNumber: sale.invoiceNumber,
-          value:           item.itemTotal,
-          performedBy:     userId,
-          customerId,
-        });
+        await once(`stock:${index}`, () =>
+          decreaseStock({
+            organizationId:  sale.organizationId,
+            shopId:          sale.shopId,
+            productId:       item.productId,
+            quantity:        item.quantity,
+            referenceId:     sale._id,
+            referenceNumber: sale.invoiceNumber,
+            value:           item.itemTotal,
+            performedBy:     userId,
+            customerId,
+            serialNumbers:   item.serialNumbers,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener SALE_CREATED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_CANCELLED — stock wapas karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_CANCELLED', async (data) => {
+subscribe('SALE_CANCELLED', 'inventory', async (data, { once }) => {
   try {
     const { sale, userId } = data;
 
-    for (const item of sale.items) {
+    for (const [index, item] of sale.items.entries()) {
       if (item.productId) {
-        await returnStock({
-          organizationId:  sale.organizationId,
-          shopId:          sale.shopId,
-          productId:       item.productId,
-          quantity:        item.quantity,
-          referenceId:     sale._id,
-          referenceNumber: sale.invoiceNumber,
-          performedBy:     userId,
-        });
+        await once(`stock:${index}`, () =>
+          returnStock({
+            organizationId:  sale.organizationId,
+            shopId:          sale.shopId,
+            productId:       item.productId,
+            quantity:        item.quantity,
+            referenceId:     sale._id,
+            referenceNumber: sale.invoiceNumber,
+            performedBy:     userId,
+            serialNumbers:   item.serialNumbers,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener SALE_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_RETURNED — stock wapas karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_RETURNED', async (data) => {
+subscribe('SALE_RETURNED', 'inventory', async (data, { once }) => {
   try {
     const { sale, itemsToReturn, userId } = data;
 
     const itemsList = itemsToReturn || sale.items;
 
-    for (const returnItem of itemsList) {
-      const saleItem = sale.items.find(
-        item => item.productId?.toString() === returnItem.productId?.toString()
+    for (const [index, returnItem] of itemsList.entries()) {
+      const saleItem = sale.items.find(item =>
+        returnItem.itemId
+          ? item._id?.toString() === returnItem.itemId.toString()
+          : item.productId?.toString() === returnItem.productId?.toString()
       );
 
       if (saleItem && saleItem.productId) {
-        await returnStock({
-          organizationId:  sale.organizationId,
-          shopId:          sale.shopId,
-          productId:       saleItem.productId,
-          quantity:        returnItem.quantity || saleItem.quantity,
-          referenceId:     sale._id,
-          referenceNumber: sale.invoiceNumber,
-          performedBy:     userId,
-        });
+        await once(`stock:${index}`, () =>
+          returnStock({
+            organizationId:  sale.organizationId,
+            shopId:          sale.shopId,
+            productId:       saleItem.productId,
+            quantity:        returnItem.quantity || saleItem.quantity,
+            referenceId:     sale._id,
+            referenceNumber: sale.invoiceNumber,
+            performedBy:     userId,
+            // Partial return me kaunse pieces aaye — na diye to sale ke latest pieces
+            serialNumbers:   returnItem.serialNumbers || (returnItem.quantity ? [] : saleItem.serialNumbers),
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('inventory.listener SALE_RETURNED failed:', error.message);
+    throw error;
   }
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-import eventBus from '../eventBus.js';
+import { subscribe } from '../eventBus.js';
 import {
   createDebitEntry,
   createCreditEntry,
@@ -8,58 +8,68 @@ import LedgerEntry from '../api/ledger/ledger.model.js';
 import logger from '../utils/logger.js';
 import { createMetalEntry } from '../api/metal-ledger/metal.service.js';
 
+// Ek event me kai entries banti hain — har entry once() me, taaki retry pe
+// sirf wahi bane jo pichhli baar reh gayi. Reverse handlers sirf active original
+// entries uthate hain (reversal khud bhi active hoti hai, use chhod ke) — reverse
+// ho chuki entry dobara nahi milti.
+
 // SALE_CREATED — customer pe debit entry
-eventBus.on('SALE_CREATED', async (data) => {
+subscribe('SALE_CREATED', 'ledger', async (data, { once }) => {
   try {
     const { sale, customer, userId } = data;
 
     // Cash ledger entry - existing
     if (sale.payment.dueAmount > 0) {
-      await createDebitEntry({
-        organizationId:  sale.organizationId,
-        shopId:          sale.shopId,
-        partyType:       'customer',
-        partyId:         customer._id,
-        partyModel:      'Customer',
-        partyName:       customer.fullName,
-        amount:          sale.payment.dueAmount,
-        referenceType:   'sale',
-        referenceId:     sale._id,
-        referenceNumber: sale.invoiceNumber,
-        description:     `Sale created - ${sale.invoiceNumber}`,
-        createdBy:       userId,
-      });
-    }
-
-    // Metal ledger entry - nayi
-    // Agar customer ne gold/silver diya hai
-    for (const item of sale.items) {
-      if (item.metalPending?.isPending && item.metalPending?.pendingWeight > 0) {
-        await createMetalEntry({
+      await once('debit', () =>
+        createDebitEntry({
           organizationId:  sale.organizationId,
           shopId:          sale.shopId,
           partyType:       'customer',
           partyId:         customer._id,
           partyModel:      'Customer',
           partyName:       customer.fullName,
-          metalType:       item.metalPending.metalType,
-          entryType:       'received',
-          weight:          item.metalPending.pendingWeight,
-          direction:       'we_owe', // Customer ka metal hamare paas hai
+          amount:          sale.payment.dueAmount,
           referenceType:   'sale',
           referenceId:     sale._id,
           referenceNumber: sale.invoiceNumber,
-          userId,
-        });
+          description:     `Sale created - ${sale.invoiceNumber}`,
+          createdBy:       userId,
+        })
+      );
+    }
+
+    // Metal ledger entry - nayi
+    // Agar customer ne gold/silver diya hai
+    for (const [index, item] of sale.items.entries()) {
+      if (item.metalPending?.isPending && item.metalPending?.pendingWeight > 0) {
+        await once(`metal:${index}`, () =>
+          createMetalEntry({
+            organizationId:  sale.organizationId,
+            shopId:          sale.shopId,
+            partyType:       'customer',
+            partyId:         customer._id,
+            partyModel:      'Customer',
+            partyName:       customer.fullName,
+            metalType:       item.metalPending.metalType,
+            entryType:       'received',
+            weight:          item.metalPending.pendingWeight,
+            direction:       'we_owe', // Customer ka metal hamare paas hai
+            referenceType:   'sale',
+            referenceId:     sale._id,
+            referenceNumber: sale.invoiceNumber,
+            userId,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('ledger.listener SALE_CREATED failed:', error.message);
+    throw error;
   }
 });
 
 // SALE_CANCELLED — ledger entry reverse karo
-eventBus.on('SALE_CANCELLED', async (data) => {
+subscribe('SALE_CANCELLED', 'ledger', async (data) => {
   try {
     const { sale, userId } = data;
 
@@ -67,6 +77,7 @@ eventBus.on('SALE_CANCELLED', async (data) => {
       referenceId:   sale._id,
       referenceType: 'sale',
       status:        'active',
+      isReversalOf:  null,
     });
 
     if (ledgerEntry) {
@@ -78,61 +89,67 @@ eventBus.on('SALE_CANCELLED', async (data) => {
     }
   } catch (error) {
     logger.error('ledger.listener SALE_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // PURCHASE_RECEIVED — supplier pe debit entry
-eventBus.on('PURCHASE_RECEIVED', async (data) => {
+subscribe('PURCHASE_RECEIVED', 'ledger', async (data, { once }) => {
   try {
     const { purchase, userId } = data;
 
     // Cash ledger entry - existing
     if (purchase.payment.dueAmount > 0) {
-      await createDebitEntry({
-        organizationId:  purchase.organizationId,
-        shopId:          purchase.shopId,
-        partyType:       'supplier',
-        partyId:         purchase.supplierId,
-        partyModel:      'Supplier',
-        partyName:       purchase.supplierDetails.supplierName,
-        amount:          purchase.payment.dueAmount,
-        referenceType:   'purchase',
-        referenceId:     purchase._id,
-        referenceNumber: purchase.purchaseNumber,
-        description:     `Purchase received - ${purchase.purchaseNumber}`,
-        createdBy:       userId,
-      });
-    }
-
-    // Metal ledger entry - nayi
-    // Agar koi item metal pending hai
-    for (const item of purchase.items) {
-      if (item.metalPending?.isPending && item.metalPending?.pendingWeight > 0) {
-        await createMetalEntry({
+      await once('debit', () =>
+        createDebitEntry({
           organizationId:  purchase.organizationId,
           shopId:          purchase.shopId,
           partyType:       'supplier',
           partyId:         purchase.supplierId,
           partyModel:      'Supplier',
           partyName:       purchase.supplierDetails.supplierName,
-          metalType:       item.metalPending.metalType,
-          entryType:       'received',
-          weight:          item.metalPending.pendingWeight,
-          direction:       'we_owe', // Hum denge supplier ko
+          amount:          purchase.payment.dueAmount,
           referenceType:   'purchase',
           referenceId:     purchase._id,
           referenceNumber: purchase.purchaseNumber,
-          userId,
-        });
+          description:     `Purchase received - ${purchase.purchaseNumber}`,
+          createdBy:       userId,
+        })
+      );
+    }
+
+    // Metal ledger entry - nayi
+    // Agar koi item metal pending hai
+    for (const [index, item] of purchase.items.entries()) {
+      if (item.metalPending?.isPending && item.metalPending?.pendingWeight > 0) {
+        await once(`metal:${index}`, () =>
+          createMetalEntry({
+            organizationId:  purchase.organizationId,
+            shopId:          purchase.shopId,
+            partyType:       'supplier',
+            partyId:         purchase.supplierId,
+            partyModel:      'Supplier',
+            partyName:       purchase.supplierDetails.supplierName,
+            metalType:       item.metalPending.metalType,
+            entryType:       'received',
+            weight:          item.metalPending.pendingWeight,
+            direction:       'we_owe', // Hum denge supplier ko
+            referenceType:   'purchase',
+            referenceId:     purchase._id,
+            referenceNumber: purchase.purchaseNumber,
+            userId,
+          })
+        );
       }
     }
   } catch (error) {
     logger.error('ledger.listener PURCHASE_RECEIVED failed:', error.message);
+    throw error;
   }
 });
 
 // PURCHASE_CANCELLED — ledger entry reverse karo
-eventBus.on('PURCHASE_CANCELLED', async (data) => {
+subscribe('PURCHASE_CANCELLED', 'ledger', async (data) => {
   try {
     const { purchase, userId } = data;
 
@@ -140,6 +157,7 @@ eventBus.on('PURCHASE_CANCELLED', async (data) => {
       referenceId:   purchase._id,
       referenceType: 'purchase',
       status:        'active',
+      isReversalOf:  null,
     });
 
     if (ledgerEntry) {
@@ -151,59 +169,66 @@ eventBus.on('PURCHASE_CANCELLED', async (data) => {
     }
   } catch (error) {
     logger.error('ledger.listener PURCHASE_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // PURCHASE_RETURNED — supplier pe credit entry
-eventBus.on('PURCHASE_RETURNED', async (data) => {
+subscribe('PURCHASE_RETURNED', 'ledger', async (data, { once }) => {
   try {
     const { purchase, userId } = data;
 
-    await createCreditEntry({
-      organizationId:  purchase.organizationId,
-      shopId:          purchase.shopId,
-      partyType:       'supplier',
-      partyId:         purchase.supplierId,
-      partyModel:      'Supplier',
-      partyName:       purchase.supplierDetails.supplierName,
-      amount:          purchase.financials.grandTotal,
-      referenceType:   'purchase',
-      referenceId:     purchase._id,
-      referenceNumber: purchase.purchaseNumber,
-      description:     `Purchase returned - ${purchase.purchaseNumber}`,
-      createdBy:       userId,
-    });
+    await once('credit', () =>
+      createCreditEntry({
+        organizationId:  purchase.organizationId,
+        shopId:          purchase.shopId,
+        partyType:       'supplier',
+        partyId:         purchase.supplierId,
+        partyModel:      'Supplier',
+        partyName:       purchase.supplierDetails.supplierName,
+        amount:          purchase.financials.grandTotal,
+        referenceType:   'purchase',
+        referenceId:     purchase._id,
+        referenceNumber: purchase.purchaseNumber,
+        description:     `Purchase returned - ${purchase.purchaseNumber}`,
+        createdBy:       userId,
+      })
+    );
   } catch (error) {
     logger.error('ledger.listener PURCHASE_RETURNED failed:', error.message);
+    throw error;
   }
 });
 
 // PURCHASE_PAYMENT_ADDED — supplier ko payment di
-eventBus.on('PURCHASE_PAYMENT_ADDED', async (data) => {
+subscribe('PURCHASE_PAYMENT_ADDED', 'ledger', async (data, { once }) => {
   try {
     const { purchase, payment, userId } = data;
 
-    await createCreditEntry({
-      organizationId:  purchase.organizationId,
-      shopId:          purchase.shopId,
-      partyType:       'supplier',
-      partyId:         purchase.supplierId,
-      partyModel:      'Supplier',
-      partyName:       purchase.supplierDetails.supplierName,
-      amount:          payment.amount,
-      referenceType:   'payment',
-      referenceId:     payment._id,
-      referenceNumber: payment.paymentNumber,
-      description:     `Payment made for purchase - ${purchase.purchaseNumber}`,
-      createdBy:       userId,
-    });
+    await once('credit', () =>
+      createCreditEntry({
+        organizationId:  purchase.organizationId,
+        shopId:          purchase.shopId,
+        partyType:       'supplier',
+        partyId:         purchase.supplierId,
+        partyModel:      'Supplier',
+        partyName:       purchase.supplierDetails.supplierName,
+        amount:          payment.amount,
+        referenceType:   'payment',
+        referenceId:     payment._id,
+        referenceNumber: payment.paymentNumber,
+        description:     `Payment made for purchase - ${purchase.purchaseNumber}`,
+        createdBy:       userId,
+      })
+    );
   } catch (error) {
     logger.error('ledger.listener PURCHASE_PAYMENT_ADDED failed:', error.message);
+    throw error;
   }
 });
 
 // PAYMENT_COMPLETED — cash/bank entry
-eventBus.on('PAYMENT_COMPLETED', async (data) => {
+subscribe('PAYMENT_COMPLETED', 'ledger', async (data, { once }) => {
   try {
     const { payment } = data;
 
@@ -222,47 +247,52 @@ eventBus.on('PAYMENT_COMPLETED', async (data) => {
       ? createCreditEntry
       : createDebitEntry;
 
-    await partyEntryFn({
-      organizationId:  payment.organizationId,
-      shopId:          payment.shopId,
-      partyType:       payment.party.partyType,
-      partyId:         payment.party.partyId,
-      partyModel:      payment.party.partyType === 'customer' ? 'Customer' : 'Supplier',
-      partyName:       payment.party.partyName,
-      amount:          payment.amount,
-      referenceType:   'payment',
-      referenceId:     payment._id,
-      referenceNumber: payment.paymentNumber,
-      description:     `Payment - ${payment.paymentNumber}`,
-      createdBy:       payment.processedBy,
-    });
+    await once('party', () =>
+      partyEntryFn({
+        organizationId:  payment.organizationId,
+        shopId:          payment.shopId,
+        partyType:       payment.party.partyType,
+        partyId:         payment.party.partyId,
+        partyModel:      payment.party.partyType === 'customer' ? 'Customer' : 'Supplier',
+        partyName:       payment.party.partyName,
+        amount:          payment.amount,
+        referenceType:   'payment',
+        referenceId:     payment._id,
+        referenceNumber: payment.paymentNumber,
+        description:     `Payment - ${payment.paymentNumber}`,
+        createdBy:       payment.processedBy,
+      })
+    );
 
     // Cash/Bank side entry
     const cashBankEntryFn = payment.transactionType === 'receipt'
       ? createDebitEntry
       : createCreditEntry;
 
-    await cashBankEntryFn({
-      organizationId:  payment.organizationId,
-      shopId:          payment.shopId,
-      partyType:       accountType,
-      partyId:         payment.shopId,
-      partyModel:      'JewelryShop',
-      partyName:       accountType.toUpperCase(),
-      amount:          payment.amount,
-      referenceType:   'payment',
-      referenceId:     payment._id,
-      referenceNumber: payment.paymentNumber,
-      description:     `${accountType.toUpperCase()} - ${payment.paymentNumber}`,
-      createdBy:       payment.processedBy,
-    });
+    await once('cash_bank', () =>
+      cashBankEntryFn({
+        organizationId:  payment.organizationId,
+        shopId:          payment.shopId,
+        partyType:       accountType,
+        partyId:         payment.shopId,
+        partyModel:      'JewelryShop',
+        partyName:       accountType.toUpperCase(),
+        amount:          payment.amount,
+        referenceType:   'payment',
+        referenceId:     payment._id,
+        referenceNumber: payment.paymentNumber,
+        description:     `${accountType.toUpperCase()} - ${payment.paymentNumber}`,
+        createdBy:       payment.processedBy,
+      })
+    );
   } catch (error) {
     logger.error('ledger.listener PAYMENT_COMPLETED failed:', error.message);
+    throw error;
   }
 });
 
 // PAYMENT_CANCELLED — ledger entries reverse karo
-eventBus.on('PAYMENT_CANCELLED', async (data) => {
+subscribe('PAYMENT_CANCELLED', 'ledger', async (data) => {
   try {
     const { payment } = data;
 
@@ -270,6 +300,7 @@ eventBus.on('PAYMENT_CANCELLED', async (data) => {
       referenceId:   payment._id,
       referenceType: 'payment',
       status:        'active',
+      isReversalOf:  null,
     });
 
     for (const entry of entries) {
@@ -281,11 +312,12 @@ eventBus.on('PAYMENT_CANCELLED', async (data) => {
     }
   } catch (error) {
     logger.error('ledger.listener PAYMENT_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // CHEQUE_CLEARED — cheque clear hua toh bank entry
-eventBus.on('CHEQUE_CLEARED', async (data) => {
+subscribe('CHEQUE_CLEARED', 'ledger', async (data, { once }) => {
   try {
     const { payment } = data;
 
@@ -293,46 +325,51 @@ eventBus.on('CHEQUE_CLEARED', async (data) => {
       ? createCreditEntry
       : createDebitEntry;
 
-    await partyEntryFn({
-      organizationId:  payment.organizationId,
-      shopId:          payment.shopId,
-      partyType:       payment.party.partyType,
-      partyId:         payment.party.partyId,
-      partyModel:      payment.party.partyType === 'customer' ? 'Customer' : 'Supplier',
-      partyName:       payment.party.partyName,
-      amount:          payment.amount,
-      referenceType:   'payment',
-      referenceId:     payment._id,
-      referenceNumber: payment.paymentNumber,
-      description:     `Cheque cleared - ${payment.paymentNumber}`,
-      createdBy:       payment.processedBy,
-    });
+    await once('party', () =>
+      partyEntryFn({
+        organizationId:  payment.organizationId,
+        shopId:          payment.shopId,
+        partyType:       payment.party.partyType,
+        partyId:         payment.party.partyId,
+        partyModel:      payment.party.partyType === 'customer' ? 'Customer' : 'Supplier',
+        partyName:       payment.party.partyName,
+        amount:          payment.amount,
+        referenceType:   'payment',
+        referenceId:     payment._id,
+        referenceNumber: payment.paymentNumber,
+        description:     `Cheque cleared - ${payment.paymentNumber}`,
+        createdBy:       payment.processedBy,
+      })
+    );
 
     const cashBankEntryFn = payment.transactionType === 'receipt'
       ? createDebitEntry
       : createCreditEntry;
 
-    await cashBankEntryFn({
-      organizationId:  payment.organizationId,
-      shopId:          payment.shopId,
-      partyType:       'bank',
-      partyId:         payment.shopId,
-      partyModel:      'JewelryShop',
-      partyName:       'BANK',
-      amount:          payment.amount,
-      referenceType:   'payment',
-      referenceId:     payment._id,
-      referenceNumber: payment.paymentNumber,
-      description:     `Cheque cleared - BANK - ${payment.paymentNumber}`,
-      createdBy:       payment.processedBy,
-    });
+    await once('bank', () =>
+      cashBankEntryFn({
+        organizationId:  payment.organizationId,
+        shopId:          payment.shopId,
+        partyType:       'bank',
+        partyId:         payment.shopId,
+        partyModel:      'JewelryShop',
+        partyName:       'BANK',
+        amount:          payment.amount,
+        referenceType:   'payment',
+        referenceId:     payment._id,
+        referenceNumber: payment.paymentNumber,
+        description:     `Cheque cleared - BANK - ${payment.paymentNumber}`,
+        createdBy:       payment.processedBy,
+      })
+    );
   } catch (error) {
     logger.error('ledger.listener CHEQUE_CLEARED failed:', error.message);
+    throw error;
   }
 });
 
 // CHEQUE_BOUNCED — reverse karo
-eventBus.on('CHEQUE_BOUNCED', async (data) => {
+subscribe('CHEQUE_BOUNCED', 'ledger', async (data) => {
   try {
     const { payment } = data;
 
@@ -340,6 +377,7 @@ eventBus.on('CHEQUE_BOUNCED', async (data) => {
       referenceId:   payment._id,
       referenceType: 'payment',
       status:        'active',
+      isReversalOf:  null,
     });
 
     for (const entry of entries) {
@@ -351,5 +389,6 @@ eventBus.on('CHEQUE_BOUNCED', async (data) => {
     }
   } catch (error) {
     logger.error('ledger.listener CHEQUE_BOUNCED failed:', error.message);
+    throw error;
   }
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { subscribe } from '../eventBus.js';
+import {
+  notifySaleInvoice,
+  notifySaleReceipt,
+  notifyPurchaseVoucher,
+  notifyPaymentReminder,
+} from '../notifications/notify.js';
+import JewelryShop from '../models/Shop.js';
+import logger from '../utils/logger.js';
+
+// Customer / supplier facing messages — sab dispatcher se, taaki NotificationLog
+// me record ho aur fail hone par retry job dobara bheje
+
+const recipientFor = (method, { email, phone }) => (method === 'email' ? email : phone);
+
+// ─────────────────────────────────────────────
+// SALE_CREATED — customer ko invoice email bhejo
+// ─────────────────────────────────────────────
+subscribe('SALE_CREATED', 'notification', async data => {
+  try {
+    const { sale, shop, userId } = data;
+
+    if (!sale.customerDetails?.email) return;
+
+    await notifySaleInvoice({
+      sale,
+      shop,
+      channel: 'email',
+      to: sale.customerDetails.email,
+      userId,
+    });
+  } catch (error) {
+    logger.error('notification.listener SALE_CREATED failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// SALE_PAYMENT_ADDED — customer ko receipt email bhejo
+// ─────────────────────────────────────────────
+subscribe('SALE_PAYMENT_ADDED', 'notification', async data => {
+  try {
+    const { sale, payment, userId } = data;
+
+    if (!sale.customerDetails?.email) return;
+
+    const shop = await JewelryShop.findById(sale.shopId).lean();
+
+    await notifySaleReceipt({
+      payment,
+      sale,
+      shop,
+      channel: 'email',
+      to: sale.customerDetails.email,
+      userId,
+    });
+  } catch (error) {
+    logger.error('notification.listener SALE_PAYMENT_ADDED failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// PURCHASE_PAYMENT_ADDED — supplier ko voucher email bhejo
+// ─────────────────────────────────────────────
+subscribe('PURCHASE_PAYMENT_ADDED', 'notification', async data => {
+  try {
+    const { purchase, payment, supplier, shop, userId } = data;
+
+    const to = supplier?.contactPerson?.email || supplier?.businessEmail;
+    if (!to) return;
+
+    await notifyPurchaseVoucher({
+      payment,
+      purchase,
+      supplier,
+      shop,
+      channel: 'email',
+      to,
+      userId,
+    });
+  } catch (error) {
+    logger.error('notification.listener PURCHASE_PAYMENT_ADDED voucher failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// PAYMENT_REMINDER — bulk reminders + overdue job
+// method: email | sms | whatsapp (default email)
+// ─────────────────────────────────────────────
+subscribe('PAYMENT_REMINDER', 'notification', async data => {
+  try {
+    const { sale, customer, shop, method = 'email' } = data;
+
+    const to = recipientFor(method, customer || {});
+    if (!to) return;
+
+    await notifyPaymentReminder({ sale, shop, channel: method, to });
+  } catch (error) {
+    logger.error('notification.listener PAYMENT_REMINDER failed:', error.message);
+  }
+});
@@ -0,0 +1,62 @@
+import { subscribe } from '../eventBus.js';
+import { receivePurchaseLots, cancelSourceLots } from '../api/old-gold/oldGold.service.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// PURCHASE_RECEIVED — old_gold purchase ke items lots bante hain
+// ─────────────────────────────────────────────
+subscribe('PURCHASE_RECEIVED', 'oldGold', async data => {
+  try {
+    const { purchase, userId } = data;
+    if (purchase.purchaseType !== 'old_gold') return;
+
+    await receivePurchaseLots({ purchase, userId });
+  } catch (error) {
+    logger.error('oldGold.listener PURCHASE_RECEIVED failed:', error.message);
+    throw error;
+  }
+});
+
+// ─────────────────────────────────────────────
+// PURCHASE_CANCELLED / PURCHASE_RETURNED — counter pe pade lots cancel
+// ─────────────────────────────────────────────
+for (const eventName of ['PURCHASE_CANCELLED', 'PURCHASE_RETURNED']) {
+  subscribe(eventName, 'oldGold', async data => {
+    try {
+      const { purchase, userId, reason } = data;
+      if (purchase.purchaseType !== 'old_gold') return;
+
+      await cancelSourceLots({
+        shopId: purchase.shopId,
+        referenceId: purchase._id,
+        userId,
+        reason:
+          reason ||
+          `Purchase ${purchase.purchaseNumber} ${eventName === 'PURCHASE_CANCELLED' ? 'cancelled' : 'returned'}`,
+      });
+    } catch (error) {
+      logger.error(`oldGold.listener ${eventName} failed:`, error.message);
+      throw error;
+    }
+  });
+}
+
+// ─────────────────────────────────────────────
+// SALE_CANCELLED — exchange ka maal customer ko wapas
+// ─────────────────────────────────────────────
+subscribe('SALE_CANCELLED', 'oldGold', async data => {
+  try {
+    const { sale, userId, reason } = data;
+    if (!sale.oldGoldExchange?.hasExchange) return;
+
+    await cancelSourceLots({
+      shopId: sale.shopId,
+      referenceId: sale._id,
+      userId,
+      reason: reason || `Sale ${sale.invoiceNumber} cancelled`,
+    });
+  } catch (error) {
+    logger.error('oldGold.listener SALE_CANCELLED failed:', error.message);
+    throw error;
+  }
+});
@@ -1,11 +1,13 @@
-import eventBus from '../eventBus.js';
+import { subscribe } from '../eventBus.js';
 import Payment from '../models/Payment.js';
 import logger from '../utils/logger.js';
 
+// Yahan sirf status $set hote hain — retry pe dobara chalein to bhi wahi result, once() ki zarurat nahi
+
 // ─────────────────────────────────────────────
 // PAYMENT_COMPLETED — payment status completed karo
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_COMPLETED', async (data) => {
+subscribe('PAYMENT_COMPLETED', 'payment', async (data) => {
   try {
     const { payment } = data;
 
@@ -14,6 +16,7 @@ eventBus.on('PAYMENT_COMPLETED', async (data) => {
     });
   } catch (error) {
     logger.error('payment.listener PAYMENT_COMPLETED failed:', error.message);
+    throw error;
   }
 });
 
@@ -25,7 +28,7 @@ eventBus.on('PAYMENT_COMPLETED', async (data) => {
 // (ledger reverse aur reference reverse
 //  ledger.listener aur reference.listener handle karenge)
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_CANCELLED', async (data) => {
+subscribe('PAYMENT_CANCELLED', 'payment', async (data) => {
   try {
     const { payment, reason, userId } = data;
 
@@ -53,6 +56,7 @@ eventBus.on('PAYMENT_CANCELLED', async (data) => {
 
   } catch (error) {
     logger.error('payment.listener PAYMENT_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
@@ -60,7 +64,7 @@ eventBus.on('PAYMENT_CANCELLED', async (data) => {
 // CHEQUE_CLEARED — cheque status cleared karo
 // aur payment completed karo
 // ─────────────────────────────────────────────
-eventBus.on('CHEQUE_CLEARED', async (data) => {
+subscribe('CHEQUE_CLEARED', 'payment', async (data) => {
   try {
     const { payment, clearanceDate, notes, userId } = data;
 
@@ -83,6 +87,7 @@ eventBus.on('CHEQUE_CLEARED', async (data) => {
     });
   } catch (error) {
     logger.error('payment.listener CHEQUE_CLEARED failed:', error.message);
+    throw error;
   }
 });
 
@@ -90,7 +95,7 @@ eventBus.on('CHEQUE_CLEARED', async (data) => {
 // CHEQUE_BOUNCED — cheque status bounced karo
 // aur payment failed karo
 // ─────────────────────────────────────────────
-eventBus.on('CHEQUE_BOUNCED', async (data) => {
+subscribe('CHEQUE_BOUNCED', 'payment', async (data) => {
   try {
     const { payment, bounceReason, notes, userId } = data;
 
@@ -113,6 +118,7 @@ eventBus.on('CHEQUE_BOUNCED', async (data) => {
     });
   } catch (error) {
     logger.error('payment.listener CHEQUE_BOUNCED failed:', error.message);
+    throw error;
   }
 });
 
@@ -120,7 +126,7 @@ eventBus.on('CHEQUE_BOUNCED', async (data) => {
 // PAYMENT_REFUNDED — original payment ka
 // status refunded karo
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_REFUNDED', async (data) => {
+subscribe('PAYMENT_REFUNDED', 'payment', async (data) => {
   try {
     const { originalPaymentId } = data;
 
@@ -129,5 +135,6 @@ eventBus.on('PAYMENT_REFUNDED', async (data) => {
     });
   } catch (error) {
     logger.error('payment.listener PAYMENT_REFUNDED failed:', error.message);
+    throw error;
   }
 });
\ No newline at end of file
@@ -1,13 +1,16 @@
-import eventBus from '../eventBus.js';
+import { subscribe } from '../eventBus.js';
 import Sale from '../models/Sale.js';
 import Purchase from '../models/Purchase.js';
 import Order from '../models/Order.js';
 import logger from '../utils/logger.js';
 
+// applyPayment / reversePayment paidAmount badhate-ghataate hain — once() me,
+// taaki outbox retry pe amount do baar na lage
+
 // ─────────────────────────────────────────────
 // PAYMENT_COMPLETED — reference ka payment status update karo
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_COMPLETED', async (data) => {
+subscribe('PAYMENT_COMPLETED', 'reference', async (data, { once }) => {
   try {
     const { payment } = data;
 
@@ -15,22 +18,25 @@ eventBus.on('PAYMENT_COMPLETED', async (data) => {
 
     if (!referenceId || referenceType === 'none') return;
 
-    if (referenceType === 'sale') {
-      await Sale.applyPayment(referenceId, payment.amount);
-    } else if (referenceType === 'purchase') {
-      await Purchase.applyPayment(referenceId, payment.amount);
-    } else if (referenceType === 'order') {
-      await Order.applyPayment(referenceId, payment.amount);
-    }
+    await once('reference', async () => {
+      if (referenceType === 'sale') {
+        await Sale.applyPayment(referenceId, payment.amount);
+      } else if (referenceType === 'purchase') {
+        await Purchase.applyPayment(referenceId, payment.amount);
+      } else if (referenceType === 'order') {
+        await Order.applyPayment(referenceId, payment.amount);
+      }
+    });
   } catch (error) {
     logger.error('reference.listener PAYMENT_COMPLETED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // PAYMENT_CANCELLED — reference ka payment status reverse karo
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_CANCELLED', async (data) => {
+subscribe('PAYMENT_CANCELLED', 'reference', async (data, { once }) => {
   try {
     const { payment } = data;
 
@@ -38,22 +44,25 @@ eventBus.on('PAYMENT_CANCELLED', async (data) => {
 
     if (!referenceId || referenceType === 'none') return;
 
-    if (referenceType === 'sale') {
-      await Sale.reversePayment(referenceId, payment.amount);
-    } else if (referenceType === 'purchase') {
-      await Purchase.reversePayment(referenceId, payment.amount);
-    } else if (referenceType === 'order') {
-      await Order.reversePayment(referenceId, payment.amount);
-    }
+    await once('reference', async () => {
+      if (referenceType === 'sale') {
+        await Sale.reversePayment(referenceId, payment.amount);
+      } else if (referenceType === 'purchase') {
+        await Purchase.reversePayment(referenceId, payment.amount);
+      } else if (referenceType === 'order') {
+        await Order.reversePayment(referenceId, payment.amount);
+      }
+    });
   } catch (error) {
     logger.error('reference.listener PAYMENT_CANCELLED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // CHEQUE_BOUNCED — reference ka payment reverse karo
 // ─────────────────────────────────────────────
-eventBus.on('CHEQUE_BOUNCED', async (data) => {
+subscribe('CHEQUE_BOUNCED', 'reference', async (data, { once }) => {
   try {
     const { payment } = data;
 
@@ -61,22 +70,25 @@ eventBus.on('CHEQUE_BOUNCED', async (data) => {
 
     if (!referenceId || referenceType === 'none') return;
 
-    if (referenceType === 'sale') {
-      await Sale.reversePayment(referenceId, payment.amount);
-    } else if (referenceType === 'purchase') {
-      await Purchase.reversePayment(referenceId, payment.amount);
-    } else if (referenceType === 'order') {
-      await Order.reversePayment(referenceId, payment.amount);
-    }
+    await once('reference', async () => {
+      if (referenceType === 'sale') {
+        await Sale.reversePayment(referenceId, payment.amount);
+      } else if (referenceType === 'purchase') {
+        await Purchase.reversePayment(referenceId, payment.amount);
+      } else if (referenceType === 'order') {
+        await Order.reversePayment(referenceId, payment.amount);
+      }
+    });
   } catch (error) {
     logger.error('reference.listener CHEQUE_BOUNCED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // PAYMENT_REFUNDED — original reference reverse karo
 // ─────────────────────────────────────────────
-eventBus.on('PAYMENT_REFUNDED', async (data) => {
+subscribe('PAYMENT_REFUNDED', 'reference', async (data, { once }) => {
   try {
     const { refundPayment } = data;
 
@@ -84,40 +96,45 @@ eventBus.on('PAYMENT_REFUNDED', async (data) => {
 
     if (!referenceId || referenceType === 'none') return;
 
-    if (referenceType === 'sale') {
-      await Sale.reversePayment(referenceId, refundPayment.amount);
-    } else if (referenceType === 'purchase') {
-      await Purchase.reversePayment(referenceId, refundPayment.amount);
-    } else if (referenceType === 'order') {
-      await Order.reversePayment(referenceId, refundPayment.amount);
-    }
+    await once('reference', async () => {
+      if (referenceType === 'sale') {
+        await Sale.reversePayment(referenceId, refundPayment.amount);
+      } else if (referenceType === 'purchase') {
+        await Purchase.reversePayment(referenceId, refundPayment.amount);
+      } else if (referenceType === 'order') {
+        await Order.reversePayment(referenceId, refundPayment.amount);
+      }
+    });
   } catch (error) {
     logger.error('reference.listener PAYMENT_REFUNDED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // PURCHASE_PAYMENT_ADDED — purchase ka paidAmount update karo
 // ─────────────────────────────────────────────
-eventBus.on('PURCHASE_PAYMENT_ADDED', async (data) => {
+subscribe('PURCHASE_PAYMENT_ADDED', 'reference', async (data, { once }) => {
   try {
     const { purchase, payment } = data;
 
-    await Purchase.applyPayment(purchase._id, payment.amount);
+    await once('reference', () => Purchase.applyPayment(purchase._id, payment.amount));
   } catch (error) {
     logger.error('reference.listener PURCHASE_PAYMENT_ADDED failed:', error.message);
+    throw error;
   }
 });
 
 // ─────────────────────────────────────────────
 // SALE_PAYMENT_ADDED — sale ka paidAmount update karo
 // ─────────────────────────────────────────────
-eventBus.on('SALE_PAYMENT_ADDED', async (data) => {
+subscribe('SALE_PAYMENT_ADDED', 'reference', async (data, { once }) => {
   try {
     const { sale, payment } = data;
 
-    await Sale.applyPayment(sale._id, payment.amount);
+    await once('reference', () => Sale.applyPayment(sale._id, payment.amount));
   } catch (error) {
     logger.error('reference.listener SALE_PAYMENT_ADDED failed:', error.message);
+    throw error;
   }
 });
\ No newline at end of file
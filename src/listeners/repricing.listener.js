@@ -0,0 +1,23 @@
+import { subscribe } from '../eventBus.js';
+import { repriceOnRateChange } from '../api/products/repricing.service.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// METAL_RATE_UPDATED — in-stock products naye rate pe
+// ─────────────────────────────────────────────
+subscribe('METAL_RATE_UPDATED', 'repricing', async data => {
+  try {
+    const run = await repriceOnRateChange(data);
+
+    if (run) {
+      logger.info('Products repriced after rate change', {
+        shopId: data.shopId,
+        runId: run._id,
+        repriced: run.summary.repriced,
+      });
+    }
+  } catch (error) {
+    logger.error('repricing.listener METAL_RATE_UPDATED failed:', error.message);
+    throw error;
+  }
+});
@@ -0,0 +1,147 @@
+import { subscribe } from '../eventBus.js';
+import SchemeEnrollment from '../models/SchemeEnrollment.js';
+import JewelryShop from '../models/Shop.js';
+import '../models/Scheme.js';
+import '../models/Customer.js';
+import { notifySchemeEvent } from '../notifications/notify.js';
+import { resolveChannel } from '../notifications/preferences.js';
+import logger from '../utils/logger.js';
+
+// Gold scheme customer notices. Channel customer ki communicationPreference se aata hai;
+// har attempt (sent / failed / skipped) enrollment.contactHistory me record hota hai.
+
+const installmentNumberFor = (type, enrollment) => {
+  const schedule = enrollment.schedule || [];
+
+  if (type === 'installment_due') {
+    return (
+      schedule.find(s => s.status === 'pending' || s.status === 'overdue')?.installmentNumber ??
+      null
+    );
+  }
+  if (type === 'installment_missed') {
+    return schedule.filter(s => s.status === 'missed').pop()?.installmentNumber ?? null;
+  }
+  return null;
+};
+
+const notifyEnrollment = async (
+  enrollmentId,
+  type,
+  { trigger = 'auto', requested = null, userId = null } = {}
+) => {
+  const enrollment = await SchemeEnrollment.findById(enrollmentId)
+    .populate('customerId', 'firstName lastName email phone preferences')
+    .populate('schemeId', 'schemeName schemeCode')
+    .lean();
+
+  if (!enrollment) return null;
+
+  const customer = enrollment.customerId || {};
+  const preference = customer.preferences?.communicationPreference || 'sms';
+
+  const { channel, to, reason } = resolveChannel(
+    preference,
+    {
+      email: customer.email || enrollment.customerDetails?.email,
+      phone: customer.phone || enrollment.customerDetails?.phone,
+    },
+    requested
+  );
+
+  const entry = {
+    type,
+    channel: channel || preference,
+    installmentNumber: installmentNumberFor(type, enrollment),
+    trigger,
+    contactedAt: new Date(),
+    contactedBy: userId,
+  };
+
+  if (!channel) {
+    entry.status = 'skipped';
+    entry.reason = reason;
+  } else {
+    try {
+      const shop = await JewelryShop.findById(enrollment.shopId).lean();
+      const notification = await notifySchemeEvent({ type, enrollment, shop, channel, to, userId });
+
+      entry.status = notification.status === 'sent' ? 'sent' : 'failed';
+      entry.recipient = notification.recipient;
+      entry.notificationId = notification._id;
+      entry.reason = notification.failureReason || null;
+    } catch (error) {
+      // invalid phone / email — NotificationLog bana hi nahi
+      entry.status = 'failed';
+      entry.recipient = to;
+      entry.reason = error.message;
+    }
+  }
+
+  await SchemeEnrollment.updateOne({ _id: enrollment._id }, { $push: { contactHistory: entry } });
+  return entry;
+};
+
+// ─────────────────────────────────────────────
+// SCHEME_ENROLLMENT_CREATED — enrollment confirmation
+// ─────────────────────────────────────────────
+subscribe('SCHEME_ENROLLMENT_CREATED', 'scheme', async data => {
+  try {
+    const { enrollment, userId } = data;
+    await notifyEnrollment(enrollment._id, 'enrollment_confirmation', { userId });
+  } catch (error) {
+    logger.error('scheme.listener SCHEME_ENROLLMENT_CREATED failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// SCHEME_PAYMENT_REMINDER — upcoming installment
+// manual: staff ne /dues/send-reminders se bheja (method = fallback channel)
+// auto:   scheme-reminders job, due date se kuch din pehle
+// ─────────────────────────────────────────────
+subscribe('SCHEME_PAYMENT_REMINDER', 'scheme', async data => {
+  try {
+    const { enrollment, method = null, userId = null, trigger = 'manual' } = data;
+    await notifyEnrollment(enrollment._id, 'installment_due', {
+      trigger,
+      requested: method,
+      userId,
+    });
+  } catch (error) {
+    logger.error('scheme.listener SCHEME_PAYMENT_REMINDER failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// SCHEME_INSTALLMENT_MISSED — aging job ne installment missed mark kiya
+// ─────────────────────────────────────────────
+subscribe('SCHEME_INSTALLMENT_MISSED', 'scheme', async data => {
+  try {
+    await notifyEnrollment(data.enrollment._id, 'installment_missed');
+  } catch (error) {
+    logger.error('scheme.listener SCHEME_INSTALLMENT_MISSED failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// SCHEME_MATURITY_APPROACHING — expected end date paas hai
+// ─────────────────────────────────────────────
+subscribe('SCHEME_MATURITY_APPROACHING', 'scheme', async data => {
+  try {
+    await notifyEnrollment(data.enrollment._id, 'maturity_approaching');
+  } catch (error) {
+    logger.error('scheme.listener SCHEME_MATURITY_APPROACHING failed:', error.message);
+  }
+});
+
+// ─────────────────────────────────────────────
+// SCHEME_ENROLLMENT_REDEEMED — redemption completed
+// ─────────────────────────────────────────────
+subscribe('SCHEME_ENROLLMENT_REDEEMED', 'scheme', async data => {
+  try {
+    const { enrollment, userId } = data;
+    await notifyEnrollment(enrollment._id, 'redemption_completed', { userId });
+  } catch (error) {
+    logger.error('scheme.listener SCHEME_ENROLLMENT_REDEEMED failed:', error.message);
+  }
+});
@@ -29,6 +29,21 @@ import girviRouter from '../api/girvi/girvi.routes.js'
 import paymentGirviRouter from '../api/girvipayment/girviPayment.routes.js'
 import cashbookRoutes from '../api/cashbook/girviCashbook.routes.js'
 import transferRoutes from '../api/transfer/girviTransfer.routes.js'
+import auctionRoutes, { shopAuctionRouter } from '../api/auction/girviAuction.routes.js'
+import girviRiskRoutes from '../api/girvi-risk/girviRisk.routes.js'
+import jobRoutes from '../api/jobs/job.routes.js'
+import gstReportRoutes from '../api/reports/gstReport.routes.js'
+import financialReportRoutes, { orgReportRouter } from '../api/reports/financialReport.routes.js'
+import { creditNoteRouter, debitNoteRouter } from '../api/tax-notes/taxNote.routes.js'
+import notificationRoutes from '../api/notification/notification.routes.js'
+import outboxRoutes from '../api/outbox/outbox.routes.js'
+import stockTransferRoutes from '../api/stock-transfer/stockTransfer.routes.js'
+import stockAuditRoutes from '../api/stock-audit/stockAudit.routes.js'
+import oldGoldRoutes from '../api/old-gold/oldGold.routes.js'
+import karigarRoutes from '../api/karigar/karigar.routes.js'
+import metalPositionRoutes from '../api/metal-position/metalPosition.routes.js'
+import shopUserRoutes from '../api/shop-users/shopUser.routes.js'
+import dataExportRoutes from '../api/data-export/dataExport.routes.js'
 const loadExpressApp = app => {
   app.set('trust proxy', 1);
 
@@ -138,6 +153,9 @@ const loadExpressApp = app => {
   app.use('/api/v1/shops/:shopId/girvi-cashbook', cashbookRoutes);
   app.use('/api/v1/shops/:shopId/girvi/:girviId/transfer',transferRoutes);
   app.use('/api/v1/shops/:shopId/girvi-payments', shopPaymentRouter);
+  app.use('/api/v1/shops/:shopId/girvi/:girviId/auction', auctionRoutes);
+  app.use('/api/v1/shops/:shopId/girvi-auctions', shopAuctionRouter);
+  app.use('/api/v1/shops/:shopId/girvi-risk', girviRiskRoutes);
   app.use('/api/v1/shops/:shopId/customers', customerRoutes);
   app.use('/api/v1/suppliers', supplierRoutes);
   app.use('/api/v1/shops/:shopId/purchases', purchaseRoutes);
@@ -145,8 +163,23 @@ const loadExpressApp = app => {
 app.use('/api/v1/shops/:shopId/girvi-transfers', shopTransferRouter);
   app.use('/api/v1/shops/:shopId/product', productRoutes);
   app.use('/api/v1/shops/:shopId/sales', salesRoutes); 
+  app.use('/api/v1/shops/:shopId/reports/gst', gstReportRoutes);
+  app.use('/api/v1/shops/:shopId/reports', financialReportRoutes);
+  app.use('/api/v1/shops/:shopId/credit-notes', creditNoteRouter);
+  app.use('/api/v1/shops/:shopId/debit-notes', debitNoteRouter);
+  app.use('/api/v1/shops/:shopId/notifications', notificationRoutes);
+  app.use('/api/v1/shops/:shopId/stock-transfers', stockTransferRoutes);
+  app.use('/api/v1/shops/:shopId/stock-audits', stockAuditRoutes);
+  app.use('/api/v1/shops/:shopId/old-gold', oldGoldRoutes);
+  app.use('/api/v1/shops/:shopId/karigars', karigarRoutes);
+  app.use('/api/v1/shops/:shopId/metal-position', metalPositionRoutes);
+  app.use('/api/v1/shops/:shopId/users', shopUserRoutes);
   app.use('/api/v1/categories', categoryRoutes);
   app.use('/api/v1/organizations', orgRoutes);
+  app.use('/api/v1/reports', orgReportRouter);
+  app.use('/api/v1/data-exports', dataExportRoutes);
+  app.use('/api/v1/jobs', jobRoutes);
+  app.use('/api/v1/events', outboxRoutes);
   app.use('/api/v1/shops/:shopId/metal-ledger', metalLedgerRoutes);
 app.use('/api/v1/shops/:shopId/opening-balance', openingBalanceRoutes);
 
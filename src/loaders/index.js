@@ -1,5 +1,6 @@
 import connectDatabase from './database.js';
 import loadExpressApp from './express.js';
+import { startScheduler } from '../jobs/index.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -18,6 +19,11 @@ const initLoaders = async app => {
     // 3. Load Redis (if you want to use it)
     // await connectRedis();
 
+    // 4. Start scheduled jobs (set ENABLE_SCHEDULER=false to run API-only instances)
+    if (process.env.ENABLE_SCHEDULER !== 'false' && process.env.NODE_ENV !== 'test') {
+      await startScheduler();
+    }
+
     logger.info('  All loaders initialized successfully');
   } catch (error) {
     logger.error('  Loader initialization failed:', error);
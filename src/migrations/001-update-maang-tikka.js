@@ -0,0 +1,100 @@
+// FILE: src/migrations/001-update-maang-tikka.js
+// Pehle scripts/updateMaangTikka.js tha. MAANG_TIKKA parent pakka karo aur uski teen
+// sub-categories (traditional / modern / bridal) upsert karo.
+
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import Purchase from '../models/Purchase.js';
+import { ConflictError } from '../utils/AppError.js';
+
+const PARENT = {
+  code: 'MAANG_TIKKA',
+  name: { default: 'Maang Tikka', localized: { hi: 'मांग टीका' } },
+};
+
+const SUB_CATEGORIES = [
+  {
+    code: 'TRADITIONAL_MAANG_TIKKA',
+    name: { default: 'Traditional Maang Tikka', localized: { hi: 'पारंपरिक मांग टीका' } },
+  },
+  {
+    code: 'MODERN_MAANG_TIKKA',
+    name: { default: 'Modern Maang Tikka', localized: { hi: 'आधुनिक मांग टीका' } },
+  },
+  {
+    code: 'BRIDAL_MAANG_TIKKA',
+    name: { default: 'Bridal Maang Tikka', localized: { hi: 'दुल्हन का मांग टीका' } },
+  },
+];
+
+const up = async ({ dryRun, log }) => {
+  const codes = SUB_CATEGORIES.map(sub => sub.code);
+
+  if (dryRun) {
+    const existing = await Category.find({ code: { $in: [PARENT.code, ...codes] } })
+      .select('code')
+      .lean();
+    const found = new Set(existing.map(category => category.code));
+    const missing = [PARENT.code, ...codes].filter(code => !found.has(code));
+
+    log(
+      `would upsert ${codes.length + 1} categories (${missing.length} new: ${missing.join(', ') || 'none'})`
+    );
+    return { upserted: codes.length + 1, created: missing.length };
+  }
+
+  const parent = await Category.findOneAndUpdate(
+    { code: PARENT.code },
+    { $set: { name: PARENT.name, isActive: true } },
+    { upsert: true, new: true }
+  );
+
+  let created = 0;
+  for (const sub of SUB_CATEGORIES) {
+    const result = await Category.updateOne(
+      { code: sub.code },
+      { $set: { ...sub, parentId: parent._id, isActive: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  log(`upserted ${codes.length + 1} categories (${created} new sub-categories)`);
+  return { upserted: codes.length + 1, created };
+};
+
+// Parent seedCategories se bhi aata hai, wo rehne do — sirf teen sub-categories hatao,
+// aur tabhi jab koi product / purchase unhe use na kar raha ho
+const down = async ({ dryRun, log }) => {
+  const subs = await Category.find({ code: { $in: SUB_CATEGORIES.map(sub => sub.code) } })
+    .select('_id code')
+    .lean();
+  const ids = subs.map(sub => sub._id);
+
+  const [products, purchases] = await Promise.all([
+    Product.countDocuments({
+      $or: [{ categoryId: { $in: ids } }, { subCategoryId: { $in: ids } }],
+    }),
+    Purchase.countDocuments({
+      $or: [{ 'items.category': { $in: ids } }, { 'items.subCategory': { $in: ids } }],
+    }),
+  ]);
+  if (products || purchases) {
+    throw new ConflictError(
+      `Maang Tikka sub-categories are used by ${products} product(s) and ${purchases} purchase(s)`
+    );
+  }
+
+  if (!dryRun) await Category.deleteMany({ _id: { $in: ids } });
+
+  log(`${dryRun ? 'would remove' : 'removed'} ${subs.length} sub-categories`);
+  return { removed: subs.length };
+};
+
+export default {
+  version: 1,
+  name: 'update-maang-tikka',
+  description: 'Upsert the Maang Tikka category and its three sub-categories',
+  up,
+  down,
+};
@@ -0,0 +1,69 @@
+// FILE: src/migrations/002-add-girvi-permissions.js
+// Pehle scripts/addGirviPermissions.js tha. Girvi module aane se pehle bane access records
+// me girvi permissions nahi thi — role ke hisaab se daalo. Table jaan-boojh ke yahin
+// freeze hai; permissions.config.js baad me badle to ye migration nahi badalni chahiye.
+
+import { fillMissingPermissions } from './helpers.js';
+
+const GIRVI_PERMISSIONS = [
+  'canCreateGirvi',
+  'canViewGirvi',
+  'canUpdateGirvi',
+  'canDeleteGirvi',
+  'canReleaseGirvi',
+  'canTransferGirvi',
+  'canReturnGirviTransfer',
+  'canCancelGirviTransfer',
+  'canAddGirviPayment',
+  'canDeleteGirviPayment',
+  'canManageGirvi',
+  'canViewGirviCashbook',
+  'canCreateGirviCashbookEntry',
+  'canDeleteGirviCashbookEntry',
+];
+
+// Jo list me hai wo true, baaki false. Anjaan role ko kuch nahi milta.
+const GRANTED_BY_ROLE = {
+  shop_admin: GIRVI_PERMISSIONS,
+  manager: [
+    'canCreateGirvi',
+    'canViewGirvi',
+    'canUpdateGirvi',
+    'canReleaseGirvi',
+    'canTransferGirvi',
+    'canReturnGirviTransfer',
+    'canAddGirviPayment',
+    'canManageGirvi',
+    'canViewGirviCashbook',
+    'canCreateGirviCashbookEntry',
+  ],
+  staff: ['canCreateGirvi', 'canViewGirvi', 'canAddGirviPayment'],
+  accountant: ['canViewGirvi', 'canViewGirviCashbook'],
+  viewer: [],
+};
+
+export const girviPermissionsFor = role => {
+  const granted = GRANTED_BY_ROLE[role] || [];
+  const permissions = {};
+  GIRVI_PERMISSIONS.forEach(key => {
+    permissions[key] = granted.includes(key);
+  });
+  return permissions;
+};
+
+const up = async ({ dryRun, log }) => {
+  const result = await fillMissingPermissions({}, girviPermissionsFor, { dryRun });
+  log(
+    `${dryRun ? 'would update' : 'updated'} ${result.updated} of ${result.scanned} access records`
+  );
+  return result;
+};
+
+export default {
+  version: 2,
+  name: 'add-girvi-permissions',
+  description: 'Give existing shop access records the girvi permissions of their role',
+  up,
+  // Baad me admins ne jo girvi permissions di hain wo inse alag nahi pehchani ja sakti
+  down: null,
+};
@@ -0,0 +1,27 @@
+// FILE: src/migrations/003-update-shop-access-permissions.js
+// Pehle scripts/updateShopAccessPermissions.js tha. Active access records me nayi
+// permissions role ke default se bharo; jo pehle se set hai (overrides bhi) wo waisa hi rehta hai.
+
+import { getPermissionsByRole } from '../config/permissions.config.js';
+import { fillMissingPermissions } from './helpers.js';
+
+const up = async ({ dryRun, log }) => {
+  const result = await fillMissingPermissions(
+    { deletedAt: null, revokedAt: null },
+    getPermissionsByRole,
+    { dryRun }
+  );
+  log(
+    `${dryRun ? 'would fill' : 'filled'} ${result.keys} permissions on ${result.updated} of ${result.scanned} active access records`
+  );
+  return result;
+};
+
+export default {
+  version: 3,
+  name: 'update-shop-access-permissions',
+  description: 'Fill permissions missing from active shop access records with role defaults',
+  up,
+  // Bhari hui keys aur admin ki set ki hui keys me farak nahi bacha
+  down: null,
+};
@@ -0,0 +1,39 @@
+// FILE: src/migrations/004-enable-scheme-and-multishop-features.js
+// Scheme aur stock-transfer APIs ab plan ke schemeManagement / multiShop flags ke peeche
+// hain. Dono ka default false hai, to deploy ke din purane organizations bahar ho jaate —
+// jo organizations pehle se hain unke liye dono on karo. Naye organizations plan se chalenge.
+
+import Organization from '../models/Organization.js';
+
+const FEATURES = ['schemeManagement', 'multiShop'];
+
+const up = async ({ dryRun, log }) => {
+  const filter = {
+    $or: FEATURES.map(feature => ({ [`subscription.features.${feature}`]: { $ne: true } })),
+  };
+
+  if (dryRun) {
+    const count = await Organization.countDocuments(filter);
+    log(`would enable ${FEATURES.join(' + ')} on ${count} organizations`);
+    return { updated: count };
+  }
+
+  const set = {};
+  FEATURES.forEach(feature => {
+    set[`subscription.features.${feature}`] = true;
+  });
+  const result = await Organization.updateMany(filter, { $set: set });
+
+  log(`enabled ${FEATURES.join(' + ')} on ${result.modifiedCount} organizations`);
+  return { updated: result.modifiedCount };
+};
+
+export default {
+  version: 4,
+  name: 'enable-scheme-and-multishop-features',
+  description:
+    'Keep scheme and stock-transfer access for organizations created before the plan gate',
+  up,
+  // Baad me plan se on kiye gaye flags inse alag nahi pehchane ja sakte
+  down: null,
+};
@@ -0,0 +1,49 @@
+// FILE: src/migrations/helpers.js
+// Migrations ke common tukde. Numbered files hi migration hain — ye file registry me nahi jaati.
+
+import UserShopAccess from '../models/UserShopAccess.js';
+
+const BATCH_SIZE = 500;
+
+/**
+ * UserShopAccess records me jo permission keys abhi stored hi nahi hain, sirf wahi set karo.
+ * Jo key pehle se hai (role default ho ya admin ka override) use nahi chhoona — isliye
+ * dobara chalana safe hai.
+ *
+ * @param {Object} filter - UserShopAccess query
+ * @param {Function} permissionsFor - role => { permissionKey: boolean }
+ * @returns {Promise<{ scanned: number, updated: number, keys: number }>}
+ */
+export const fillMissingPermissions = async (filter, permissionsFor, { dryRun }) => {
+  const result = { scanned: 0, updated: 0, keys: 0 };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length && !dryRun) await UserShopAccess.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  // lean — schema defaults nahi lagte, to "missing" sach me missing hai
+  const cursor = UserShopAccess.find(filter).select('role permissions').lean().cursor();
+
+  for await (const access of cursor) {
+    result.scanned += 1;
+    const stored = access.permissions || {};
+    const set = {};
+
+    for (const [key, value] of Object.entries(permissionsFor(access.role))) {
+      if (!(key in stored)) set[`permissions.${key}`] = value;
+    }
+    if (!Object.keys(set).length) continue;
+
+    result.updated += 1;
+    result.keys += Object.keys(set).length;
+    ops.push({ updateOne: { filter: { _id: access._id }, update: { $set: set } } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return result;
+};
+
+export default { fillMissingPermissions };
@@ -0,0 +1,17 @@
+// FILE: src/migrations/index.js
+// Migration registry — scripts/migrate.js inhe version ke order me chalata hai.
+// Nayi migration: agla number le ke `NNN-naam.js` banao ({ version, name, description,
+// up, down }) aur yahan daalo. down nahi ho sakta to `down: null`.
+// Applied migration ko edit mat karo — galti sudharni ho to nayi migration likho.
+
+import updateMaangTikka from './001-update-maang-tikka.js';
+import addGirviPermissions from './002-add-girvi-permissions.js';
+import updateShopAccessPermissions from './003-update-shop-access-permissions.js';
+import enableSchemeAndMultiShopFeatures from './004-enable-scheme-and-multishop-features.js';
+
+export default [
+  updateMaangTikka,
+  addGirviPermissions,
+  updateShopAccessPermissions,
+  enableSchemeAndMultiShopFeatures,
+];
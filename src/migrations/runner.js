@@ -0,0 +1,269 @@
+// FILE: src/migrations/runner.js
+// Versioned data migrations. Code me registry (./index.js), database me `migrations`
+// collection — jo version wahan nahi wo pending. up/down MigrationLock ke neeche chalte
+// hain taaki PM2 ke kai instances ek saath `migrate up` karein to bhi ek hi chalaye;
+// baaki lock ka intezaar karke dobara dekhte hain aur kuch pending nahi milta.
+//
+// Har migration ko { dryRun, log } milta hai. dryRun me wo sirf padhti hai aur batati
+// hai kya karegi — runner na lock leta hai na record likhta hai.
+
+import Migration from '../models/Migration.js';
+import MigrationLock from '../models/MigrationLock.js';
+import { INSTANCE_ID } from '../jobs/scheduler.js';
+import { BadRequestError, ConflictError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import registry from './index.js';
+
+const LOCK_NAME = 'migrations';
+
+// Itni der tak lock refresh na ho to instance mara hua maan lo
+export const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const LOCK_POLL_MS = 2000;
+
+export const migrationLabel = migration =>
+  `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+
+// ─── Pure helpers ──────────────────────────────────────────────────────────────
+export const validateMigrations = migrations => {
+  let previous = 0;
+
+  for (const migration of migrations) {
+    const { version, name, up, down } = migration;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Migration ${name || '(unnamed)'} needs a positive integer version`);
+    }
+    if (version <= previous) {
+      throw new Error(
+        `Migration versions must be unique and ascending — ${version} follows ${previous}`
+      );
+    }
+    if (!name) throw new Error(`Migration ${version} needs a name`);
+    if (typeof up !== 'function') throw new Error(`Migration ${version} needs an up() function`);
+    if (down !== null && typeof down !== 'function') {
+      throw new Error(`Migration ${version} down must be a function, or null when irreversible`);
+    }
+    previous = version;
+  }
+
+  return migrations;
+};
+
+/**
+ * Code aur database ko milao. status:
+ *   applied   record hai, naam bhi wahi
+ *   pending   record nahi
+ *   conflict  wahi version kisi doosre naam se applied — do branches ne ek number le liya
+ *   missing   record hai par code me file nahi
+ */
+export const migrationStatus = (migrations, applied) => {
+  const records = new Map(applied.map(record => [record.version, record]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const rows = migrations.map(migration => {
+    const record = records.get(migration.version);
+    let status = 'pending';
+    if (record) status = record.name === migration.name ? 'applied' : 'conflict';
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      description: migration.description || '',
+      reversible: Boolean(migration.down),
+      status,
+      appliedAt: record?.appliedAt ?? null,
+      appliedBy: record?.appliedBy ?? null,
+    };
+  });
+
+  applied
+    .filter(record => !known.has(record.version))
+    .forEach(record =>
+      rows.push({
+        version: record.version,
+        name: record.name,
+        description: record.description || '',
+        reversible: false,
+        status: 'missing',
+        appliedAt: record.appliedAt,
+        appliedBy: record.appliedBy,
+      })
+    );
+
+  return rows.sort((a, b) => a.version - b.version);
+};
+
+export const pendingMigrations = (migrations, applied, { to = null } = {}) => {
+  const conflicts = migrationStatus(migrations, applied).filter(row => row.status === 'conflict');
+  if (conflicts.length) {
+    throw new ConflictError(
+      `Applied migrations do not match the code: ${conflicts.map(migrationLabel).join(', ')}`
+    );
+  }
+
+  const done = new Set(applied.map(record => record.version));
+  return migrations.filter(
+    migration => !done.has(migration.version) && (to === null || migration.version <= to)
+  );
+};
+
+/**
+ * Kaun si migrations ulti chalengi, naye se purane ki taraf. `to` nahi diya to sirf
+ * aakhri applied; diya to usse upar ki saari. Ek bhi irreversible ho to kuch nahi chalta.
+ */
+export const migrationsToRevert = (migrations, applied, { to = null } = {}) => {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const versions = applied.map(record => record.version).sort((a, b) => b - a);
+  const targets = to === null ? versions.slice(0, 1) : versions.filter(version => version > to);
+
+  return targets.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new BadRequestError(`Migration ${version} is applied but not present in the code`);
+    }
+    if (!migration.down) {
+      throw new BadRequestError(`Migration ${migrationLabel(migration)} cannot be reverted`);
+    }
+    return migration;
+  });
+};
+
+// ─── Lock ──────────────────────────────────────────────────────────────────────
+const withLock = async (fn, { waitMs }) => {
+  const deadline = Date.now() + waitMs;
+  let lock = await MigrationLock.acquire(LOCK_NAME, INSTANCE_ID, LOCK_TIMEOUT_MS);
+
+  while (!lock) {
+    if (Date.now() >= deadline) {
+      const held = await MigrationLock.findOne({ name: LOCK_NAME }).lean();
+      throw new ConflictError(
+        `Migrations are locked by ${held?.lockedBy} since ${held?.lockedAt?.toISOString()}`
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+    lock = await MigrationLock.acquire(LOCK_NAME, INSTANCE_ID, LOCK_TIMEOUT_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await MigrationLock.release(LOCK_NAME, INSTANCE_ID);
+  }
+};
+
+const refreshLock = async () => {
+  const lock = await MigrationLock.refresh(LOCK_NAME, INSTANCE_ID, LOCK_TIMEOUT_MS);
+  if (!lock) throw new ConflictError('Migration lock was lost — another instance may be running');
+};
+
+// ─── Run ───────────────────────────────────────────────────────────────────────
+const runMigration = async (migration, direction, { dryRun, log }) => {
+  const started = Date.now();
+  const label = migrationLabel(migration);
+
+  log(`${dryRun ? '[dry-run] ' : ''}${direction === 'up' ? 'Applying' : 'Reverting'} ${label}`);
+  const summary = await migration[direction]({
+    dryRun,
+    log: message => log(`  ${label}: ${message}`),
+  });
+
+  return {
+    version: migration.version,
+    name: migration.name,
+    durationMs: Date.now() - started,
+    summary: summary ?? null,
+  };
+};
+
+const appliedRecords = () => Migration.find().sort({ version: 1 }).lean();
+
+/**
+ * Pending migrations chalao, `to` diya to us version tak.
+ * @returns {Promise<Array<{ version, name, durationMs, summary }>>}
+ */
+export const migrateUp = async ({
+  to = null,
+  dryRun = false,
+  waitMs = 0,
+  log = message => logger.info(message),
+} = {}) => {
+  const migrations = validateMigrations(registry);
+
+  const apply = async () => {
+    // Lock ke intezaar me kisi aur instance ne chala di hongi — list abhi padho
+    const pending = pendingMigrations(migrations, await appliedRecords(), { to });
+    const results = [];
+
+    for (const migration of pending) {
+      const result = await runMigration(migration, 'up', { dryRun, log });
+      results.push(result);
+      if (dryRun) continue;
+
+      await Migration.create({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description || '',
+        appliedAt: new Date(),
+        appliedBy: INSTANCE_ID,
+        durationMs: result.durationMs,
+        summary: result.summary,
+      });
+      await refreshLock();
+    }
+
+    return results;
+  };
+
+  return dryRun ? apply() : withLock(apply, { waitMs });
+};
+
+/**
+ * Aakhri applied migration ulti chalao, ya `to` se upar wali saari.
+ */
+export const migrateDown = async ({
+  to = null,
+  dryRun = false,
+  waitMs = 0,
+  log = message => logger.info(message),
+} = {}) => {
+  const migrations = validateMigrations(registry);
+
+  const revert = async () => {
+    const targets = migrationsToRevert(migrations, await appliedRecords(), { to });
+    const results = [];
+
+    for (const migration of targets) {
+      results.push(await runMigration(migration, 'down', { dryRun, log }));
+      if (dryRun) continue;
+
+      await Migration.deleteOne({ version: migration.version });
+      await refreshLock();
+    }
+
+    return results;
+  };
+
+  return dryRun ? revert() : withLock(revert, { waitMs });
+};
+
+export const getMigrationStatus = async () => {
+  const [applied, lock] = await Promise.all([
+    appliedRecords(),
+    MigrationLock.findOne({ name: LOCK_NAME }).lean(),
+  ]);
+
+  return {
+    migrations: migrationStatus(validateMigrations(registry), applied),
+    lock: lock?.lockedBy ? lock : null,
+  };
+};
+
+// Crash ke baad lock expire hone ka intezaar na karna ho to
+export const forceUnlock = () => MigrationLock.release(LOCK_NAME);
+
+export default {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  forceUnlock,
+};
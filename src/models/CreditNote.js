@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Per-unit amounts like Sale.items — line value = (taxableAmount + totalGst) × quantity
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    saleItemId: { type: mongoose.Schema.Types.ObjectId, comment: 'Sale.items[]._id' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+    productName: { type: String, required: true },
+    productCode: String,
+    hsnCode: String,
+    metalType: String,
+    purity: String,
+    huid: String,
+    quantity: { type: Number, default: 1, min: 1 },
+    netWeight: { type: Number, default: 0, min: 0 },
+    ratePerGram: { type: Number, default: 0, min: 0 },
+    taxableAmount: { type: Number, default: 0, min: 0 },
+    gstPercentage: { type: Number, default: 0, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    totalGst: { type: Number, default: 0, min: 0 },
+    itemTotal: { type: Number, default: 0, min: 0 },
+  },
+  { _id: true }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    creditNoteNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    noteDate: { type: Date, default: Date.now, index: true },
+
+    reason: {
+      type: String,
+      enum: ['sale_return', 'sale_cancellation'],
+      required: true,
+    },
+    reasonText: { type: String, trim: true, maxlength: 500 },
+
+    // Original invoice
+    saleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      required: [true, 'Original sale is required'],
+      index: true,
+    },
+    invoiceNumber: { type: String, required: true },
+    invoiceDate: Date,
+    invoiceValue: { type: Number, default: 0, comment: 'Original Sale.financials.grandTotal' },
+
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+    customerDetails: {
+      customerName: String,
+      customerCode: String,
+      phone: String,
+      email: String,
+      address: String,
+      gstNumber: String,
+      panNumber: String,
+      state: String,
+    },
+
+    // Invoice ka place of supply hi lagega
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String,
+    },
+    isInterState: { type: Boolean, default: false },
+
+    items: {
+      type: [creditNoteItemSchema],
+      validate: [items => items.length > 0, 'Credit note needs at least one item'],
+    },
+
+    financials: {
+      totalTaxableAmount: { type: Number, default: 0 },
+      totalCGST: { type: Number, default: 0 },
+      totalSGST: { type: Number, default: 0 },
+      totalIGST: { type: Number, default: 0 },
+      totalGST: { type: Number, default: 0 },
+      roundOff: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+
+    refundAmount: { type: Number, default: 0, min: 0 },
+    refundMode: {
+      type: String,
+      enum: ['cash', 'card', 'upi', 'bank_transfer', 'store_credit', null],
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ['issued', 'cancelled'],
+      default: 'issued',
+      index: true,
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+creditNoteSchema.index({ shopId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ shopId: 1, noteDate: -1 });
+
+// ─── Pre-save ──────────────────────────────────────────────────────────────────
+creditNoteSchema.pre('save', function (next) {
+  const sum = field => this.items.reduce((total, item) => total + item[field] * item.quantity, 0);
+
+  this.items.forEach(item => {
+    item.itemTotal = (item.taxableAmount + item.totalGst) * item.quantity;
+  });
+
+  this.financials.totalTaxableAmount = sum('taxableAmount');
+  this.financials.totalCGST = sum('cgst');
+  this.financials.totalSGST = sum('sgst');
+  this.financials.totalIGST = sum('igst');
+  this.financials.totalGST = sum('totalGst');
+
+  const rawTotal = this.financials.totalTaxableAmount + this.financials.totalGST;
+  this.financials.grandTotal = Math.round(rawTotal);
+  this.financials.roundOff = this.financials.grandTotal - rawTotal;
+
+  next();
+});
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+// Counter model — atomic, aur session ke saath abort hone par rollback
+creditNoteSchema.statics.generateCreditNoteNumber = async function (
+  shopId,
+  prefix = 'CN',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `credit_note_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(5, '0')}`;
+};
+
+export default mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Org admin ka "mera poora data do" — data-exports job archive banata hai
+// (src/backup), file EXPORT_TTL_DAYS tak download ke liye rehti hai, phir hat jaati hai.
+const dataExportSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+      default: 'pending',
+    },
+
+    fileName: { type: String, default: null },
+    filePath: { type: String, default: null, select: false },
+    size: { type: Number, default: 0 },
+    sha256: { type: String, default: null },
+    documents: { type: Number, default: 0 },
+    collections: [
+      {
+        _id: false,
+        name: String,
+        documents: Number,
+      },
+    ],
+
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    error: { type: String, default: null },
+
+    downloadCount: { type: Number, default: 0 },
+    lastDownloadedAt: { type: Date, default: null },
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('DataExport', dataExportSchema);
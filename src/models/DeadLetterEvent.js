@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Outbox events that used up maxAttempts. Kept separately so admins have one place
+// to look at stuck side effects; replay resets the outbox event and runs only the
+// handlers that never completed.
+const deadLetterEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OutboxEvent',
+      required: true,
+      unique: true,
+    },
+    eventName: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    idempotencyKey: { type: String, required: true },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      default: null,
+      index: true,
+    },
+
+    failedHandlers: [
+      {
+        _id: false,
+        name: String,
+        attempts: Number,
+        lastError: String,
+      },
+    ],
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: ['open', 'replayed', 'discarded'],
+      default: 'open',
+      index: true,
+    },
+    deadAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deadLetterEventSchema.index({ status: 1, deadAt: -1 });
+
+export default mongoose.model('DeadLetterEvent', deadLetterEventSchema);
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Per-unit amounts like Purchase.items — line value = (taxableAmount + totalGst) × quantity
+const debitNoteItemSchema = new mongoose.Schema(
+  {
+    purchaseItemId: { type: mongoose.Schema.Types.ObjectId, comment: 'Purchase.items[]._id' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+    productName: { type: String, required: true },
+    productCode: String,
+    hsnCode: String,
+    metalType: String,
+    purity: String,
+    huid: String,
+    quantity: { type: Number, default: 1, min: 1 },
+    netWeight: { type: Number, default: 0, min: 0 },
+    ratePerGram: { type: Number, default: 0, min: 0 },
+    taxableAmount: { type: Number, default: 0, min: 0 },
+    gstPercentage: { type: Number, default: 0, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    totalGst: { type: Number, default: 0, min: 0 },
+    itemTotal: { type: Number, default: 0, min: 0 },
+  },
+  { _id: true }
+);
+
+const debitNoteSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    debitNoteNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    noteDate: { type: Date, default: Date.now, index: true },
+
+    reason: {
+      type: String,
+      enum: ['purchase_return'],
+      required: true,
+    },
+    reasonText: { type: String, trim: true, maxlength: 500 },
+
+    // Original purchase
+    purchaseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Purchase',
+      required: [true, 'Original purchase is required'],
+      index: true,
+    },
+    purchaseNumber: { type: String, required: true },
+    purchaseDate: Date,
+    supplierInvoiceNumber: String,
+    supplierInvoiceDate: Date,
+
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', index: true },
+    supplierDetails: {
+      supplierName: String,
+      supplierCode: String,
+      contactPerson: String,
+      phone: String,
+      email: String,
+      address: String,
+      gstNumber: String,
+      state: String,
+    },
+
+    // Purchase ka place of supply hi lagega
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String,
+    },
+    isInterState: { type: Boolean, default: false },
+
+    items: {
+      type: [debitNoteItemSchema],
+      validate: [items => items.length > 0, 'Debit note needs at least one item'],
+    },
+
+    financials: {
+      totalTaxableAmount: { type: Number, default: 0 },
+      totalCGST: { type: Number, default: 0 },
+      totalSGST: { type: Number, default: 0 },
+      totalIGST: { type: Number, default: 0 },
+      totalGST: { type: Number, default: 0 },
+      roundOff: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+
+    status: {
+      type: String,
+      enum: ['issued', 'cancelled'],
+      default: 'issued',
+      index: true,
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+debitNoteSchema.index({ shopId: 1, debitNoteNumber: 1 }, { unique: true });
+debitNoteSchema.index({ shopId: 1, noteDate: -1 });
+
+// ─── Pre-save ──────────────────────────────────────────────────────────────────
+debitNoteSchema.pre('save', function (next) {
+  const sum = field => this.items.reduce((total, item) => total + item[field] * item.quantity, 0);
+
+  this.items.forEach(item => {
+    item.itemTotal = (item.taxableAmount + item.totalGst) * item.quantity;
+  });
+
+  this.financials.totalTaxableAmount = sum('taxableAmount');
+  this.financials.totalCGST = sum('cgst');
+  this.financials.totalSGST = sum('sgst');
+  this.financials.totalIGST = sum('igst');
+  this.financials.totalGST = sum('totalGst');
+
+  const rawTotal = this.financials.totalTaxableAmount + this.financials.totalGST;
+  this.financials.grandTotal = Math.round(rawTotal);
+  this.financials.roundOff = this.financials.grandTotal - rawTotal;
+
+  next();
+});
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+// Counter model — atomic, aur session ke saath abort hone par rollback
+debitNoteSchema.statics.generateDebitNoteNumber = async function (
+  shopId,
+  prefix = 'DN',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `debit_note_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(5, '0')}`;
+};
+
+export default mongoose.model('DebitNote', debitNoteSchema);
@@ -24,7 +24,7 @@ const girviItemSchema = new mongoose.Schema(
     },
     itemStatus: {
       type: String,
-      enum: ['active', 'partial_released', 'released'],
+      enum: ['active', 'partial_released', 'released', 'auctioned'],
       default: 'active',
     },
     releasedQuantity: {
@@ -174,8 +174,36 @@ const girviSchema = new mongoose.Schema(
       type: Number,
       min: 0,
       max: 100,
-      comment: 'Percentage of total approx value given as loan',
+      comment: 'Percentage of total approx value given as loan (at pledge time)',
     },
+
+    // Aaj ke metal rate pe revaluation — girvi-risk job / rate change pe update hota hai
+    riskAssessment: {
+      collateralValue: { type: Number, default: 0 },
+      amountDue:       { type: Number, default: 0 },
+      currentLtv:      { type: Number, default: 0, comment: 'amountDue / collateralValue, % — can exceed 100' },
+      band: {
+        type: String,
+        enum: ['safe', 'watch', 'margin_call', 'critical'],
+        default: 'safe',
+      },
+      metalRateId: { type: mongoose.Schema.Types.ObjectId, ref: 'MetalRate', default: null },
+      assessedAt:  Date,
+    },
+    marginCalls: [
+      {
+        noticeDate:      { type: Date, required: true },
+        currentLtv:      Number,
+        amountDue:       Number,
+        collateralValue: Number,
+        requiredPayment: { type: Number, comment: 'Payment that brings LTV back to the watch level' },
+        channel:         String,
+        status:          { type: String, enum: ['sent', 'failed', 'skipped'] },
+        reason:          String,
+        notificationId:  { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationLog' },
+        sentBy:          { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
     interestRate: {
       type: Number,
       required: [true, 'Interest rate is required'],
@@ -312,6 +340,13 @@ const girviSchema = new mongoose.Schema(
     },
     releaseNotes: String,
 
+    auctionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GirviAuction',
+      default: null,
+    },
+    auctionDate: Date,
+
     releaseSummary: {
       totalItemsApproxValue:    { type: Number, default: 0 },
       totalPrincipal:           { type: Number, default: 0 },
@@ -368,8 +403,10 @@ girviSchema.index({ shopId: 1, status: 1 });
 girviSchema.index({ shopId: 1, customerId: 1 });
 girviSchema.index({ shopId: 1, girviDate: -1 });
 girviSchema.index({ shopId: 1, dueDate: 1, status: 1 });
+girviSchema.index({ shopId: 1, 'riskAssessment.band': 1 });
 
 girviSchema.virtual('isOverdue').get(function () {
+  if (this.status === 'overdue') return true;
   if (this.status !== 'active') return false;
   const effectiveDueDate = this.dueDate
     ? new Date(this.dueDate.getTime() + this.gracePeriodDays * 24 * 60 * 60 * 1000)
@@ -394,6 +431,12 @@ girviSchema.virtual('transfers', {
   foreignField: 'girviId',
 });
 
+girviSchema.virtual('auctions', {
+  ref:          'GirviAuction',
+  localField:   '_id',
+  foreignField: 'girviId',
+});
+
 girviSchema.pre('save', function (next) {
   this.items.forEach(item => {
     item.netWeight = Math.max(0, (item.grossWeight || 0) - (item.lessWeight || 0));
@@ -481,7 +524,7 @@ girviSchema.statics.findByShop = function (shopId, status = null) {
 girviSchema.statics.findOverdue = function (shopId) {
   return this.find({
     shopId,
-    status:  'active',
+    status:  { $in: ['active', 'overdue'] },
     dueDate: { $lt: new Date() },
     deletedAt: null,
   });
@@ -0,0 +1,254 @@
+import mongoose from 'mongoose';
+
+const bidSchema = new mongoose.Schema(
+  {
+    bidderName: { type: String, trim: true, required: [true, 'Bidder name is required'] },
+    bidderPhone: { type: String, trim: true },
+    amount: { type: Number, required: [true, 'Bid amount is required'], min: 0 },
+    bidTime: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const auctionLotSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      comment: 'Girvi item _id being auctioned',
+    },
+    itemName: { type: String, trim: true },
+    itemType: { type: String, enum: ['gold', 'silver', 'diamond', 'platinum', 'other'] },
+    quantity: { type: Number, default: 1 },
+    netWeight: { type: Number, default: 0 },
+    tunch: { type: Number },
+    bookValue: { type: Number, default: 0, comment: 'Girvi item finalValue at pledge time' },
+
+    bids: [bidSchema],
+
+    buyerName: { type: String, trim: true },
+    buyerPhone: { type: String, trim: true },
+    buyerAddress: { type: String, trim: true },
+    saleValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Sale value cannot be negative'],
+      comment: 'Winning bid / price realised for this item',
+    },
+  },
+  { _id: true }
+);
+
+const girviAuctionSchema = new mongoose.Schema(
+  {
+    girviId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Girvi',
+      required: [true, 'Girvi ID is required'],
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      index: true,
+    },
+    auctionNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+    girviNumber: { type: String, trim: true },
+
+    status: {
+      type: String,
+      enum: [
+        'notice_sent', // legal notice issued, waiting for notice period to end
+        'auctioned', // auction recorded, surplus refund pending
+        'completed', // auction settled and surplus (if any) refunded
+        'cancelled', // customer redeemed or notice withdrawn
+      ],
+      default: 'notice_sent',
+      index: true,
+    },
+
+    // ── Legal Notice ────────────────────────────────────────────────────────────
+    notice: {
+      noticeDate: { type: Date, required: [true, 'Notice date is required'] },
+      noticePeriodDays: { type: Number, required: true, min: 0 },
+      noticeExpiryDate: { type: Date, required: true, index: true },
+      noticeMode: {
+        type: String,
+        enum: ['registered_post', 'hand_delivery', 'courier', 'email', 'sms', 'whatsapp'],
+        default: 'registered_post',
+      },
+      noticeReference: { type: String, trim: true, comment: 'Post receipt / AD number' },
+      noticeCharges: { type: Number, default: 0, min: 0 },
+      paymentMode: {
+        type: String,
+        enum: ['cash', 'upi', 'bank_transfer', 'cheque'],
+        default: 'cash',
+      },
+      effectiveDueDate: { type: Date, comment: 'dueDate + gracePeriodDays at notice time' },
+      amountDueAtNotice: { type: Number, default: 0 },
+      remarks: { type: String, trim: true },
+      issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+
+    // ── Auction ─────────────────────────────────────────────────────────────────
+    auctionDate: { type: Date, index: true },
+    auctionVenue: { type: String, trim: true },
+    auctioneerName: { type: String, trim: true },
+    lots: [auctionLotSchema],
+    totalSaleValue: { type: Number, default: 0, min: 0 },
+    auctionExpenses: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Auctioneer fee, valuation, advertisement etc.',
+    },
+    proceedsPaymentMode: {
+      type: String,
+      enum: ['cash', 'upi', 'bank_transfer', 'cheque'],
+    },
+    proceedsReference: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // ── Settlement ──────────────────────────────────────────────────────────────
+    settlement: {
+      interestType: { type: String, enum: ['simple', 'compound'] },
+      interestFrom: Date,
+      interestTo: Date,
+      outstandingPrincipal: { type: Number, default: 0 },
+      interestDue: { type: Number, default: 0 },
+      totalDue: { type: Number, default: 0 },
+      totalDeductions: {
+        type: Number,
+        default: 0,
+        comment: 'noticeCharges + auctionExpenses recovered from proceeds',
+      },
+      netProceeds: { type: Number, default: 0 },
+      interestRecovered: { type: Number, default: 0 },
+      principalRecovered: { type: Number, default: 0 },
+      shortfall: { type: Number, default: 0, comment: 'Still owed by customer after auction' },
+      surplusAmount: { type: Number, default: 0, comment: 'Owed back to the customer' },
+    },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'GirviPayment' },
+
+    // ── Surplus Refund ──────────────────────────────────────────────────────────
+    surplusStatus: {
+      type: String,
+      enum: ['none', 'pending', 'refunded'],
+      default: 'none',
+    },
+    surplusRefund: {
+      refundDate: Date,
+      amount: { type: Number, default: 0, min: 0 },
+      paymentMode: { type: String, enum: ['cash', 'upi', 'bank_transfer', 'cheque'] },
+      transactionReference: { type: String, trim: true },
+      remarks: { type: String, trim: true },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+
+    // ── Cancellation ────────────────────────────────────────────────────────────
+    cancelledAt: Date,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancellationReason: { type: String, trim: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deletedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+girviAuctionSchema.index({ organizationId: 1, shopId: 1, auctionNumber: 1 }, { unique: true });
+girviAuctionSchema.index({ girviId: 1, status: 1 });
+girviAuctionSchema.index({ shopId: 1, status: 1 });
+girviAuctionSchema.index({ shopId: 1, surplusStatus: 1 });
+
+// ─── Virtuals ──────────────────────────────────────────────────────────────────
+girviAuctionSchema.virtual('isNoticePeriodOver').get(function () {
+  if (!this.notice?.noticeExpiryDate) return false;
+  return new Date() >= this.notice.noticeExpiryDate;
+});
+
+girviAuctionSchema.virtual('daysToAuction').get(function () {
+  if (this.status !== 'notice_sent' || !this.notice?.noticeExpiryDate) return 0;
+  const diff = this.notice.noticeExpiryDate - new Date();
+  return Math.max(0, Math.ceil(diff / (1000 * 60 * 60 * 24)));
+});
+
+// ─── Soft Delete Middleware ────────────────────────────────────────────────────
+girviAuctionSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+girviAuctionSchema.statics.generateAuctionNumber = async function (shopId, prefix = 'GRVAU') {
+  let number = 1;
+  let auctionNumber = `${prefix}${String(number).padStart(5, '0')}`;
+
+  while (await this.findOne({ shopId, auctionNumber }).setOptions({ includeDeleted: true })) {
+    number++;
+    auctionNumber = `${prefix}${String(number).padStart(5, '0')}`;
+  }
+
+  return auctionNumber;
+};
+
+girviAuctionSchema.statics.findOpenByGirvi = function (girviId) {
+  return this.findOne({
+    girviId,
+    status: { $in: ['notice_sent', 'auctioned'] },
+    deletedAt: null,
+  });
+};
+
+// Loan chaalu / band ho gaya (release, renew, poora payment) — pending notice wapas lo
+girviAuctionSchema.statics.cancelNotices = function (girviId, { userId, reason, session = null }) {
+  return this.updateMany(
+    { girviId, status: 'notice_sent', deletedAt: null },
+    {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: userId,
+      cancellationReason: reason,
+    },
+    { session }
+  );
+};
+
+girviAuctionSchema.statics.findPendingSurplus = function (shopId) {
+  return this.find({ shopId, surplusStatus: 'pending', deletedAt: null });
+};
+
+// ─── Instance Methods ──────────────────────────────────────────────────────────
+girviAuctionSchema.methods.softDelete = function () {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('GirviAuction', girviAuctionSchema);
@@ -39,6 +39,9 @@ const girviCashbookSchema = new mongoose.Schema(
         'transfer_in',         // cash received from party → cash IN
         'transfer_return_in',  // party returned item, we paid → cash OUT
         'transfer_return_out', // we received back, party paid → cash IN
+        'auction_expense',     // legal notice / auctioneer charges → cash OUT
+        'auction_received',    // auction sale proceeds from buyer → cash IN
+        'surplus_refund',      // auction surplus paid back to customer → cash OUT
       ],
       required: [true, 'Entry type is required'],
       index: true,
@@ -89,6 +92,10 @@ const girviCashbookSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'GirviTransfer',
     },
+    auctionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GirviAuction',
+    },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Customer',
@@ -243,6 +250,7 @@ girviCashbookSchema.statics.createEntry = async function ({
   girviId,
   paymentId,
   transferId,
+  auctionId,
   customerId,
   girviNumber,
   customerName,
@@ -271,6 +279,7 @@ girviCashbookSchema.statics.createEntry = async function ({
     girviId,
     paymentId,
     transferId,
+    auctionId,
     customerId,
     girviNumber,
     customerName,
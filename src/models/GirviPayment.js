@@ -42,6 +42,7 @@ const girviPaymentSchema = new mongoose.Schema(
         'principal_full',      // poora principal
         'interest_principal',  // dono saath
         'release_payment',     // final release
+        'auction_settlement',  // dues recovered from auction proceeds
       ],
       required: [true, 'Payment type is required'],
     },
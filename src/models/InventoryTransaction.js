@@ -84,6 +84,7 @@ const inventoryTransactionSchema = new mongoose.Schema(
         'damage',
         'reservation',
         'stock_update',
+        'stock_audit',
       ],
       required: true,
     },
@@ -138,6 +139,18 @@ const inventoryTransactionSchema = new mongoose.Schema(
       maxlength: 1000,
     },
 
+    // Batch / serial tracked products — movement kis batch / kaunse piece ka tha
+    batchAllocations: [
+      {
+        _id: false,
+        batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockBatch' },
+        batchNumber: String,
+        quantity: Number,
+        costPerUnit: Number,
+      },
+    ],
+    serialNumbers: [String],
+
     // Metadata
     metadata: {
       type: mongoose.Schema.Types.Mixed,
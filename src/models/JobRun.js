@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledJob',
+      required: true,
+      index: true,
+    },
+    jobName: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+
+    // Trigger
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    instanceId: {
+      type: String,
+      required: true,
+      comment: 'hostname:pm2-instance of the process that ran the job',
+    },
+
+    // Outcome
+    status: {
+      type: String,
+      enum: ['running', 'success', 'failed'],
+      default: 'running',
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      comment: 'Job-specific summary, e.g. { matched: 12, updated: 12 }',
+    },
+    error: {
+      message: { type: String, default: null },
+      stack: { type: String, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+// Run history is kept for 90 days
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Bahar ka karigar (goldsmith) — hamara fine metal leke finished piece lautata hai.
+// balance hamesha vouchers se hilta hai (issue / receipt / payment), seedha edit nahi hota.
+const karigarSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    karigarCode: { type: String, required: true, uppercase: true, trim: true },
+    name: {
+      type: String,
+      required: [true, 'Karigar name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true, maxlength: 300 },
+    specialization: [{ type: String, trim: true }],
+
+    // Receipt pe default — voucher line pe override ho sakta hai
+    defaultWastagePercentage: { type: Number, default: 0, min: 0, max: 100 },
+    labourRate: {
+      rateType: {
+        type: String,
+        enum: ['per_gram', 'per_piece', 'fixed'],
+        default: 'per_gram',
+      },
+      amount: { type: Number, default: 0, min: 0 },
+    },
+
+    // Fine weight jo karigar ke paas hamara pada hai (+) / hamare upar uska (-)
+    // cash: hum karigar ko dene hain (+) / advance diya hua (-)
+    balance: {
+      gold: { type: Number, default: 0 },
+      silver: { type: Number, default: 0 },
+      platinum: { type: Number, default: 0 },
+      cash: { type: Number, default: 0 },
+    },
+    openingBalance: {
+      gold: { type: Number, default: 0 },
+      silver: { type: Number, default: 0 },
+      platinum: { type: Number, default: 0 },
+      cash: { type: Number, default: 0 },
+    },
+
+    isActive: { type: Boolean, default: true },
+    notes: { type: String, trim: true, maxlength: 1000 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+karigarSchema.index({ shopId: 1, karigarCode: 1 }, { unique: true });
+karigarSchema.index({ shopId: 1, isActive: 1, name: 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+karigarSchema.statics.generateKarigarCode = async function (
+  shopId,
+  prefix = 'KAR',
+  session = null
+) {
+  const counter = await Counter.findOneAndUpdate(
+    { name: `karigar_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+export default mongoose.model('Karigar', karigarSchema);
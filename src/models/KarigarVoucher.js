@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Job work vouchers — issue (metal / stones karigar ko), receipt (finished maal + bacha
+// metal wapas, wastage allowance, labour) aur payment (labour ka cash). Har voucher
+// karigar ka balance hilata hai; cancel pe ulta.
+
+const metalLineSchema = new mongoose.Schema(
+  {
+    metalType: { type: String, enum: ['gold', 'silver', 'platinum'], required: true },
+    purity: { type: Number, required: true, min: 0, max: 100, comment: 'Fine percentage' },
+    grossWeight: { type: Number, required: true, min: 0 },
+    fineWeight: { type: Number, required: true, min: 0 },
+    // metal_stock = shop ka fine stock ghatega; customer / other = bahar ka metal (order ka)
+    source: {
+      type: String,
+      enum: ['metal_stock', 'customer', 'other'],
+      default: 'metal_stock',
+    },
+  },
+  { _id: false }
+);
+
+const stoneLineSchema = new mongoose.Schema(
+  {
+    stoneType: {
+      type: String,
+      enum: ['diamond', 'ruby', 'emerald', 'sapphire', 'pearl', 'other'],
+      required: true,
+    },
+    quantity: { type: Number, default: 0, min: 0 },
+    weight: { type: Number, default: 0, min: 0, comment: 'Carat' },
+    value: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const receiptItemSchema = new mongoose.Schema(
+  {
+    orderItemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    description: { type: String, required: true, trim: true },
+    metalType: { type: String, enum: ['gold', 'silver', 'platinum'], required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+    grossWeight: { type: Number, required: true, min: 0 },
+    stoneWeight: { type: Number, default: 0, min: 0 },
+    netWeight: { type: Number, required: true, min: 0 },
+    purity: { type: Number, required: true, min: 0, max: 100 },
+    fineWeight: { type: Number, required: true, min: 0 },
+
+    // Allowance = fine ka % jo karigar ko wastage ke naam pe milta hai
+    wastagePercentage: { type: Number, default: 0, min: 0, max: 100 },
+    wastageAllowed: { type: Number, default: 0, min: 0 },
+
+    labourRateType: { type: String, enum: ['per_gram', 'per_piece', 'fixed'], default: 'per_gram' },
+    labourRate: { type: Number, default: 0, min: 0 },
+    labourCharges: { type: Number, default: 0, min: 0 },
+  },
+  { _id: true }
+);
+
+// Order ke against — ab tak issue hua fine vs finished + wapas aaya, allowance se milan
+const wastageSchema = new mongoose.Schema(
+  {
+    metalType: { type: String, enum: ['gold', 'silver', 'platinum'], required: true },
+    issuedFine: { type: Number, default: 0 },
+    finishedFine: { type: Number, default: 0 },
+    returnedFine: { type: Number, default: 0 },
+    allowed: { type: Number, default: 0 },
+    actual: { type: Number, default: 0 },
+    excess: { type: Number, default: 0, comment: 'actual - allowed; + means karigar owes' },
+  },
+  { _id: false }
+);
+
+const karigarVoucherSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    karigarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Karigar',
+      required: [true, 'Karigar is required'],
+    },
+    karigarName: String,
+
+    voucherNumber: { type: String, required: true, uppercase: true, trim: true },
+    voucherType: {
+      type: String,
+      enum: ['issue', 'receipt', 'payment'],
+      required: true,
+    },
+    voucherDate: { type: Date, default: Date.now },
+
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderNumber: String,
+
+    // issue: metals / stones gaye; receipt: metals / stones = bacha hua wapas
+    metals: [metalLineSchema],
+    stones: [stoneLineSchema],
+
+    // receipt
+    items: [receiptItemSchema],
+
+    // payment
+    payment: {
+      amount: { type: Number, default: 0, min: 0 },
+      paymentMode: {
+        type: String,
+        enum: ['cash', 'upi', 'bank_transfer', 'cheque'],
+      },
+      reference: { type: String, trim: true },
+    },
+
+    // Voucher ka karigar balance pe asar (+ = karigar ke paas badha / hum pe badha)
+    effect: {
+      gold: { type: Number, default: 0 },
+      silver: { type: Number, default: 0 },
+      platinum: { type: Number, default: 0 },
+      cash: { type: Number, default: 0 },
+    },
+
+    // receipt — sirf order ke against ho to
+    wastage: [wastageSchema],
+    totalLabour: { type: Number, default: 0 },
+    metalStockTransactionIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: 'MetalStockTransaction' },
+    ],
+
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active',
+      index: true,
+    },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+
+    notes: { type: String, trim: true, maxlength: 1000 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+karigarVoucherSchema.index({ shopId: 1, voucherNumber: 1 }, { unique: true });
+karigarVoucherSchema.index({ karigarId: 1, status: 1, voucherDate: 1 });
+karigarVoucherSchema.index({ orderId: 1, voucherType: 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+const PREFIX = { issue: 'JWI', receipt: 'JWR', payment: 'JWP' };
+
+karigarVoucherSchema.statics.generateVoucherNumber = async function (
+  shopId,
+  voucherType,
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `karigar_${voucherType}_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${PREFIX[voucherType]}-${year}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+export default mongoose.model('KarigarVoucher', karigarVoucherSchema);
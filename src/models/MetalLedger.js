@@ -119,6 +119,7 @@ const metalLedgerSchema = new mongoose.Schema(
         'opening_balance',
         'manual',
         'adjustment',
+        'refining',
       ],
       required: true,
       index: true,
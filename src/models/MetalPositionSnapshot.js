@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Din ke end pe shop ki metal position — source wise fine weight. Roz raat job likhta hai;
+// daily report ka opening / closing yahin se aata hai, taaki purane din ka number baad ke
+// edits se na hile.
+const metalsSchema = new mongoose.Schema(
+  {
+    gold: { type: Number, default: 0 },
+    silver: { type: Number, default: 0 },
+    platinum: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const metalPositionSnapshotSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+    },
+
+    // Din ki shuruaat (00:00) — position us din ke end ki hai
+    date: { type: Date, required: true },
+    capturedAt: { type: Date, default: Date.now },
+
+    sources: {
+      finished_goods: { type: metalsSchema, default: () => ({}) },
+      old_gold: { type: metalsSchema, default: () => ({}) },
+      fine_stock: { type: metalsSchema, default: () => ({}) },
+      karigar: { type: metalsSchema, default: () => ({}) },
+      party: { type: metalsSchema, default: () => ({}) },
+      girvi: { type: metalsSchema, default: () => ({}) },
+    },
+    // Shop ka apna metal — girvi customer ka hai, isliye net me nahi
+    net: { type: metalsSchema, default: () => ({}) },
+
+    capturedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+metalPositionSnapshotSchema.index({ shopId: 1, date: -1 }, { unique: true });
+
+export default mongoose.model('MetalPositionSnapshot', metalPositionSnapshotSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const buySellSchema = new mongoose.Schema(
+  {
+    buyingRate: { type: Number, default: 0, min: 0 },
+    sellingRate: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// Feed se aaya rate — owner approve kare tab MetalRate banta hai (auto_publish me turant)
+const metalRateDraftSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: true,
+    },
+
+    provider: { type: String, required: true },
+    rateSource: {
+      type: String,
+      enum: ['market', 'api', 'association'],
+      default: 'market',
+    },
+    reference: { type: String, comment: 'File name / URL the feed came from' },
+    feedSource: { type: String, comment: 'Publisher named in the feed, e.g. IBJA' },
+    checksum: { type: String, required: true },
+    asOf: { type: Date, default: null },
+    fetchedAt: { type: Date, default: Date.now },
+
+    // Feed jaisa aaya (unit ke saath) — audit ke liye
+    quotes: [
+      {
+        _id: false,
+        metal: String,
+        purity: String,
+        rate: Number,
+        unit: String,
+      },
+    ],
+    // Per-gram market rate, margin se pehle
+    market: { type: mongoose.Schema.Types.Mixed, default: {} },
+    margins: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    gold: {
+      gold24K: buySellSchema,
+      gold22K: buySellSchema,
+      gold18K: buySellSchema,
+      gold14K: buySellSchema,
+    },
+    silver: {
+      pure: buySellSchema,
+      sterling925: buySellSchema,
+    },
+    platinum: buySellSchema,
+
+    status: {
+      type: String,
+      enum: ['pending', 'published', 'rejected', 'superseded'],
+      default: 'pending',
+      index: true,
+    },
+    autoPublished: { type: Boolean, default: false },
+    publishedRateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalRate',
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: Date,
+    rejectionReason: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+metalRateDraftSchema.index({ shopId: 1, createdAt: -1 });
+metalRateDraftSchema.index({ shopId: 1, checksum: 1 });
+
+export default mongoose.model('MetalRateDraft', metalRateDraftSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Shop ke paas pada fine metal (bar / refined) — har aana-jaana ek entry.
+// Balance = in - out, metal wise. Finished goods ka metal Product me hai, yahan nahi.
+const metalStockTransactionSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+    },
+
+    metalType: {
+      type: String,
+      enum: ['gold', 'silver', 'platinum'],
+      required: [true, 'Metal type is required'],
+    },
+    direction: {
+      type: String,
+      enum: ['in', 'out'],
+      required: true,
+    },
+
+    // Fine weight me hi hisaab — gross / purity sirf reference ke liye
+    fineWeight: {
+      type: Number,
+      required: [true, 'Fine weight is required'],
+      min: [0.001, 'Fine weight must be greater than 0'],
+    },
+    grossWeight: { type: Number, default: null },
+    purity: { type: Number, default: null, comment: 'Fine percentage' },
+
+    source: {
+      type: {
+        type: String,
+        enum: ['refining', 'melting', 'adjustment', 'karigar_issue', 'karigar_return'],
+        required: true,
+      },
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+    },
+
+    transactionDate: { type: Date, default: Date.now },
+    notes: { type: String, trim: true, maxlength: 500 },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+metalStockTransactionSchema.index({ shopId: 1, metalType: 1, transactionDate: -1 });
+metalStockTransactionSchema.index({ 'source.referenceId': 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+// Metal wise fine balance — { gold: 12.345, silver: 0, platinum: 0 }
+metalStockTransactionSchema.statics.getBalance = async function (shopId, asOf = null) {
+  const match = {
+    shopId: new mongoose.Types.ObjectId(String(shopId)),
+    deletedAt: null,
+  };
+  if (asOf) match.transactionDate = { $lte: asOf };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$metalType',
+        fineWeight: {
+          $sum: {
+            $cond: [
+              { $eq: ['$direction', 'in'] },
+              '$fineWeight',
+              { $multiply: ['$fineWeight', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const balance = { gold: 0, silver: 0, platinum: 0 };
+  rows.forEach(row => {
+    balance[row._id] = Math.round(row.fineWeight * 1000) / 1000;
+  });
+  return balance;
+};
+
+export default mongoose.model('MetalStockTransaction', metalStockTransactionSchema);
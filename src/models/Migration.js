@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Har applied migration ka ek record — scripts/migrate.js isi se pending nikalta hai.
+// down chalne pe record hat jaata hai, to yahan hamesha "abhi database me kya laga hai" dikhta hai.
+const migrationSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    appliedAt: {
+      type: Date,
+      required: true,
+    },
+    appliedBy: {
+      type: String,
+      default: null,
+      comment: 'hostname:instance jisne migration chalayi',
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+    // up() ne jo return kiya — kitne documents badle waghera
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('Migration', migrationSchema);
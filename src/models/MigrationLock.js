@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Ek hi document — jiske paas lock hai wahi migrations chala sakta hai. PM2 ke saare
+// instances start pe `migrate up` chalayein to bhi ek hi chalayega, baaki intezaar karenge.
+const migrationLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    lockedBy: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Statics ───────────────────────────────────────────────────────────────────
+/**
+ * Lock lo — khaali ho ya expire ho chuka ho tab hi. Nahi mila to null.
+ */
+migrationLockSchema.statics.acquire = async function (name, instanceId, timeoutMs) {
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      { name, $or: [{ lockedBy: null }, { expiresAt: { $lt: now } }] },
+      {
+        $set: {
+          lockedBy: instanceId,
+          lockedAt: now,
+          expiresAt: new Date(now.getTime() + timeoutMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Filter match nahi hua aur upsert ne duplicate name daala — lock kisi aur ke paas hai
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Lambi migration ke beech expiry aage badhao. null = lock haath se ja chuka hai.
+migrationLockSchema.statics.refresh = function (name, instanceId, timeoutMs) {
+  return this.findOneAndUpdate(
+    { name, lockedBy: instanceId },
+    { $set: { expiresAt: new Date(Date.now() + timeoutMs) } },
+    { new: true }
+  );
+};
+
+migrationLockSchema.statics.release = function (name, instanceId = null) {
+  const filter = instanceId ? { name, lockedBy: instanceId } : { name };
+  return this.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: null, lockedAt: null, expiresAt: null } },
+    { new: false }
+  );
+};
+
+export default mongoose.model('MigrationLock', migrationLockSchema);
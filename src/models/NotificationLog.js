@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+// One row per outgoing message (email / WhatsApp / SMS). Written before the
+// provider is called, so a crash mid-send still leaves a 'pending' row to retry.
+const notificationLogSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      index: true,
+    },
+
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp'],
+      required: true,
+    },
+    provider: { type: String, required: true, comment: 'smtp | file | …' },
+    type: {
+      type: String,
+      enum: [
+        'sale_invoice',
+        'sale_receipt',
+        'purchase_voucher',
+        'payment_reminder',
+        'scheme_reminder',
+        'scheme_missed_installment',
+        'scheme_enrollment',
+        'scheme_maturity',
+        'scheme_redemption',
+        'girvi_margin_call',
+      ],
+      required: true,
+      index: true,
+    },
+
+    recipient: { type: String, required: true, trim: true },
+    recipientName: String,
+    subject: String,
+    text: String,
+    html: { type: String, select: false },
+    // PDF etc. — kept so a retry sends exactly what the first attempt would have
+    attachments: {
+      type: [
+        {
+          _id: false,
+          filename: String,
+          contentType: String,
+          content: Buffer,
+        },
+      ],
+      select: false,
+    },
+
+    reference: {
+      referenceType: {
+        type: String,
+        enum: ['sale', 'payment', 'scheme_enrollment', 'girvi', null],
+        default: null,
+      },
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    nextAttemptAt: { type: Date, default: null },
+    lastAttemptAt: { type: Date, default: null },
+    failureReason: { type: String, default: null },
+    providerMessageId: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+notificationLogSchema.index({ shopId: 1, createdAt: -1 });
+notificationLogSchema.index({ 'reference.referenceId': 1, createdAt: -1 });
+notificationLogSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// ─── Virtuals ──────────────────────────────────────────────────────────────────
+notificationLogSchema.virtual('canRetry').get(function () {
+  return this.status !== 'sent' && this.attempts < this.maxAttempts;
+});
+
+export default mongoose.model('NotificationLog', notificationLogSchema);
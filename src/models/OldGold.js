@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Purana maal (exchange me aaya ya scrap purchase) — ek line = ek lot. Counter pe
+// tunch / XRF se purity test hoti hai, deduction shop setting se, aur lot refiner ke
+// paas jaane tak yahin pada rehta hai.
+const oldGoldSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    lotNumber: { type: String, required: true, uppercase: true, trim: true },
+
+    source: {
+      type: {
+        type: String,
+        enum: ['sale_exchange', 'purchase'],
+        required: true,
+      },
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+      itemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+    party: {
+      partyType: { type: String, enum: ['customer', 'supplier'] },
+      partyId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      name: String,
+    },
+
+    metalType: {
+      type: String,
+      enum: ['gold', 'silver', 'platinum'],
+      required: [true, 'Metal type is required'],
+    },
+    description: { type: String, trim: true, maxlength: 200 },
+
+    // Customer / bill pe likhi purity, aur counter pe test ke baad asli
+    purity: { type: String, trim: true },
+    testedPurity: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+      comment: 'Fine percentage after test (91.6 = 22K)',
+    },
+    testMethod: {
+      type: String,
+      enum: ['declared', 'touchstone', 'xrf', 'fire_assay'],
+      default: 'declared',
+    },
+    testedAt: Date,
+    testedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    grossWeight: { type: Number, required: true, min: 0 },
+    stoneWeight: { type: Number, default: 0, min: 0 },
+    netWeight: { type: Number, required: true, min: 0 },
+    deductionPercentage: { type: Number, default: 0, min: 0, max: 100 },
+    deductionWeight: { type: Number, default: 0, min: 0 },
+    payableWeight: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Net minus deduction — paid on this',
+    },
+    fineWeight: { type: Number, default: 0, min: 0, comment: 'Expected fine metal in the lot' },
+
+    ratePerGram: { type: Number, default: 0, min: 0 },
+    value: { type: Number, default: 0, min: 0 },
+
+    // in_stock → sent_for_refining → refined; cancelled jab source bill cancel ho
+    status: {
+      type: String,
+      enum: ['in_stock', 'sent_for_refining', 'refined', 'cancelled'],
+      default: 'in_stock',
+      index: true,
+    },
+    refiningBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'RefiningBatch', default: null },
+    refinedFineWeight: { type: Number, default: null, comment: 'Share of the fine metal returned' },
+
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+oldGoldSchema.index({ shopId: 1, lotNumber: 1 }, { unique: true });
+oldGoldSchema.index({ shopId: 1, status: 1, metalType: 1 });
+oldGoldSchema.index({ 'source.referenceId': 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+oldGoldSchema.statics.generateLotNumbers = async function (
+  shopId,
+  count,
+  prefix = 'OG',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `old_gold_${shopId}` },
+    { $inc: { seq: count } },
+    { new: true, upsert: true, session }
+  );
+
+  const first = counter.seq - count + 1;
+  return Array.from(
+    { length: count },
+    (_, i) => `${prefix}-${year}-${String(first + i).padStart(5, '0')}`
+  );
+};
+
+export default mongoose.model('OldGold', oldGoldSchema);
@@ -281,6 +281,7 @@ const orderSchema = new mongoose.Schema(
       assignedAt: Date,
       workstation: String,
       artisan: {
+        karigarId: { type: mongoose.Schema.Types.ObjectId, ref: 'Karigar', default: null },
         name: String,
         contactNumber: String,
         specialization: String,
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const handlerStateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['completed', 'failed'],
+      required: true,
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+    // Handler ke andar ke side effects (once() keys) jo ho chuke — retry me ye dobara nahi chalte
+    steps: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// One row per business event (SALE_CREATED, PAYMENT_COMPLETED, …). Written in the
+// same transaction as the sale / purchase / payment, then dispatched to the
+// eventBus handlers. Handler-level state makes retries and replays idempotent —
+// a handler that already completed is never run again for the same event.
+const outboxEventSchema = new mongoose.Schema(
+  {
+    eventName: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+      comment: 'e.g. SALE_CREATED:<saleId> — same key is recorded only once',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      default: null,
+      index: true,
+    },
+
+    // Delivery
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'dead'],
+      default: 'pending',
+      index: true,
+    },
+    handlers: {
+      type: [handlerStateSchema],
+      default: [],
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+
+    replayCount: { type: Number, default: 0 },
+    lastReplayedAt: { type: Date, default: null },
+    lastReplayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEventSchema.index({ status: 1, createdAt: 1 });
+outboxEventSchema.index({ eventName: 1, createdAt: -1 });
+
+// ─── Virtuals ──────────────────────────────────────────────────────────────────
+outboxEventSchema.virtual('failedHandlers').get(function () {
+  return (this.handlers || []).filter(h => h.status === 'failed').map(h => h.name);
+});
+
+export default mongoose.model('OutboxEvent', outboxEventSchema);
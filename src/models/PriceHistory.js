@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Har price change ki ek entry — repricing run, manual recalculate ya price lock
+const priceHistorySchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    productCode: String,
+    productName: String,
+    metalType: String,
+    purity: String,
+    netWeight: { type: Number, default: 0 },
+
+    source: {
+      type: String,
+      enum: ['metal_rate_change', 'manual_repricing', 'recalculate', 'price_lock', 'price_unlock'],
+      required: true,
+    },
+    runId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RepricingRun',
+      default: null,
+    },
+    metalRateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalRate',
+      default: null,
+    },
+
+    oldMetalRate: { type: Number, default: 0 },
+    newMetalRate: { type: Number, default: 0 },
+    oldPrice: { type: Number, required: true },
+    newPrice: { type: Number, required: true },
+    difference: { type: Number, default: 0 },
+    differencePercentage: { type: Number, default: 0 },
+
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    notes: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+priceHistorySchema.index({ productId: 1, createdAt: -1 });
+priceHistorySchema.index({ runId: 1 });
+priceHistorySchema.index({ shopId: 1, createdAt: -1 });
+
+export default mongoose.model('PriceHistory', priceHistorySchema);
@@ -334,6 +334,15 @@ gst: {
           min: 0,
         },
       },
+      // Locked product ka price rate change / repricing se nahi badlta
+      priceLock: {
+        isLocked: { type: Boolean, default: false },
+        lockedPrice: { type: Number, default: null, min: 0 },
+        reason: { type: String, trim: true, maxlength: 300 },
+        lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        lockedAt: { type: Date, default: null },
+      },
+      lastRepricedAt: { type: Date, default: null },
     },
 
     // Size & Dimensions
@@ -404,6 +413,13 @@ gst: {
       },
     },
 
+    // batch: stock purchase-batch wise (FIFO), serial: har piece ka apna number
+    inventoryTracking: {
+      type: String,
+      enum: ['none', 'batch', 'serial'],
+      default: 'none',
+    },
+
     // Supplier Information
     supplierId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -573,6 +589,12 @@ gst: {
         notes: String,
       },
     ],
+    // Stock transfer se bana product — agli transfer me isi me stock jodna hai
+    transferredFrom: {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'JewelryShop' },
+      transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTransfer' },
+    },
     repair: {
       status: { type: String, enum: ['none', 'sent', 'in_progress', 'completed'], default: 'none' },
       sentAt: Date,
@@ -620,6 +642,7 @@ productSchema.index({ sku: 1 }, { sparse: true });
 productSchema.index({ name: 'text', tags: 'text', keywords: 'text' });
 productSchema.index({ saleStatus: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ shopId: 1, 'transferredFrom.productId': 1 }, { sparse: true });
 
 // Ensure only one primary image
 productSchema.pre('save', function (next) {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { splitGst } from '../utils/gst.js';
 import Counter from './Counter.js'
 const purchaseSchema = new mongoose.Schema(
   {
@@ -47,8 +48,16 @@ const purchaseSchema = new mongoose.Schema(
       email: String,
       address: String,
       gstNumber: String,
+      state: String,
     },
 
+    // GST Place of Supply - supplier dusre state ka ho to input IGST
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String,
+    },
+    isInterState: { type: Boolean, default: false },
+
     // Purchase Type
     purchaseType: {
       type: String,
@@ -106,6 +115,9 @@ weightUnit: {
         taxableAmount: { type: Number, default: 0, min: 0 },
         gstPercentage: { type: Number, default: 3, min: 0 },
         gstAmount: { type: Number, default: 0, min: 0 },
+        cgst: { type: Number, default: 0, min: 0 },
+        sgst: { type: Number, default: 0, min: 0 },
+        igst: { type: Number, default: 0, min: 0 },
         discount: {
           type: {
             type: String,
@@ -121,6 +133,11 @@ weightUnit: {
 isHallmarked: { type: Boolean, default: false },
 notes: String,
 
+// Naya product banne pe tracking — khaali ho to shop settings se
+trackingMode:        { type: String, enum: ['none', 'batch', 'serial', null], default: null },
+supplierBatchNumber: { type: String, trim: true },
+serialNumbers:       [{ type: String, trim: true, uppercase: true }],
+
 // Metal pending - kacha hisaab
 // Jab supplier metal deta hai aur cash baad me milega
 metalPending: {
@@ -150,6 +167,9 @@ metalPending: {
       totalOtherCharges: { type: Number, default: 0, min: 0 },
       totalDiscount: { type: Number, default: 0, min: 0 },
       totalTaxableAmount: { type: Number, default: 0, min: 0 },
+      totalCGST: { type: Number, default: 0, min: 0 },
+      totalSGST: { type: Number, default: 0, min: 0 },
+      totalIGST: { type: Number, default: 0, min: 0 },
       totalGST: { type: Number, default: 0, min: 0 },
         subtotal:          { type: Number, default: 0, min: 0 }, // ✅
   grandTotal:        { type: Number, default: 0, min: 0 },
@@ -320,6 +340,11 @@ this.items.forEach(item => {
     ? (item.taxableAmount * item.gstPercentage) / 100
     : 0;
 
+  const { cgst, sgst, igst } = splitGst(item.gstAmount, this.isInterState);
+  item.cgst = cgst;
+  item.sgst = sgst;
+  item.igst = igst;
+
   item.itemTotal = (item.taxableAmount + item.gstAmount) * item.quantity;
 });
 
@@ -329,6 +354,9 @@ this.items.forEach(item => {
     this.financials.totalMakingCharges = this.items.reduce((sum, item) => sum + item.makingCharges * item.quantity, 0);
     this.financials.totalOtherCharges = this.items.reduce((sum, item) => sum + item.otherCharges * item.quantity, 0);
     this.financials.totalDiscount = this.items.reduce((sum, item) => sum + item.discount.amount * item.quantity, 0);
+    this.financials.totalCGST = this.items.reduce((sum, item) => sum + item.cgst * item.quantity, 0);
+    this.financials.totalSGST = this.items.reduce((sum, item) => sum + item.sgst * item.quantity, 0);
+    this.financials.totalIGST = this.items.reduce((sum, item) => sum + item.igst * item.quantity, 0);
     this.financials.totalGST = this.items.reduce((sum, item) => sum + item.gstAmount * item.quantity, 0);
     this.financials.totalTaxableAmount = this.financials.subtotal;
 
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Old gold lots ka ek bhejna — melting (bar ban ke wapas) ya refining (fine metal wapas).
+// Bheje gaye lots ka expected fine aur wapas aaya fine ka farak hi loss hai.
+const refiningLotSchema = new mongoose.Schema(
+  {
+    oldGoldId: { type: mongoose.Schema.Types.ObjectId, ref: 'OldGold', required: true },
+    lotNumber: String,
+    grossWeight: Number,
+    netWeight: Number,
+    testedPurity: Number,
+    fineWeight: Number,
+  },
+  { _id: false }
+);
+
+const refiningBatchSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    batchNumber: { type: String, required: true, uppercase: true, trim: true },
+    processType: {
+      type: String,
+      enum: ['melting', 'refining'],
+      default: 'refining',
+    },
+    metalType: {
+      type: String,
+      enum: ['gold', 'silver', 'platinum'],
+      required: true,
+    },
+
+    refinerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Refiner is required'],
+    },
+    refinerDetails: {
+      name: String,
+      code: String,
+    },
+
+    lots: [refiningLotSchema],
+
+    sent: {
+      grossWeight: { type: Number, default: 0 },
+      netWeight: { type: Number, default: 0 },
+      fineWeight: { type: Number, default: 0, comment: 'Expected fine from tested purity' },
+      sentAt: { type: Date, default: Date.now },
+      sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+
+    returned: {
+      weight: { type: Number, default: null, comment: 'Bar / metal weight received back' },
+      purity: { type: Number, default: null, comment: 'Fine percentage of returned metal' },
+      fineWeight: { type: Number, default: null },
+      charges: { type: Number, default: 0, min: 0 },
+      refinerReference: { type: String, trim: true },
+      returnedAt: Date,
+      receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    lossWeight: { type: Number, default: null, comment: 'Expected fine - returned fine' },
+    lossPercentage: { type: Number, default: null },
+
+    // sent → returned; cancelled sirf wapas aane se pehle
+    status: {
+      type: String,
+      enum: ['sent', 'returned', 'cancelled'],
+      default: 'sent',
+      index: true,
+    },
+
+    // Refiner ke upar hamara metal — wapas aane pe settle
+    metalLedgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'MetalLedger', default: null },
+
+    notes: { type: String, trim: true, maxlength: 1000 },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+refiningBatchSchema.index({ shopId: 1, batchNumber: 1 }, { unique: true });
+refiningBatchSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+refiningBatchSchema.index({ refinerId: 1, status: 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+refiningBatchSchema.statics.generateBatchNumber = async function (
+  shopId,
+  prefix = 'RF',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `refining_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+export default mongoose.model('RefiningBatch', refiningBatchSchema);
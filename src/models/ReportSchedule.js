@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Report ka auto-mail — har run pe pichhle din / hafte / mahine ka report bana ke
+// recipients ko attachment bhejta hai. shopId null = poori organization ka report.
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      default: null,
+      index: true,
+    },
+
+    name: { type: String, trim: true, maxlength: 100 },
+    reportType: {
+      type: String,
+      enum: [
+        'day-book',
+        'cash-book',
+        'bank-book',
+        'profit-loss',
+        'trial-balance',
+        'stock-summary',
+        'customer-ageing',
+        'supplier-ageing',
+        'girvi-interest',
+      ],
+      required: [true, 'Report type is required'],
+    },
+
+    // daily   — kal ka
+    // weekly  — pichhla Monday–Sunday, har Monday
+    // monthly — pichhla mahina, har mahine ki 1 tareekh
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: [true, 'Frequency is required'],
+    },
+    format: { type: String, enum: ['csv', 'pdf'], default: 'pdf' },
+    recipients: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: {
+        validator: list => list.length > 0 && list.length <= 10,
+        message: 'Between 1 and 10 recipients are required',
+      },
+    },
+
+    isActive: { type: Boolean, default: true, index: true },
+    nextRunAt: { type: Date, required: true },
+
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ['success', 'failed', null], default: null },
+    lastError: { type: String, default: null },
+    lastPeriod: {
+      from: Date,
+      to: Date,
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ organizationId: 1, shopId: 1, deletedAt: 1 });
+
+export default mongoose.model('ReportSchedule', reportScheduleSchema);
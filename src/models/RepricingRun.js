@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Ek batch repricing — rate change pe automatic ya manager ne haath se chalaya.
+// Line-wise diff PriceHistory (runId) me hai, yahan sirf summary.
+const repricingRunSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: true,
+    },
+
+    trigger: {
+      type: String,
+      enum: ['metal_rate_change', 'manual'],
+      required: true,
+    },
+    metalRateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalRate',
+      default: null,
+    },
+    scope: {
+      metalTypes: [{ type: String, enum: ['gold', 'silver', 'platinum'] }],
+      purity: { type: String, default: null },
+    },
+
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+
+    summary: {
+      considered: { type: Number, default: 0 },
+      repriced: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      locked: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      oldStockValue: { type: Number, default: 0 },
+      newStockValue: { type: Number, default: 0 },
+      difference: { type: Number, default: 0 },
+    },
+
+    startedAt: { type: Date, default: Date.now },
+    completedAt: Date,
+    error: String,
+
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+repricingRunSchema.index({ shopId: 1, createdAt: -1 });
+repricingRunSchema.index({ metalRateId: 1 });
+
+export default mongoose.model('RepricingRun', repricingRunSchema);
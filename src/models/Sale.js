@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { splitGst } from '../utils/gst.js';
 
 const saleSchema = new mongoose.Schema(
   {
@@ -47,8 +48,16 @@ const saleSchema = new mongoose.Schema(
       address: String,
       gstNumber: String,
       panNumber: String,
+      state: String,
     },
 
+    // GST Place of Supply - state alag ho to IGST, warna CGST + SGST
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String,
+    },
+    isInterState: { type: Boolean, default: false },
+
     // Sale Type
     saleType: {
       type: String,
@@ -114,8 +123,12 @@ weightUnit: {
         },
         itemTotal: { type: Number, required: true, min: 0 },
         quantity: { type: Number, default: 1, min: 1 },
+        // Bikri ke din product ki per-unit cost — P&L ka COGS isi se (baad me cost badle to bhi)
+        costPrice: { type: Number, default: null, min: 0 },
         huid: String,
 isHallmarked: { type: Boolean, default: false },
+// Serial tracked product — kaunsa piece bika (khaali = sabse purana)
+serialNumbers: [{ type: String, trim: true, uppercase: true }],
 warrantyPeriod: Number,
 warrantyExpiryDate: Date,
 notes: String,
@@ -153,6 +166,13 @@ metalPending: {
           ratePerGram: Number,
           totalValue: Number,
           description: String,
+          // Counter test + deduction — value payable weight pe lagti hai
+          testedPurity: Number,
+          testMethod: { type: String, enum: ['declared', 'touchstone', 'xrf', 'fire_assay'] },
+          deductionPercentage: { type: Number, default: 0 },
+          deductionWeight: { type: Number, default: 0 },
+          fineWeight: { type: Number, default: 0 },
+          oldGoldId: { type: mongoose.Schema.Types.ObjectId, ref: 'OldGold', default: null },
         },
       ],
       totalValue: { type: Number, default: 0 },
@@ -335,6 +355,14 @@ saleSchema.virtual('totalQuantity').get(function () {
   return this.items.reduce((sum, item) => sum + item.quantity, 0);
 });
 
+// Payment status. 'overdue' sirf saleOverdue job lagata hai (reminder bhi wahi bhejta hai) —
+// yahan bas pehle se overdue sale ko overdue rakho jab tak balance baaki hai aur dueDate beeti hui hai
+export const resolvePaymentStatus = (paidAmount, totalAmount, dueDate, currentStatus = null) => {
+  if (paidAmount >= totalAmount) return 'paid';
+  if (currentStatus === 'overdue' && dueDate && new Date(dueDate) < new Date()) return 'overdue';
+  return paidAmount <= 0 ? 'unpaid' : 'partial';
+};
+
 // ─────────────────────────────────────────────
 // PRE-SAVE MIDDLEWARE
 // ─────────────────────────────────────────────
@@ -370,8 +398,10 @@ this.items.forEach(item => {
     ? (item.taxableAmount * item.gstPercentage) / 100
     : 0;
 
-  item.cgst     = gstAmount / 2;
-  item.sgst     = gstAmount / 2;
+  const { cgst, sgst, igst } = splitGst(gstAmount, this.isInterState);
+  item.cgst     = cgst;
+  item.sgst     = sgst;
+  item.igst     = igst;
   item.totalGst = gstAmount;
 
   item.itemTotal = (item.taxableAmount + item.totalGst) * item.quantity;
@@ -385,6 +415,7 @@ this.items.forEach(item => {
     this.financials.totalDiscount = this.items.reduce((sum, item) => sum + item.discount.amount * item.quantity, 0);
     this.financials.totalCGST = this.items.reduce((sum, item) => sum + item.cgst * item.quantity, 0);
     this.financials.totalSGST = this.items.reduce((sum, item) => sum + item.sgst * item.quantity, 0);
+    this.financials.totalIGST = this.items.reduce((sum, item) => sum + item.igst * item.quantity, 0);
     this.financials.totalGST = this.items.reduce((sum, item) => sum + item.totalGst * item.quantity, 0);
     this.financials.totalTaxableAmount = this.financials.subtotal;
 
@@ -400,13 +431,14 @@ this.items.forEach(item => {
     this.payment.totalAmount = this.financials.netPayable;
     this.payment.dueAmount = this.payment.totalAmount - this.payment.paidAmount;
 
-    if (this.payment.paidAmount === 0) {
-      this.payment.paymentStatus = 'unpaid';
-    } else if (this.payment.paidAmount >= this.payment.totalAmount) {
-      this.payment.paymentStatus = 'paid';
+    this.payment.paymentStatus = resolvePaymentStatus(
+      this.payment.paidAmount,
+      this.payment.totalAmount,
+      this.payment.dueDate,
+      this.payment.paymentStatus
+    );
+    if (this.payment.paymentStatus === 'paid') {
       this.payment.dueAmount = 0;
-    } else {
-      this.payment.paymentStatus = 'partial';
     }
   }
 
@@ -504,7 +536,7 @@ saleSchema.statics.findUnpaid = function (shopId, organizationId) {
   return this.find({
     shopId,
     organizationId, // ← fix
-    'payment.paymentStatus': { $in: ['unpaid', 'partial'] },
+    'payment.paymentStatus': { $in: ['unpaid', 'partial', 'overdue'] },
     status: { $ne: 'cancelled' },
     deletedAt: null,
   });
@@ -526,13 +558,12 @@ saleSchema.statics.applyPayment = async function (saleId, amount) {
 
   const paidAmount = sale.payment.paidAmount + amount;
   const dueAmount = sale.payment.totalAmount - paidAmount;
-  let paymentStatus = 'partial';
-
-  if (paidAmount >= sale.payment.totalAmount) {
-    paymentStatus = 'paid';
-  } else if (paidAmount <= 0) {
-    paymentStatus = 'unpaid';
-  }
+  const paymentStatus = resolvePaymentStatus(
+    paidAmount,
+    sale.payment.totalAmount,
+    sale.payment.dueDate,
+    sale.payment.paymentStatus
+  );
 
   await this.findByIdAndUpdate(saleId, {
     $set: {
@@ -550,7 +581,12 @@ saleSchema.statics.reversePayment = async function (saleId, amount) {
 
   const paidAmount = Math.max(0, sale.payment.paidAmount - amount);
   const dueAmount = sale.payment.totalAmount - paidAmount;
-  const paymentStatus = paidAmount <= 0 ? 'unpaid' : 'partial';
+  const paymentStatus = resolvePaymentStatus(
+    paidAmount,
+    sale.payment.totalAmount,
+    sale.payment.dueDate,
+    sale.payment.paymentStatus
+  );
 
   await this.findByIdAndUpdate(saleId, {
     $set: {
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    // Job Identity — matches the name in src/jobs registry
+    name: {
+      type: String,
+      required: [true, 'Job name is required'],
+      unique: true,
+      trim: true,
+      index: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    // Schedule
+    schedule: {
+      type: String,
+      required: [true, 'Cron schedule is required'],
+      trim: true,
+      comment: '5-field cron expression, server local time',
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastScheduledFor: {
+      type: Date,
+      default: null,
+      comment: 'Cron slot last claimed — prevents two instances running the same slot',
+    },
+
+    // Lock — only one PM2 instance may hold it
+    lock: {
+      lockedBy: { type: String, default: null },
+      lockedAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+    lockTimeoutMs: {
+      type: Number,
+      default: 30 * 60 * 1000,
+      min: 1000,
+    },
+
+    // Last Run Summary
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunStatus: {
+      type: String,
+      enum: ['success', 'failed', null],
+      default: null,
+    },
+    lastDurationMs: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobRun',
+      default: null,
+    },
+
+    // Counters
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+scheduledJobSchema.virtual('isRunning').get(function () {
+  return !!(this.lock?.lockedAt && this.lock.expiresAt && this.lock.expiresAt > new Date());
+});
+
+// Atomically claim the job lock. Returns null when another instance holds it
+// or (for scheduled runs) when this cron slot was already claimed.
+scheduledJobSchema.statics.acquireLock = async function (
+  name,
+  instanceId,
+  { scheduledFor = null } = {}
+) {
+  const job = await this.findOne({ name }).select('lockTimeoutMs').lean();
+  if (!job) return null;
+
+  const now = new Date();
+  const query = {
+    name,
+    $or: [{ 'lock.lockedAt': null }, { 'lock.expiresAt': { $lt: now } }],
+  };
+  const update = {
+    'lock.lockedBy': instanceId,
+    'lock.lockedAt': now,
+    'lock.expiresAt': new Date(now.getTime() + job.lockTimeoutMs),
+  };
+
+  if (scheduledFor) {
+    query.isEnabled = true;
+    query.lastScheduledFor = { $ne: scheduledFor };
+    update.lastScheduledFor = scheduledFor;
+  }
+
+  return this.findOneAndUpdate(query, { $set: update }, { new: true });
+};
+
+scheduledJobSchema.statics.releaseLock = function (name, instanceId, summary = {}, counters = {}) {
+  return this.findOneAndUpdate(
+    { name, 'lock.lockedBy': instanceId },
+    {
+      $set: {
+        'lock.lockedBy': null,
+        'lock.lockedAt': null,
+        'lock.expiresAt': null,
+        ...summary,
+      },
+      $inc: counters,
+    },
+    { new: true }
+  );
+};
+
+export default mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -20,6 +20,46 @@ const installmentScheduleSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// Customer ko bheje gaye reminders / notices — staff ke liye contact history.
+// 'skipped' = customer ne opt-out kiya / call prefer karta hai / contact nahi hai
+const contactHistorySchema = new mongoose.Schema(
+  {
+    type: {
+      type:     String,
+      enum:     [
+        'enrollment_confirmation',
+        'installment_due',
+        'installment_missed',
+        'maturity_approaching',
+        'redemption_completed',
+      ],
+      required: true,
+    },
+    channel: {
+      type:    String,
+      enum:    ['email', 'sms', 'whatsapp', 'call', 'none', null],
+      default: null,
+    },
+    status: {
+      type:     String,
+      enum:     ['sent', 'failed', 'skipped'],
+      required: true,
+    },
+    installmentNumber: { type: Number, default: null },
+    recipient:         { type: String, default: null },
+    notificationId:    { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationLog', default: null },
+    reason:            { type: String, default: null },
+    trigger: {
+      type:    String,
+      enum:    ['auto', 'manual'],
+      default: 'auto',
+    },
+    contactedAt: { type: Date, default: Date.now },
+    contactedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { _id: true }
+);
+
 const schemeEnrollmentSchema = new mongoose.Schema(
   {
     // ── Multi-tenant ──────────────────────────
@@ -184,6 +224,9 @@ const schemeEnrollmentSchema = new mongoose.Schema(
       },
     },
 
+    // ── Contact History ──────────────────────
+    contactHistory: [contactHistorySchema],
+
     // ── Notes ────────────────────────────────
     notes:         { type: String, maxlength: 1000 },
     internalNotes: String,
@@ -304,18 +347,24 @@ schemeEnrollmentSchema.methods.generateSchedule = function () {
 schemeEnrollmentSchema.methods.recordPayment = function (paymentData) {
   const { amount, paymentId, paidDate, installmentIndex } = paymentData;
 
+  const isUnpaid = s => s.status === 'pending' || s.status === 'overdue' || s.status === 'missed';
+
   let idx = installmentIndex;
 
-  // Find the first pending/overdue installment if index not given
+  // Sabse purani unpaid installment pehle settle hogi — late payment missed ko bhi clear karta hai
   if (idx === undefined || idx === null) {
-    idx = this.schedule.findIndex(s => s.status === 'pending' || s.status === 'overdue');
+    idx = this.schedule.findIndex(isUnpaid);
   }
 
-  if (idx === -1 || idx >= this.schedule.length) {
+  if (idx === -1 || idx >= this.schedule.length || !isUnpaid(this.schedule[idx])) {
     throw new Error('No pending installment found');
   }
 
   const installment      = this.schedule[idx];
+  // Penalty already charged hai, woh rehti hai; sirf missed count wapas ghat'ta hai
+  if (installment.status === 'missed') {
+    this.missedInstallments = Math.max(0, this.missedInstallments - 1);
+  }
   installment.status     = 'paid';
   installment.paidDate   = paidDate || new Date();
   installment.paidAmount = amount;
@@ -338,6 +387,42 @@ schemeEnrollmentSchema.methods.recordPayment = function (paymentData) {
   return this.save();
 };
 
+// Installment aging — scheduler se nightly call hota hai, save caller karega
+// pending → overdue once dueDate passes, overdue → missed once grace period is over
+schemeEnrollmentSchema.methods.ageInstallments = function (asOfDate = new Date(), rules = {}) {
+  const { gracePeriodDays = 0, missedInstallmentPenalty = 0 } = rules;
+  const asOf   = new Date(asOfDate);
+  let   overdue = 0;
+  let   missed  = 0;
+
+  this.schedule.forEach(installment => {
+    const dueDate = new Date(installment.dueDate);
+    if (dueDate >= asOf) return;
+
+    if (installment.status !== 'pending' && installment.status !== 'overdue') return;
+
+    const graceEnd = new Date(dueDate.getTime() + gracePeriodDays * 24 * 60 * 60 * 1000);
+
+    if (graceEnd < asOf) {
+      installment.status        = 'missed';
+      installment.penaltyAmount = missedInstallmentPenalty;
+      this.missedInstallments  += 1;
+      this.totalPenalty        += missedInstallmentPenalty;
+      missed++;
+    } else if (installment.status === 'pending') {
+      installment.status = 'overdue';
+      overdue++;
+    }
+  });
+
+  if (overdue || missed) {
+    const nextPending = this.schedule.find(s => s.status === 'pending' || s.status === 'overdue');
+    this.nextDueDate  = nextPending ? nextPending.dueDate : null;
+  }
+
+  return { overdue, missed };
+};
+
 schemeEnrollmentSchema.methods.calculateCurrentMaturity = function (schemeBonus) {
   const paidAmount   = this.totalPaidAmount;
   let   bonusAmount  = 0;
@@ -357,6 +442,15 @@ schemeEnrollmentSchema.methods.calculateCurrentMaturity = function (schemeBonus)
   };
 };
 
+// Same installment ka auto reminder dobara na jaye (manual reminders allowed)
+schemeEnrollmentSchema.methods.wasContacted = function (type, installmentNumber = null) {
+  return (this.contactHistory || []).some(entry =>
+    entry.type === type &&
+    entry.trigger === 'auto' &&
+    (installmentNumber === null || entry.installmentNumber === installmentNumber)
+  );
+};
+
 // ── Static Methods ────────────────────────────
 schemeEnrollmentSchema.statics.generateEnrollmentNumber = async function (shopId, schemeCode) {
   const currentYear = new Date().getFullYear().toString().slice(-2);
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Ek piece = ek serial. Purchase se product banne se le kar sale, return aur shop
+// transfer tak wahi number chalta hai, isliye organization level pe unique hai.
+const serialEventSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: [
+        'received',
+        'sold',
+        'returned',
+        'transferred_out',
+        'transferred_in',
+        'written_off',
+        'returned_to_supplier',
+        'adjusted',
+      ],
+      required: true,
+    },
+    shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'JewelryShop' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    referenceType: String,
+    referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    referenceNumber: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+);
+
+const serialNumberSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+    },
+
+    serialNumber: { type: String, required: true, uppercase: true, trim: true },
+
+    status: {
+      type: String,
+      enum: ['in_stock', 'sold', 'in_transit', 'written_off', 'returned_to_supplier'],
+      default: 'in_stock',
+    },
+
+    source: {
+      type: {
+        type: String,
+        enum: ['purchase', 'return', 'adjustment', 'transfer', 'opening'],
+        required: true,
+      },
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+    },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', default: null },
+    costPrice: { type: Number, default: 0, min: 0 },
+    receivedAt: { type: Date, default: Date.now },
+
+    // Abhi kis document ke saath bahar hai (sale / transfer) — return pe isi se milta hai
+    currentReference: {
+      referenceType: String,
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+    },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+    soldAt: { type: Date, default: null },
+
+    history: [serialEventSchema],
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+serialNumberSchema.index({ organizationId: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ productId: 1, status: 1, receivedAt: 1 });
+serialNumberSchema.index({ 'currentReference.referenceId': 1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+// Organization level counter — piece doosri shop jaaye to bhi number clash na ho
+serialNumberSchema.statics.generateSerialNumbers = async function (
+  organizationId,
+  count,
+  prefix = 'SN',
+  session = null
+) {
+  const counter = await Counter.findOneAndUpdate(
+    { name: `serial_${organizationId}` },
+    { $inc: { seq: count } },
+    { new: true, upsert: true, session }
+  );
+
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, i) => `${prefix}${String(first + i).padStart(8, '0')}`);
+};
+
+export default mongoose.model('SerialNumber', serialNumberSchema);
@@ -340,6 +340,43 @@ defaultMarkupPercentage: {
         },
       },
 
+      // Rate badalte hi in-stock products ka price naye rate se
+      autoRepriceOnRateChange: {
+        type: Boolean,
+        default: true,
+      },
+
+      // Market rate feed (src/rate-feed) — draft banao ya seedha publish, apne margin ke saath
+      rateFeed: {
+        enabled: { type: Boolean, default: false },
+        mode: {
+          type: String,
+          enum: ['draft', 'auto_publish'],
+          default: 'draft',
+        },
+        margins: {
+          gold: {
+            buyPercent: { type: Number, default: 0, min: 0, max: 100 },
+            sellPercent: { type: Number, default: 0, min: 0, max: 100 },
+          },
+          silver: {
+            buyPercent: { type: Number, default: 0, min: 0, max: 100 },
+            sellPercent: { type: Number, default: 0, min: 0, max: 100 },
+          },
+          platinum: {
+            buyPercent: { type: Number, default: 0, min: 0, max: 100 },
+            sellPercent: { type: Number, default: 0, min: 0, max: 100 },
+          },
+        },
+        lastFetchedAt: { type: Date, default: null },
+        lastStatus: {
+          type: String,
+          enum: ['draft_created', 'published', 'unchanged', 'failed'],
+          default: null,
+        },
+        lastError: { type: String, default: null },
+      },
+
       // Stone Settings
       enableStoneManagement: {
         type: Boolean,
@@ -407,6 +444,16 @@ defaultMarkupPercentage: {
         default: 1,
       },
 
+      // Credit / Debit Note Settings
+      creditNotePrefix: {
+        type: String,
+        default: 'CN',
+      },
+      debitNotePrefix: {
+        type: String,
+        default: 'DN',
+      },
+
       // Order Settings
       orderPrefix: {
         type: String,
@@ -471,6 +518,19 @@ defaultMarkupPercentage: {
         max: 100,
       },
 
+      // Girvi Settings
+      girviNoticePeriodDays: {
+        type: Number,
+        default: 15,
+        min: 0,
+      },
+      // Live LTV bands — (principal + interest) / aaj ke rate pe collateral value, %
+      girviRisk: {
+        watchLtv: { type: Number, default: 75, min: 0 },
+        marginCallLtv: { type: Number, default: 85, min: 0 },
+        criticalLtv: { type: Number, default: 100, min: 0 },
+      },
+
       // Repair Settings
       enableRepairManagement: {
         type: Boolean,
@@ -491,6 +551,22 @@ defaultMarkupPercentage: {
         enum: ['CODE128', 'CODE39', 'EAN13', 'QR'],
         default: 'CODE128',
       },
+      barcodePrefix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 6,
+        comment: 'Auto barcodes ka prefix — khaali ho to shop code',
+      },
+      labelSize: {
+        type: String,
+        enum: ['tag_95x12', 'label_50x25', 'label_38x25'],
+        default: 'tag_95x12',
+      },
+      labelShowPrice: {
+        type: Boolean,
+        default: true,
+      },
 
       // Printing Settings
       printSettings: {
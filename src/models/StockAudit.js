@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Expected stock snapshot at audit start — beech me sale ho jaaye to bhi count isi se milta hai
+const auditItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productCode: { type: String, required: true },
+    productName: { type: String, required: true },
+    barcode: String,
+    huid: String,
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    categoryName: String,
+    metalType: String,
+    purity: String,
+    unitValue: { type: Number, default: 0, min: 0, comment: 'Cost price per unit' },
+
+    expectedQuantity: { type: Number, required: true, min: 0 },
+    expectedGrossWeight: { type: Number, default: 0, min: 0, comment: 'Per piece' },
+    expectedNetWeight: { type: Number, default: 0, min: 0, comment: 'Per piece' },
+
+    // Scans se nikalta hai — reconcile har count ke baad dobara bharta hai
+    countedQuantity: { type: Number, default: 0, min: 0 },
+    countedGrossWeight: { type: Number, default: null, comment: 'Total of weighed pieces' },
+    weighedQuantity: { type: Number, default: 0, min: 0 },
+    weightDifference: { type: Number, default: 0, comment: 'Per piece, counted - expected' },
+    result: {
+      type: String,
+      enum: ['matched', 'missing', 'short', 'excess', 'weight_mismatch'],
+      default: 'missing',
+    },
+
+    adjusted: { type: Boolean, default: false },
+  },
+  { _id: true }
+);
+
+// Har scan / manual entry ek line — galat scan hatane ke liye yahi source of truth hai
+const auditCountSchema = new mongoose.Schema(
+  {
+    code: { type: String, trim: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+    productCode: String,
+    productName: String,
+    quantity: { type: Number, default: 1, min: 1 },
+    grossWeight: { type: Number, default: null, min: 0, comment: 'Total for this entry' },
+    method: { type: String, enum: ['scan', 'manual'], default: 'scan' },
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    countedAt: { type: Date, default: Date.now },
+    notes: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: true }
+);
+
+// Snapshot me nahi tha par counter pe mila — unknown code ya scope ke bahar ka product
+const auditExtraSchema = new mongoose.Schema(
+  {
+    code: String,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+    productCode: String,
+    productName: String,
+    quantity: { type: Number, default: 0, min: 0 },
+    grossWeight: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const stockAuditSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+      index: true,
+    },
+
+    auditNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    auditType: {
+      type: String,
+      enum: ['monthly', 'year_end', 'adhoc'],
+      default: 'monthly',
+    },
+    auditDate: { type: Date, default: Date.now, index: true },
+
+    // Khaali = poori shop
+    scope: {
+      categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      metalTypes: [String],
+    },
+    weightTolerance: {
+      type: Number,
+      default: 0.01,
+      min: 0,
+      comment: 'Grams per piece before a weight counts as mismatched',
+    },
+
+    items: [auditItemSchema],
+    counts: [auditCountSchema],
+    extras: [auditExtraSchema],
+
+    summary: {
+      totalItems: { type: Number, default: 0 },
+      expectedQuantity: { type: Number, default: 0 },
+      countedQuantity: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      missing: { type: Number, default: 0 },
+      short: { type: Number, default: 0 },
+      excess: { type: Number, default: 0 },
+      weightMismatch: { type: Number, default: 0 },
+      extra: { type: Number, default: 0 },
+      shortageValue: { type: Number, default: 0 },
+      excessValue: { type: Number, default: 0 },
+    },
+
+    // in_progress → submitted → approved; cancelled approve se pehle kabhi bhi
+    status: {
+      type: String,
+      enum: ['in_progress', 'submitted', 'approved', 'cancelled'],
+      default: 'in_progress',
+      index: true,
+    },
+
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: Date,
+
+    approval: {
+      approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      approvedAt: Date,
+      signedOffBy: { type: String, trim: true, maxlength: 100, comment: 'Name on the report' },
+      designation: { type: String, trim: true, maxlength: 100 },
+      remarks: { type: String, trim: true, maxlength: 1000 },
+      quantityAdjustments: { type: Number, default: 0 },
+      weightAdjustments: { type: Number, default: 0 },
+    },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+
+    notes: { type: String, trim: true, maxlength: 1000 },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+stockAuditSchema.index({ shopId: 1, auditNumber: 1 }, { unique: true });
+stockAuditSchema.index({ shopId: 1, status: 1, auditDate: -1 });
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+stockAuditSchema.statics.generateAuditNumber = async function (
+  shopId,
+  prefix = 'AUD',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `stock_audit_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+export default mongoose.model('StockAudit', stockAuditSchema);
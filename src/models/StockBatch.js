@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Har nikasi ka record — sale cancel / return pe usi batch me wapas jaata hai
+const consumptionSchema = new mongoose.Schema(
+  {
+    quantity: { type: Number, required: true, min: 0 },
+    grossWeight: { type: Number, default: 0 },
+    netWeight: { type: Number, default: 0 },
+    referenceType: { type: String, required: true },
+    referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    referenceNumber: String,
+    // Return / cancel me wapas aaya hissa — consumption delete nahi hota, audit trail rahe
+    restoredQuantity: { type: Number, default: 0, min: 0 },
+    consumedAt: { type: Date, default: Date.now },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: true }
+);
+
+// Ek purchase (ya return / adjustment / transfer) se aaya maal — weight, cost, supplier ke saath.
+// Loose diamonds, silver articles, chains jaise bulk items FIFO se isi se bikte hain.
+const stockBatchSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Shop ID is required'],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+    },
+
+    batchNumber: { type: String, required: true, uppercase: true, trim: true },
+    supplierBatchNumber: { type: String, trim: true, comment: 'Lot no. on supplier bill' },
+
+    source: {
+      type: {
+        type: String,
+        enum: ['purchase', 'return', 'adjustment', 'transfer', 'opening'],
+        required: true,
+      },
+      referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      referenceNumber: String,
+    },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', default: null },
+    supplierName: String,
+
+    receivedAt: { type: Date, default: Date.now },
+    receivedQuantity: { type: Number, required: true, min: 0 },
+    remainingQuantity: { type: Number, required: true, min: 0 },
+
+    // Poore batch ka weight (unit product wala — gram / carat)
+    grossWeight: { type: Number, default: 0, min: 0 },
+    netWeight: { type: Number, default: 0, min: 0 },
+    remainingGrossWeight: { type: Number, default: 0, min: 0 },
+    remainingNetWeight: { type: Number, default: 0, min: 0 },
+
+    costPerUnit: { type: Number, default: 0, min: 0 },
+
+    status: {
+      type: String,
+      enum: ['active', 'exhausted'],
+      default: 'active',
+    },
+
+    consumptions: [consumptionSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+stockBatchSchema.index({ shopId: 1, batchNumber: 1 }, { unique: true });
+// FIFO: sabse purana active batch pehle
+stockBatchSchema.index({ productId: 1, status: 1, receivedAt: 1 });
+stockBatchSchema.index({ 'consumptions.referenceId': 1 });
+
+// ─── Virtuals ──────────────────────────────────────────────────────────────────
+stockBatchSchema.virtual('remainingValue').get(function () {
+  return Math.round(this.remainingQuantity * this.costPerUnit * 100) / 100;
+});
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+stockBatchSchema.statics.generateBatchNumber = async function (
+  shopId,
+  prefix = 'BT',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `stock_batch_${shopId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(5, '0')}`;
+};
+
+export default mongoose.model('StockBatch', stockBatchSchema);
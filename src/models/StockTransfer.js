@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Snapshot of the source product — challan + receipt work even if the product changes later
+const transferItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Source shop product',
+    },
+    productCode: { type: String, required: true },
+    productName: { type: String, required: true },
+    huid: String,
+    barcode: String,
+    metalType: String,
+    purity: String,
+    grossWeight: { type: Number, default: 0, min: 0 },
+    netWeight: { type: Number, default: 0, min: 0 },
+    unit: { type: String, default: 'piece' },
+    unitValue: { type: Number, default: 0, min: 0, comment: 'Cost price per unit' },
+
+    quantity: { type: Number, required: true, min: 1, comment: 'Dispatched' },
+    receivedQuantity: { type: Number, default: 0, min: 0, comment: 'Good condition' },
+    damagedQuantity: { type: Number, default: 0, min: 0 },
+    // Close karte waqt jo nahi pahuncha — source ko wapas ya write-off
+    returnedQuantity: { type: Number, default: 0, min: 0 },
+    lostQuantity: { type: Number, default: 0, min: 0 },
+
+    destinationProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null,
+    },
+    notes: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: true }
+);
+
+// One receiving entry per delivery — partial receipts add more entries
+const receiptSchema = new mongoose.Schema(
+  {
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [
+      {
+        _id: false,
+        itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        receivedQuantity: { type: Number, default: 0, min: 0 },
+        damagedQuantity: { type: Number, default: 0, min: 0 },
+        notes: String,
+      },
+    ],
+    notes: { type: String, trim: true, maxlength: 1000 },
+  },
+  { _id: true }
+);
+
+const shopSnapshot = {
+  name: String,
+  code: String,
+  address: String,
+  phone: String,
+  gstNumber: String,
+  state: String,
+};
+
+const stockTransferSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true,
+    },
+
+    transferNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    transferDate: { type: Date, default: Date.now, index: true },
+
+    fromShopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Source shop is required'],
+      index: true,
+    },
+    toShopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JewelryShop',
+      required: [true, 'Destination shop is required'],
+      index: true,
+    },
+    fromShopDetails: shopSnapshot,
+    toShopDetails: shopSnapshot,
+
+    items: {
+      type: [transferItemSchema],
+      validate: [items => items.length > 0, 'Transfer needs at least one item'],
+    },
+
+    // in_transit → partially_received → received; cancelled sirf jab kuch receive na hua ho
+    status: {
+      type: String,
+      enum: ['in_transit', 'partially_received', 'received', 'cancelled'],
+      default: 'in_transit',
+      index: true,
+    },
+    hasDiscrepancy: { type: Boolean, default: false },
+
+    transport: {
+      mode: {
+        type: String,
+        enum: ['hand_delivery', 'courier', 'vehicle', 'other'],
+        default: 'hand_delivery',
+      },
+      carrierName: String,
+      vehicleNumber: String,
+      trackingNumber: String,
+      ewayBillNumber: String,
+    },
+
+    receipts: [receiptSchema],
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    receivedAt: { type: Date, default: null },
+
+    closure: {
+      resolution: {
+        type: String,
+        enum: ['return_to_source', 'write_off', null],
+        default: null,
+      },
+      closedAt: Date,
+      closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+    },
+
+    notes: { type: String, trim: true, maxlength: 1000 },
+    deletedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ───────────────────────────────────────────────────────────────────
+stockTransferSchema.index({ organizationId: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ fromShopId: 1, transferDate: -1 });
+stockTransferSchema.index({ toShopId: 1, status: 1 });
+
+// ─── Virtuals ──────────────────────────────────────────────────────────────────
+stockTransferSchema.virtual('totalQuantity').get(function () {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+stockTransferSchema.virtual('totalValue').get(function () {
+  return (this.items || []).reduce((sum, item) => sum + item.unitValue * item.quantity, 0);
+});
+
+// ─── Static Methods ────────────────────────────────────────────────────────────
+// Organization level — dono shops ek hi number dekhte hain
+stockTransferSchema.statics.generateTransferNumber = async function (
+  organizationId,
+  prefix = 'TRF',
+  session = null
+) {
+  const year = new Date().getFullYear().toString().slice(-2);
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: `stock_transfer_${organizationId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(5, '0')}`;
+};
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
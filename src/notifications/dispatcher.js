@@ -0,0 +1,189 @@
+// FILE: src/notifications/dispatcher.js
+// Every outgoing email / WhatsApp / SMS goes through dispatch(): the message is
+// logged to NotificationLog first, then handed to the channel's provider. Failed
+// sends are retried with exponential backoff by the notification-retry job.
+
+import NotificationLog from '../models/NotificationLog.js';
+import { getProvider } from './providers/index.js';
+import { NotFoundError, BadRequestError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+export const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// 2 min, 4 min, 8 min …
+const RETRY_BASE_MS = 2 * 60 * 1000;
+
+export const nextRetryAt = (attempts, now = new Date()) =>
+  new Date(now.getTime() + RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Email → trimmed lowercase. Phone → digits with country code (10-digit Indian
+ * mobiles get 91). Returns null when unusable.
+ */
+export const normalizeRecipient = (channel, recipient) => {
+  if (!recipient) return null;
+
+  if (channel === 'email') {
+    const email = String(recipient).trim().toLowerCase();
+    return /^\S+@\S+\.\S+$/.test(email) ? email : null;
+  }
+
+  const digits = String(recipient).replace(/\D/g, '').replace(/^0+/, '');
+  if (digits.length === 10) return `91${digits}`;
+  if (digits.length >= 11 && digits.length <= 15) return digits;
+  return null;
+};
+
+// What API callers get back — never the html / attachment payload
+export const toSummary = log => ({
+  _id: log._id,
+  channel: log.channel,
+  provider: log.provider,
+  type: log.type,
+  recipient: log.recipient,
+  status: log.status,
+  attempts: log.attempts,
+  maxAttempts: log.maxAttempts,
+  nextAttemptAt: log.nextAttemptAt,
+  failureReason: log.failureReason,
+  sentAt: log.sentAt,
+});
+
+const attemptDelivery = async log => {
+  log.attempts += 1;
+  log.lastAttemptAt = new Date();
+
+  try {
+    const provider = getProvider(log.channel);
+    log.provider = provider.name;
+
+    const { messageId } = await provider.send({
+      channel: log.channel,
+      to: log.recipient,
+      subject: log.subject,
+      text: log.text,
+      html: log.html,
+      attachments: log.attachments || [],
+    });
+
+    log.status = 'sent';
+    log.sentAt = new Date();
+    log.providerMessageId = messageId || null;
+    log.failureReason = null;
+    log.nextAttemptAt = null;
+  } catch (error) {
+    log.status = 'failed';
+    log.failureReason = error.message;
+    log.nextAttemptAt = log.attempts < log.maxAttempts ? nextRetryAt(log.attempts) : null;
+
+    logger.warn(
+      `Notification ${log._id} (${log.channel} → ${log.recipient}) failed, attempt ${log.attempts}/${log.maxAttempts}: ${error.message}`
+    );
+  }
+
+  await log.save();
+  return log;
+};
+
+/**
+ * Log + send one message. Resolves with the NotificationLog (status sent / failed);
+ * only throws for bad input, never for provider failures.
+ * @param {Object} message
+ * @param {'email'|'sms'|'whatsapp'} message.channel
+ * @param {string} message.type - NotificationLog.type
+ * @param {string} message.to
+ * @param {{ filename, contentType, content: Buffer }[]} [message.attachments] - dropped for SMS
+ */
+export const dispatch = async ({
+  channel,
+  type,
+  to,
+  recipientName,
+  subject,
+  text,
+  html,
+  attachments = [],
+  reference = {},
+  organizationId,
+  shopId,
+  triggeredBy = null,
+  maxAttempts = 3,
+}) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new BadRequestError(`Unsupported notification channel: ${channel}`);
+  }
+
+  const recipient = normalizeRecipient(channel, to);
+  if (!recipient) throw new BadRequestError(`Invalid ${channel} recipient: ${to || 'missing'}`);
+
+  const isSms = channel === 'sms';
+  const log = new NotificationLog({
+    organizationId,
+    shopId,
+    channel,
+    provider: getProvider(channel).name,
+    type,
+    recipient,
+    recipientName,
+    subject,
+    text,
+    html: channel === 'email' ? html : undefined,
+    attachments: isSms ? [] : attachments,
+    reference,
+    maxAttempts,
+    triggeredBy,
+  });
+  await log.save();
+
+  return attemptDelivery(log);
+};
+
+/**
+ * Retry due failures (and 'pending' rows orphaned by a crash). Used by the job.
+ */
+export const retryFailedNotifications = async (now = new Date(), limit = 100) => {
+  const staleBefore = new Date(now.getTime() - 10 * 60 * 1000);
+
+  const logs = await NotificationLog.find({
+    $or: [
+      { status: 'failed', nextAttemptAt: { $ne: null, $lte: now } },
+      { status: 'pending', updatedAt: { $lt: staleBefore } },
+    ],
+  })
+    .select('+html +attachments')
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  const summary = { retried: logs.length, sent: 0, failed: 0 };
+
+  for (const log of logs) {
+    await attemptDelivery(log);
+    summary[log.status === 'sent' ? 'sent' : 'failed']++;
+  }
+
+  return summary;
+};
+
+/**
+ * Manual retry from the API — allowed even after maxAttempts is used up.
+ */
+export const retryNotification = async (notificationId, shopId) => {
+  const log = await NotificationLog.findOne({ _id: notificationId, shopId }).select(
+    '+html +attachments'
+  );
+
+  if (!log) throw new NotFoundError('Notification not found');
+  if (log.status === 'sent') throw new BadRequestError('Notification was already delivered');
+
+  if (log.attempts >= log.maxAttempts) log.maxAttempts = log.attempts + 1;
+  return attemptDelivery(log);
+};
+
+export default {
+  dispatch,
+  retryFailedNotifications,
+  retryNotification,
+  normalizeRecipient,
+  nextRetryAt,
+  toSummary,
+};
@@ -0,0 +1,119 @@
+// FILE: src/notifications/messages.js
+// Plain-text bodies for WhatsApp / SMS (and the text part of emails).
+// Keep SMS-bound lines short — DLT templates in India are matched on this text.
+
+const fmtAmt = n => `Rs.${Number(n || 0).toLocaleString('en-IN')}`;
+const fmtDate = d =>
+  d
+    ? new Date(d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+    : '-';
+
+const shopNameOf = shop => shop?.displayName || shop?.name || 'JewelPro';
+
+export const saleInvoiceText = (sale, shop) => {
+  const due = sale.payment?.dueAmount || 0;
+  return [
+    `Dear ${sale.customerDetails?.customerName || 'Customer'},`,
+    `Thank you for shopping at ${shopNameOf(shop)}.`,
+    `Invoice ${sale.invoiceNumber} dated ${fmtDate(sale.saleDate)} for ${fmtAmt(sale.financials?.netPayable ?? sale.financials?.grandTotal)}.`,
+    due > 0 ? `Balance due: ${fmtAmt(due)}.` : 'Fully paid.',
+    shop?.phone ? `Queries: ${shop.phone}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+export const saleReceiptText = (payment, sale, shop) =>
+  [
+    `Dear ${sale.customerDetails?.customerName || 'Customer'},`,
+    `Received ${fmtAmt(payment.amount)} (${String(payment.paymentMode || '').toUpperCase()}) against invoice ${sale.invoiceNumber}.`,
+    `Receipt ${payment.paymentNumber} dated ${fmtDate(payment.paymentDate)}.`,
+    sale.payment?.dueAmount > 0 ? `Balance due: ${fmtAmt(sale.payment.dueAmount)}.` : 'Fully paid.',
+    `- ${shopNameOf(shop)}`,
+  ].join('\n');
+
+export const purchaseVoucherText = (payment, purchase, shop) =>
+  [
+    `${shopNameOf(shop)} has paid ${fmtAmt(payment.amount)} (${String(payment.paymentMode || '').toUpperCase()}) against purchase ${purchase.purchaseNumber}.`,
+    `Voucher ${payment.paymentNumber} dated ${fmtDate(payment.paymentDate)}.`,
+    purchase.payment?.dueAmount > 0
+      ? `Balance payable: ${fmtAmt(purchase.payment.dueAmount)}.`
+      : 'Fully settled.',
+  ].join('\n');
+
+export const paymentReminderText = (sale, shop) => {
+  const isOverdue = sale.payment?.dueDate && new Date(sale.payment.dueDate) < new Date();
+  return [
+    `Dear ${sale.customerDetails?.customerName || 'Customer'},`,
+    `${fmtAmt(sale.payment?.dueAmount)} is pending on invoice ${sale.invoiceNumber} at ${shopNameOf(shop)}.`,
+    sale.payment?.dueDate
+      ? `${isOverdue ? 'It was due on' : 'Please pay by'} ${fmtDate(sale.payment.dueDate)}.`
+      : null,
+    shop?.phone ? `Queries: ${shop.phone}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+export const schemeReminderText = (enrollment, shop) =>
+  [
+    `Dear ${enrollment.customerDetails?.customerName || 'Customer'},`,
+    `Installment of ${fmtAmt(enrollment.installmentAmount)} for ${enrollment.schemeId?.schemeName || 'your gold scheme'} (${enrollment.enrollmentNumber}) is due${enrollment.nextDueDate ? ` on ${fmtDate(enrollment.nextDueDate)}` : ''}.`,
+    `- ${shopNameOf(shop)}`,
+  ].join('\n');
+
+export const schemeMissedInstallmentText = (enrollment, shop) =>
+  [
+    `Dear ${enrollment.customerDetails?.customerName || 'Customer'},`,
+    `Your installment for ${enrollment.schemeId?.schemeName || 'your gold scheme'} (${enrollment.enrollmentNumber}) was missed.`,
+    enrollment.totalPenalty ? `Penalty: ${fmtAmt(enrollment.totalPenalty)}.` : null,
+    'Please pay at the earliest to keep your scheme benefits.',
+    `- ${shopNameOf(shop)}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+export const schemeEnrollmentText = (enrollment, shop) =>
+  [
+    `Dear ${enrollment.customerDetails?.customerName || 'Customer'},`,
+    `Welcome to ${enrollment.schemeId?.schemeName || 'our gold scheme'}. Enrollment ${enrollment.enrollmentNumber}: ${enrollment.totalInstallments} x ${fmtAmt(enrollment.installmentAmount)}.`,
+    enrollment.nextDueDate ? `Next installment due ${fmtDate(enrollment.nextDueDate)}.` : null,
+    `- ${shopNameOf(shop)}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+export const schemeMaturityText = (enrollment, shop) =>
+  [
+    `Dear ${enrollment.customerDetails?.customerName || 'Customer'},`,
+    `Your scheme ${enrollment.enrollmentNumber} matures on ${fmtDate(enrollment.expectedEndDate)}. Paid so far: ${fmtAmt(enrollment.totalPaidAmount)}.`,
+    `- ${shopNameOf(shop)}`,
+  ].join('\n');
+
+export const schemeRedemptionText = (enrollment, shop) =>
+  [
+    `Dear ${enrollment.customerDetails?.customerName || 'Customer'},`,
+    `Scheme ${enrollment.enrollmentNumber} redeemed on ${fmtDate(enrollment.redemption?.redemptionDate)} for ${fmtAmt(enrollment.redemption?.netRedemptionValue)}.`,
+    `Thank you - ${shopNameOf(shop)}`,
+  ].join('\n');
+
+export const girviMarginCallText = (girvi, marginCall, shop) =>
+  [
+    `Dear ${girvi.customerName || 'Customer'},`,
+    `Metal rates have fallen. Your girvi ${girvi.girviNumber} now stands at ${marginCall.currentLtv}% of its pledged jewellery value.`,
+    `Please pay ${fmtAmt(marginCall.requiredPayment)} or add collateral to keep the loan in good standing.`,
+    `- ${shopNameOf(shop)}`,
+  ].join('\n');
+
+export default {
+  saleInvoiceText,
+  saleReceiptText,
+  purchaseVoucherText,
+  paymentReminderText,
+  schemeReminderText,
+  schemeMissedInstallmentText,
+  schemeEnrollmentText,
+  schemeMaturityText,
+  schemeRedemptionText,
+  girviMarginCallText,
+};
@@ -0,0 +1,261 @@
+// FILE: src/notifications/notify.js
+// Business-level senders: build email HTML / WhatsApp + SMS text for a document
+// and hand it to the dispatcher. Services call these instead of utils/email.js.
+
+import { dispatch } from './dispatcher.js';
+import {
+  saleInvoiceText,
+  saleReceiptText,
+  purchaseVoucherText,
+  paymentReminderText,
+  schemeReminderText,
+  schemeMissedInstallmentText,
+  schemeEnrollmentText,
+  schemeMaturityText,
+  schemeRedemptionText,
+  girviMarginCallText,
+} from './messages.js';
+import {
+  buildSaleInvoiceEmail,
+  buildSalePaymentReceiptEmail,
+  buildPurchasePaymentVoucherEmail,
+  buildPaymentReminderEmail,
+  buildSchemeReminderEmail,
+  buildSchemeMissedInstallmentEmail,
+  buildSchemeEnrollmentEmail,
+  buildSchemeMaturityEmail,
+  buildSchemeRedemptionEmail,
+  buildGirviMarginCallEmail,
+} from '../utils/email.js';
+
+const pdfAttachment = (filename, pdf) =>
+  pdf ? [{ filename, contentType: 'application/pdf', content: pdf }] : [];
+
+const customerOf = sale => ({
+  fullName: sale.customerDetails?.customerName,
+  email: sale.customerDetails?.email,
+});
+
+/**
+ * @param {Object} params
+ * @param {Object} params.sale
+ * @param {Object} params.shop
+ * @param {'email'|'sms'|'whatsapp'} params.channel
+ * @param {string} params.to - email or phone
+ * @param {Buffer} [params.pdf] - invoice PDF (email + WhatsApp)
+ */
+export const notifySaleInvoice = ({ sale, shop, channel, to, pdf = null, userId = null }) => {
+  const email = channel === 'email' ? buildSaleInvoiceEmail(sale, customerOf(sale), shop, pdf) : {};
+
+  return dispatch({
+    channel,
+    type: 'sale_invoice',
+    to,
+    recipientName: sale.customerDetails?.customerName,
+    subject: email.subject || `Invoice ${sale.invoiceNumber}`,
+    text: saleInvoiceText(sale, shop),
+    html: email.html,
+    attachments: pdfAttachment(`Invoice-${sale.invoiceNumber}.pdf`, pdf),
+    reference: {
+      referenceType: 'sale',
+      referenceId: sale._id,
+      referenceNumber: sale.invoiceNumber,
+    },
+    organizationId: sale.organizationId,
+    shopId: sale.shopId,
+    triggeredBy: userId,
+  });
+};
+
+export const notifySaleReceipt = ({
+  payment,
+  sale,
+  shop,
+  channel,
+  to,
+  pdf = null,
+  userId = null,
+}) => {
+  const email =
+    channel === 'email' ? buildSalePaymentReceiptEmail(payment, sale, customerOf(sale), shop) : {};
+
+  return dispatch({
+    channel,
+    type: 'sale_receipt',
+    to,
+    recipientName: sale.customerDetails?.customerName,
+    subject: email.subject || `Payment Receipt ${payment.paymentNumber}`,
+    text: saleReceiptText(payment, sale, shop),
+    html: email.html,
+    attachments: pdfAttachment(`Receipt-${payment.paymentNumber}.pdf`, pdf),
+    reference: {
+      referenceType: 'payment',
+      referenceId: payment._id,
+      referenceNumber: payment.paymentNumber,
+    },
+    organizationId: payment.organizationId,
+    shopId: payment.shopId,
+    triggeredBy: userId,
+  });
+};
+
+export const notifyPurchaseVoucher = ({
+  payment,
+  purchase,
+  supplier,
+  shop,
+  channel,
+  to,
+  pdf = null,
+  userId = null,
+}) => {
+  const email =
+    channel === 'email'
+      ? buildPurchasePaymentVoucherEmail(payment, purchase, supplier || {}, shop)
+      : {};
+
+  return dispatch({
+    channel,
+    type: 'purchase_voucher',
+    to,
+    recipientName: supplier?.businessName || purchase.supplierDetails?.supplierName,
+    subject: email.subject || `Payment Voucher ${payment.paymentNumber}`,
+    text: purchaseVoucherText(payment, purchase, shop),
+    html: email.html,
+    attachments: pdfAttachment(`Voucher-${payment.paymentNumber}.pdf`, pdf),
+    reference: {
+      referenceType: 'payment',
+      referenceId: payment._id,
+      referenceNumber: payment.paymentNumber,
+    },
+    organizationId: payment.organizationId,
+    shopId: payment.shopId,
+    triggeredBy: userId,
+  });
+};
+
+export const notifyPaymentReminder = ({ sale, shop, channel, to, userId = null }) => {
+  const email = channel === 'email' ? buildPaymentReminderEmail(sale, customerOf(sale), shop) : {};
+
+  return dispatch({
+    channel,
+    type: 'payment_reminder',
+    to,
+    recipientName: sale.customerDetails?.customerName,
+    subject: email.subject || `Payment Reminder — Invoice ${sale.invoiceNumber}`,
+    text: paymentReminderText(sale, shop),
+    html: email.html,
+    reference: {
+      referenceType: 'sale',
+      referenceId: sale._id,
+      referenceNumber: sale.invoiceNumber,
+    },
+    organizationId: sale.organizationId,
+    shopId: sale.shopId,
+    triggeredBy: userId,
+  });
+};
+
+// Enrollment contact-history type → log type + templates
+export const SCHEME_NOTIFICATIONS = {
+  enrollment_confirmation: {
+    logType: 'scheme_enrollment',
+    subject: 'Enrollment Confirmed',
+    email: buildSchemeEnrollmentEmail,
+    text: schemeEnrollmentText,
+  },
+  installment_due: {
+    logType: 'scheme_reminder',
+    subject: 'Installment Reminder',
+    email: buildSchemeReminderEmail,
+    text: schemeReminderText,
+  },
+  installment_missed: {
+    logType: 'scheme_missed_installment',
+    subject: 'Installment Missed',
+    email: buildSchemeMissedInstallmentEmail,
+    text: schemeMissedInstallmentText,
+  },
+  maturity_approaching: {
+    logType: 'scheme_maturity',
+    subject: 'Scheme Maturing Soon',
+    email: buildSchemeMaturityEmail,
+    text: schemeMaturityText,
+  },
+  redemption_completed: {
+    logType: 'scheme_redemption',
+    subject: 'Scheme Redeemed',
+    email: buildSchemeRedemptionEmail,
+    text: schemeRedemptionText,
+  },
+};
+
+/**
+ * @param {Object} params
+ * @param {keyof SCHEME_NOTIFICATIONS} params.type
+ * @param {Object} params.enrollment - schemeId populated for the scheme name
+ */
+export const notifySchemeEvent = ({ type, enrollment, shop, channel, to, userId = null }) => {
+  const config = SCHEME_NOTIFICATIONS[type];
+  const customer = {
+    fullName: enrollment.customerDetails?.customerName,
+    email: enrollment.customerDetails?.email,
+  };
+  const email = channel === 'email' ? config.email(enrollment, customer, shop) : {};
+
+  return dispatch({
+    channel,
+    type: config.logType,
+    to,
+    recipientName: customer.fullName,
+    subject: email.subject || `${config.subject} — ${enrollment.enrollmentNumber}`,
+    text: config.text(enrollment, shop),
+    html: email.html,
+    reference: {
+      referenceType: 'scheme_enrollment',
+      referenceId: enrollment._id,
+      referenceNumber: enrollment.enrollmentNumber,
+    },
+    organizationId: enrollment.organizationId,
+    shopId: enrollment.shopId,
+    triggeredBy: userId,
+  });
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} params.girvi - customerName / customerEmail filled in by the caller
+ * @param {Object} params.marginCall - { currentLtv, amountDue, collateralValue, requiredPayment }
+ */
+export const notifyGirviMarginCall = ({ girvi, marginCall, shop, channel, to, userId = null }) => {
+  const customer = { fullName: girvi.customerName, email: girvi.customerEmail };
+  const email =
+    channel === 'email' ? buildGirviMarginCallEmail(girvi, marginCall, customer, shop) : {};
+
+  return dispatch({
+    channel,
+    type: 'girvi_margin_call',
+    to,
+    recipientName: customer.fullName,
+    subject: email.subject || `Margin Call — ${girvi.girviNumber}`,
+    text: girviMarginCallText(girvi, marginCall, shop),
+    html: email.html,
+    reference: {
+      referenceType: 'girvi',
+      referenceId: girvi._id,
+      referenceNumber: girvi.girviNumber,
+    },
+    organizationId: girvi.organizationId,
+    shopId: girvi.shopId,
+    triggeredBy: userId,
+  });
+};
+
+export default {
+  notifySaleInvoice,
+  notifySaleReceipt,
+  notifyPurchaseVoucher,
+  notifyPaymentReminder,
+  notifySchemeEvent,
+  notifyGirviMarginCall,
+};
@@ -0,0 +1,36 @@
+// FILE: src/notifications/preferences.js
+// Customer.preferences.communicationPreference → kaunse channel pe bhejna hai.
+// 'call' aur 'none' pe automated message nahi jaata — staff call karega / opt-out.
+
+const AUTOMATED = ['email', 'sms', 'whatsapp'];
+
+const contactFor = (channel, { email, phone } = {}) => (channel === 'email' ? email : phone);
+
+/**
+ * @param {string} preference - email | sms | whatsapp | call | none
+ * @param {{ email?: string, phone?: string }} contact
+ * @param {string} [requested] - staff ka chosen method; sirf tab use hota hai jab
+ *   preferred channel ka contact missing ho
+ * @returns {{ channel: string|null, to: string|null, reason: string|null }}
+ */
+export const resolveChannel = (preference, contact, requested = null) => {
+  if (preference === 'none') {
+    return { channel: null, to: null, reason: 'Customer has opted out of communication' };
+  }
+  if (preference === 'call') {
+    return { channel: null, to: null, reason: 'Customer prefers a phone call' };
+  }
+
+  const candidates = [preference, requested, 'sms'].filter(
+    (channel, index, list) => AUTOMATED.includes(channel) && list.indexOf(channel) === index
+  );
+
+  for (const channel of candidates) {
+    const to = contactFor(channel, contact);
+    if (to) return { channel, to, reason: null };
+  }
+
+  return { channel: null, to: null, reason: 'No email or phone on record' };
+};
+
+export default { resolveChannel };
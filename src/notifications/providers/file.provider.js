@@ -0,0 +1,46 @@
+// FILE: src/notifications/providers/file.provider.js
+// Development stub — every message becomes a folder under NOTIFICATION_FILE_DIR
+// (default ./storage/notifications) with message.json + attachments. Nothing leaves the machine.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const baseDir = () =>
+  process.env.NOTIFICATION_FILE_DIR || path.join(process.cwd(), 'storage', 'notifications');
+
+const safeName = name => String(name).replace(/[^\w.-]+/g, '_');
+
+export default {
+  name: 'file',
+  channels: ['email', 'sms', 'whatsapp'],
+
+  send: async ({ channel, to, subject, text, html, attachments = [] }) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = path.join(baseDir(), channel, messageId);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, 'message.json'),
+      JSON.stringify(
+        {
+          channel,
+          to,
+          subject,
+          text,
+          attachments: attachments.map(file => file.filename),
+          createdAt: new Date(),
+        },
+        null,
+        2
+      )
+    );
+    if (html) await fs.writeFile(path.join(dir, 'message.html'), html);
+
+    for (const file of attachments) {
+      await fs.writeFile(path.join(dir, safeName(file.filename)), file.content);
+    }
+
+    return { messageId };
+  },
+};
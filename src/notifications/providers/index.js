@@ -0,0 +1,35 @@
+// FILE: src/notifications/providers/index.js
+// Provider registry. A provider is { name, channels: [...], send(message) → { messageId } }
+// and must throw on failure. Pick one per channel with EMAIL_PROVIDER / SMS_PROVIDER /
+// WHATSAPP_PROVIDER; WhatsApp + SMS default to the file stub until a gateway is added.
+
+import smtpProvider from './smtp.provider.js';
+import fileProvider from './file.provider.js';
+
+const providers = new Map();
+
+const DEFAULTS = {
+  email: 'smtp',
+  sms: 'file',
+  whatsapp: 'file',
+};
+
+export const registerProvider = provider => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('Notification provider needs a name and a send() function');
+  }
+  providers.set(provider.name, provider);
+};
+
+export const getProvider = channel => {
+  const name = process.env[`${channel.toUpperCase()}_PROVIDER`] || DEFAULTS[channel];
+  const provider = providers.get(name);
+
+  if (!provider) throw new Error(`Notification provider "${name}" is not registered`);
+  if (!provider.channels.includes(channel)) {
+    throw new Error(`Notification provider "${name}" cannot send ${channel}`);
+  }
+  return provider;
+};
+
+[smtpProvider, fileProvider].forEach(registerProvider);
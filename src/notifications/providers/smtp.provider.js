@@ -0,0 +1,15 @@
+// FILE: src/notifications/providers/smtp.provider.js
+// Email over the nodemailer transporter in utils/email.js
+
+import { sendEmail } from '../../utils/email.js';
+
+export default {
+  name: 'smtp',
+  channels: ['email'],
+
+  send: async ({ to, subject, text, html, attachments }) => {
+    const result = await sendEmail({ to, subject, text, html, attachments });
+    if (!result.success) throw new Error(result.message || 'Email send failed');
+    return { messageId: result.messageId };
+  },
+};
@@ -0,0 +1,367 @@
+// FILE: src/outbox/outbox.js
+// Durable side effects for business events. The event is written to OutboxEvent
+// inside the same transaction as the sale / purchase / payment, and handed to
+// the eventBus handlers only after commit. A handler that throws is retried
+// with backoff by the event-outbox job; after maxAttempts the event moves to
+// DeadLetterEvent for an admin to replay or discard. Completed handlers are not
+// run again, and handlers wrap each non-repeatable write in ctx.once(key, fn) so
+// a retry after a partial run skips the writes that already happened.
+
+import mongoose from 'mongoose';
+import OutboxEvent from '../models/OutboxEvent.js';
+import DeadLetterEvent from '../models/DeadLetterEvent.js';
+import eventBus, { getHandlers } from '../eventBus.js';
+import { INSTANCE_ID } from '../jobs/scheduler.js';
+import { NotFoundError, BadRequestError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+// 30 sec, 1 min, 2 min … max 1 hour
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Itni der 'pending' / 'processing' raha to process crash maan lo
+const PENDING_GRACE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const nextAttemptAt = (attempts, now = new Date()) =>
+  new Date(now.getTime() + Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS));
+
+/**
+ * Event data → plain object for OutboxEvent.payload. Mongoose docs are flattened
+ * (virtuals like customer.fullName kept), the transaction session is dropped.
+ */
+export const toPayload = data => {
+  const payload = {};
+
+  for (const [key, value] of Object.entries(data || {})) {
+    if (key === 'session' || value === undefined) continue;
+    payload[key] =
+      value && typeof value.toObject === 'function' ? value.toObject({ virtuals: true }) : value;
+  }
+
+  return payload;
+};
+
+// organizationId / shopId for the admin filters — pehla doc jisme mile
+export const scopeOf = payload => {
+  const scope = {
+    organizationId: payload.organizationId || null,
+    shopId: payload.shopId || null,
+  };
+
+  for (const value of Object.values(payload)) {
+    if (!value || typeof value !== 'object') continue;
+    scope.organizationId = scope.organizationId || value.organizationId || null;
+    scope.shopId = scope.shopId || value.shopId || null;
+  }
+
+  return scope;
+};
+
+// Handlers jo is event ke liye abhi complete nahi hue (retry / replay me sirf yahi chalenge)
+export const pendingHandlers = (event, handlers) => {
+  const completed = new Set(
+    (event.handlers || []).filter(h => h.status === 'completed').map(h => h.name)
+  );
+  return handlers.filter(h => !completed.has(h.name));
+};
+
+// ─── Record ────────────────────────────────────────────────────────────────────
+
+/**
+ * Write the event in the caller's transaction. Same idempotencyKey → the already
+ * recorded event is returned, nothing new is written.
+ * @param {string} eventName - e.g. 'SALE_CREATED'
+ * @param {Object} data - listener payload (docs allowed)
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - e.g. `SALE_CREATED:${sale._id}`
+ * @param {ClientSession} [options.session]
+ */
+export const recordEvent = async (eventName, data, { idempotencyKey, session = null } = {}) => {
+  if (!idempotencyKey) throw new BadRequestError(`idempotencyKey required for ${eventName}`);
+
+  const existing = await OutboxEvent.findOne({ idempotencyKey }).session(session);
+  if (existing) return existing;
+
+  const payload = toPayload(data);
+  const [event] = await OutboxEvent.create(
+    [{ eventName, idempotencyKey, payload, ...scopeOf(payload) }],
+    { session }
+  );
+
+  return event;
+};
+
+/**
+ * Commit ke baad call karo — handlers background me chalte hain, response wait nahi karta.
+ * Yahan fail hua to bhi event outbox me hai, poller utha lega.
+ */
+export const dispatchEvents = events => {
+  for (const event of [].concat(events).filter(Boolean)) {
+    processEvent(event._id).catch(error =>
+      logger.error(`Outbox dispatch ${event.eventName} (${event._id}) failed:`, error.message)
+    );
+  }
+};
+
+/**
+ * For code paths without a transaction: record + dispatch. The business write has
+ * already happened, so an outbox failure is logged and the event is emitted in-process.
+ */
+export const publishEvent = async (eventName, data, options) => {
+  try {
+    const event = await recordEvent(eventName, data, options);
+    dispatchEvents(event);
+    return event;
+  } catch (error) {
+    logger.error(`Outbox record ${eventName} failed, emitting in-process:`, error.message);
+    eventBus.emit(eventName, data);
+    return null;
+  }
+};
+
+/**
+ * Run `work(session, record)` in a transaction; events passed to `record` are
+ * written in it and dispatched after commit.
+ */
+export const withOutbox = async work => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const events = [];
+  const record = async (eventName, data, options = {}) => {
+    const event = await recordEvent(eventName, data, { ...options, session });
+    events.push(event);
+    return event;
+  };
+
+  try {
+    const result = await work(session, record);
+    await session.commitTransaction();
+    dispatchEvents(events);
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ─── Process ───────────────────────────────────────────────────────────────────
+
+const moveToDeadLetter = (event, now) =>
+  DeadLetterEvent.findOneAndUpdate(
+    { eventId: event._id },
+    {
+      $set: {
+        eventName: event.eventName,
+        idempotencyKey: event.idempotencyKey,
+        payload: event.payload,
+        organizationId: event.organizationId,
+        shopId: event.shopId,
+        failedHandlers: event.handlers
+          .filter(h => h.status === 'failed')
+          .map(h => ({ name: h.name, attempts: h.attempts, lastError: h.lastError })),
+        attempts: event.attempts,
+        lastError: event.lastError,
+        status: 'open',
+        deadAt: now,
+        resolvedAt: null,
+        resolvedBy: null,
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Claim one event and run its outstanding handlers. Returns null when another
+ * instance holds it or it is already completed / dead.
+ */
+export const processEvent = async (eventId, now = new Date()) => {
+  const event = await OutboxEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { status: { $in: ['pending', 'failed'] } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'processing', lockedAt: now, lockedBy: INSTANCE_ID } },
+    { new: true }
+  );
+
+  if (!event) return null;
+
+  const attempt = event.attempts + 1;
+  const errors = [];
+
+  for (const { name, handler } of pendingHandlers(event, getHandlers(event.eventName))) {
+    let state = event.handlers.find(h => h.name === name);
+    if (!state) {
+      event.handlers.push({ name, status: 'failed' });
+      state = event.handlers[event.handlers.length - 1];
+    }
+    state.attempts += 1;
+
+    // Handler ka ek side effect (ek item ka stock, ek ledger entry) — ho gaya to turant
+    // save, taaki baad wala step fail ho to retry me ye dobara na chale
+    const once = async (key, effect) => {
+      if (state.steps.includes(key)) return null;
+      const result = await effect();
+      state.steps.push(key);
+      await event.save();
+      return result;
+    };
+
+    try {
+      await handler(event.payload, {
+        eventId: event._id,
+        idempotencyKey: event.idempotencyKey,
+        attempt,
+        once,
+      });
+      state.status = 'completed';
+      state.completedAt = new Date();
+      state.lastError = null;
+    } catch (error) {
+      state.status = 'failed';
+      state.lastError = error.message;
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  event.attempts = attempt;
+  event.lockedAt = null;
+  event.lockedBy = null;
+
+  if (!errors.length) {
+    event.status = 'completed';
+    event.completedAt = new Date();
+    event.nextAttemptAt = null;
+    event.lastError = null;
+  } else if (attempt >= event.maxAttempts) {
+    event.status = 'dead';
+    event.nextAttemptAt = null;
+    event.lastError = errors.join('; ');
+  } else {
+    event.status = 'failed';
+    event.nextAttemptAt = nextAttemptAt(attempt, now);
+    event.lastError = errors.join('; ');
+  }
+
+  await event.save();
+
+  if (event.status === 'dead') {
+    await moveToDeadLetter(event, now);
+    logger.error(`Outbox event ${event.eventName} (${event._id}) dead after ${attempt} attempts`, {
+      lastError: event.lastError,
+    });
+  } else if (event.status === 'failed') {
+    logger.warn(
+      `Outbox event ${event.eventName} (${event._id}) failed, attempt ${attempt}/${event.maxAttempts}: ${event.lastError}`
+    );
+  }
+
+  return event;
+};
+
+/**
+ * Poller (event-outbox job): failed events whose backoff elapsed, plus pending /
+ * processing ones orphaned by a crash between commit and dispatch.
+ */
+export const processDueEvents = async (now = new Date(), limit = 100) => {
+  const events = await OutboxEvent.find({
+    $or: [
+      { status: 'failed', nextAttemptAt: { $ne: null, $lte: now } },
+      { status: 'pending', createdAt: { $lt: new Date(now.getTime() - PENDING_GRACE_MS) } },
+      { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+    ],
+  })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const summary = { picked: events.length, completed: 0, failed: 0, dead: 0, skipped: 0 };
+
+  for (const { _id } of events) {
+    const event = await processEvent(_id, now);
+    summary[event ? event.status : 'skipped']++;
+  }
+
+  return summary;
+};
+
+// ─── Replay ────────────────────────────────────────────────────────────────────
+
+/**
+ * Admin replay — fresh attempt budget, only handlers that never completed run.
+ * Waits for the run so the caller sees the outcome.
+ */
+export const replayEvent = async (eventId, userId = null) => {
+  const event = await OutboxEvent.findById(eventId);
+  if (!event) throw new NotFoundError('Event not found');
+
+  if (event.status === 'completed') {
+    throw new BadRequestError('Event already completed — all handlers ran');
+  }
+  if (event.status === 'processing' && event.lockedAt > new Date(Date.now() - LOCK_TIMEOUT_MS)) {
+    throw new BadRequestError('Event is being processed right now');
+  }
+
+  event.status = 'pending';
+  event.attempts = 0;
+  event.nextAttemptAt = null;
+  event.lockedAt = null;
+  event.lockedBy = null;
+  event.replayCount += 1;
+  event.lastReplayedAt = new Date();
+  event.lastReplayedBy = userId;
+  await event.save();
+
+  await DeadLetterEvent.updateOne(
+    { eventId: event._id, status: 'open' },
+    { $set: { status: 'replayed', resolvedAt: new Date(), resolvedBy: userId } }
+  );
+
+  return (await processEvent(event._id)) || event;
+};
+
+export const replayDeadLetter = async (deadLetterId, userId = null) => {
+  const deadLetter = await DeadLetterEvent.findById(deadLetterId);
+  if (!deadLetter) throw new NotFoundError('Dead letter not found');
+  if (deadLetter.status !== 'open') {
+    throw new BadRequestError(`Dead letter already ${deadLetter.status}`);
+  }
+
+  return replayEvent(deadLetter.eventId, userId);
+};
+
+export const discardDeadLetter = async (deadLetterId, userId = null, note = '') => {
+  const deadLetter = await DeadLetterEvent.findById(deadLetterId);
+  if (!deadLetter) throw new NotFoundError('Dead letter not found');
+  if (deadLetter.status !== 'open') {
+    throw new BadRequestError(`Dead letter already ${deadLetter.status}`);
+  }
+
+  deadLetter.status = 'discarded';
+  deadLetter.resolvedAt = new Date();
+  deadLetter.resolvedBy = userId;
+  deadLetter.note = note;
+  await deadLetter.save();
+
+  return deadLetter;
+};
+
+export default {
+  recordEvent,
+  dispatchEvents,
+  publishEvent,
+  withOutbox,
+  processEvent,
+  processDueEvents,
+  replayEvent,
+  replayDeadLetter,
+  discardDeadLetter,
+};
@@ -0,0 +1,125 @@
+// FILE: src/rate-feed/convert.js
+// Market quotes → MetalRate rate data. Every quote is brought to per-gram,
+// purities the feed skipped are derived from the finest quote of that metal,
+// and the shop's buy / sell margins are applied on top of the market rate.
+
+import { ValidationError } from '../utils/AppError.js';
+
+export const GRAMS_PER_UNIT = {
+  gram: 1,
+  g: 1,
+  '10gram': 10,
+  '10g': 10,
+  kg: 1000,
+  tola: 11.6638,
+  ounce: 31.1035,
+  oz: 31.1035,
+};
+
+// Karat / naam → fineness (parts per 1000)
+const FINENESS_ALIASES = {
+  '24k': 999,
+  '23k': 958,
+  '22k': 916,
+  '20k': 833,
+  '18k': 750,
+  '14k': 585,
+  pure: 999,
+  fine: 999,
+  sterling: 925,
+};
+
+// MetalRate field → fineness jo us field me jaata hai
+export const TARGETS = {
+  gold: { gold24K: 999, gold22K: 916, gold18K: 750, gold14K: 585 },
+  silver: { pure: 999, sterling925: 925 },
+  platinum: { platinum: 950 },
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+export const finenessOf = purity => {
+  const key = String(purity).trim().toLowerCase();
+  if (FINENESS_ALIASES[key]) return FINENESS_ALIASES[key];
+
+  const number = parseFloat(key);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  // 99.9 / 91.6 jaisa percentage bhi chalega
+  return number <= 100 ? Math.round(number * 10) : Math.round(number);
+};
+
+export const perGram = ({ rate, unit }) => {
+  const grams = GRAMS_PER_UNIT[String(unit || 'gram').toLowerCase()];
+  if (!grams) throw new ValidationError(`Unknown rate feed unit "${unit}"`);
+  return rate / grams;
+};
+
+/**
+ * Per-gram market rate for every fineness the feed quoted, grouped by metal.
+ * @returns {{ gold: Object<number, number>, silver: Object<number, number>, platinum: Object<number, number> }}
+ */
+export const marketRates = quotes => {
+  const market = { gold: {}, silver: {}, platinum: {} };
+
+  for (const quote of quotes) {
+    if (!market[quote.metal]) continue; // palladium etc. — MetalRate me jagah nahi
+    const fineness = finenessOf(quote.purity);
+    if (!fineness) throw new ValidationError(`Unknown purity "${quote.purity}" for ${quote.metal}`);
+    market[quote.metal][fineness] = round2(perGram(quote));
+  }
+
+  return market;
+};
+
+// Feed me ye fineness ho to wahi, warna sabse fine quote se anupaat me
+const marketRateFor = (byFineness, fineness) => {
+  if (byFineness[fineness]) return byFineness[fineness];
+
+  const finest = Math.max(...Object.keys(byFineness).map(Number));
+  return round2((byFineness[finest] * fineness) / finest);
+};
+
+const withMargins = (market, { buyPercent = 0, sellPercent = 0 } = {}) => ({
+  buyingRate: round2(market * (1 - buyPercent / 100)),
+  sellingRate: round2(market * (1 + sellPercent / 100)),
+});
+
+/**
+ * Build createOrUpdateTodayRate() rate data from feed quotes.
+ * @param {Array} quotes - parse.js quotes
+ * @param {Object} margins - { gold: { buyPercent, sellPercent }, silver: {...}, platinum: {...} }
+ * @returns {{ gold, silver, platinum?, market }} - market = per-gram rates before margins.
+ *   platinum sirf tab jab feed me platinum quote ho — warna shop ka purana rate hi rahe
+ */
+export const buildRateData = (quotes, margins = {}) => {
+  const market = marketRates(quotes);
+
+  for (const metal of ['gold', 'silver']) {
+    if (Object.keys(market[metal]).length === 0) {
+      throw new ValidationError(`Rate feed has no ${metal} rate`);
+    }
+  }
+
+  const rateData = {
+    gold: {},
+    silver: {},
+    market: {},
+  };
+
+  for (const [metal, fields] of Object.entries(TARGETS)) {
+    if (Object.keys(market[metal]).length === 0) continue;
+    rateData.market[metal] = {};
+
+    for (const [field, fineness] of Object.entries(fields)) {
+      const rate = marketRateFor(market[metal], fineness);
+      rateData.market[metal][field] = rate;
+
+      if (metal === 'platinum') rateData.platinum = withMargins(rate, margins.platinum);
+      else rateData[metal][field] = withMargins(rate, margins[metal]);
+    }
+  }
+
+  return rateData;
+};
+
+export default { finenessOf, perGram, marketRates, buildRateData };
@@ -0,0 +1,128 @@
+// FILE: src/rate-feed/parse.js
+// Feed text → quotes. Two shapes are understood:
+//   CSV  — header row with metal, purity, rate, unit (date optional); '#' lines ignored
+//          metal,purity,rate,unit
+//          gold,999,72500,10gram
+//          silver,999,86000,kg
+//   JSON — { "date": "...", "source": "IBJA", "rates": [{ "metal", "purity", "rate", "unit" }] }
+//          or just the rates array.
+// Every quote is a market rate (GST extra) in whatever unit the feed uses;
+// convert.js turns it into per-gram shop rates.
+
+import { ValidationError } from '../utils/AppError.js';
+
+const splitCsvLine = line => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const toQuote = (raw, where) => {
+  const metal = String(raw.metal || '')
+    .trim()
+    .toLowerCase();
+  const purity = String(raw.purity ?? '').trim();
+  const rate = parseFloat(String(raw.rate ?? '').replace(/,/g, ''));
+
+  if (!metal || !purity || !Number.isFinite(rate) || rate <= 0) {
+    throw new ValidationError(`Invalid rate feed entry at ${where}`);
+  }
+
+  return {
+    metal,
+    purity,
+    rate,
+    unit: String(raw.unit || 'gram')
+      .trim()
+      .toLowerCase(),
+  };
+};
+
+export const parseCsvFeed = text => {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length < 2) throw new ValidationError('Rate feed CSV has no rows');
+
+  const headers = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  for (const column of ['metal', 'purity', 'rate']) {
+    if (!headers.includes(column)) {
+      throw new ValidationError(`Rate feed CSV is missing the "${column}" column`);
+    }
+  }
+
+  let asOf = null;
+  const quotes = lines.slice(1).map((line, index) => {
+    const cells = splitCsvLine(line);
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = cells[i];
+    });
+    if (row.date && !asOf) asOf = row.date;
+    return toQuote(row, `line ${index + 2}`);
+  });
+
+  return { asOf: asOf ? new Date(asOf) : null, source: null, quotes };
+};
+
+export const parseJsonFeed = input => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new ValidationError('Rate feed is not valid JSON');
+    }
+  }
+
+  const rows = Array.isArray(data) ? data : data?.rates;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError('Rate feed JSON has no rates');
+  }
+
+  const asOf = Array.isArray(data) ? null : data.date || data.asOf || null;
+
+  return {
+    asOf: asOf ? new Date(asOf) : null,
+    source: Array.isArray(data) ? null : data.source || null,
+    quotes: rows.map((row, index) => toQuote(row, `rates[${index}]`)),
+  };
+};
+
+/**
+ * @param {string} content - raw feed body
+ * @param {'csv'|'json'} format
+ * @returns {{ asOf: Date|null, source: string|null, quotes: Array }}
+ */
+export const parseFeed = (content, format) => {
+  if (format === 'json') return parseJsonFeed(content);
+  if (format === 'csv') return parseCsvFeed(content);
+  throw new ValidationError(`Unsupported rate feed format "${format}"`);
+};
+
+export default { parseFeed, parseCsvFeed, parseJsonFeed };
@@ -0,0 +1,41 @@
+// FILE: src/rate-feed/providers/file.provider.js
+// Offline feed — the newest *.csv / *.json dropped in RATE_FEED_DIR
+// (default ./storage/rate-feed). Whoever has the day's rate sheet copies it there.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const baseDir = () => process.env.RATE_FEED_DIR || path.join(process.cwd(), 'storage', 'rate-feed');
+
+const FORMATS = { '.csv': 'csv', '.json': 'json' };
+
+export default {
+  name: 'file',
+  rateSource: 'market',
+
+  fetch: async () => {
+    const dir = baseDir();
+
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      throw new Error(`Rate feed folder ${dir} cannot be read: ${error.message}`);
+    }
+
+    const files = [];
+    for (const name of names) {
+      const format = FORMATS[path.extname(name).toLowerCase()];
+      if (!format) continue;
+      const stat = await fs.stat(path.join(dir, name));
+      if (stat.isFile()) files.push({ name, format, mtime: stat.mtime });
+    }
+
+    if (files.length === 0) throw new Error(`No rate file (*.csv / *.json) in ${dir}`);
+
+    const latest = files.sort((a, b) => b.mtime - a.mtime)[0];
+    const content = await fs.readFile(path.join(dir, latest.name), 'utf8');
+
+    return { content, format: latest.format, reference: latest.name };
+  },
+};
@@ -0,0 +1,35 @@
+// FILE: src/rate-feed/providers/http.provider.js
+// CSV / JSON rate sheet over HTTP(S) — RATE_FEED_URL, optional RATE_FEED_TOKEN
+// (sent as Bearer). Format from RATE_FEED_FORMAT, else from the content type.
+
+const TIMEOUT_MS = 15 * 1000;
+
+const formatOf = (contentType, url) => {
+  if (process.env.RATE_FEED_FORMAT) return process.env.RATE_FEED_FORMAT;
+  if (/json/i.test(contentType) || /\.json($|\?)/i.test(url)) return 'json';
+  return 'csv';
+};
+
+export default {
+  name: 'http',
+  rateSource: 'api',
+
+  fetch: async () => {
+    const url = process.env.RATE_FEED_URL;
+    if (!url) throw new Error('RATE_FEED_URL is not set');
+
+    const token = process.env.RATE_FEED_TOKEN;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Rate feed ${url} answered ${response.status}`);
+
+    const content = await response.text();
+
+    return {
+      content,
+      format: formatOf(response.headers.get('content-type') || '', url),
+      reference: url,
+    };
+  },
+};
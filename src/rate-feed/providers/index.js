@@ -0,0 +1,27 @@
+// FILE: src/rate-feed/providers/index.js
+// Rate feed provider registry. A provider is
+// { name, rateSource, fetch() → { content, format: 'csv'|'json', reference } }
+// and must throw on failure. RATE_FEED_PROVIDER picks one; default is the file drop
+// so offline installs work without any setup beyond the folder.
+
+import fileProvider from './file.provider.js';
+import httpProvider from './http.provider.js';
+
+const providers = new Map();
+
+export const DEFAULT_PROVIDER = 'file';
+
+export const registerRateProvider = provider => {
+  if (!provider?.name || typeof provider.fetch !== 'function') {
+    throw new Error('Rate feed provider needs a name and a fetch() function');
+  }
+  providers.set(provider.name, provider);
+};
+
+export const getRateProvider = (name = process.env.RATE_FEED_PROVIDER || DEFAULT_PROVIDER) => {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Rate feed provider "${name}" is not registered`);
+  return provider;
+};
+
+[fileProvider, httpProvider].forEach(registerRateProvider);
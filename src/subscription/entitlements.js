@@ -0,0 +1,238 @@
+// FILE: src/subscription/entitlements.js
+// What an organization's plan allows: access mode (full / read-only grace / blocked),
+// shop / user / product limits and feature flags. Limits and flags live on
+// Organization.subscription; shops can switch their own features off via
+// JewelryShop.features. Counts are always taken live — Organization.usage is only a cache.
+
+import Organization from '../models/Organization.js';
+import JewelryShop from '../models/Shop.js';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import { OrganizationNotFoundError, SubscriptionLimitExceededError } from '../utils/AppError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trial khatam / payment pending ke baad itne din data dekh sakte hain, badal nahi sakte
+export const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+
+export const ACCESS_MODES = {
+  FULL: 'full',
+  READ_ONLY: 'read_only',
+  BLOCKED: 'blocked',
+};
+
+// resource → { limit field, Model, label }
+export const LIMITS = {
+  shops: { field: 'maxShops', Model: JewelryShop, label: 'shops' },
+  users: { field: 'maxUsers', Model: User, label: 'users' },
+  products: { field: 'maxProducts', Model: Product, label: 'products' },
+};
+
+// ─── Access Mode ───────────────────────────────────────────────────────────────
+
+const graceFrom = (from, now, reason) => {
+  if (!from) return { mode: ACCESS_MODES.READ_ONLY, reason, graceEndsAt: null };
+
+  const graceEndsAt = new Date(new Date(from).getTime() + GRACE_DAYS * DAY_MS);
+  return graceEndsAt > now
+    ? { mode: ACCESS_MODES.READ_ONLY, reason, graceEndsAt }
+    : { mode: ACCESS_MODES.BLOCKED, reason: `${reason}_grace_over`, graceEndsAt };
+};
+
+/**
+ * @param {Object} organization - needs isActive + subscription
+ * @returns {{ mode: 'full'|'read_only'|'blocked', reason: string, graceEndsAt: Date|null }}
+ */
+export const accessModeOf = (organization, now = new Date()) => {
+  const subscription = organization?.subscription || {};
+  const { status, trialEndsAt, endDate, nextPaymentDate } = subscription;
+
+  if (!organization?.isActive) {
+    return { mode: ACCESS_MODES.BLOCKED, reason: 'organization_inactive', graceEndsAt: null };
+  }
+
+  switch (status) {
+    case 'trial':
+      if (!trialEndsAt || new Date(trialEndsAt) > now) {
+        return { mode: ACCESS_MODES.FULL, reason: 'trial', graceEndsAt: null };
+      }
+      return graceFrom(trialEndsAt, now, 'trial_expired');
+
+    case 'active':
+      if (!endDate || new Date(endDate) > now) {
+        return { mode: ACCESS_MODES.FULL, reason: 'active', graceEndsAt: null };
+      }
+      return graceFrom(endDate, now, 'subscription_lapsed');
+
+    // Grace payment due date se; due date nahi hai to period end se
+    case 'payment_pending':
+      return graceFrom(nextPaymentDate || endDate || now, now, 'payment_pending');
+
+    case 'expired':
+      return graceFrom(endDate || trialEndsAt, now, 'expired');
+
+    default:
+      // suspended | cancelled
+      return { mode: ACCESS_MODES.BLOCKED, reason: status || 'unknown', graceEndsAt: null };
+  }
+};
+
+export const accessMessage = ({ mode, reason, graceEndsAt }) => {
+  if (mode === ACCESS_MODES.FULL) return null;
+
+  const what = {
+    trial_expired: 'Your trial has ended',
+    subscription_lapsed: 'Your subscription period has ended',
+    payment_pending: 'Your subscription payment is pending',
+    expired: 'Your subscription has expired',
+  }[reason.replace(/_grace_over$/, '')];
+
+  if (mode === ACCESS_MODES.READ_ONLY) {
+    const until = graceEndsAt ? ` until ${graceEndsAt.toISOString().slice(0, 10)}` : '';
+    return `${what || 'Your subscription is inactive'}. The account is read-only${until} — renew to make changes.`;
+  }
+
+  if (reason === 'organization_inactive') return 'Organization is inactive';
+  return `${what || `Subscription is ${reason}`}. Please renew to continue.`;
+};
+
+// ─── Feature Flags ─────────────────────────────────────────────────────────────
+
+// true / false agar flag is map me hai, warna null (yeh map is feature ko control nahi karta)
+const flagOf = (flags, feature) => {
+  if (!flags) return null;
+  const value = typeof flags.get === 'function' ? flags.get(feature) : flags[feature];
+  return value === undefined || value === null ? null : Boolean(value);
+};
+
+// Sirf JewelryShop.features me jo flags hain (plan me nahi) — jaise reports, customerManagement
+const SHOP_FEATURES = new Set(Object.keys(JewelryShop.schema.obj.features || {}));
+
+/**
+ * Feature on only if the plan allows it (when the plan has that flag) AND the shop
+ * has not switched it off (when the shop has that flag). Unknown flag → off.
+ * A shop-level flag with no shop in scope (org-wide routes) has nothing to switch it
+ * off, so it counts as on.
+ * @returns {{ enabled: boolean, blockedBy: 'plan'|'shop'|'unknown'|null }}
+ */
+export const featureAccess = (feature, { organization = null, shop = null } = {}) => {
+  const plan = flagOf(organization?.subscription?.features, feature);
+  const local = flagOf(shop?.features, feature);
+
+  if (plan === false) return { enabled: false, blockedBy: 'plan' };
+  if (local === false) return { enabled: false, blockedBy: 'shop' };
+  if (plan === null && local === null && !(shop === null && SHOP_FEATURES.has(feature))) {
+    return { enabled: false, blockedBy: 'unknown' };
+  }
+  return { enabled: true, blockedBy: null };
+};
+
+export const isFeatureEnabled = (feature, scope) => featureAccess(feature, scope).enabled;
+
+// ─── Usage & Limits ────────────────────────────────────────────────────────────
+
+export const countUsage = async (organizationId, session = null) => {
+  const [shops, users, products] = await Promise.all(
+    [LIMITS.shops, LIMITS.users, LIMITS.products].map(({ Model }) =>
+      Model.countDocuments({ organizationId, deletedAt: null }).session(session)
+    )
+  );
+
+  return { shops, users, products };
+};
+
+export const usageLine = (used, limit) => ({
+  used,
+  limit: limit ?? null,
+  remaining: limit == null ? null : Math.max(0, limit - used),
+  percentUsed: limit ? Math.round((used / limit) * 100) : null,
+  exceeded: limit != null && used > limit,
+});
+
+/**
+ * Throw 403 when adding `adding` more of `resource` would cross the plan limit.
+ * @param {Object|string} organization - Organization doc or id
+ * @param {'shops'|'users'|'products'} resource
+ */
+export const assertWithinLimit = async (
+  organization,
+  resource,
+  { adding = 1, session = null } = {}
+) => {
+  const org = organization?.subscription
+    ? organization
+    : await Organization.findById(organization).session(session).lean();
+  if (!org) throw new OrganizationNotFoundError();
+
+  const { field, Model, label } = LIMITS[resource];
+  const limit = org.subscription?.[field];
+  if (limit == null) return;
+
+  const used = await Model.countDocuments({ organizationId: org._id, deletedAt: null }).session(
+    session
+  );
+
+  if (used + adding > limit) {
+    throw new SubscriptionLimitExceededError(
+      `Plan limit reached: ${used}/${limit} ${label} on the ${org.subscription.plan} plan. Upgrade to add more.`
+    );
+  }
+};
+
+/**
+ * Usage vs limit for GET /organizations/:id/subscription. Refreshes the
+ * Organization.usage cache while at it.
+ */
+export const getSubscriptionSummary = async (organizationId, now = new Date()) => {
+  const org = await Organization.findById(organizationId);
+  if (!org) throw new OrganizationNotFoundError();
+
+  const usage = await countUsage(org._id);
+  const access = accessModeOf(org, now);
+
+  await Organization.updateOne(
+    { _id: org._id },
+    {
+      $set: {
+        'usage.totalShops': usage.shops,
+        'usage.totalUsers': usage.users,
+        'usage.totalProducts': usage.products,
+        'usage.lastUpdated': now,
+      },
+    }
+  );
+
+  const { subscription } = org;
+
+  return {
+    organizationId: org._id,
+    plan: subscription.plan,
+    status: subscription.status,
+    access: { ...access, message: accessMessage(access) },
+    billingCycle: subscription.billingCycle,
+    trialEndsAt: subscription.trialEndsAt,
+    endDate: subscription.endDate,
+    nextPaymentDate: subscription.nextPaymentDate,
+    trialDaysRemaining: org.trialDaysRemaining,
+    daysRemaining: org.subscriptionDaysRemaining,
+    usage: {
+      shops: usageLine(usage.shops, subscription.maxShops),
+      users: usageLine(usage.users, subscription.maxUsers),
+      products: usageLine(usage.products, subscription.maxProducts),
+      storageMB: usageLine(org.usage?.storageUsed || 0, subscription.maxStorage),
+    },
+    features: subscription.features?.toObject
+      ? subscription.features.toObject()
+      : { ...subscription.features },
+  };
+};
+
+export default {
+  accessModeOf,
+  accessMessage,
+  featureAccess,
+  isFeatureEnabled,
+  countUsage,
+  assertWithinLimit,
+  getSubscriptionSummary,
+};
@@ -0,0 +1,113 @@
+// FILE: src/utils/cron.js
+// Minimal 5-field cron parser — minute hour day-of-month month day-of-week
+// Supports: *  a  a-b  */n  a-b/n  and comma lists. Evaluated in server local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const MAX_LOOKAHEAD_MINUTES = 60 * 24 * 366;
+
+const parseField = (token, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of token.split(',')) {
+    const [range, stepToken] = part.split('/');
+    const step = stepToken === undefined ? 1 : Number(stepToken);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepToken}" in cron ${name}`);
+    }
+
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(Number);
+      start = from;
+      end = to === undefined ? (stepToken === undefined ? from : max) : to;
+    }
+
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      start < min ||
+      end > max ||
+      start > end
+    ) {
+      throw new Error(`Invalid value "${part}" in cron ${name}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+};
+
+export const parseCron = expression => {
+  const tokens = String(expression || '')
+    .trim()
+    .split(/\s+/);
+
+  if (tokens.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(tokens[index], field);
+  });
+
+  // 7 aur 0 dono Sunday hain
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+  parsed.dayOfMonthRestricted = tokens[2] !== '*';
+  parsed.dayOfWeekRestricted = tokens[4] !== '*';
+
+  return parsed;
+};
+
+export const isValidCron = expression => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const matchesParsed = (parsed, date) => {
+  if (!parsed.minute.has(date.getMinutes())) return false;
+  if (!parsed.hour.has(date.getHours())) return false;
+  if (!parsed.month.has(date.getMonth() + 1)) return false;
+
+  const domMatch = parsed.dayOfMonth.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getDay());
+
+  // Standard cron: jab dono restricted hon to koi bhi match kare
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+};
+
+export const matchesCron = (expression, date = new Date()) =>
+  matchesParsed(parseCron(expression), date);
+
+// Next minute strictly after `from` that matches the expression
+export const getNextRunDate = (expression, from = new Date()) => {
+  const parsed = parseCron(expression);
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (matchesParsed(parsed, candidate)) return new Date(candidate);
+  }
+
+  return null;
+};
+
+export default { parseCron, isValidCron, matchesCron, getNextRunDate };
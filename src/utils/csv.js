@@ -0,0 +1,67 @@
+// FILE: src/utils/csv.js
+// RFC 4180 CSV writer / reader — quotes only when needed, CRLF line endings (Excel friendly).
+
+const escapeCell = value => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} headers - header row
+ * @param {Array<Array<*>>} rows - each row in header order
+ * @returns {string}
+ */
+export const toCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * CSV text → rows. Quoted cells me comma / newline / "" chalte hain; Excel ka BOM
+ * aur poori khaali lines hata dete hain.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = text => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+export default { toCsv, parseCsv };
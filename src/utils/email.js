@@ -236,6 +236,38 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+/**
+ * Staff invite — naya user password set karke shop me login karega
+ * @param {{ firstName, email }} user
+ * @param {{ name }} shop
+ * @param {string} role
+ * @param {string} resetToken
+ * @param {{ firstName, lastName }} invitedBy
+ */
+export const sendStaffInviteEmail = async (user, shop, role, resetToken, invitedBy) => {
+  const url = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}&invite=1`;
+  const inviter = [invitedBy?.firstName, invitedBy?.lastName].filter(Boolean).join(' ');
+
+  const html = baseTemplate({
+    headerText: `You're invited to ${shop.name}`,
+    body: `
+      <h2>Hi ${user.firstName},</h2>
+      <p>${inviter || 'Your shop admin'} has added you to <strong>${shop.name}</strong> on <strong>${BRAND.name}</strong> as <strong>${role.replace('_', ' ')}</strong>.</p>
+      <p>Set your password to get started:</p>
+      <a href="${url}" class="btn">Set Password</a>
+      <p style="font-size:12px;color:#999;">Or copy this link: <span style="color:${BRAND.color};">${url}</span></p>
+      <div class="alert-box alert-warn">This link expires in <strong>72 hours</strong>. Ask your admin to resend it if it runs out.</div>
+      <p style="font-size:12px;color:#aaa;">If you weren't expecting this, you can ignore this email.</p>
+    `,
+  });
+
+  return sendEmail({
+    to:      user.email,
+    subject: `Invitation to ${shop.name} — ${BRAND.name}`,
+    html,
+  });
+};
+
 /**
  * Password changed confirmation
  * @param {{ firstName, email }} user
@@ -268,7 +300,7 @@ export const sendPasswordChangedEmail = async (user) => {
  * @param {Object} shop
  * @param {Buffer|null} pdfBuffer
  */
-export const sendSaleInvoiceEmail = async (sale, customer, shop, pdfBuffer = null) => {
+export const buildSaleInvoiceEmail = (sale, customer, shop, pdfBuffer = null) => {
   const shopName    = shop.displayName || shop.name;
   const attachments = pdfBuffer ? [{
     filename:    `Invoice-${sale.invoiceNumber}.pdf`,
@@ -299,14 +331,17 @@ export const sendSaleInvoiceEmail = async (sale, customer, shop, pdfBuffer = nul
     `,
   });
 
-  return sendEmail({
+  return {
     to:          customer.email,
     subject:     `Invoice ${sale.invoiceNumber} — ${shopName}`,
     html,
     attachments,
-  });
+  };
 };
 
+export const sendSaleInvoiceEmail = async (sale, customer, shop, pdfBuffer = null) =>
+  sendEmail(buildSaleInvoiceEmail(sale, customer, shop, pdfBuffer));
+
 /**
  * Sale payment receipt email to customer
  * @param {Object} payment
@@ -314,7 +349,7 @@ export const sendSaleInvoiceEmail = async (sale, customer, shop, pdfBuffer = nul
  * @param {Object} customer
  * @param {Object} shop
  */
-export const sendSalePaymentReceiptEmail = async (payment, sale, customer, shop) => {
+export const buildSalePaymentReceiptEmail = (payment, sale, customer, shop) => {
   const shopName = shop.displayName || shop.name;
 
   const html = baseTemplate({
@@ -341,20 +376,23 @@ export const sendSalePaymentReceiptEmail = async (payment, sale, customer, shop)
     `,
   });
 
-  return sendEmail({
+  return {
     to:      customer.email,
     subject: `Payment Receipt ${payment.paymentNumber} — ${shopName}`,
     html,
-  });
+  };
 };
 
+export const sendSalePaymentReceiptEmail = async (payment, sale, customer, shop) =>
+  sendEmail(buildSalePaymentReceiptEmail(payment, sale, customer, shop));
+
 /**
  * Payment reminder to customer (due amount pending)
  * @param {Object} sale
  * @param {Object} customer
  * @param {Object} shop
  */
-export const sendPaymentReminderEmail = async (sale, customer, shop) => {
+export const buildPaymentReminderEmail = (sale, customer, shop) => {
   const shopName  = shop.displayName || shop.name;
   const isOverdue = sale.payment.dueDate && new Date(sale.payment.dueDate) < new Date();
 
@@ -383,11 +421,249 @@ export const sendPaymentReminderEmail = async (sale, customer, shop) => {
     `,
   });
 
-  return sendEmail({
+  return {
     to:      customer.email,
     subject: `Payment Reminder — Invoice ${sale.invoiceNumber} — ${shopName}`,
     html,
+  };
+};
+
+export const sendPaymentReminderEmail = async (sale, customer, shop) =>
+  sendEmail(buildPaymentReminderEmail(sale, customer, shop));
+
+/**
+ * Gold scheme installment reminder to customer
+ * @param {Object} enrollment  — SchemeEnrollment (schemeId populated for the name)
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildSchemeReminderEmail = (enrollment, customer, shop) => {
+  const shopName   = shop.displayName || shop.name;
+  const schemeName = enrollment.schemeId?.schemeName || 'Gold Scheme';
+  const isOverdue  = enrollment.nextDueDate && new Date(enrollment.nextDueDate) < new Date();
+
+  const html = baseTemplate({
+    headerText: 'Installment Reminder',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>Your next installment for <strong>${schemeName}</strong> at <strong>${shopName}</strong> is due.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Enrollment No.</td><td>${enrollment.enrollmentNumber}</td></tr>
+          <tr><td>Installment</td><td>${fmtAmt(enrollment.installmentAmount)}</td></tr>
+          <tr><td>Paid So Far</td><td>${enrollment.paidInstallments || 0} / ${enrollment.totalInstallments}</td></tr>
+          ${enrollment.nextDueDate ? `<tr><td>Due Date</td><td style="color:#c0392b;">${fmtDate(enrollment.nextDueDate)}</td></tr>` : ''}
+        </table>
+      </div>
+      <div class="alert-box ${isOverdue ? 'alert-danger' : 'alert-warn'}">
+        ${isOverdue
+          ? ' This installment is <strong>overdue</strong>. Please pay at the earliest to keep your scheme benefits.'
+          : ' Please pay on time to keep your scheme benefits.'
+        }
+      </div>
+      <p>For queries, contact us at <strong>${shop.phone}</strong>.</p>
+    `,
+  });
+
+  return {
+    to:      customer.email,
+    subject: `Installment Reminder — ${enrollment.enrollmentNumber} — ${shopName}`,
+    html,
+  };
+};
+
+/**
+ * Scheme installment marked missed (grace period over)
+ * @param {Object} enrollment  — SchemeEnrollment (schemeId populated)
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildSchemeMissedInstallmentEmail = (enrollment, customer, shop) => {
+  const shopName   = shop.displayName || shop.name;
+  const schemeName = enrollment.schemeId?.schemeName || 'Gold Scheme';
+  const missed     = (enrollment.schedule || []).filter(s => s.status === 'missed');
+
+  const html = baseTemplate({
+    headerText: 'Installment Missed',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>We did not receive your installment for <strong>${schemeName}</strong> at <strong>${shopName}</strong> within the grace period.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Enrollment No.</td><td>${enrollment.enrollmentNumber}</td></tr>
+          <tr><td>Missed Installments</td><td>${enrollment.missedInstallments || missed.length}</td></tr>
+          <tr><td>Paid So Far</td><td>${enrollment.paidInstallments || 0} / ${enrollment.totalInstallments}</td></tr>
+          ${enrollment.totalPenalty ? `<tr><td>Penalty</td><td style="color:#c0392b;">${fmtAmt(enrollment.totalPenalty)}</td></tr>` : ''}
+          ${enrollment.nextDueDate ? `<tr><td>Next Due Date</td><td>${fmtDate(enrollment.nextDueDate)}</td></tr>` : ''}
+        </table>
+      </div>
+      <div class="alert-box alert-danger">
+        Missed installments can reduce your maturity bonus. Please visit the store or contact us to continue the scheme.
+      </div>
+      <p>For queries, contact us at <strong>${shop.phone}</strong>.</p>
+    `,
+  });
+
+  return {
+    to:      customer.email,
+    subject: `Installment Missed — ${enrollment.enrollmentNumber} — ${shopName}`,
+    html,
+  };
+};
+
+/**
+ * Scheme enrollment confirmation with installment plan
+ * @param {Object} enrollment  — SchemeEnrollment (schemeId populated)
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildSchemeEnrollmentEmail = (enrollment, customer, shop) => {
+  const shopName   = shop.displayName || shop.name;
+  const schemeName = enrollment.schemeId?.schemeName || 'Gold Scheme';
+
+  const html = baseTemplate({
+    headerText: 'Welcome to Your Gold Scheme',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>Thank you for enrolling in <strong>${schemeName}</strong> at <strong>${shopName}</strong>.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Enrollment No.</td><td>${enrollment.enrollmentNumber}</td></tr>
+          <tr><td>Installment</td><td>${fmtAmt(enrollment.installmentAmount)} (${enrollment.frequency})</td></tr>
+          <tr><td>Installments</td><td>${enrollment.totalInstallments}</td></tr>
+          <tr><td>Start Date</td><td>${fmtDate(enrollment.startDate)}</td></tr>
+          ${enrollment.nextDueDate ? `<tr><td>Next Due Date</td><td>${fmtDate(enrollment.nextDueDate)}</td></tr>` : ''}
+          ${enrollment.expectedEndDate ? `<tr><td>Maturity Date</td><td>${fmtDate(enrollment.expectedEndDate)}</td></tr>` : ''}
+        </table>
+      </div>
+      <div class="alert-box alert-success">
+        Pay every installment on time to receive the full maturity benefit.
+      </div>
+      <p>For queries, contact us at <strong>${shop.phone}</strong>.</p>
+    `,
   });
+
+  return {
+    to:      customer.email,
+    subject: `Enrollment Confirmed — ${enrollment.enrollmentNumber} — ${shopName}`,
+    html,
+  };
+};
+
+/**
+ * Scheme maturity approaching — last installments / redemption planning
+ * @param {Object} enrollment  — SchemeEnrollment (schemeId populated)
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildSchemeMaturityEmail = (enrollment, customer, shop) => {
+  const shopName   = shop.displayName || shop.name;
+  const schemeName = enrollment.schemeId?.schemeName || 'Gold Scheme';
+  const remaining  = Math.max(0, enrollment.totalInstallments - (enrollment.paidInstallments || 0));
+
+  const html = baseTemplate({
+    headerText: 'Your Scheme Matures Soon',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>Your <strong>${schemeName}</strong> at <strong>${shopName}</strong> is about to mature.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Enrollment No.</td><td>${enrollment.enrollmentNumber}</td></tr>
+          <tr><td>Maturity Date</td><td>${fmtDate(enrollment.expectedEndDate)}</td></tr>
+          <tr><td>Paid So Far</td><td>${fmtAmt(enrollment.totalPaidAmount)}</td></tr>
+          <tr><td>Installments Left</td><td>${remaining}</td></tr>
+        </table>
+      </div>
+      <div class="alert-box alert-success">
+        ${remaining > 0
+          ? 'Complete the remaining installments to redeem the full maturity value.'
+          : 'Visit the store after maturity to redeem your scheme against jewellery.'
+        }
+      </div>
+      <p>For queries, contact us at <strong>${shop.phone}</strong>.</p>
+    `,
+  });
+
+  return {
+    to:      customer.email,
+    subject: `Scheme Maturing Soon — ${enrollment.enrollmentNumber} — ${shopName}`,
+    html,
+  };
+};
+
+/**
+ * Scheme redeemed — final settlement
+ * @param {Object} enrollment  — SchemeEnrollment (schemeId populated)
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildSchemeRedemptionEmail = (enrollment, customer, shop) => {
+  const shopName   = shop.displayName || shop.name;
+  const schemeName = enrollment.schemeId?.schemeName || 'Gold Scheme';
+  const redemption = enrollment.redemption || {};
+
+  const html = baseTemplate({
+    headerText: 'Scheme Redeemed',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>Your <strong>${schemeName}</strong> at <strong>${shopName}</strong> has been redeemed.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Enrollment No.</td><td>${enrollment.enrollmentNumber}</td></tr>
+          <tr><td>Redemption Date</td><td>${fmtDate(redemption.redemptionDate)}</td></tr>
+          <tr><td>Redeemed As</td><td>${redemption.redemptionMode === 'jewelry' ? 'Jewellery' : 'Cash'}</td></tr>
+          <tr><td>Maturity Value</td><td>${fmtAmt(redemption.redemptionValue)}</td></tr>
+          ${redemption.penaltyApplied ? `<tr><td>Early Redemption Charge</td><td style="color:#c0392b;">${fmtAmt(redemption.penaltyApplied)}</td></tr>` : ''}
+          <tr><td>Net Value</td><td>${fmtAmt(redemption.netRedemptionValue)}</td></tr>
+        </table>
+      </div>
+      <p>Thank you for saving with us.</p>
+    `,
+  });
+
+  return {
+    to:      customer.email,
+    subject: `Scheme Redeemed — ${enrollment.enrollmentNumber} — ${shopName}`,
+    html,
+  };
+};
+
+/**
+ * Girvi margin call — metal rate girne se loan-to-value limit ke upar
+ * @param {Object} girvi       — Girvi (girviNumber, dueDate)
+ * @param {Object} marginCall  — { currentLtv, amountDue, collateralValue, requiredPayment }
+ * @param {Object} customer
+ * @param {Object} shop
+ */
+export const buildGirviMarginCallEmail = (girvi, marginCall, customer, shop) => {
+  const shopName = shop.displayName || shop.name;
+
+  const html = baseTemplate({
+    headerText: 'Girvi Margin Call',
+    body: `
+      <h2>Dear ${customer.fullName},</h2>
+      <p>Metal rates have fallen since your jewellery was pledged at <strong>${shopName}</strong>. The amount due on your girvi is now high compared to the current value of the pledged items.</p>
+      <div class="info-box">
+        <table>
+          <tr><td>Girvi No.</td><td>${girvi.girviNumber}</td></tr>
+          <tr><td>Amount Due</td><td>${fmtAmt(marginCall.amountDue)}</td></tr>
+          <tr><td>Current Value of Items</td><td>${fmtAmt(marginCall.collateralValue)}</td></tr>
+          <tr><td>Loan to Value</td><td style="color:#c0392b;">${marginCall.currentLtv}%</td></tr>
+          ${girvi.dueDate ? `<tr><td>Due Date</td><td>${fmtDate(girvi.dueDate)}</td></tr>` : ''}
+        </table>
+      </div>
+      <div class="alert-box alert-danger">
+        Please pay at least <strong>${fmtAmt(marginCall.requiredPayment)}</strong> or pledge additional items to keep the loan in good standing.
+      </div>
+      <p>For queries, contact us at <strong>${shop.phone}</strong>.</p>
+    `,
+  });
+
+  return {
+    to:      customer.email,
+    subject: `Margin Call — ${girvi.girviNumber} — ${shopName}`,
+    html,
+  };
 };
 
 /**
@@ -397,15 +673,10 @@ export const sendPaymentReminderEmail = async (sale, customer, shop) => {
  * @param {Object} supplier
  * @param {Object} shop
  */
-export const sendPurchasePaymentVoucherEmail = async (payment, purchase, supplier, shop) => {
+export const buildPurchasePaymentVoucherEmail = (payment, purchase, supplier, shop) => {
   const shopName      = shop.displayName || shop.name;
   const supplierEmail = supplier.contactPerson?.email || supplier.businessEmail;
 
-  if (!supplierEmail) {
-    logger.warn(`No email found for supplier ${supplier.supplierCode}`);
-    return { success: false, message: 'Supplier email not found' };
-  }
-
   const html = baseTemplate({
     headerText: 'Payment Voucher',
     body: `
@@ -430,11 +701,22 @@ export const sendPurchasePaymentVoucherEmail = async (payment, purchase, supplie
     `,
   });
 
-  return sendEmail({
+  return {
     to:      supplierEmail,
     subject: `Payment Voucher ${payment.paymentNumber} — ${shopName}`,
     html,
-  });
+  };
+};
+
+export const sendPurchasePaymentVoucherEmail = async (payment, purchase, supplier, shop) => {
+  const email = buildPurchasePaymentVoucherEmail(payment, purchase, supplier, shop);
+
+  if (!email.to) {
+    logger.warn(`No email found for supplier ${supplier.supplierCode}`);
+    return { success: false, message: 'Supplier email not found' };
+  }
+
+  return sendEmail(email);
 };
 
 /**
@@ -526,6 +808,40 @@ export const sendLowStockAlertEmail = async (lowStockItems, shop, notifyUser) =>
     html,
   });
 };
+
+/**
+ * Scheduled report with the exported file attached
+ * @param {{ to: string[], report: Object, file: { content, fileName, contentType }, scheduleName?: string }} options
+ */
+export const sendScheduledReportEmail = async ({ to, report, file, scheduleName }) => {
+  const period = report.asOf
+    ? `As on ${fmtDate(report.asOf)}`
+    : `${fmtDate(report.period.from)} to ${fmtDate(report.period.to)}`;
+
+  const html = baseTemplate({
+    headerText: report.title,
+    body: `
+      <h2>${report.title}</h2>
+      <p>Your scheduled report for <strong>${report.scope.name}</strong> is attached.</p>
+      <div class="info-box">
+        <table>
+          ${scheduleName ? `<tr><td>Schedule</td><td>${scheduleName}</td></tr>` : ''}
+          <tr><td>Period</td><td>${period}</td></tr>
+          <tr><td>Lines</td><td>${report.rows.length}</td></tr>
+          <tr><td>File</td><td>${file.fileName}</td></tr>
+        </table>
+      </div>
+      <p style="font-size:12px;color:#aaa;">You are receiving this because you are a recipient of this report schedule.</p>
+    `,
+  });
+
+  return sendEmail({
+    to,
+    subject:     `${report.title} — ${report.scope.name} — ${period}`,
+    html,
+    attachments: [{ filename: file.fileName, content: file.content, contentType: file.contentType }],
+  });
+};
 /**
  * Order status update email to customer
  * @param {Object} order
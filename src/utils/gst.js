@@ -0,0 +1,126 @@
+// FILE: src/utils/gst.js
+// Place-of-supply helpers. The first two digits of a GSTIN are the state code;
+// when supplier and recipient states differ the supply is inter-state and the
+// whole tax goes to IGST, otherwise it is split equally into CGST + SGST.
+
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  10: 'Bihar',
+  11: 'Sikkim',
+  12: 'Arunachal Pradesh',
+  13: 'Nagaland',
+  14: 'Manipur',
+  15: 'Mizoram',
+  16: 'Tripura',
+  17: 'Meghalaya',
+  18: 'Assam',
+  19: 'West Bengal',
+  20: 'Jharkhand',
+  21: 'Odisha',
+  22: 'Chhattisgarh',
+  23: 'Madhya Pradesh',
+  24: 'Gujarat',
+  26: 'Dadra and Nagar Haveli and Daman and Diu',
+  27: 'Maharashtra',
+  29: 'Karnataka',
+  30: 'Goa',
+  31: 'Lakshadweep',
+  32: 'Kerala',
+  33: 'Tamil Nadu',
+  34: 'Puducherry',
+  35: 'Andaman and Nicobar Islands',
+  36: 'Telangana',
+  37: 'Andhra Pradesh',
+  38: 'Ladakh',
+  97: 'Other Territory',
+};
+
+// Common spellings people type into address.state
+const STATE_ALIASES = {
+  'jammu & kashmir': '01',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  orissa: '21',
+  pondicherry: '34',
+  'andaman & nicobar islands': '35',
+  'dadra and nagar haveli': '26',
+  'daman and diu': '26',
+};
+
+const normalize = value =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+const NAME_TO_CODE = Object.entries(GST_STATES).reduce(
+  (map, [code, name]) => ({ ...map, [normalize(name)]: code }),
+  { ...STATE_ALIASES }
+);
+
+export const getStateName = code => GST_STATES[code] || null;
+
+export const getStateCodeFromGstin = gstin => {
+  const code = String(gstin || '')
+    .trim()
+    .slice(0, 2);
+  return /^[0-9]{2}$/.test(code) && getStateName(code) ? code : null;
+};
+
+/**
+ * Accepts a 2-digit code ("27", 27) or a state name ("Maharashtra").
+ * @returns {string|null} 2-digit state code
+ */
+export const resolveStateCode = value => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const raw = String(value).trim();
+  if (/^[0-9]{1,2}$/.test(raw)) {
+    const code = raw.padStart(2, '0');
+    return getStateName(code) ? code : null;
+  }
+
+  return NAME_TO_CODE[normalize(raw)] || null;
+};
+
+// GSTIN wins over the typed address — it is what the return is filed against
+export const resolvePartyStateCode = ({ gstNumber, state } = {}) =>
+  getStateCodeFromGstin(gstNumber) || resolveStateCode(state);
+
+/**
+ * Work out the place of supply for a document.
+ * When either side's state is unknown the supply is treated as intra-state.
+ * @returns {{ stateCode: string|null, stateName: string|null, isInterState: boolean }}
+ */
+export const determinePlaceOfSupply = ({ supplierStateCode, recipientStateCode, override }) => {
+  const stateCode = resolveStateCode(override) || recipientStateCode || supplierStateCode || null;
+
+  return {
+    stateCode,
+    stateName: stateCode ? getStateName(stateCode) : null,
+    isInterState: Boolean(supplierStateCode && stateCode && supplierStateCode !== stateCode),
+  };
+};
+
+export const splitGst = (gstAmount, isInterState = false) =>
+  isInterState
+    ? { cgst: 0, sgst: 0, igst: gstAmount }
+    : { cgst: gstAmount / 2, sgst: gstAmount / 2, igst: 0 };
+
+export default {
+  GST_STATES,
+  getStateName,
+  getStateCodeFromGstin,
+  resolveStateCode,
+  resolvePartyStateCode,
+  determinePlaceOfSupply,
+  splitGst,
+};
@@ -0,0 +1,129 @@
+// FILE: src/utils/pdf.js
+// HTML → PDF using headless Chrome (puppeteer). One browser per process,
+// launched lazily on the first render and reused after that.
+
+import puppeteer from 'puppeteer';
+import { PDFDocument } from 'pdf-lib';
+import logger from './logger.js';
+
+// Paper sizes supported by shop.settings.printSettings.paperSize
+export const PAPER_FORMATS = {
+  A4: { format: 'A4', margin: '10mm' },
+  A5: { format: 'A5', margin: '6mm' },
+  thermal_80mm: { width: '80mm', viewportWidth: 302, margin: '2mm', thermal: true },
+  thermal_58mm: { width: '58mm', viewportWidth: 219, margin: '1mm', thermal: true },
+};
+
+export const DEFAULT_PAPER_SIZE = 'A4';
+
+const RENDER_TIMEOUT_MS = 30000;
+
+let browserPromise = null;
+
+const launchBrowser = async () => {
+  const browser = await puppeteer.launch({
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--font-render-hinting=none',
+    ],
+  });
+
+  browser.on('disconnected', () => {
+    browserPromise = null;
+  });
+
+  logger.info('PDF renderer: headless browser started');
+  return browser;
+};
+
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = launchBrowser().catch(error => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  return browserPromise;
+};
+
+export const resolvePaperSize = paperSize =>
+  PAPER_FORMATS[paperSize] ? paperSize : DEFAULT_PAPER_SIZE;
+
+/**
+ * Render a complete HTML document to a PDF buffer.
+ * Template scripts run before printing, so client-rendered templates work as-is.
+ * @param {string} html
+ * @param {{ paperSize?: 'A4'|'A5'|'thermal_80mm'|'thermal_58mm' }} options
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = async (html, { paperSize = DEFAULT_PAPER_SIZE } = {}) => {
+  const paper = PAPER_FORMATS[resolvePaperSize(paperSize)];
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    // Templates are self-contained — never let them reach the network
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      const url = request.url();
+      if (url.startsWith('data:') || url === 'about:blank') request.continue();
+      else request.abort();
+    });
+
+    if (paper.thermal) {
+      await page.setViewport({ width: paper.viewportWidth, height: 800 });
+    }
+
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+    await page.emulateMediaType('print');
+
+    const pdfOptions = {
+      printBackground: true,
+      margin: { top: paper.margin, right: paper.margin, bottom: paper.margin, left: paper.margin },
+      timeout: RENDER_TIMEOUT_MS,
+    };
+
+    if (paper.thermal) {
+      // Roll paper: fixed width, height grows with the content
+      const height = await page.evaluate('document.documentElement.scrollHeight');
+      pdfOptions.width = paper.width;
+      pdfOptions.height = `${Math.ceil(height) + 20}px`;
+    } else {
+      pdfOptions.format = paper.format;
+    }
+
+    return Buffer.from(await page.pdf(pdfOptions));
+  } finally {
+    await page.close().catch(() => {});
+  }
+};
+
+/**
+ * Concatenate several PDF buffers into one document (bulk print).
+ * @param {Buffer[]} buffers
+ * @returns {Promise<Buffer>}
+ */
+export const mergePdfs = async buffers => {
+  const merged = await PDFDocument.create();
+
+  for (const buffer of buffers) {
+    const doc = await PDFDocument.load(buffer);
+    const pages = await merged.copyPages(doc, doc.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  return Buffer.from(await merged.save());
+};
+
+export const closePdfRenderer = async () => {
+  if (!browserPromise) return;
+  const browser = await browserPromise.catch(() => null);
+  browserPromise = null;
+  if (browser) await browser.close();
+};
+
+export default { renderPdf, mergePdfs, resolvePaperSize, closePdfRenderer, PAPER_FORMATS };
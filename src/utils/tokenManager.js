@@ -463,12 +463,13 @@ class TokenManager {
   /**
    * Generate password reset token
    * @param {String} userId - User ID
+   * @param {String} expiresIn - Token expiry (default: 1h; staff invites use longer)
    * @returns {String} Reset token
    */
-  generatePasswordResetToken(userId) {
+  generatePasswordResetToken(userId, expiresIn = '1h') {
     try {
       const token = jwt.sign({ userId, type: 'password_reset' }, this.accessTokenSecret, {
-        expiresIn: '1h',
+        expiresIn,
       });
 
       logger.debug(`Password reset token generated for user: ${userId}`);
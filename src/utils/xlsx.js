@@ -0,0 +1,300 @@
+// FILE: src/utils/xlsx.js
+// Bare-minimum XLSX — pehli sheet ke cells padhna aur ek sheet wali workbook likhna.
+// Formulas, styles, dates ka format nahi; import / export ke liye itna kaafi hai.
+
+import zlib from 'zlib';
+import { BadRequestError } from './AppError.js';
+
+// ─── ZIP ───────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = buffer => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Sab kholi gayi entries milaake itne se zyada nahi — 5 MB ka upload zip bomb ho to
+// GBs tak phool ke event loop / memory na kha jaaye
+export const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+const INVALID_WORKBOOK = 'File is not a valid XLSX workbook';
+
+// Central directory se saari entries — name → { method, data } (data abhi compressed)
+const zipEntries = buffer => {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw new BadRequestError(INVALID_WORKBOOK);
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    files[name] = { method, data: buffer.subarray(dataStart, dataStart + size) };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+// Ek entry kholo — budget.remaining bytes se zyada hua to 400
+const inflate = (entry, budget) => {
+  if (!entry) return null;
+
+  let content = entry.data;
+  if (entry.method === 8) {
+    try {
+      content = zlib.inflateRawSync(entry.data, { maxOutputLength: Math.max(1, budget.remaining) });
+    } catch (error) {
+      if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw new BadRequestError(INVALID_WORKBOOK);
+      content = null;
+    }
+  }
+
+  if (!content || content.length > budget.remaining) {
+    throw new BadRequestError(
+      `Workbook expands to more than ${Math.round(budget.limit / (1024 * 1024))} MB — split it into smaller files`
+    );
+  }
+  budget.remaining -= content.length;
+  return content;
+};
+
+const zip = entries => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content }) => {
+    const raw = Buffer.from(content, 'utf8');
+    const data = zlib.deflateRawSync(raw);
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+// ─── XML ───────────────────────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = text =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+
+const encodeXml = text =>
+  text.replace(
+    /[&<>"]/g,
+    char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]
+  );
+
+// Rich text me ek cell ke kai <t> hote hain — sab jodo
+const textOf = xml =>
+  [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+const columnIndex = ref => {
+  const letters = ref.replace(/\d+$/, '').toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const columnName = index => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const firstSheetPath = (workbook, rels) => {
+  const relId = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const target = relId && rels.match(new RegExp(`<Relationship\\b[^>]*Id="${relId}"[^>]*>`))?.[0];
+  const path = target?.match(/Target="([^"]+)"/)?.[1];
+
+  if (!path) return 'xl/worksheets/sheet1.xml';
+  return path.startsWith('/') ? path.slice(1) : `xl/${path}`;
+};
+
+// ─── Public ────────────────────────────────────────────────────────────────────
+
+/**
+ * Workbook ki pehli sheet → rows (har cell string). Khaali cells '' rehte hain.
+ * Sirf workbook, pehli sheet aur sharedStrings khulte hain — baaki entries (images etc.) nahi.
+ * @param {Buffer} buffer
+ * @param {{ maxBytes?: number }} options - kholi gayi entries ka kul size
+ * @returns {string[][]}
+ */
+export const readXlsx = (buffer, { maxBytes = MAX_UNCOMPRESSED_BYTES } = {}) => {
+  const files = zipEntries(buffer);
+  const budget = { limit: maxBytes, remaining: maxBytes };
+  const text = name => inflate(files[name], budget)?.toString('utf8') || '';
+
+  const sheet = inflate(
+    files[firstSheetPath(text('xl/workbook.xml'), text('xl/_rels/workbook.xml.rels'))],
+    budget
+  );
+  if (!sheet) throw new BadRequestError('Workbook has no worksheet');
+
+  const sharedStrings = [...text('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+    match => textOf(match[1])
+  );
+
+  const rows = [];
+  const rowMatches = sheet.toString('utf8').matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g);
+
+  for (const [, rowAttrs, rowBody = ''] of rowMatches) {
+    const rowNumber = parseInt(rowAttrs.match(/\br="(\d+)"/)?.[1]) || rows.length + 1;
+    const cells = [];
+
+    for (const [, attrs, body = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="(\w+)"/)?.[1];
+      const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let text = '';
+      if (type === 's') text = sharedStrings[parseInt(value)] ?? '';
+      else if (type === 'inlineStr') text = textOf(body);
+      else if (value !== undefined) text = decodeXml(value);
+
+      cells[ref ? columnIndex(ref) : cells.length] = text;
+    }
+
+    rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+  }
+
+  return Array.from(rows, row => row || []).filter(row => row.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Ek sheet wali workbook. Numbers number cell, baaki inline string.
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows - each row in header order
+ * @param {string} sheetName
+ * @returns {Buffer}
+ */
+export const toXlsx = (headers, rows, sheetName = 'Sheet1') => {
+  const cellXml = (value, rowIndex, columnIndexValue) => {
+    if (value === null || value === undefined || value === '') return '';
+    const ref = `${columnName(columnIndexValue)}${rowIndex + 1}`;
+    if (typeof value === 'number' && Number.isFinite(value))
+      return `<c r="${ref}"><v>${value}</v></c>`;
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(text)}</t></is></c>`;
+  };
+
+  const sheetRows = [headers, ...rows]
+    .map(
+      (row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, index) => cellXml(value, rowIndex, index)).join('')}</row>`
+    )
+    .join('');
+
+  const ns = 'http://schemas.openxmlformats.org';
+
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Types xmlns="${ns}/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        `</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="${encodeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        `</workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+    },
+  ]);
+};
+
+export default { readXlsx, toXlsx };